@@ -0,0 +1,81 @@
+/* =========================================================
+ *  API Key Routes
+ * =========================================================
+ *  • GET     /api/account/api-keys       – caller's keys (no secrets)
+ *  • POST    /api/account/api-keys       – create; secret returned once
+ *  • PATCH   /api/account/api-keys/:id   – rename / re-scope / allowlist
+ *  • DELETE  /api/account/api-keys/:id   – revoke
+ *
+ *  Browser session only: a key can never manage keys. Creating
+ *  a key asks for a TOTP code when the account enforces 2FA.
+ *  Every change lands in the SecurityAuditLog.
+ * =========================================================*/
+
+const express     = require("express");
+const router      = express.Router();
+const requireAuth = require("../middleware/requireAuth");
+const check2FA    = require("../middleware/auth/check2FA");
+const apiKeys     = require("../services/security/apiKeys");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const { apiKeyCreateSchema, apiKeyUpdateSchema } = require("./schemas/apiKeys.schema");
+
+/* ───────────────────────── helpers ───────────────────────── */
+function sessionOnly(req, res, next) {
+  if (req.apiKey) return res.status(403).json({ error: "API keys cannot manage API keys" });
+  next();
+}
+
+const guard = [requireAuth, sessionOnly];
+
+/* ───────────────────────── GET / ───────────────────────── */
+router.get("/", guard, async (req, res) => {
+  try {
+    const keys = await apiKeys.listApiKeys(req.user.id);
+    res.json({ keys, scopes: apiKeys.SCOPES, maxExpiryDays: apiKeys.MAX_EXPIRY_DAYS });
+  } catch (err) {
+    console.error("❌ Failed listing API keys:", err.message);
+    res.status(500).json({ error: "Failed to load API keys." });
+  }
+});
+
+/* ───────────────────────── POST / ───────────────────────── */
+router.post("/", guard, csrfProtection, validate({ body: apiKeyCreateSchema }), check2FA, async (req, res) => {
+  try {
+    const { twoFactorToken, ...opts } = req.body;
+    const { apiKey, secret } = await apiKeys.createApiKey(req.user.id, opts, { ip: req.ip });
+    res.status(201).json({ apiKey, secret });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("❌ Failed creating API key:", err.message);
+    res.status(500).json({ error: "Failed to create API key." });
+  }
+});
+
+/* ───────────────────────── PATCH /:id ───────────────────────── */
+router.patch("/:id", guard, csrfProtection, validate({ body: apiKeyUpdateSchema }), async (req, res) => {
+  try {
+    const apiKey = await apiKeys.updateApiKey(req.user.id, req.params.id, req.body, { ip: req.ip });
+    if (!apiKey) return res.status(404).json({ error: "API key not found" });
+    res.json({ apiKey });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("❌ Failed updating API key:", err.message);
+    res.status(500).json({ error: "Failed to update API key." });
+  }
+});
+
+/* ───────────────────────── DELETE /:id ───────────────────────── */
+router.delete("/:id", guard, csrfProtection, async (req, res) => {
+  try {
+    const ok = await apiKeys.revokeApiKey(req.user.id, req.params.id, { ip: req.ip });
+    if (!ok) return res.status(404).json({ error: "API key not found" });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Failed revoking API key:", err.message);
+    res.status(500).json({ error: "Failed to revoke API key." });
+  }
+});
+
+module.exports = router;
@@ -63,7 +63,7 @@ function preview(data, len = 120) {
   }
 }
 
-router.post("/arm", requireAuth, check2FA, async (req, res) => {
+async function armWallet(req, res) {
   /* ───── 1. Input validation ───── */
   console.log("🟢 /arm hit", { walletId: req.body && req.body.walletId });
   const {
@@ -412,7 +412,8 @@ router.post("/arm", requireAuth, check2FA, async (req, res) => {
     armedForMinutes: ttlMin,
     migrated: migrating,
   });
-});
+}
+router.post("/arm", requireAuth, check2FA, armWallet);
 
 
 /*
@@ -653,7 +654,7 @@ router.post("/setup-protection", requireAuth, async (req, res) => {
   return res.json({ ok: true, walletId, label: wallet.label, migrated: migrating });
 });
 
-router.post("/extend", requireAuth, check2FA, async (req, res) => {
+async function extendSession(req, res) {
   console.log("🔁 /extend called", { walletId: req.body && req.body.walletId });
   const { walletId, ttlMinutes } = req.body || {};
   if (!walletId) {
@@ -682,9 +683,10 @@ router.post("/extend", requireAuth, check2FA, async (req, res) => {
   }
 
   return res.json({ ok: true, walletId, extendedToMinutes: ttlMin });
-});
+}
+router.post("/extend", requireAuth, check2FA, extendSession);
 
-router.post("/disarm", requireAuth, check2FA, async (req, res) => {
+async function disarmSession(req, res) {
   console.log("🔻 /disarm called", { walletId: req.body && req.body.walletId });
   const { walletId } = req.body || {};
   if (!walletId) {
@@ -705,7 +707,8 @@ router.post("/disarm", requireAuth, check2FA, async (req, res) => {
     console.error(`❌ Disarm failed for wallet ${walletId}:`, e.message);
     return res.status(500).json({ error: "Failed to disarm" });
   }
-});
+}
+router.post("/disarm", requireAuth, check2FA, disarmSession);
 
 router.get("/status/:walletId", requireAuth, async (req, res) => {
   const { walletId } = req.params;
@@ -1102,3 +1105,6 @@ router.get("/overview", requireAuth, async (req, res) => {
 
 
 module.exports = router;
+// Handlers are reused by the internal (service-token) arm routes in
+// internalJobs.js, which the Telegram bot calls on the user's behalf.
+module.exports.handlers = { armWallet, extendSession, disarmSession };
@@ -0,0 +1,139 @@
+/* =========================================================
+ *  Backtest Routes
+ * =========================================================
+ *  • GET   /api/backtest/modes – strategies the replay engine supports
+ *  • POST  /api/backtest/run   – replay OHLCV through a strategy config
+ *  • POST  /api/backtest/optimize        – start a walk-forward grid search
+ *  • GET   /api/backtest/optimize        – list the caller's optimiser runs
+ *  • GET   /api/backtest/optimize/:runId – run status + ranked candidates
+ *
+ *  Optimiser winners carry a `lineage` object; pass it with the config to
+ *  POST /api/mode/save-config to keep the provenance on the saved preset.
+ * =========================================================*/
+
+const express     = require("express");
+const router      = express.Router();
+const prisma      = require("../prisma/prisma");
+const requireAuth = require("../middleware/requireAuth");
+const savedSvc    = require("../services/utils/strategy_utils/savedConfigDb");
+
+const { runBacktest, SUPPORTED_MODES } = require("../services/strategies/core/backtest/backtestEngine");
+const { resolveCandles } = require("../services/strategies/core/backtest/candleSource");
+const { optimize } = require("../services/strategies/core/backtest/optimizer");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const { backtestRunSchema, optimizeSchema } = require("./schemas/backtest.schema");
+
+/* ───────────────────────── helpers ───────────────────────── */
+async function loadConfig(userId, { config, configId }) {
+  if (config) return config;
+  const row = await savedSvc.getPreset(userId, configId);
+  if (!row) throw new Error("Saved config not found");
+  return row.extras || {};
+}
+
+/* ───────────────────────── GET /modes ───────────────────────── */
+router.get("/modes", requireAuth, (_req, res) => {
+  res.json({ modes: SUPPORTED_MODES });
+});
+
+/* ───────────────────────── POST /run ───────────────────────── */
+router.post("/run", requireAuth, csrfProtection, validate({ body: backtestRunSchema }), async (req, res, next) => {
+  try {
+    const { mode, candles, mint, interval, from, to, options } = req.body;
+    const config = await loadConfig(req.user.id, req.body);
+    const series = await resolveCandles({ candles, mint, interval, from, to, userId: req.user.id });
+    const result = await runBacktest({ mode, config, candles: series, options });
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Backtest failed:", err.message);
+    next({ status: 400, message: err.message || "Backtest failed" });
+  }
+});
+
+/* ───────────────────────── POST /optimize ───────────────────────── */
+// Runs in the background; poll GET /optimize/:runId for results.
+router.post("/optimize", requireAuth, csrfProtection, validate({ body: optimizeSchema }), async (req, res, next) => {
+  try {
+    const { configId, grid, candles, mint, interval, from, to, options } = req.body;
+    const preset = await savedSvc.getPreset(req.user.id, configId);
+    if (!preset) throw new Error("Saved config not found");
+    const mode = req.body.mode || preset.strategyName;
+    if (!mode) throw new Error("Saved config has no strategy; pass mode explicitly");
+    const series = await resolveCandles({ candles, mint, interval, from, to, userId: req.user.id });
+
+    const run = await prisma.optimizerRun.create({
+      data: { userId: req.user.id, mode, sourceConfigId: configId, grid, options },
+    });
+
+    setImmediate(async () => {
+      try {
+        const out = await optimize({
+          mode,
+          baseConfig: preset.extras || {},
+          grid,
+          candles: series,
+          options,
+          sourceConfigId: configId,
+          runId: run.id,
+        });
+        await prisma.optimizerRun.update({
+          where: { id: run.id },
+          data: {
+            status: "completed",
+            results: { dataRange: out.dataRange, evaluated: out.evaluated, folds: out.folds, candidates: out.results },
+            rejected: out.rejected,
+            finishedAt: new Date(),
+          },
+        });
+      } catch (err) {
+        console.error(`❌ Optimizer run ${run.id} failed:`, err.message);
+        await prisma.optimizerRun.update({
+          where: { id: run.id },
+          data: { status: "failed", error: err.message, finishedAt: new Date() },
+        }).catch(() => {});
+      }
+    });
+
+    res.status(202).json({ ok: true, runId: run.id, mode, bars: series.length });
+  } catch (err) {
+    next({ status: 400, message: err.message || "Failed to start optimizer" });
+  }
+});
+
+/* ───────────────────────── GET /optimize ───────────────────────── */
+router.get("/optimize", requireAuth, async (req, res) => {
+  let { take = 20, skip = 0 } = req.query;
+  take = Math.min(parseInt(take, 10) || 20, 100);
+  skip = Math.max(parseInt(skip, 10) || 0, 0);
+  try {
+    const runs = await prisma.optimizerRun.findMany({
+      where  : { userId: req.user.id },
+      orderBy: { createdAt: "desc" },
+      select : { id: true, mode: true, sourceConfigId: true, status: true, createdAt: true, finishedAt: true },
+      take,
+      skip,
+    });
+    res.json({ runs });
+  } catch (err) {
+    console.error("❌ Failed fetching optimizer runs:", err.message);
+    res.status(500).json({ error: "Failed to fetch optimizer runs." });
+  }
+});
+
+/* ───────────────────────── GET /optimize/:runId ───────────────────────── */
+router.get("/optimize/:runId", requireAuth, async (req, res) => {
+  try {
+    const run = await prisma.optimizerRun.findFirst({
+      where: { id: req.params.runId, userId: req.user.id },
+    });
+    if (!run) return res.status(404).json({ error: "Optimizer run not found." });
+    res.json(run);
+  } catch (err) {
+    console.error("❌ Failed fetching optimizer run:", err.message);
+    res.status(500).json({ error: "Failed to fetch optimizer run." });
+  }
+});
+
+module.exports = router;
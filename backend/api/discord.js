@@ -0,0 +1,136 @@
+/* =========================================================
+ *  Discord Routes
+ * =========================================================
+ *  • GET     /api/discord          – channel config (webhook tokens masked) + enabled events
+ *  • PUT     /api/discord          – default webhook, per-category / per-event channels,
+ *                                    alert role mention, enabled events
+ *  • POST    /api/discord/test     – test embed to a given URL or every configured channel
+ *  • DELETE  /api/discord          – remove the Discord channel
+ *
+ *  Config is stored as one NotificationPreference row per event
+ *  (channel "discord") sharing the same metaJson. Embeds and rate
+ *  limiting live in services/notifications/providers/discord.js.
+ * =========================================================*/
+
+const express = require("express");
+const router  = express.Router();
+const prisma  = require("../prisma/prisma");
+const discord = require("../services/notifications/providers/discord");
+const { EVENT_TYPES } = require("../services/notifications/events");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const { discordConfigSchema, discordTestSchema } = require("./schemas/discord.schema");
+
+const CHANNEL = "discord";
+
+/* ───────────────────────── helpers ───────────────────────── */
+// Webhook URLs embed a token that grants posting rights – never echo it back
+const mask = (url) => (url ? url.replace(/\/([\w-]{4})[\w-]*$/, "/$1…") : null);
+
+async function loadConfig(userId) {
+  const rows = await prisma.notificationPreference.findMany({ where: { userId, channel: CHANNEL } });
+  const meta = rows.find((r) => r.metaJson)?.metaJson || {};
+  return { rows, meta };
+}
+
+function configuredUrls(meta) {
+  return [...new Set([meta.webhookUrl, ...Object.values(meta.channels || {})].filter(discord.isDiscordWebhookUrl))];
+}
+
+function toPublic(rows, meta) {
+  return {
+    configured: rows.length > 0,
+    webhookUrl: mask(meta.webhookUrl),
+    channels: Object.fromEntries(Object.entries(meta.channels || {}).map(([k, v]) => [k, mask(v)])),
+    mentionRoleId: meta.mentionRoleId || null,
+    events: rows.filter((r) => r.enabled).map((r) => r.event),
+  };
+}
+
+/* ───────────────────────── GET / ───────────────────────── */
+router.get("/", async (req, res) => {
+  try {
+    const { rows, meta } = await loadConfig(req.user.id);
+    res.json(toPublic(rows, meta));
+  } catch (err) {
+    console.error("❌ Failed loading Discord config:", err.message);
+    res.status(500).json({ error: "Failed to load Discord settings." });
+  }
+});
+
+/* ───────────────────────── PUT / ───────────────────────── */
+router.put("/", csrfProtection, validate({ body: discordConfigSchema }), async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { rows, meta: current } = await loadConfig(userId);
+    const { webhookUrl, channels, mentionRoleId, events } = req.body;
+
+    const meta = { ...current };
+    if (webhookUrl !== undefined) meta.webhookUrl = webhookUrl;
+    if (mentionRoleId !== undefined) meta.mentionRoleId = mentionRoleId;
+    if (channels) {
+      meta.channels = { ...(current.channels || {}) };
+      for (const [k, v] of Object.entries(channels)) {
+        if (v) meta.channels[k] = v;
+        else delete meta.channels[k];
+      }
+    }
+    for (const k of ["webhookUrl", "mentionRoleId"]) if (meta[k] == null) delete meta[k];
+
+    // First save enables everything; later saves keep the selection unless given
+    const enabled = new Set(events || (rows.length ? rows.filter((r) => r.enabled).map((r) => r.event) : EVENT_TYPES));
+    const unrouted = [...enabled].filter((e) => !discord.resolveWebhookUrl(meta, e));
+    if (unrouted.length) {
+      return res.status(400).json({ error: `No Discord webhook for: ${unrouted.join(", ")}. Set a default webhook URL or map those events.` });
+    }
+
+    await prisma.$transaction(EVENT_TYPES.map((event) =>
+      prisma.notificationPreference.upsert({
+        where : { userId_event_channel: { userId, event, channel: CHANNEL } },
+        create: { userId, event, channel: CHANNEL, enabled: enabled.has(event), metaJson: meta },
+        update: { enabled: enabled.has(event), metaJson: meta },
+      })));
+
+    const saved = await loadConfig(userId);
+    res.json(toPublic(saved.rows, saved.meta));
+  } catch (err) {
+    console.error("❌ Failed saving Discord config:", err.message);
+    res.status(500).json({ error: "Failed to save Discord settings." });
+  }
+});
+
+/* ───────────────────────── POST /test ───────────────────────── */
+router.post("/test", csrfProtection, validate({ body: discordTestSchema }), async (req, res) => {
+  try {
+    const urls = req.body.webhookUrl ? [req.body.webhookUrl] : configuredUrls((await loadConfig(req.user.id)).meta);
+    if (!urls.length) return res.status(400).json({ error: "No Discord webhook configured." });
+
+    const results = await Promise.allSettled(urls.map((u) => discord.sendTest(u)));
+    const failed = results
+      .map((r, i) => (r.status === "rejected" ? { webhookUrl: mask(urls[i]), error: r.reason.message } : null))
+      .filter(Boolean);
+    if (failed.length === urls.length) {
+      return res.status(502).json({ sent: false, error: failed[0].error, failed });
+    }
+    res.json({ sent: true, channels: urls.length - failed.length, failed });
+  } catch (err) {
+    console.error("❌ Discord test failed:", err.message);
+    res.status(500).json({ error: "Failed to send Discord test." });
+  }
+});
+
+/* ───────────────────────── DELETE / ───────────────────────── */
+router.delete("/", csrfProtection, async (req, res) => {
+  try {
+    const { count } = await prisma.notificationPreference.deleteMany({
+      where: { userId: req.user.id, channel: CHANNEL },
+    });
+    res.json({ success: true, removed: count });
+  } catch (err) {
+    console.error("❌ Failed removing Discord config:", err.message);
+    res.status(500).json({ error: "Failed to remove Discord settings." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/* =========================================================
+ *  Event Journal Routes
+ * =========================================================
+ *  • GET   /api/events?after=&topics=&limit=
+ *      Journal entries after a seq cursor, oldest first — the REST
+ *      twin of the WS `replay` op. `truncated` → call again with the
+ *      last returned seq.
+ *  • GET   /api/events/bots/:botId/logs?before=&limit=
+ *      One page of a bot's historical log, newest first; pass
+ *      `nextBefore` back as `before` to keep paging.
+ *
+ *  Only the caller's own entries are ever returned.
+ * =========================================================*/
+
+const express     = require("express");
+const router      = express.Router();
+const requireAuth = require("../middleware/requireAuth");
+const journal     = require("../services/eventJournal");
+
+const validate = require("../middleware/validate");
+const {
+  eventsSinceQuerySchema,
+  botLogParamsSchema,
+  botLogQuerySchema,
+} = require("./schemas/events.schema");
+
+/* ───────────────────────── GET / ───────────────────────── */
+router.get("/", requireAuth, validate({ query: eventsSinceQuerySchema }), async (req, res) => {
+  try {
+    const { after, topics, limit } = req.query;
+    const { entries, truncated } = await journal.since(req.user.id, after, {
+      topics: topics?.length ? topics : null,
+      limit,
+    });
+    res.json({
+      entries,
+      truncated,
+      cursor: entries.length ? entries[entries.length - 1].seq : after,
+      head: journal.head(),
+    });
+  } catch (err) {
+    console.error("❌ /events error:", err);
+    res.status(500).json({ error: "Failed to load events" });
+  }
+});
+
+/* ───────────────────────── GET /bots/:botId/logs ───────────────────────── */
+router.get(
+  "/bots/:botId/logs",
+  requireAuth,
+  validate({ params: botLogParamsSchema, query: botLogQuerySchema }),
+  async (req, res) => {
+    try {
+      const page = await journal.pageBotLog(req.user.id, req.params.botId, {
+        before: req.query.before ?? null,
+        limit: req.query.limit,
+      });
+      res.json(page);
+    } catch (err) {
+      console.error("❌ /events/bots/:botId/logs error:", err);
+      res.status(500).json({ error: "Failed to load bot log" });
+    }
+  }
+);
+
+module.exports = router;
@@ -11,6 +11,9 @@ const portfolio = require('./portfolio.js');
 const walletBalance = require('./wallets');
 const manualRouter = require('./manual');
 const telegramRouter = require('./telegram');
+const discordRouter = require('./discord');
+const notificationsRouter = require('./notifications');
+const watchlistRouter = require('./watchlist');
 const launchMulti = require('./launch-multi');
 const orders = require('./orders.js');
 const tpsl = require('./tpsl');
@@ -27,6 +30,15 @@ const requireAuth = require('../middleware/requireAuth');
 const flagsRouter = require("./flags");
 const { asyncLocalStorage } = require('../prisma/prisma');
 const armEncryptionRouter = require('./armSessions');
+const backtestRouter = require('./backtest');
+const rebalancerRouter = require('./rebalancer');
+const rotationRouter = require('./rotation');
+const riskRouter = require('./risk');
+const taxRouter = require('./tax');
+const eventsRouter = require('./events');
+const pipelinesRouter = require('./pipelines');
+const apiKeysRouter = require('./apiKeys');
+const webhooksRouter = require('./webhooks');
 
 console.log('✅ API router loaded.');
 
@@ -120,6 +132,10 @@ router.use('/manual', manualRouter);
 console.log('✅ /manual router loaded');
 router.use('/telegram', telegramRouter);
 console.log('✅ /telegram router loaded');
+router.use('/discord', discordRouter);
+console.log('✅ /discord router loaded');
+router.use('/notifications', notificationsRouter);
+console.log('✅ /notifications router loaded');
 router.use('/launch-multi', launchMulti);
 console.log('✅ /launch-multi router loaded');
 router.use('/orders', orders);
@@ -130,8 +146,26 @@ router.use('/prefs', prefs);
 console.log('✅ /prefs router loaded');
 router.use('/safety', safety);
 console.log('✅ /safety router loaded');
+router.use('/watchlist', watchlistRouter);
+console.log('✅ /watchlist router loaded');
 router.use('/schedule', schedulerRoutes);
 console.log('✅ /schedule router loaded');
+router.use('/backtest', backtestRouter);
+console.log('✅ /backtest router loaded');
+router.use('/rebalancer', rebalancerRouter);
+console.log('✅ /rebalancer router loaded');
+router.use('/rotation', rotationRouter);
+console.log('✅ /rotation router loaded');
+router.use('/risk', riskRouter);
+console.log('✅ /risk router loaded');
+router.use('/tax', taxRouter);
+console.log('✅ /tax router loaded');
+router.use('/events', eventsRouter);
+console.log('✅ /events router loaded');
+router.use('/pipelines', pipelinesRouter);
+console.log('✅ /pipelines router loaded');
+router.use('/webhooks', webhooksRouter);
+console.log('✅ /webhooks router loaded');
 
 // 🔑 Auth: rate limit + NO CACHE
 router.use('/auth', noCache, authLimiter, auth);
@@ -142,6 +176,8 @@ router.use('/payment', paymentRoutes);
 console.log('✅ /payment router loaded');
 
 // 👤 Account endpoints: NO CACHE
+router.use('/account/api-keys', noCache, apiKeysRouter);
+console.log('✅ /account/api-keys router loaded');
 router.use('/account', noCache, accountsRoute);
 console.log('✅ /account router loaded');
 
@@ -532,5 +532,82 @@ router.post("/sell", async (req, res) => {
   }
 });
 
+// ────────────────────────────────────────────────────────────────────────────
+// Arm sessions on behalf of a user (Telegram bot). The session cache lives in
+// this process, so chat front-ends go through here. Same handlers and 2FA gate
+// as /api/arm-encryption; `userId` comes from the body instead of a JWT.
+const { armWallet, extendSession, disarmSession } = require("./armSessions").handlers;
+const check2FA = require("../middleware/auth/check2FA");
+const { requiresTotp } = check2FA;
+const { status: armStatus } = require("../armEncryption/armGuardian");
+
+function actAsUser(req, res, next) {
+  const userId = req.body?.userId || req.query?.userId;
+  if (!userId) return res.status(400).json({ error: "Missing userId" });
+  req.user = { id: String(userId), type: "internal" };
+  next();
+}
+
+// GET /internal/arm/overview?userId= → protected wallets + time left
+router.get("/arm/overview", actAsUser, async (req, res) => {
+  try {
+    const [user, wallets] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { is2FAEnabled: true, require2faArm: true, require2faLogin: true, armDefaultMinutes: true },
+      }),
+      prisma.wallet.findMany({
+        where: { userId: req.user.id, isProtected: true },
+        select: { id: true, label: true },
+        orderBy: { id: "asc" },
+      }),
+    ]);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    return res.json({
+      requires2FA: requiresTotp(user),
+      armDefaultMinutes: user.armDefaultMinutes,
+      wallets: wallets.map((w) => {
+        const s = armStatus(req.user.id, w.id);
+        const msLeft = s?.armed ? Math.max(0, s.msLeft || 0) : 0;
+        return { id: w.id, label: w.label, armed: msLeft > 0, msLeft };
+      }),
+    });
+  } catch (err) {
+    console.error("❌ INTERNAL /arm/overview error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to load arm status" });
+  }
+});
+
+router.post("/arm", actAsUser, check2FA, armWallet);
+router.post("/arm/extend", actAsUser, check2FA, extendSession);
+router.post("/arm/disarm", actAsUser, check2FA, disarmSession);
+
+// ────────────────────────────────────────────────────────────────────────────
+// Bot control on behalf of a user (Telegram bot). Strategy children and their
+// risk state belong to this process, so start/pause/resume/stop must run here.
+// Every route answers botControl's `{ ok, … }` shape.
+const botControl = require("../services/botControl");
+
+function botRoute(label, fn) {
+  return async (req, res) => {
+    try {
+      return res.json(await fn(req.user.id, req));
+    } catch (err) {
+      console.error(`❌ INTERNAL /bots ${label} error:`, err?.message || err);
+      return res.status(500).json({ ok: false, error: `Failed to ${label} bot` });
+    }
+  };
+}
+
+router.get("/bots", actAsUser, botRoute("list", async (userId) => ({ ok: true, bots: await botControl.listBots(userId) })));
+router.get("/bots/saved", actAsUser, botRoute("list saved", async (userId) => ({ ok: true, presets: await botControl.listSavedConfigs(userId) })));
+router.get("/bots/:botId", actAsUser, botRoute("inspect", (userId, req) => botControl.botStatus(userId, req.params.botId)));
+router.post("/bots/start", actAsUser, botRoute("start", (userId, req) => botControl.startSavedConfig(userId, req.body?.ref)));
+router.post("/bots/pause-wallet", actAsUser, botRoute("pause", (userId, req) => botControl.pauseWallet(userId, req.body?.label)));
+router.post("/bots/:botId/pause", actAsUser, botRoute("pause", (userId, req) => botControl.pauseBot(userId, req.params.botId)));
+router.post("/bots/:botId/resume", actAsUser, botRoute("resume", (userId, req) => botControl.resumeBot(userId, req.params.botId)));
+router.post("/bots/:botId/stop", actAsUser, botRoute("stop", (userId, req) => botControl.stopBot(userId, req.params.botId)));
+
 // ────────────────────────────────────────────────────────────────────────────
 module.exports = router;
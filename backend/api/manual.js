@@ -3,6 +3,7 @@ const router = express.Router();
 const validate = require("../middleware/validate");
 const { csrfProtection } = require("../middleware/csrf");
 const { buySchema } = require("./schemas/manual.schema");
+const { exitPlanSchema } = require("./schemas/tpsl.schema");
 const { performManualBuy, performManualSellByAmount, performManualSell } = require("../services/manualExecutor");
 // const { getAvailableWalletLabels } = require("../services/utils/wallet/walletManager");
 // const { getUserPreferences } = require("../telegram/services/userPrefs");
@@ -44,6 +45,9 @@ function deriveIdKey(userId, path, body) {
     "sl",
     "tpPercent",
     "slPercent",
+    "tpLadder",
+    "trailingStopPct",
+    "breakEvenAfterTp",
   ]);
   const bucket = Math.floor(Date.now() / 30000); // 30s window
   const salt = String(process.env.IDEMPOTENCY_SALT || "");
@@ -456,6 +460,13 @@ router.post("/buy", requireAuth, csrfProtection, validate({ body: buySchema }),
         slPercent,
       } = req.body;
 
+      // Optional exit plan (ladder / trailing / break-even) for the TP/SL rule
+      const plan = exitPlanSchema.safeParse(req.body);
+      if (!plan.success) {
+        return { status: 400, response: { error: plan.error.errors[0]?.message || "Invalid exit plan." } };
+      }
+      const { tpLadder, trailingStopPct, breakEvenAfterTp } = plan.data;
+
       // Resolve wallet and label
       let wallet;
       let resolvedLabel = walletLabel;
@@ -518,6 +529,7 @@ router.post("/buy", requireAuth, csrfProtection, validate({ body: buySchema }),
       } catch (_) {}
 
       if (!force) {
+        await riskEngine.load(req.user.id);
         const rc = riskEngine.checkTrade(req.user.id, mint, proposedUsd);
         if (!rc.allowed) {
           return { status: 403, response: { error: `Risk limit exceeded: ${rc.reason}` } };
@@ -553,6 +565,9 @@ router.post("/buy", requireAuth, csrfProtection, validate({ body: buySchema }),
           sl,
           tpPercent,
           slPercent,
+          tpLadder,
+          trailingStopPct,
+          breakEvenAfterTp,
           clientOrderId: idKey,
         });
       } catch (e) {
@@ -312,8 +312,11 @@ router.get('/status/detailed', requireAuth, async (req, res) => {
 
 /* POST /save-config */
 router.post('/save-config', async (req, res) => {
-  const { mode, config, name = '' } = req.body;
+  const { mode, config, name = '', lineage = null } = req.body;
   if (!mode || !config) return res.status(400).json({ error: 'mode & config required' });
+  if (lineage != null && (typeof lineage !== 'object' || Array.isArray(lineage))) {
+    return res.status(400).json({ error: 'lineage must be an object' });
+  }
   try {
     const RUNTIME_KEYS = [
       'botId','pid','walletId','wallet','walletIds','wallets','userId','mode','status',
@@ -327,6 +330,7 @@ router.post('/save-config', async (req, res) => {
       mode,
       name,
       cfg: cleanCfg,
+      lineage,
     });
     res.json({ message: 'saved', id: row.id });
   } catch (err) {
@@ -346,6 +350,7 @@ router.get('/list-configs', async (req, res) => {
       name: r.name || "",
       savedAt: r.savedAt,
       config: r.extras || {},
+      lineage: r.lineage || null,
     }));
     res.json({ configs });
   } catch (err) {
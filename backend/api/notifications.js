@@ -0,0 +1,88 @@
+/* =========================================================
+ *  Notification Delivery Routes
+ * =========================================================
+ *  • GET     /api/notifications/settings   – quiet hours, digest mode, throttles
+ *                                            + messages currently held
+ *  • PUT     /api/notifications/settings   – update (partial)
+ *
+ *  Applies to Telegram alerts and the Telegram / email / Slack /
+ *  Discord notification channels; webhooks are never held. Policy
+ *  and the flush worker live in services/notifications/policy.js.
+ * =========================================================*/
+
+const express = require("express");
+const router  = express.Router();
+const prisma  = require("../prisma/prisma");
+const policy  = require("../services/notifications/policy");
+const { assertTimezone } = require("../services/utils/strategy_utils/scheduler/recurrence");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const { notificationSettingsSchema } = require("./schemas/notifications.schema");
+
+const FIELDS = Object.keys(policy.DEFAULTS);
+
+/* ───────────────────────── helpers ───────────────────────── */
+function toPublic(row) {
+  const out = {};
+  for (const k of FIELDS) out[k] = row?.[k] ?? policy.DEFAULTS[k];
+  return out;
+}
+
+async function heldSummary(userId) {
+  const groups = await prisma.notificationHold.groupBy({
+    by     : ["reason", "channel"],
+    where  : { userId },
+    _count : { _all: true },
+    _min   : { releaseAt: true },
+  });
+  return groups.map((g) => ({
+    reason   : g.reason,
+    channel  : g.channel,
+    count    : g._count._all,
+    releaseAt: g._min.releaseAt,
+  }));
+}
+
+/* ───────────────────────── GET /settings ───────────────────────── */
+router.get("/settings", async (req, res) => {
+  try {
+    const row = await prisma.notificationSettings.findUnique({ where: { userId: req.user.id } });
+    res.json({ settings: toPublic(row), held: await heldSummary(req.user.id) });
+  } catch (err) {
+    console.error("❌ Failed loading notification settings:", err.message);
+    res.status(500).json({ error: "Failed to load notification settings." });
+  }
+});
+
+/* ───────────────────────── PUT /settings ───────────────────────── */
+router.put("/settings", csrfProtection, validate({ body: notificationSettingsSchema }), async (req, res) => {
+  const userId = req.user.id;
+  try {
+    if (req.body.timezone) {
+      try {
+        assertTimezone(req.body.timezone);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+    const current = toPublic(await prisma.notificationSettings.findUnique({ where: { userId } }));
+    const next = { ...current, ...req.body };
+    if (next.quietStart === next.quietEnd) {
+      return res.status(400).json({ error: "Quiet hours start and end must differ." });
+    }
+
+    const row = await prisma.notificationSettings.upsert({
+      where : { userId },
+      create: { userId, ...next },
+      update: req.body,
+    });
+    policy.invalidate(userId);
+    res.json({ settings: toPublic(row), held: await heldSummary(userId) });
+  } catch (err) {
+    console.error("❌ Failed saving notification settings:", err.message);
+    res.status(500).json({ error: "Failed to save notification settings." });
+  }
+});
+
+module.exports = router;
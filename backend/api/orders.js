@@ -10,7 +10,9 @@ const requireAuth    = require("../middleware/requireAuth");
 
 const { getTokenBalanceRaw } = require("../utils/marketData");
 const getTokenPrice     = require("../services/strategies/paid_api/getTokenPrice");
-const { executeImmediateDcaBuy } = require("../services/dcaExecutor");
+const { executeImmediateDcaBuy, runDcaTranche } = require("../services/dcaExecutor");
+const { realizedVol } = require("../services/dcaPlanner");
+const { fetchCandles } = require("../services/strategies/core/backtest/candleSource");
 const getCachedPrice = require("../utils/priceCache.static").getCachedPrice;
 
 const router = express.Router();
@@ -21,7 +23,9 @@ const { runJob } = require("../services/jobs/jobRunner");
 // Additional middleware for validation and CSRF protection
 const validate = require("../middleware/validate");
 const { csrfProtection } = require("../middleware/csrf");
-const { limitOrderSchema, dcaOrderSchema } = require("./schemas/order.schema");
+const { limitOrderSchema, ocoOrderSchema, bracketOrderSchema, dcaOrderSchema } = require("./schemas/order.schema");
+const { buildOcoLegs, buildBracketLegs } = require("../services/limitOrderLegs");
+const { cancelLimitOrder } = require("../services/limitExecutor");
 
 
 function log(...msg)  { console.log(new Date().toISOString(), "[orders]", ...msg); }
@@ -77,7 +81,7 @@ router.get("/pending-limit", requireAuth, async (req, res) => {
   skip = Math.max(parseInt(skip, 10) || 0, 0);
 
   const rows = await prisma.limitOrder.findMany({
-    where  : { userId: req.user.id, status: { in: ["open", "executed"] }},
+    where  : { userId: req.user.id, status: { in: ["open", "pending", "executing", "executed"] }},
     orderBy: { createdAt: "asc" },
     take,
     skip,
@@ -94,10 +98,16 @@ router.get("/pending-limit", requireAuth, async (req, res) => {
       userId: true,
       status: true,
       createdAt: true,
-      tx: true 
+      tx: true,
+      triggerPrice: true,
+      triggeredAt: true,
+      groupId: true,
+      groupType: true,
+      role: true,
+      parentId: true
     }
   });
-  res.json(rows.map((r) => ({ ...r, type: "limit" }))); // ensure type
+  res.json(rows.map((r) => ({ ...r, type: r.type || "limit" }))); // ensure type
 });
 
 router.get("/pending-dca", requireAuth, async (req, res) => {
@@ -134,7 +144,13 @@ router.get("/pending-dca", requireAuth, async (req, res) => {
       needsFunding: true,
       status: true,
       tx: true,
-      createdAt: true
+      createdAt: true,
+      mode: true,
+      skippedCount: true,
+      spent: true,
+      filledQty: true,
+      lastBuyAt: true,
+      nextBuyAt: true
     }
   });
   res.json(rows.map((r) => ({ ...r, type: "dca" }))); // ensure type
@@ -454,10 +470,10 @@ router.delete("/cancel/:id", requireAuth, async (req, res) => {
 
 const limit = await prisma.limitOrder.findUnique({ where: { id } });
 if (limit && limit.userId === req.user.id) {
-  await prisma.limitOrder.delete({
-    where: { id }
-  });
-  return res.json({ success: true });
+  // Grouped legs (OCO / bracket) are canceled together, see cancelLimitOrder
+  const out = await cancelLimitOrder(limit);
+  if (!out.ok) return res.status(409).json({ error: out.reason });
+  return res.json({ success: true, canceled: out.canceled });
 }
 
 
@@ -484,7 +500,7 @@ router.post("/limit", requireAuth, csrfProtection, validate({ body: limitOrderSc
   try {
     const jobResult = await runJob(idKey, async () => {
       log("➡️  POST /limit", req.body);
-      const { mint, side = "buy", targetPrice, amount, force = false, walletLabel, walletId } = req.body;
+      const { mint, side = "buy", type = "limit", targetPrice, triggerPrice, amount, force = false, walletLabel, walletId } = req.body;
       if (!mint || !targetPrice || !amount) {
         return { status: 400, response: { error: "mint, targetPrice, amount required" } };
       }
@@ -539,11 +555,12 @@ router.post("/limit", requireAuth, csrfProtection, validate({ body: limitOrderSc
         // Build order
         const order = {
           id          : uuid(),
-          type        : "limit",
+          type,
           token       : mint,
           mint,
           price       : typeof live === "number" && Number.isFinite(live) ? live : null,
           targetPrice : +targetPrice,
+          triggerPrice: type === "stop_limit" ? +triggerPrice : null,
           side,
           amount      : +amount,
           force,
@@ -556,7 +573,9 @@ router.post("/limit", requireAuth, csrfProtection, validate({ body: limitOrderSc
 
         // Determine if price hit triggers immediate execution
         const liveOk = typeof live === "number" && Number.isFinite(live);
-        const hit = liveOk && ((side === "buy" && live <= order.targetPrice) || (side === "sell" && live >= order.targetPrice));
+        // Stop-limits always queue: the monitor arms them on the trigger first.
+        const hit = liveOk && type === "limit" &&
+          ((side === "buy" && live <= order.targetPrice) || (side === "sell" && live >= order.targetPrice));
         if (hit) {
           const { data } = await axios.post(`${API_BASE}/api/manual/${side}`, {
             mint,
@@ -595,6 +614,179 @@ router.post("/limit", requireAuth, csrfProtection, validate({ body: limitOrderSc
   }
 });
 
+/* ───────────────────── multi-leg limit orders ───────────────────── */
+// Resolve the order wallet (explicit walletId or the user's active wallet).
+async function resolveOrderWallet(userId, walletId, walletLabel) {
+  let id = walletId;
+  if (!id) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { activeWalletId: true } });
+    if (!user?.activeWalletId) return { error: { status: 400, response: { error: "No walletId provided and no active wallet set." } } };
+    id = user.activeWalletId;
+  }
+  const wallet = await prisma.wallet.findFirst({
+    where : { id: Number(id), userId },
+    select: { id: true, label: true, publicKey: true }
+  });
+  if (!wallet) return { error: { status: 404, response: { error: "Wallet not found." } } };
+  return { wallet, label: walletLabel || wallet.label };
+}
+
+async function livePrice(userId, mint) {
+  try {
+    const p = await getTokenPrice(userId, mint);
+    return typeof p === "number" && Number.isFinite(p) ? p : null;
+  } catch {
+    return null;
+  }
+}
+
+/* USD price plus the same quote in the DCA unit (SOL orders size in SOL) */
+async function dcaPrices(userId, mint, unit) {
+  const price = await livePrice(userId, mint);
+  if (!price || String(unit).toLowerCase() !== "sol") return { price, unitPrice: price };
+  const sol = await getCachedPrice(SOL_MINT);
+  return { price, unitPrice: sol ? price / sol : null };
+}
+
+async function dayVolatility(userId, mint) {
+  try {
+    const candles = await fetchCandles(mint, { interval: "1H", from: Date.now() - 24 * 3.6e6, to: Date.now(), userId });
+    return realizedVol(candles);
+  } catch {
+    return null;
+  }
+}
+
+function baseOrder({ userId, mint, amount, force, wallet, label, live, fallbackPrice }) {
+  return {
+    token      : mint,
+    mint,
+    price      : live ?? fallbackPrice,
+    amount     : amount ?? 0,
+    force,
+    walletLabel: label,
+    walletId   : wallet.id,
+    userId,
+    createdAt  : new Date(),
+  };
+}
+
+// One-cancels-other pair. Both legs are open at once; the executor claims
+// the first one to fill and cancels its sibling in the same transaction.
+router.post("/oco", requireAuth, csrfProtection, validate({ body: ocoOrderSchema }), async (req, res) => {
+  const idKey = req.get('Idempotency-Key') || req.headers['idempotency-key'] || null;
+  try {
+    const jobResult = await runJob(idKey, async () => {
+      log("➡️  POST /oco", req.body);
+      const { mint, amount, legs, force = false, walletLabel, walletId } = req.body;
+      const resolved = await resolveOrderWallet(req.user.id, walletId, walletLabel);
+      if (resolved.error) return resolved.error;
+      const { wallet, label } = resolved;
+
+      if (!force && legs.some((l) => l.side === "sell")) {
+        if (await getSplBalance(wallet.publicKey, mint) === 0) {
+          return { status: 403, response: { error: "You don’t own this token – tick ‘force queue’ to override.", needForce: true } };
+        }
+      }
+
+      const live = await livePrice(req.user.id, mint);
+      const base = baseOrder({
+        userId: req.user.id, mint, amount, force, wallet, label, live,
+        fallbackPrice: legs[0].targetPrice ?? legs[0].triggerPrice,
+      });
+      const rows = buildOcoLegs(base, legs);
+      await prisma.limitOrder.createMany({ data: rows });
+      return { status: 200, response: { success: true, groupId: rows[0].groupId, orders: rows } };
+    });
+    res.status(jobResult.status || 200).json(jobResult.response || {});
+  } catch (e) {
+    console.error("❌ Error in /oco handler:", e);
+    res.status(500).json({ error: e.message || "Failed to create OCO order" });
+  }
+});
+
+// Bracket: entry BUY plus TP/SL exits that stay pending until it fills.
+router.post("/bracket", requireAuth, csrfProtection, validate({ body: bracketOrderSchema }), async (req, res) => {
+  const idKey = req.get('Idempotency-Key') || req.headers['idempotency-key'] || null;
+  try {
+    const jobResult = await runJob(idKey, async () => {
+      log("➡️  POST /bracket", req.body);
+      const { mint, amount, entry, takeProfit, stopLoss, force = false, walletLabel, walletId } = req.body;
+      const resolved = await resolveOrderWallet(req.user.id, walletId, walletLabel);
+      if (resolved.error) return resolved.error;
+      const { wallet, label } = resolved;
+
+      if (!force) {
+        const { _sum } = await prisma.limitOrder.aggregate({
+          _sum: { amount: true },
+          where: { userId: req.user.id, walletId: wallet.id, side: "buy", status: "open" }
+        });
+        if (await getUsdcBalance(wallet.publicKey) < ((_sum.amount ?? 0) + +amount) * 0.95) {
+          return { status: 403, response: { error: "Not enough USDC to fund this order." } };
+        }
+      }
+
+      const live = await livePrice(req.user.id, mint);
+      const base = baseOrder({
+        userId: req.user.id, mint, amount, force, wallet, label, live,
+        fallbackPrice: entry.targetPrice,
+      });
+      const rows = buildBracketLegs(base, { entry, takeProfit, stopLoss });
+      await prisma.limitOrder.createMany({ data: rows });
+      return { status: 200, response: { success: true, groupId: rows[0].groupId, orders: rows } };
+    });
+    res.status(jobResult.status || 200).json(jobResult.response || {});
+  } catch (e) {
+    console.error("❌ Error in /bracket handler:", e);
+    res.status(500).json({ error: e.message || "Failed to create bracket order" });
+  }
+});
+
+/* ───────────────────────── GET /dca ─────────────────────────── */
+// DCA orders with their most recent tranches (executed / skipped / failed).
+router.get("/dca", requireAuth, async (req, res) => {
+  let { take = 50, skip = 0, status } = req.query;
+  take = Math.min(parseInt(take, 10) || 50, 200);
+  skip = Math.max(parseInt(skip, 10) || 0, 0);
+
+  try {
+    const rows = await prisma.dcaOrder.findMany({
+      where  : { userId: req.user.id, ...(status ? { status: String(status) } : {}) },
+      orderBy: { createdAt: "desc" },
+      take,
+      skip,
+      include: { tranches: { orderBy: { createdAt: "desc" }, take: 20 } },
+    });
+    res.json(rows.map((r) => ({ ...r, type: "dca" })));
+  } catch (err) {
+    console.error("❌ GET /dca error:", err);
+    res.status(500).json({ error: "Failed to load DCA orders" });
+  }
+});
+
+/* ───────────────────────── GET /dca/:id/tranches ───────────── */
+router.get("/dca/:id/tranches", requireAuth, async (req, res) => {
+  let { take = 100, skip = 0 } = req.query;
+  take = Math.min(parseInt(take, 10) || 100, 500);
+  skip = Math.max(parseInt(skip, 10) || 0, 0);
+
+  try {
+    const order = await prisma.dcaOrder.findUnique({ where: { id: req.params.id }, select: { userId: true } });
+    if (!order || order.userId !== req.user.id) return res.status(404).json({ error: "DCA order not found" });
+
+    const tranches = await prisma.dcaTranche.findMany({
+      where  : { orderId: req.params.id },
+      orderBy: { createdAt: "asc" },
+      take,
+      skip,
+    });
+    res.json(tranches);
+  } catch (err) {
+    console.error("❌ GET /dca/:id/tranches error:", err);
+    res.status(500).json({ error: "Failed to load DCA tranches" });
+  }
+});
+
 // -----------------------------------------------------------------------------
 // Idempotent DCA order creation. This handler wraps the legacy logic in a
 // job runner to prevent duplicate order creation on repeated requests.
@@ -614,7 +806,13 @@ router.post("/dca", requireAuth, csrfProtection, validate({ body: dcaOrderSchema
         stopBelow,
         force = false,
         walletLabel,
-        walletId
+        walletId,
+        mode = "fixed",
+        targetIncrement,
+        dipFactor,
+        maxTrancheMult,
+        volRef,
+        firstBuyNow = true
       } = req.body;
       if (!mint || !amount || !unit || !numBuys || !freqHours) {
         return { status: 400, response: { error: "mint, amount, unit, numBuys, freqHours required" } };
@@ -663,6 +861,7 @@ router.post("/dca", requireAuth, csrfProtection, validate({ body: dcaOrderSchema
         }
         const chunk = +amount / +numBuys;
         const id = uuid();
+        const { price: startPrice, unitPrice } = await dcaPrices(req.user.id, mint, unit);
         const order = {
           id,
           type: "dca",
@@ -688,22 +887,30 @@ router.post("/dca", requireAuth, csrfProtection, validate({ body: dcaOrderSchema
           needsFunding,
           status: "active",
           tx: null,
-          createdAt: new Date()
+          createdAt: new Date(),
+          firstBuyNow,
+          mode,
+          targetIncrement: targetIncrement ?? null,
+          dipFactor: dipFactor ?? null,
+          maxTrancheMult: maxTrancheMult ?? null,
+          // without an explicit reference, vol mode paces against today's volatility
+          volRef: mode === "vol" ? (volRef ?? await dayVolatility(req.user.id, mint)) : null,
+          startPrice
         };
         await prisma.dcaOrder.create({ data: order });
         console.log(`✅ DCA order stored: ${order.id}`);
         let swapTx = null, swapFailed = false;
-        if (side === "buy" && (!needsFunding || force)) {
+        if (firstBuyNow && (!needsFunding || force)) {
           try {
-            const authHeader = req.headers.authorization;
-            const result = await executeImmediateDcaBuy(req.user.id, { ...order, amountPerBuy: chunk }, authHeader);
+            // runDcaTranche sizes the first round for the chosen mode and
+            // updates the row + tranche history itself
+            const result = await runDcaTranche(req.user.id, order, {
+              authHeader: req.headers.authorization,
+              price: startPrice,
+              unitPrice,
+            });
             swapTx = result?.tx || null;
-            if (swapTx) {
-              await prisma.dcaOrder.update({
-                where: { id },
-                data: { tx: swapTx, completedBuys: 1 }
-              });
-            }
+            swapFailed = result.action === "execute" && !swapTx;
           } catch (err) {
             swapFailed = true;
             console.error(`❌ DCA buy failed for order ${order.id}:`, err.message);
@@ -0,0 +1,124 @@
+/* =========================================================
+ *  Strategy Pipeline Routes
+ * =========================================================
+ *  • GET     /api/pipelines               – caller's pipelines + last firing
+ *  • POST    /api/pipelines               – create a pipeline
+ *  • PUT     /api/pipelines/:id           – edit / enable / disable
+ *  • DELETE  /api/pipelines/:id           – delete (and its firing log)
+ *  • GET     /api/pipelines/:id/firings   – firing history, newest first
+ *
+ *  Rules run in services/pipelines; every change drops the
+ *  user's cached rules so it applies to the next event.
+ * =========================================================*/
+
+const express     = require("express");
+const router      = express.Router();
+const prisma      = require("../prisma/prisma");
+const requireAuth = require("../middleware/requireAuth");
+const pipelines   = require("../services/pipelines");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const {
+  pipelineCreateSchema,
+  pipelineUpdateSchema,
+  firingsQuerySchema,
+} = require("./schemas/pipelines.schema");
+
+/* ───────────────────────── helpers ───────────────────────── */
+function owned(userId, id) {
+  return prisma.strategyPipeline.findFirst({ where: { id, userId } });
+}
+
+/* ───────────────────────── GET / ───────────────────────── */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const rows = await prisma.strategyPipeline.findMany({
+      where  : { userId: req.user.id },
+      orderBy: { createdAt: "asc" },
+      include: { firings: { orderBy: { createdAt: "desc" }, take: 1 } },
+    });
+    res.json({
+      pipelines: rows.map(({ firings, ...p }) => ({ ...p, lastFiring: firings[0] || null })),
+    });
+  } catch (err) {
+    console.error("❌ Failed listing pipelines:", err.message);
+    res.status(500).json({ error: "Failed to load pipelines." });
+  }
+});
+
+/* ───────────────────────── POST / ───────────────────────── */
+router.post("/", requireAuth, csrfProtection, validate({ body: pipelineCreateSchema }), async (req, res) => {
+  try {
+    const errs = pipelines.validatePipeline(req.body);
+    if (errs.length) return res.status(400).json({ error: "Invalid pipeline", details: errs });
+
+    const row = await prisma.strategyPipeline.create({
+      data: { ...req.body, userId: req.user.id },
+    });
+    pipelines.invalidate(req.user.id);
+    res.status(201).json({ pipeline: row });
+  } catch (err) {
+    console.error("❌ Failed creating pipeline:", err.message);
+    res.status(500).json({ error: "Failed to create pipeline." });
+  }
+});
+
+/* ───────────────────────── PUT /:id ───────────────────────── */
+router.put("/:id", requireAuth, csrfProtection, validate({ body: pipelineUpdateSchema }), async (req, res) => {
+  try {
+    const existing = await owned(req.user.id, req.params.id);
+    if (!existing) return res.status(404).json({ error: "Pipeline not found" });
+
+    const next = { ...existing, ...req.body };
+    const errs = pipelines.validatePipeline(next);
+    if (errs.length) return res.status(400).json({ error: "Invalid pipeline", details: errs });
+
+    const row = await prisma.strategyPipeline.update({
+      where: { id: existing.id },
+      data : req.body,
+    });
+    pipelines.invalidate(req.user.id);
+    res.json({ pipeline: row });
+  } catch (err) {
+    console.error("❌ Failed updating pipeline:", err.message);
+    res.status(500).json({ error: "Failed to update pipeline." });
+  }
+});
+
+/* ───────────────────────── DELETE /:id ───────────────────────── */
+router.delete("/:id", requireAuth, csrfProtection, async (req, res) => {
+  try {
+    const { count } = await prisma.strategyPipeline.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    if (!count) return res.status(404).json({ error: "Pipeline not found" });
+    pipelines.invalidate(req.user.id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Failed deleting pipeline:", err.message);
+    res.status(500).json({ error: "Failed to delete pipeline." });
+  }
+});
+
+/* ───────────────────────── GET /:id/firings ───────────────────────── */
+router.get("/:id/firings", requireAuth, validate({ query: firingsQuerySchema }), async (req, res) => {
+  try {
+    const existing = await owned(req.user.id, req.params.id);
+    if (!existing) return res.status(404).json({ error: "Pipeline not found" });
+
+    const take = req.query.take ?? 50;
+    const skip = req.query.skip ?? 0;
+    const where = { pipelineId: existing.id };
+    const [firings, total] = await Promise.all([
+      prisma.pipelineFiring.findMany({ where, orderBy: { createdAt: "desc" }, take, skip }),
+      prisma.pipelineFiring.count({ where }),
+    ]);
+    res.json({ firings, total, take, skip });
+  } catch (err) {
+    console.error("❌ Failed loading pipeline firings:", err.message);
+    res.status(500).json({ error: "Failed to load firings." });
+  }
+});
+
+module.exports = router;
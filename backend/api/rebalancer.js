@@ -0,0 +1,51 @@
+/* =========================================================
+ *  Rebalancer Routes
+ * =========================================================
+ *  • POST  /api/rebalancer/preview – dry-run plan for a rebalancer
+ *                                    config: target weights, drift per
+ *                                    asset and the proposed swaps with
+ *                                    Jupiter's estimated price impact
+ *
+ *  Nothing is signed or sent; the bot itself uses the same planner
+ *  (services/strategies/core/rebalancePlanner.js).
+ * =========================================================*/
+
+const express = require("express");
+const router  = express.Router();
+const prisma  = require("../prisma/prisma");
+const { previewRebalance } = require("../services/strategies/core/rebalancePreview");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const { rebalancePreviewSchema } = require("./schemas/rebalancer.schema");
+
+/* ───────────────────────── helpers ───────────────────────── */
+// explicit walletId → the config's wallet → the user's active wallet
+async function walletPublicKey(userId, walletId) {
+  if (walletId == null || walletId === "") {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { activeWalletId: true } });
+    walletId = user?.activeWalletId;
+  }
+  walletId = Number(walletId);
+  if (!Number.isInteger(walletId)) return null;
+  const wallet = await prisma.wallet.findFirst({ where: { id: walletId, userId }, select: { publicKey: true } });
+  return wallet?.publicKey ?? null;
+}
+
+/* ───────────────────────── POST /preview ───────────────────────── */
+router.post("/preview", csrfProtection, validate({ body: rebalancePreviewSchema }), async (req, res) => {
+  try {
+    const { config, walletId } = req.body;
+    const publicKey = await walletPublicKey(req.user.id, walletId ?? config.walletId);
+    if (!publicKey) return res.status(404).json({ error: "Wallet not found." });
+
+    const preview = await previewRebalance({ config, walletPublicKey: publicKey, userId: req.user.id });
+    res.json(preview);
+  } catch (err) {
+    if (err.expose) return res.status(err.status || 400).json({ error: err.message });
+    console.error("❌ Rebalance preview failed:", err.message);
+    res.status(500).json({ error: "Failed to build rebalance preview." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/* =========================================================
+ *  Risk Engine Routes
+ * =========================================================
+ *  • GET   /api/risk/exposure            – exposure, daily loss, kill switch
+ *  • GET   /api/risk/limits              – effective limits + overrides
+ *  • PUT   /api/risk/limits              – replace per-user limit overrides
+ *  • POST  /api/risk/kill-switch/engage  – block all trading for the user
+ *  • POST  /api/risk/kill-switch/reset   – resume trading
+ * =========================================================*/
+
+const express     = require("express");
+const router      = express.Router();
+const requireAuth = require("../middleware/requireAuth");
+const riskEngine  = require("../services/riskEngine");
+const { logSecurityEvent } = require("../services/security/auditLog");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const { riskLimitsSchema, killSwitchEngageSchema } = require("./schemas/risk.schema");
+
+/* ───────────────────────── helpers ───────────────────────── */
+async function audit(userId, type, meta) {
+  try {
+    await logSecurityEvent(userId, type, meta);
+  } catch (err) {
+    console.error("❌ Risk audit log failed:", err.message);
+  }
+}
+
+/* ───────────────────────── GET /exposure ───────────────────────── */
+router.get("/exposure", requireAuth, async (req, res) => {
+  try {
+    const state = await riskEngine.load(req.user.id, { force: true });
+    res.json(state);
+  } catch (err) {
+    console.error("❌ Failed fetching risk exposure:", err.message);
+    res.status(500).json({ error: "Failed to fetch risk exposure." });
+  }
+});
+
+/* ───────────────────────── GET /limits ───────────────────────── */
+router.get("/limits", requireAuth, async (req, res) => {
+  try {
+    await riskEngine.load(req.user.id);
+    res.json({
+      limits: riskEngine.getLimits(req.user.id),
+      overrides: riskEngine.getState(req.user.id).overrides,
+      defaults: riskEngine.DEFAULT_LIMITS,
+    });
+  } catch (err) {
+    console.error("❌ Failed fetching risk limits:", err.message);
+    res.status(500).json({ error: "Failed to fetch risk limits." });
+  }
+});
+
+/* ───────────────────────── PUT /limits ───────────────────────── */
+router.put("/limits", requireAuth, csrfProtection, validate({ body: riskLimitsSchema }), async (req, res, next) => {
+  try {
+    await riskEngine.load(req.user.id);
+    const limits = await riskEngine.setLimits(req.user.id, req.body);
+    await audit(req.user.id, "RISK_LIMITS_UPDATED", { overrides: req.body });
+    res.json({ ok: true, limits });
+  } catch (err) {
+    next({ status: 400, message: err.message || "Failed to update risk limits" });
+  }
+});
+
+/* ───────────────────────── POST /kill-switch/engage ───────────────────────── */
+router.post("/kill-switch/engage", requireAuth, csrfProtection, validate({ body: killSwitchEngageSchema }), async (req, res) => {
+  try {
+    const reason = req.body.reason || "Engaged manually";
+    await riskEngine.triggerKillSwitch(req.user.id, reason);
+    await audit(req.user.id, "RISK_KILL_ENGAGED", { reason });
+    res.json(riskEngine.getState(req.user.id));
+  } catch (err) {
+    console.error("❌ Failed engaging kill switch:", err.message);
+    res.status(500).json({ error: "Failed to engage kill switch." });
+  }
+});
+
+/* ───────────────────────── POST /kill-switch/reset ───────────────────────── */
+router.post("/kill-switch/reset", requireAuth, csrfProtection, async (req, res) => {
+  try {
+    const before = await riskEngine.load(req.user.id, { force: true });
+    await riskEngine.resetKillSwitch(req.user.id);
+    await audit(req.user.id, "RISK_KILL_RESET", { previousReason: before.killReason, previousDailyLossUsd: before.dailyLossUsd });
+    res.json(riskEngine.getState(req.user.id));
+  } catch (err) {
+    console.error("❌ Failed resetting kill switch:", err.message);
+    res.status(500).json({ error: "Failed to reset kill switch." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/* =========================================================
+ *  Rotation Routes
+ * =========================================================
+ *  • GET  /api/rotation/snapshots       – caller's rotationBot ranking
+ *                                         snapshots, newest first
+ *                                         (?botId, ?rotated, ?before, ?limit)
+ *  • GET  /api/rotation/snapshots/:id   – one snapshot
+ *
+ *  Snapshots are written by the bot on every decision with a winner
+ *  (services/strategies/rotationBot.js); each one holds the full
+ *  ranking so users can see why it rotated.
+ * =========================================================*/
+
+const express = require("express");
+const router  = express.Router();
+const prisma  = require("../prisma/prisma");
+
+const validate = require("../middleware/validate");
+const { rotationSnapshotsQuerySchema } = require("./schemas/rotation.schema");
+
+/* ───────────────────────── GET /snapshots ───────────────────────── */
+router.get("/snapshots", validate({ query: rotationSnapshotsQuerySchema }), async (req, res) => {
+  try {
+    const { botId, rotated, before, limit } = req.query;
+    const snapshots = await prisma.rotationSnapshot.findMany({
+      where: {
+        userId: req.user.id,
+        ...(botId && { botId }),
+        ...(rotated !== undefined && { rotated }),
+        ...(before && { createdAt: { lt: before } }),
+      },
+      orderBy: { createdAt: "desc" },
+      take: limit,
+    });
+    res.json({ snapshots });
+  } catch (err) {
+    console.error("❌ Failed to load rotation snapshots:", err.message);
+    res.status(500).json({ error: "Failed to load rotation snapshots." });
+  }
+});
+
+/* ───────────────────────── GET /snapshots/:id ───────────────────────── */
+router.get("/snapshots/:id", async (req, res) => {
+  try {
+    const snapshot = await prisma.rotationSnapshot.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    if (!snapshot) return res.status(404).json({ error: "Snapshot not found." });
+    res.json({ snapshot });
+  } catch (err) {
+    console.error("❌ Failed to load rotation snapshot:", err.message);
+    res.status(500).json({ error: "Failed to load rotation snapshot." });
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,7 @@ const {
   cancelSchedule,     // handles timer cancel + DB delete
   updateSchedule,     // handles timer re-arm + DB update
   listSchedules,      // optional: in-memory view
+  listRuns,           // per-occurrence history of recurring schedules
 } = require("../services/utils/strategy_utils/scheduler/strategyScheduler");
 
 const validate = require("../middleware/validate");
@@ -40,6 +41,9 @@ router.post("/create", requireAuth, csrfProtection, validate({ body: scheduleCre
       limit       = null,
       walletLabel,
       walletId,
+      recurrence     = null,   // { type:"cron", expr } | { type:"window", days, start, end }
+      timezone       = null,
+      maxDurationMin = null,
     } = req.body;
 
     /* ── resolve wallet ── */
@@ -69,6 +73,9 @@ router.post("/create", requireAuth, csrfProtection, validate({ body: scheduleCre
       buyMode : config.buyMode ?? "interval",
       userId  : req.user.id,
       walletId: resolvedWalletId,
+      recurrence,
+      timezone,
+      maxDurationMin,
     });
 
     res.json({ ok: true, jobId });
@@ -92,6 +99,19 @@ router.get("/list", requireAuth, async (req, res, next) => {
   } catch (err) { next({ status: 400, message: err.message }); }
 });
 
+/* ────────────────────────────────────────────
+ *  GET /api/schedule/:jobId/runs
+ *  (occurrence history of a recurring schedule)
+ * ──────────────────────────────────────────── */
+router.get("/:jobId/runs", requireAuth, async (req, res, next) => {
+  try {
+    const page = __getPage(req, { take: 50, skip: 0, cap: 200 });
+    const result = await listRuns(req.params.jobId, req.user.id, page);
+    if (!result) return res.status(404).json({ error: "Schedule not found" });
+    res.json({ ...result, ...page });
+  } catch (err) { next({ status: 400, message: err.message }); }
+});
+
 /* ────────────────────────────────────────────
  *  POST /api/schedule/cancel
  * ──────────────────────────────────────────── */
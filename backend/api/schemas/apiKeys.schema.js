@@ -0,0 +1,28 @@
+const { z } = require("zod");
+
+/*
+ * Schemas for user API keys. IP / CIDR syntax and the active-key limit
+ * are checked by services/security/apiKeys.
+ */
+
+const scopes = z.array(z.enum(["read", "trade", "strategies", "orders"])).min(1, "pick at least one scope");
+const ipAllowlist = z.array(z.string().trim().min(1).max(64)).max(20);
+
+const apiKeyCreateSchema = z.object({
+  name: z.string().trim().min(1, "name is required").max(64),
+  scopes,
+  ipAllowlist: ipAllowlist.optional().default([]),
+  expiresInDays: z.coerce.number().int().min(1).max(365).default(90),
+  requireSignature: z.boolean().optional().default(true),
+  twoFactorToken: z.string().optional(),
+});
+
+const apiKeyUpdateSchema = z
+  .object({
+    name: z.string().trim().min(1).max(64).optional(),
+    scopes: scopes.optional(),
+    ipAllowlist: ipAllowlist.optional(),
+  })
+  .refine((b) => Object.keys(b).length > 0, { message: "nothing to update" });
+
+module.exports = { apiKeyCreateSchema, apiKeyUpdateSchema };
@@ -0,0 +1,75 @@
+const { z } = require("zod");
+
+/*
+ * Schema for running a historical backtest. The strategy config can be
+ * passed inline or loaded from a saved preset via configId. Candles are
+ * either supplied inline (any shape understood by candleSource) or
+ * fetched from Birdeye for a mint over [from, to]. Options tune the
+ * simulated account (starting capital, SOL price, trade size, seed).
+ */
+
+const numeric = z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().positive().optional());
+
+const backtestRunSchema = z.object({
+  mode: z.string().min(1, "mode is required"),
+  config: z.record(z.any()).optional(),
+  configId: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().int().positive().optional()),
+  candles: z.array(z.any()).optional(),
+  mint: z.string().min(32).max(44).optional(),
+  interval: z.string().optional().default("15m"),
+  from: z.union([z.string(), z.number()]).optional(),
+  to: z.union([z.string(), z.number()]).optional(),
+  options: z.object({
+    initialCapitalUsd: numeric,
+    solPriceUsd: numeric,
+    tradeSizeUsd: numeric,
+    seed: z.string().optional(),
+  }).optional().default({}),
+}).refine((data) => Array.isArray(data.candles) || Boolean(data.mint), {
+  message: "candles[] or mint is required",
+}).refine((data) => Boolean(data.config) || data.configId != null, {
+  message: "config or configId is required",
+});
+
+/*
+ * Schema for a walk-forward optimisation. The base config must be a
+ * saved preset (configId); `grid` maps config keys to either a list of
+ * values or a numeric { min, max, step } range. Candles follow the same
+ * rules as a single backtest run.
+ */
+
+const gridAxis = z.union([
+  z.array(z.any()).min(1),
+  z.object({ min: z.number(), max: z.number(), step: z.number().positive() }),
+]);
+
+const optimizeSchema = z.object({
+  configId: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().int().positive()),
+  mode: z.string().min(1).optional(),
+  grid: z.record(gridAxis).refine((g) => Object.keys(g).length > 0, { message: "grid must define at least one parameter" }),
+  candles: z.array(z.any()).optional(),
+  mint: z.string().min(32).max(44).optional(),
+  interval: z.string().optional().default("15m"),
+  from: z.union([z.string(), z.number()]).optional(),
+  to: z.union([z.string(), z.number()]).optional(),
+  options: z.object({
+    folds: z.number().int().min(1).max(12).optional(),
+    trainRatio: z.number().gt(0).lt(1).optional(),
+    anchored: z.boolean().optional(),
+    rankBy: z.enum(["composite", "sharpe", "maxDrawdownPct", "winRate"]).optional(),
+    topN: z.number().int().min(1).max(50).optional(),
+    minTrades: z.number().int().min(0).optional(),
+    maxCandidates: z.number().int().min(1).max(500).optional(),
+    initialCapitalUsd: numeric,
+    solPriceUsd: numeric,
+    tradeSizeUsd: numeric,
+    seed: z.string().optional(),
+  }).optional().default({}),
+}).refine((data) => Array.isArray(data.candles) || Boolean(data.mint), {
+  message: "candles[] or mint is required",
+});
+
+module.exports = {
+  backtestRunSchema,
+  optimizeSchema,
+};
@@ -0,0 +1,33 @@
+const { z } = require("zod");
+const { EVENT_TYPES } = require("../../services/notifications/events");
+const { CATEGORIES, isDiscordWebhookUrl } = require("../../services/notifications/providers/discord");
+
+/*
+ * Schemas for the Discord notification channel. Channel mapping keys are
+ * the categories (trades / pnl / alerts) or individual event types.
+ */
+
+const webhookUrl = z
+  .string()
+  .trim()
+  .max(512)
+  .refine(isDiscordWebhookUrl, { message: "must be a Discord webhook URL (https://discord.com/api/webhooks/…)" });
+
+const channels = z
+  .object(Object.fromEntries([...CATEGORIES, ...EVENT_TYPES].map((k) => [k, webhookUrl.nullable().optional()])))
+  .strict();
+
+// PUT / – omitted fields keep their saved value, null clears them
+const discordConfigSchema = z.object({
+  webhookUrl: webhookUrl.nullable().optional(),
+  channels: channels.optional(),
+  mentionRoleId: z.string().regex(/^\d{5,25}$/, "must be a Discord role id").nullable().optional(),
+  events: z.array(z.enum(EVENT_TYPES)).max(EVENT_TYPES.length).optional(),
+});
+
+// POST /test – optional URL to try before saving
+const discordTestSchema = z.object({
+  webhookUrl: webhookUrl.optional(),
+});
+
+module.exports = { discordConfigSchema, discordTestSchema };
@@ -0,0 +1,36 @@
+const { z } = require("zod");
+
+/*
+ * Query schemas for the event journal. Cursors are journal seqs:
+ * `after` resumes a live stream (oldest first), `before` pages a bot's
+ * history backwards (newest first). `topics` is a comma list of WS topics.
+ */
+
+const int = (v) => (v === "" || v == null ? undefined : Number(v));
+const TOPIC_RE = /^(orders|logs:\*|logs:[\w.:-]{1,128})$/;
+
+// GET /
+const eventsSinceQuerySchema = z.object({
+  after: z.preprocess(int, z.number().int().min(0).default(0)),
+  topics: z.preprocess(
+    (v) => (typeof v === "string" ? v.split(",").map((t) => t.trim()).filter(Boolean) : v),
+    z.array(z.string().regex(TOPIC_RE, "unknown topic")).max(50).optional()
+  ),
+  limit: z.preprocess(int, z.number().int().min(1).max(1000).optional()),
+});
+
+// GET /bots/:botId/logs
+const botLogParamsSchema = z.object({
+  botId: z.string().min(1).max(128),
+});
+
+const botLogQuerySchema = z.object({
+  before: z.preprocess(int, z.number().int().positive().optional()),
+  limit: z.preprocess(int, z.number().int().min(1).max(500).optional()),
+});
+
+module.exports = {
+  eventsSinceQuerySchema,
+  botLogParamsSchema,
+  botLogQuerySchema,
+};
@@ -26,10 +26,12 @@ const startMultiSchema = z.object({
 });
 
 // POST /save-config
+// `lineage` is set when saving an optimiser winner (see /api/backtest/optimize)
 const saveConfigSchema = z.object({
   mode: z.string().min(1),
   name: z.string().default(""),
   config: walletAwareConfig,
+  lineage: z.record(z.any()).nullable().optional(),
 });
 
 // GET /list-configs (no query required)
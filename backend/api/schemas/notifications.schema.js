@@ -0,0 +1,33 @@
+const { z } = require("zod");
+
+/*
+ * Delivery policy settings (services/notifications/policy.js). The
+ * timezone is checked against Intl by the route.
+ */
+
+const hhmm = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "must be HH:MM");
+
+const throttleRule = z.object({
+  max: z.number().int().min(1).max(1000),
+  windowMin: z.number().int().min(1).max(1440),
+});
+
+// PUT /settings – omitted fields keep their saved value
+const notificationSettingsSchema = z
+  .object({
+    timezone: z.string().trim().min(1).max(64).optional(),
+    quietEnabled: z.boolean().optional(),
+    quietStart: hhmm.optional(),
+    quietEnd: hhmm.optional(),
+    digestMode: z.enum(["off", "hourly", "daily"]).optional(),
+    digestHour: z.number().int().min(0).max(23).optional(),
+    throttles: z
+      .record(z.string().trim().min(1).max(40), throttleRule)
+      .refine((t) => Object.keys(t).length <= 50, { message: "at most 50 throttle rules" })
+      .optional(),
+  })
+  .refine((b) => !b.quietStart || !b.quietEnd || b.quietStart !== b.quietEnd, {
+    message: "quiet hours start and end must differ",
+  });
+
+module.exports = { notificationSettingsSchema };
@@ -2,32 +2,99 @@ const { z } = require("zod");
 
 /*
  * Schemas for order‑related endpoints. Two main order types exist in the
- * application today: limit orders and DCA (dollar cost average) orders.
+ * application today: limit orders (including stop-limit, OCO and bracket
+ * groups) and DCA (dollar cost average) orders.
  * Each schema coerces incoming numeric values to numbers, validates
  * required fields, and applies sensible defaults for optional values.
  */
 
+const price = z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().positive());
+const optionalPrice = z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().positive().optional());
+const forceFlag = z.preprocess((v) => v === 'true' ? true : v === 'false' ? false : v, z.boolean()).optional().default(false);
+const walletIdField = z.preprocess((v) => (v === '' || v == null ? undefined : v), z.union([z.string(), z.number()])).optional();
+
+const stopNeedsTrigger = [
+  (o) => o.type !== "stop_limit" || o.triggerPrice != null,
+  { message: "triggerPrice is required for stop_limit orders" },
+];
+
 /**
  * Schema for creating a limit order. Requires the target mint,
  * the price at which to execute and the amount. Optional fields
  * include the side (buy/sell), a boolean force flag and wallet
- * identifiers. side defaults to 'buy'.
+ * identifiers. side defaults to 'buy'. A `stop_limit` order also
+ * needs a triggerPrice; targetPrice is then its limit price.
  */
 const limitOrderSchema = z.object({
   mint: z.string().min(1, "mint is required"),
   side: z.enum(["buy", "sell"]).optional().default("buy"),
-  targetPrice: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().positive()),
+  type: z.enum(["limit", "stop_limit"]).optional().default("limit"),
+  targetPrice: price,
+  triggerPrice: optionalPrice,
   amount: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().positive()),
-  force: z.preprocess((v) => v === 'true' ? true : v === 'false' ? false : v, z.boolean()).optional().default(false),
+  force: forceFlag,
   walletLabel: z.string().optional(),
-  walletId: z.preprocess((v) => (v === '' || v == null ? undefined : v), z.union([z.string(), z.number()])).optional(),
+  walletId: walletIdField,
+}).refine(...stopNeedsTrigger);
+
+/* One leg of an OCO pair. amount falls back to the pair's amount. */
+const ocoLegSchema = z.object({
+  side: z.enum(["buy", "sell"]),
+  type: z.enum(["limit", "stop_limit"]).optional().default("limit"),
+  targetPrice: optionalPrice,
+  triggerPrice: optionalPrice,
+  amount: optionalPrice,
+}).refine(...stopNeedsTrigger)
+  .refine((l) => l.type === "stop_limit" || l.targetPrice != null, { message: "targetPrice is required for limit legs" });
+
+/**
+ * Schema for a one-cancels-other pair, e.g. a take-profit limit sell and
+ * a protective stop on the same tokens. Whichever leg fills first cancels
+ * the other.
+ */
+const ocoOrderSchema = z.object({
+  mint: z.string().min(1, "mint is required"),
+  amount: optionalPrice,
+  legs: z.array(ocoLegSchema).length(2, "an OCO order needs exactly two legs"),
+  force: forceFlag,
+  walletLabel: z.string().optional(),
+  walletId: walletIdField,
+}).refine((o) => o.legs.every((l) => (l.amount ?? o.amount) != null), {
+  message: "amount is required (on the order or on each leg)",
+});
+
+/**
+ * Schema for a bracket order: a BUY entry (limit or stop-limit, sized in
+ * USDC) with a take-profit and a stop-loss that go live once it fills.
+ */
+const bracketOrderSchema = z.object({
+  mint: z.string().min(1, "mint is required"),
+  amount: price,
+  entry: z.object({
+    type: z.enum(["limit", "stop_limit"]).optional().default("limit"),
+    targetPrice: price,
+    triggerPrice: optionalPrice,
+  }).refine(...stopNeedsTrigger),
+  takeProfit: z.object({ targetPrice: price }),
+  stopLoss: z.object({ triggerPrice: price, limitPrice: optionalPrice }),
+  force: forceFlag,
+  walletLabel: z.string().optional(),
+  walletId: walletIdField,
+}).refine((o) => o.takeProfit.targetPrice > o.entry.targetPrice, {
+  message: "takeProfit.targetPrice must be above the entry price",
+}).refine((o) => o.stopLoss.triggerPrice < o.entry.targetPrice, {
+  message: "stopLoss.triggerPrice must be below the entry price",
+}).refine((o) => o.stopLoss.limitPrice == null || o.stopLoss.limitPrice <= o.stopLoss.triggerPrice, {
+  message: "stopLoss.limitPrice must not be above its trigger",
 });
 
 /**
  * Schema for creating a DCA order. Requires the mint, total amount,
  * unit (e.g. 'usdc' or 'sol'), number of buys and the frequency in
- * hours. Optional fields include side, stop conditions and wallet
- * identifiers. Numeric values are coerced from strings.
+ * hours. Optional fields include side, stop conditions, the sizing mode
+ * (see services/dcaPlanner.js) and wallet identifiers. For sells the
+ * amount is the token quantity to distribute. Numeric values are coerced
+ * from strings.
  */
 const dcaOrderSchema = z.object({
   mint: z.string().min(1, "mint is required"),
@@ -41,9 +108,19 @@ const dcaOrderSchema = z.object({
   force: z.preprocess((v) => v === 'true' ? true : v === 'false' ? false : v, z.boolean()).optional().default(false),
   walletLabel: z.string().optional(),
   walletId: z.preprocess((v) => (v === '' || v == null ? undefined : v), z.union([z.string(), z.number()])).optional(),
+  mode: z.enum(["fixed", "value_avg", "dip", "vol"]).optional().default("fixed"),
+  targetIncrement: optionalPrice,
+  dipFactor: optionalPrice,
+  maxTrancheMult: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().min(1).max(10).optional()),
+  volRef: optionalPrice,
+  firstBuyNow: z.preprocess((v) => v === 'true' ? true : v === 'false' ? false : v, z.boolean()).optional().default(true),
+}).refine((o) => o.mode !== "value_avg" || o.side === "buy", {
+  message: "value averaging is only available for buy orders",
 });
 
 module.exports = {
   limitOrderSchema,
+  ocoOrderSchema,
+  bracketOrderSchema,
   dcaOrderSchema,
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { z } = require("zod");
+
+/*
+ * Schemas for strategy pipelines. These check shape only; strategy
+ * modes, feature flags and event types are checked by
+ * services/pipelines.validatePipeline. Action configs / patches are
+ * free-form strategy config that may contain `{{field}}` placeholders.
+ */
+
+const botRef = z.string().regex(/^[\w.:-]{1,128}$/, "invalid botId");
+
+const conditionSchema = z.object({
+  field: z.string().regex(/^[\w.]{1,64}$/, "invalid field path"),
+  op: z.enum(["eq", "neq", "gt", "gte", "lt", "lte", "in", "exists"]).default("eq"),
+  value: z.any().optional(),
+});
+
+const triggerSchema = z.object({
+  event: z.enum(["trade", "tpsl", "health", "signal"]),
+  sourceMode: z.string().max(40).optional().nullable(),
+  sourceBotId: botRef.optional().nullable(),
+  includeSimulated: z.boolean().optional(),
+  where: z.array(conditionSchema).max(10).optional(),
+});
+
+const actionSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("start"),
+    mode: z.string().min(1).max(40),
+    config: z.record(z.any()).optional(),
+    walletId: z.number().int().optional().nullable(),
+  }),
+  z.object({
+    type: z.literal("stop"),
+    target: z.union([z.literal("source"), botRef]).default("source"),
+  }),
+  z.object({
+    type: z.literal("reconfigure"),
+    target: z.union([z.literal("source"), botRef]).default("source"),
+    patch: z.record(z.any()),
+  }),
+]);
+
+// POST /
+const pipelineCreateSchema = z.object({
+  name: z.string().trim().min(1).max(80),
+  enabled: z.boolean().optional(),
+  trigger: triggerSchema,
+  actions: z.array(actionSchema).min(1).max(5),
+  cooldownSec: z.number().int().min(0).max(86_400).optional(),
+  maxPerHour: z.number().int().min(0).max(1000).optional(),
+});
+
+// PUT /:id
+const pipelineUpdateSchema = pipelineCreateSchema.partial();
+
+// GET /:id/firings
+const firingsQuerySchema = z.object({
+  take: z.preprocess((v) => (v === "" || v == null ? undefined : Number(v)), z.number().int().min(1).max(200).optional()),
+  skip: z.preprocess((v) => (v === "" || v == null ? undefined : Number(v)), z.number().int().min(0).optional()),
+});
+
+module.exports = {
+  pipelineCreateSchema,
+  pipelineUpdateSchema,
+  firingsQuerySchema,
+};
@@ -0,0 +1,36 @@
+const { z } = require("zod");
+
+/*
+ * Schema for the rebalancer dry-run preview. `config` is the same object
+ * the bot is launched with; only the rebalance fields are checked here,
+ * the planner applies defaults to everything else.
+ */
+
+const pct = z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().min(0).max(100).optional());
+
+const calendarSchema = z.object({
+  frequency: z.enum(["daily", "weekly", "monthly"]),
+  time: z.string().regex(/^\d{1,2}:\d{2}$/, "time must be HH:MM (UTC)").default("00:00"),
+  dayOfWeek: z.number().int().min(0).max(6).optional(),
+  dayOfMonth: z.number().int().min(1).max(28).optional(),
+});
+
+const rebalancePreviewSchema = z.object({
+  walletId: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().int().positive().optional()),
+  config: z.object({
+    targetAllocations: z.record(z.number().nonnegative()),
+    rebalanceThreshold: pct,
+    toleranceBands: z.record(pct).optional(),
+    rebalanceTrigger: z.enum(["band", "calendar"]).optional(),
+    calendar: calendarSchema.nullable().optional(),
+    weighting: z.enum(["fixed", "inverseVol", "riskParity"]).optional(),
+    volLookbackDays: z.number().int().min(2).max(90).optional(),
+    maxWeightPct: pct,
+    useCashFlows: z.boolean().optional(),
+  }).passthrough()
+    .refine((c) => c.rebalanceTrigger !== "calendar" || Boolean(c.calendar), {
+      message: "calendar is required when rebalanceTrigger is calendar",
+    }),
+});
+
+module.exports = { rebalancePreviewSchema };
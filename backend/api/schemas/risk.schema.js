@@ -0,0 +1,28 @@
+const { z } = require("zod");
+
+/*
+ * Schemas for the risk engine routes. Limit overrides replace the env
+ * defaults for one user; null clears an individual override. Cap maps
+ * are keyed by mint (tokenCaps) or sector (sectorCaps) with USD values.
+ */
+
+const usd = z.number().nonnegative();
+const capMap = z.record(usd);
+
+// PUT /limits
+const riskLimitsSchema = z.object({
+  maxDailyLossUsd: usd.nullable().optional(),
+  maxConcurrentExposureUsd: usd.nullable().optional(),
+  tokenCaps: capMap.nullable().optional(),
+  sectorCaps: capMap.nullable().optional(),
+}).strict();
+
+// POST /kill-switch/engage
+const killSwitchEngageSchema = z.object({
+  reason: z.string().trim().max(200).optional(),
+});
+
+module.exports = {
+  riskLimitsSchema,
+  killSwitchEngageSchema,
+};
@@ -0,0 +1,18 @@
+const { z } = require("zod");
+
+/*
+ * Query schema for rotationBot ranking snapshots, newest first.
+ * `rotated=true` hides the "already holding the winner" skips.
+ */
+
+const int = (v) => (v === "" || v == null ? undefined : Number(v));
+
+// GET /snapshots
+const rotationSnapshotsQuerySchema = z.object({
+  botId: z.string().min(1).max(128).optional(),
+  rotated: z.preprocess((v) => (v === "true" ? true : v === "false" ? false : v), z.boolean().optional()),
+  before: z.preprocess((v) => (v ? new Date(v) : undefined), z.date().optional()),
+  limit: z.preprocess(int, z.number().int().min(1).max(200).default(50)),
+});
+
+module.exports = { rotationSnapshotsQuerySchema };
@@ -7,8 +7,27 @@ const { z } = require("zod");
  * launches immediately). A schedule must target a wallet via either
  * walletId or walletLabel. Additional optional fields include name,
  * targetToken and limit.
+ *
+ * A recurring schedule replaces launchISO with `recurrence` – either a
+ * 5-field cron expression or a weekday/time window – evaluated in
+ * `timezone`. Cron runs need maxDurationMin so every run auto-stops.
  */
 
+const HHMM = z.string().regex(/^([01]?\d|2[0-3]):[0-5]\d$/, "time must be HH:MM");
+
+const recurrenceSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("cron"),
+    expr: z.string().min(9, "cron expression is required"),
+  }),
+  z.object({
+    type: z.literal("window"),
+    days: z.array(z.number().int().min(0).max(6)).min(1, "pick at least one weekday"),
+    start: HHMM,
+    end: HHMM,
+  }),
+]);
+
 const scheduleCreateSchema = z.object({
   name: z.string().nullable().optional(),
   mode: z.string().min(1, "mode is required"),
@@ -18,10 +37,21 @@ const scheduleCreateSchema = z.object({
   limit: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().optional()),
   walletLabel: z.string().optional(),
   walletId: z.string().optional(),
+  recurrence: recurrenceSchema.optional().nullable(),
+  timezone: z.string().optional().nullable(),
+  maxDurationMin: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().int().min(1).max(7 * 24 * 60).optional()),
 }).refine((data) => {
   return Boolean(data.walletLabel || data.walletId);
 }, {
   message: "walletId or walletLabel is required",
+}).refine((data) => {
+  return Boolean(data.recurrence || data.launchISO);
+}, {
+  message: "launchISO or recurrence is required",
+}).refine((data) => {
+  return data.recurrence?.type !== "cron" || data.maxDurationMin != null;
+}, {
+  message: "cron schedules need maxDurationMin",
 });
 
 module.exports = {
@@ -0,0 +1,23 @@
+const { z } = require("zod");
+
+/*
+ * Query schema for the capital-gains report. `method` picks the lot
+ * matching rule (case-insensitive); `format=csv` returns the importer
+ * CSV instead of the JSON summary. walletId narrows to one wallet.
+ * Omitted fields default to the current UTC year, FIFO and JSON.
+ */
+
+const upper = (v) => (typeof v === "string" ? v.trim().toUpperCase() : v);
+const int = (v) => (v === "" || v == null ? undefined : Number(v));
+
+// GET /report
+const taxReportQuerySchema = z.object({
+  year: z.preprocess(int, z.number().int().min(2015).max(2100).optional()),
+  method: z.preprocess(upper, z.enum(["FIFO", "LIFO", "HIFO"]).optional()),
+  format: z.preprocess((v) => (typeof v === "string" ? v.toLowerCase() : v), z.enum(["json", "csv"]).optional()),
+  walletId: z.preprocess(int, z.number().int().positive().optional()),
+});
+
+module.exports = {
+  taxReportQuerySchema,
+};
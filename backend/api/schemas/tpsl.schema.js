@@ -1,5 +1,30 @@
 const { z } = require("zod");
 
+/*
+ * Optional exit plan shared by rule creation and by-id edits:
+ *  - tpLadder: partial take-profits, each rung sells sellPct of the
+ *    original position once the gain reaches gainPct. Rungs may not
+ *    sell more than 100% in total.
+ *  - trailingStopPct: stop that follows the highest price seen.
+ *  - breakEvenAfterTp: move the stop to entry after the first rung fills.
+ */
+const ladderRungSchema = z.object({
+  gainPct: z.coerce.number().positive(),
+  sellPct: z.coerce.number().positive().max(100),
+});
+
+const exitPlanFields = {
+  tpLadder: z.preprocess((v) => (v == null || (Array.isArray(v) && !v.length) ? undefined : v),
+    z.array(ladderRungSchema).max(10).optional())
+    .refine((l) => !l || l.reduce((s, r) => s + r.sellPct, 0) <= 100, {
+      message: "tpLadder rungs cannot sell more than 100% in total",
+    }),
+  trailingStopPct: z.preprocess((v) => (v === '' || v == null ? undefined : Number(v)), z.number().positive().max(99).optional()),
+  breakEvenAfterTp: z.preprocess((v) => v === 'true' ? true : v === 'false' ? false : v, z.boolean()).optional().default(false),
+};
+
+const exitPlanSchema = z.object(exitPlanFields);
+
 /*
  * Schema for creating or updating a Take Profit/Stop Loss rule. A rule
  * applies to a specific token (mint) and wallet and may define take
@@ -18,13 +43,19 @@ const ruleSchema = z.object({
   walletId: z.preprocess((v) => (v === '' || v == null ? undefined : v), z.union([z.string(), z.number()])).optional(),
   force: z.preprocess((v) => v === 'true' ? true : v === 'false' ? false : v, z.boolean()).optional().default(false),
   strategy: z.string().optional().default('manual'),
+  ...exitPlanFields,
 }).refine((data) => {
   // Ensure at least one threshold is provided
-  return data.tp != null || data.sl != null || data.tpPercent != null || data.slPercent != null;
+  return data.tp != null || data.sl != null || data.tpPercent != null || data.slPercent != null
+    || data.tpLadder != null || data.trailingStopPct != null;
 }, {
-  message: "At least one of tp, sl, tpPercent or slPercent must be provided",
+  message: "At least one of tp, sl, tpPercent, slPercent, tpLadder or trailingStopPct must be provided",
+}).refine((data) => !data.breakEvenAfterTp || data.tpLadder != null, {
+  message: "breakEvenAfterTp requires a tpLadder",
+  path: ["breakEvenAfterTp"],
 });
 
 module.exports = {
   ruleSchema,
+  exitPlanSchema,
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+const { z } = require("zod");
+
+/*
+ * Schemas for the shared watchlist. Rule params are checked per rule
+ * type by services/watchlist/rules.validateParams.
+ */
+
+const mint = z.string().trim().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, "invalid mint address");
+const note = z.string().trim().max(280).nullable();
+const ruleType = z.enum(["price_cross", "pct_move", "liquidity_drop", "holder_tier", "safety_flip"]);
+const params = z.record(z.union([z.number(), z.string().max(20), z.boolean()]));
+const cooldownMin = z.number().int().min(0).max(10_080);
+
+// POST /
+const watchlistAddSchema = z.object({
+  mint,
+  note: note.optional(),
+});
+
+// POST /import – the web app's old localStorage list
+const watchlistImportSchema = z.object({
+  entries: z
+    .array(
+      z.object({
+        mint: z.string().max(64),
+        name: z.string().max(120).nullable().optional(),
+        symbol: z.string().max(40).nullable().optional(),
+        logoURI: z.string().max(500).nullable().optional(),
+        addedAt: z.string().max(40).nullable().optional(),
+      }),
+    )
+    .max(200),
+});
+
+// PUT /:mint
+const watchlistUpdateSchema = z.object({ note });
+
+// POST /:mint/rules
+const watchlistRuleCreateSchema = z.object({
+  type: ruleType,
+  params: params.default({}),
+  enabled: z.boolean().optional(),
+  cooldownMin: cooldownMin.optional(),
+});
+
+// PUT /rules/:id
+const watchlistRuleUpdateSchema = z
+  .object({
+    params: params.optional(),
+    enabled: z.boolean().optional(),
+    cooldownMin: cooldownMin.optional(),
+  })
+  .refine((b) => Object.keys(b).length > 0, { message: "nothing to update" });
+
+module.exports = {
+  watchlistAddSchema,
+  watchlistImportSchema,
+  watchlistUpdateSchema,
+  watchlistRuleCreateSchema,
+  watchlistRuleUpdateSchema,
+};
@@ -0,0 +1,34 @@
+const { z } = require("zod");
+const { EVENT_TYPES } = require("../../services/notifications/events");
+
+/*
+ * Schemas for webhook endpoints and the delivery log. URL safety
+ * (https, no private hosts) is checked by providers/webhook.assertWebhookUrl.
+ */
+
+const events = z.array(z.enum(EVENT_TYPES)).max(EVENT_TYPES.length);
+
+const webhookCreateSchema = z.object({
+  url: z.string().trim().url().max(2048),
+  description: z.string().trim().max(120).optional().nullable(),
+  events: events.optional().default([]),
+});
+
+const webhookUpdateSchema = z
+  .object({
+    url: z.string().trim().url().max(2048).optional(),
+    description: z.string().trim().max(120).optional().nullable(),
+    events: events.optional(),
+    enabled: z.boolean().optional(),
+  })
+  .refine((b) => Object.keys(b).length > 0, { message: "nothing to update" });
+
+const deliveriesQuerySchema = z.object({
+  status: z.enum(["pending", "delivered", "dead"]).optional(),
+  endpointId: z.string().uuid().optional(),
+  eventType: z.enum(EVENT_TYPES).optional(),
+  take: z.coerce.number().int().min(1).max(200).optional(),
+  skip: z.coerce.number().int().min(0).optional(),
+});
+
+module.exports = { webhookCreateSchema, webhookUpdateSchema, deliveriesQuerySchema };
@@ -0,0 +1,86 @@
+/* =========================================================
+ *  Tax Routes
+ * =========================================================
+ *  • GET   /api/tax/report?year=&method=&format=&walletId=
+ *      method  FIFO | LIFO | HIFO (default FIFO)
+ *      format  json (per-wallet summary + lot rows) | csv (8949 import)
+ *
+ *  Lots are rebuilt from Trade/ClosedTrade history up to the end of the
+ *  requested year; only disposals inside the year are reported.
+ * =========================================================*/
+
+const express     = require("express");
+const router      = express.Router();
+const prisma      = require("../prisma/prisma");
+const requireAuth = require("../middleware/requireAuth");
+const { buildTaxReport } = require("../services/utils/analytics/taxLots");
+const { convertLotsToTaxCSV } = require("../services/utils/analytics/exportToCSV");
+
+const validate = require("../middleware/validate");
+const { taxReportQuerySchema } = require("./schemas/tax.schema");
+
+/* ───────────────────────── helpers ───────────────────────── */
+const TRADE_SELECT = {
+  id: true, mint: true, tokenName: true, walletId: true, walletLabel: true,
+  entryPrice: true, entryPriceUSD: true, inAmount: true, outAmount: true,
+  closedOutAmount: true, decimals: true, unit: true, type: true, txHash: true,
+  timestamp: true, priorityFee: true, briberyAmount: true,
+  feesTotalLamports: true, paperRunId: true,
+};
+
+const CLOSED_SELECT = {
+  id: true, mint: true, tokenName: true, walletId: true, walletLabel: true,
+  outAmount: true, decimals: true, exitPrice: true, exitPriceUSD: true,
+  exitedAt: true, txHash: true, triggerType: true,
+};
+
+/* ───────────────────────── GET /report ───────────────────────── */
+router.get("/report", requireAuth, validate({ query: taxReportQuerySchema }), async (req, res) => {
+  const userId = req.user.id;
+  const year   = req.query.year ?? new Date().getUTCFullYear();
+  const method = req.query.method ?? "FIFO";
+  const format = req.query.format ?? "json";
+  const walletFilter = req.query.walletId ? { walletId: req.query.walletId } : {};
+  const end = new Date(Date.UTC(year + 1, 0, 1));
+
+  try {
+    const [trades, closed] = await Promise.all([
+      prisma.trade.findMany({
+        where: { userId, ...walletFilter, timestamp: { lt: end } },
+        select: TRADE_SELECT,
+        orderBy: { timestamp: "asc" },
+      }),
+      prisma.closedTrade.findMany({
+        where: { userId, ...walletFilter, exitedAt: { lt: end } },
+        select: CLOSED_SELECT,
+        orderBy: { exitedAt: "asc" },
+      }),
+    ]);
+
+    const report = buildTaxReport({
+      trades,
+      closed,
+      year,
+      method,
+    });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", `attachment; filename=capital-gains-${year}-${report.method.toLowerCase()}.csv`);
+      return res.send(convertLotsToTaxCSV(report.rows));
+    }
+
+    res.json({
+      year: report.year,
+      method: report.method,
+      totals: report.totals,
+      wallets: report.wallets,
+      rows: report.rows,
+    });
+  } catch (err) {
+    console.error("❌ Failed building tax report:", err.message);
+    res.status(500).json({ error: "Failed to build tax report." });
+  }
+});
+
+module.exports = router;
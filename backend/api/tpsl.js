@@ -3,6 +3,7 @@ require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env"
 const express              = require("express");
 const { v4: uuid }          = require("uuid");
 const prisma                = require("../prisma/prisma");
+const { Prisma }            = require("@prisma/client");
 const { getTokenBalanceRaw } = require("../utils/marketData");
 const requireAuth           = require("../middleware/requireAuth");
 const { PublicKey }         = require("@solana/web3.js");
@@ -15,7 +16,24 @@ const { runJob } = require("../services/jobs/jobRunner");
 
 const validate = require("../middleware/validate");
 const { csrfProtection } = require("../middleware/csrf");
-const { ruleSchema } = require("./schemas/tpsl.schema");
+const { ruleSchema, exitPlanSchema } = require("./schemas/tpsl.schema");
+const { ruleAllocation, normalizeLadder } = require("../services/strategies/core/TpSlManager");
+
+const ALLOCATION_SELECT = {
+  tpPercent: true, slPercent: true, sellPct: true,
+  tpLadder: true, trailingStopPct: true, breakEvenAfterTp: true,
+};
+
+// Persist only the rung fields callers control; fill state is ours.
+function ladderForSave(ladder, previous = null) {
+  const rungs = normalizeLadder(ladder).map(({ gainPct, sellPct }) => ({ gainPct, sellPct }));
+  if (!rungs.length) return undefined;
+  const filled = normalizeLadder(previous).filter((r) => r.filledAt);
+  return rungs.map((r) => {
+    const done = filled.find((f) => f.gainPct === r.gainPct && f.sellPct === r.sellPct);
+    return done ? { ...r, filledAt: done.filledAt, txHash: done.txHash ?? null } : r;
+  });
+}
 
 /* ────────────── helper to resolve wallet by ID ────────────── */
 async function resolveWallet(userId, walletId) {
@@ -200,6 +218,12 @@ router.put("/by-id/:id", requireAuth, csrfProtection, async (req, res) => {
   const { id } = req.params;
   const { tp, sl, tpPercent, slPercent, strategy } = req.body || {};
 
+  const plan = exitPlanSchema.safeParse(req.body || {});
+  if (!plan.success) {
+    return res.status(400).json({ error: plan.error.errors[0]?.message || "Invalid exit plan." });
+  }
+  const { tpLadder, trailingStopPct, breakEvenAfterTp } = plan.data;
+
   try {
     const rule = await prisma.tpSlRule.findUnique({ where: { id } });
     if (!rule) return res.status(404).json({ error: "No TP/SL rule found with this ID." });
@@ -207,11 +231,11 @@ router.put("/by-id/:id", requireAuth, csrfProtection, async (req, res) => {
       return res.status(403).json({ error: "Not authorized to edit this rule." });
     }
 
-    const newAlloc = Math.max(tpPercent || 0, slPercent || 0);
+    const newAlloc = ruleAllocation({ tpPercent, slPercent, tpLadder, trailingStopPct, breakEvenAfterTp });
     if (newAlloc <= 0 || newAlloc > 100) {
       return res
         .status(400)
-        .json({ error: "Must set at least one TP or SL percentage between 1-100." });
+        .json({ error: "Must set at least one TP or SL percentage, ladder or trailing stop (1-100%)." });
     }
 
     // Sum allocation of all *other* rules for this (user, wallet, mint, strategy)
@@ -223,13 +247,10 @@ router.put("/by-id/:id", requireAuth, csrfProtection, async (req, res) => {
         strategy: strategy || rule.strategy,
         NOT: { id },
       },
-      select: { tpPercent: true, slPercent: true, sellPct: true },
+      select: ALLOCATION_SELECT,
     });
 
-    const allocated = otherRules.reduce((total, r) => {
-      const max = Math.max(r.tpPercent || 0, r.slPercent || 0);
-      return total + max;
-    }, 0);
+    const allocated = otherRules.reduce((total, r) => total + ruleAllocation(r), 0);
 
     if (allocated + newAlloc > 100) {
       return res
@@ -246,7 +267,11 @@ router.put("/by-id/:id", requireAuth, csrfProtection, async (req, res) => {
         slPercent: slPercent ?? null,
         sellPct: null, // keep explicit; allocation comes from tp/sl percents
         strategy: strategy || rule.strategy,
-        // entryPrice unchanged
+        tpLadder: ladderForSave(tpLadder, rule.tpLadder) ?? Prisma.DbNull,
+        trailingStopPct: trailingStopPct ?? null,
+        breakEvenAfterTp,
+        ...(breakEvenAfterTp ? {} : { stopPrice: null }),
+        // entryPrice and highWaterPrice unchanged
       },
     });
 
@@ -309,10 +334,13 @@ router.put("/:mint", requireAuth, csrfProtection, validate({ body: ruleSchema })
         walletId,
         force = false,
         strategy = "manual",
+        tpLadder,
+        trailingStopPct,
+        breakEvenAfterTp = false,
       } = req.body;
-      const newRuleAllocation = Math.max(tpPercent || 0, slPercent || 0);
+      const newRuleAllocation = ruleAllocation({ tpPercent, slPercent, tpLadder, trailingStopPct, breakEvenAfterTp });
       if (newRuleAllocation <= 0 || newRuleAllocation > 100) {
-        return { status: 400, response: { error: "Must set at least one TP or SL percentage between 1-100." } };
+        return { status: 400, response: { error: "Must set at least one TP or SL percentage, ladder or trailing stop (1-100%)." } };
       }
       try {
         const wallet = await resolveWallet(req.user.id, walletId);
@@ -324,12 +352,9 @@ router.put("/:mint", requireAuth, csrfProtection, validate({ body: ruleSchema })
             mint,
             strategy,
           },
-          select: { tpPercent: true, slPercent: true, sellPct: true }
+          select: ALLOCATION_SELECT
         });
-        const currentAllocated = existingRules.reduce((total, r) => {
-          const max = Math.max(r.tpPercent || 0, r.slPercent || 0);
-          return total + max;
-        }, 0);
+        const currentAllocated = existingRules.reduce((total, r) => total + ruleAllocation(r), 0);
         if (currentAllocated + newRuleAllocation > 100) {
           return { status: 400, response: { error: `Total TP/SL allocation would exceed 100%. Currently used: ${currentAllocated}%.` } };
         }
@@ -366,6 +391,9 @@ router.put("/:mint", requireAuth, csrfProtection, validate({ body: ruleSchema })
             tpPercent: tpPercent || null,
             slPercent: slPercent || null,
             sellPct: null,
+            tpLadder: ladderForSave(tpLadder),
+            trailingStopPct: trailingStopPct ?? null,
+            breakEvenAfterTp,
             entryPrice,
             force,
             enabled: true,
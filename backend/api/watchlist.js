@@ -0,0 +1,143 @@
+/* =========================================================
+ *  Watchlist Routes
+ * =========================================================
+ *  • GET     /api/watchlist                 – caller's tokens + alert rules
+ *  • POST    /api/watchlist                 – add a token (fetches a first
+ *                                             market + safety snapshot)
+ *  • POST    /api/watchlist/import          – one-time import of the old
+ *                                             browser (localStorage) list
+ *  • PUT     /api/watchlist/:mint           – edit the note
+ *  • DELETE  /api/watchlist/:mint           – remove (and its rules)
+ *  • POST    /api/watchlist/:mint/refresh   – re-check market + safety now
+ *  • POST    /api/watchlist/:mint/rules     – add an alert rule
+ *  • PUT     /api/watchlist/rules/:id       – edit / enable / disable a rule
+ *  • DELETE  /api/watchlist/rules/:id       – delete a rule
+ *
+ *  Shared with the Telegram /watchlist command. Rules are evaluated by
+ *  services/watchlist/monitor.js and alert via WATCHLIST_ALERT.
+ * =========================================================*/
+
+const express   = require("express");
+const router    = express.Router();
+const watchlist = require("../services/watchlist");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const {
+  watchlistAddSchema,
+  watchlistImportSchema,
+  watchlistUpdateSchema,
+  watchlistRuleCreateSchema,
+  watchlistRuleUpdateSchema,
+} = require("./schemas/watchlist.schema");
+
+/* ───────────────────────── helpers ───────────────────────── */
+// `history` is monitor bookkeeping; keep responses small
+const toPublic = ({ history, ...entry }) => entry;
+
+function fail(res, err, what) {
+  if (err.expose) return res.status(err.status || 400).json({ error: err.message });
+  console.error(`❌ Failed ${what}:`, err.message);
+  return res.status(500).json({ error: `Failed ${what}.` });
+}
+
+/* ───────────────────────── GET / ───────────────────────── */
+router.get("/", async (req, res) => {
+  try {
+    const entries = await watchlist.list(req.user.id);
+    res.json({ entries: entries.map(toPublic), ruleTypes: watchlist.RULE_TYPES });
+  } catch (err) {
+    fail(res, err, "loading watchlist");
+  }
+});
+
+/* ───────────────────────── POST / ───────────────────────── */
+router.post("/", csrfProtection, validate({ body: watchlistAddSchema }), async (req, res) => {
+  try {
+    const { entry, created } = await watchlist.add(req.user.id, req.body.mint, { note: req.body.note });
+    if (!created) return res.json({ entry: toPublic(entry), created });
+
+    let fresh = entry;
+    try {
+      fresh = (await watchlist.refresh(req.user.id, entry.mint)).entry;
+    } catch (err) {
+      console.warn("⚠️ Watchlist first snapshot failed:", err.message);
+    }
+    res.status(201).json({ entry: toPublic(fresh), created });
+  } catch (err) {
+    fail(res, err, "adding to watchlist");
+  }
+});
+
+/* ───────────────────────── POST /import ───────────────────────── */
+router.post("/import", csrfProtection, validate({ body: watchlistImportSchema }), async (req, res) => {
+  try {
+    const imported = await watchlist.importEntries(req.user.id, req.body.entries);
+    const entries = await watchlist.list(req.user.id);
+    res.json({ imported, entries: entries.map(toPublic) });
+  } catch (err) {
+    fail(res, err, "importing watchlist");
+  }
+});
+
+/* ───────────────────────── rules ───────────────────────── */
+// Registered before /:mint so "rules" is never taken for a mint
+router.put("/rules/:id", csrfProtection, validate({ body: watchlistRuleUpdateSchema }), async (req, res) => {
+  try {
+    const rule = await watchlist.updateRule(req.user.id, req.params.id, req.body);
+    res.json({ rule });
+  } catch (err) {
+    fail(res, err, "updating alert rule");
+  }
+});
+
+router.delete("/rules/:id", csrfProtection, async (req, res) => {
+  try {
+    await watchlist.removeRule(req.user.id, req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    fail(res, err, "deleting alert rule");
+  }
+});
+
+router.post("/:mint/rules", csrfProtection, validate({ body: watchlistRuleCreateSchema }), async (req, res) => {
+  try {
+    const rule = await watchlist.addRule(req.user.id, req.params.mint, req.body);
+    res.status(201).json({ rule });
+  } catch (err) {
+    fail(res, err, "adding alert rule");
+  }
+});
+
+/* ───────────────────────── PUT /:mint ───────────────────────── */
+router.put("/:mint", csrfProtection, validate({ body: watchlistUpdateSchema }), async (req, res) => {
+  try {
+    const entry = await watchlist.update(req.user.id, req.params.mint, { note: req.body.note });
+    res.json({ entry: toPublic(entry) });
+  } catch (err) {
+    fail(res, err, "updating watchlist");
+  }
+});
+
+/* ───────────────────────── DELETE /:mint ───────────────────────── */
+router.delete("/:mint", csrfProtection, async (req, res) => {
+  try {
+    const removed = await watchlist.remove(req.user.id, req.params.mint);
+    if (!removed) return res.status(404).json({ error: "Token is not on your watchlist." });
+    res.json({ ok: true });
+  } catch (err) {
+    fail(res, err, "removing from watchlist");
+  }
+});
+
+/* ───────────────────────── POST /:mint/refresh ───────────────────────── */
+router.post("/:mint/refresh", csrfProtection, async (req, res) => {
+  try {
+    const { entry, fired } = await watchlist.refresh(req.user.id, req.params.mint);
+    res.json({ entry: toPublic(entry), fired });
+  } catch (err) {
+    fail(res, err, "refreshing watchlist token");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+/* =========================================================
+ *  Webhook Routes
+ * =========================================================
+ *  • GET     /api/webhooks/catalog                  – event types, versions, JSON schemas
+ *  • GET     /api/webhooks                          – caller's endpoints (no secrets)
+ *  • POST    /api/webhooks                          – add endpoint; secret returned once
+ *  • PATCH   /api/webhooks/:id                      – url / events / enable
+ *  • POST    /api/webhooks/:id/rotate-secret        – new secret, returned once
+ *  • DELETE  /api/webhooks/:id                      – remove (delivery log is kept)
+ *  • GET     /api/webhooks/deliveries               – delivery log (?status=dead → dead letters)
+ *  • POST    /api/webhooks/deliveries/:id/resend    – re-deliver with the same event id
+ *
+ *  Delivery, signing and retries live in
+ *  services/notifications/providers/webhook.js.
+ * =========================================================*/
+
+const express     = require("express");
+const crypto      = require("crypto");
+const router      = express.Router();
+const prisma      = require("../prisma/prisma");
+const requireAuth = require("../middleware/requireAuth");
+const webhook     = require("../services/notifications/providers/webhook");
+const { describeCatalog } = require("../services/notifications/events");
+
+const validate = require("../middleware/validate");
+const { csrfProtection } = require("../middleware/csrf");
+const {
+  webhookCreateSchema,
+  webhookUpdateSchema,
+  deliveriesQuerySchema,
+} = require("./schemas/webhooks.schema");
+
+const MAX_ENDPOINTS = 10;
+
+/* ───────────────────────── helpers ───────────────────────── */
+const toPublic = ({ secretEnc, ...endpoint }) => endpoint;
+
+function owned(userId, id) {
+  return prisma.webhookEndpoint.findFirst({ where: { id, userId } });
+}
+
+/* ───────────────────────── GET /catalog ───────────────────────── */
+router.get("/catalog", requireAuth, (_req, res) => {
+  res.json({ events: describeCatalog() });
+});
+
+/* ───────────────────────── GET / ───────────────────────── */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const rows = await prisma.webhookEndpoint.findMany({
+      where  : { userId: req.user.id },
+      orderBy: { createdAt: "asc" },
+    });
+    res.json({ endpoints: rows.map(toPublic) });
+  } catch (err) {
+    console.error("❌ Failed listing webhooks:", err.message);
+    res.status(500).json({ error: "Failed to load webhooks." });
+  }
+});
+
+/* ───────────────────────── POST / ───────────────────────── */
+router.post("/", requireAuth, csrfProtection, validate({ body: webhookCreateSchema }), async (req, res) => {
+  try {
+    const url = webhook.assertWebhookUrl(req.body.url);
+    const count = await prisma.webhookEndpoint.count({ where: { userId: req.user.id } });
+    if (count >= MAX_ENDPOINTS) return res.status(400).json({ error: `At most ${MAX_ENDPOINTS} webhook endpoints` });
+
+    const id = crypto.randomUUID();
+    const secret = webhook.newSecret();
+    const row = await prisma.webhookEndpoint.create({
+      data: {
+        id,
+        userId     : req.user.id,
+        url,
+        description: req.body.description || null,
+        events     : req.body.events,
+        secretEnc  : webhook.encryptSecret(id, secret),
+      },
+    });
+    res.status(201).json({ endpoint: toPublic(row), secret });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("❌ Failed creating webhook:", err.message);
+    res.status(500).json({ error: "Failed to create webhook." });
+  }
+});
+
+/* ───────────────────────── PATCH /:id ───────────────────────── */
+router.patch("/:id", requireAuth, csrfProtection, validate({ body: webhookUpdateSchema }), async (req, res) => {
+  try {
+    const existing = await owned(req.user.id, req.params.id);
+    if (!existing) return res.status(404).json({ error: "Webhook not found" });
+
+    const data = { ...req.body };
+    if (data.url) data.url = webhook.assertWebhookUrl(data.url);
+    const row = await prisma.webhookEndpoint.update({ where: { id: existing.id }, data });
+    res.json({ endpoint: toPublic(row) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("❌ Failed updating webhook:", err.message);
+    res.status(500).json({ error: "Failed to update webhook." });
+  }
+});
+
+/* ───────────────────────── POST /:id/rotate-secret ───────────────────────── */
+router.post("/:id/rotate-secret", requireAuth, csrfProtection, async (req, res) => {
+  try {
+    const existing = await owned(req.user.id, req.params.id);
+    if (!existing) return res.status(404).json({ error: "Webhook not found" });
+
+    const secret = webhook.newSecret();
+    await prisma.webhookEndpoint.update({
+      where: { id: existing.id },
+      data : { secretEnc: webhook.encryptSecret(existing.id, secret) },
+    });
+    res.json({ secret });
+  } catch (err) {
+    console.error("❌ Failed rotating webhook secret:", err.message);
+    res.status(500).json({ error: "Failed to rotate secret." });
+  }
+});
+
+/* ───────────────────────── DELETE /:id ───────────────────────── */
+router.delete("/:id", requireAuth, csrfProtection, async (req, res) => {
+  try {
+    const { count } = await prisma.webhookEndpoint.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    if (!count) return res.status(404).json({ error: "Webhook not found" });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Failed deleting webhook:", err.message);
+    res.status(500).json({ error: "Failed to delete webhook." });
+  }
+});
+
+/* ───────────────────────── GET /deliveries ───────────────────────── */
+router.get("/deliveries", requireAuth, validate({ query: deliveriesQuerySchema }), async (req, res) => {
+  try {
+    const { status, endpointId, eventType } = req.query;
+    const take = req.query.take ?? 50;
+    const skip = req.query.skip ?? 0;
+    const where = {
+      userId: req.user.id,
+      ...(status && { status }),
+      ...(endpointId && { endpointId }),
+      ...(eventType && { eventType }),
+    };
+    const [deliveries, total] = await Promise.all([
+      prisma.webhookDelivery.findMany({ where, orderBy: { createdAt: "desc" }, take, skip }),
+      prisma.webhookDelivery.count({ where }),
+    ]);
+    res.json({ deliveries, total, take, skip });
+  } catch (err) {
+    console.error("❌ Failed loading webhook deliveries:", err.message);
+    res.status(500).json({ error: "Failed to load deliveries." });
+  }
+});
+
+/* ───────────────────────── POST /deliveries/:id/resend ───────────────────────── */
+router.post("/deliveries/:id/resend", requireAuth, csrfProtection, async (req, res) => {
+  try {
+    const delivery = await webhook.resend(req.user.id, req.params.id);
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+    res.status(201).json({ delivery });
+  } catch (err) {
+    console.error("❌ Failed resending webhook:", err.message);
+    res.status(500).json({ error: "Failed to resend." });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,7 @@ const prisma = require("../prisma/prisma");
 const { sendAlert } = require("../telegram/alerts");
 const cache = require("./sessionKeyCache"); // arm/extend/disarm/getDEK/status/getSession
 const { audit } = require("./audit");
+const { sendNotification } = require("../services/notifications");
 const { pauseBotsByWallet } = require("../services/utils/strategy_utils/strategyLauncher");
 
 // Optional UI bridge (websocket/pusher/etc.)
@@ -46,7 +47,7 @@ async function _scanDependents({ userId, walletId }) {
 
   const needsArm = Boolean(wallet.isProtected || user?.requireArmToTrade);
 
-  const [tpSl, dca, lim, sched] = await Promise.all([
+  const [tpSl, dca, lim, sched, bots] = await Promise.all([
     prisma.tpSlRule.count({ where: { userId, walletId, enabled: true, status: "active" } }),
     prisma.dcaOrder.count({ where: { userId, walletId, status: "active" } }),
     prisma.limitOrder.count({ where: { userId, walletId, status: "open" } }),
@@ -121,9 +122,11 @@ async function _handleAboutToExpire(userId, walletId) {
     await sendAlert(
       userId,
       `⏳ *Arm expiring soon*\n*Wallet:* ${walletLabel}\n*Time Left:* ~${minutes} min\n*Depends:* ${summary}\n\nTap *Extend Arm* to keep automations firing.`,
-      "ARM"
+      "ARM",
+      { replyMarkup: { inline_keyboard: [[{ text: "⏱ Extend Arm", callback_data: `arm:extend:${walletId}` }]] } }
     );
   } catch {}
+  sendNotification(userId, "ARM_EXPIRING", { walletId, walletLabel, msLeft: Math.round(s.msLeft), counts });
 }
 
 async function _handleExpired(userId, walletId, reason) {
@@ -174,7 +177,8 @@ if (needsArm && (counts.tpSl || counts.dca || counts.limit || counts.scheduled |
         `\n*Bots:* ${counts.bots ? (botIds.length ? `paused ${botIds.length}` : "none running") : "none"}` +
         `\n*Status:* ${(AUTO_DISABLE ? "Rules paused" : "Automations inactive")}` +
         `\n*Depends:* ${summary}\n\nTap *Arm Wallet* to resume.`,        
-        "ARM"
+        "ARM",
+        { replyMarkup: { inline_keyboard: [[{ text: "🛡 Arm Wallet", callback_data: `arm:start:${walletId}` }]] } }
      );
     } catch {}
   }
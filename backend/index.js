@@ -7,10 +7,12 @@
  *   • Broadcast bridge logs type + sample of payload, and recipient count
  *   • Close/error logs include code + reason + human meaning
  *   • Heartbeat reports culled clients and totals
+ *   • Sockets are authenticated and routed per user/topic (services/wsHub.js)
  *
  * Toggle verbosity (defaults ON):
  *   WS_VERBOSE=0   -> silence noisy info logs
  *   WS_ALLOW_ANY_ORIGIN=true (dev) bypasses origin allow-list
+ *   WS_PRICE_INTERVAL_MS=10000 -> tick rate for `prices:<mint>` topics
  *
  * What changed vs your previous new version
  *  - Added detailed logging around WS bootstrap, connection lifecycle, and broadcast path.
@@ -43,6 +45,7 @@ const cron = require('node-cron');
 const { runDaily, runMonthly } = require('./services/utils/analytics/tradeRetention');
 const { startWatchdog } = require('./services/utils/strategy_utils/strategyWatchdog'); // side-effects on import
 const { injectBroadcast } = require('./services/strategies/logging/strategyLogger');
+const { createWsHub, authenticate: authenticateWs } = require('./services/wsHub');
 require('./loadEnv');
 const { ensureCsrfSeed, csrfProtection } = require('./middleware/csrf');
 
@@ -141,10 +144,14 @@ if (modeFromCLI) {
     const riskEngine = require('./services/riskEngine');
     const { sendNotification } = require('./services/notifications');
     riskEngine.on('kill', ({ userId, reason }) => {
-      try { sendNotification(userId, 'RISK_KILL', { message: `Trading disabled: ${reason}` }); } catch (err) {
+      try { sendNotification(userId, 'RISK_KILL', { reason, message: `Trading disabled: ${reason}` }); } catch (err) {
         logger.error('Failed to send risk kill notification', { err: err.message });
       }
     });
+    // Restore persisted kill switches / exposure before serving trades
+    riskEngine.loadAll()
+      .then((n) => console.log(`[boot] risk state restored for ${n} user(s)`))
+      .catch((err) => logger.error('Failed to restore risk state', { err: err.message }));
   } catch {}
 
   // Security & platform middleware
@@ -167,7 +174,11 @@ if (modeFromCLI) {
   // JSON parsing with 100kb limit (skip Stripe webhook)
   app.use((req, res, next) => {
     if (req.originalUrl === '/api/payment/webhook') return next();
-    return express.json({ limit: '100kb' })(req, res, next);
+    return express.json({
+      limit: '100kb',
+      // API-key requests are HMAC-signed over the exact bytes received
+      verify: (r, _res, buf) => { if (r.headers['x-api-key']) r.rawBody = buf; },
+    })(req, res, next);
   });
 
   // Cookies + CSRF (double-submit cookie)
@@ -274,8 +285,15 @@ if (modeFromCLI) {
   let wsPingInterval;
   const wsHealth = { connections: 0, disconnections: 0, culled: 0 };
 
-  // Broadcast bridge
-  const clients = new Set();
+  // Broadcast bridge: every message is routed by owner + topic
+  const { getStrategyStatus } = require('./services/utils/strategy_utils/strategyStatus');
+  // Journal gives logs/orders frames a seq so reconnecting clients can resume
+  const eventJournal = require('./services/eventJournal');
+  eventJournal.init();
+  const wsHub = createWsHub({
+    ownerOfBot: (botId) => getStrategyStatus(botId)?.config?.userId || null,
+    journal: eventJournal,
+  });
   function shortSample(v) {
     try {
       const s = typeof v === 'string' ? v : JSON.stringify(v);
@@ -283,32 +301,32 @@ if (modeFromCLI) {
     } catch { return String(v).slice(0, 240); }
   }
   injectBroadcast((line) => {
-    const type = typeof line;
-    const msg = shortSample(line);
-    vinfo('broadcast', { type, len: (msg || '').length, sample: msg });
-    let sent = 0;
-    for (const client of clients) {
-      if (client.readyState === client.OPEN) {
-        try { client.send(line); sent++; } catch (e) {
-          console.warn('[WS] failed to send to a client:', e?.message);
-        }
-      }
-    }
-    vinfo('broadcast result', { recipients: clients.size, delivered: sent });
+    const delivered = wsHub.routeLog(line);
+    vinfo('broadcast', { sample: shortSample(line), recipients: wsHub.size, delivered });
+  });
+
+  // FE events bus -> owner's `orders` subscribers
+  const feEvents = require('./services/feEvents');
+  feEvents.register((payload) => {
+    // payload is already a JSON string from feEvents.emit
+    const delivered = wsHub.routeEvent(payload);
+    vinfo('feEvents delivered', { recipients: wsHub.size, delivered });
   });
 
- // FE events bus -> reuse same clients
- const feEvents = require('./services/feEvents');
- feEvents.register((payload) => {
-   // payload is already a JSON string from feEvents.emit
-   let sent = 0;
-   for (const client of clients) {
-     if (client.readyState === client.OPEN) {
-       try { client.send(payload); sent++; } catch {}
-     }
-   }
-   vinfo('feEvents delivered', { recipients: clients.size, delivered: sent });
- });
+  // Price ticks for subscribed mints only
+  const WS_PRICE_INTERVAL_MS = Number(process.env.WS_PRICE_INTERVAL_MS || 10_000);
+  const { getCachedPrice } = require('./utils/priceCache.static');
+  const wsPriceInterval = setInterval(async () => {
+    for (const topic of wsHub.activeTopics('prices:')) {
+      const mint = topic.slice('prices:'.length);
+      try {
+        const price = await getCachedPrice(mint);
+        if (price != null) wsHub.publishPrice(mint, price);
+      } catch (e) {
+        vinfo('price tick failed', { mint, err: e?.message });
+      }
+    }
+  }, WS_PRICE_INTERVAL_MS);
 
   function meaningForCloseCode(code) {
     const map = {
@@ -346,22 +364,20 @@ if (modeFromCLI) {
 
     ws.isAlive = true;
     wsHealth.connections++;
-    clients.add(ws);
-    if (WS_VERBOSE) console.log('🧠 LogsConsole connected via WebSocket (total clients:', clients.size, ')');
+    // Same token/cookie as requireAuth; unauthenticated sockets close with 4401
+    wsHub.add(ws, authenticateWs(req));
+    if (WS_VERBOSE) console.log('🧠 LogsConsole connected via WebSocket (total clients:', wsHub.size, ')');
 
     ws.on('pong', () => { ws.isAlive = true; });
     ws.on('message', (buf) => {
-      // Usually clients don't send, but log if they do.
-      try {
-        const s = buf.toString();
-        vinfo('client->server message', { len: s.length, sample: shortSample(s) });
-      } catch {}
+      vinfo('client->server message', { sample: shortSample(buf.toString()) });
+      wsHub.handleMessage(ws, buf).catch((e) => vinfo('client message failed', e?.message));
     });
     ws.on('close', (code, reasonBuf) => {
       const reason = Buffer.isBuffer(reasonBuf) ? reasonBuf.toString() : String(reasonBuf || '');
       wsHealth.disconnections++;
-      clients.delete(ws);
-      if (WS_VERBOSE) console.warn('🔌 WebSocket disconnected', { code, meaning: meaningForCloseCode(code), reason, remaining: clients.size });
+      wsHub.remove(ws);
+      if (WS_VERBOSE) console.warn('🔌 WebSocket disconnected', { code, meaning: meaningForCloseCode(code), reason, remaining: wsHub.size });
       try { metrics.recordWsDisconnect(wsHealth.connections, wsHealth.disconnections); } catch {}
     });
     ws.on('error', (err) => {
@@ -391,6 +407,9 @@ if (modeFromCLI) {
         if (WS_VERBOSE) console.warn('⚠️  Failed to ping client:', e.message);
       }
     }
+    if (wsHub.activeTopics('health').length) {
+      try { wsHub.routeHealth(require('./services/strategies/core/botHealthRegistery').snapshot()); } catch {}
+    }
     vinfo('heartbeat', {
       clients: wss.clients.size,
       health: wsHealth,
@@ -406,6 +425,8 @@ if (modeFromCLI) {
       try { meta.proc.kill('SIGINT'); } catch {}
     }
     if (wsPingInterval) { clearInterval(wsPingInterval); wsPingInterval = null; }
+    clearInterval(wsPriceInterval);
+    eventJournal.flush().catch(() => {});
     wss.close(() => {
       server.close(() => {
         console.log('✅  HTTP/WS closed – exiting.');
@@ -423,10 +444,12 @@ if (modeFromCLI) {
     const { pruneAndRoll } = require('./services/utils/analytics/tradeRetention');
     await pruneAndRoll();
   });
+  const safePruneEventJournal = wrapCronJob('pruneEventJournal', () => eventJournal.prune());
 
   cron.schedule('0 0 * * *', safeRunDaily, { timezone: 'America/Los_Angeles' });
   cron.schedule('5 0 1 * *', safeRunMonthly, { timezone: 'America/Los_Angeles' });
   cron.schedule('5 0 * * *', safePruneAndRoll, { timezone: 'America/Los_Angeles' });
+  cron.schedule('15 0 * * *', safePruneEventJournal, { timezone: 'America/Los_Angeles' });
 
   // ───────────────────────── Start server ──────────────────────
   server.listen(PORT, () => {
@@ -442,5 +465,23 @@ if (modeFromCLI) {
     }
     // Restore scheduled jobs and arm watchers
     require('./services/utils/strategy_utils/scheduler/strategyScheduler');
+    // Strategy pipelines: react to bot trade / TP-SL / health / signal events
+    try {
+      require('./services/pipelines').init();
+    } catch (e) {
+      console.error('[boot] Failed to start strategy pipelines:', e?.stack || e);
+    }
+    // Watchlist alert rules (price / liquidity / holder / safety changes)
+    try {
+      require('./services/watchlist').startWorker();
+    } catch (e) {
+      console.error('[boot] Failed to start watchlist monitor:', e?.stack || e);
+    }
+    // Webhook retry / dead-letter worker
+    try {
+      require('./services/notifications').init();
+    } catch (e) {
+      console.error('[boot] Failed to start webhook delivery:', e?.stack || e);
+    }
   });
 }
\ No newline at end of file
@@ -1,6 +1,11 @@
 const speakeasy = require("speakeasy");
 const prisma = require("../../prisma/prisma");
 
+/** Does this user (is2FAEnabled / require2faArm / require2faLogin) need a TOTP code? */
+function requiresTotp(dbUser) {
+  return !!dbUser.is2FAEnabled && !!(dbUser.require2faArm || dbUser.require2faLogin);
+}
+
 module.exports = async function check2FA(req, res, next) {
   try {
     const { user } = req; // requireAuth attaches { id, type }
@@ -30,7 +35,7 @@ module.exports = async function check2FA(req, res, next) {
     // skip the check. This allows users to enable 2FA but selectively
     // require it only on login or only when arming a wallet. When neither
     // flag is set the check is skipped.
-    if (!dbUser.is2FAEnabled || (!dbUser.require2faArm && !dbUser.require2faLogin)) {
+    if (!requiresTotp(dbUser)) {
       return next();
     }
 
@@ -58,4 +63,6 @@ module.exports = async function check2FA(req, res, next) {
     console.error("2FA middleware error:", err);
     return res.status(500).json({ error: "Server error validating 2FA" });
   }
-};
\ No newline at end of file
+};
+
+module.exports.requiresTotp = requiresTotp;
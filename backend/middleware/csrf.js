@@ -65,11 +65,16 @@ function ensureCsrfSeed(req, res, next) {
 /**
  * Double-submit CSRF check for unsafe methods.
  * Accepts `X-CSRF-Token` (preferred) or `X-XSRF-Token` aliases.
+ *
+ * Requests carrying `X-API-Key` are exempt: requireAuth authenticates them
+ * by the key alone (never by cookie), and a cross-site page cannot set that
+ * header without a CORS preflight. Cookie sessions are checked as before.
  */
 function csrfProtection(req, res, next) {
   const method = String(req.method || '').toUpperCase();
   const unsafe = method !== 'GET' && method !== 'HEAD' && method !== 'OPTIONS';
   if (!unsafe) return next();
+  if (req.get('X-API-Key')) return next();
 
   const header =
     req.get('X-CSRF-Token') ||
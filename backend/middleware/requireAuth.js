@@ -4,6 +4,7 @@ require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') }
 
 const jwt = require('jsonwebtoken');
 const prisma = require('../prisma/prisma');
+const { authenticateApiKey } = require('../services/security/apiKeys');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
@@ -18,6 +19,12 @@ const JWT_SECRET = process.env.JWT_SECRET;
  *   - If token has `userId` (old) instead of `id`, look up the user and
  *     upgrade the claim in-memory; optionally emit a fresh Authorization header.
  *
+ * 🔑 API keys:
+ *   - A request carrying `X-API-Key` is authenticated by that key ONLY
+ *     (signature, expiry, IP allowlist and scope for the route) and never
+ *     falls back to cookies/bearer, which is what lets csrf.js skip the
+ *     double-submit check for it. Sets req.user.type = 'apiKey' and req.apiKey.
+ *
  * 🔧 Optional (disabled by default):
  *   - Header fallback `x-user-id` when `ALLOW_HEADER_USER_ID=true` (useful for
  *     internal jobs/tests). Not used in production unless explicitly enabled.
@@ -27,6 +34,22 @@ const JWT_SECRET = process.env.JWT_SECRET;
  *   - Preserves original behavior; only adds optional header fallback.
  */
 async function requireAuth(req, res, next) {
+  if (req.get('x-api-key')) {
+    // Already authenticated by the router-level pass (signatures are single-use)
+    if (req.apiKey && req.user) return next();
+    try {
+      const result = await authenticateApiKey(req);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      req.authToken = null;
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+      return next();
+    } catch (err) {
+      console.error('🔒 API key auth error:', err.message);
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+  }
+
   // Accept Bearer or cookie tokens
   const bearer =
     req.headers.authorization && req.headers.authorization.startsWith('Bearer ')
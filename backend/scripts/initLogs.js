@@ -18,6 +18,9 @@ const strategies = [
   "rebalancer",
   "paperTrader",
   "stealthBot",
+  "copyTrader",
+  "gridTrader",
+  "meanReversion",
 ];
 
 const logDir = path.join(__dirname, "..", "logs");
@@ -0,0 +1,68 @@
+/*
+ * runBacktest.js
+ *
+ * CLI wrapper around the backtest engine.  Replays a candle file (JSON
+ * or CSV) or a Birdeye OHLCV range through a strategy config and
+ * prints the summary, cost breakdown and trade list.  Optionally
+ * writes the full result (including the equity curve) to disk.
+ *
+ * Usage:
+ *   node scripts/runBacktest.js --mode breakout --config cfg.json --candles bars.csv
+ *   node scripts/runBacktest.js --mode scalper --config cfg.json \
+ *        --mint <MINT> --interval 5m --from 2026-09-01 --to 2026-10-01 --out result.json
+ */
+
+const fs = require("fs");
+const args = require("minimist")(process.argv.slice(2));
+
+const { runBacktest } = require("../services/strategies/core/backtest/backtestEngine");
+const { resolveCandles } = require("../services/strategies/core/backtest/candleSource");
+
+async function main() {
+  if (!args.mode) throw new Error("--mode is required");
+  const config = args.config ? JSON.parse(fs.readFileSync(args.config, "utf8")) : {};
+  const candles = await resolveCandles({
+    file: args.candles,
+    mint: args.mint,
+    interval: args.interval || "15m",
+    from: args.from,
+    to: args.to,
+  });
+  const result = await runBacktest({
+    mode: args.mode,
+    config,
+    candles,
+    options: {
+      initialCapitalUsd: args.capital != null ? +args.capital : undefined,
+      solPriceUsd: args.solPrice != null ? +args.solPrice : undefined,
+      seed: args.seed,
+    },
+  });
+
+  console.log(`Backtest ${result.mode}: ${result.bars} bars ` +
+    `${new Date(result.from).toISOString()} → ${new Date(result.to).toISOString()}`);
+  console.table([result.summary]);
+  console.log("Cost breakdown (TCA):");
+  console.table([result.tca]);
+  if (result.trades.length) {
+    console.table(result.trades.map((t) => ({
+      id: t.id,
+      entry: new Date(t.entryTs).toISOString(),
+      exit: new Date(t.exitTs).toISOString(),
+      entryPrice: t.entryPrice,
+      exitPrice: t.exitPrice,
+      pnlUsd: +t.pnlUsd.toFixed(4),
+      pnlPct: +t.pnlPct.toFixed(2),
+      exitReason: t.exitReason,
+    })));
+  }
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(result, null, 2));
+    console.log(`Full result written to ${args.out}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,196 @@
+/* ─────────────────────────────────────────────────────────────
+ *  Bot control
+ *  User-scoped start / pause / resume / stop / inspect for strategy
+ *  bots, shared by chat front-ends (Telegram) that have no HTTP
+ *  request to hang requireAuth on.
+ *
+ *  • Ownership comes from StrategyRunStatus.userId; a bot that isn't
+ *    the caller's is reported as "not found", never acted on.
+ *  • Process control goes through strategyLauncher; live metrics come
+ *    from strategyStatus (uptime / trades) and botHealthRegistery
+ *    (tick age / health level).
+ *  • All of that state lives in the API server, which owns the bot
+ *    children, so this module only runs there. Other processes use the
+ *    /api/internalJobs/bots routes (telegram/utils/botControlApi.js).
+ *  • Every call resolves to `{ ok: true, … }` or `{ ok: false, error }`.
+ * ──────────────────────────────────────────────────────────── */
+
+const prisma = require("../prisma/prisma");
+const {
+  startStrategy,
+  stopStrategy,
+  pauseStrategy,
+  pauseBotsByWallet,
+  resumeStrategy,
+} = require("./utils/strategy_utils/strategyLauncher");
+const { getStrategyStatus } = require("./utils/strategy_utils/strategyStatus");
+const { snapshot } = require("./strategies/core/botHealthRegistery");
+const savedSvc = require("./utils/strategy_utils/savedConfigDb");
+const { isStrategyEnabled } = require("../config/featureFlags");
+
+const RUN_SELECT = {
+  botId: true, userId: true, mode: true, startedAt: true, pausedAt: true,
+  isPaused: true, lastTickAt: true, status: true, config: true,
+};
+
+/* ─── helpers ──────────────────────────────────────────────── */
+
+function fmtAgo(ms) {
+  if (ms == null || !Number.isFinite(ms)) return "n/a";
+  const s = Math.max(0, Math.floor(ms / 1000));
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${s % 60}s`;
+  return `${Math.floor(m / 60)}h ${m % 60}m`;
+}
+
+function describe(row, health = {}) {
+  const live = getStrategyStatus(row.botId);
+  const h = health[row.botId] || null;
+  const lastTick = h?.lastTickAt || row.lastTickAt || null;
+  const lastTickAgoMs = h?.lastTickAgoMs ?? (lastTick ? Date.now() - new Date(lastTick).getTime() : null);
+  const started = live?.startTime ?? (row.startedAt ? new Date(row.startedAt).getTime() : null);
+  const stoppedClock = live?.pausedAt ?? (row.isPaused && row.pausedAt ? new Date(row.pausedAt).getTime() : null);
+  const uptimeMs = started ? (stoppedClock ?? Date.now()) - started - (live?.pauseAccum ?? 0) : null;
+
+  return {
+    botId: row.botId,
+    mode: row.mode,
+    paused: !!row.isPaused,
+    status: row.isPaused ? "paused" : (h?.status || row.status || "running"),
+    healthLevel: h?.healthLevel || null,
+    lastTickAgoMs,
+    lastTickAgo: fmtAgo(lastTickAgoMs),
+    uptime: fmtAgo(uptimeMs),
+    loopDurationMs: h?.loopDurationMs ?? null,
+    restartCount: h?.restartCount ?? live?.restartCount ?? 0,
+    tradesExecuted: live?.tradesExecuted ?? 0,
+    maxTrades: live?.maxTrades ?? row.config?.maxTrades ?? null,
+    walletLabel: row.config?.walletLabel || null,
+    dryRun: row.config?.dryRun === true,
+  };
+}
+
+async function ownedRow(userId, botId) {
+  if (!botId) return null;
+  return prisma.strategyRunStatus.findFirst({
+    where: { botId: String(botId), userId, stoppedAt: null },
+    select: RUN_SELECT,
+  });
+}
+
+/* ─── queries ──────────────────────────────────────────────── */
+
+/** Every active (not stopped) bot of the user, newest first. */
+async function listBots(userId) {
+  const rows = await prisma.strategyRunStatus.findMany({
+    where: { userId, stoppedAt: null },
+    select: RUN_SELECT,
+    orderBy: { startedAt: "desc" },
+  });
+  const { bots: health } = snapshot();
+  return rows.map((r) => describe(r, health));
+}
+
+async function botStatus(userId, botId) {
+  const row = await ownedRow(userId, botId);
+  if (!row) return { ok: false, error: "Bot not found." };
+  return { ok: true, bot: describe(row, snapshot().bots) };
+}
+
+/** Saved presets the user can launch, for pickers. */
+async function listSavedConfigs(userId) {
+  const rows = await savedSvc.listPresets(userId);
+  return rows.map((r) => ({ id: r.id, mode: r.strategyName, name: r.name || "" }));
+}
+
+/* ─── actions ──────────────────────────────────────────────── */
+
+/**
+ * Launch a saved preset by id or (case-insensitive) name on the user's
+ * active wallet.
+ */
+async function startSavedConfig(userId, ref) {
+  const key = String(ref ?? "").trim();
+  if (!key) return { ok: false, error: "Saved config name or id required." };
+
+  const presets = await savedSvc.listPresets(userId);
+  const preset =
+    presets.find((p) => String(p.id) === key) ||
+    presets.find((p) => (p.name || "").toLowerCase() === key.toLowerCase());
+  if (!preset) return { ok: false, error: `No saved config "${key}".` };
+
+  const mode = preset.strategyName;
+  if (!mode) return { ok: false, error: "Saved config has no strategy." };
+  if (!isStrategyEnabled(mode)) return { ok: false, error: `Strategy ${mode} is disabled.` };
+
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { activeWalletId: true } });
+  const wallet = user?.activeWalletId
+    ? await prisma.wallet.findUnique({ where: { id: user.activeWalletId }, select: { id: true, label: true } })
+    : null;
+  if (!wallet) return { ok: false, error: "No active wallet set." };
+
+  try {
+    const { botId } = await startStrategy(mode, {
+      ...(preset.extras || {}),
+      userId,
+      walletId: wallet.id,
+      walletLabel: wallet.label,
+      configId: preset.id,
+    });
+    return { ok: true, botId, mode, name: preset.name || "" };
+  } catch (err) {
+    const details = Array.isArray(err?.details) && err.details.length ? `: ${err.details.join(", ")}` : "";
+    return { ok: false, error: `${err?.message || "Failed to start"}${details}` };
+  }
+}
+
+async function pauseBot(userId, botId) {
+  const row = await ownedRow(userId, botId);
+  if (!row) return { ok: false, error: "Bot not found." };
+  if (row.isPaused) return { ok: false, error: "Bot is already paused." };
+  if (!pauseStrategy(row.botId)) {
+    return { ok: false, error: "Bot process not found; stop it and start it again." };
+  }
+  return { ok: true, botId: row.botId };
+}
+
+async function resumeBot(userId, botId) {
+  const row = await ownedRow(userId, botId);
+  if (!row) return { ok: false, error: "Bot not found." };
+  if (!row.isPaused) return { ok: false, error: "Bot is not paused." };
+  if (!(await resumeStrategy(row.botId))) return { ok: false, error: "Runtime config missing; start it again." };
+  return { ok: true, botId: row.botId };
+}
+
+async function stopBot(userId, botId) {
+  const row = await ownedRow(userId, botId);
+  if (!row) return { ok: false, error: "Bot not found." };
+  // Signals the child through runningProcesses, never a recorded pid
+  // that may since belong to another process.
+  stopStrategy(row.botId);
+  return { ok: true, botId: row.botId };
+}
+
+/** Pause every running bot trading from the wallet with `label`. */
+async function pauseWallet(userId, label) {
+  const wallet = await prisma.wallet.findFirst({
+    where: { userId, label: String(label || "").trim() },
+    select: { id: true, label: true },
+  });
+  if (!wallet) return { ok: false, error: `Wallet "${label}" not found.` };
+  const paused = await pauseBotsByWallet(userId, wallet.id);
+  return { ok: true, paused, walletLabel: wallet.label };
+}
+
+module.exports = {
+  listBots,
+  botStatus,
+  listSavedConfigs,
+  startSavedConfig,
+  pauseBot,
+  resumeBot,
+  stopBot,
+  pauseWallet,
+  fmtAgo,
+};
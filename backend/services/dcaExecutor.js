@@ -9,6 +9,9 @@ const { addOrUpdateOpenTrade } = require("./utils/analytics/openTrades");
 const { sendBotAlert }         = require("../telegram/botAlerts"); // kept for compatibility
 const { sendAlert }            = require("../telegram/alerts");
 const feEvents = require("./feEvents");
+const { getMintDecimals }      = require("../utils/tokenAccounts");
+const { planTranche, roundsUsed, nextIntervalHours } = require("./dcaPlanner");
+const { sendNotification }     = require("./notifications");
 
 const API_BASE = process.env.API_BASE || "http://localhost:5001";
 
@@ -64,13 +67,49 @@ function unitInfo(unitRaw) {
   };
 }
 
+async function tokensFromRaw(mint, raw) {
+  if (raw == null) return null;
+  try {
+    return Number(raw) / 10 ** (await getMintDecimals(mint));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Append a row to the order's tranche history. Telegram orders live in a
+ * JSON file and have no DcaOrder row, so a failed insert is only logged.
+ * Also emits the DCA_TRANCHE notification / webhook for app users.
+ */
+async function recordTranche(order, data) {
+  const row = {
+    orderId: order.id,
+    round  : roundsUsed(order) + 1,
+    side   : order.side || "buy",
+    ...data,
+  };
+  try {
+    await prisma.dcaTranche.create({ data: row });
+  } catch (err) {
+    if (order.userId) console.error("❌ Failed to record DCA tranche:", err?.message || err);
+  }
+  if (order.userId) {
+    sendNotification(order.userId, "DCA_TRANCHE", {
+      orderId: order.id, round: row.round, side: row.side, status: row.status,
+      mint: order.tokenMint || null, amount: row.amount ?? null, price: row.price ?? null,
+      filledQty: row.filledQty ?? null, txHash: row.tx || null, reason: row.reason || null,
+    });
+  }
+  return row;
+}
+
 /* ────────────────────────────── MAIN BUY ──────────────────────────── */
 /**
  * Executes a single DCA buy chunk.
  * NOTE: This function updates the DCA row (completedBuys/executedCount/lastBuyAt/tx)
  * on success. Callers (monitors, schedulers) should NOT increment again.
  */
-async function performDcaBuy(userId, order, authHeader = "") {
+async function performDcaBuy(userId, order, authHeader = "", { price = null } = {}) {
   if (!order?.tokenMint) {
     throw new Error("DCA order missing tokenMint");
   }
@@ -104,15 +143,21 @@ async function performDcaBuy(userId, order, authHeader = "") {
     if (!tx) throw new Error("No transaction returned from swap");
 
     /* ── update DCA order row ───────────────────── */
-    await prisma.dcaOrder.update({
+    // updateMany: Telegram orders have no row, and a throw here (after the
+    // swap landed) would count the tranche as missed.
+    const filledQty = await tokensFromRaw(order.tokenMint, outAmount);
+    await prisma.dcaOrder.updateMany({
       where: { id: order.id },
       data : {
         completedBuys: { increment: 1 },
         executedCount: { increment: 1 },
+        spent        : { increment: amountPerBuy },
+        filledQty    : { increment: filledQty || 0 },
         lastBuyAt    : new Date(),
         tx,
       },
     });
+    await recordTranche(order, { status: "executed", amount: amountPerBuy, price, filledQty, tx });
 
     /* ── analytics: log + open-trade ────────────── */
     const logPayload = await prepareBuyLogFields({
@@ -186,7 +231,7 @@ console.log("[FEVENT] " + JSON.stringify(payload));
     `.trim();
 
     await alertUser(userId, lines, "DCA");
-    return { tx, inAmount, outAmount };
+    return { tx, inAmount, outAmount, filledQty };
 
   } catch (err) {
     const msg =
@@ -198,13 +243,14 @@ console.log("[FEVENT] " + JSON.stringify(payload));
     console.error(`❌ DCA buy failed for order ${order?.id || "?"}:`, msg);
 
     try {
-      await prisma.dcaOrder.update({
+      await prisma.dcaOrder.updateMany({
         where: { id: order.id },
         data : { missedCount: { increment: 1 } },
       });
     } catch (dbErr) {
       console.error("❌ Failed to bump missedCount:", dbErr?.message || dbErr);
     }
+    await recordTranche(order, { status: "failed", amount: amountPerBuy, price, reason: msg });
 
     const totalBuys = Number(pick(order?.numBuys, order?.totalBuys)) || 0;
     const failIdx   = Number(order?.completedBuys || 0) + 1;
@@ -212,8 +258,171 @@ console.log("[FEVENT] " + JSON.stringify(payload));
     const failMsg = `❌ *DCA Buy ${failIdx} / ${totalBuys} Failed*\n${msg}`;
     await alertUser(userId, failMsg, "DCA");
 
-    return { tx: null };
+    return { tx: null, error: msg };
+  }
+}
+
+/* ────────────────────────────── MAIN SELL ─────────────────────────── */
+/**
+ * Sells one DCA tranche of an existing bag. `order.amountPerBuy` is a
+ * token quantity here. Updates the DCA row like performDcaBuy does.
+ */
+async function performDcaSell(userId, order, authHeader = "", { price = null } = {}) {
+  if (!order?.tokenMint) {
+    throw new Error("DCA order missing tokenMint");
+  }
+  const amount = deriveAmountPerBuy(order);
+  if (!amount) {
+    throw new Error("DCA order missing amountPerBuy and cannot derive from amount/numBuys");
+  }
+
+  const sellPayload = {
+    mint        : order.tokenMint,
+    walletLabel : order.walletLabel || "default",
+    slippage    : order.slippage ?? 1.0,
+    force       : true,
+    strategy    : "dca",
+    amount,
+  };
+
+  try {
+    const res = await axios.post(`${API_BASE}/api/internalJobs/sell`, sellPayload, {
+      headers: authHeader ? { Authorization: authHeader } : {},
+      timeout: 60_000,
+    });
+
+    const src = res?.data?.result || res?.data || {};
+    const { tx } = src;
+    if (!tx) throw new Error("No transaction returned from swap");
+
+    await prisma.dcaOrder.updateMany({
+      where: { id: order.id },
+      data : {
+        completedBuys: { increment: 1 },
+        executedCount: { increment: 1 },
+        spent        : { increment: amount },
+        filledQty    : { increment: amount },
+        lastBuyAt    : new Date(),
+        tx,
+      },
+    });
+    await recordTranche(order, { status: "executed", amount, price, filledQty: amount, tx });
+
+    const payload = {
+      channel    : "events",
+      type       : "order_executed",
+      source     : "dca",
+      side       : "sell",
+      userId,
+      walletLabel: order.walletLabel || "default",
+      mint       : order.tokenMint,
+      txHash     : tx,
+      strategy   : "dca",
+      orderId    : order.id,
+      ts         : Date.now(),
+    };
+    feEvents.emit(payload);
+    console.log("[FEVENT] " + JSON.stringify(payload));
+
+    const totalSells = Number(pick(order?.numBuys, order?.totalBuys)) || 0;
+    const doneNext   = Number(order?.completedBuys || 0) + 1;
+    const explorer   = `https://explorer.solana.com/tx/${tx}?cluster=mainnet-beta`;
+
+    const lines = `
+📈 *DCA Sell Executed* ${doneNext} / ${totalSells}
+
+🧾 *Mint:* \`${shortMint(order.tokenMint)}\`
+💸 *Sold:* ${fmt(amount, 4)} tokens
+👤 *Wallet:* \`${order.walletLabel || "default"}\`
+🕒 *Time:* ${tsUTC()}
+📡 [View Transaction](${explorer})
+    `.trim();
+
+    await alertUser(userId, lines, "DCA");
+    return { tx, filledQty: amount };
+
+  } catch (err) {
+    const msg =
+      err?.response?.data?.message ||
+      err?.response?.data?.error ||
+      err?.message ||
+      String(err);
+
+    console.error(`❌ DCA sell failed for order ${order?.id || "?"}:`, msg);
+
+    try {
+      await prisma.dcaOrder.updateMany({
+        where: { id: order.id },
+        data : { missedCount: { increment: 1 } },
+      });
+    } catch (dbErr) {
+      console.error("❌ Failed to bump missedCount:", dbErr?.message || dbErr);
+    }
+    await recordTranche(order, { status: "failed", amount, price, reason: msg });
+
+    const totalSells = Number(pick(order?.numBuys, order?.totalBuys)) || 0;
+    const failIdx    = Number(order?.completedBuys || 0) + 1;
+    await alertUser(userId, `❌ *DCA Sell ${failIdx} / ${totalSells} Failed*\n${msg}`, "DCA");
+
+    return { tx: null, error: msg };
+  }
+}
+
+/* ────────────────────────────── ONE ROUND ─────────────────────────── */
+// orderId → reason of the last skip that left the round due, so an order
+// parked outside its price band is recorded once rather than every pass.
+const _heldSkips = new Map();
+
+/**
+ * Plan and run the next DCA round for `order` at `price` (USD; `unitPrice`
+ * is the same quote in the order's unit). Sizing comes from dcaPlanner;
+ * `volatility` (hourly %, optional) only matters for vol-mode intervals.
+ *
+ * Only outcomes that use up a round (a fill or a consuming skip) move
+ * lastBuyAt/nextBuyAt. A stop-band or no-price skip leaves the round due,
+ * so it runs on the first pass where the price is back in range.
+ *
+ * @returns {Promise<{ action: "execute"|"skip"|"done", amount: number,
+ *   tx?: string|null, filledQty?: number|null, reason?: string,
+ *   consumesRound?: boolean, nextBuyAt?: Date }>}
+ */
+async function runDcaTranche(userId, order, { authHeader = "", price = null, unitPrice, volatility = null } = {}) {
+  const plan = planTranche(order, { price, unitPrice: unitPrice ?? price });
+  if (plan.action === "done") return plan;
+
+  const nextBuyAt = new Date(Date.now() + nextIntervalHours(order, volatility) * 3.6e6);
+
+  if (plan.action === "skip" && !plan.consumesRound) {
+    if (_heldSkips.get(order.id) !== plan.reason) {
+      _heldSkips.set(order.id, plan.reason);
+      await recordTranche(order, { status: "skipped", amount: 0, price, reason: plan.reason });
+    }
+    return plan;
+  }
+  _heldSkips.delete(order.id);
+
+  if (plan.action === "skip") {
+    await recordTranche(order, { status: "skipped", amount: 0, price, reason: plan.reason });
+    try {
+      await prisma.dcaOrder.updateMany({
+        where: { id: order.id },
+        data : { lastBuyAt: new Date(), nextBuyAt, skippedCount: { increment: 1 } },
+      });
+    } catch (err) {
+      console.error("❌ Failed to record DCA skip:", err?.message || err);
+    }
+    return { ...plan, nextBuyAt };
+  }
+
+  const tranche = { ...order, amountPerBuy: plan.amount };
+  const res = order.side === "sell"
+    ? await performDcaSell(userId, tranche, authHeader, { price })
+    : await performDcaBuy(userId, tranche, authHeader, { price });
+
+  if (res?.tx) {
+    await prisma.dcaOrder.updateMany({ where: { id: order.id }, data: { nextBuyAt } });
   }
+  return { ...plan, ...res, nextBuyAt: res?.tx ? nextBuyAt : undefined };
 }
 
 /** Convenience wrapper when the caller conceptually wants “now”. */
@@ -223,5 +432,7 @@ async function executeImmediateDcaBuy(userId, order, authHeader = "") {
 
 module.exports = {
   performDcaBuy,
+  performDcaSell,
+  runDcaTranche,
   executeImmediateDcaBuy,
 };
@@ -0,0 +1,150 @@
+/* ─────────────────────────────────────────────────────────────
+ *  DCA planner
+ *  Pure sizing / timing rules shared by the web (Prisma) and
+ *  Telegram (JSON file) DCA monitors.
+ *
+ *  Modes
+ *    • fixed      – amountPerBuy every freqHours (legacy behaviour)
+ *    • value_avg  – top the position up to `targetIncrement × round`
+ *                   of value; rounds already above target buy nothing
+ *    • dip        – scale the tranche by the move from startPrice:
+ *                   drawdown for buys, run-up for sells
+ *                   (1 + dipFactor × move, capped at maxTrancheMult)
+ *    • vol        – fixed size, interval scaled by volRef / realised
+ *                   volatility so each tranche covers a similar move
+ *
+ *  Budget units: buys spend `unit` (USDC/SOL), sells spend tokens.
+ *  stopAbove / stopBelow skip the round without consuming it.
+ * ──────────────────────────────────────────────────────────── */
+
+const DCA_MODES = ["fixed", "value_avg", "dip", "vol"];
+
+const DEFAULT_DIP_FACTOR  = 5;    // 20 % drawdown → 2× tranche
+const DEFAULT_MAX_MULT    = 3;
+const VOL_INTERVAL_BOUNDS = [0.25, 4];
+// Remaining budget below this fraction of a tranche counts as spent.
+const DUST_FRACTION = 0.01;
+
+const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
+const round = (x) => +Number(x).toFixed(9);
+
+function perTranche(order) {
+  if (order.amountPerBuy > 0) return +order.amountPerBuy;
+  const n = +(order.numBuys || order.totalBuys);
+  return n > 0 ? +order.amount / n : 0;
+}
+
+/** Rounds consumed so far: executed tranches plus value-avg "no top-up" rounds. */
+function roundsUsed(order) {
+  return (order.completedBuys || 0) + (order.skippedCount || 0);
+}
+
+function remainingBudget(order) {
+  // rows created before `spent` existed only know how many tranches ran
+  const spent = order.spent > 0 ? +order.spent : (order.completedBuys || 0) * perTranche(order);
+  return Math.max(0, +order.amount - spent);
+}
+
+/** True once every round has run or the budget is used up. */
+function isFinished(order) {
+  const rounds = +(order.numBuys || order.totalBuys) || 0;
+  if (rounds && roundsUsed(order) >= rounds) return true;
+  return remainingBudget(order) <= perTranche(order) * DUST_FRACTION;
+}
+
+/**
+ * Size the next tranche at `price` (USD). `unitPrice` is the same price
+ * quoted in the order's unit and defaults to `price` (USDC orders).
+ * @returns {{ action: "execute"|"skip"|"done", amount: number, reason?: string, consumesRound?: boolean }}
+ *   amount – unit for buys, tokens for sells
+ */
+function planTranche(order, { price, unitPrice = price } = {}) {
+  if (isFinished(order)) return { action: "done", amount: 0 };
+  if (!(price > 0)) return { action: "skip", amount: 0, reason: "no price", consumesRound: false };
+
+  if (order.stopAbove && price >= order.stopAbove) {
+    return { action: "skip", amount: 0, reason: `price ≥ stopAbove ${order.stopAbove}`, consumesRound: false };
+  }
+  if (order.stopBelow && price <= order.stopBelow) {
+    return { action: "skip", amount: 0, reason: `price ≤ stopBelow ${order.stopBelow}`, consumesRound: false };
+  }
+
+  const base    = perTranche(order);
+  const maxMult = order.maxTrancheMult > 0 ? order.maxTrancheMult : DEFAULT_MAX_MULT;
+  const budget  = remainingBudget(order);
+  const rounds  = +(order.numBuys || order.totalBuys) || 0;
+  const lastRound = rounds > 0 && roundsUsed(order) + 1 >= rounds;
+  let amount = base;
+
+  switch (order.mode || "fixed") {
+    case "value_avg": {
+      const step   = order.targetIncrement > 0 ? +order.targetIncrement : base;
+      const target = step * (roundsUsed(order) + 1);
+      const value  = (order.filledQty || 0) * unitPrice;
+      amount = Math.min(target - value, base * maxMult);
+      if (amount <= base * DUST_FRACTION) {
+        return { action: "skip", amount: 0, reason: "position at or above target value", consumesRound: true };
+      }
+      break;
+    }
+    case "dip": {
+      const start = +order.startPrice;
+      if (start > 0) {
+        const move = order.side === "sell" ? (price - start) / start : (start - price) / start;
+        const factor = order.dipFactor > 0 ? +order.dipFactor : DEFAULT_DIP_FACTOR;
+        amount = base * clamp(1 + factor * Math.max(0, move), 1, maxMult);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  // The final round sweeps whatever budget is left so nothing is stranded.
+  amount = lastRound && order.mode !== "value_avg" ? budget : Math.min(amount, budget);
+  return { action: "execute", amount: round(amount) };
+}
+
+/**
+ * Realised volatility: stdev of close-to-close log returns, in percent.
+ * @param {Array<{close:number}>} candles  oldest → latest
+ */
+function realizedVol(candles = []) {
+  const closes = candles.map((c) => +c.close).filter((c) => c > 0);
+  if (closes.length < 3) return null;
+  const rets = [];
+  for (let i = 1; i < closes.length; i++) rets.push(Math.log(closes[i] / closes[i - 1]));
+  const mean = rets.reduce((a, b) => a + b, 0) / rets.length;
+  const variance = rets.reduce((a, b) => a + (b - mean) ** 2, 0) / (rets.length - 1);
+  return Math.sqrt(variance) * 100;
+}
+
+/**
+ * Hours to wait after a tranche. Only `vol` mode deviates from freqHours:
+ * twice the reference volatility halves the wait, within VOL_INTERVAL_BOUNDS.
+ */
+function nextIntervalHours(order, vol) {
+  const base = +order.freqHours || +order.frequency || 1;
+  if (order.mode !== "vol" || !(vol > 0) || !(order.volRef > 0)) return base;
+  const [lo, hi] = VOL_INTERVAL_BOUNDS;
+  return round(base * clamp(order.volRef / vol, lo, hi));
+}
+
+/** Whether the next round is due at `now` (ms). */
+function isDue(order, now = Date.now()) {
+  if (order.nextBuyAt) return now >= +new Date(order.nextBuyAt);
+  const last = order.lastBuyAt ? +new Date(order.lastBuyAt) : +new Date(order.createdAt);
+  return (now - last) / 3.6e6 >= (+order.freqHours || +order.frequency || 0);
+}
+
+module.exports = {
+  DCA_MODES,
+  DEFAULT_DIP_FACTOR,
+  DEFAULT_MAX_MULT,
+  planTranche,
+  isFinished,
+  roundsUsed,
+  realizedVol,
+  nextIntervalHours,
+  isDue,
+};
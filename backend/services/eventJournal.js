@@ -0,0 +1,234 @@
+// backend/services/eventJournal.js
+/**
+ * Event journal — persisted, sequence-numbered history of everything the
+ * WS hub routes to a user (strategy log lines, fills, TP/SL/DCA/limit events).
+ *
+ * • `record()` assigns the next seq synchronously so live frames carry it;
+ *   rows are written in batches (createMany) to keep log-heavy bots cheap.
+ * • A ring of the latest entries serves short reconnect gaps from memory;
+ *   older cursors fall back to the database.
+ * • Seqs are global and strictly increasing; a client cursor is simply the
+ *   highest seq it has seen.
+ *
+ * Env:
+ *   EVENT_JOURNAL_RING=5000            entries kept in memory
+ *   EVENT_JOURNAL_FLUSH_MS=500         batch window
+ *   EVENT_JOURNAL_RETENTION_DAYS=7     rows older than this are pruned
+ */
+
+const prisma = require('../prisma/prisma');
+
+const RING_SIZE = Number(process.env.EVENT_JOURNAL_RING || 5000);
+const FLUSH_MS = Number(process.env.EVENT_JOURNAL_FLUSH_MS || 500);
+const FLUSH_BATCH = 500;
+const RETENTION_DAYS = Number(process.env.EVENT_JOURNAL_RETENTION_DAYS || 7);
+const MAX_REPLAY = 1000;
+
+let lastSeq = null;      // null until init() has read the persisted head
+let initPromise = null;
+let ring = [];           // newest last
+let pending = [];        // recorded, not yet written
+let preInit = [];        // recorded before the head was known
+let flushTimer = null;
+let flushing = null;
+
+/* ─── helpers ──────────────────────────────────────────────── */
+
+/** Does a journal topic fall under any of the subscribed topics? */
+function matchesTopics(topic, topics) {
+  if (!topics) return true;
+  return topics.includes(topic) || (topic.startsWith('logs:') && topics.includes('logs:*'));
+}
+
+function topicWhere(topics) {
+  if (!topics) return {};
+  const exact = topics.filter((t) => t !== 'logs:*');
+  const or = [];
+  if (exact.length) or.push({ topic: { in: exact } });
+  if (topics.includes('logs:*')) or.push({ topic: { startsWith: 'logs:' } });
+  return or.length ? { OR: or } : { topic: { in: [] } };
+}
+
+function toEntry(row) {
+  return {
+    seq: row.seq,
+    userId: row.userId,
+    botId: row.botId ?? null,
+    topic: row.topic,
+    payload: row.payload,
+    ts: row.createdAt instanceof Date ? row.createdAt.getTime() : +new Date(row.createdAt),
+  };
+}
+
+function pushRing(entry) {
+  ring.push(entry);
+  if (ring.length > RING_SIZE) ring = ring.slice(ring.length - RING_SIZE);
+}
+
+function scheduleFlush() {
+  if (pending.length >= FLUSH_BATCH) {
+    flush().catch(() => {});
+    return;
+  }
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flush().catch(() => {});
+  }, FLUSH_MS);
+  if (flushTimer.unref) flushTimer.unref();
+}
+
+function assign(entry) {
+  entry.seq = ++lastSeq;
+  pushRing(entry);
+  pending.push(entry);
+  scheduleFlush();
+  return entry.seq;
+}
+
+/* ─── public API ───────────────────────────────────────────── */
+
+/** Load the persisted head once; safe to call repeatedly. */
+function init() {
+  if (!initPromise) {
+    initPromise = prisma.eventJournal
+      .aggregate({ _max: { seq: true } })
+      .then((r) => r?._max?.seq || 0)
+      .catch((e) => {
+        console.warn('[eventJournal] head lookup failed, starting at 0:', e.message);
+        return 0;
+      })
+      .then((head) => {
+        lastSeq = Math.max(lastSeq || 0, head);
+        const queued = preInit;
+        preInit = [];
+        queued.forEach(assign);
+        return lastSeq;
+      });
+  }
+  return initPromise;
+}
+
+/**
+ * Append an event for `userId`. Returns its seq, or null while the
+ * journal is still reading its head (the entry is kept and numbered then).
+ */
+function record({ userId, botId = null, topic, payload }) {
+  if (!userId || !topic) return null;
+  const entry = { seq: null, userId: String(userId), botId, topic, payload, ts: Date.now() };
+  if (lastSeq == null) {
+    preInit.push(entry);
+    init();
+    return null;
+  }
+  return assign(entry);
+}
+
+/** Highest seq handed out so far (0 before init). */
+function head() {
+  return lastSeq || 0;
+}
+
+/** Write pending entries; resolves once everything recorded so far is persisted. */
+async function flush() {
+  if (flushing) await flushing;
+  if (!pending.length) return 0;
+  const batch = pending.splice(0, pending.length);
+  flushing = prisma.eventJournal
+    .createMany({
+      data: batch.map((e) => ({
+        seq: e.seq,
+        userId: e.userId,
+        botId: e.botId,
+        topic: e.topic,
+        payload: e.payload,
+        createdAt: new Date(e.ts),
+      })),
+      skipDuplicates: true,
+    })
+    .then(() => batch.length)
+    .catch((e) => {
+      console.warn(`[eventJournal] dropped ${batch.length} entries:`, e.message);
+      return 0;
+    })
+    .finally(() => { flushing = null; });
+  return flushing;
+}
+
+/**
+ * Entries for `userId` after `afterSeq`, oldest first, limited to `topics`
+ * (null = all). `truncated` means the caller should page again from the
+ * last returned seq.
+ */
+async function since(userId, afterSeq, { topics = null, limit = MAX_REPLAY } = {}) {
+  const take = Math.min(Math.max(1, limit), MAX_REPLAY);
+  const after = Math.max(0, Number(afterSeq) || 0);
+  const uid = String(userId);
+
+  // The ring is complete from its oldest seq onward.
+  if (ring.length && ring[0].seq <= after + 1) {
+    const hits = ring.filter((e) => e.seq > after && e.userId === uid && matchesTopics(e.topic, topics));
+    return { entries: hits.slice(0, take), truncated: hits.length > take };
+  }
+
+  await flush();
+  const rows = await prisma.eventJournal.findMany({
+    where: { userId: uid, seq: { gt: after }, ...topicWhere(topics) },
+    orderBy: { seq: 'asc' },
+    take: take + 1,
+  });
+  return { entries: rows.slice(0, take).map(toEntry), truncated: rows.length > take };
+}
+
+/**
+ * One page of a bot's log, newest first. Pass the returned `nextBefore`
+ * as `before` to continue; null means the start was reached.
+ */
+async function pageBotLog(userId, botId, { before = null, limit = 100 } = {}) {
+  await flush();
+  const take = Math.min(Math.max(1, limit), 500);
+  const rows = await prisma.eventJournal.findMany({
+    where: {
+      userId: String(userId),
+      botId,
+      topic: `logs:${botId}`,
+      ...(before != null && { seq: { lt: Number(before) } }),
+    },
+    orderBy: { seq: 'desc' },
+    take: take + 1,
+  });
+  const items = rows.slice(0, take).map(toEntry);
+  return { items, nextBefore: rows.length > take ? items[items.length - 1].seq : null };
+}
+
+/** Delete rows older than `days`. */
+async function prune(days = RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - days * 86_400_000);
+  const { count } = await prisma.eventJournal.deleteMany({ where: { createdAt: { lt: cutoff } } });
+  return count;
+}
+
+/** Test helper. */
+function _reset() {
+  if (flushTimer) clearTimeout(flushTimer);
+  lastSeq = null;
+  initPromise = null;
+  ring = [];
+  pending = [];
+  preInit = [];
+  flushTimer = null;
+  flushing = null;
+}
+
+module.exports = {
+  init,
+  record,
+  head,
+  flush,
+  since,
+  pageBotLog,
+  prune,
+  matchesTopics,
+  MAX_REPLAY,
+  _reset,
+};
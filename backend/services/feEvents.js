@@ -1,12 +1,21 @@
 // services/feEvents.js
 // Minimal bus to push JSON events toward the WS layer.
 let _send = null;
+const _listeners = new Set(); // in-process consumers (strategy pipelines)
 
 function register(sender) {
   _send = sender; // sender: (objOrString) => void
 }
 
+function subscribe(fn) {
+  _listeners.add(fn); // fn: (eventObj) => void
+  return () => _listeners.delete(fn);
+}
+
 function emit(event) {
+  for (const fn of _listeners) {
+    try { fn(event); } catch (e) { console.warn("[feEvents] listener failed:", e.message); }
+  }
   if (!_send) return;
   try {
     // Always send JSON with a channel tag so clients can distinguish from plain logs.
@@ -18,4 +27,4 @@ function emit(event) {
   }
 }
 
-module.exports = { register, emit };
+module.exports = { register, subscribe, emit };
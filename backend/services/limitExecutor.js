@@ -8,6 +8,9 @@ const { logTrade }            = require("./utils/analytics/logTrade");
 const { sendBotAlert }        = require("../telegram/botAlerts");
 const { sendAlert }           = require("../telegram/alerts");
 const feEvents                = require("./feEvents");
+const { getMintDecimals }     = require("../utils/tokenAccounts");
+const { isExclusiveLeg, cancelScope } = require("./limitOrderLegs");
+const { sendNotification }    = require("./notifications");
 
 const API_BASE = process.env.API_BASE || "http://localhost:5001";
 
@@ -45,7 +48,14 @@ async function alertUser(userId, msg, tag = "Limit") {
 
 
 /* ──────────────────────────────── LIMIT BUY ─────────────────────────────── */
-async function performLimitBuy(order, authHeader = "") {
+/**
+ * @param {object} order
+ * @param {string} [authHeader]
+ * @param {{ activateExits?: (order: object, qty: number|null) => Promise<any> }} [opts]
+ *        override how a bracket entry arms its exits (the Telegram monitor
+ *        keeps its legs in a JSON file rather than LimitOrder rows)
+ */
+async function performLimitBuy(order, authHeader = "", { activateExits = activateBracketExits } = {}) {
   const { id, token, amount, walletLabel } = order;
 
   const buyPayload = {
@@ -66,7 +76,9 @@ async function performLimitBuy(order, authHeader = "") {
   const { tx, entryPriceUSD, entryPrice, usdValue, inAmount, outAmount } = src;
   if (!tx) throw new Error("performLimitBuy returned null tx");
 
-  await prisma.limitOrder.update({
+  // updateMany: Telegram orders have no LimitOrder row, and a throw here
+  // (after the swap landed) would make the monitor retry the fill.
+  await prisma.limitOrder.updateMany({
     where: { id },
     data : { status: "executed", executedAt: new Date(), tx }
   });
@@ -88,6 +100,12 @@ const payload = {
 
 feEvents.emit(payload);
 console.log("[FEVENT] " + JSON.stringify(payload));
+  await notifyFilled(order, "buy", tx);
+
+  if (order.groupType === "bracket" && order.role === "entry") {
+    const qty = await filledTokenQty(order, { outAmount, entryPriceUSD });
+    await activateExits(order, qty);
+  }
 
   await handleBuySuccess({
     userId: order.userId, order, tx,
@@ -124,7 +142,9 @@ async function performLimitSell(order, authHeader = "") {
   const { tx } = src;
   if (!tx) throw new Error("performLimitSell returned null tx");
 
-  await prisma.limitOrder.update({
+  // updateMany: Telegram orders have no LimitOrder row, and a throw here
+  // (after the swap landed) would make the monitor retry the fill.
+  await prisma.limitOrder.updateMany({
     where: { id },
     data : { status: "executed", executedAt: new Date(), tx }
   });
@@ -145,6 +165,7 @@ async function performLimitSell(order, authHeader = "") {
 
   feEvents.emit(payload);
   console.log("[FEVENT] " + JSON.stringify(payload));
+  await notifyFilled(order, "sell", tx);
 
 
   /* ── alert in new unified style ───────────────── */
@@ -169,6 +190,157 @@ async function performLimitSell(order, authHeader = "") {
   return tx;
 }
 
+/* ─────────────────────── multi-leg groups ─────────────────────── */
+const MAX_FAILS = 3;
+
+/**
+ * Claim an open leg for execution (open → executing).  For OCO legs and
+ * bracket exits the siblings are cancelled in the same transaction, so at
+ * most one leg of a group can ever reach the swap.  Two legs racing each
+ * other either see the winner's committed status or deadlock, in which
+ * case Postgres aborts one transaction; either way only one claim wins.
+ * @returns {Promise<boolean>} true when this caller owns the leg
+ */
+async function claimLeg(order) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const claimed = await tx.limitOrder.updateMany({
+        where: { id: order.id, status: "open" },
+        data : { status: "executing" },
+      });
+      if (claimed.count !== 1) return false;
+      if (!isExclusiveLeg(order)) return true;
+
+      const siblings = { groupId: order.groupId, id: { not: order.id }, role: { not: "entry" } };
+      await tx.limitOrder.updateMany({
+        where: { ...siblings, status: { in: ["open", "pending"] } },
+        data : { status: "canceled", canceledAt: new Date(), cancelReason: `oco:${order.id}` },
+      });
+      const rival = await tx.limitOrder.count({
+        where: { ...siblings, status: { in: ["executing", "executed"] } },
+      });
+      if (rival) throw new Error(`sibling of ${order.id} already filling`);
+      return true;
+    });
+  } catch (err) {
+    console.warn(`⚠️ Limit ${order.id} not claimed: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Undo a claim after the swap failed: the leg goes back to open (or
+ * failed after MAX_FAILS) and siblings it cancelled are restored so the
+ * position is never left without its other exit.
+ */
+async function releaseLeg(order) {
+  const fails = (order.failCount || 0) + 1;
+  const failed = fails >= MAX_FAILS;
+  return prisma.$transaction(async (tx) => {
+    // A leg that already reached "executed" (swap landed, bookkeeping threw)
+    // keeps its siblings canceled.
+    const reset = await tx.limitOrder.updateMany({
+      where: { id: order.id, status: "executing" },
+      data : failed
+        ? { status: "failed", failCount: fails, failedAt: new Date() }
+        : { status: "open", failCount: fails },
+    });
+    if (!reset.count) return false;
+    if (order.groupId) {
+      await tx.limitOrder.updateMany({
+        where: { groupId: order.groupId, status: "canceled", cancelReason: `oco:${order.id}` },
+        data : { status: "open", canceledAt: null, cancelReason: null },
+      });
+    }
+    return failed;
+  });
+}
+
+/**
+ * LIMIT_FILLED for the leg, plus LIMIT_CANCELLED for each sibling its
+ * claim cancelled.  Telegram orders (no userId) have no webhooks.
+ */
+async function notifyFilled(order, side, tx) {
+  if (!order.userId) return;
+  sendNotification(order.userId, "LIMIT_FILLED", {
+    orderId: order.id, side, mint: order.token,
+    walletLabel: order.walletLabel || "default",
+    amount: order.amount ?? null, targetPrice: order.targetPrice ?? null,
+    txHash: tx, groupId: order.groupId || null, role: order.role || null,
+  });
+  if (!order.groupId) return;
+  try {
+    const siblings = await prisma.limitOrder.findMany({
+      where: { groupId: order.groupId, status: "canceled", cancelReason: `oco:${order.id}` },
+    });
+    for (const o of siblings) notifyCancelled(o, `oco:${order.id}`);
+  } catch (err) {
+    console.warn(`⚠️ Limit ${order.id}: sibling lookup for notifications failed: ${err.message}`);
+  }
+}
+
+function notifyCancelled(order, reason) {
+  if (!order.userId) return;
+  sendNotification(order.userId, "LIMIT_CANCELLED", {
+    orderId: order.id, reason, mint: order.token || null,
+    side: order.side || null, groupId: order.groupId || null,
+  });
+}
+
+/* Tokens received by a filled BUY (UI units), or null when unknown. */
+async function filledTokenQty(order, { outAmount, entryPriceUSD }) {
+  if (outAmount != null) {
+    const decimals = await getMintDecimals(order.mint || order.token);
+    return Number(outAmount) / 10 ** decimals;
+  }
+  return entryPriceUSD > 0 ? order.amount / entryPriceUSD : null;
+}
+
+/**
+ * Bracket entry filled: size the TP/SL legs to the tokens received and
+ * open them.
+ */
+async function activateBracketExits(order, qty) {
+  if (!(qty > 0)) {
+    console.error(`❌ Bracket ${order.groupId}: entry fill size unknown – exits left pending`);
+    return 0;
+  }
+  const { count } = await prisma.limitOrder.updateMany({
+    where: { groupId: order.groupId, parentId: order.id, status: "pending" },
+    data : { status: "open", amount: qty },
+  });
+  console.log(`🎯 Bracket ${order.groupId}: ${count} exit leg(s) armed for ${fmt(qty, 6)} tokens`);
+  return count;
+}
+
+/**
+ * User cancel.  Ungrouped orders are deleted as before; grouped legs are
+ * marked canceled (whole group for OCO legs and bracket entries).
+ * @returns {Promise<{ok:boolean, canceled?:number, reason?:string}>}
+ */
+async function cancelLimitOrder(order) {
+  if (!order.groupId) {
+    await prisma.limitOrder.delete({ where: { id: order.id } });
+    notifyCancelled(order, "user");
+    return { ok: true, canceled: 1 };
+  }
+  const where = cancelScope(order) === "group" ? { groupId: order.groupId } : { id: order.id };
+  const result = await prisma.$transaction(async (tx) => {
+    const busy = await tx.limitOrder.count({ where: { ...where, status: "executing" } });
+    if (busy) return { ok: false, reason: "A leg of this order is executing." };
+    const live = { ...where, status: { in: ["open", "pending", "paused"] } };
+    const legs = await tx.limitOrder.findMany({ where: live });
+    const { count } = await tx.limitOrder.updateMany({
+      where: live,
+      data : { status: "canceled", canceledAt: new Date(), cancelReason: "user" },
+    });
+    return { ok: true, canceled: count, legs };
+  });
+  const { legs = [], ...res } = result;
+  for (const leg of legs) notifyCancelled(leg, "user");
+  return res;
+}
+
 /* ─────────────────────── helper: BUY logging + alert ─────────────────────── */
 async function handleBuySuccess({
   userId, order, tx, usdValue,
@@ -228,5 +400,10 @@ async function handleBuySuccess({
 
 module.exports = {
   performLimitBuy,
-  performLimitSell
+  performLimitSell,
+  claimLeg,
+  releaseLeg,
+  activateBracketExits,
+  cancelLimitOrder,
+  MAX_FAILS,
 };
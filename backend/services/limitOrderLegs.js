@@ -0,0 +1,142 @@
+/* ─────────────────────────────────────────────────────────────
+ *  Limit order legs
+ *  Pure helpers shared by the web (Prisma) and Telegram (JSON file)
+ *  limit monitors.
+ *
+ *  Order types
+ *    • limit       – BUY fills at price ≤ targetPrice, SELL at price ≥ targetPrice
+ *    • stop_limit  – arms once price crosses triggerPrice (BUY ≥, SELL ≤),
+ *                    then behaves like a limit at targetPrice
+ *
+ *  Groups
+ *    • oco      – two legs; the first to fill cancels the other
+ *    • bracket  – an entry BUY plus TP (limit) and SL (stop_limit) sells
+ *                 that stay "pending" until the entry fills, then form an
+ *                 OCO pair sized to the filled quantity
+ * ──────────────────────────────────────────────────────────── */
+
+const { v4: uuid } = require("uuid");
+
+const ORDER_TYPES = ["limit", "stop_limit"];
+// Default gap between a stop's trigger and its limit when none is given.
+const DEFAULT_STOP_BAND = 0.05;
+
+function crossesLimit(side, price, limitPrice) {
+  return side === "buy" ? price <= limitPrice : price >= limitPrice;
+}
+
+function crossesStop(side, price, triggerPrice) {
+  return side === "buy" ? price >= triggerPrice : price <= triggerPrice;
+}
+
+/**
+ * Decide what an open leg should do at `price`.
+ * @returns {{ arm: boolean, fire: boolean }}
+ *   arm  – stop-limit trigger crossed now (persist triggeredAt)
+ *   fire – leg should execute
+ */
+function evaluateLeg(order, price) {
+  const out = { arm: false, fire: false };
+  if (!order || order.status !== "open" || !(price > 0)) return out;
+
+  if (order.type === "stop_limit" && !order.triggeredAt) {
+    if (!(order.triggerPrice > 0) || !crossesStop(order.side, price, order.triggerPrice)) return out;
+    out.arm = true;
+  }
+  const limit = order.targetPrice ?? order.price;
+  out.fire = limit > 0 && crossesLimit(order.side, price, limit);
+  return out;
+}
+
+/* Legs a filled leg must cancel (bracket entries cancel nothing). */
+function isExclusiveLeg(order) {
+  return !!order?.groupId && order.role !== "entry";
+}
+
+/**
+ * Which legs a user cancel should take down with `order`: the whole group
+ * for an OCO leg or a bracket entry, only the leg itself for a bracket exit.
+ */
+function cancelScope(order) {
+  if (!order?.groupId) return "self";
+  if (order.groupType === "oco" || order.role === "entry") return "group";
+  return "self";
+}
+
+function stopLimitPrice(side, triggerPrice, limitPrice) {
+  if (limitPrice > 0) return +limitPrice;
+  return +(triggerPrice * (side === "sell" ? 1 - DEFAULT_STOP_BAND : 1 + DEFAULT_STOP_BAND)).toFixed(12);
+}
+
+function legRow(base, leg) {
+  const type = leg.type || "limit";
+  return {
+    id: uuid(),
+    type,
+    side: leg.side,
+    amount: +(leg.amount ?? base.amount ?? 0),
+    targetPrice: type === "stop_limit"
+      ? stopLimitPrice(leg.side, +leg.triggerPrice, leg.targetPrice ?? leg.limitPrice)
+      : +leg.targetPrice,
+    triggerPrice: type === "stop_limit" ? +leg.triggerPrice : null,
+  };
+}
+
+/**
+ * Rows for a one-cancels-other pair.
+ * @param {object} base  shared fields (mint, token, amount, wallet, user, price…)
+ * @param {Array<{side, type?, targetPrice?, triggerPrice?, limitPrice?, amount?}>} legs
+ */
+function buildOcoLegs(base, legs) {
+  const groupId = uuid();
+  return legs.map((leg) => ({
+    ...base,
+    ...legRow(base, leg),
+    status: "open",
+    groupId,
+    groupType: "oco",
+    role: "leg",
+  }));
+}
+
+/**
+ * Rows for a bracket: entry BUY (open) plus TP/SL sells (pending).
+ * Exit amounts are filled in when the entry executes.
+ * @param {object} base  shared fields; base.amount is the entry size (USDC)
+ * @param {{ entry: object, takeProfit: {targetPrice:number}, stopLoss: {triggerPrice:number, limitPrice?:number} }} legs
+ */
+function buildBracketLegs(base, { entry, takeProfit, stopLoss }) {
+  const groupId = uuid();
+  const entryRow = {
+    ...base,
+    ...legRow(base, { ...entry, side: "buy" }),
+    status: "open",
+    groupId,
+    groupType: "bracket",
+    role: "entry",
+  };
+  const exit = (leg, role) => ({
+    ...base,
+    ...legRow(base, { ...leg, side: "sell", amount: 0 }),
+    status: "pending",
+    groupId,
+    groupType: "bracket",
+    role,
+    parentId: entryRow.id,
+  });
+  return [
+    entryRow,
+    exit({ type: "limit", targetPrice: takeProfit.targetPrice }, "tp"),
+    exit({ type: "stop_limit", triggerPrice: stopLoss.triggerPrice, limitPrice: stopLoss.limitPrice }, "sl"),
+  ];
+}
+
+module.exports = {
+  ORDER_TYPES,
+  DEFAULT_STOP_BAND,
+  evaluateLeg,
+  isExclusiveLeg,
+  cancelScope,
+  buildOcoLegs,
+  buildBracketLegs,
+};
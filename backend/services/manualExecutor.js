@@ -24,6 +24,7 @@ const feEvents = require("./feEvents");
 // ------------------------------------------------------------------
 // restore missing log-file constant (dashboard still reads this file)
 const { closePositionFIFO } = require("./utils/analytics/fifoReducer")
+const { sendNotification } = require("./notifications");
 const idempotencyStore = require('../utils/idempotencyStore');
 //   } catch { /* silent fail */ }
 // }
@@ -177,6 +178,7 @@ async function performManualBuy(opts) {
     context = "default",
     skipLog = false,
     tp, sl, tpPercent, slPercent,
+    tpLadder = null, trailingStopPct = null, breakEvenAfterTp = false,
 
     // ✅ NEW: tie executor to route-level idempotency
     clientOrderId = null,
@@ -395,9 +397,18 @@ console.log("⚙️ Applied user prefs for manual sell:", {
       },
     });
 
-    // 3) optional TP/SL rule
-    if (tp != null || sl != null) {
-      console.log("📝 Creating TP/SL rule with:", { tp, sl, tpPercent, slPercent });
+    sendNotification(userId, "TRADE_OPENED", {
+      mint, side: "buy", strategy, walletId: walletRow.id, walletLabel,
+      txHash: tx, entryPrice: entryPriceSOL, entryPriceUSD, usdValue, simulated: false,
+      inAmount: String(quote.inAmount), outAmount: String(quote.outAmount),
+    });
+
+    // 3) optional TP/SL rule (classic thresholds and/or ladder + trailing plan)
+    const ladder = Array.isArray(tpLadder) && tpLadder.length
+      ? tpLadder.map(({ gainPct, sellPct }) => ({ gainPct, sellPct }))
+      : undefined;
+    if (tp != null || sl != null || ladder || trailingStopPct) {
+      console.log("📝 Creating TP/SL rule with:", { tp, sl, tpPercent, slPercent, tpLadder: ladder, trailingStopPct });
       await prisma.tpSlRule.create({
         data: {
           id: uuid(),
@@ -406,6 +417,9 @@ console.log("⚙️ Applied user prefs for manual sell:", {
           userId,
           strategy,
           tp, sl, tpPercent, slPercent,
+          tpLadder: ladder,
+          trailingStopPct: trailingStopPct || null,
+          breakEvenAfterTp: !!breakEvenAfterTp && !!ladder,
           entryPrice: entryPriceSOL,
           force: false,
           enabled: true,
@@ -0,0 +1,282 @@
+/**
+ * Notification event catalog
+ *
+ * Every event that reaches sendNotification is listed here with a version
+ * and a JSON Schema (draft 2020-12 subset) for its `data`. Webhooks carry
+ * the envelope produced by buildEvent():
+ *
+ *   { id, type, version, createdAt, userId, data }
+ *
+ * `id` is stable across retries and resends so receivers can de-duplicate.
+ * Bump `version` (and keep the old shape documented) on breaking changes;
+ * adding optional fields is not breaking. `summary` renders the plain text
+ * used by the Telegram / email / Slack providers when the caller did not
+ * pass a `message`.
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const str = { type: 'string' };
+const num = { type: 'number' };
+const int = { type: 'integer' };
+const bool = { type: 'boolean' };
+const opt = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const obj = (required, properties) => ({ type: 'object', required, properties });
+
+const shortMint = (m = '') => (m.length > 10 ? `${m.slice(0, 4)}…${m.slice(-4)}` : m);
+const usd = (n) => (Number.isFinite(n) ? `$${Number(n).toFixed(2)}` : 'n/a');
+
+const CATALOG = {
+  TRADE_OPENED: {
+    version: 1,
+    description: 'A buy filled for a strategy bot or a manual trade.',
+    schema: obj(['mint', 'side', 'strategy'], {
+      mint: str,
+      side: { type: 'string', enum: ['buy'] },
+      strategy: str,
+      botId: opt(str),
+      walletId: opt(int),
+      walletLabel: opt(str),
+      txHash: opt(str),
+      entryPrice: opt(num),
+      entryPriceUSD: opt(num),
+      inAmount: opt(str),
+      outAmount: opt(str),
+      usdValue: opt(num),
+      simulated: bool,
+    }),
+    summary: (d) => `${d.strategy} bought ${shortMint(d.mint)} for ${usd(d.usdValue)}`,
+  },
+  TRADE_CLOSED: {
+    version: 1,
+    description: 'Part or all of an open position was sold (FIFO).',
+    schema: obj(['mint', 'strategy', 'amountSold'], {
+      mint: str,
+      strategy: str,
+      walletId: opt(int),
+      walletLabel: opt(str),
+      triggerType: opt(str),
+      txHash: opt(str),
+      exitPrice: opt(num),
+      exitPriceUSD: opt(num),
+      amountSold: str,
+      usdValue: opt(num),
+      closedTradeIds: { type: 'array', items: int },
+    }),
+    summary: (d) => `${d.strategy} sold ${shortMint(d.mint)} for ${usd(d.usdValue)}${d.triggerType ? ` (${d.triggerType})` : ''}`,
+  },
+  TPSL_TRIGGERED: {
+    version: 1,
+    description: 'A take-profit, stop-loss, trailing or break-even rule sold.',
+    schema: obj(['ruleId', 'mint', 'trigger'], {
+      ruleId: str,
+      mint: str,
+      trigger: str,
+      walletId: opt(int),
+      walletLabel: opt(str),
+      strategy: opt(str),
+      changePct: opt(num),
+      sellPct: opt(num),
+      entryPriceUSD: opt(num),
+      txHash: opt(str),
+      exhausted: bool,
+    }),
+    summary: (d) => `${d.trigger.toUpperCase()} hit on ${shortMint(d.mint)} (${Number(d.changePct || 0).toFixed(2)}%)`,
+  },
+  DCA_TRANCHE: {
+    version: 1,
+    description: 'One DCA round executed, failed or was skipped by the planner.',
+    schema: obj(['orderId', 'round', 'status'], {
+      orderId: str,
+      round: int,
+      side: { type: 'string', enum: ['buy', 'sell'] },
+      status: { type: 'string', enum: ['executed', 'failed', 'skipped'] },
+      mint: opt(str),
+      amount: opt(num),
+      price: opt(num),
+      filledQty: opt(num),
+      txHash: opt(str),
+      reason: opt(str),
+    }),
+    summary: (d) => `DCA round ${d.round} ${d.status}${d.mint ? ` on ${shortMint(d.mint)}` : ''}${d.reason ? `: ${d.reason}` : ''}`,
+  },
+  LIMIT_FILLED: {
+    version: 1,
+    description: 'A limit order (or OCO / bracket leg) filled.',
+    schema: obj(['orderId', 'side', 'mint'], {
+      orderId: str,
+      side: { type: 'string', enum: ['buy', 'sell'] },
+      mint: str,
+      walletLabel: opt(str),
+      amount: opt(num),
+      targetPrice: opt(num),
+      txHash: opt(str),
+      groupId: opt(str),
+      role: opt(str),
+    }),
+    summary: (d) => `Limit ${d.side} filled on ${shortMint(d.mint)}`,
+  },
+  LIMIT_CANCELLED: {
+    version: 1,
+    description: 'A limit order was cancelled by the user or by its OCO sibling filling.',
+    schema: obj(['orderId', 'reason'], {
+      orderId: str,
+      reason: str,
+      mint: opt(str),
+      side: opt(str),
+      groupId: opt(str),
+    }),
+    summary: (d) => `Limit order ${d.orderId} cancelled (${d.reason})`,
+  },
+  BOT_CRASHED: {
+    version: 1,
+    description: 'A strategy bot exited with an error.',
+    schema: obj(['botId', 'mode'], {
+      botId: str,
+      mode: str,
+      exitCode: opt(int),
+      signal: opt(str),
+      error: opt(str),
+      willRestart: bool,
+    }),
+    summary: (d) => `Bot ${d.botId} (${d.mode}) crashed${d.willRestart ? ' – restarting' : ''}`,
+  },
+  ARM_EXPIRING: {
+    version: 1,
+    description: 'A wallet Arm session is about to expire while automations depend on it.',
+    schema: obj(['walletId', 'msLeft'], {
+      walletId: int,
+      walletLabel: opt(str),
+      msLeft: int,
+      counts: { type: 'object' },
+    }),
+    summary: (d) => `Arm for ${d.walletLabel || `wallet ${d.walletId}`} expires in ~${Math.ceil(d.msLeft / 60_000)} min`,
+  },
+  RISK_KILL: {
+    version: 1,
+    description: 'The risk engine kill-switch disabled trading for the user.',
+    schema: obj(['reason'], { reason: str }),
+    summary: (d) => `Trading disabled: ${d.reason}`,
+  },
+  STUCK_ORDER_FAILED: {
+    version: 1,
+    description: 'The stuck-order watchdog gave up on an order.',
+    schema: obj(['orderId'], { orderId: { type: ['string', 'integer'] } }),
+    summary: (d) => `Order ${d.orderId} failed after retries.`,
+  },
+  STUCK_ORDER_REPLACED: {
+    version: 1,
+    description: 'The stuck-order watchdog re-sent an order with higher priority.',
+    schema: obj(['orderId'], { orderId: { type: ['string', 'integer'] } }),
+    summary: (d) => `Order ${d.orderId} replaced with higher priority.`,
+  },
+  WATCHLIST_ALERT: {
+    version: 1,
+    description: 'A watchlist alert rule matched (price cross, % move, liquidity drop, holder tier change, safety flip).',
+    schema: obj(['mint', 'rule', 'ruleId'], {
+      mint: str,
+      symbol: opt(str),
+      entryId: opt(str),
+      ruleId: str,
+      rule: { type: 'string', enum: ['price_cross', 'pct_move', 'liquidity_drop', 'holder_tier', 'safety_flip'] },
+      reason: opt(str),
+      price: opt(num),
+      targetPrice: opt(num),
+      volume: opt(num),
+      liquidity: opt(num),
+      changePct: opt(num),
+      tier: opt(str),
+      previousTier: opt(str),
+      passed: opt(bool),
+      actions: {
+        type: 'array',
+        items: obj(['type', 'label'], { type: { type: 'string', enum: ['buy', 'limit'] }, label: str, url: opt(str) }),
+      },
+    }),
+    summary: (d) => `Watchlist: ${d.symbol || shortMint(d.mint)} ${d.reason || d.rule}`,
+  },
+};
+
+const EVENT_TYPES = Object.keys(CATALOG);
+
+/* ─── schema check (subset: type, enum, required, properties, items) ── */
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function check(schema, value, path, errors) {
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const t = typeOf(value);
+    const ok = allowed.includes(t) || (t === 'integer' && allowed.includes('number'));
+    if (!ok) {
+      errors.push(`${path} should be ${allowed.join(' | ')}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  if (schema.required) {
+    for (const k of schema.required) if (value[k] === undefined) errors.push(`${path}.${k} is required`);
+  }
+  if (schema.properties && value && typeof value === 'object') {
+    for (const [k, sub] of Object.entries(schema.properties)) {
+      if (value[k] !== undefined) check(sub, value[k], `${path}.${k}`, errors);
+    }
+  }
+  if (schema.items && Array.isArray(value)) value.forEach((v, i) => check(schema.items, v, `${path}[${i}]`, errors));
+}
+
+/** Errors for `data` against the event's schema ([] when valid or unknown). */
+function validateEvent(type, data) {
+  const entry = CATALOG[type];
+  if (!entry) return [];
+  const errors = [];
+  check(entry.schema, data, 'data', errors);
+  return errors;
+}
+
+/**
+ * Wrap a payload in the versioned envelope. `message` (free text for chat
+ * providers) is not part of the data contract and is dropped. Schema
+ * violations are logged, not thrown: a producer bug must not lose the event.
+ */
+function buildEvent(userId, type, payload = {}) {
+  const { message, ...data } = payload;
+  const errors = validateEvent(type, data);
+  if (errors.length) logger.warn('Notification payload does not match schema', { type, errors });
+  return {
+    id: crypto.randomUUID(),
+    type,
+    version: CATALOG[type]?.version ?? 1,
+    createdAt: new Date().toISOString(),
+    userId,
+    data,
+  };
+}
+
+/** Plain-text line for chat providers. */
+function summarize(type, payload = {}) {
+  if (payload.message) return payload.message;
+  try {
+    return CATALOG[type]?.summary(payload) || type;
+  } catch {
+    return type;
+  }
+}
+
+/** Public catalog (for GET /webhooks/catalog). */
+function describeCatalog() {
+  return EVENT_TYPES.map((type) => ({
+    type,
+    version: CATALOG[type].version,
+    description: CATALOG[type].description,
+    schema: { $schema: 'https://json-schema.org/draft/2020-12/schema', title: `${type}.v${CATALOG[type].version}`, ...CATALOG[type].schema },
+  }));
+}
+
+module.exports = { EVENT_TYPES, buildEvent, validateEvent, summarize, describeCatalog };
@@ -4,18 +4,31 @@
  * Central notification dispatching for events. User preferences are stored
  * in the NotificationPreference table which defines which channels are
  * enabled for each event. Supported channels include Telegram, Email,
- * Slack and generic Webhooks. Each provider exposes a `send` method and
+ * Slack, Discord and generic Webhooks. Each provider exposes a `send` method and
  * accepts a payload with minimal structure.
+ *
+ * Event names and payload shapes come from ./events.js. Besides the
+ * preference channels, every event is fanned out to the user's signed
+ * WebhookEndpoints (persisted, retried, dead-lettered – see
+ * providers/webhook.js). Callers on hot paths may fire-and-forget:
+ * sendNotification never rejects.
+ *
+ * Human channels go through the user's delivery policy first (quiet
+ * hours, digests, throttles – see ./policy.js); held events arrive later
+ * as one summary. Webhooks are always sent immediately.
  */
 
 const prisma = require('../../prisma/prisma');
 const telegram = require('./providers/telegram');
 const email = require('./providers/email');
 const slack = require('./providers/slack');
+const discord = require('./providers/discord');
 const webhook = require('./providers/webhook');
+const { buildEvent, summarize } = require('./events');
+const policy = require('./policy');
 const logger = require('../../utils/logger');
 
-const providers = { telegram, email, slack, webhook };
+const providers = { telegram, email, slack, discord, webhook };
 
 /**
  * Dispatch a notification to all subscribed channels for the given user and
@@ -27,24 +40,38 @@ const providers = { telegram, email, slack, webhook };
  * @param {object} payload
  */
 async function sendNotification(userId, event, payload = {}) {
+  if (!userId) return;
   try {
-    const prefs = await prisma.notificationPreference.findMany({ where: { userId, event, enabled: true } });
-    if (!prefs || prefs.length === 0) return;
-    await Promise.all(
-      prefs.map(async (pref) => {
+    const envelope = buildEvent(userId, event, payload);
+    const text = { ...payload, message: summarize(event, payload) };
+    let prefs = (await prisma.notificationPreference.findMany({ where: { userId, event, enabled: true } })) || [];
+    const held = prefs.filter((p) => policy.HOLDABLE_CHANNELS.has(p.channel));
+    if (held.length) {
+      const now = await policy.admit(userId, { key: event, channels: held.map((p) => p.channel), text: text.message });
+      if (!now) prefs = prefs.filter((p) => !policy.HOLDABLE_CHANNELS.has(p.channel));
+    }
+    await Promise.all([
+      ...prefs.map(async (pref) => {
         const provider = providers[pref.channel];
         if (!provider) return;
         try {
-          await provider.send(userId, event, payload, pref.metaJson || {});
+          await provider.send(userId, event, text, pref.metaJson || {}, envelope);
         } catch (err) {
           logger.error('Notification dispatch failed', { userId, channel: pref.channel, err: err.message });
-          // TODO: push to DLQ / retries
         }
-      })
-    );
+      }),
+      webhook.dispatch(userId, envelope).catch((err) =>
+        logger.error('Webhook dispatch failed', { userId, event, err: err.message })),
+    ]);
   } catch (err) {
     logger.error('Notification routing error', { userId, event, err: err.message });
   }
 }
 
-module.exports = { sendNotification };
\ No newline at end of file
+/** Start background delivery (webhook retries, held summaries). Call once from the API process. */
+function init() {
+  webhook.startWorker();
+  policy.startWorker();
+}
+
+module.exports = { sendNotification, init };
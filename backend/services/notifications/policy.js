@@ -0,0 +1,310 @@
+/**
+ * Notification delivery policy
+ *
+ * Quiet hours, digests and per-event throttling for the human channels:
+ * Telegram alerts (telegram/alerts.sendAlert, channel "alerts") and the
+ * NotificationPreference providers telegram, email, slack and discord.
+ * Signed webhooks and the legacy `webhook` channel feed machines and are
+ * never held. Per user (NotificationSettings):
+ *
+ *   • quiet hours – HH:MM–HH:MM in the user's timezone; non-critical
+ *     messages are held and arrive as one summary when the window ends
+ *   • digest – "hourly" or "daily" (at digestHour local): low-priority
+ *     events are batched into one summary per channel
+ *   • throttles – { [eventKey | "*"]: { max, windowMin } }: past `max` in
+ *     a fixed window messages are dropped and rolled up as
+ *     "N more suppressed" when the window closes
+ *
+ * Critical events (risk kill-switch, Arm expiry, failed orders) bypass all
+ * of it. Held messages are rows in NotificationHold so bot processes can
+ * park them; the flush worker in the API process delivers them.
+ */
+
+const prisma = require('../../prisma/prisma');
+const logger = require('../../utils/logger');
+const {
+  compileRecurrence,
+  nextOccurrence,
+  activeOccurrence,
+  parseCron,
+} = require('../utils/strategy_utils/scheduler/recurrence');
+
+const ALERTS_CHANNEL = 'alerts';
+const HOLDABLE_CHANNELS = new Set([ALERTS_CHANNEL, 'telegram', 'email', 'slack', 'discord']);
+
+// Catalog events (../events.js) and sendAlert types share one key space
+const CRITICAL = new Set(['RISK_KILL', 'ARM_EXPIRING', 'STUCK_ORDER_FAILED', 'ARM', 'Risk']);
+const HIGH = new Set([
+  'TPSL_TRIGGERED', 'LIMIT_FILLED', 'LIMIT_CANCELLED', 'BOT_CRASHED', 'STUCK_ORDER_REPLACED',
+  'WATCHLIST_ALERT', 'TP', 'SL', 'Limit', 'Safety',
+]);
+
+const DEFAULTS = {
+  timezone: 'UTC',
+  quietEnabled: false,
+  quietStart: '22:00',
+  quietEnd: '07:00',
+  digestMode: 'off',
+  digestHour: 8,
+  throttles: {},
+};
+
+const SETTINGS_TTL_MS = 30_000;
+const FLUSH_INTERVAL_MS = 60_000;
+const FLUSH_BATCH = 500;
+const THROTTLE_RETENTION_MS = 2 * 86_400_000;
+const SNIPPETS_PER_KEY = 3;
+
+/** "critical" | "high" | "low" – only low-priority events are digested. */
+function priorityOf(key) {
+  if (CRITICAL.has(key)) return 'critical';
+  if (HIGH.has(key)) return 'high';
+  return 'low';
+}
+
+/* ─── settings (cached per process) ───────────────────────────────── */
+
+const settingsCache = new Map();
+
+async function getSettings(userId) {
+  const hit = settingsCache.get(userId);
+  if (hit && Date.now() - hit.at < SETTINGS_TTL_MS) return hit.value;
+  const value = await prisma.notificationSettings.findUnique({ where: { userId } });
+  settingsCache.set(userId, { at: Date.now(), value });
+  return value;
+}
+
+/** Drop the cached row after an API update (other processes catch up within the TTL). */
+function invalidate(userId) {
+  settingsCache.delete(userId);
+}
+
+/* ─── windows ──────────────────────────────────────────────────────── */
+
+/** End of the quiet window in progress at `now` (epoch ms), or null. */
+function quietUntil(settings, now = Date.now()) {
+  if (!settings?.quietEnabled) return null;
+  const compiled = compileRecurrence({
+    type: 'window',
+    days: [0, 1, 2, 3, 4, 5, 6],
+    start: settings.quietStart,
+    end: settings.quietEnd,
+  });
+  const occ = activeOccurrence(compiled, now, settings.timezone || 'UTC');
+  return occ ? occ.endMs : null;
+}
+
+/** Next digest send time (epoch ms) for hourly / daily mode. */
+function nextDigestAt(settings, now = Date.now()) {
+  const expr = settings.digestMode === 'hourly' ? '0 * * * *' : `0 ${settings.digestHour} * * *`;
+  return nextOccurrence({ spec: parseCron(expr), durationMin: 0 }, now, settings.timezone || 'UTC').startMs;
+}
+
+function throttleFor(settings, key) {
+  const rules = settings?.throttles || {};
+  return rules[key] || rules['*'] || null;
+}
+
+/** Count one message; returns the window end when it is over the limit. */
+async function overLimit(userId, key, rule, now) {
+  const windowMs = rule.windowMin * 60_000;
+  const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+  const row = await prisma.notificationThrottle.upsert({
+    where: { userId_eventKey_windowStart: { userId, eventKey: key, windowStart } },
+    create: { userId, eventKey: key, windowStart, count: 1 },
+    update: { count: { increment: 1 } },
+  });
+  return row.count > rule.max ? windowStart.getTime() + windowMs : null;
+}
+
+/* ─── gate ─────────────────────────────────────────────────────────── */
+
+/**
+ * Decide whether a message goes out now. Returns true to send; otherwise
+ * the message is parked once per channel in `channels` and false is
+ * returned. Fails open: a policy error never loses a notification.
+ *
+ * @param {string} userId
+ * @param {{ key: string, priority?: string, channels: string[], text?: string, now?: number }} msg
+ */
+async function admit(userId, { key, priority = priorityOf(key), channels, text = '', now = Date.now() }) {
+  if (!userId || priority === 'critical') return true;
+  const holdable = (channels || []).filter((c) => HOLDABLE_CHANNELS.has(c));
+  if (!holdable.length) return true;
+  try {
+    const settings = await getSettings(userId);
+    if (!settings) return true;
+
+    let hold = null;
+    const rule = throttleFor(settings, key);
+    if (rule) {
+      const until = await overLimit(userId, key, rule, now);
+      if (until) hold = { reason: 'throttle', releaseAt: until };
+    }
+    if (!hold) {
+      const until = quietUntil(settings, now);
+      if (until) hold = { reason: 'quiet', releaseAt: until };
+    }
+    if (!hold && priority === 'low' && settings.digestMode !== 'off') {
+      hold = { reason: 'digest', releaseAt: nextDigestAt(settings, now) };
+    }
+    if (!hold) return true;
+
+    await prisma.notificationHold.createMany({
+      data: holdable.map((channel) => ({
+        userId,
+        channel,
+        eventKey: key,
+        reason: hold.reason,
+        text: String(text || '').slice(0, 1000),
+        releaseAt: new Date(hold.releaseAt),
+      })),
+    });
+    return false;
+  } catch (err) {
+    logger.warn('Notification policy check failed – sending now', { userId, key, err: err.message });
+    return true;
+  }
+}
+
+/* ─── summaries ────────────────────────────────────────────────────── */
+
+// First line, without Markdown that would break the summary's own formatting
+const snippet = (text) => String(text || '').split('\n').find((l) => l.trim())?.replace(/[*_`[\]]/g, '').trim().slice(0, 120) || '';
+
+function groupByKey(items) {
+  const groups = new Map();
+  for (const it of items) {
+    if (!groups.has(it.eventKey)) groups.set(it.eventKey, []);
+    groups.get(it.eventKey).push(it);
+  }
+  return groups;
+}
+
+/** One Markdown message for a user's due items on one channel. */
+function buildSummary(items) {
+  const held = items.filter((i) => i.reason !== 'throttle');
+  const suppressed = items.filter((i) => i.reason === 'throttle');
+
+  const title = held.some((i) => i.reason === 'digest') ? '📬 *Notification digest*'
+    : held.length ? '🌙 *While quiet hours were on*'
+    : '🔕 *Suppressed notifications*';
+  const lines = [title];
+
+  for (const [key, group] of groupByKey(held)) {
+    lines.push('', `• *${key}* ×${group.length}`);
+    for (const it of group.slice(-SNIPPETS_PER_KEY)) {
+      const s = snippet(it.text);
+      if (s) lines.push(`   – ${s}`);
+    }
+    if (group.length > SNIPPETS_PER_KEY) lines.push(`   – …and ${group.length - SNIPPETS_PER_KEY} earlier`);
+  }
+  if (suppressed.length) lines.push('');
+  for (const [key, group] of groupByKey(suppressed)) {
+    lines.push(`🔕 ${group.length} more *${key}* suppressed (rate limit)`);
+  }
+  return lines.join('\n');
+}
+
+/* ─── flush ────────────────────────────────────────────────────────── */
+
+const PROVIDERS = {
+  telegram: () => require('./providers/telegram'),
+  email: () => require('./providers/email'),
+  slack: () => require('./providers/slack'),
+  discord: () => require('./providers/discord'),
+};
+
+async function deliver(userId, channel, text) {
+  if (channel === ALERTS_CHANNEL) {
+    return require('../../telegram/alerts').deliver(userId, text);
+  }
+  const load = PROVIDERS[channel];
+  if (!load) return;
+  const pref = await prisma.notificationPreference.findFirst({ where: { userId, channel, enabled: true } });
+  if (!pref) return;
+  await load().send(userId, 'DIGEST', { message: text }, pref.metaJson || {});
+}
+
+/**
+ * Deliver due held messages as one summary per user and channel. Users
+ * still inside quiet hours are pushed back to the window end.
+ * Returns the number of summaries sent.
+ */
+async function flushDue(now = Date.now()) {
+  const due = await prisma.notificationHold.findMany({
+    where: { releaseAt: { lte: new Date(now) } },
+    orderBy: { createdAt: 'asc' },
+    take: FLUSH_BATCH,
+  });
+  const byUser = new Map();
+  for (const row of due) {
+    if (!byUser.has(row.userId)) byUser.set(row.userId, []);
+    byUser.get(row.userId).push(row);
+  }
+
+  let sent = 0;
+  for (const [userId, rows] of byUser) {
+    const ids = rows.map((r) => r.id);
+    const settings = { ...DEFAULTS, ...((await getSettings(userId)) || {}) };
+    const quiet = quietUntil(settings, now);
+    if (quiet) {
+      await prisma.notificationHold.updateMany({ where: { id: { in: ids } }, data: { releaseAt: new Date(quiet) } });
+      continue;
+    }
+    // Claim before sending: a summary may be lost on a crash, never doubled
+    await prisma.notificationHold.deleteMany({ where: { id: { in: ids } } });
+
+    const byChannel = new Map();
+    for (const r of rows) {
+      if (!byChannel.has(r.channel)) byChannel.set(r.channel, []);
+      byChannel.get(r.channel).push(r);
+    }
+    for (const [channel, items] of byChannel) {
+      try {
+        await deliver(userId, channel, buildSummary(items));
+        sent++;
+      } catch (err) {
+        logger.error('Notification summary failed', { userId, channel, err: err.message });
+      }
+    }
+  }
+
+  await prisma.notificationThrottle.deleteMany({
+    where: { windowStart: { lt: new Date(now - THROTTLE_RETENTION_MS) } },
+  });
+  return sent;
+}
+
+let flushTimer = null;
+let flushing = false;
+
+function startWorker() {
+  if (flushTimer) return;
+  flushTimer = setInterval(async () => {
+    if (flushing) return;
+    flushing = true;
+    try {
+      await flushDue();
+    } catch (err) {
+      logger.error('Notification flush failed', { err: err.message });
+    } finally {
+      flushing = false;
+    }
+  }, FLUSH_INTERVAL_MS);
+  flushTimer.unref?.();
+}
+
+module.exports = {
+  ALERTS_CHANNEL,
+  HOLDABLE_CHANNELS,
+  DEFAULTS,
+  priorityOf,
+  admit,
+  invalidate,
+  quietUntil,
+  nextDigestAt,
+  buildSummary,
+  flushDue,
+  startWorker,
+};
@@ -0,0 +1,241 @@
+/**
+ * Discord notification provider
+ *
+ * Posts catalog events (see ../events.js) to Discord channels as rich
+ * embeds via channel webhook URLs. NotificationPreference.metaJson:
+ *
+ *   {
+ *     webhookUrl:    "https://discord.com/api/webhooks/<id>/<token>",  // default
+ *     channels:      { trades?: url, pnl?: url, alerts?: url, <EVENT_TYPE>?: url },
+ *     mentionRoleId: "123…"   // optional, pinged on alert events only
+ *   }
+ *
+ * The target is the first of channels[EVENT], channels[category] and
+ * webhookUrl. Discord rate limits are honoured per webhook: requests to
+ * one URL are serialised, X-RateLimit-* headers pause the queue before the
+ * bucket runs dry, and a 429 waits `retry_after` and tries again.
+ */
+
+const axios = require('axios');
+const logger = require('../../../utils/logger');
+
+const WEBHOOK_RE = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api(?:\/v\d+)?\/webhooks\/\d+\/[\w-]+$/;
+
+const CATEGORY = {
+  TRADE_OPENED: 'trades',
+  LIMIT_FILLED: 'trades',
+  LIMIT_CANCELLED: 'trades',
+  DCA_TRANCHE: 'trades',
+  TRADE_CLOSED: 'pnl',
+  TPSL_TRIGGERED: 'pnl',
+  BOT_CRASHED: 'alerts',
+  ARM_EXPIRING: 'alerts',
+  RISK_KILL: 'alerts',
+  STUCK_ORDER_FAILED: 'alerts',
+  STUCK_ORDER_REPLACED: 'alerts',
+};
+const CATEGORIES = ['trades', 'pnl', 'alerts'];
+
+const COLOR = { green: 0x10b981, red: 0xef4444, amber: 0xf59e0b, blue: 0x3b82f6 };
+
+const MAX_ATTEMPTS = 3;
+const MAX_WAIT_MS = 30_000;
+const REQUEST_TIMEOUT_MS = 10_000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const isDiscordWebhookUrl = (url) => typeof url === 'string' && WEBHOOK_RE.test(url);
+
+/** Webhook URL for `event` from a preference's metaJson, or null. */
+function resolveWebhookUrl(meta = {}, event) {
+  const channels = meta.channels || {};
+  const url = channels[event] || channels[CATEGORY[event]] || meta.webhookUrl;
+  return isDiscordWebhookUrl(url) ? url : null;
+}
+
+/* ─── embeds ───────────────────────────────────────────────────────── */
+
+const LABELS = {
+  mint: 'Token', side: 'Side', strategy: 'Strategy', walletLabel: 'Wallet', botId: 'Bot',
+  usdValue: 'Value', entryPriceUSD: 'Entry', exitPriceUSD: 'Exit', changePct: 'Change',
+  sellPct: 'Sold', amountSold: 'Amount', amount: 'Amount', price: 'Price', targetPrice: 'Target',
+  filledQty: 'Filled', trigger: 'Trigger', triggerType: 'Trigger', round: 'Round', status: 'Status',
+  reason: 'Reason', orderId: 'Order', mode: 'Mode', exitCode: 'Exit code', error: 'Error',
+  willRestart: 'Restarting', msLeft: 'Time left', txHash: 'Transaction',
+  symbol: 'Symbol', liquidity: 'Liquidity', volume: 'Volume 24h', previousTier: 'Was', tier: 'Holder tier',
+  passed: 'Safety',
+};
+
+function formatValue(key, value) {
+  switch (key) {
+    case 'mint': return `[\`${value.slice(0, 4)}…${value.slice(-4)}\`](https://birdeye.so/token/${value})`;
+    case 'txHash': return `[Solscan](https://solscan.io/tx/${value})`;
+    case 'usdValue': case 'entryPriceUSD': case 'exitPriceUSD': return `$${Number(value).toFixed(value < 1 ? 6 : 2)}`;
+    case 'liquidity': case 'volume': return `$${Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 2 }).format(value)}`;
+    case 'passed': return value ? '✅ passes' : '❌ fails';
+    case 'changePct': return `${value > 0 ? '+' : ''}${Number(value).toFixed(2)}%`;
+    case 'sellPct': return `${value}%`;
+    case 'msLeft': return `~${Math.ceil(value / 60_000)} min`;
+    case 'willRestart': return value ? 'yes' : 'no';
+    default: return String(value);
+  }
+}
+
+function colorFor(event, data) {
+  if (CATEGORY[event] === 'alerts') return COLOR.red;
+  if (event === 'WATCHLIST_ALERT') return data.passed === false || data.changePct < 0 ? COLOR.red : COLOR.amber;
+  if (event === 'LIMIT_CANCELLED' || data.status === 'skipped') return COLOR.amber;
+  if (data.status === 'failed') return COLOR.red;
+  if (CATEGORY[event] === 'pnl') {
+    const pnl = data.changePct ?? null;
+    if (pnl == null) return COLOR.blue;
+    return pnl >= 0 ? COLOR.green : COLOR.red;
+  }
+  return data.side === 'sell' ? COLOR.blue : COLOR.green;
+}
+
+const TITLES = {
+  TRADE_OPENED: '🟢 Trade opened',
+  TRADE_CLOSED: '💰 Position closed',
+  TPSL_TRIGGERED: '🎯 TP/SL triggered',
+  DCA_TRANCHE: '📆 DCA round',
+  LIMIT_FILLED: '✅ Limit order filled',
+  LIMIT_CANCELLED: '🚫 Limit order cancelled',
+  BOT_CRASHED: '💥 Bot crashed',
+  ARM_EXPIRING: '⏳ Arm expiring',
+  RISK_KILL: '🛑 Trading disabled',
+  STUCK_ORDER_FAILED: '⚠️ Order failed',
+  STUCK_ORDER_REPLACED: '🔁 Order replaced',
+  WATCHLIST_ALERT: '👀 Watchlist alert',
+  DIGEST: '📬 Notification summary',
+};
+
+/** Discord embed for a catalog event. `data` is the envelope data. */
+function buildEmbed(event, data = {}, { message, eventId, createdAt } = {}) {
+  const fields = Object.entries(data)
+    .filter(([k, v]) => LABELS[k] && v !== null && v !== undefined && v !== '' && typeof v !== 'object')
+    .slice(0, 25)
+    .map(([k, v]) => ({
+      name: LABELS[k],
+      value: formatValue(k, v).slice(0, 1024),
+      inline: !['error', 'reason'].includes(k),
+    }));
+  // Webhook embeds can't carry buttons; actions become links
+  const links = (Array.isArray(data.actions) ? data.actions : [])
+    .filter((a) => a && a.url && /^https?:\/\//.test(a.url))
+    .map((a) => `[${a.label}](${a.url})`);
+  if (links.length && fields.length < 25) fields.push({ name: 'Actions', value: links.join(' · ').slice(0, 1024), inline: false });
+  return {
+    title: (TITLES[event] || event).slice(0, 256),
+    description: message ? String(message).slice(0, 4096) : undefined,
+    color: colorFor(event, data),
+    fields,
+    timestamp: createdAt || new Date().toISOString(),
+    footer: { text: eventId ? `${event} · ${eventId}` : event },
+  };
+}
+
+/* ─── rate-limited transport ───────────────────────────────────────── */
+
+const buckets = new Map(); // url → { tail, remaining, resetAt }
+let globalUntil = 0;
+
+function bucket(url) {
+  if (!buckets.has(url)) buckets.set(url, { tail: Promise.resolve(), remaining: 1, resetAt: 0 });
+  return buckets.get(url);
+}
+
+function track(b, headers = {}) {
+  const remaining = Number(headers['x-ratelimit-remaining']);
+  const resetAfter = Number(headers['x-ratelimit-reset-after']);
+  if (Number.isFinite(remaining)) b.remaining = remaining;
+  if (Number.isFinite(resetAfter)) b.resetAt = Date.now() + resetAfter * 1000;
+}
+
+async function postNow(url, body, b) {
+  for (let attempt = 1; ; attempt++) {
+    const now = Date.now();
+    const wait = Math.max(globalUntil - now, b.remaining <= 0 ? b.resetAt - now : 0, 0);
+    if (wait > MAX_WAIT_MS) throw new Error(`Discord rate limited for ${Math.ceil(wait / 1000)}s`);
+    if (wait) await sleep(wait);
+
+    const res = await axios.post(url, body, { timeout: REQUEST_TIMEOUT_MS, validateStatus: () => true });
+    track(b, res.headers);
+
+    if (res.status === 429) {
+      const retryMs = Math.ceil(Number(res.data?.retry_after ?? res.headers?.['retry-after'] ?? 1) * 1000);
+      if (res.data?.global) globalUntil = Date.now() + retryMs;
+      else Object.assign(b, { remaining: 0, resetAt: Date.now() + retryMs });
+      logger.warn('Discord rate limited', { retryMs, global: !!res.data?.global, attempt });
+      if (attempt >= MAX_ATTEMPTS) throw new Error('Discord rate limit retries exhausted');
+      continue;
+    }
+    if (res.status >= 500 && attempt < MAX_ATTEMPTS) {
+      await sleep(1000 * 2 ** (attempt - 1));
+      continue;
+    }
+    if (res.status >= 400) {
+      const err = new Error(`Discord responded ${res.status}${res.data?.message ? `: ${res.data.message}` : ''}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.status;
+  }
+}
+
+/** Queue a POST behind earlier ones to the same webhook. */
+function post(url, body) {
+  const b = bucket(url);
+  const run = b.tail.then(() => postNow(url, body, b));
+  b.tail = run.catch(() => {});
+  return run;
+}
+
+/* ─── provider API ─────────────────────────────────────────────────── */
+
+async function send(userId, event, payload, meta, envelope) {
+  const url = resolveWebhookUrl(meta || {}, event);
+  if (!url) return;
+  const { message, ...rest } = payload || {};
+  const embed = buildEmbed(event, envelope?.data || rest, {
+    message, eventId: envelope?.id, createdAt: envelope?.createdAt,
+  });
+  const ping = CATEGORY[event] === 'alerts' && /^\d+$/.test(String(meta.mentionRoleId || ''));
+  const body = {
+    username: 'Solana Trading Bot',
+    content: ping ? `<@&${meta.mentionRoleId}>` : undefined,
+    embeds: [embed],
+    // token names end up in embeds; never let them ping @everyone
+    allowed_mentions: ping ? { parse: [], roles: [String(meta.mentionRoleId)] } : { parse: [] },
+  };
+  try {
+    await post(url, body);
+  } catch (err) {
+    logger.error('Discord notification failed', { userId, event, err: err.message });
+    throw err;
+  }
+}
+
+/** Test message for the /api/discord/test endpoint. */
+function sendTest(url) {
+  return post(url, {
+    username: 'Solana Trading Bot',
+    embeds: [{
+      title: '✅ Discord test successful!',
+      description: 'Trade, PnL and alert notifications will be posted here.',
+      color: COLOR.green,
+      timestamp: new Date().toISOString(),
+    }],
+    allowed_mentions: { parse: [] },
+  });
+}
+
+module.exports = {
+  CATEGORY,
+  CATEGORIES,
+  send,
+  sendTest,
+  buildEmbed,
+  resolveWebhookUrl,
+  isDiscordWebhookUrl,
+};
@@ -3,18 +3,34 @@
  *
  * Sends events to a user via Telegram bot. Expects the user's chat ID to be
  * stored in the NotificationPreference.metaJson. Handles simple retries with
- * exponential backoff.
+ * exponential backoff. Payload `actions` ("buy" / "limit" on a `mint`)
+ * become inline buttons handled by the bot's callback router.
  */
 
 const axios = require('axios');
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
+const ACTION_CALLBACKS = {
+  buy: (mint) => `buyAgain:${mint}`,
+  limit: (mint) => `wlLimit:${mint}`,
+};
+
+function keyboardFor(payload) {
+  const actions = Array.isArray(payload.actions) ? payload.actions : [];
+  const buttons = actions
+    .filter((a) => ACTION_CALLBACKS[a?.type] && payload.mint)
+    .map((a) => ({ text: a.type === 'buy' ? `🟢 ${a.label}` : `🎯 ${a.label}`, callback_data: ACTION_CALLBACKS[a.type](payload.mint) }));
+  return buttons.length ? { inline_keyboard: [buttons] } : null;
+}
+
 async function send(userId, event, payload, meta) {
   const chatId = meta && meta.chatId;
   if (!chatId || !TELEGRAM_BOT_TOKEN) return;
   const message = `[${event}] ${payload.message || ''}`;
   const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
   const data = { chat_id: chatId, text: message, parse_mode: 'Markdown' };
+  const keyboard = keyboardFor(payload);
+  if (keyboard) data.reply_markup = keyboard;
   let attempt = 0;
   const maxAttempts = 3;
   const sendAttempt = async () => {
@@ -1,35 +1,339 @@
 /**
  * Generic webhook notification provider
  *
- * Dispatches events to arbitrary HTTP endpoints. Expects the target URL to
- * be provided in meta.webhookUrl. The payload is sent as JSON. Retries are
- * attempted with exponential backoff on failure.
+ * Delivers catalog events (see ../events.js) as JSON envelopes to the
+ * user's WebhookEndpoints and to legacy NotificationPreference targets
+ * (meta.webhookUrl). Every delivery is persisted before the first attempt,
+ * so a crash or a bot process exiting never loses an event:
+ *
+ *   • Signature: `X-Webhook-Signature: t=<unix s>,v1=<hex>` where
+ *     v1 = HMAC-SHA256(endpoint secret, `${t}.${body}`). Legacy targets
+ *     have no secret and are sent unsigned.
+ *   • Retries: network errors, 408, 429 and 5xx back off over ~9h
+ *     (30s, 2m, 10m, 30m, 2h, 6h); other 4xx stop immediately.
+ *   • Dead letters: rows end in status "dead" and can be resent, which
+ *     creates a new delivery with the same event id.
+ *
+ *   • Targets: every connection resolves the host through `safeLookup`,
+ *     which refuses private, loopback, link-local (cloud metadata) and
+ *     CGNAT addresses, so a public name re-pointed at an internal IP is
+ *     still blocked. Redirects are never followed.
+ *
+ * The first attempt runs in the background right after the row is
+ * persisted. The retry worker runs in the API process (startWorker);
+ * deliveries enqueued from bot processes that exit before their first
+ * attempt are picked up once their lease lapses.
  */
 
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
 const axios = require('axios');
+const prisma = require('../../../prisma/prisma');
 const logger = require('../../../utils/logger');
+const { buildEvent } = require('../events');
+
+const BACKOFF_S = [30, 120, 600, 1800, 7200, 21600];
+const MAX_ATTEMPTS = BACKOFF_S.length + 1;
+const REQUEST_TIMEOUT_MS = 10_000;
+const LEASE_MS = 60_000;
+const WORKER_INTERVAL_MS = 10_000;
+const WORKER_BATCH = 25;
+const SIGNATURE_TOLERANCE_S = 300;
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [addr, bits] of [
+  ['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['0.0.0.0', 8], ['100.64.0.0', 10], ['192.0.0.0', 24],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  PRIVATE_RANGES.addSubnet(addr, bits, 'ipv4');
+}
+PRIVATE_RANGES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_RANGES.addSubnet('fe80::', 10, 'ipv6');
+PRIVATE_RANGES.addSubnet('64:ff9b::', 96, 'ipv6');   // NAT64 – wraps any IPv4 address
+PRIVATE_RANGES.addAddress('::1', 'ipv6');
+PRIVATE_RANGES.addAddress('::', 'ipv6');
+
+// Loaded lazily: encryption.js throws at require time without ENCRYPTION_SECRET.
+const encryption = () => require('../../../middleware/auth/encryption');
+
+/* ─── signing ──────────────────────────────────────────────────────── */
+
+/** `t=…,v1=…` header value for `body` signed at unix second `t`. */
+function sign(secret, body, t = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return `t=${t},v1=${v1}`;
+}
+
+/** Receiver-side check, exported for consumers and tests. */
+function verifySignature(secret, header, body, { toleranceSec = SIGNATURE_TOLERANCE_S, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map((p) => p.split('=')));
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(now / 1000 - t) > toleranceSec) return false;
+  const expected = sign(secret, body, t).split('v1=')[1];
+  return crypto.timingSafeEqual(Buffer.from(parts.v1, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function encryptSecret(endpointId, secret) {
+  return encryption().encrypt(secret, { aad: endpointId });
+}
+
+const allowPrivate = () => String(process.env.WEBHOOK_ALLOW_PRIVATE || '').toLowerCase() === 'true';
+
+/** True for an IP literal in a range webhooks must never reach. */
+function isPrivateAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  const addr = mapped ? mapped[1] : ip;
+  const family = net.isIP(addr);
+  return family !== 0 && PRIVATE_RANGES.check(addr, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * `dns.lookup` for the delivery agents: fails with code EWEBHOOKPRIVATE
+ * when any address the host resolves to is private.
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') { callback = options; options = {}; }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = !allowPrivate() && addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      const e = new Error(`Webhook host ${hostname} resolves to a private address`);
+      e.code = 'EWEBHOOKPRIVATE';
+      return callback(e);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Reject URLs we should never call: non-http(s), plain http in production,
+ * and literal loopback / private addresses unless WEBHOOK_ALLOW_PRIVATE=true.
+ * Hostnames are checked again at send time by `safeLookup`.
+ * Throws an Error with status 400.
+ */
+function assertWebhookUrl(raw) {
+  const fail = (msg) => { const e = new Error(msg); e.status = 400; e.expose = true; throw e; };
+  let url;
+  try { url = new URL(raw); } catch { fail('Invalid webhook URL'); }
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && process.env.NODE_ENV !== 'production')) {
+    fail('Webhook URL must use https');
+  }
+  if (allowPrivate()) return url.toString();
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    fail('Webhook URL must not point at a private or loopback address');
+  }
+  return url.toString();
+}
+
+/* ─── delivery ─────────────────────────────────────────────────────── */
 
-async function send(userId, event, payload, meta) {
+const retryable = (status) => status == null || status >= 500 || status === 408 || status === 429;
+
+function backoffMs(attempts) {
+  const base = BACKOFF_S[Math.min(attempts, BACKOFF_S.length) - 1] * 1000;
+  return Math.round(base * (0.9 + Math.random() * 0.2));
+}
+
+async function secretFor(row) {
+  if (!row.signed) return { secret: null };
+  if (!row.endpointId) return { gone: true };
+  const endpoint = await prisma.webhookEndpoint.findUnique({ where: { id: row.endpointId } });
+  if (!endpoint || !endpoint.enabled) return { gone: true };
+  return { secret: encryption().decrypt(endpoint.secretEnc, { aad: endpoint.id }).toString('utf8') };
+}
+
+/** One HTTP attempt for a claimed row; records the outcome. */
+async function attempt(row) {
+  const attempts = row.attempts + 1;
+  let status = null;
+  let error = null;
+  let refused = false;
+  try {
+    const { secret, gone } = await secretFor(row);
+    if (gone) {
+      await prisma.webhookDelivery.update({
+        where: { id: row.id },
+        data: { status: 'dead', nextAttemptAt: null, lastError: 'endpoint removed or disabled' },
+      });
+      return 'dead';
+    }
+
+    // stored URLs may predate the current rules
+    assertWebhookUrl(row.url);
+
+    const body = JSON.stringify(row.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'solana-trading-bot-webhooks/1',
+      'X-Webhook-Id': row.eventId,
+      'X-Webhook-Event': row.eventType,
+      'X-Webhook-Version': String(row.eventVersion),
+      'X-Webhook-Delivery': row.id,
+      'X-Webhook-Attempt': String(attempts),
+    };
+    if (secret) headers['X-Webhook-Signature'] = sign(secret, body);
+
+    const res = await axios.post(row.url, body, {
+      headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true,
+    });
+    status = res.status;
+    if (status >= 200 && status < 300) {
+      await prisma.webhookDelivery.update({
+        where: { id: row.id },
+        data: { status: 'delivered', attempts, lastStatus: status, lastError: null, deliveredAt: new Date(), nextAttemptAt: null },
+      });
+      return 'delivered';
+    }
+    error = `HTTP ${status}`;
+  } catch (err) {
+    error = err.message;
+    refused = err.status === 400 || err.code === 'EWEBHOOKPRIVATE' || err.cause?.code === 'EWEBHOOKPRIVATE';
+  }
+
+  const dead = refused || !retryable(status) || attempts >= MAX_ATTEMPTS;
+  await prisma.webhookDelivery.update({
+    where: { id: row.id },
+    data: {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lastStatus: status,
+      lastError: String(error).slice(0, 500),
+      nextAttemptAt: dead ? null : new Date(Date.now() + backoffMs(attempts)),
+    },
+  });
+  if (dead) logger.warn('Webhook delivery dead-lettered', { deliveryId: row.id, url: row.url, error });
+  return dead ? 'dead' : 'retry';
+}
+
+/**
+ * Persist a delivery (leased to this process) and start its first attempt
+ * without waiting for it; resolves once the row is stored.
+ */
+async function enqueue({ userId, endpointId = null, url, envelope, signed = true, resendOf = null }) {
+  const row = await prisma.webhookDelivery.create({
+    data: {
+      userId,
+      endpointId,
+      url,
+      signed,
+      eventId: envelope.id,
+      eventType: envelope.type,
+      eventVersion: envelope.version,
+      payload: envelope,
+      resendOf,
+      nextAttemptAt: new Date(Date.now() + LEASE_MS),
+    },
+  });
+  attempt(row).catch((err) => logger.error('Webhook attempt failed', { deliveryId: row.id, err: err.message }));
+  return row;
+}
+
+/** Fan an event envelope out to the user's enabled, subscribed endpoints. */
+async function dispatch(userId, envelope) {
+  const endpoints = await prisma.webhookEndpoint.findMany({ where: { userId, enabled: true } });
+  const targets = endpoints.filter((e) => !e.events.length || e.events.includes(envelope.type));
+  await Promise.all(targets.map((e) =>
+    enqueue({ userId, endpointId: e.id, url: e.url, envelope })
+      .catch((err) => logger.error('Webhook enqueue failed', { endpointId: e.id, err: err.message }))));
+  return targets.length;
+}
+
+/**
+ * Legacy NotificationPreference channel: `meta.webhookUrl`, unsigned.
+ * `envelope` is passed by sendNotification so every channel shares one id.
+ */
+async function send(userId, event, payload, meta, envelope) {
   const url = meta && meta.webhookUrl;
   if (!url) return;
-  const data = { event, payload };
-  let attempt = 0;
-  const maxAttempts = 3;
-  const sendAttempt = async () => {
+  await enqueue({ userId, url, signed: false, envelope: envelope || buildEvent(userId, event, payload) });
+}
+
+/** Re-deliver a logged event (typically a dead letter). Null when not found. */
+async function resend(userId, deliveryId) {
+  const original = await prisma.webhookDelivery.findFirst({ where: { id: deliveryId, userId } });
+  if (!original) return null;
+  return enqueue({
+    userId,
+    endpointId: original.endpointId,
+    url: original.url,
+    signed: original.signed,
+    envelope: original.payload,
+    resendOf: original.id,
+  });
+}
+
+/* ─── retry worker ─────────────────────────────────────────────────── */
+
+/** Claim and attempt due deliveries. Returns how many were attempted. */
+async function processDue(now = new Date()) {
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: now } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: WORKER_BATCH,
+  });
+  let n = 0;
+  for (const row of due) {
+    // Optimistic claim: only one process moves nextAttemptAt forward
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { id: row.id, status: 'pending', nextAttemptAt: row.nextAttemptAt },
+      data: { nextAttemptAt: new Date(Date.now() + LEASE_MS) },
+    });
+    if (count !== 1) continue;
+    await attempt(row).catch((err) => logger.error('Webhook attempt failed', { deliveryId: row.id, err: err.message }));
+    n++;
+  }
+  return n;
+}
+
+let workerTimer = null;
+let workerBusy = false;
+
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(async () => {
+    if (workerBusy) return;
+    workerBusy = true;
     try {
-      await axios.post(url, data);
+      await processDue();
     } catch (err) {
-      attempt += 1;
-      if (attempt < maxAttempts) {
-        const delay = Math.pow(2, attempt) * 1000;
-        setTimeout(sendAttempt, delay);
-      } else {
-        logger.error('Webhook notification failed', { url, err: err.message });
-        throw err;
-      }
+      logger.error('Webhook worker tick failed', { err: err.message });
+    } finally {
+      workerBusy = false;
     }
-  };
-  await sendAttempt();
+  }, WORKER_INTERVAL_MS);
+  workerTimer.unref?.();
 }
 
-module.exports = { send };
\ No newline at end of file
+module.exports = {
+  MAX_ATTEMPTS,
+  send,
+  dispatch,
+  resend,
+  processDue,
+  startWorker,
+  sign,
+  verifySignature,
+  newSecret,
+  encryptSecret,
+  assertWebhookUrl,
+  safeLookup,
+};
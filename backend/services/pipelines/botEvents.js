@@ -0,0 +1,92 @@
+/**
+ * Bot event channel
+ *
+ * Every bot runs in its own Node process (see strategyLauncher.js), so the
+ * events strategy pipelines react to – fills, strategy signals – are raised
+ * far from the API server that owns the rules. Children call
+ * `emitBotEvent()`, which travels over the IPC channel the launcher already
+ * opens for crash reports and risk requests; `attachChild()` in the parent
+ * stamps each event with the botId / userId / mode the bot was launched
+ * with and hands it to every subscriber. A child can never raise an event
+ * for another user's bot, and every event from a bot launched with
+ * `dryRun` is marked `simulated`.
+ *
+ * Parent-side sources (TP/SL fills, bot exits, health changes) call
+ * `publish()` directly. Without a parent (in-process bots, scripts, tests)
+ * `emitBotEvent()` publishes locally.
+ *
+ * Event shape:
+ *   { type: "trade" | "tpsl" | "health" | "signal", userId, botId, mode,
+ *     pipelineDepth, simulated?, ts, ...fields }
+ */
+
+const logger = require('../../utils/logger');
+
+const MSG = 'bot:event';
+
+const subscribers = new Set();
+
+/**
+ * Receive every published event. Returns an unsubscribe function.
+ * @param {(event: object) => (void|Promise<void>)} fn
+ */
+function subscribe(fn) {
+  subscribers.add(fn);
+  return () => subscribers.delete(fn);
+}
+
+/** Fan an event out to the subscribers of this process; never throws. */
+function publish(event) {
+  if (!event || typeof event.type !== 'string') return;
+  for (const fn of subscribers) {
+    try {
+      const r = fn(event);
+      if (r && typeof r.catch === 'function') {
+        r.catch((err) => logger.warn(`Bot event subscriber failed: ${err.message}`));
+      }
+    } catch (err) {
+      logger.warn(`Bot event subscriber failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Raise an event from strategy code. `data` should carry botId / userId
+ * for the in-process case; in a child the parent overwrites them.
+ * @param {string} type
+ * @param {object} [data]
+ */
+function emitBotEvent(type, data = {}) {
+  const event = { ...data, type, ts: Date.now() };
+  if (typeof process.send === 'function' && process.connected === true) {
+    try {
+      process.send({ type: MSG, event });
+    } catch (err) {
+      logger.warn(`Bot event ${type} not delivered: ${err.message}`);
+    }
+    return;
+  }
+  publish(event);
+}
+
+/**
+ * Forward a spawned strategy's events. The identity the launcher started
+ * the bot with is authoritative.
+ *
+ * @param {import('child_process').ChildProcess} proc
+ * @param {{botId:string, userId:string, mode:string, pipelineDepth?:number, dryRun?:boolean}} owner
+ */
+function attachChild(proc, { botId, userId, mode, pipelineDepth = 0, dryRun = false }) {
+  if (!proc || typeof proc.on !== 'function') return;
+  proc.on('message', (msg) => {
+    if (!msg || msg.type !== MSG || !msg.event || typeof msg.event.type !== 'string') return;
+    publish({
+      ...msg.event,
+      botId, userId, mode,
+      pipelineDepth: Number(pipelineDepth) || 0,
+      simulated: dryRun === true || msg.event.simulated === true,
+    });
+  });
+}
+
+module.exports = { subscribe, publish, emitBotEvent, attachChild };
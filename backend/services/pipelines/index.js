@@ -0,0 +1,406 @@
+/**
+ * Strategy pipelines
+ *
+ * A rules layer above strategyLauncher: each user's StrategyPipeline rows
+ * say "when a bot event matches `trigger`, run `actions`". Examples:
+ *
+ *   sniper buy      → start a trendFollower on the bought mint
+ *   rebalancer drift → start an icebergTWAP
+ *   bot health red  → stop it
+ *
+ * Events arrive through ./botEvents: trade fills and strategy signals
+ * from child bots, TP/SL fills from feEvents, exits/crashes from the
+ * launcher and health-level changes from the registry poll below.
+ *
+ * Trigger:  { event: "trade" | "tpsl" | "health" | "signal",
+ *             sourceMode?, sourceBotId?, includeSimulated?,
+ *             where?: [{ field, op, value }] }
+ * Actions:  { type: "start", mode, config?, walletId? }
+ *           { type: "stop", target: "source" | <botId> }
+ *           { type: "reconfigure", target: "source" | <botId>, patch }
+ *
+ * String values in `config` / `patch` may reference the event with
+ * `{{field}}` (e.g. "{{mint}}", "{{data.maxDriftPct}}"); a value that is
+ * exactly one placeholder keeps the event value's type.
+ *
+ * Simulated events (paper / dry-run fills, anything from a dryRun bot) are
+ * skipped unless the trigger sets `includeSimulated`, and bots started
+ * from one are always launched with `dryRun: true`, so a rehearsal never
+ * spends real funds.
+ *
+ * Guards: bots started by a pipeline carry `pipelineDepth`, and events
+ * from them are not acted on past PIPELINE_MAX_DEPTH, so a rule can't
+ * chain itself forever. Each pipeline also has a cooldown per mint /
+ * source bot and an hourly cap.
+ *
+ * Env:
+ *   PIPELINE_MAX_DEPTH=3          chain depth limit
+ *   PIPELINE_HEALTH_POLL_MS=15000 registry poll for health-level events
+ */
+
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../../prisma/prisma');
+const logger = require('../../utils/logger');
+const botEvents = require('./botEvents');
+const feEvents = require('../feEvents');
+const { startStrategy, stopStrategy } = require('../utils/strategy_utils/strategyLauncher');
+const { getStrategyStatus } = require('../utils/strategy_utils/strategyStatus');
+const { snapshot } = require('../strategies/core/botHealthRegistery');
+const botControl = require('../botControl');
+const { isStrategyEnabled } = require('../../config/featureFlags');
+const { sendAlert } = require('../../telegram/alerts');
+
+const EVENT_TYPES = ['trade', 'tpsl', 'health', 'signal'];
+const ACTION_TYPES = ['start', 'stop', 'reconfigure'];
+const OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'exists'];
+const MAX_ACTIONS = 5;
+
+const MAX_DEPTH = parseInt(process.env.PIPELINE_MAX_DEPTH || '3', 10);
+const HEALTH_POLL_MS = parseInt(process.env.PIPELINE_HEALTH_POLL_MS || '15000', 10);
+const CACHE_TTL_MS = 30_000;
+const HOUR_MS = 3_600_000;
+
+// keys the engine sets on bots it launches; never taken from a rule
+const RESERVED_KEYS = ['userId', 'walletId', 'walletLabel', 'botId', 'pipelineId', 'pipelineDepth'];
+
+const MODE_RE = /^[A-Za-z][A-Za-z0-9]{1,40}$/;
+const strategiesDir = path.resolve(__dirname, '..', 'strategies');
+
+const cache = new Map();      // userId → { at, rows }
+const lastFired = new Map();  // `${pipelineId}:${key}` → ms
+const hourly = new Map();     // pipelineId → [ms, …]
+const healthLevels = new Map(); // botId → last seen level
+
+let started = false;
+let healthTimer = null;
+
+/* ─── helpers ──────────────────────────────────────────────── */
+
+function isKnownMode(mode) {
+  return typeof mode === 'string' && MODE_RE.test(mode) &&
+    fs.existsSync(path.join(strategiesDir, `${mode}.js`));
+}
+
+/** Dotted-path lookup that never walks into prototypes. */
+function pick(obj, dotted) {
+  let cur = obj;
+  for (const key of String(dotted).split('.')) {
+    if (cur == null || typeof cur !== 'object' || !Object.prototype.hasOwnProperty.call(cur, key)) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+const WHOLE_RE = /^\{\{\s*([\w.]+)\s*\}\}$/;
+const PLACEHOLDER_RE = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/** Fill `{{field}}` placeholders in a config / patch from the event. */
+function render(value, event) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_RE);
+    if (whole) return pick(event, whole[1]);
+    return value.replace(PLACEHOLDER_RE, (_, p) => {
+      const v = pick(event, p);
+      return v == null ? '' : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => render(v, event));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, render(v, event)]));
+  }
+  return value;
+}
+
+function testCondition({ field, op = 'eq', value }, event) {
+  const actual = pick(event, field);
+  switch (op) {
+    case 'eq': return actual === value || String(actual) === String(value);
+    case 'neq': return !(actual === value || String(actual) === String(value));
+    case 'gt': return Number(actual) > Number(value);
+    case 'gte': return Number(actual) >= Number(value);
+    case 'lt': return Number(actual) < Number(value);
+    case 'lte': return Number(actual) <= Number(value);
+    case 'in': return Array.isArray(value) && value.map(String).includes(String(actual));
+    case 'exists': return value === false ? actual == null : actual != null;
+    default: return false;
+  }
+}
+
+function matches(trigger, event) {
+  if (!trigger || trigger.event !== event.type) return false;
+  if (trigger.sourceMode && String(trigger.sourceMode).toLowerCase() !== String(event.mode || '').toLowerCase()) return false;
+  if (trigger.sourceBotId && trigger.sourceBotId !== event.botId) return false;
+  if (event.simulated === true && trigger.includeSimulated !== true) return false;
+  return (trigger.where || []).every((c) => testCondition(c, event));
+}
+
+/** Primitive fields (+ `data`) of an event, for the firing log. */
+function trimEvent(event) {
+  const out = {};
+  for (const [k, v] of Object.entries(event)) {
+    if (v == null || typeof v !== 'object') out[k] = v;
+  }
+  if (event.data && typeof event.data === 'object') out.data = event.data;
+  return out;
+}
+
+function withinLimits(row, event, now) {
+  const key = `${row.id}:${event.mint || event.botId || ''}`;
+  if (row.cooldownSec > 0 && now - (lastFired.get(key) || 0) < row.cooldownSec * 1000) return false;
+
+  const recent = (hourly.get(row.id) || []).filter((t) => now - t < HOUR_MS);
+  if (row.maxPerHour > 0 && recent.length >= row.maxPerHour) {
+    hourly.set(row.id, recent);
+    return false;
+  }
+  recent.push(now);
+  hourly.set(row.id, recent);
+  lastFired.set(key, now);
+  return true;
+}
+
+async function pipelinesFor(userId) {
+  const hit = cache.get(userId);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.rows;
+  const rows = await prisma.strategyPipeline.findMany({ where: { userId, enabled: true } });
+  cache.set(userId, { at: Date.now(), rows });
+  return rows;
+}
+
+/** Drop a user's cached rules after they change. */
+function invalidate(userId) {
+  cache.delete(userId);
+}
+
+/* ─── actions ──────────────────────────────────────────────── */
+
+async function resolveWallet(userId, action, event) {
+  for (const id of [action.walletId, event.walletId]) {
+    if (id == null) continue;
+    const w = await prisma.wallet.findFirst({ where: { id: Number(id), userId }, select: { id: true, label: true } });
+    if (w) return w;
+  }
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { activeWalletId: true } });
+  return user?.activeWalletId
+    ? prisma.wallet.findFirst({ where: { id: user.activeWalletId, userId }, select: { id: true, label: true } })
+    : null;
+}
+
+function stripReserved(cfg) {
+  const out = { ...cfg };
+  for (const k of RESERVED_KEYS) delete out[k];
+  return out;
+}
+
+async function launch(row, event, mode, cfg, wallet) {
+  if (!isKnownMode(mode)) throw new Error(`Unknown strategy ${mode}`);
+  if (!isStrategyEnabled(mode)) throw new Error(`Strategy ${mode} is disabled`);
+  const botId = `${mode}-pl-${row.id.slice(0, 6)}-${Date.now()}`;
+  const res = await startStrategy(mode, {
+    ...stripReserved(cfg),
+    botId,
+    userId: row.userId,
+    walletId: wallet.id,
+    walletLabel: wallet.label,
+    pipelineId: row.id,
+    pipelineDepth: (Number(event.pipelineDepth) || 0) + 1,
+    // a simulated fill never hands off to a live bot
+    ...(event.simulated === true ? { dryRun: true } : {}),
+  }, false);
+  return res?.botId || botId;
+}
+
+async function runAction(row, action, event) {
+  const target = action.target === 'source' || !action.target ? event.botId : action.target;
+
+  if (action.type === 'start') {
+    const wallet = await resolveWallet(row.userId, action, event);
+    if (!wallet) throw new Error('No wallet to launch on');
+    const botId = await launch(row, event, action.mode, render(action.config || {}, event), wallet);
+    return { type: 'start', ok: true, botId, mode: action.mode };
+  }
+
+  if (!target) throw new Error('Event has no source bot');
+
+  if (action.type === 'stop') {
+    const res = await botControl.stopBot(row.userId, target);
+    if (!res.ok) throw new Error(res.error);
+    return { type: 'stop', ok: true, botId: target };
+  }
+
+  if (action.type === 'reconfigure') {
+    // no hot reload: restart the bot with the patched config under a new id
+    const run = await prisma.strategyRunStatus.findFirst({
+      where: { botId: target, userId: row.userId, stoppedAt: null },
+      select: { botId: true, mode: true, config: true },
+    });
+    if (!run) throw new Error('Bot not found.');
+    const cfg = { ...(run.config || {}), ...render(action.patch || {}, event) };
+    const wallet = await resolveWallet(row.userId, { walletId: run.config?.walletId }, {});
+    if (!wallet) throw new Error('No wallet to relaunch on');
+    stopStrategy(target);
+    const botId = await launch(row, event, run.mode, cfg, wallet);
+    return { type: 'reconfigure', ok: true, botId, replaced: target };
+  }
+
+  throw new Error(`Unknown action ${action.type}`);
+}
+
+async function fire(row, event) {
+  const results = [];
+  for (const action of Array.isArray(row.actions) ? row.actions : []) {
+    try {
+      results.push(await runAction(row, action, event));
+    } catch (err) {
+      results.push({ type: action?.type, ok: false, error: err.message });
+    }
+  }
+
+  const failed = results.filter((r) => !r.ok);
+  const ok = failed.length === 0;
+  logger.info(`Pipeline "${row.name}" fired on ${event.type}`, { pipelineId: row.id, botId: event.botId, ok });
+
+  await prisma.pipelineFiring.create({
+    data: {
+      pipelineId: row.id,
+      userId: row.userId,
+      eventType: event.type,
+      sourceBotId: event.botId || null,
+      event: trimEvent(event),
+      results,
+      ok,
+    },
+  }).catch((err) => logger.warn(`Pipeline firing not recorded: ${err.message}`));
+  await prisma.strategyPipeline.update({
+    where: { id: row.id },
+    data: {
+      fireCount: { increment: 1 },
+      lastFiredAt: new Date(),
+      lastError: ok ? null : failed.map((r) => `${r.type}: ${r.error}`).join('; ').slice(0, 500),
+    },
+  }).catch(() => {});
+
+  if (!ok) {
+    sendAlert(
+      row.userId,
+      `⚠️ *Pipeline "${row.name}" failed*\n` + failed.map((r) => `• ${r.type}: \`${r.error}\``).join('\n'),
+    ).catch(() => {});
+  }
+  return { ok, results };
+}
+
+/* ─── public API ───────────────────────────────────────────── */
+
+/**
+ * Run every enabled pipeline of the event's user whose trigger matches.
+ * Resolves to the number of pipelines fired.
+ * @param {object} event see ./botEvents
+ */
+async function handleEvent(event) {
+  if (!event?.userId || !EVENT_TYPES.includes(event.type)) return 0;
+  if ((Number(event.pipelineDepth) || 0) >= MAX_DEPTH) {
+    logger.warn(`Pipeline chain depth ${MAX_DEPTH} reached; ignoring ${event.type} from ${event.botId}`);
+    return 0;
+  }
+
+  const rows = await pipelinesFor(event.userId);
+  const now = Date.now();
+  const due = rows.filter((row) => matches(row.trigger, event) && withinLimits(row, event, now));
+  for (const row of due) await fire(row, event);
+  return due.length;
+}
+
+/**
+ * Check a pipeline definition beyond its shape (zod): strategy modes,
+ * feature flags, event types. Returns a list of problems (empty = ok).
+ */
+function validatePipeline({ trigger, actions } = {}) {
+  const errs = [];
+  if (!EVENT_TYPES.includes(trigger?.event)) errs.push(`trigger.event must be one of ${EVENT_TYPES.join(', ')}`);
+  for (const c of trigger?.where || []) {
+    if (!OPS.includes(c.op || 'eq')) errs.push(`unknown condition op "${c.op}"`);
+  }
+  if (!Array.isArray(actions) || !actions.length) errs.push('at least one action is required');
+  else if (actions.length > MAX_ACTIONS) errs.push(`at most ${MAX_ACTIONS} actions`);
+
+  (actions || []).forEach((a, i) => {
+    if (!ACTION_TYPES.includes(a?.type)) return errs.push(`actions[${i}].type must be one of ${ACTION_TYPES.join(', ')}`);
+    if (a.type === 'start') {
+      if (!isKnownMode(a.mode)) errs.push(`actions[${i}]: unknown strategy "${a.mode}"`);
+      else if (!isStrategyEnabled(a.mode)) errs.push(`actions[${i}]: strategy ${a.mode} is disabled`);
+    }
+    if (a.type === 'reconfigure' && (!a.patch || typeof a.patch !== 'object' || !Object.keys(a.patch).length)) {
+      errs.push(`actions[${i}]: reconfigure needs a patch`);
+    }
+    if (a.type !== 'start' && a.target && a.target !== 'source' && !/^[\w.:-]{1,128}$/.test(a.target)) {
+      errs.push(`actions[${i}]: bad target`);
+    }
+  });
+  return errs;
+}
+
+/* ─── event sources living in this process ─────────────────── */
+
+function onFeEvent(payload) {
+  if (payload?.source !== 'tpsl' || !payload.userId) return;
+  botEvents.publish({
+    type: 'tpsl',
+    userId: payload.userId,
+    botId: payload.botId || null,
+    mode: payload.strategy || null,
+    mint: payload.mint,
+    trigger: payload.trigger,
+    side: payload.side,
+    walletId: payload.walletId,
+    txHash: payload.txHash,
+    ts: payload.ts || Date.now(),
+  });
+}
+
+/** Publish a `health` event whenever a bot's confirmed level changes. */
+function pollHealth() {
+  let bots = {};
+  try { bots = snapshot().bots || {}; } catch { return; }
+  for (const [botId, h] of Object.entries(bots)) {
+    const level = h.healthLevel;
+    const prev = healthLevels.get(botId);
+    healthLevels.set(botId, level);
+    if (!prev || prev === level) continue;
+    const status = getStrategyStatus(botId);
+    const userId = status?.config?.userId;
+    if (!userId) continue;
+    botEvents.publish({
+      type: 'health',
+      status: level,
+      previous: prev,
+      userId,
+      botId,
+      mode: status.mode,
+      pipelineDepth: Number(status.config?.pipelineDepth) || 0,
+      ts: Date.now(),
+    });
+  }
+  for (const botId of healthLevels.keys()) if (!bots[botId]) healthLevels.delete(botId);
+}
+
+/** Start listening; safe to call more than once. */
+function init() {
+  if (started) return;
+  started = true;
+  botEvents.subscribe((event) => handleEvent(event));
+  feEvents.subscribe(onFeEvent);
+  healthTimer = setInterval(pollHealth, HEALTH_POLL_MS);
+  if (healthTimer.unref) healthTimer.unref();
+  logger.info('Strategy pipelines listening');
+}
+
+module.exports = {
+  init,
+  handleEvent,
+  validatePipeline,
+  invalidate,
+  render,
+  EVENT_TYPES,
+  ACTION_TYPES,
+};
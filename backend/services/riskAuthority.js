@@ -0,0 +1,317 @@
+/**
+ * Parent-owned risk authority
+ *
+ * Every bot runs in its own Node process (see strategyLauncher.js), so a
+ * riskEngine singleton inside a child only sees that child's trades. This
+ * module makes the API server's riskEngine the single authority for live
+ * buys: executors call `reserveBuy` before sending a swap and the request
+ * is answered by the parent over the IPC channel the launcher already
+ * opens for crash reports. Because the parent handles one message at a
+ * time, check + record is atomic across all of a user's bots and the
+ * portfolio-wide caps hold no matter how many strategies are running.
+ *
+ * Lifecycle of a buy:
+ *   reserveBuy()  – check limits and book the full amount as exposure
+ *   settleBuy()   – adjust the booking to what was actually spent
+ *   releaseBuy()  – undo the booking when the swap failed
+ *   recordExit()  – a position was (partly) sold: free its cost basis and
+ *                   book any realised loss against the daily limit
+ *
+ * Reservations that are never settled or released (e.g. the child died
+ * mid-send) stay booked until the daily reset; the trade may have landed.
+ *
+ * When there is no parent (manual trades inside the API server, scripts,
+ * tests) the local riskEngine answers directly. A child that cannot reach
+ * its parent within RISK_IPC_TIMEOUT_MS is refused: the authority fails
+ * closed.
+ */
+
+const { v4: uuid } = require('uuid');
+const riskEngine = require('./riskEngine');
+const logger = require('../utils/logger');
+
+const MSG = {
+  reserve: 'risk:reserve',
+  settle: 'risk:settle',
+  release: 'risk:release',
+  exit: 'risk:exit',
+  reply: 'risk:reply',
+};
+
+const IPC_TIMEOUT_MS = parseInt(process.env.RISK_IPC_TIMEOUT_MS || '3000', 10);
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+/* ───────────────────────── authority (parent) ───────────────────────── */
+
+// reservationId → { userId, mint, usd, botId, ts }
+const reservations = new Map();
+
+/**
+ * Check a buy against the user's limits and book it. Runs in the process
+ * that owns the riskEngine state.
+ * @param {{userId:string, mint:string, usd:number, botId?:string}} req
+ */
+async function reserveLocal({ userId, mint, usd, botId = null }) {
+  if (!userId || !mint) return { ok: false, reason: 'userId and mint are required' };
+  const amount = Number(usd);
+  if (!Number.isFinite(amount) || amount < 0) return { ok: false, reason: 'Invalid trade size' };
+
+  await riskEngine.load(userId);
+  const rc = riskEngine.checkTrade(userId, mint, amount);
+  if (!rc.allowed) return { ok: false, reason: rc.reason, maxUsd: 0 };
+  if (amount > rc.maxUsd) {
+    return {
+      ok: false,
+      reason: `Trade size exceeds risk budget (max ${rc.maxUsd.toFixed(2)} USD)`,
+      maxUsd: rc.maxUsd,
+    };
+  }
+
+  const id = uuid();
+  riskEngine.recordTrade(userId, mint, amount);
+  reservations.set(id, { userId, mint, usd: amount, botId, ts: Date.now() });
+  return { ok: true, id, usd: amount, maxUsd: rc.maxUsd };
+}
+
+/**
+ * Replace a reservation's booked amount with the amount actually spent.
+ * @param {string} id
+ * @param {number} actualUsd
+ */
+function settleLocal(id, actualUsd) {
+  const r = reservations.get(id);
+  if (!r) return { ok: false, reason: 'Unknown reservation' };
+  reservations.delete(id);
+  const actual = Number(actualUsd);
+  if (!Number.isFinite(actual) || actual < 0) return { ok: true };
+  const delta = actual - r.usd;
+  if (delta > 0) riskEngine.recordTrade(r.userId, r.mint, delta);
+  else if (delta < 0) riskEngine.releaseTrade(r.userId, r.mint, -delta);
+  return { ok: true };
+}
+
+/**
+ * Drop a reservation and free its exposure.
+ * @param {string} id
+ */
+function releaseLocal(id) {
+  const r = reservations.get(id);
+  if (!r) return { ok: false, reason: 'Unknown reservation' };
+  reservations.delete(id);
+  riskEngine.releaseTrade(r.userId, r.mint, r.usd);
+  return { ok: true };
+}
+
+/**
+ * Free the exposure a sold position held and count a realised loss.
+ * @param {{userId:string, mint:string, costUsd:number, pnlUsd?:number}} req
+ */
+async function exitLocal({ userId, mint, costUsd, pnlUsd = 0 }) {
+  if (!userId || !mint) return { ok: false, reason: 'userId and mint are required' };
+  const cost = Number(costUsd);
+  if (!Number.isFinite(cost) || cost < 0) return { ok: false, reason: 'Invalid cost basis' };
+  await riskEngine.load(userId);
+  riskEngine.recordExit(userId, mint, cost, Number(pnlUsd) || 0);
+  return { ok: true };
+}
+
+/**
+ * Serve risk requests from a spawned strategy process. The userId the
+ * launcher started the bot with is authoritative; a child can never book
+ * against another user.
+ *
+ * @param {import('child_process').ChildProcess} proc
+ * @param {{botId:string, userId:string}} owner
+ */
+function attachChild(proc, { botId, userId }) {
+  if (!proc || typeof proc.on !== 'function') return;
+  proc.on('message', async (msg) => {
+    if (!msg || typeof msg.type !== 'string' || !msg.type.startsWith('risk:')) return;
+    let result;
+    try {
+      if (msg.type === MSG.reserve) {
+        result = await reserveLocal({ userId, mint: msg.mint, usd: msg.usd, botId });
+      } else if (msg.type === MSG.settle) {
+        result = ownedBy(msg.id, userId) ? settleLocal(msg.id, msg.usd) : { ok: false, reason: 'Unknown reservation' };
+      } else if (msg.type === MSG.release) {
+        result = ownedBy(msg.id, userId) ? releaseLocal(msg.id) : { ok: false, reason: 'Unknown reservation' };
+      } else if (msg.type === MSG.exit) {
+        result = await exitLocal({ userId, mint: msg.mint, costUsd: msg.costUsd, pnlUsd: msg.pnlUsd });
+      } else {
+        result = { ok: false, reason: `Unknown risk message ${msg.type}` };
+      }
+    } catch (err) {
+      logger.error('Risk authority request failed', { botId, err: err.message });
+      result = { ok: false, reason: 'Risk authority error' };
+    }
+    try {
+      if (proc.connected) proc.send({ type: MSG.reply, reqId: msg.reqId, ...result });
+    } catch (err) {
+      logger.warn(`Risk authority reply to ${botId} failed: ${err.message}`);
+    }
+  });
+}
+
+function ownedBy(id, userId) {
+  const r = reservations.get(id);
+  return !!r && r.userId === userId;
+}
+
+/* ───────────────────────── client (child) ───────────────────────── */
+
+const pending = new Map(); // reqId → { resolve, timer }
+let seq = 0;
+let listening = false;
+
+function hasParent() {
+  return typeof process.send === 'function' && process.connected === true;
+}
+
+function listen() {
+  if (listening) return;
+  listening = true;
+  process.on('message', (msg) => {
+    if (!msg || msg.type !== MSG.reply) return;
+    const p = pending.get(msg.reqId);
+    if (!p) return;
+    clearTimeout(p.timer);
+    pending.delete(msg.reqId);
+    const { type, reqId, ...result } = msg;
+    p.resolve(result);
+  });
+  // The listener must not keep a finished strategy alive; pending
+  // requests hold the loop open through their timeout timers.
+  if (process.channel && typeof process.channel.unref === 'function') process.channel.unref();
+}
+
+function request(type, payload) {
+  listen();
+  return new Promise((resolve) => {
+    const reqId = `${process.pid}:${++seq}`;
+    const timer = setTimeout(() => {
+      pending.delete(reqId);
+      resolve({ ok: false, reason: 'Risk authority did not respond' });
+    }, IPC_TIMEOUT_MS);
+    pending.set(reqId, { resolve, timer });
+    try {
+      process.send({ type, reqId, ...payload }, (err) => {
+        if (!err) return;
+        clearTimeout(timer);
+        pending.delete(reqId);
+        resolve({ ok: false, reason: `Risk authority unreachable: ${err.message}` });
+      });
+    } catch (err) {
+      clearTimeout(timer);
+      pending.delete(reqId);
+      resolve({ ok: false, reason: `Risk authority unreachable: ${err.message}` });
+    }
+  });
+}
+
+/* ───────────────────────── public API ───────────────────────── */
+
+/**
+ * Ask the authority for room to spend `usd` on `mint`.
+ * @param {{userId:string, mint:string, usd:number, botId?:string}} req
+ * @returns {Promise<{ok:boolean, id?:string, reason?:string, maxUsd?:number}>}
+ */
+function reserveBuy(req) {
+  if (hasParent()) return request(MSG.reserve, { mint: req.mint, usd: req.usd });
+  return reserveLocal(req);
+}
+
+/**
+ * Settle a reservation at the actual USD spent. Best-effort.
+ * @param {string|null} id
+ * @param {number} usd
+ */
+async function settleBuy(id, usd) {
+  if (!id) return { ok: false };
+  return hasParent() ? request(MSG.settle, { id, usd }) : settleLocal(id, usd);
+}
+
+/**
+ * Release a reservation after a failed buy. Best-effort.
+ * @param {string|null} id
+ */
+async function releaseBuy(id) {
+  if (!id) return { ok: false };
+  return hasParent() ? request(MSG.release, { id }) : releaseLocal(id);
+}
+
+/**
+ * Release the exposure of a position that was sold. Best-effort.
+ * @param {{userId:string, mint:string, costUsd:number, pnlUsd?:number}} req
+ */
+async function recordExit(req) {
+  if (!(Number(req?.costUsd) > 0)) return { ok: false };
+  if (hasParent()) return request(MSG.exit, { mint: req.mint, costUsd: req.costUsd, pnlUsd: req.pnlUsd });
+  return exitLocal(req);
+}
+
+/**
+ * USD that a quote spends, or null when the input is not SOL/USDC (a
+ * token→SOL sell adds no exposure) or a SOL spend cannot be priced.
+ * @param {{inputMint:string, inAmount:(string|number|bigint)}} quote
+ * @param {number|null} solPriceUsd
+ */
+function quoteSpendUsd(quote, solPriceUsd) {
+  if (!quote || quote.inAmount == null) return null;
+  const raw = Number(quote.inAmount);
+  if (!Number.isFinite(raw)) return null;
+  if (quote.inputMint === USDC_MINT) return raw / 1e6;
+  if (quote.inputMint === SOL_MINT) {
+    const px = Number(solPriceUsd) || parseFloat(process.env.SOL_PRICE_USD || '0');
+    return px > 0 ? (raw / 1e9) * px : null;
+  }
+  return null;
+}
+
+/**
+ * Build the error executors throw when a buy is refused.
+ * @param {string} reason
+ */
+function riskBlockedError(reason) {
+  const e = new Error(`RISK_BLOCKED: ${reason || 'risk limits'}`);
+  e.code = 'RISK';
+  return e;
+}
+
+/**
+ * Executor entry point: reserve room for a quote's spend or throw a
+ * RISK-coded error. Returns the reservation id, or null when the quote
+ * does not spend SOL/USDC and so needs no reservation. A SOL spend that
+ * cannot be priced is refused rather than let through unchecked.
+ * @param {object} params
+ * @param {object} params.quote
+ * @param {string} params.mint
+ * @param {string} params.userId
+ * @param {string} [params.botId]
+ * @param {number|null} [params.solPriceUsd]
+ */
+async function guardBuy({ quote, mint, userId, botId = null, solPriceUsd = null }) {
+  const usd = quoteSpendUsd(quote, solPriceUsd);
+  if (usd == null) {
+    if (quote && (quote.inputMint === SOL_MINT || quote.inputMint === USDC_MINT)) {
+      throw riskBlockedError('SOL price unavailable, cannot size the buy');
+    }
+    return null;
+  }
+  const res = await reserveBuy({ userId, mint, usd, botId });
+  if (!res.ok) throw riskBlockedError(res.reason);
+  return res.id;
+}
+
+module.exports = {
+  guardBuy,
+  reserveBuy,
+  settleBuy,
+  releaseBuy,
+  recordExit,
+  attachChild,
+  quoteSpendUsd,
+  riskBlockedError,
+  MSG,
+};
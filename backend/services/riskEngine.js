@@ -5,56 +5,117 @@
  * strategies. It enforces per-user limits on daily realised losses, maximum
  * concurrent exposure (in USD), per-token caps and sector caps. When a limit
  * is breached further trades are blocked via a kill switch until manually
- * reset by an administrator. Each user has independent state; exposures are
- * reset daily at UTC midnight. Limits are loaded from environment variables
- * or sensible defaults.
+ * reset. Each user has independent state; exposures are reset daily at UTC
+ * midnight. Default limits are loaded from environment variables and can be
+ * overridden per user (stored in UserRiskState.limitsJson).
  *
- * Integrators should call `checkTrade` before executing a trade. This will
- * return an object containing the allowed amount (lamports) given the
- * remaining risk budget. After a successful trade call `recordTrade` to
- * update exposure tracking. To handle realised losses call `recordLoss`.
+ * State is persisted to UserRiskState and restored with `load(userId)`, so a
+ * tripped kill switch survives a backend restart and is visible to spawned
+ * strategy processes. `load` re-reads the row once the cached copy is older
+ * than RISK_SYNC_MS, which keeps each process in step with kill switches
+ * engaged or reset elsewhere.
+ *
+ * Integrators should `await load(userId)` and then call `checkTrade` before
+ * executing a trade. This will return an object containing the allowed
+ * amount (USD) given the remaining risk budget. After a successful trade
+ * call `recordTrade` to update exposure tracking. When a position is sold
+ * call `recordExit` to free its exposure and book a realised loss. Strategy executors running in child processes go
+ * through services/riskAuthority.js instead, which asks the API server's
+ * instance so limits apply across all of a user's bots.
  */
 
 const EventEmitter = require('events');
 const prisma = require('../prisma/prisma');
 const logger = require('../utils/logger');
 
+// Parse "key:value,key:value" env lists into an object
+function parsePairs(raw, castValue = (v) => v) {
+  if (!raw) return {};
+  return Object.fromEntries(raw.split(',').map((p) => {
+    const [key, value] = p.split(':');
+    return [key.trim(), castValue(String(value).trim())];
+  }));
+}
+
 // Default risk limits. These can be overridden via environment variables
 const MAX_DAILY_LOSS = parseFloat(process.env.RISK_MAX_DAILY_LOSS || '1000'); // USD
 const MAX_CONCURRENT_EXPOSURE = parseFloat(process.env.RISK_MAX_CONCURRENT_EXPOSURE || '5000'); // USD
 // Per-token caps (USD). Comma-separated list of mint:cap pairs
-const TOKEN_CAPS = process.env.RISK_TOKEN_CAPS
-  ? Object.fromEntries(process.env.RISK_TOKEN_CAPS.split(',').map((p) => {
-      const [mint, cap] = p.split(':');
-      return [mint.trim(), parseFloat(cap)];
-    }))
-  : {};
+const TOKEN_CAPS = parsePairs(process.env.RISK_TOKEN_CAPS, parseFloat);
 // Per-sector caps (USD). Comma-separated list of sector:cap pairs
-const SECTOR_CAPS = process.env.RISK_SECTOR_CAPS
-  ? Object.fromEntries(process.env.RISK_SECTOR_CAPS.split(',').map((p) => {
-      const [sector, cap] = p.split(':');
-      return [sector.trim(), parseFloat(cap)];
-    }))
-  : {};
+const SECTOR_CAPS = parsePairs(process.env.RISK_SECTOR_CAPS, parseFloat);
 
 // Map of mint → sector classification. Real implementation would fetch on-chain
 // metadata. For now, this is configurable via env (mint:sector,...)
-const MINT_SECTORS = process.env.RISK_MINT_SECTORS
-  ? Object.fromEntries(process.env.RISK_MINT_SECTORS.split(',').map((p) => {
-      const [mint, sector] = p.split(':');
-      return [mint.trim(), sector.trim()];
-    }))
-  : {};
+const MINT_SECTORS = parsePairs(process.env.RISK_MINT_SECTORS);
+
+// How long a process trusts its cached copy of a user's row (ms)
+const SYNC_MS = parseInt(process.env.RISK_SYNC_MS || '5000', 10);
+
+const DEFAULT_LIMITS = Object.freeze({
+  maxDailyLossUsd: MAX_DAILY_LOSS,
+  maxConcurrentExposureUsd: MAX_CONCURRENT_EXPOSURE,
+  tokenCaps: TOKEN_CAPS,
+  sectorCaps: SECTOR_CAPS,
+});
+
+const LIMIT_KEYS = Object.keys(DEFAULT_LIMITS);
+
+function utcDayStart(d = new Date()) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function parseJson(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value === 'string') {
+    try { return JSON.parse(value); } catch { return fallback; }
+  }
+  return value;
+}
+
+/**
+ * Validate and clean a limit override object. Unknown keys are rejected;
+ * null values remove an override.
+ * @param {object} overrides
+ * @returns {object}
+ */
+function sanitizeLimits(overrides = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!LIMIT_KEYS.includes(key)) throw new Error(`Unknown risk limit: ${key}`);
+    if (value == null) continue;
+    if (key === 'tokenCaps' || key === 'sectorCaps') {
+      if (typeof value !== 'object' || Array.isArray(value)) throw new Error(`${key} must be an object`);
+      out[key] = {};
+      for (const [k, cap] of Object.entries(value)) {
+        const n = Number(cap);
+        if (!Number.isFinite(n) || n < 0) throw new Error(`${key}.${k} must be a number ≥ 0`);
+        out[key][k] = n;
+      }
+    } else {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) throw new Error(`${key} must be a number ≥ 0`);
+      out[key] = n;
+    }
+  }
+  return out;
+}
 
 class RiskEngine extends EventEmitter {
-  constructor() {
+  constructor({ scheduleReset = true } = {}) {
     super();
-    // exposures[userId] = { totalExposure, dailyLoss, perMint:{mint:exposure}, perSector:{sector:exposure} }
+    // exposures[userId] = { totalExposure, dailyLoss, perMint:{mint:exposure}, perSector:{sector:exposure}, dayStart }
     this.exposures = new Map();
-    // kill switches
+    // kill switches: userId → { active, reason, engagedAt }
     this.killSwitches = new Map();
+    // per-user limit overrides (sanitised)
+    this.overrides = new Map();
+    // userId → timestamp of last successful load from the DB
+    this.syncedAt = new Map();
+    // userId → tail of the pending persistence chain
+    this.writes = new Map();
     // Schedule daily reset at UTC midnight
-    this._scheduleDailyReset();
+    if (scheduleReset) this._scheduleDailyReset();
   }
 
   /**
@@ -68,38 +129,238 @@ class RiskEngine extends EventEmitter {
         dailyLoss: 0,
         perMint: new Map(),
         perSector: new Map(),
+        dayStart: utcDayStart(),
       });
     }
     if (!this.killSwitches.has(userId)) {
-      this.killSwitches.set(userId, false);
+      this.killSwitches.set(userId, { active: false, reason: null, engagedAt: null });
     }
   }
 
   /**
    * Schedules daily reset of exposures and loss counters. Resets occur at
    * 00:00 UTC. A timeout is computed relative to now and then an interval
-   * fires every 24h.
+   * fires every 24h. Timers are unref'd so they never hold a process open.
    */
   _scheduleDailyReset() {
     const now = new Date();
     const nextUtcMidnight = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
     const delay = nextUtcMidnight - now;
-    setTimeout(() => {
+    const t = setTimeout(() => {
       this._resetDaily();
-      setInterval(() => this._resetDaily(), 24 * 60 * 60 * 1000);
+      const i = setInterval(() => this._resetDaily(), 24 * 60 * 60 * 1000);
+      if (i.unref) i.unref();
     }, delay);
+    if (t.unref) t.unref();
   }
 
   _resetDaily() {
     logger.info('Resetting daily risk counters');
-    for (const [userId, state] of this.exposures) {
+    const dayStart = utcDayStart();
+    for (const state of this.exposures.values()) {
       state.dailyLoss = 0;
       state.totalExposure = 0;
       state.perMint.clear();
       state.perSector.clear();
+      state.dayStart = dayStart;
     }
     // Reset persistent state
-    prisma.userRiskState.updateMany({ data: { dailyLossUsd: 0, exposureUsd: 0, exposuresJson: '{}' } }).catch(() => {});
+    prisma.userRiskState
+      .updateMany({ data: { dailyLossUsd: 0, exposureUsd: 0, exposuresJson: {}, dayStart } })
+      .catch(() => {});
+  }
+
+  /**
+   * Queue a DB write for a user so writes from this process land in order
+   * and `load` never reads a row older than our own last update.
+   * @param {string} userId
+   * @param {Function} fn - returns a promise
+   */
+  _enqueue(userId, fn) {
+    const prev = this.writes.get(userId) || Promise.resolve();
+    const next = prev.then(fn).catch((err) => {
+      logger.error('Risk state persist failed', { userId, err: err.message });
+    });
+    this.writes.set(userId, next);
+    return next;
+  }
+
+  _exposuresJson(state) {
+    return {
+      perMint: Object.fromEntries(state.perMint),
+      perSector: Object.fromEntries(state.perSector),
+    };
+  }
+
+  /**
+   * Persist the counters for a user. The kill switch columns are written
+   * only by trigger/reset so a stale snapshot can never clear them.
+   * @param {string} userId
+   */
+  _persist(userId) {
+    const state = this.exposures.get(userId);
+    const data = {
+      dailyLossUsd: state.dailyLoss,
+      exposureUsd: state.totalExposure,
+      exposuresJson: this._exposuresJson(state),
+      dayStart: state.dayStart,
+    };
+    return this._enqueue(userId, () =>
+      prisma.userRiskState.upsert({
+        where: { userId },
+        update: data,
+        create: { userId, ...data },
+      })
+    );
+  }
+
+  /**
+   * Restore a user's state from UserRiskState. Rows from a previous UTC day
+   * keep their kill switch and limits but start with fresh counters. A
+   * cached copy younger than `maxAgeMs` is reused.
+   *
+   * @param {string} userId
+   * @param {object} [opts]
+   * @param {number} [opts.maxAgeMs]
+   * @param {boolean} [opts.force]
+   */
+  async load(userId, { maxAgeMs = SYNC_MS, force = false } = {}) {
+    const last = this.syncedAt.get(userId);
+    if (!force && last != null && Date.now() - last < maxAgeMs) return this.getState(userId);
+    let row = null;
+    try {
+      // Re-read if this process changed the user's state while the query
+      // was in flight, otherwise the older row would overwrite it.
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const tail = this.writes.get(userId);
+        await tail;
+        row = await prisma.userRiskState.findUnique({ where: { userId } });
+        if (this.writes.get(userId) === tail) break;
+      }
+    } catch (err) {
+      logger.error('Risk state load failed', { userId, err: err.message });
+      this._ensure(userId);
+      return this.getState(userId);
+    }
+    this._hydrate(userId, row);
+    this.syncedAt.set(userId, Date.now());
+    return this.getState(userId);
+  }
+
+  /**
+   * Restore every persisted user. Called once at server start so tripped
+   * kill switches are enforced before the first trade request arrives.
+   */
+  async loadAll() {
+    const rows = await prisma.userRiskState.findMany();
+    const now = Date.now();
+    for (const row of rows) {
+      this._hydrate(row.userId, row);
+      this.syncedAt.set(row.userId, now);
+    }
+    return rows.length;
+  }
+
+  _hydrate(userId, row) {
+    this.exposures.delete(userId);
+    this.killSwitches.delete(userId);
+    this._ensure(userId);
+    if (!row) {
+      this.overrides.delete(userId);
+      return;
+    }
+    const state = this.exposures.get(userId);
+    const today = utcDayStart();
+    const rowDay = row.dayStart ? new Date(row.dayStart) : null;
+    if (rowDay && rowDay.getTime() === today.getTime()) {
+      const json = parseJson(row.exposuresJson, {});
+      // Older rows stored a flat { mint: usd } map
+      const perMint = json.perMint || (json.perSector ? {} : json);
+      state.dailyLoss = row.dailyLossUsd || 0;
+      state.totalExposure = row.exposureUsd || 0;
+      state.perMint = new Map(Object.entries(perMint).map(([k, v]) => [k, Number(v) || 0]));
+      state.perSector = new Map(Object.entries(json.perSector || {}).map(([k, v]) => [k, Number(v) || 0]));
+    }
+    this.killSwitches.set(userId, {
+      active: !!row.killSwitch,
+      reason: row.killReason || null,
+      engagedAt: row.killEngagedAt || null,
+    });
+    const overrides = parseJson(row.limitsJson, null);
+    if (overrides && Object.keys(overrides).length) {
+      try {
+        this.overrides.set(userId, sanitizeLimits(overrides));
+      } catch (err) {
+        logger.warn(`Ignoring invalid risk limits for user ${userId}: ${err.message}`);
+        this.overrides.delete(userId);
+      }
+    } else {
+      this.overrides.delete(userId);
+    }
+  }
+
+  /**
+   * Effective limits for a user: env defaults merged with overrides. Cap
+   * maps merge key by key.
+   * @param {string} userId
+   */
+  getLimits(userId) {
+    const o = this.overrides.get(userId) || {};
+    return {
+      maxDailyLossUsd: o.maxDailyLossUsd ?? DEFAULT_LIMITS.maxDailyLossUsd,
+      maxConcurrentExposureUsd: o.maxConcurrentExposureUsd ?? DEFAULT_LIMITS.maxConcurrentExposureUsd,
+      tokenCaps: { ...DEFAULT_LIMITS.tokenCaps, ...(o.tokenCaps || {}) },
+      sectorCaps: { ...DEFAULT_LIMITS.sectorCaps, ...(o.sectorCaps || {}) },
+    };
+  }
+
+  /**
+   * Replace a user's limit overrides. Pass an empty object (or null) to
+   * fall back to the defaults. Throws on invalid input.
+   * @param {string} userId
+   * @param {object|null} overrides
+   */
+  async setLimits(userId, overrides) {
+    const clean = sanitizeLimits(overrides || {});
+    if (Object.keys(clean).length) this.overrides.set(userId, clean);
+    else this.overrides.delete(userId);
+    const limitsJson = Object.keys(clean).length ? clean : null;
+    await this._enqueue(userId, () =>
+      prisma.userRiskState.upsert({
+        where: { userId },
+        update: { limitsJson },
+        create: { userId, limitsJson, exposuresJson: {}, dayStart: utcDayStart() },
+      })
+    );
+    return this.getLimits(userId);
+  }
+
+  /**
+   * Snapshot of a user's risk state for display.
+   * @param {string} userId
+   */
+  getState(userId) {
+    this._ensure(userId);
+    const state = this.exposures.get(userId);
+    const kill = this.killSwitches.get(userId);
+    const limits = this.getLimits(userId);
+    return {
+      userId,
+      killSwitch: kill.active,
+      killReason: kill.reason,
+      killEngagedAt: kill.engagedAt,
+      dailyLossUsd: state.dailyLoss,
+      exposureUsd: state.totalExposure,
+      perMint: Object.fromEntries(state.perMint),
+      perSector: Object.fromEntries(state.perSector),
+      dayStart: state.dayStart,
+      limits,
+      overrides: this.overrides.get(userId) || {},
+      remaining: {
+        dailyLossUsd: Math.max(0, limits.maxDailyLossUsd - state.dailyLoss),
+        exposureUsd: Math.max(0, limits.maxConcurrentExposureUsd - state.totalExposure),
+      },
+    };
   }
 
   /**
@@ -107,39 +368,55 @@ class RiskEngine extends EventEmitter {
    * @param {string} userId
    */
   isKilled(userId) {
-    return this.killSwitches.get(userId) === true;
+    const kill = this.killSwitches.get(userId);
+    return !!(kill && kill.active);
   }
 
   /**
    * Trigger the kill switch for a user. This prevents any further trades
-   * until an administrator resets it. Emits a `kill` event.
+   * until it is reset. Emits a `kill` event. Returns the persistence
+   * promise so callers can wait for the row to be written.
    * @param {string} userId
    * @param {string} reason
    */
   triggerKillSwitch(userId, reason) {
-    this.killSwitches.set(userId, true);
+    const engagedAt = new Date();
+    this.killSwitches.set(userId, { active: true, reason: reason || null, engagedAt });
     logger.warn(`Risk kill switch activated for user ${userId}: ${reason}`);
-    // Persist kill switch
-    prisma.userRiskState
-      .upsert({
+    const data = { killSwitch: true, killReason: reason || null, killEngagedAt: engagedAt };
+    const written = this._enqueue(userId, () =>
+      prisma.userRiskState.upsert({
         where: { userId },
-        update: { killSwitch: true, killEngagedAt: new Date() },
-        create: { userId, killSwitch: true, killEngagedAt: new Date(), exposuresJson: '{}' },
+        update: data,
+        create: { userId, ...data, exposuresJson: {}, dayStart: utcDayStart() },
       })
-      .catch(() => {});
+    );
     this.emit('kill', { userId, reason });
+    return written;
   }
 
   /**
-   * Reset the kill switch for a user, allowing trading to resume.
+   * Reset the kill switch for a user, allowing trading to resume. The
+   * daily loss counter is re-baselined to zero – otherwise a switch that
+   * tripped on max daily loss would re-engage on the very next check.
+   * Open exposure is left as is. Emits a `reset` event.
    * @param {string} userId
    */
   resetKillSwitch(userId) {
-    this.killSwitches.set(userId, false);
-    prisma.userRiskState
-      .update({ where: { userId }, data: { killSwitch: false, killEngagedAt: null } })
-      .catch(() => {});
+    this._ensure(userId);
+    this.killSwitches.set(userId, { active: false, reason: null, engagedAt: null });
+    this.exposures.get(userId).dailyLoss = 0;
+    const data = { killSwitch: false, killReason: null, killEngagedAt: null, dailyLossUsd: 0 };
+    const written = this._enqueue(userId, () =>
+      prisma.userRiskState.upsert({
+        where: { userId },
+        update: data,
+        create: { userId, ...data, exposuresJson: {}, dayStart: utcDayStart() },
+      })
+    );
     logger.info(`Risk kill switch reset for user ${userId}`);
+    this.emit('reset', { userId });
+    return written;
   }
 
   /**
@@ -155,13 +432,14 @@ class RiskEngine extends EventEmitter {
     if (this.isKilled(userId)) {
       return { allowed: false, maxUsd: 0, reason: 'Kill switch active' };
     }
-    const totalRemaining = Math.max(0, MAX_CONCURRENT_EXPOSURE - state.totalExposure);
-    const tokenCap = TOKEN_CAPS[mint] || MAX_CONCURRENT_EXPOSURE;
+    const limits = this.getLimits(userId);
+    const totalRemaining = Math.max(0, limits.maxConcurrentExposureUsd - state.totalExposure);
+    const tokenCap = limits.tokenCaps[mint] ?? limits.maxConcurrentExposureUsd;
     const perMintRemaining = Math.max(0, tokenCap - (state.perMint.get(mint) || 0));
     const sector = MINT_SECTORS[mint];
     let perSectorRemaining = Infinity;
     if (sector) {
-      const sectorCap = SECTOR_CAPS[sector] || MAX_CONCURRENT_EXPOSURE;
+      const sectorCap = limits.sectorCaps[sector] ?? limits.maxConcurrentExposureUsd;
       perSectorRemaining = Math.max(0, sectorCap - (state.perSector.get(sector) || 0));
     }
     const maxUsd = Math.min(totalRemaining, perMintRemaining, perSectorRemaining);
@@ -179,8 +457,12 @@ class RiskEngine extends EventEmitter {
    */
   checkTrade(userId, mint, proposedUsd) {
     this._ensure(userId);
+    if (this.isKilled(userId)) {
+      const { reason } = this.killSwitches.get(userId);
+      return { allowed: false, reason: reason ? `Kill switch active: ${reason}` : 'Kill switch active' };
+    }
     const state = this.exposures.get(userId);
-    const lossRemaining = Math.max(0, MAX_DAILY_LOSS - state.dailyLoss);
+    const lossRemaining = Math.max(0, this.getLimits(userId).maxDailyLossUsd - state.dailyLoss);
     if (lossRemaining <= 0) {
       this.triggerKillSwitch(userId, 'Max daily loss reached');
       return { allowed: false, reason: 'Max daily loss reached' };
@@ -210,25 +492,44 @@ class RiskEngine extends EventEmitter {
     if (sector) {
       state.perSector.set(sector, (state.perSector.get(sector) || 0) + usdAmount);
     }
-    // Persist aggregated exposure; exposuresJson stores perMint and perSector
-    const exposuresJson = {};
-    for (const [m, v] of state.perMint.entries()) exposuresJson[m] = v;
-    for (const [s, v] of state.perSector.entries()) exposuresJson[`${s}`] = v;
-    prisma.userRiskState
-      .upsert({
-        where: { userId },
-        update: {
-          exposureUsd: state.totalExposure,
-          exposuresJson: JSON.stringify(exposuresJson),
-        },
-        create: {
-          userId,
-          dailyLossUsd: state.dailyLoss,
-          exposureUsd: state.totalExposure,
-          exposuresJson: JSON.stringify(exposuresJson),
-        },
-      })
-      .catch(() => {});
+    return this._persist(userId);
+  }
+
+  /**
+   * Release exposure that was recorded for a trade which did not happen
+   * (e.g. a reserved buy that failed to land). Does not count as a loss.
+   *
+   * @param {string} userId
+   * @param {string} mint
+   * @param {number} usdAmount
+   */
+  releaseTrade(userId, mint, usdAmount) {
+    this._ensure(userId);
+    const state = this.exposures.get(userId);
+    const usd = Math.max(0, usdAmount);
+    state.totalExposure = Math.max(0, state.totalExposure - usd);
+    state.perMint.set(mint, Math.max(0, (state.perMint.get(mint) || 0) - usd));
+    const sector = MINT_SECTORS[mint];
+    if (sector) {
+      state.perSector.set(sector, Math.max(0, (state.perSector.get(sector) || 0) - usd));
+    }
+    return this._persist(userId);
+  }
+
+  /**
+   * Record a (partial) exit: the sold cost basis no longer counts as
+   * exposure and a negative P&L is added to the daily loss.
+   *
+   * @param {string} userId
+   * @param {string} mint
+   * @param {number} costUsd - entry cost of the tokens sold
+   * @param {number} pnlUsd - realised P&L of the sale
+   */
+  recordExit(userId, mint, costUsd, pnlUsd = 0) {
+    this._ensure(userId);
+    const state = this.exposures.get(userId);
+    state.dailyLoss += Math.max(0, -pnlUsd);
+    return this.releaseTrade(userId, mint, costUsd);
   }
 
   /**
@@ -249,29 +550,12 @@ class RiskEngine extends EventEmitter {
     if (sector) {
       state.perSector.set(sector, Math.max(0, (state.perSector.get(sector) || 0) - usdLoss));
     }
-    // Persist updated loss/exposure
-    const exposuresJson = {};
-    for (const [m, v] of state.perMint.entries()) exposuresJson[m] = v;
-    for (const [s, v] of state.perSector.entries()) exposuresJson[`${s}`] = v;
-    prisma.userRiskState
-      .upsert({
-        where: { userId },
-        update: {
-          dailyLossUsd: state.dailyLoss,
-          exposureUsd: state.totalExposure,
-          exposuresJson: JSON.stringify(exposuresJson),
-        },
-        create: {
-          userId,
-          dailyLossUsd: state.dailyLoss,
-          exposureUsd: state.totalExposure,
-          exposuresJson: JSON.stringify(exposuresJson),
-        },
-      })
-      .catch(() => {});
+    return this._persist(userId);
   }
 }
 
 // Export a singleton
 const riskEngine = new RiskEngine();
-module.exports = riskEngine;
\ No newline at end of file
+module.exports = riskEngine;
+module.exports.RiskEngine = RiskEngine;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
@@ -0,0 +1,377 @@
+/**
+ * API keys
+ *
+ * User-generated keys for programmatic access to the REST API without a
+ * browser session. A key is a public `keyId` (stk_…) plus a secret that is
+ * shown exactly once at creation. Two ways to authenticate:
+ *
+ *   • Signed (default): `X-API-Key: <keyId>`, `X-API-Timestamp: <unix s>`,
+ *     `X-API-Signature: hex(HMAC-SHA256(secret, canonical))` where
+ *     canonical = `${timestamp}\n${METHOD}\n${originalUrl}\n${sha256(rawBody)}`.
+ *     The secret never travels; timestamps outside ±5 min and replayed
+ *     signatures are rejected.
+ *   • Plain (opt-in per key): `X-API-Key: <keyId>.<secret>`.
+ *
+ * Each key carries scopes (read, trade, strategies, orders), an optional
+ * IP allowlist (addresses or CIDR ranges) and a mandatory expiry. Routes
+ * that manage credentials, wallets or billing are never reachable with a
+ * key. Creation, changes, revocation and denied requests are written to
+ * the SecurityAuditLog.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const prisma = require('../../prisma/prisma');
+const audit = require('./auditLog');
+const logger = require('../../utils/logger');
+
+const SCOPES = ['read', 'trade', 'strategies', 'orders'];
+const KEY_PREFIX = 'stk_';
+const MAX_KEYS_PER_USER = 10;
+const MAX_EXPIRY_DAYS = 365;
+const SIGNATURE_WINDOW_MS = 5 * 60 * 1000;
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const DENIAL_AUDIT_INTERVAL_MS = 60 * 1000;
+
+/*
+ * Route prefix (below /api) → scope needed for unsafe methods. `null`
+ * means the prefix is readable with the `read` scope but cannot be
+ * written to with a key. Prefixes not listed here (auth, account,
+ * wallets, payment, telegram, prefs, arm-encryption, …) reject API keys
+ * entirely.
+ */
+const ROUTE_SCOPES = {
+  manual: 'trade',
+  trades: 'trade',
+  orders: 'orders',
+  tpsl: 'orders',
+  mode: 'strategies',
+  'launch-multi': 'strategies',
+  schedule: 'strategies',
+  pipelines: 'strategies',
+  rebalancer: 'strategies',
+  portfolio: null,
+  safety: null,
+  watchlist: null,
+  rotation: null,
+  backtest: null,
+  risk: null,
+  tax: null,
+  events: null,
+};
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/** Validation failure the routes can surface as a 400. */
+function badRequest(message) {
+  const e = new Error(message);
+  e.status = 400; e.expose = true;
+  return e;
+}
+
+const sha256 = (input) => crypto.createHash('sha256').update(input).digest('hex');
+
+function timingSafeEqualHex(a, b) {
+  const ab = Buffer.from(String(a), 'hex');
+  const bb = Buffer.from(String(b), 'hex');
+  return ab.length === bb.length && ab.length > 0 && crypto.timingSafeEqual(ab, bb);
+}
+
+// Loaded lazily: encryption.js throws at require time without ENCRYPTION_SECRET.
+const encryption = () => require('../../middleware/auth/encryption');
+
+/* ─── helpers ──────────────────────────────────────────────────────── */
+
+/** Canonical string a client signs. */
+function canonicalRequest({ timestamp, method, path, body = '' }) {
+  return `${timestamp}\n${String(method).toUpperCase()}\n${path}\n${sha256(body || '')}`;
+}
+
+/** HMAC signature for a request – handy for scripts and tests. */
+function signRequest(secret, parts) {
+  return crypto.createHmac('sha256', secret).update(canonicalRequest(parts)).digest('hex');
+}
+
+/** Normalise `::ffff:1.2.3.4` to `1.2.3.4`. */
+function normalizeIp(ip) {
+  const s = String(ip || '').trim();
+  return s.startsWith('::ffff:') && net.isIPv4(s.slice(7)) ? s.slice(7) : s;
+}
+
+/** Validate allowlist entries (IP or CIDR); throws on the first bad one. */
+function parseAllowlist(entries = []) {
+  const list = new net.BlockList();
+  for (const raw of entries) {
+    const [addr, bits, extra] = String(raw).trim().split('/');
+    const family = net.isIP(addr);
+    if (!family || extra !== undefined) throw badRequest(`Invalid IP or CIDR "${raw}"`);
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    if (bits === undefined) {
+      list.addAddress(addr, type);
+      continue;
+    }
+    const prefix = Number(bits);
+    if (!/^\d+$/.test(bits) || prefix > (family === 4 ? 32 : 128)) {
+      throw badRequest(`Invalid CIDR prefix in "${raw}"`);
+    }
+    list.addSubnet(addr, prefix, type);
+  }
+  return list;
+}
+
+function ipAllowed(allowlist, ip) {
+  if (!allowlist || !allowlist.length) return true;
+  const addr = normalizeIp(ip);
+  const family = net.isIP(addr);
+  if (!family) return false;
+  try {
+    return parseAllowlist(allowlist).check(addr, family === 4 ? 'ipv4' : 'ipv6');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Scope an API key needs for `method` on `originalUrl`, or
+ * `{ forbidden: true }` when the route is off-limits to keys.
+ */
+function requiredScope(method, originalUrl) {
+  const path = String(originalUrl || '').split('?')[0].replace(/^\/api(?=\/|$)/, '');
+  const prefix = path.split('/')[1] || '';
+  if (!Object.prototype.hasOwnProperty.call(ROUTE_SCOPES, prefix)) return { forbidden: true };
+  if (SAFE_METHODS.has(String(method).toUpperCase())) return { scope: 'read' };
+  const scope = ROUTE_SCOPES[prefix];
+  return scope ? { scope } : { forbidden: true };
+}
+
+/** Public view of a row – never includes secret material. */
+function toPublic(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyId: row.keyId,
+    scopes: row.scopes,
+    ipAllowlist: row.ipAllowlist,
+    requireSignature: row.requireSignature,
+    expiresAt: row.expiresAt,
+    lastUsedAt: row.lastUsedAt,
+    lastUsedIp: row.lastUsedIp,
+    revokedAt: row.revokedAt,
+    createdAt: row.createdAt,
+  };
+}
+
+/* ─── management ───────────────────────────────────────────────────── */
+
+/**
+ * Create a key. Returns `{ apiKey, secret }`; the secret is not
+ * retrievable afterwards.
+ *
+ * @param {string} userId
+ * @param {object} opts { name, scopes, ipAllowlist, expiresInDays, requireSignature }
+ * @param {object} [ctx] { ip }
+ */
+async function createApiKey(userId, opts, ctx = {}) {
+  const scopes = [...new Set(opts.scopes || [])];
+  if (!scopes.length || scopes.some((s) => !SCOPES.includes(s))) {
+    throw badRequest(`scopes must be a subset of ${SCOPES.join(', ')}`);
+  }
+  const ipAllowlist = (opts.ipAllowlist || []).map((s) => s.trim()).filter(Boolean);
+  parseAllowlist(ipAllowlist);
+
+  const days = Number(opts.expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw badRequest(`expiresInDays must be 1-${MAX_EXPIRY_DAYS}`);
+  }
+
+  const active = await prisma.apiKey.count({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+  });
+  if (active >= MAX_KEYS_PER_USER) throw badRequest(`At most ${MAX_KEYS_PER_USER} active API keys`);
+
+  const keyId = KEY_PREFIX + crypto.randomBytes(9).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  const row = await prisma.apiKey.create({
+    data: {
+      userId,
+      name: opts.name,
+      keyId,
+      secretHash: sha256(secret),
+      secretEnc: encryption().encrypt(secret, { aad: keyId }),
+      scopes,
+      ipAllowlist,
+      requireSignature: opts.requireSignature !== false,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    },
+  });
+
+  await audit.logSecurityEvent(userId, 'API_KEY_CREATED', {
+    keyId, name: row.name, scopes, ipAllowlist, requireSignature: row.requireSignature,
+    expiresAt: row.expiresAt.toISOString(), ip: ctx.ip || null,
+  });
+  return { apiKey: toPublic(row), secret };
+}
+
+async function listApiKeys(userId) {
+  const rows = await prisma.apiKey.findMany({ where: { userId }, orderBy: { createdAt: 'desc' } });
+  return rows.map(toPublic);
+}
+
+/** Rename, re-scope or change the IP allowlist of a live key. Null when not found. */
+async function updateApiKey(userId, id, patch, ctx = {}) {
+  const row = await prisma.apiKey.findFirst({ where: { id, userId, revokedAt: null } });
+  if (!row) return null;
+
+  const data = {};
+  if (patch.name !== undefined) data.name = patch.name;
+  if (patch.scopes !== undefined) {
+    const scopes = [...new Set(patch.scopes)];
+    if (!scopes.length || scopes.some((s) => !SCOPES.includes(s))) {
+      throw badRequest(`scopes must be a subset of ${SCOPES.join(', ')}`);
+    }
+    data.scopes = scopes;
+  }
+  if (patch.ipAllowlist !== undefined) {
+    data.ipAllowlist = patch.ipAllowlist.map((s) => s.trim()).filter(Boolean);
+    parseAllowlist(data.ipAllowlist);
+  }
+
+  const updated = await prisma.apiKey.update({ where: { id }, data });
+  await audit.logSecurityEvent(userId, 'API_KEY_UPDATED', {
+    keyId: row.keyId, changes: data, ip: ctx.ip || null,
+  });
+  return toPublic(updated);
+}
+
+/** Revoke a key. Returns false when it does not belong to the user or is already revoked. */
+async function revokeApiKey(userId, id, ctx = {}) {
+  const row = await prisma.apiKey.findFirst({ where: { id, userId, revokedAt: null } });
+  if (!row) return false;
+  await prisma.apiKey.update({ where: { id }, data: { revokedAt: new Date() } });
+  await audit.logSecurityEvent(userId, 'API_KEY_REVOKED', { keyId: row.keyId, ip: ctx.ip || null });
+  return true;
+}
+
+/* ─── request authentication ───────────────────────────────────────── */
+
+const seenSignatures = new Map(); // signature → expiry ms
+const lastTouched = new Map();    // keyId → ms
+const lastDenied = new Map();     // `${keyId}:${reason}` → ms
+
+function rememberSignature(sig, now) {
+  if (seenSignatures.size > 10_000) {
+    for (const [s, exp] of seenSignatures) if (exp <= now) seenSignatures.delete(s);
+  }
+  seenSignatures.set(sig, now + 2 * SIGNATURE_WINDOW_MS);
+}
+
+function deny(row, reason, status, error, req) {
+  if (row) {
+    const k = `${row.keyId}:${reason}`;
+    const now = Date.now();
+    if (now - (lastDenied.get(k) || 0) >= DENIAL_AUDIT_INTERVAL_MS) {
+      lastDenied.set(k, now);
+      audit.logSecurityEvent(row.userId, 'API_KEY_DENIED', {
+        keyId: row.keyId, reason, ip: normalizeIp(req.ip), method: req.method,
+        path: String(req.originalUrl || '').split('?')[0],
+      }).catch((err) => logger.error('API key audit failed', { err: err.message }));
+    }
+  }
+  return { ok: false, status, error };
+}
+
+function touch(row, ip) {
+  const now = Date.now();
+  if (now - (lastTouched.get(row.keyId) || 0) < TOUCH_INTERVAL_MS) return;
+  lastTouched.set(row.keyId, now);
+  prisma.apiKey
+    .update({ where: { id: row.id }, data: { lastUsedAt: new Date(now), lastUsedIp: ip } })
+    .catch((err) => logger.warn('API key lastUsed update failed', { err: err.message }));
+}
+
+/**
+ * Authenticate a request carrying `X-API-Key`. Resolves to
+ * `{ ok: true, user, apiKey }` or `{ ok: false, status, error }`.
+ * Never falls back to cookies or bearer tokens.
+ */
+async function authenticateApiKey(req) {
+  const header = String(req.get('X-API-Key') || '').trim();
+  const [keyId, plainSecret, extra] = header.split('.');
+  if (!keyId.startsWith(KEY_PREFIX) || extra !== undefined) {
+    return { ok: false, status: 401, error: 'Malformed API key' };
+  }
+
+  const row = await prisma.apiKey.findUnique({ where: { keyId } });
+  if (!row) return { ok: false, status: 401, error: 'Invalid API key' };
+
+  if (plainSecret !== undefined) {
+    if (!timingSafeEqualHex(sha256(plainSecret), row.secretHash)) {
+      return deny(row, 'bad_secret', 401, 'Invalid API key', req);
+    }
+    if (row.requireSignature) {
+      return deny(row, 'signature_required', 401, 'This API key requires signed requests', req);
+    }
+  } else {
+    const timestamp = String(req.get('X-API-Timestamp') || '');
+    const signature = String(req.get('X-API-Signature') || '').toLowerCase();
+    if (!/^\d{9,11}$/.test(timestamp) || !/^[0-9a-f]{64}$/.test(signature)) {
+      return deny(row, 'unsigned', 401, 'Missing X-API-Timestamp / X-API-Signature', req);
+    }
+    const now = Date.now();
+    if (Math.abs(now - Number(timestamp) * 1000) > SIGNATURE_WINDOW_MS) {
+      return deny(row, 'stale_timestamp', 401, 'Request timestamp outside the allowed window', req);
+    }
+    let secret;
+    try {
+      secret = encryption().decrypt(row.secretEnc, { aad: row.keyId }).toString('utf8');
+    } catch {
+      logger.error('API key secret could not be decrypted', { keyId: row.keyId });
+      return { ok: false, status: 401, error: 'Invalid API key' };
+    }
+    const expected = signRequest(secret, {
+      timestamp, method: req.method, path: req.originalUrl, body: req.rawBody,
+    });
+    if (!timingSafeEqualHex(signature, expected)) {
+      return deny(row, 'bad_signature', 401, 'Invalid request signature', req);
+    }
+    if ((seenSignatures.get(signature) || 0) > now) {
+      return deny(row, 'replay', 401, 'Replayed request', req);
+    }
+    rememberSignature(signature, now);
+  }
+
+  if (row.revokedAt) return deny(row, 'revoked', 401, 'API key revoked', req);
+  if (row.expiresAt <= new Date()) return deny(row, 'expired', 401, 'API key expired', req);
+
+  const ip = normalizeIp(req.ip);
+  if (!ipAllowed(row.ipAllowlist, ip)) {
+    return deny(row, 'ip_not_allowed', 403, 'IP address not allowed for this API key', req);
+  }
+
+  const need = requiredScope(req.method, req.originalUrl);
+  if (need.forbidden) return deny(row, 'route_forbidden', 403, 'This route is not available to API keys', req);
+  if (!row.scopes.includes(need.scope)) {
+    return deny(row, `missing_scope:${need.scope}`, 403, `API key lacks the "${need.scope}" scope`, req);
+  }
+
+  touch(row, ip);
+  return {
+    ok: true,
+    user: { id: row.userId, type: 'apiKey' },
+    apiKey: { id: row.id, keyId: row.keyId, scopes: row.scopes },
+  };
+}
+
+module.exports = {
+  SCOPES,
+  MAX_EXPIRY_DAYS,
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  requiredScope,
+  signRequest,
+  parseAllowlist,
+};
@@ -3,10 +3,35 @@ require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env"
 const INTERNAL_AUTH = `Bearer ${process.env.INTERNAL_SERVICE_TOKEN || ""}`;
 
 const prisma = require("../../prisma/prisma");
-const { performDcaBuy } = require("../dcaExecutor");
+const { runDcaTranche } = require("../dcaExecutor");
+const { isFinished, isDue, realizedVol } = require("../dcaPlanner");
+const { getCachedPrice } = require("../../utils/priceCache.dynamic");
+const { fetchCandles } = require("./core/backtest/candleSource");
 
 const INTERVAL_MS = 60_000;
 const MAX_MISSES  = 3; 
+const SOL_MINT    = "So11111111111111111111111111111111111111112";
+
+/* hourly volatility over the last day, only fetched for vol-mode rounds */
+async function hourlyVol(o) {
+  if (o.mode !== "vol") return null;
+  try {
+    const candles = await fetchCandles(o.tokenMint, {
+      interval: "1H", from: Date.now() - 24 * 3.6e6, to: Date.now(), userId: o.userId,
+    });
+    return realizedVol(candles);
+  } catch (err) {
+    console.warn(`⚠️ DCA ${o.id.slice(0,6)} volatility fetch failed:`, err.message);
+    return null;
+  }
+}
+
+async function prices(o) {
+  const price = await getCachedPrice(o.tokenMint);
+  if (!price || String(o.unit).toLowerCase() !== "sol") return { price, unitPrice: price };
+  const sol = await getCachedPrice(SOL_MINT);
+  return { price, unitPrice: sol ? price / sol : null };
+}
 console.log("📉 Starting DB DCA monitor…");
 
 async function monitorDcaWeb() {
@@ -24,7 +49,7 @@ async function monitorDcaWeb() {
         const elapsedHours = (Date.now() - last) / 3.6e6;
         console.log(`[DCA ] ${o.id.slice(0,6)} elapsed=${elapsedHours.toFixed(2)}h freq=${o.freqHours}h miss#${o.missedCount || 0}`);
 
-        if ((o.completedBuys || 0) >= o.numBuys) {
+        if (isFinished(o)) {
           await prisma.dcaOrder.update({
             where: { id: o.id },
             data: { status: "filled", filledAt: new Date() }
@@ -33,30 +58,31 @@ async function monitorDcaWeb() {
           continue;
         }
 
-        if (elapsedHours < o.freqHours) continue;
+        if (!isDue(o)) continue;
 
         try {
-          console.log(`🚀 Attempting DCA ${o.id} with header: ${INTERNAL_AUTH.slice(0,10)}...`);
-          const res = await performDcaBuy(o.userId, o, INTERNAL_AUTH);
+          const { price, unitPrice } = await prices(o);
+          if (!price || !unitPrice) continue; // retry next pass
 
-          if (res?.tx) {
-            await prisma.dcaOrder.update({
-              where: { id: o.id },
-              data: {
-                lastBuyAt: new Date(),
-                executedCount: (o.executedCount || 0) + 1,
-                completedBuys: (o.completedBuys || 0) + 1,
-                tx: res.tx
-              }
-            });
-            console.log(`🚀 DCA ${o.id} executed, tx: ${res.tx}`);
+          console.log(`🚀 Attempting DCA ${o.id} (${o.mode || "fixed"}) with header: ${INTERNAL_AUTH.slice(0,10)}...`);
+          const res = await runDcaTranche(o.userId, o, {
+            authHeader: INTERNAL_AUTH,
+            price,
+            unitPrice,
+            volatility: await hourlyVol(o),
+          });
+
+          if (res.tx) {
+            console.log(`🚀 DCA ${o.id} executed ${res.amount}, tx: ${res.tx}`);
+          } else if (res.action === "skip") {
+            console.log(res.consumesRound
+              ? `⏭️ DCA ${o.id} skipped: ${res.reason}`
+              : `⏸️ DCA ${o.id} held, round stays due: ${res.reason}`);
+          } else if (res.action === "execute") {
+            throw new Error(res.error || "tranche failed");
           }
         } catch (err) {
           console.error(`❌ DCA ${o.id} failed:`, err.message);
-          await prisma.dcaOrder.update({
-            where: { id: o.id },
-            data: { missedCount: (o.missedCount || 0) + 1 }
-          });
           if ((o.missedCount || 0) + 1 >= MAX_MISSES) {
             await prisma.dcaOrder.update({
               where: { id: o.id },
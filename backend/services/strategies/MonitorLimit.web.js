@@ -2,12 +2,12 @@ require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env"
 const INTERNAL_AUTH = `Bearer ${process.env.INTERNAL_SERVICE_TOKEN || ""}`;
 
 const prisma = require("../../prisma/prisma");
-const { performLimitBuy, performLimitSell } = require("../limitExecutor");
+const { performLimitBuy, performLimitSell, claimLeg, releaseLeg, MAX_FAILS } = require("../limitExecutor");
+const { evaluateLeg } = require("../limitOrderLegs");
 const getTokenPrice  = require("../../services/strategies/paid_api/getTokenPrice");
 const getCachedPrice = require("../../utils/priceCache.static").getCachedPrice;
 
 const INTERVAL_MS = 30_000;
-const MAX_FAILS   = 3; 
 
 console.log("🌐 Starting monitorLimitWeb...");
 
@@ -33,15 +33,27 @@ async function monitorLimitWeb() {
         const price = await getCachedPrice(order.token);
         if (!price) continue;
 
-        console.log(`[LIMIT] ${order.side.toUpperCase()} ${order.mint.slice(0,4)}…  ` +
-                    `price=$${price.toFixed(6)}  target=$${targetPrice}  ` +
-                    `fail#${order.failCount || 0}`);
+        const kind = order.type === "stop_limit" ? "STOP-LIMIT" : "LIMIT";
+        console.log(`[${kind}] ${order.side.toUpperCase()} ${order.mint.slice(0,4)}…  ` +
+                    `price=$${price.toFixed(6)}  target=$${targetPrice}` +
+                    (order.triggerPrice ? `  trigger=$${order.triggerPrice}` : "") +
+                    (order.groupId ? `  ${order.groupType}:${order.role}` : "") +
+                    `  fail#${order.failCount || 0}`);
 
-        const shouldTrigger =
-          (order.side === "buy" && price <= targetPrice) ||
-          (order.side === "sell" && price >= targetPrice);
+        const { arm, fire } = evaluateLeg(order, price);
 
-        if (!shouldTrigger) continue;
+        if (arm) {
+          await prisma.limitOrder.updateMany({
+            where: { id: order.id, triggeredAt: null },
+            data : { triggeredAt: new Date() }
+          });
+          console.log(`⏰ Stop ${order.id} triggered at $${price.toFixed(6)} – now working at $${targetPrice}`);
+        }
+
+        if (!fire) continue;
+
+        // open → executing (+ OCO siblings canceled) in one transaction
+        if (!(await claimLeg(order))) continue;
 
         try {
           console.log(`🚀 Attempting LIMIT ${order.id} with header: ${INTERNAL_AUTH.slice(0,10)}...`);
@@ -49,31 +61,13 @@ async function monitorLimitWeb() {
             ? await performLimitBuy(order, INTERNAL_AUTH)
             : await performLimitSell(order, INTERNAL_AUTH);
 
-          await prisma.limitOrder.update({
-            where: { id: order.id },
-            data: {
-              status: "executed",
-              executedAt: new Date(),
-              tx
-            }
-          });
-
           console.log(`✅ LIMIT ${order.id} executed, tx: ${tx}`);
 
         } catch (err) {
           console.error(`❌ Limit ${order.side} failed:`, err.message);
 
-          await prisma.limitOrder.update({
-            where: { id: order.id },
-            data : { failCount: { increment: 1 } }
-          });
-
-          if ((order.failCount || 0) + 1 >= MAX_FAILS) {
-            await prisma.limitOrder.update({
-              where: { id: order.id },
-              data : { status: "failed", failedAt: new Date() }
-            });
-            console.log(`🛑 Limit ${order.id} canceled after ${order.failCount + 1} failures`);
+          if (await releaseLeg(order)) {
+            console.log(`🛑 Limit ${order.id} canceled after ${(order.failCount || 0) + 1} failures`);
           }
         }
       }
@@ -3,6 +3,7 @@ require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env"
 
 const prisma = require("../../prisma/prisma");
 const { checkAndTriggerTpSl } = require("../tpSlExecutor");
+const { hasExitTargets } = require("./core/TpSlManager");
 const { sendAlert } = require("../../telegram/alerts");
 
 // NEW: reuse the existing sell path used by TP/SL + manual
@@ -147,7 +148,7 @@ function monitorTpSlWeb() {
 
       for (const rule of rules) {
         if (!rule.mint) continue;
-        if (!(rule.tp && rule.tpPercent > 0) && !(rule.sl && rule.slPercent > 0)) continue;
+        if (!hasExitTargets(rule)) continue;
 
         try {
           const res = await checkAndTriggerTpSl(rule);
@@ -72,6 +72,18 @@ const entry = (typeof mod === "function") ? mod
 
 if (!entry) fatal(`strategy entry not a function in ${absScript}`);
 
+// Restore the owner's persisted risk state (kill switch, exposure, limits)
+// so the child enforces what the parent sees.
+async function restoreRiskState() {
+  if (!cfg || !cfg.userId) return;
+  try {
+    await require("../riskEngine").load(cfg.userId, { force: true });
+  } catch (e) {
+    emit("WARN", `risk state restore failed — ${e.message}`);
+  }
+}
+
 Promise.resolve()
+  .then(restoreRiskState)
   .then(() => entry(cfg))
   .catch((e) => fatal("strategy startup failed", e));
\ No newline at end of file
@@ -0,0 +1,414 @@
+/* backend/services/strategies/copyTrader.js
+ *
+ * Copy Trader – mirrors the swaps of a list of leader wallets.
+ *
+ *  • subscribes to each leader's transactions (logsSubscribe)
+ *  • decodes Jupiter / Raydium swaps from balance deltas (core/copyTrade)
+ *  • BUY  → safety checks + passes() heuristics → liveBuy / simulateBuy
+ *  • SELL → sells the same share of the follower's bag and closes the
+ *           position through fifoReducer.closePositionFIFO (dry runs
+ *           close their paper rows, live runs the live ones)
+ *
+ * Sizing is fixed (SOL per trade) or proportional to the leader's spend,
+ * with optional per-trade and per-leader daily caps and a mirror delay.
+ */
+const fs = require("fs");
+const { Connection, PublicKey } = require("@solana/web3.js");
+const prisma = require("../../prisma/prisma");
+/* safety + logging */
+const { isSafeToBuyDetailed } = require("../utils/safety/safetyCheckers/botIsSafeToBuy");
+const { logSafetyResults }    = require("./logging/logSafetyResults");
+const { strategyLog }         = require("./logging/strategyLogger");
+const { lastTickTimestamps, runningProcesses }
+      = require("../utils/strategy_utils/activeStrategyTracker");
+/* ── core helpers ─────────────────────────────────────── */
+const wm                       = require("./core/walletManager");
+const { getSafeQuote }         = require("./core/quoteHelper");
+const { liveBuy, simulateBuy } = require("./core/tradeExecutor");
+const { passes, explainFilterFail } = require("./core/passes");
+const { createSummary }        = require("./core/alerts");
+const runLoop                  = require("./core/loopDriver");
+const { initTxWatcher }        = require("./core/txTracker");
+const { normalizeLeaders, decodeLeaderSwap, mirrorSize } = require("./core/copyTrade");
+const getTokenShortTermChange  = require("./paid_api/getTokenShortTermChanges");
+const { getSolPrice }          = require("./paid_api/getTokenPrice");
+const { getTokenBalanceRaw }   = require("../../utils/marketData");
+const { executeSwap }          = require("../../utils/swap");
+const { getMintDecimals }      = require("../../utils/tokenAccounts");
+const { closePositionFIFO, isSimulatedRow } = require("../utils/analytics/fifoReducer");
+const { sendAlert }            = require("../../telegram/alerts");
+
+/* ── fatal/diagnostics scaffolding ─────────────────────────────── */
+const FATAL_DELAY_MS = 80;
+
+function fatal(reason, err) {
+  const msg = `[ERROR] ${reason}${err ? `: ${err?.stack || err?.message || String(err)}` : ""}`;
+  try { console.error(msg); } catch {}
+  try {
+    console.log(JSON.stringify({
+      level: "fatal",
+      reason: String(reason),
+      error : err ? (err.stack || err.message || String(err)) : null,
+      ts    : new Date().toISOString(),
+    }));
+  } catch {}
+  setTimeout(() => process.exit(1), FATAL_DELAY_MS);
+}
+
+process.on("uncaughtException", (err) => fatal("uncaughtException", err));
+process.on("unhandledRejection", (err) => fatal("unhandledRejection", err));
+
+/* constants */
+const SOL_MINT     = "So11111111111111111111111111111111111111112";
+const STRATEGY     = "Copy Trader";
+const CATEGORY     = "CopyTrader";
+const SEEN_MAX     = 5_000;   // remembered signatures (dedupe across reconnects)
+
+function toWs(rpcUrl) {
+  if (rpcUrl.startsWith("https://")) return rpcUrl.replace("https://", "wss://");
+  if (rpcUrl.startsWith("http://")) return rpcUrl.replace("http://", "ws://");
+  return rpcUrl;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const utcDay = () => new Date().toISOString().slice(0, 10);
+
+module.exports = async function copyTraderStrategy(botCfg = {}) {
+  console.log("🚀 copyTraderStrategy loaded", botCfg);
+  const botId = botCfg.botId || "manual";
+  const log   = strategyLog("copyTrader", botId, botCfg);
+
+  /* ── config ─────────────────────────────────────────── */
+  const LEADERS         = normalizeLeaders(botCfg.leaders, botCfg);
+  const SLIPPAGE        = +botCfg.slippage       || 1.0;
+  const MAX_SLIPPAGE    = +botCfg.maxSlippage    || 0.15;
+  const MAX_TRADES      = +botCfg.maxTrades      || 9999;
+  const HALT_ON_FAILS   = +botCfg.haltOnFailures || 3;
+  const PRIORITY_FEE    = +botCfg.priorityFeeLamports || 0;
+  const INTERVAL_MS     = Math.round((+botCfg.interval || 30) * 1_000);
+  const DRY_RUN         = botCfg.dryRun === true;
+  const execBuy         = DRY_RUN ? simulateBuy : liveBuy;
+  // Leaders already vetted the entry; price/volume gates are opt-in.
+  const ENTRY_THRESHOLD = (+botCfg.entryThreshold >= 1
+                             ? +botCfg.entryThreshold / 100
+                             : +botCfg.entryThreshold) || 0;
+  const VOLUME_THRESHOLD = +botCfg.volumeThreshold || 0;
+  const MIN_MARKET_CAP  = botCfg.minMarketCap != null ? +botCfg.minMarketCap : null;
+  const MAX_MARKET_CAP  = botCfg.maxMarketCap != null ? +botCfg.maxMarketCap : null;
+  const pumpWin         = botCfg.priceWindow  || "5m";
+  const volWin          = botCfg.volumeWindow || "1h";
+  const RPC_URL         = botCfg.rpcUrl || process.env.SOLANA_RPC_URL;
+
+  const SAFETY_DISABLED =
+    botCfg.safetyEnabled === false ||
+    botCfg.disableSafety === true ||
+    (botCfg.safetyChecks &&
+     Object.keys(botCfg.safetyChecks).length > 0 &&
+     Object.values(botCfg.safetyChecks).every(v => v === false));
+
+  if (!LEADERS.length) return fatal("no leader wallets configured");
+  if (!RPC_URL) return fatal("SOLANA_RPC_URL not set");
+
+  const summary = createSummary(CATEGORY, log, botCfg.userId);
+  const seen    = new Set();
+  const spent   = new Map();   // leader → SOL mirrored today
+  let   day     = utcDay();
+  let   trades  = 0;
+  let   fails   = 0;
+  let   stopped = false;
+  let   loopHandle = null;
+
+  log("info", `🔗 Loading single wallet from DB (walletId: ${botCfg.walletId})`);
+  try {
+    await wm.initWalletFromDb(botCfg.userId, botCfg.walletId);
+  } catch (err) {
+    return fatal("wallet init failed", err);
+  }
+  try {
+    initTxWatcher(CATEGORY);
+  } catch (err) {
+    return fatal("tx watcher init failed", err);
+  }
+
+  const conn = new Connection(RPC_URL, { commitment: "confirmed", wsEndpoint: toWs(RPC_URL) });
+  const subs = [];
+
+  async function stop(reason) {
+    if (stopped) return;
+    stopped = true;
+    for (const id of subs) conn.removeOnLogsListener(id).catch(() => {});
+    await summary.printAndAlert(reason);
+    log("summary", `✅ Copy Trader stopped (${reason})`);
+    if (runningProcesses[botId]) runningProcesses[botId].finished = true;
+    if (loopHandle) clearInterval(loopHandle);
+  }
+
+  function remember(sig) {
+    if (seen.has(sig)) return false;
+    seen.add(sig);
+    if (seen.size > SEEN_MAX) seen.delete(seen.values().next().value);
+    return true;
+  }
+
+  /* ── BUY mirror ─────────────────────────────────────── */
+  async function mirrorBuy(leader, swap) {
+    const { mint } = swap;
+    let solPrice = null;
+    try { solPrice = await getSolPrice(botCfg.userId); } catch {}
+
+    const size = mirrorSize({ swap, leader, spentToday: spent.get(leader.address) || 0, solPriceUsd: solPrice });
+    if (!size.amount) {
+      log("warn", `⏭️ ${leader.label} buy of ${mint} not mirrored: ${size.reason}`);
+      summary.inc(size.reason);
+      return;
+    }
+
+    /* safety checks */
+    if (!SAFETY_DISABLED) {
+      const safeRes = await isSafeToBuyDetailed(mint, botCfg.safetyChecks || {});
+      if (logSafetyResults(mint, safeRes, log, "copyTrader")) {
+        summary.inc("safetyFail");
+        return;
+      }
+      summary.inc("safety");
+    } else {
+      log("info", "⚠️ Safety checks DISABLED – proceeding un-vetted");
+    }
+
+    /* price / volume / dev heuristics */
+    const res = await passes(mint, {
+      entryThreshold     : ENTRY_THRESHOLD,
+      volumeThresholdUSD : VOLUME_THRESHOLD,
+      pumpWindow         : pumpWin,
+      volumeWindow       : volWin,
+      minMarketCap       : MIN_MARKET_CAP,
+      maxMarketCap       : MAX_MARKET_CAP,
+      volumeSpikeMult    : null,
+      devWatch           : botCfg.devWatch,
+      fetchOverview      : (m) => getTokenShortTermChange(null, m, pumpWin, volWin),
+    });
+    if (!res?.ok) {
+      log("warn", explainFilterFail(
+        { reason: res.reason, pct: res.pct, vol: res.vol, price: res.overview?.price, mcap: res.overview?.marketCap },
+        { entryTh: ENTRY_THRESHOLD, pumpWin, volTh: VOLUME_THRESHOLD, volWin,
+          minMarketCap: MIN_MARKET_CAP, maxMarketCap: MAX_MARKET_CAP },
+      ));
+      summary.inc(res.reason || "filterFail");
+      return;
+    }
+
+    const quoteRes = await getSafeQuote({
+      inputMint    : SOL_MINT,
+      outputMint   : mint,
+      amount       : Math.round(size.amount * 1e9),
+      slippage     : SLIPPAGE,
+      maxImpactPct : MAX_SLIPPAGE,
+    });
+    if (!quoteRes.ok) {
+      log("warn", `❌ Quote failed: ${String(quoteRes.reason || "quoteFail").toUpperCase()} — ${quoteRes.message || "no message"}`);
+      summary.inc(quoteRes.reason || "quoteFail");
+      return;
+    }
+    const quote = quoteRes.quote;
+    if (PRIORITY_FEE > 0) quote.prioritizationFeeLamports = PRIORITY_FEE;
+
+    const meta = {
+      strategy        : STRATEGY,
+      category        : CATEGORY,
+      walletId        : botCfg.walletId,
+      userId          : botCfg.userId,
+      botId,
+      slippage        : SLIPPAGE,
+      tpPercent       : botCfg.tpPercent,
+      slPercent       : botCfg.slPercent,
+      tp              : botCfg.takeProfit,
+      sl              : botCfg.stopLoss,
+      priorityFeeLamports: PRIORITY_FEE,
+      openTradeExtras : { strategy: "copyTrader", leader: leader.address, leaderTx: swap.signature },
+    };
+
+    const txHash = await execBuy({ quote, mint, meta });
+    spent.set(leader.address, (spent.get(leader.address) || 0) + size.amount);
+    trades++;
+    summary.inc("buys");
+    log("info", DRY_RUN
+      ? `[🎆 COPIED BUY] ${mint} (${size.amount} SOL) ← ${leader.label}`
+      : `[🎆 COPIED BUY] ${mint} (${size.amount} SOL) ← ${leader.label} Tx: https://solscan.io/tx/${txHash}`);
+  }
+
+  /* ── SELL mirror ────────────────────────────────────── */
+  async function mirrorSell(leader, swap) {
+    const { mint } = swap;
+    const rows = await prisma.trade.findMany({
+      where : { userId: botCfg.userId, walletId: botCfg.walletId, mint, strategy: STRATEGY },
+      select: { outAmount: true, extras: true },
+    });
+    // Paper rows from dry runs are only the dry run's bag; a live sell
+    // mirrors the live rows alone.
+    const openRaw = rows
+      .filter((r) => isSimulatedRow(r) === DRY_RUN)
+      .reduce((s, r) => s + BigInt(r.outAmount), 0n);
+    if (openRaw <= 0n) {
+      log("info", `↪️ ${leader.label} sold ${mint} – no follower position`);
+      return;
+    }
+
+    const fraction = swap.soldFraction ?? 1;
+    let sellRaw    = fraction >= 1 ? openRaw : (openRaw * BigInt(Math.round(fraction * 1e6))) / 1_000_000n;
+    if (!DRY_RUN) {
+      const walletBal = await getTokenBalanceRaw(wm.current().publicKey, mint);
+      if (walletBal < sellRaw) sellRaw = walletBal;
+    }
+    if (sellRaw <= 0n) return;
+
+    const quoteRes = await getSafeQuote({
+      inputMint    : mint,
+      outputMint   : SOL_MINT,
+      amount       : sellRaw.toString(),
+      slippage     : SLIPPAGE,
+      maxImpactPct : MAX_SLIPPAGE,
+    });
+    if (!quoteRes.ok) {
+      log("warn", `❌ Sell quote failed: ${String(quoteRes.reason || "quoteFail").toUpperCase()} — ${quoteRes.message || "no message"}`);
+      summary.inc("sellQuoteFail");
+      return;
+    }
+    const sellQ = quoteRes.quote;
+
+    let txHash = null;
+    if (!DRY_RUN) {
+      txHash = await executeSwap({
+        quote: sellQ,
+        wallet: wm.current(),
+        shared: false,
+        priorityFee: PRIORITY_FEE,
+        tipLamports: 0,
+        privateRpcUrl: process.env.PRIVATE_SOLANA_RPC_URL || RPC_URL,
+        skipPreflight: true,
+      });
+      if (!txHash) {
+        log("warn", `⛔ Sell of ${mint} not sent – follower position kept`);
+        summary.inc("sellFail");
+        return;
+      }
+    }
+
+    const decimals = await getMintDecimals(mint);
+    const exitPriceSOL = (Number(sellQ.outAmount) * 10 ** decimals) / (Number(sellQ.inAmount) * 1e9);
+    let exitPriceUSD = null;
+    try {
+      const solUSD = await getSolPrice(botCfg.userId);
+      exitPriceUSD = solUSD ? +(exitPriceSOL * solUSD).toFixed(6) : null;
+    } catch {}
+
+    // A dry run closes its own paper rows; live rows are never touched by it.
+    await closePositionFIFO({
+      userId       : botCfg.userId,
+      walletId     : botCfg.walletId,
+      mint,
+      strategy     : STRATEGY,
+      triggerType  : "copy",
+      amountSold   : Number(sellQ.inAmount),
+      removedAmount: Number(sellQ.inAmount),
+      exitPrice    : exitPriceSOL,
+      exitPriceUSD,
+      txHash,
+      slippage     : SLIPPAGE,
+      slippageBps  : Math.round(SLIPPAGE * 100),
+      decimals,
+      simulated    : DRY_RUN,
+    });
+
+    summary.inc("sells");
+    const pct = (fraction * 100).toFixed(0);
+    log("info", DRY_RUN
+      ? `[💰 COPIED SELL] ${pct}% of ${mint} ← ${leader.label}`
+      : `[💰 COPIED SELL] ${pct}% of ${mint} ← ${leader.label} Tx: https://solscan.io/tx/${txHash}`);
+    await sendAlert(botCfg.userId,
+      `💰 *Copy Trader sell* ${DRY_RUN ? "(dry-run) " : ""}\n• Leader: ${leader.label}\n• Mint: \`${mint}\`\n• Sold: ${pct}%` +
+      (txHash ? `\n• *Tx:* [↗️ View](https://solscan.io/tx/${txHash})` : ""),
+      CATEGORY);
+  }
+
+  /* ── leader event handler ───────────────────────────── */
+  async function onLeaderTx(leader, signature) {
+    if (stopped || !remember(signature)) return;
+    try {
+      const tx = await conn.getParsedTransaction(signature, {
+        maxSupportedTransactionVersion: 0,
+        commitment: "confirmed",
+      });
+      const swap = decodeLeaderSwap(tx, leader.address);
+      if (!swap) return;
+
+      summary.inc("leaderSwaps");
+      log("info", `👀 ${leader.label} ${swap.side.toUpperCase()} ${swap.mint} via ${swap.program} (${swap.baseAmount} ${swap.baseMint === SOL_MINT ? "SOL" : "USDC"})`);
+
+      if (swap.side === "sell" && !leader.copySells) return;
+      if (swap.side === "buy" && trades >= MAX_TRADES) return;
+      if (leader.delayMs > 0) await sleep(leader.delayMs);
+      if (stopped) return;
+
+      if (swap.side === "buy") await mirrorBuy(leader, swap);
+      else await mirrorSell(leader, swap);
+      fails = 0;
+    } catch (err) {
+      if (/insufficient.*lamports|insufficient.*balance/i.test(err.message)) {
+        log("error", "🛑 Not enough SOL – copy trader shutting down");
+        return stop("Copy Trader halted: insufficient SOL");
+      }
+      fails++;
+      summary.inc("errors");
+      log("error", `❌ mirror of ${signature} failed: ${err?.message || String(err)}`);
+    }
+  }
+
+  for (const leader of LEADERS) {
+    try {
+      const id = conn.onLogs(
+        new PublicKey(leader.address),
+        (logInfo) => {
+          if (logInfo?.err) return;
+          onLeaderTx(leader, logInfo.signature);
+        },
+        "confirmed",
+      );
+      subs.push(id);
+      log("info", `📡 Following ${leader.label} (${leader.sizing}${leader.delayMs ? `, delay ${leader.delayMs}ms` : ""})`);
+    } catch (err) {
+      return fatal(`subscribe to leader ${leader.address} failed`, err);
+    }
+  }
+
+  /* ── heartbeat: daily caps, halt checks ─────────────── */
+  async function tick() {
+    lastTickTimestamps[botId] = Date.now();
+    if (utcDay() !== day) {
+      day = utcDay();
+      spent.clear();
+      log("info", "🗓️ New day – per-leader caps reset");
+    }
+    if (fails >= HALT_ON_FAILS) {
+      log("error", "🛑 halted (too many errors)");
+      return stop("Copy Trader halted on errors");
+    }
+    if (trades >= MAX_TRADES) {
+      log("info", "🎯 Trade cap reached – copy trader shutting down");
+      return stop("Copy Trader");
+    }
+  }
+
+  loopHandle = runLoop(tick, INTERVAL_MS, { label: "copyTrader", botId });
+};
+
+/* ── CLI helper ─────────────────────────────────────── */
+if (require.main === module) {
+  const fp = process.argv[2];
+  if (!fp || !fs.existsSync(fp)) {
+    fatal("missing config JSON path", new Error(String(fp)));
+  } else {
+    Promise.resolve()
+      .then(() => module.exports(JSON.parse(fs.readFileSync(fp, "utf8"))))
+      .catch((err) => fatal("copyTrader startup failed", err));
+  }
+}
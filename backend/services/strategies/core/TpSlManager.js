@@ -1,34 +1,189 @@
 /**
  * tpSlManager.js
  *
- * Helper functions to generate take‑profit and stop‑loss ladder rules from
- * user configuration.  A ladder is specified as an array of percentages
- * summing to 100 (e.g., [25, 25, 50]) along with a target profit
- * percentage (tpPercent).  The manager will compute partial take‑profit
- * triggers for each rung of the ladder.  Additionally, a trailing stop
- * percentage may be specified; once the highest take‑profit rung is
- * reached, the stop loss will trail behind the new high by the trailing
- * percentage.  This approach provides a more sophisticated exit plan
- * compared to a single TP/SL threshold, mimicking professional trading
- * strategies【753266132506355†L324-L333】【753266132506355†L335-L344】.
+ * Exit plans for TP/SL rules.  Besides the classic single tp/sl pair a
+ * rule may carry:
+ *
+ *   • tpLadder        – partial take-profits, e.g.
+ *                       [{ gainPct: 20, sellPct: 25 }, { gainPct: 50, sellPct: 25 }]
+ *                       sellPct is a share of the ORIGINAL position.
+ *   • trailingStopPct – stop that trails the highest price seen since the
+ *                       rule was created (highWaterPrice) by this percent.
+ *   • breakEvenAfterTp – once the first rung fills the stop moves to the
+ *                       entry price (stored in stopPrice).
+ *
+ * Protective exits (sl, break-even, trailing) close whatever is left of
+ * the position; ladder rungs only sell their own slice.  evaluateExitRule
+ * is pure so the monitor, the API and tests share the same decisions.
  */
 
 const { v4: uuid } = require("uuid");
 
+const EPS = 0.00001;
+
+/**
+ * Normalise a stored or user-supplied ladder: drop malformed rungs and
+ * sort by trigger so rungs always fill bottom-up.
+ * @param {Array<{gainPct:number, sellPct:number, filledAt?:string, txHash?:string}>} ladder
+ */
+function normalizeLadder(ladder) {
+  if (!Array.isArray(ladder)) return [];
+  return ladder
+    .map((r) => ({
+      ...r,
+      gainPct: Number(r?.gainPct),
+      sellPct: Number(r?.sellPct),
+    }))
+    .filter((r) => Number.isFinite(r.gainPct) && r.gainPct > 0 && Number.isFinite(r.sellPct) && r.sellPct > 0)
+    .sort((a, b) => a.gainPct - b.gainPct);
+}
+
+/**
+ * Ladder a plan rule actually runs.  A plan without tpLadder still
+ * honours its classic tp/tpPercent pair as a single rung.
+ */
+function effectiveLadder(rule) {
+  const ladder = normalizeLadder(rule?.tpLadder);
+  if (ladder.length) return ladder;
+  if (rule?.tp > 0 && rule?.tpPercent > 0) return [{ gainPct: Number(rule.tp), sellPct: Number(rule.tpPercent) }];
+  return [];
+}
+
+/** True when the rule uses ladder / trailing / break-even exits. */
+function isExitPlan(rule) {
+  return normalizeLadder(rule?.tpLadder).length > 0 || Number(rule?.trailingStopPct) > 0;
+}
+
+/** True when the rule has anything the monitor could trigger on. */
+function hasExitTargets(rule) {
+  if (!rule) return false;
+  if (isExitPlan(rule)) return true;
+  return (rule.tp > 0 && rule.tpPercent > 0) || (rule.sl > 0 && rule.slPercent > 0);
+}
+
+/**
+ * Share of the position (0-100) a rule may end up selling.  Plans with a
+ * trailing stop or break-even move can close the full remainder.
+ */
+function ruleAllocation(rule) {
+  if (!rule) return 0;
+  if (Number(rule.trailingStopPct) > 0 || rule.breakEvenAfterTp) return 100;
+  const ladderPct = effectiveLadder(rule).reduce((s, r) => s + r.sellPct, 0);
+  return Math.max(rule.tpPercent || 0, rule.slPercent || 0, ladderPct);
+}
+
 /**
- * Generate TP/SL rule objects from a ladder specification.
+ * Decide what a rule should do at the current price.
  *
- * @param {Object} params Parameters
- * @param {string} mint Token mint address
- * @param {string} walletId Internal wallet ID
- * @param {string} userId User ID
- * @param {string} strategy Strategy name
- * @param {number[]} ladder Array of percentages summing to ≤ 100
- * @param {number} tpPercent Profit target in percent (e.g., 20 for +20%)
- * @param {number} slPercent Stop‑loss percent (negative number for -10%)
- * @returns {Object[]} Array of rule objects to insert into the tpSlRule table
+ * @param {object} rule  TpSlRule row
+ * @param {object} ctx
+ * @param {number} ctx.price       current USD price
+ * @param {number} ctx.entryPrice  USD entry price of the position
+ * @returns {{
+ *   action: null|"tp"|"sl"|"trail"|"breakeven",
+ *   fraction: number,        // share of the CURRENT balance to sell (0-1]
+ *   changePct: number,
+ *   target: number|null,     // threshold that fired (percent or USD stop)
+ *   rungs: number[],         // ladder indexes filled by this action
+ *   exhausted: boolean,      // rule has nothing left to do after the sell
+ *   updates: object          // fields to persist (highWaterPrice, stopPrice)
+ * }}
  */
-function buildLadderRules({
+function evaluateExitRule(rule, { price, entryPrice }) {
+  const changePct = ((price - entryPrice) / entryPrice) * 100;
+  const result = { action: null, fraction: 0, changePct, target: null, rungs: [], exhausted: false, updates: {} };
+
+  /* classic single-threshold rule */
+  if (!isExitPlan(rule)) {
+    const { tp, sl, tpPercent, slPercent, sellPct } = rule;
+    const hitTp = tp != null && tpPercent > 0 && (changePct >= tp || Math.abs(changePct - tp) < EPS);
+    const hitSl = sl != null && slPercent > 0 && (changePct <= -sl || Math.abs(changePct + sl) < EPS);
+    if (!hitTp && !hitSl) return result;
+    result.action = hitTp ? "tp" : "sl";
+    result.target = hitTp ? tp : sl;
+    result.fraction = (sellPct != null ? sellPct : hitTp ? tpPercent : slPercent) / 100;
+    result.exhausted = true;
+    return result;
+  }
+
+  /* ratchet the high-water mark */
+  const prevHigh = Number(rule.highWaterPrice) > 0 ? Number(rule.highWaterPrice) : entryPrice;
+  const high = Math.max(prevHigh, price);
+  if (high !== Number(rule.highWaterPrice)) result.updates.highWaterPrice = high;
+
+  const ladder = effectiveLadder(rule);
+  const filledPct = ladder.filter((r) => r.filledAt).reduce((s, r) => s + r.sellPct, 0);
+  const remainingPct = Math.max(0, 100 - filledPct);
+
+  /* protective exits close the remainder */
+  const closeAll = (action, target) => {
+    result.action = action;
+    result.target = target;
+    result.fraction = 1;
+    result.exhausted = true;
+    return result;
+  };
+  if (rule.sl != null && rule.sl > 0 && (changePct <= -rule.sl || Math.abs(changePct + rule.sl) < EPS)) {
+    return closeAll("sl", rule.sl);
+  }
+  if (Number(rule.stopPrice) > 0 && price <= Number(rule.stopPrice)) {
+    return closeAll("breakeven", Number(rule.stopPrice));
+  }
+  const trail = Number(rule.trailingStopPct);
+  if (trail > 0) {
+    const trailStop = high * (1 - trail / 100);
+    if (price <= trailStop) return closeAll("trail", trail);
+  }
+
+  /* ladder: take every rung the price has crossed in one sell */
+  const hitRungs = [];
+  ladder.forEach((r, idx) => {
+    if (!r.filledAt && (changePct >= r.gainPct || Math.abs(changePct - r.gainPct) < EPS)) hitRungs.push(idx);
+  });
+  if (!hitRungs.length || remainingPct <= 0) return result;
+
+  const slicePct = hitRungs.reduce((s, idx) => s + ladder[idx].sellPct, 0);
+  const openAfter = ladder.some((r, idx) => !r.filledAt && !hitRungs.includes(idx));
+  result.action = "tp";
+  result.target = ladder[hitRungs[hitRungs.length - 1]].gainPct;
+  result.rungs = hitRungs;
+  result.fraction = Math.min(1, slicePct / remainingPct);
+  // Nothing rides on after the last rung unless a stop still guards it.
+  result.exhausted = result.fraction >= 1 || (!openAfter && !(trail > 0) && !(rule.sl > 0) && !rule.breakEvenAfterTp);
+  if (rule.breakEvenAfterTp && !(Number(rule.stopPrice) > 0)) result.updates.stopPrice = entryPrice;
+  return result;
+}
+
+/**
+ * Mark ladder rungs as filled.  Returns a new ladder array suitable for
+ * persisting in TpSlRule.tpLadder.
+ */
+function fillRungs(ladder, rungs, { txHash = null, at = new Date() } = {}) {
+  const filledAt = at.toISOString();
+  return normalizeLadder(ladder).map((r, idx) => (rungs.includes(idx) ? { ...r, filledAt, txHash } : r));
+}
+
+/**
+ * Build a single TP/SL rule carrying a bot's planned exits.  `ladder`
+ * lists the share of the position sold at each rung (e.g. [25, 25, 50]);
+ * rung triggers are spread evenly up to `tpPercent` gain, so the last
+ * rung fires at the full profit target.  Without a ladder the whole
+ * position is sold at the target.
+ *
+ * @param {Object} params
+ * @param {string} params.mint
+ * @param {number} params.walletId
+ * @param {string} params.userId
+ * @param {string} params.strategy
+ * @param {number[]} [params.ladder]        sell shares per rung (normalised to 100)
+ * @param {number} [params.tpPercent]       profit target in percent (e.g. 20 for +20%)
+ * @param {number} [params.slPercent]       stop-loss distance in percent
+ * @param {number} [params.trailingStopPct] trailing distance in percent
+ * @param {boolean} [params.breakEvenAfterTp]
+ * @param {number|null} [params.entryPrice]
+ * @returns {Object|null} row for prisma.tpSlRule.create, or null when nothing to enforce
+ */
+function buildExitRule({
   mint,
   walletId,
   userId,
@@ -36,31 +191,53 @@ function buildLadderRules({
   ladder = [],
   tpPercent = 0,
   slPercent = 0,
+  trailingStopPct = 0,
+  breakEvenAfterTp = false,
+  entryPrice = null,
 }) {
-  const rules = [];
-  // Normalize ladder percentages
-  const total = ladder.reduce((sum, p) => sum + Math.max(0, p), 0);
-  const normalized = ladder.map((p) => (total > 0 ? (p / total) : 0));
+  const target = Math.abs(Number(tpPercent) || 0);
+  const given = ladder.map(Number).filter((p) => Number.isFinite(p) && p > 0);
+  const weights = given.length ? given : [100];
+  const total = weights.reduce((sum, p) => sum + p, 0);
   let accum = 0;
-  normalized.forEach((weight, idx) => {
-    accum += weight;
-    rules.push({
-      id: uuid(),
-      mint,
-      walletId,
-      userId,
-      strategy,
-      tp: null,
-      sl: null,
-      tpPercent: +((tpPercent || 0) * accum).toFixed(4),
-      slPercent: +(slPercent || 0),
-      enabled: true,
-      force: false,
-      status: "active",
-      failCount: 0,
-    });
-  });
-  return rules;
+  const tpLadder = target > 0
+    ? weights.map((w) => {
+        accum += w / total;
+        return { gainPct: +(target * accum).toFixed(4), sellPct: +((w / total) * 100).toFixed(4) };
+      })
+    : [];
+  const sl = Math.abs(Number(slPercent) || 0);
+  const trail = Math.abs(Number(trailingStopPct) || 0);
+  if (!tpLadder.length && !sl && !trail) return null;
+
+  return {
+    id: uuid(),
+    mint,
+    walletId,
+    userId,
+    strategy,
+    tp: null,
+    sl: sl || null,
+    tpPercent: null,
+    slPercent: sl ? 100 : null,
+    tpLadder: tpLadder.length ? tpLadder : undefined,
+    trailingStopPct: trail || null,
+    breakEvenAfterTp: !!breakEvenAfterTp && tpLadder.length > 0,
+    entryPrice,
+    enabled: true,
+    force: false,
+    status: "active",
+    failCount: 0,
+  };
 }
 
-module.exports = { buildLadderRules };
\ No newline at end of file
+module.exports = {
+  normalizeLadder,
+  effectiveLadder,
+  isExitPlan,
+  hasExitTargets,
+  ruleAllocation,
+  evaluateExitRule,
+  fillRungs,
+  buildExitRule,
+};
@@ -13,6 +13,7 @@ const emojiByCategory = {
   Rebalancer    : "⚖️",
   "Rotation Bot": "🔁",
   "Stealth Bot" : "🥷",
+  "Copy Trader" : "👥",
   "Scheduled" : "📅",
   // fallback
   Unknown       : "🤖",
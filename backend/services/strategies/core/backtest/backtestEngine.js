@@ -0,0 +1,341 @@
+/*
+ * backtestEngine.js
+ *
+ * Historical replay for the candle-driven strategies.  A normalised
+ * OHLCV series (see candleSource.js) is stepped bar by bar through the
+ * strategy adapter for the requested mode, which in turn calls the
+ * same core/signals and core/risk helpers the live bots use.  Fills
+ * are priced by the paper execution adapter so exec models, slippage
+ * caps, partials, failure rates and priority fees behave exactly as
+ * they do for Paper Trader, and every leg is run through tca.js.
+ *
+ * Execution model:
+ *   • Entries fill at the close of the bar that produced the signal.
+ *   • From the next bar on, stop loss is checked before take profit
+ *     (a bar touching both is assumed to stop out – conservative).
+ *     Gaps through a level fill at the bar open.
+ *   • Strategy exits (trailing stop, SAR, max hold …) fill at the
+ *     level the adapter returns or the bar close.
+ *   • One position at a time; anything open at the end of the series
+ *     is closed at the last close with reason "endOfData".
+ *   • A failed sell (simulated reason_code) keeps the position open and
+ *     retries on the next bar, mirroring the live exit loops.
+ *   • Adapters see a trailing window of `lookback` bars (not the whole
+ *     history) so a month of 1m candles stays linear to replay.
+ *   • options.startTs lets callers prime indicators on earlier bars
+ *     without trading them; only bars from startTs onward can enter and
+ *     appear in the equity curve (walk-forward test windows use this).
+ *
+ * Prices are whatever unit the candles are in (USD for Birdeye).  SOL
+ * denominated sizes and lamport fees are converted with solPriceUsd.
+ */
+
+const { executePaperTrade } = require("../paperTrader/paperExecutionAdapter");
+const { computeTca } = require("../paperTrader/tca");
+const { normalizeCandles } = require("./candleSource");
+const { getAdapter, SUPPORTED_MODES } = require("./strategyAdapters");
+const { summarize } = require("./performance");
+
+const DEFAULT_OPTIONS = {
+  initialCapitalUsd: 1_000,
+  solPriceUsd: 150,
+  seed: "backtest",
+};
+const MIN_LOOKBACK = 100;
+
+// Helper: convert a value to a finite number or return default
+function toNum(v, def = 0) {
+  const n = Number(v);
+  return isFinite(n) ? n : def;
+}
+
+/**
+ * Build the paper adapter config from a strategy config, using the
+ * same keys paperTrader.js reads.
+ * @param {object} cfg
+ */
+function buildPaperParams(cfg = {}) {
+  return {
+    execModel: cfg.execModel || "ideal",
+    latency: cfg.latency || null,
+    slippageBpsCap: cfg.slippageBpsCap || cfg.slippageBps || null,
+    failureRates: cfg.failureRates || null,
+    partials: cfg.partials || null,
+    priorityFeeLamports: cfg.priorityFeeLamports || null,
+  };
+}
+
+/**
+ * Simulate one leg through the paper adapter.  Buys pay the simulated
+ * slippage above mid; sells receive it below mid.
+ *
+ * @returns {Promise<{ok:boolean, reason?:string, price?:number, feesUsd?:number, tca?:object}>}
+ */
+async function simulateLeg({ side, midPrice, qty, paperParams, seed, solPriceUsd }) {
+  const sim = await executePaperTrade({
+    quote: { price: midPrice, inAmount: qty * midPrice, outAmount: qty },
+    mint: null,
+    meta: { side },
+    config: { ...paperParams, seed },
+  });
+  if (sim.reason_code) {
+    return { ok: false, reason: sim.reason_code, latencyMs: sim.latency_ms };
+  }
+  const fills = sim.fills.map((f) => ({
+    ...f,
+    price: side === "buy" ? f.price : midPrice * (1 - f.slippageBps / 10_000),
+  }));
+  const tca = computeTca({
+    midPrice,
+    fills,
+    priorityFeeLamports: sim.priority_fee_lamports,
+    totalFeeLamports: sim.fees_total_lamports,
+  });
+  const feesUsd = (sim.fees_total_lamports / 1e9) * solPriceUsd;
+  return {
+    ok: true,
+    price: tca.fillPrice,
+    feesUsd,
+    latencyMs: sim.latency_ms,
+    tca: {
+      ...tca,
+      side,
+      // cost is positive when the fill was worse than mid on either side
+      costBps: side === "buy" ? tca.slippageBps : -tca.slippageBps,
+      slippageUsd: Math.abs(tca.fillPrice - midPrice) * qty,
+      feesUsd,
+      parts: fills.length,
+    },
+  };
+}
+
+/**
+ * Aggregate per-leg TCA into a run level cost breakdown.
+ * @param {object[]} legs
+ * @param {object} failures - reason_code → count
+ */
+function aggregateTca(legs, failures) {
+  const n = legs.length;
+  const sum = (k) => legs.reduce((a, l) => a + (l[k] || 0), 0);
+  return {
+    legs: n,
+    avgCostBps: n ? sum("costBps") / n : 0,
+    slippageUsd: sum("slippageUsd"),
+    feesUsd: sum("feesUsd"),
+    totalFeeLamports: sum("totalFeeLamports"),
+    priorityFeeLamports: sum("priorityFeeLamports"),
+    totalCostUsd: sum("slippageUsd") + sum("feesUsd"),
+    failures: { ...failures },
+  };
+}
+
+/**
+ * Resolve the exit level for an open position on the current bar.
+ * Returns { reason, mid } or null.
+ */
+function resolveExit(adapter, ctx) {
+  const { position, candle } = ctx;
+  const { stopLoss, takeProfit } = position;
+  if (stopLoss != null && candle.low <= stopLoss) {
+    return { reason: "stopLoss", mid: Math.min(candle.open, stopLoss) };
+  }
+  if (takeProfit != null && candle.high >= takeProfit) {
+    return { reason: "takeProfit", mid: Math.max(candle.open, takeProfit) };
+  }
+  const custom = adapter.exit(ctx);
+  if (!custom) return null;
+  if (typeof custom === "string") return { reason: custom, mid: candle.close };
+  return { reason: custom.reason, mid: custom.price != null ? custom.price : candle.close };
+}
+
+/**
+ * Replay a candle series through a strategy.
+ *
+ * @param {object} params
+ * @param {string} params.mode - strategy mode (breakout, scalper, trendFollower,
+ *   dipBuyer, delayedSniper, chadMode, meanReversion)
+ * @param {object} params.config - strategy config as saved by the UI
+ * @param {Array} params.candles - raw or normalised OHLCV candles
+ * @param {object} [params.options]
+ * @param {number} [params.options.initialCapitalUsd=1000]
+ * @param {number} [params.options.solPriceUsd=150] - converts SOL sizes and lamport fees
+ * @param {number} [params.options.tradeSizeUsd] - overrides the config spend amount
+ * @param {string} [params.options.seed="backtest"] - paper adapter seed prefix
+ * @param {number} [params.options.startTs] - first bar (ms) allowed to trade
+ * @returns {Promise<{mode:string, summary:object, equityCurve:object[], trades:object[], tca:object}>}
+ */
+async function runBacktest({ mode, config = {}, candles, options = {} }) {
+  const adapter = getAdapter(mode);
+  if (!adapter) {
+    throw new Error(`Backtest not supported for mode "${mode}" (supported: ${SUPPORTED_MODES.join(", ")})`);
+  }
+  const series = normalizeCandles(candles);
+  if (series.length < 2) throw new Error("Backtest needs at least two valid candles");
+
+  const opts = { ...DEFAULT_OPTIONS };
+  for (const [k, v] of Object.entries(options || {})) if (v != null) opts[k] = v;
+  const cfg = { ...config };
+  const solPriceUsd = toNum(opts.solPriceUsd, DEFAULT_OPTIONS.solPriceUsd);
+  const paperParams = buildPaperParams(cfg);
+  const seedBase = String(cfg.seed || opts.seed);
+  const spendSol = toNum(cfg.amountToSpend ?? cfg.snipeAmount, 0);
+  const tradeSizeUsd = opts.tradeSizeUsd != null
+    ? toNum(opts.tradeSizeUsd)
+    : spendSol > 0 ? spendSol * solPriceUsd : opts.initialCapitalUsd * 0.1;
+  const maxTrades = +cfg.maxTrades || Infinity;
+  const warmup = Math.max(1, adapter.warmup(cfg) || 1);
+  const lookback = Math.max(warmup * 3, MIN_LOOKBACK);
+  const startTs = toNum(opts.startTs, -Infinity);
+  const startIdx = series.findIndex((c) => c.ts >= startTs);
+  if (startIdx < 0 || startIdx >= series.length - 1) {
+    throw new Error("Backtest startTs leaves fewer than two tradable candles");
+  }
+
+  let cash = toNum(opts.initialCapitalUsd, DEFAULT_OPTIONS.initialCapitalUsd);
+  let position = null;
+  let seq = 0;
+  const state = {};
+  const trades = [];
+  const legs = [];
+  const failures = {};
+  const equityCurve = [];
+  const skipped = {};
+
+  const fail = (reason) => { failures[reason] = (failures[reason] || 0) + 1; };
+
+  async function closePosition(candle, reason, mid) {
+    const leg = await simulateLeg({
+      side: "sell",
+      midPrice: mid,
+      qty: position.qty,
+      paperParams,
+      seed: `${seedBase}:${seq++}`,
+      solPriceUsd,
+    });
+    if (!leg.ok) {
+      fail(leg.reason);
+      return false;
+    }
+    legs.push(leg.tca);
+    const proceeds = leg.price * position.qty - leg.feesUsd;
+    cash += proceeds;
+    const feesUsd = position.entryFeesUsd + leg.feesUsd;
+    const pnlUsd = proceeds - position.costUsd;
+    const trade = {
+      id: trades.length + 1,
+      entryTs: position.entryTs,
+      entryMid: position.entryMid,
+      entryPrice: position.entryPrice,
+      entryReason: position.entryReason,
+      exitTs: candle.ts,
+      exitMid: mid,
+      exitPrice: leg.price,
+      exitReason: reason,
+      qty: position.qty,
+      notionalUsd: position.costUsd,
+      feesUsd,
+      pnlUsd,
+      pnlPct: position.costUsd > 0 ? (pnlUsd / position.costUsd) * 100 : 0,
+      holdMs: candle.ts - position.entryTs,
+      tca: { entry: position.entryTca, exit: leg.tca },
+    };
+    trades.push(trade);
+    if (typeof adapter.onClose === "function") adapter.onClose({ trade, candle, state });
+    position = null;
+    return true;
+  }
+
+  for (let i = 0; i < series.length; i++) {
+    const candle = series[i];
+    if (i < startIdx) continue;
+    const window = series.slice(Math.max(0, i + 1 - lookback), i + 1);
+    const base = { window, candle, cfg, state, index: i, startTs: series[0].ts };
+
+    if (position) {
+      position.highWater = Math.max(position.highWater, candle.high);
+      position.lowWater = Math.min(position.lowWater, candle.low);
+      const exit = resolveExit(adapter, { ...base, position });
+      if (exit) await closePosition(candle, exit.reason, exit.mid);
+    } else if (i + 1 >= warmup && trades.length < maxTrades && i < series.length - 1) {
+      const sig = adapter.entry({ ...base, position: null }) || {};
+      if (sig.enter) {
+        const cap = typeof adapter.maxNotionalUsd === "function"
+          ? adapter.maxNotionalUsd(cfg, candle)
+          : Infinity;
+        const sizeMult = sig.sizeMult > 0 ? sig.sizeMult : 1;
+        const notional = Math.min(tradeSizeUsd * sizeMult, cash, cap);
+        if (notional <= 0) {
+          skipped.insufficientCash = (skipped.insufficientCash || 0) + 1;
+        } else {
+          const mid = candle.close;
+          const leg = await simulateLeg({
+            side: "buy",
+            midPrice: mid,
+            qty: notional / mid,
+            paperParams,
+            seed: `${seedBase}:${seq++}`,
+            solPriceUsd,
+          });
+          if (!leg.ok) {
+            fail(leg.reason);
+          } else {
+            legs.push(leg.tca);
+            // Spend the notional; slippage shows up as fewer tokens.
+            const qty = notional / leg.price;
+            cash -= notional + leg.feesUsd;
+            const { takeProfit, stopLoss } = adapter.brackets(leg.price, cfg);
+            position = {
+              entryTs: candle.ts,
+              entryMid: mid,
+              entryPrice: leg.price,
+              entryReason: sig.reason || "signal",
+              entryFeesUsd: leg.feesUsd,
+              entryTca: leg.tca,
+              costUsd: notional + leg.feesUsd,
+              qty,
+              takeProfit,
+              stopLoss,
+              highWater: leg.price,
+              lowWater: leg.price,
+            };
+          }
+        }
+      } else if (sig.reason) {
+        skipped[sig.reason] = (skipped[sig.reason] || 0) + 1;
+      }
+    }
+
+    equityCurve.push({
+      ts: candle.ts,
+      equity: cash + (position ? position.qty * candle.close : 0),
+      price: candle.close,
+      inPosition: !!position,
+    });
+  }
+
+  if (position) {
+    const last = series[series.length - 1];
+    if (await closePosition(last, "endOfData", last.close)) {
+      equityCurve[equityCurve.length - 1].equity = cash;
+      equityCurve[equityCurve.length - 1].inPosition = false;
+    }
+  }
+
+  return {
+    mode,
+    from: series[startIdx].ts,
+    to: series[series.length - 1].ts,
+    bars: series.length - startIdx,
+    summary: summarize(equityCurve, trades, opts.initialCapitalUsd),
+    equityCurve,
+    trades,
+    tca: aggregateTca(legs, failures),
+    skipped,
+  };
+}
+
+module.exports = {
+  runBacktest,
+  buildPaperParams,
+  SUPPORTED_MODES,
+};
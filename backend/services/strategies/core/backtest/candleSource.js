@@ -0,0 +1,168 @@
+/*
+ * candleSource.js
+ *
+ * OHLCV loaders for the backtest engine.  Candles can come from three
+ * places: an array passed in directly (e.g. a request body), a JSON or
+ * CSV file exported from another tool, or Birdeye's historical OHLCV
+ * endpoint.  Every loader funnels through normalizeCandles() so the
+ * engine only ever sees one shape:
+ *
+ *   { ts, open, high, low, close, volume }   // ts = unix milliseconds
+ *
+ * Rows that are missing a close price are dropped, the series is
+ * sorted oldest→latest and duplicate timestamps keep the last row.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Helper: convert a value to a finite number or return default
+function toNum(v, def = 0) {
+  const n = Number(v);
+  return isFinite(n) ? n : def;
+}
+
+/**
+ * Normalise a timestamp to unix milliseconds.  Accepts seconds,
+ * milliseconds, ISO strings and Date objects.
+ * @param {*} v
+ * @returns {number|null}
+ */
+function toMs(v) {
+  if (v == null || v === "") return null;
+  if (v instanceof Date) return v.getTime();
+  const n = Number(v);
+  if (isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const parsed = Date.parse(v);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Coerce a single raw candle into the canonical shape.  Understands
+ * Birdeye ({ o, h, l, c, v, unixTime }), long-form objects and
+ * positional arrays ([ts, open, high, low, close, volume]).
+ * @param {*} raw
+ * @returns {{ts:number, open:number, high:number, low:number, close:number, volume:number}|null}
+ */
+function normalizeCandle(raw) {
+  if (!raw) return null;
+  let ts, open, high, low, close, volume;
+  if (Array.isArray(raw)) {
+    [ts, open, high, low, close, volume] = raw;
+  } else {
+    ts     = raw.ts ?? raw.unixTime ?? raw.time ?? raw.timestamp ?? raw.t;
+    open   = raw.open ?? raw.o;
+    high   = raw.high ?? raw.h;
+    low    = raw.low ?? raw.l;
+    close  = raw.close ?? raw.c ?? raw.price;
+    volume = raw.volume ?? raw.v ?? raw.volumeUSD;
+  }
+  const c = toNum(close, NaN);
+  const t = toMs(ts);
+  if (!isFinite(c) || c <= 0 || t == null) return null;
+  const o = toNum(open, c) || c;
+  return {
+    ts: t,
+    open: o,
+    high: Math.max(toNum(high, c) || c, o, c),
+    low: Math.min(toNum(low, c) || c, o, c),
+    close: c,
+    volume: Math.max(0, toNum(volume, 0)),
+  };
+}
+
+/**
+ * Normalise a raw candle series.  Invalid rows are skipped.
+ * @param {Array} rows
+ * @returns {Array<{ts:number, open:number, high:number, low:number, close:number, volume:number}>}
+ */
+function normalizeCandles(rows) {
+  if (!Array.isArray(rows)) return [];
+  const byTs = new Map();
+  for (const raw of rows) {
+    const c = normalizeCandle(raw);
+    if (c) byTs.set(c.ts, c);
+  }
+  return [...byTs.values()].sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Parse CSV text into candles.  The first line must be a header naming
+ * the columns; any of ts/time/timestamp/unixTime, open, high, low,
+ * close and volume are recognised (case-insensitive).
+ * @param {string} text
+ */
+function parseCsv(text) {
+  const lines = String(text).split(/\r?\n/).filter((l) => l.trim() !== "");
+  if (lines.length < 2) return [];
+  const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+  const rows = lines.slice(1).map((line) => {
+    const cols = line.split(",");
+    const row = {};
+    header.forEach((h, i) => { row[h] = cols[i] != null ? cols[i].trim() : ""; });
+    // CSV headers are lower-cased; map the Birdeye-style key back.
+    if (row.unixtime != null && row.ts == null) row.ts = row.unixtime;
+    return row;
+  });
+  return normalizeCandles(rows);
+}
+
+/**
+ * Load candles from a JSON or CSV file on disk.  JSON files may be a
+ * bare array or an object with a `candles` / `items` array.
+ * @param {string} filePath
+ */
+function loadCandlesFromFile(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  if (path.extname(filePath).toLowerCase() === ".csv") return parseCsv(raw);
+  const parsed = JSON.parse(raw);
+  const rows = Array.isArray(parsed)
+    ? parsed
+    : parsed.candles || parsed.items || parsed.data?.items || [];
+  return normalizeCandles(rows);
+}
+
+/**
+ * Fetch historical candles from Birdeye.  `from`/`to` accept anything
+ * toMs() understands; they default to the last 30 days.
+ * @param {string} mint
+ * @param {object} opts
+ * @param {string} [opts.interval]
+ * @param {*} [opts.from]
+ * @param {*} [opts.to]
+ * @param {string|null} [opts.userId]
+ */
+async function fetchCandles(mint, { interval = "15m", from, to, userId = null } = {}) {
+  // Lazy require keeps the engine usable offline (tests, CLI with files).
+  const getTokenOhlcv = require("../../paid_api/getTokenOhlcv");
+  const toTs = toMs(to) ?? Date.now();
+  const fromTs = toMs(from) ?? toTs - 30 * 24 * 60 * 60 * 1000;
+  const items = await getTokenOhlcv(mint, {
+    interval,
+    from: fromTs / 1000,
+    to: toTs / 1000,
+    userId,
+  });
+  return normalizeCandles(items);
+}
+
+/**
+ * Resolve a candle series from whichever source the caller supplied.
+ * Precedence: inline `candles` → `file` → Birdeye (`mint`).
+ * @param {object} src
+ */
+async function resolveCandles(src = {}) {
+  if (Array.isArray(src.candles)) return normalizeCandles(src.candles);
+  if (src.file) return loadCandlesFromFile(src.file);
+  if (src.mint) return fetchCandles(src.mint, src);
+  throw new Error("No candle source provided (candles, file or mint required)");
+}
+
+module.exports = {
+  normalizeCandle,
+  normalizeCandles,
+  parseCsv,
+  loadCandlesFromFile,
+  fetchCandles,
+  resolveCandles,
+};
@@ -0,0 +1,285 @@
+/*
+ * optimizer.js
+ *
+ * Walk-forward parameter search on top of the backtest engine.  Takes a
+ * base strategy config (normally a SavedConfigs row), expands a grid of
+ * parameter overrides and scores every candidate out-of-sample:
+ *
+ *   1. expandGrid() turns { key: [values] } / { key: { min, max, step } }
+ *      into a list of override objects (cartesian product).
+ *   2. Each candidate config is run through strategyValidator; anything
+ *      the launcher would refuse is dropped up front with its errors.
+ *   3. walkForwardSplits() cuts the candle series into consecutive
+ *      train/test folds (rolling or anchored).  Every surviving
+ *      candidate is backtested on each fold; test windows are primed
+ *      with the preceding bars via the engine's startTs option.
+ *   4. Out-of-sample metrics are pooled across folds and candidates are
+ *      ranked by Sharpe, max drawdown and win rate.
+ *
+ * Per fold the in-sample winner is recorded as well, so callers can see
+ * how well the "best on train" choice held up on the unseen window.
+ */
+
+const { v4: uuid } = require("uuid");
+const { runBacktest } = require("./backtestEngine");
+const { normalizeCandles } = require("./candleSource");
+const { validateStrategyConfig } = require("../../../utils/strategy_utils/strategyValidator");
+
+const DEFAULTS = {
+  folds: 4,
+  trainRatio: 0.7,
+  anchored: false,
+  rankBy: "composite",
+  topN: 10,
+  minTrades: 1,
+  maxCandidates: 250,
+};
+
+// metric → true when larger is better
+const RANK_METRICS = {
+  sharpe: true,
+  maxDrawdownPct: false,
+  winRate: true,
+};
+
+/**
+ * Expand a parameter grid into override objects.  Values may be an
+ * explicit list or a numeric range { min, max, step }.  Range steps are
+ * rounded to avoid float drift (0.1 + 0.2 …).
+ *
+ * @param {Object<string, Array|{min:number,max:number,step:number}>} grid
+ * @param {number} [maxCandidates]
+ * @returns {object[]}
+ */
+function expandGrid(grid = {}, maxCandidates = DEFAULTS.maxCandidates) {
+  const axes = Object.entries(grid).map(([key, spec]) => {
+    let values;
+    if (Array.isArray(spec)) {
+      values = spec;
+    } else if (spec && typeof spec === "object") {
+      const min = Number(spec.min);
+      const max = Number(spec.max);
+      const step = Number(spec.step);
+      if (![min, max, step].every(isFinite) || step <= 0 || max < min) {
+        throw new Error(`Invalid range for ${key} (need min ≤ max and step > 0)`);
+      }
+      values = [];
+      for (let i = 0; min + i * step <= max + 1e-12; i++) {
+        values.push(+(min + i * step).toFixed(10));
+      }
+    } else {
+      values = [spec];
+    }
+    if (!values.length) throw new Error(`Grid axis ${key} has no values`);
+    return [key, values];
+  });
+
+  const total = axes.reduce((n, [, v]) => n * v.length, 1);
+  if (total > maxCandidates) {
+    throw new Error(`Grid expands to ${total} candidates (max ${maxCandidates})`);
+  }
+
+  let combos = [{}];
+  for (const [key, values] of axes) {
+    const next = [];
+    for (const combo of combos) {
+      for (const v of values) next.push({ ...combo, [key]: v });
+    }
+    combos = next;
+  }
+  return combos;
+}
+
+/**
+ * Split a series into walk-forward folds.  Returns bar index ranges
+ * (end exclusive).  Rolling folds keep a fixed train length; anchored
+ * folds always train from bar 0.
+ *
+ * @param {number} bars - series length
+ * @param {object} opts
+ * @param {number} [opts.folds=4]
+ * @param {number} [opts.trainRatio=0.7] - share of the series used by the first train window
+ * @param {boolean} [opts.anchored=false]
+ * @returns {Array<{train:[number,number], test:[number,number]}>}
+ */
+function walkForwardSplits(bars, { folds = DEFAULTS.folds, trainRatio = DEFAULTS.trainRatio, anchored = DEFAULTS.anchored } = {}) {
+  const k = Math.max(1, Math.floor(folds));
+  const testBars = Math.floor((bars * (1 - trainRatio)) / k);
+  const trainBars = bars - testBars * k;
+  if (testBars < 2 || trainBars < 2) {
+    throw new Error(`Not enough candles (${bars}) for ${k} walk-forward folds`);
+  }
+  const splits = [];
+  for (let i = 0; i < k; i++) {
+    const testStart = trainBars + i * testBars;
+    splits.push({
+      train: [anchored ? 0 : testStart - trainBars, testStart],
+      test: [testStart, testStart + testBars],
+    });
+  }
+  return splits;
+}
+
+/**
+ * Pool fold-level results into one out-of-sample score.  Sharpe is the
+ * mean across folds, drawdown the worst fold, win rate is pooled over
+ * all trades and returns compound.
+ * @param {object[]} summaries
+ */
+function poolSummaries(summaries) {
+  const n = summaries.length || 1;
+  const trades = summaries.reduce((a, s) => a + s.trades, 0);
+  const wins = summaries.reduce((a, s) => a + s.wins, 0);
+  const growth = summaries.reduce((g, s) => g * (1 + s.returnPct / 100), 1);
+  return {
+    sharpe: summaries.reduce((a, s) => a + s.sharpe, 0) / n,
+    maxDrawdownPct: Math.max(0, ...summaries.map((s) => s.maxDrawdownPct)),
+    winRate: trades ? (wins / trades) * 100 : 0,
+    returnPct: (growth - 1) * 100,
+    trades,
+  };
+}
+
+/**
+ * Rank scored candidates in place.  "composite" averages each
+ * candidate's position on Sharpe, drawdown and win rate; any single
+ * metric name ranks by that metric alone.  Candidates under minTrades
+ * are ranked after everything else.
+ */
+function rankCandidates(candidates, rankBy = "composite", minTrades = 1) {
+  const eligible = candidates.filter((c) => c.testMetrics.trades >= minTrades);
+  const metrics = rankBy === "composite" ? Object.keys(RANK_METRICS) : [rankBy];
+  for (const m of metrics) {
+    if (!(m in RANK_METRICS)) throw new Error(`Unknown rankBy metric: ${m}`);
+  }
+  const positions = new Map(eligible.map((c) => [c, 0]));
+  for (const m of metrics) {
+    const dir = RANK_METRICS[m] ? -1 : 1;
+    const sorted = [...eligible].sort((a, b) => dir * (a.testMetrics[m] - b.testMetrics[m]));
+    sorted.forEach((c, i) => positions.set(c, positions.get(c) + i + 1));
+  }
+  const score = (c) => (positions.has(c) ? positions.get(c) / metrics.length : Infinity);
+  candidates.sort((a, b) => score(a) - score(b) || b.testMetrics.sharpe - a.testMetrics.sharpe);
+  candidates.forEach((c, i) => {
+    c.rank = i + 1;
+    c.score = isFinite(score(c)) ? score(c) : null;
+    c.eligible = positions.has(c);
+  });
+  return candidates;
+}
+
+/**
+ * Run a walk-forward optimisation.
+ *
+ * @param {object} params
+ * @param {string} params.mode - strategy mode
+ * @param {object} params.baseConfig - config the grid overrides are applied to
+ * @param {object} params.grid - parameter grid (see expandGrid)
+ * @param {Array} params.candles - OHLCV series
+ * @param {object} [params.options] - folds, trainRatio, anchored, rankBy, topN,
+ *   minTrades, maxCandidates plus any backtest options (capital, solPriceUsd …)
+ * @param {string|null} [params.sourceConfigId] - SavedConfigs id for lineage
+ * @param {string} [params.runId] - reuse an existing run id (e.g. a DB row)
+ * @returns {Promise<object>}
+ */
+async function optimize({ mode, baseConfig = {}, grid, candles, options = {}, sourceConfigId = null, runId = uuid() }) {
+  const opts = { ...DEFAULTS, ...options };
+  const series = normalizeCandles(candles);
+  const splits = walkForwardSplits(series.length, opts);
+  const combos = expandGrid(grid, opts.maxCandidates);
+  const btOptions = {
+    initialCapitalUsd: opts.initialCapitalUsd,
+    solPriceUsd: opts.solPriceUsd,
+    tradeSizeUsd: opts.tradeSizeUsd,
+    seed: opts.seed,
+  };
+
+  const rejected = [];
+  const candidates = [];
+  combos.forEach((params, i) => {
+    const config = { ...baseConfig, ...params };
+    const errors = validateStrategyConfig(mode, config);
+    if (errors.length) rejected.push({ candidateId: i + 1, params, errors });
+    else candidates.push({ candidateId: i + 1, params, config, folds: [] });
+  });
+
+  for (const cand of candidates) {
+    for (const { train, test } of splits) {
+      const trainRes = await runBacktest({
+        mode,
+        config: cand.config,
+        candles: series.slice(train[0], train[1]),
+        options: btOptions,
+      });
+      // Prime the test window with the train bars so indicators are warm.
+      const testRes = await runBacktest({
+        mode,
+        config: cand.config,
+        candles: series.slice(train[0], test[1]),
+        options: { ...btOptions, startTs: series[test[0]].ts },
+      });
+      cand.folds.push({ train: trainRes.summary, test: testRes.summary });
+    }
+    cand.trainMetrics = poolSummaries(cand.folds.map((f) => f.train));
+    cand.testMetrics = poolSummaries(cand.folds.map((f) => f.test));
+  }
+
+  rankCandidates(candidates, opts.rankBy, opts.minTrades);
+
+  const folds = splits.map(({ train, test }, f) => {
+    const best = candidates.reduce((acc, c) => (
+      !acc || c.folds[f].train.sharpe > acc.folds[f].train.sharpe ? c : acc
+    ), null);
+    return {
+      train: { from: series[train[0]].ts, to: series[train[1] - 1].ts },
+      test: { from: series[test[0]].ts, to: series[test[1] - 1].ts },
+      selected: best ? best.candidateId : null,
+      trainSharpe: best ? best.folds[f].train.sharpe : null,
+      testSharpe: best ? best.folds[f].test.sharpe : null,
+    };
+  });
+
+  const createdAt = new Date().toISOString();
+  const dataRange = { from: series[0].ts, to: series[series.length - 1].ts };
+  const results = candidates.slice(0, Math.max(1, +opts.topN || DEFAULTS.topN)).map((c) => ({
+    candidateId: c.candidateId,
+    rank: c.rank,
+    score: c.score,
+    eligible: c.eligible,
+    params: c.params,
+    config: c.config,
+    trainMetrics: c.trainMetrics,
+    testMetrics: c.testMetrics,
+    folds: c.folds,
+    lineage: {
+      optimizerRunId: runId,
+      candidateId: c.candidateId,
+      rank: c.rank,
+      sourceConfigId,
+      mode,
+      params: c.params,
+      metrics: c.testMetrics,
+      walkForward: { folds: splits.length, trainRatio: opts.trainRatio, anchored: !!opts.anchored },
+      dataRange,
+      createdAt,
+    },
+  }));
+
+  return {
+    runId,
+    mode,
+    sourceConfigId,
+    dataRange,
+    evaluated: candidates.length,
+    rejected,
+    folds,
+    results,
+  };
+}
+
+module.exports = {
+  optimize,
+  expandGrid,
+  walkForwardSplits,
+  rankCandidates,
+};
@@ -0,0 +1,95 @@
+/*
+ * performance.js
+ *
+ * Performance statistics for backtest and optimiser runs.  Everything
+ * here is a pure function of an equity curve and/or a closed trade
+ * list so results can be recomputed for any slice of a run (walk
+ * forward folds reuse these helpers on sub-ranges).
+ */
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Median spacing between equity points in ms.  Used to annualise the
+ * Sharpe ratio without assuming a fixed candle interval.
+ * @param {Array<{ts:number}>} curve
+ */
+function medianStepMs(curve) {
+  if (!curve || curve.length < 2) return 0;
+  const steps = [];
+  for (let i = 1; i < curve.length; i++) steps.push(curve[i].ts - curve[i - 1].ts);
+  steps.sort((a, b) => a - b);
+  return steps[Math.floor(steps.length / 2)];
+}
+
+/**
+ * Annualised Sharpe ratio of per-bar equity returns (risk-free = 0).
+ * Returns 0 when there is no variance to measure.
+ * @param {Array<{ts:number, equity:number}>} curve
+ */
+function sharpeRatio(curve) {
+  if (!curve || curve.length < 3) return 0;
+  const rets = [];
+  for (let i = 1; i < curve.length; i++) {
+    const prev = curve[i - 1].equity;
+    if (prev > 0) rets.push(curve[i].equity / prev - 1);
+  }
+  if (rets.length < 2) return 0;
+  const mean = rets.reduce((a, b) => a + b, 0) / rets.length;
+  const variance = rets.reduce((acc, r) => acc + (r - mean) ** 2, 0) / (rets.length - 1);
+  const sd = Math.sqrt(variance);
+  if (!sd) return 0;
+  const step = medianStepMs(curve);
+  const periodsPerYear = step > 0 ? YEAR_MS / step : 365;
+  return (mean / sd) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Maximum peak-to-trough drawdown as a positive percentage.
+ * @param {Array<{equity:number}>} curve
+ */
+function maxDrawdownPct(curve) {
+  let peak = -Infinity;
+  let maxDd = 0;
+  for (const p of curve || []) {
+    if (p.equity > peak) peak = p.equity;
+    if (peak > 0) maxDd = Math.max(maxDd, (peak - p.equity) / peak);
+  }
+  return maxDd * 100;
+}
+
+/**
+ * Summarise a run.  `trades` are closed trades carrying pnlUsd and
+ * holdMs; `curve` is the bar-by-bar equity curve.
+ * @param {Array<{ts:number, equity:number}>} curve
+ * @param {Array<{pnlUsd:number, holdMs:number}>} trades
+ * @param {number} initialCapital
+ */
+function summarize(curve, trades = [], initialCapital = 0) {
+  const start = initialCapital || (curve[0] ? curve[0].equity : 0);
+  const end = curve.length ? curve[curve.length - 1].equity : start;
+  const wins = trades.filter((t) => t.pnlUsd > 0);
+  const losses = trades.filter((t) => t.pnlUsd <= 0);
+  const grossWin = wins.reduce((a, t) => a + t.pnlUsd, 0);
+  const grossLoss = Math.abs(losses.reduce((a, t) => a + t.pnlUsd, 0));
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length ? (wins.length / trades.length) * 100 : 0,
+    netPnlUsd: end - start,
+    returnPct: start > 0 ? ((end - start) / start) * 100 : 0,
+    maxDrawdownPct: maxDrawdownPct(curve),
+    sharpe: sharpeRatio(curve),
+    profitFactor: grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? Infinity : 0),
+    avgHoldMs: trades.length ? trades.reduce((a, t) => a + (t.holdMs || 0), 0) / trades.length : 0,
+    startEquity: start,
+    endEquity: end,
+  };
+}
+
+module.exports = {
+  sharpeRatio,
+  maxDrawdownPct,
+  summarize,
+};
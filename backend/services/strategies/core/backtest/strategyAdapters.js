@@ -0,0 +1,301 @@
+/*
+ * strategyAdapters.js
+ *
+ * Bridges the live strategy signal/risk helpers onto a candle replay.
+ * Each adapter answers three questions for the backtest engine on every
+ * bar:
+ *
+ *   • entry(ctx) – should a flat book open a position on this bar?
+ *                  An optional `sizeMult` scales the trade size.
+ *   • exit(ctx)  – should an open position be closed for a strategy
+ *                  specific reason (trailing stop, SAR, max hold …)?
+ *   • brackets(entryPrice, cfg) – absolute take profit / stop loss.
+ *
+ * The adapters only call the pure helpers under core/signals and
+ * core/risk.  Policy helpers that read Date.now() (scalper max hold,
+ * breakout fakeout cool‑down) are re-expressed against the candle
+ * timestamp so a month of data replays in milliseconds without the
+ * wall clock leaking into results.
+ *
+ * ctx shape:
+ *   { window, candle, cfg, position, state, index, startTs }
+ *   window   – trailing candles up to and including the current bar
+ *   index    – bar index within the full series
+ *   startTs  – timestamp of the first bar in the series
+ *   position – { entryPrice, entryTs, highWater, lowWater } or null
+ *   state    – per-run scratch object owned by the adapter
+ */
+
+/* eslint-disable no-console */
+
+const breakoutSignals  = require("../signals/breakout");
+const scalperSignals   = require("../signals/scalper");
+const trendSignals     = require("../signals/trendFollower");
+const dipSignals       = require("../signals/dipBuyer");
+const rampSignals      = require("../signals/delayedSniper");
+const revertSignals    = require("../signals/meanReversion");
+const breakoutRisk     = require("../risk/breakoutPolicy");
+const scalperRisk      = require("../risk/scalperPolicy");
+const trendRisk        = require("../risk/trendFollowerPolicy");
+const rampRisk         = require("../risk/delayedSniper");
+const chadRisk         = require("../risk/chadmodePolicy");
+const revertRisk       = require("../risk/meanReversionPolicy");
+
+/* ── config helpers ──────────────────────────────────────────────── */
+
+// UI sends whole percents (3 = 3 %); engine works in decimals.
+function pct(v, def) {
+  if (v == null || v === "") return def;
+  const n = +v;
+  if (!isFinite(n)) return def;
+  return n >= 1 ? n / 100 : n;
+}
+
+/**
+ * Resolve the generic take profit / stop loss decimals for a config.
+ * Prefers the explicit *Pct fields the scalper uses, then the legacy
+ * takeProfit/stopLoss percent fields shared by the other strategies.
+ */
+function resolveTpSl(cfg = {}, defTp = 0, defSl = 0) {
+  return {
+    tpPct: pct(cfg.takeProfitPct ?? cfg.takeProfit ?? cfg.tpPercent, defTp),
+    slPct: pct(cfg.stopLossPct ?? cfg.stopLoss ?? cfg.slPercent, defSl),
+  };
+}
+
+function defaultBrackets(entryPrice, cfg) {
+  const { tpPct, slPct } = resolveTpSl(cfg);
+  return {
+    takeProfit: tpPct > 0 ? entryPrice * (1 + tpPct) : null,
+    stopLoss: slPct > 0 ? entryPrice * (1 - slPct) : null,
+  };
+}
+
+const closes = (candles) => candles.map((c) => c.close);
+
+/* ── Breakout ────────────────────────────────────────────────────── */
+const breakout = {
+  warmup(cfg) {
+    return (+cfg.squeezeLookback || 10) + 2;
+  },
+  entry({ window, candle, cfg, state }) {
+    const cooldownMs = cfg.fakeoutCooldownMs != null ? +cfg.fakeoutCooldownMs : 30 * 60 * 1000;
+    if (state.lastFakeoutTs && candle.ts - state.lastFakeoutTs < cooldownMs) {
+      return { enter: false, reason: "fakeoutCooldown" };
+    }
+    const ok = breakoutSignals.detectVolatilityBreakout(window, {
+      squeezeThreshold   : +cfg.squeezeThreshold || 0.002,
+      expansionMultiplier: +cfg.expansionMultiplier || 2.0,
+      squeezeLookback    : +cfg.squeezeLookback || 10,
+      minVolumeSurge     : +cfg.minVolumeSurge || 2.0,
+    });
+    return { enter: ok, reason: ok ? "volatilityBreakout" : null };
+  },
+  exit() {
+    return null;
+  },
+  onClose({ trade, candle, state }) {
+    // A stop-loss exit is the live strategy's definition of a fakeout.
+    if (trade.exitReason === "stopLoss") state.lastFakeoutTs = candle.ts;
+  },
+  maxNotionalUsd(cfg, candle) {
+    if (cfg.liquidityUsd == null && candle.liquidity == null) return Infinity;
+    const maxImpact = cfg.maxPriceImpactPct != null ? pct(cfg.maxPriceImpactPct, 0.05) : 0.05;
+    return breakoutRisk.maxBuyForImpact(+(candle.liquidity ?? cfg.liquidityUsd), maxImpact);
+  },
+  brackets: defaultBrackets,
+};
+
+/* ── Scalper ─────────────────────────────────────────────────────── */
+const scalper = {
+  warmup(cfg) {
+    return +cfg.vwapWindow || 20;
+  },
+  entry({ window, candle, cfg }) {
+    const lookback = +cfg.vwapWindow || 20;
+    const recent = window.slice(-lookback - 1, -1);
+    const samples = recent.map((c) => ({ price: (c.high + c.low + c.close) / 3, volume: c.volume }));
+    // Candle colour stands in for trade-side fills (no tape in OHLCV).
+    const fills = window.slice(-5).map((c) => ({
+      side: c.close >= c.open ? "buy" : "sell",
+      size: c.volume,
+    }));
+    const threshold = pct(cfg.entryThreshold, 0.005);
+    const sig = scalperSignals.generateScalperSignal(samples, candle.close, fills, threshold);
+    return { enter: sig === "long", reason: sig === "long" ? "vwapReversion" : null };
+  },
+  exit({ position, candle, cfg }) {
+    const maxHoldSeconds = +cfg.maxHoldSeconds || 30;
+    if (candle.ts - position.entryTs > maxHoldSeconds * 1000) return "maxHold";
+    return null;
+  },
+  brackets(entryPrice, cfg) {
+    const { tpPct, slPct } = resolveTpSl(cfg, 0.03, 0.01);
+    return scalperRisk.computeTpSl(entryPrice, tpPct, slPct);
+  },
+};
+
+/* ── Trend Follower ──────────────────────────────────────────────── */
+const trendFollower = {
+  warmup(cfg) {
+    return Math.max(...(cfg.emaPeriods || [10, 30, 60]));
+  },
+  entry({ window, cfg, state }) {
+    const dir = trendSignals.trendAlignment(closes(window), cfg.emaPeriods || [10, 30, 60]);
+    state.prevDir = dir;
+    return { enter: dir === 1, reason: dir === 1 ? "emaAlignment" : null };
+  },
+  exit({ window, position, candle, cfg, state }) {
+    const trailingPct = pct(cfg.trailingPct, 0.02);
+    const stop = trendSignals.trailingStop(position.highWater, trailingPct, true);
+    if (candle.low <= stop) return { reason: "trailingStop", price: stop };
+    if (cfg.sarEnabled) {
+      const dir = trendSignals.trendAlignment(closes(window), cfg.emaPeriods || [10, 30, 60]);
+      const flip = trendRisk.shouldSAR(state.prevDir ?? 0, dir);
+      if (dir !== 0) state.prevDir = dir;
+      if (flip) return "sar";
+    }
+    return null;
+  },
+  brackets: defaultBrackets,
+};
+
+/* ── Dip Buyer ───────────────────────────────────────────────────── */
+const dipBuyer = {
+  warmup(cfg) {
+    return +cfg.dipLookback || 20;
+  },
+  entry({ window, cfg }) {
+    const lookback = +cfg.dipLookback || 20;
+    const ok = dipSignals.detectCapitulation(window.slice(-lookback), {
+      dropPct    : pct(cfg.dipThreshold, 0.1),
+      volumeSpike: +cfg.volumeSpikeMultiplier || 2.0,
+      wickRatio  : cfg.wickRatio != null ? +cfg.wickRatio : 0.5,
+    });
+    return { enter: ok, reason: ok ? "capitulation" : null };
+  },
+  exit() {
+    return null;
+  },
+  brackets: defaultBrackets,
+};
+
+/* ── Delayed Sniper ──────────────────────────────────────────────── */
+const delayedSniper = {
+  warmup() {
+    return 5;
+  },
+  entry({ window, candle, cfg, state, index, startTs }) {
+    if (state.done) return { enter: false };
+    // The replay starts at the series origin, which stands in for launch.
+    const ageMinutes = (candle.ts - startTs) / 60_000;
+    const minAge = cfg.minTokenAgeMinutes != null ? +cfg.minTokenAgeMinutes : null;
+    const maxAge = cfg.maxTokenAgeMinutes != null ? +cfg.maxTokenAgeMinutes : null;
+    if (!rampSignals.checkAgeGate(ageMinutes, minAge, maxAge)) return { enter: false, reason: "ageGate" };
+    if (rampRisk.inIgnoredBlocks(0, index, +cfg.ignoreBlocks || 0)) {
+      return { enter: false, reason: "ignoredBlocks" };
+    }
+    if (candle.liquidity != null && !rampRisk.aboveLiquidityFloor(+candle.liquidity, +cfg.minPoolUsd || 10_000)) {
+      return { enter: false, reason: "liquidityFloor" };
+    }
+    const ok = rampSignals.checkWarmUpRamp(closes(window), {
+      breakoutPct: pct(cfg.breakoutPct, 0.3),
+      pullbackPct: pct(cfg.pullbackPct, 0.1),
+    });
+    if (ok) state.done = true; // one entry per launch, as live
+    return { enter: ok, reason: ok ? "warmUpRamp" : null };
+  },
+  exit() {
+    return null;
+  },
+  brackets: defaultBrackets,
+};
+
+/* ── Chad Mode ───────────────────────────────────────────────────── */
+const chadMode = {
+  warmup() {
+    return 1;
+  },
+  // Manual mode has no signal generator; replay it as a single entry
+  // on the first bar guarded by the user's bracket.
+  entry({ state }) {
+    if (state.done) return { enter: false };
+    state.done = true;
+    return { enter: true, reason: "manual" };
+  },
+  exit({ position, candle }) {
+    const equityDrawdown = position.highWater > 0
+      ? (position.highWater - candle.close) / position.highWater
+      : 0;
+    return chadRisk.shouldExit({ equityDrawdown }) ? "equityThrottle" : null;
+  },
+  brackets: defaultBrackets,
+};
+
+/* ── Mean Reversion ──────────────────────────────────────────────── */
+function revertOpts(cfg) {
+  return {
+    anchor      : revertSignals.ANCHORS.includes(cfg.anchor) ? cfg.anchor : "vwap",
+    period      : +cfg.lookback || 20,
+    entryZ      : +cfg.entryZ || 2,
+    trendFilter : cfg.trendFilter !== false,
+    trendPeriods: cfg.emaPeriods || [10, 30, 60],
+  };
+}
+
+const meanReversion = {
+  warmup(cfg) {
+    const o = revertOpts(cfg);
+    return o.trendFilter ? Math.max(o.period, ...o.trendPeriods) : o.period;
+  },
+  entry({ window, cfg }) {
+    const o = revertOpts(cfg);
+    const sig = revertSignals.generateMeanReversionSignal(window, o);
+    if (!sig.enter) return { enter: false, reason: sig.reason };
+    const sizeMult = revertRisk.deviationSizeMultiplier(sig.z, {
+      entryZ       : o.entryZ,
+      fullZ        : +cfg.fullSizeZ || o.entryZ * 2,
+      maxMultiplier: +cfg.maxSizeMultiplier || 2,
+    });
+    return { enter: true, reason: sig.reason, sizeMult };
+  },
+  exit({ window, position, candle, cfg }) {
+    const o = revertOpts(cfg);
+    const { mean, stdDev } = revertSignals.zScore(window, o);
+    return revertRisk.exitReason({
+      price     : candle.close,
+      mean,
+      stdDev,
+      entryPrice: position.entryPrice,
+      entryTs   : position.entryTs,
+      now       : candle.ts,
+      exitZ     : +cfg.exitZ || 0,
+      maxHoldMs : (+cfg.maxHoldMinutes || 0) * 60_000,
+    });
+  },
+  brackets: defaultBrackets,
+};
+
+const ADAPTERS = {
+  breakout,
+  scalper,
+  trendfollower: trendFollower,
+  dipbuyer: dipBuyer,
+  delayedsniper: delayedSniper,
+  chadmode: chadMode,
+  meanreversion: meanReversion,
+};
+
+/**
+ * Look up the adapter for a strategy mode (case-insensitive).
+ * @param {string} mode
+ */
+function getAdapter(mode = "") {
+  return ADAPTERS[String(mode).toLowerCase()] || null;
+}
+
+module.exports = {
+  getAdapter,
+  resolveTpSl,
+  SUPPORTED_MODES: Object.keys(ADAPTERS),
+};
@@ -0,0 +1,217 @@
+// backend/services/strategies/core/copyTrade.js
+//
+// Helpers for the Copy Trader strategy: leader config normalisation,
+// swap decoding and mirror sizing.  Everything here is pure so the
+// strategy loop stays thin and the decoding rules can be tested
+// against captured transactions.
+//
+// Decoding works on balance deltas rather than instruction layouts:
+// Jupiter routes and Raydium pools all end up moving the leader's token
+// accounts and lamports, so comparing pre/post balances for the leader
+// gives the traded mint, direction and size regardless of route.
+
+'use strict';
+
+const SOL_MINT  = "So11111111111111111111111111111111111111112";
+const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+
+// Swap programs whose transactions are mirrored.
+const DEX_PROGRAMS = {
+  JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4: "jupiter",
+  JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB: "jupiter",
+  "675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8": "raydium",
+  CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK: "raydium-clmm",
+  CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C: "raydium-cpmm",
+};
+
+const DEFAULT_LEADER = {
+  sizing      : "fixed",   // "fixed" | "proportional"
+  fixedAmount : 0.05,      // SOL per mirrored buy (fixed sizing)
+  ratio       : 0.1,       // share of the leader's spend (proportional sizing)
+  maxPerTrade : null,      // SOL cap per mirrored buy
+  maxDaily    : null,      // SOL cap per leader per UTC day
+  delayMs     : 0,
+  copySells   : true,
+  minLeaderSpend: 0,       // ignore leader buys below this many SOL
+};
+
+const key = (k) => (k == null ? "" : String(k.toBase58 ? k.toBase58() : k.pubkey ? key(k.pubkey) : k));
+const num = (v, d = null) => (v === undefined || v === null || v === "" || !isFinite(+v) ? d : +v);
+
+/**
+ * Merge per-leader overrides with the bot-level defaults.  Leaders may be
+ * given as plain addresses or objects.
+ * @param {Array<string|object>} leaders
+ * @param {object} cfg bot config (sizing, amountToSpend, copyRatio, …)
+ */
+function normalizeLeaders(leaders = [], cfg = {}) {
+  const base = {
+    sizing        : cfg.sizing === "proportional" ? "proportional" : DEFAULT_LEADER.sizing,
+    fixedAmount   : num(cfg.amountToSpend, DEFAULT_LEADER.fixedAmount),
+    ratio         : num(cfg.copyRatio, DEFAULT_LEADER.ratio),
+    maxPerTrade   : num(cfg.maxPerTrade, DEFAULT_LEADER.maxPerTrade),
+    maxDaily      : num(cfg.maxPerLeaderDaily, DEFAULT_LEADER.maxDaily),
+    delayMs       : num(cfg.delayMs, DEFAULT_LEADER.delayMs),
+    copySells     : cfg.copySells !== false,
+    minLeaderSpend: num(cfg.minLeaderSpend, DEFAULT_LEADER.minLeaderSpend),
+  };
+  const seen = new Set();
+  const out = [];
+  for (const l of Array.isArray(leaders) ? leaders : []) {
+    const o = typeof l === "string" ? { address: l } : (l || {});
+    const address = String(o.address || "").trim();
+    if (!address || seen.has(address)) continue;
+    seen.add(address);
+    out.push({
+      address,
+      label         : o.label || `${address.slice(0, 4)}…${address.slice(-4)}`,
+      sizing        : o.sizing === "proportional" || o.sizing === "fixed" ? o.sizing : base.sizing,
+      fixedAmount   : num(o.fixedAmount, base.fixedAmount),
+      ratio         : num(o.ratio, base.ratio),
+      maxPerTrade   : num(o.maxPerTrade, base.maxPerTrade),
+      maxDaily      : num(o.maxDaily, base.maxDaily),
+      delayMs       : num(o.delayMs, base.delayMs),
+      copySells     : o.copySells === undefined ? base.copySells : o.copySells !== false,
+      minLeaderSpend: num(o.minLeaderSpend, base.minLeaderSpend),
+    });
+  }
+  return out;
+}
+
+/* Program ids invoked by the transaction (outer + inner instructions). */
+function invokedPrograms(tx) {
+  const ids = new Set();
+  for (const ix of tx?.transaction?.message?.instructions || []) ids.add(key(ix.programId));
+  for (const inner of tx?.meta?.innerInstructions || []) {
+    for (const ix of inner.instructions || []) ids.add(key(ix.programId));
+  }
+  return ids;
+}
+
+/**
+ * Decode a leader's swap from a parsed transaction
+ * (connection.getParsedTransaction).  Returns null for failed txs,
+ * non-DEX txs and anything that is not a plain base ↔ token swap.
+ *
+ * @param {object} tx     parsed transaction
+ * @param {string} leader leader wallet address
+ * @returns {null|{
+ *   side: "buy"|"sell", mint: string, program: string,
+ *   tokenAmountRaw: string, tokenDecimals: number,
+ *   baseMint: string, baseAmount: number,   // UI units, absolute
+ *   soldFraction: number|null,              // share of the leader's bag sold (sells)
+ *   signature: string|null, slot: number|null
+ * }}
+ */
+function decodeLeaderSwap(tx, leader) {
+  if (!tx || !tx.meta || tx.meta.err) return null;
+
+  let program = null;
+  for (const id of invokedPrograms(tx)) {
+    if (DEX_PROGRAMS[id]) { program = DEX_PROGRAMS[id]; break; }
+  }
+  if (!program) return null;
+
+  /* token deltas for accounts owned by the leader */
+  const deltas = new Map(); // mint → { pre, post, decimals }
+  const add = (b, field) => {
+    if (!b || b.owner !== leader) return;
+    const d = deltas.get(b.mint) || { pre: 0n, post: 0n, decimals: b.uiTokenAmount?.decimals ?? 0 };
+    d[field] += BigInt(b.uiTokenAmount?.amount || "0");
+    deltas.set(b.mint, d);
+  };
+  (tx.meta.preTokenBalances || []).forEach((b) => add(b, "pre"));
+  (tx.meta.postTokenBalances || []).forEach((b) => add(b, "post"));
+
+  /* native SOL delta (fee added back when the leader paid it) */
+  const keys = (tx.transaction?.message?.accountKeys || []).map(key);
+  const idx = keys.indexOf(leader);
+  let lamports = 0n;
+  if (idx >= 0) {
+    lamports = BigInt(tx.meta.postBalances?.[idx] ?? 0) - BigInt(tx.meta.preBalances?.[idx] ?? 0);
+    if (idx === 0) lamports += BigInt(tx.meta.fee || 0);
+  }
+  const wsol = deltas.get(SOL_MINT);
+  if (wsol) {
+    lamports += wsol.post - wsol.pre;
+    deltas.delete(SOL_MINT);
+  }
+
+  const usdc = deltas.get(USDC_MINT);
+  deltas.delete(USDC_MINT);
+  const usdcDelta = usdc ? usdc.post - usdc.pre : 0n;
+
+  const moved = [...deltas.entries()].filter(([, d]) => d.post !== d.pre);
+  if (moved.length !== 1) return null; // token ↔ token or multi-leg: skip
+  const [mint, d] = moved[0];
+  const tokenDelta = d.post - d.pre;
+
+  const base = usdcDelta !== 0n
+    ? { baseMint: USDC_MINT, delta: usdcDelta, decimals: 6 }
+    : { baseMint: SOL_MINT, delta: lamports, decimals: 9 };
+
+  let side = null;
+  if (tokenDelta > 0n && base.delta < 0n) side = "buy";
+  else if (tokenDelta < 0n && base.delta > 0n) side = "sell";
+  if (!side) return null;
+
+  const abs = (v) => (v < 0n ? -v : v);
+  const tokenAbs = abs(tokenDelta);
+  return {
+    side,
+    mint,
+    program,
+    tokenAmountRaw: tokenAbs.toString(),
+    tokenDecimals : d.decimals,
+    baseMint      : base.baseMint,
+    baseAmount    : Number(abs(base.delta)) / 10 ** base.decimals,
+    soldFraction  : side === "sell" && d.pre > 0n
+      ? (d.post <= 0n ? 1 : Math.min(1, Number(tokenAbs) / Number(d.pre)))
+      : null,
+    signature     : tx.transaction?.signatures?.[0] ?? null,
+    slot          : tx.slot ?? null,
+  };
+}
+
+/**
+ * Size a mirrored buy in SOL.
+ *
+ * @param {object} params
+ * @param {object} params.swap         decoded leader buy
+ * @param {object} params.leader       normalised leader config
+ * @param {number} [params.spentToday] SOL already mirrored for this leader today
+ * @param {number|null} [params.solPriceUsd] needed when the leader paid in USDC
+ * @returns {{ amount: number, reason: string|null }}
+ */
+function mirrorSize({ swap, leader, spentToday = 0, solPriceUsd = null }) {
+  let leaderSol = swap.baseAmount;
+  if (swap.baseMint === USDC_MINT) {
+    leaderSol = solPriceUsd > 0 ? swap.baseAmount / solPriceUsd : null;
+  }
+  if (leader.minLeaderSpend > 0 && leaderSol != null && leaderSol < leader.minLeaderSpend) {
+    return { amount: 0, reason: "leader-size-below-min" };
+  }
+
+  let amount;
+  if (leader.sizing === "proportional") {
+    if (leaderSol == null) return { amount: 0, reason: "no-sol-price" };
+    amount = leaderSol * leader.ratio;
+  } else {
+    amount = leader.fixedAmount;
+  }
+  if (leader.maxPerTrade > 0) amount = Math.min(amount, leader.maxPerTrade);
+  if (leader.maxDaily > 0) {
+    const left = leader.maxDaily - spentToday;
+    if (left <= 0) return { amount: 0, reason: "leader-daily-cap" };
+    amount = Math.min(amount, left);
+  }
+  if (!(amount > 0)) return { amount: 0, reason: "zero-size" };
+  return { amount: +amount.toFixed(9), reason: null };
+}
+
+module.exports = {
+  DEX_PROGRAMS,
+  normalizeLeaders,
+  decodeLeaderSwap,
+  mirrorSize,
+};
@@ -0,0 +1,163 @@
+/* ─────────────────────────────────────────────────────────────
+ *  Grid levels
+ *  Pure book-keeping for gridTrader. `gridLevels` prices are laid
+ *  across [lowerPrice, upperPrice] (arithmetic = equal USD steps,
+ *  geometric = equal % steps); each pair of neighbours is a slot
+ *  that buys at its lower price and sells at its upper one.
+ *
+ *  The grid starts flat. A slot buys when price crosses DOWN
+ *  through its buy level and sells once price is back at or above
+ *  its sell level. A buy that didn't fill stays pending and is
+ *  retried while price is still under the level.
+ *
+ *  Leaving the range by more than `stopOutPct` stops the grid out.
+ * ──────────────────────────────────────────────────────────── */
+
+const SPACINGS = ["arithmetic", "geometric"];
+
+/**
+ * Level prices, ascending.
+ * @param {object} p
+ * @param {number} p.lowerPrice  USD
+ * @param {number} p.upperPrice  USD
+ * @param {number} p.levels      number of prices (≥ 2)
+ * @param {string} [p.spacing]   "arithmetic" | "geometric"
+ */
+function buildGrid({ lowerPrice, upperPrice, levels, spacing = "arithmetic" }) {
+  const lo = +lowerPrice, hi = +upperPrice, n = Math.floor(+levels);
+  if (!(lo > 0) || !(hi > lo)) throw new Error("grid: need 0 < lowerPrice < upperPrice");
+  if (!(n >= 2)) throw new Error("grid: need at least 2 levels");
+
+  const out = [];
+  if (spacing === "geometric") {
+    const ratio = Math.pow(hi / lo, 1 / (n - 1));
+    for (let i = 0; i < n; i++) out.push(lo * Math.pow(ratio, i));
+  } else {
+    const step = (hi - lo) / (n - 1);
+    for (let i = 0; i < n; i++) out.push(lo + step * i);
+  }
+  out[n - 1] = hi; // no float drift on the top level
+  return out;
+}
+
+/** Fresh, flat grid state for a list of level prices. */
+function createGridState(levels) {
+  return {
+    levels,
+    lower: levels[0],
+    upper: levels[levels.length - 1],
+    slots: levels.slice(0, -1).map((buyPrice, index) => ({
+      index,
+      buyPrice,
+      sellPrice: levels[index + 1],
+      holding: false,
+      pending: false,
+      qty: 0,       // raw token units
+      costSol: 0,
+      fills: 0,
+      realizedSol: 0,
+    })),
+    lastPrice: null,
+    realizedSol: 0,
+  };
+}
+
+/**
+ * What the grid wants to do at `price`. Does not touch the state.
+ *
+ * @returns {{ buys: number[], sells: number[], stopOut: "below"|"above"|null }}
+ *          slot indexes to buy / sell; with a stop-out both lists are empty
+ */
+function planGridActions(state, price, { stopOutPct = 0 } = {}) {
+  const none = { buys: [], sells: [], stopOut: null };
+  if (!(price > 0)) return none;
+
+  const buffer = Math.max(0, +stopOutPct || 0) / 100;
+  if (price < state.lower * (1 - buffer)) return { ...none, stopOut: "below" };
+  if (price > state.upper * (1 + buffer)) return { ...none, stopOut: "above" };
+
+  const last = state.lastPrice;
+  const buys = [], sells = [];
+  for (const s of state.slots) {
+    if (s.holding) {
+      if (price >= s.sellPrice) sells.push(s.index);
+    } else if (price <= s.buyPrice && (s.pending || (last != null && last > s.buyPrice))) {
+      buys.push(s.index);
+    }
+  }
+  return { buys, sells, stopOut: null };
+}
+
+/** Remember the tick price; pending buys lapse once price is back above their level. */
+function markPrice(state, price) {
+  if (!(price > 0)) return;
+  state.lastPrice = price;
+  for (const s of state.slots) if (s.pending && price > s.buyPrice) s.pending = false;
+}
+
+/** Flag buys that didn't fill so the next tick retries them. */
+function markPending(state, idxs) {
+  idxs.forEach((i) => (state.slots[i].pending = true));
+}
+
+/**
+ * Book one aggregated buy across `idxs`. Every slot spends the same SOL,
+ * so tokens and cost split evenly.
+ */
+function applyBuy(state, idxs, { qty, costSol }) {
+  if (!idxs.length) return;
+  const each = Math.floor(qty / idxs.length);
+  idxs.forEach((i, k) => {
+    const s = state.slots[i];
+    s.holding = true;
+    s.pending = false;
+    // the rounding remainder lands on the first slot
+    s.qty = each + (k === 0 ? qty - each * idxs.length : 0);
+    s.costSol = costSol / idxs.length;
+    s.fills++;
+  });
+}
+
+/**
+ * Book one aggregated sell across `idxs`; proceeds are shared by
+ * quantity. Returns the realised SOL P&L of the order.
+ */
+function applySell(state, idxs, { proceedsSol }) {
+  const total = idxs.reduce((sum, i) => sum + state.slots[i].qty, 0);
+  let pnl = 0;
+  for (const i of idxs) {
+    const s = state.slots[i];
+    const share = total ? proceedsSol * (s.qty / total) : proceedsSol / idxs.length;
+    const slotPnl = share - s.costSol;
+    s.realizedSol += slotPnl;
+    s.fills++;
+    pnl += slotPnl;
+    Object.assign(s, { holding: false, pending: false, qty: 0, costSol: 0 });
+  }
+  state.realizedSol += pnl;
+  return pnl;
+}
+
+/** Raw token quantity held across `idxs` (all holding slots by default). */
+function inventoryOf(state, idxs) {
+  const slots = idxs ? idxs.map((i) => state.slots[i]) : state.slots.filter((s) => s.holding);
+  return slots.reduce((sum, s) => sum + s.qty, 0);
+}
+
+/** Slot indexes currently holding inventory. */
+function holdingSlots(state) {
+  return state.slots.filter((s) => s.holding).map((s) => s.index);
+}
+
+module.exports = {
+  SPACINGS,
+  buildGrid,
+  createGridState,
+  planGridActions,
+  markPrice,
+  markPending,
+  applyBuy,
+  applySell,
+  inventoryOf,
+  holdingSlots,
+};
@@ -1,53 +1,325 @@
 // backend/services/strategies/core/heuristics/insiderDetector.js
 //
-// Insider detection heuristics attempt to identify patterns where
-// the deployer of a token or their close associates snipe the
-// liquidity pool immediately after creation.  Such behaviour often
-// precedes rugs or manipulative trading.  This module exposes a
-// single async function, `insiderDetector`, which analyses the
-// available context and returns an object indicating whether the
-// token passes the heuristics and an optional reason.  The
-// implementation below is intentionally conservative and largely
-// illustrative; in a production environment this function should
-// query on‑chain data and known exploit patterns to produce a
-// meaningful result.
+// Insider detection heuristics identify launches where the deployer
+// of a token, or wallets it controls, snipe the liquidity pool
+// immediately after creation.  Such behaviour often precedes rugs or
+// manipulative trading.
+//
+// The analysis walks the mint's earliest transactions on-chain:
+//
+//   1. the deployer is the fee payer of the oldest mint transaction
+//      (unless the caller already knows it);
+//   2. the first N buyers are fee payers whose own token balance of
+//      the mint increased in those early transactions;
+//   3. buys landing in the same slot as several other early buyers are
+//      flagged as a bundle;
+//   4. SOL transfers into the deployer and every buyer within the
+//      lookback window before the launch are traced one hop back, so
+//      buyers funded by the deployer, by the deployer's own funder or
+//      by a wallet that funded several buyers are linked together;
+//   5. the linked wallets form the insider cluster and the share of
+//      supply they bought at launch is the score.
+//
+// A mint whose history is longer than maxSignatures is not traced: its
+// earliest transactions cannot be reached, so the result says so
+// (`unknown: true`) instead of scoring whatever mid-history page was seen.
+//
+// Results (including failures to analyse) are cached per mint and
+// threshold set so the sniper loops do not re-trace the same launch
+// every tick.
+
+const createLRU = require('../lruCache');
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+
+const DEFAULTS = {
+  firstBuyers: 20,          // early buyers to inspect
+  maxSignatures: 3000,      // longer histories are reported as unknown
+  fundingLookbackSec: 86_400,
+  fundingSigLimit: 40,      // signatures scanned per wallet for funding
+  bundleMinWallets: 3,      // distinct wallets in one slot to call it a bundle
+  sharedFunderMin: 2,       // buyers sharing a funder before it links them
+  maxClusterPct: 20,        // reject when the cluster bought more than this %
+  maxBundledWallets: 4,     // reject when this many wallets were bundled
+  maxDeployerFunded: 2,     // reject when the deployer funded this many buyers
+  ignoreFunders: [],        // exchange hot wallets etc. that fund everyone
+  concurrency: 4,
+  cacheTtlMs: 10 * 60_000,
+  errorTtlMs: 60_000,       // RPC failures are retried sooner
+};
+
+const cache = createLRU(500);
+const inflight = new Map();
+
+const key = (k) => (k && k.pubkey ? String(k.pubkey) : String(k));
+
+/* ─── transaction parsing ─────────────────────────────────── */
+
+function feePayer(tx) {
+  const keys = tx?.transaction?.message?.accountKeys || [];
+  return keys.length ? key(keys[0]) : null;
+}
+
+/** Net change of `mint` held by `owner` in a parsed transaction (UI units). */
+function tokenDelta(tx, mint, owner) {
+  const sum = (rows) => (rows || [])
+    .filter((b) => b.mint === mint && b.owner === owner)
+    .reduce((a, b) => a + Number(b.uiTokenAmount?.uiAmount ?? 0), 0);
+  return sum(tx?.meta?.postTokenBalances) - sum(tx?.meta?.preTokenBalances);
+}
+
+/**
+ * Early buys of `mint`: fee payers (other than the deployer) whose own
+ * balance grew. One entry per wallet, earliest buy wins.
+ * @param {Array} txs parsed transactions, oldest first
+ */
+function extractBuys(txs, mint, deployer) {
+  const seen = new Map();
+  for (const tx of txs) {
+    if (!tx || tx.meta?.err) continue;
+    const wallet = feePayer(tx);
+    if (!wallet || wallet === deployer || seen.has(wallet)) continue;
+    const amount = tokenDelta(tx, mint, wallet);
+    if (amount > 0) {
+      seen.set(wallet, { wallet, amount, slot: tx.slot, blockTime: tx.blockTime ?? null,
+                         signature: tx.transaction?.signatures?.[0] ?? null });
+    }
+  }
+  return [...seen.values()];
+}
+
+/** Slots holding at least `minWallets` distinct early buyers. */
+function findBundles(buys, minWallets = DEFAULTS.bundleMinWallets) {
+  const bySlot = new Map();
+  for (const b of buys) {
+    if (b.slot == null) continue;
+    if (!bySlot.has(b.slot)) bySlot.set(b.slot, []);
+    bySlot.get(b.slot).push(b.wallet);
+  }
+  return [...bySlot.entries()]
+    .filter(([, wallets]) => wallets.length >= minWallets)
+    .map(([slot, wallets]) => ({ slot, wallets }));
+}
+
+function systemTransfers(tx) {
+  const outer = tx?.transaction?.message?.instructions || [];
+  const inner = (tx?.meta?.innerInstructions || []).flatMap((i) => i.instructions || []);
+  return [...outer, ...inner].filter((ix) =>
+    (ix.program === 'system' || key(ix.programId) === SYSTEM_PROGRAM) &&
+    ['transfer', 'transferWithSeed', 'createAccount'].includes(ix.parsed?.type));
+}
+
+/**
+ * Wallets that sent SOL to `wallet` between `from` and `to` (unix seconds).
+ * @returns {Array<{source:string, lamports:number}>}
+ */
+function fundingSources(txs, wallet, { from = 0, to = Infinity } = {}) {
+  const out = new Map();
+  for (const tx of txs) {
+    if (!tx || tx.meta?.err) continue;
+    if (tx.blockTime != null && (tx.blockTime < from || tx.blockTime > to)) continue;
+    for (const ix of systemTransfers(tx)) {
+      const info = ix.parsed.info || {};
+      const dest = info.destination || info.newAccount;
+      if (dest !== wallet || !info.source || info.source === wallet) continue;
+      out.set(info.source, (out.get(info.source) || 0) + Number(info.lamports || 0));
+    }
+  }
+  return [...out.entries()].map(([source, lamports]) => ({ source, lamports }));
+}
 
 /**
- * Detect insider activity on a newly initialised token.  The caller
- * should provide as much context as possible, including the mint,
- * pool info (if available), deployer or creator address and any
- * funding relationships.  When no actionable intelligence is
- * present the function assumes the token passes the insider
- * heuristic.
+ * Link buyers into an insider cluster and score it.
+ * @param {object} p
+ * @param {string} p.deployer
+ * @param {Array}  p.buys        from extractBuys
+ * @param {Object<string,string[]>} p.funders  wallet → funding sources (deployer included)
+ * @param {number} p.supply      total supply in UI units
+ * @param {object} [cfg]
+ */
+function scoreCluster({ deployer, buys, funders = {}, supply }, cfg = {}) {
+  const c = { ...DEFAULTS, ...cfg };
+  const reasons = [];
+  const cluster = new Set();
+  const ignored = new Set(c.ignoreFunders || []);
+  const deployerFunders = new Set((funders[deployer] || []).filter((f) => !ignored.has(f)));
+
+  const bundles = findBundles(buys, c.bundleMinWallets);
+  const bundled = new Set(bundles.flatMap((b) => b.wallets));
+  for (const b of bundles) {
+    reasons.push(`bundled-buys: ${b.wallets.length} wallets in slot ${b.slot}`);
+  }
+  bundled.forEach((w) => cluster.add(w));
+
+  const deployerFunded = buys.filter((b) => (funders[b.wallet] || []).includes(deployer)).map((b) => b.wallet);
+  if (deployerFunded.length) reasons.push(`deployer-funded: ${deployerFunded.length} early buyer(s)`);
+  deployerFunded.forEach((w) => cluster.add(w));
+
+  const siblingFunded = buys
+    .filter((b) => (funders[b.wallet] || []).some((f) => deployerFunders.has(f)))
+    .map((b) => b.wallet);
+  if (siblingFunded.length) reasons.push(`shared-funder-with-deployer: ${siblingFunded.length} early buyer(s)`);
+  siblingFunded.forEach((w) => cluster.add(w));
+
+  const byFunder = new Map();
+  for (const b of buys) {
+    for (const f of funders[b.wallet] || []) {
+      if (f === deployer || ignored.has(f)) continue;
+      if (!byFunder.has(f)) byFunder.set(f, []);
+      byFunder.get(f).push(b.wallet);
+    }
+  }
+  for (const [funder, wallets] of byFunder) {
+    if (wallets.length < c.sharedFunderMin) continue;
+    reasons.push(`shared-funder: ${funder.slice(0, 4)}…${funder.slice(-4)} funded ${wallets.length} early buyers`);
+    wallets.forEach((w) => cluster.add(w));
+  }
+
+  const bought = buys.filter((b) => cluster.has(b.wallet)).reduce((a, b) => a + b.amount, 0);
+  const clusterPct = supply > 0 ? +((bought / supply) * 100).toFixed(2) : 0;
+  if (cluster.size) reasons.push(`cluster-share: ${clusterPct}% of supply across ${cluster.size} wallet(s)`);
+
+  let reason = null;
+  if (clusterPct > c.maxClusterPct) reason = 'insider-cluster';
+  else if (bundled.size >= c.maxBundledWallets) reason = 'bundled-launch';
+  else if (deployerFunded.length >= c.maxDeployerFunded) reason = 'deployer-funded-buyers';
+
+  return {
+    ok: !reason,
+    ...(reason ? { reason } : {}),
+    reasons,
+    score: clusterPct,
+    cluster: [...cluster],
+    bundles,
+  };
+}
+
+/* ─── RPC helpers ─────────────────────────────────────────── */
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let i = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (i < items.length) {
+      const idx = i++;
+      out[idx] = await fn(items[idx]);
+    }
+  });
+  await Promise.all(workers);
+  return out;
+}
+
+/**
+ * Oldest `count` signatures of an address, oldest first, or null when the
+ * history runs past `maxSignatures` and its start was never reached.
+ */
+async function earliestSignatures(conn, address, count, maxSignatures) {
+  let before;
+  let all = [];
+  for (;;) {
+    const page = await conn.getSignaturesForAddress(address, { before, limit: 1000 });
+    all = all.concat(page);
+    if (page.length < 1000) break;
+    if (all.length >= maxSignatures) return null;
+    before = page[page.length - 1].signature;
+  }
+  return all.reverse().slice(0, count);
+}
+
+async function parsedTxs(conn, sigs) {
+  if (!sigs.length) return [];
+  return conn.getParsedTransactions(sigs, { maxSupportedTransactionVersion: 0 });
+}
+
+async function walletFunders(conn, wallet, window, c) {
+  const { PublicKey } = require('@solana/web3.js');
+  const sigs = await conn.getSignaturesForAddress(new PublicKey(wallet), { limit: c.fundingSigLimit });
+  const inWindow = sigs
+    .filter((s) => s.blockTime == null || (s.blockTime >= window.from && s.blockTime <= window.to))
+    .map((s) => s.signature);
+  const txs = await parsedTxs(conn, inWindow);
+  return fundingSources(txs, wallet, window).map((f) => f.source);
+}
+
+async function analyse(ctx, c) {
+  // Lazy require keeps passes() loadable where web3 is stubbed (tests).
+  const { Connection, PublicKey } = require('@solana/web3.js');
+  const conn = ctx.connection || new Connection(process.env.SOLANA_RPC_URL, 'confirmed');
+  const mint = ctx.mint;
+  const mintKey = new PublicKey(mint);
+
+  // +1 for the creation tx; early history also holds pool setup noise
+  const sigs = await earliestSignatures(conn, mintKey, c.firstBuyers * 3 + 1, c.maxSignatures);
+  if (!sigs) {
+    return { ok: true, unknown: true, score: null,
+             reasons: [`mint history exceeds ${c.maxSignatures} signatures; launch not traced`] };
+  }
+  const txs = await parsedTxs(conn, sigs.map((s) => s.signature));
+  const deployer = ctx.deployer || feePayer(txs.find(Boolean));
+  if (!deployer) return { ok: true, reasons: ['no mint history'], score: 0 };
+
+  const buys = extractBuys(txs, mint, deployer).slice(0, c.firstBuyers);
+  if (!buys.length) return { ok: true, deployer, reasons: [], score: 0 };
+
+  const launch = Math.min(...buys.map((b) => b.blockTime).filter((t) => t != null), Date.now() / 1000);
+  const window = { from: launch - c.fundingLookbackSec, to: launch };
+
+  const wallets = [deployer, ...buys.map((b) => b.wallet)];
+  const traced = await mapLimit(wallets, c.concurrency, (w) =>
+    walletFunders(conn, w, window, c).catch(() => []));
+  const funders = Object.fromEntries(wallets.map((w, i) => [w, traced[i]]));
+
+  const supplyRes = await conn.getTokenSupply(mintKey);
+  const supply = Number(supplyRes?.value?.uiAmount ?? 0);
+
+  return { deployer, ...scoreCluster({ deployer, buys, funders, supply }, c) };
+}
+
+/**
+ * Detect insider activity on a newly initialised token.
  *
  * @param {Object} ctx Context for the heuristic
  * @param {string} ctx.mint Token mint address
- * @param {Object} [ctx.poolInfo] Pool information such as signature
- *   and programId
- * @param {string} [ctx.deployer] Deployer or creator public key
- * @param {Array<string>} [ctx.fundingAddresses] Addresses that
- *   funded initial liquidity
- * @param {Object} [cfg] Optional configuration (unused)
- * @returns {Promise<{ok: boolean, reason?: string}>}
+ * @param {string} [ctx.deployer] Deployer or creator public key, when known
+ * @param {Array<string>} [ctx.fundingAddresses] Addresses that funded
+ *   initial liquidity
+ * @param {Object} [ctx.connection] web3 Connection (defaults to SOLANA_RPC_URL)
+ * @param {Object} [cfg] Thresholds, see DEFAULTS
+ * @returns {Promise<{ok: boolean, reason?: string, reasons?: string[],
+ *   score?: number|null, cluster?: string[], deployer?: string,
+ *   unknown?: boolean}>}
  */
 async function insiderDetector(ctx = {}, cfg = {}) {
-  try {
-    const { mint, deployer, fundingAddresses } = ctx;
-    // Placeholder heuristic: if the deployer address appears in the
-    // funding addresses then classify it as insider activity.  In
-    // real deployments you would inspect transaction histories,
-    // examine same‑block creations and monitor cluster logs for
-    // unusual behaviour.
-    if (deployer && Array.isArray(fundingAddresses) && fundingAddresses.includes(deployer)) {
-      return { ok: false, reason: 'deployer-funded-liquidity' };
-    }
-    // No insider patterns detected
-    return { ok: true };
-  } catch (err) {
-    // On unexpected errors default to passing the heuristic; do not
-    // block trades due to heuristic failures.
-    return { ok: true };
+  const { mint, deployer, fundingAddresses } = ctx;
+  if (deployer && Array.isArray(fundingAddresses) && fundingAddresses.includes(deployer)) {
+    return { ok: false, reason: 'deployer-funded-liquidity', reasons: ['deployer funded the initial liquidity'] };
   }
+  if (!mint) return { ok: true };
+
+  const c = { ...DEFAULTS, ...cfg };
+  // Bots with different thresholds must not share a verdict
+  const cacheKey = `${mint}:${JSON.stringify(c)}`;
+  const hit = cache.get(cacheKey);
+  if (hit && Date.now() - hit.at < (hit.result.error ? c.errorTtlMs : c.cacheTtlMs)) return hit.result;
+  if (inflight.has(cacheKey)) return inflight.get(cacheKey);
+
+  const job = analyse(ctx, c)
+    .catch((err) => ({ ok: true, reasons: [`insider analysis failed: ${err.message}`], error: true }))
+    .then((result) => {
+      cache.set(cacheKey, { at: Date.now(), result });
+      inflight.delete(cacheKey);
+      return result;
+    });
+  inflight.set(cacheKey, job);
+  return job;
 }
 
-module.exports = { insiderDetector };
\ No newline at end of file
+module.exports = {
+  insiderDetector,
+  extractBuys,
+  findBundles,
+  fundingSources,
+  scoreCluster,
+  DEFAULTS,
+  _clearCache: () => cache.clear(),
+};
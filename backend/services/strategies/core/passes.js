@@ -27,6 +27,13 @@ const { insiderDetector } = require('./heuristics/insiderDetector');
  *     to 65% of the supply)
  *   lpBurnMinPct: minimum percentage of liquidity burned.  A
  *     value below this threshold is considered suspicious.
+ *   enableInsiderHeuristics: trace the launch on-chain for bundled
+ *     buys and deployer-linked wallets (see heuristics/insiderDetector)
+ *   insider: optional thresholds forwarded to insiderDetector
+ *     (firstBuyers, maxClusterPct, maxBundledWallets, …)
+ *
+ * Failures from the insider check also carry `reasons` (one line per
+ * finding) and `score` (cluster share of supply, %).
  */
 async function checkDevHeuristics(mint, devWatch) {
   const cfg = devWatch || {};
@@ -70,10 +77,10 @@ async function checkDevHeuristics(mint, devWatch) {
   // Insider detection heuristics
   if (enableInsider) {
     try {
-      const ins = await insiderDetector({ mint });
+      const ins = await insiderDetector({ mint }, cfg.insider || {});
       if (!ins.ok) {
         incCounter('insider_detected_total', { reason: ins.reason || 'insider' });
-        return { ok: false, reason: ins.reason || 'insider' };
+        return { ok: false, reason: ins.reason || 'insider', reasons: ins.reasons || [], score: ins.score };
       }
     } catch (_) {
       // ignore errors
@@ -84,6 +91,23 @@ async function checkDevHeuristics(mint, devWatch) {
 
 // Note: placeholder heuristics have been moved to paid_api modules
 
+/**
+ * devWatch for a bot config.  With the legacy top-level
+ * enableInsiderHeuristics toggle the insider check is switched on and
+ * maxHolderPercent folded in; otherwise botCfg.devWatch passes through.
+ */
+function devWatchFromConfig(botCfg = {}) {
+  if (!botCfg.enableInsiderHeuristics) return botCfg.devWatch;
+  return Object.assign(
+    {},
+    botCfg.devWatch || {},
+    { enableInsiderHeuristics: true },
+    botCfg.maxHolderPercent != null && botCfg.maxHolderPercent !== ''
+      ? { holderTop5MaxPct: Number(botCfg.maxHolderPercent) }
+      : {}
+  );
+}
+
 const reasonMessages = {
   "pump-fail":     (pct, th, win) => `Skipped — ${win} change ${(pct * 100).toFixed(2)}% < ${(th * 100)}%`,
   "dip-fail": (pct, th, win) => `Skipped — ${win} change ${(pct*100).toFixed(2)}% > –${th}%`,
@@ -97,12 +121,13 @@ const reasonMessages = {
 };
 
 /* Translate a filter-fail reason into a readable line */
-function explainFilterFail({ reason, pct, vol, price, mcap, avg }, cfg) {
-  // Provide simple explanations for common filter failures.  Developer
-  // heuristics are summarised generically since the detailed reason
-  // (e.g. blacklist, holder-concentration) is typically logged elsewhere.
+function explainFilterFail({ reason, pct, vol, price, mcap, avg, detail, reasons }, cfg) {
+  // Developer heuristics name the failing check when the caller passes
+  // it through (e.g. blacklist, insider-cluster) plus any findings.
   if (reason === 'dev-fail') {
-    return 'Skipped — dev/creator risk';
+    if (!detail) return 'Skipped — dev/creator risk';
+    const why = Array.isArray(reasons) && reasons.length ? ` — ${reasons.join('; ')}` : '';
+    return `Skipped — dev/creator risk (${detail})${why}`;
   }
   return (
     reason === 'pump-fail' ? reasonMessages['pump-fail'](pct, cfg.entryTh, cfg.pumpWin)       :
@@ -180,7 +205,7 @@ return {
     if (devWatch) {
       const heur = await checkDevHeuristics(mint, devWatch);
       if (!heur.ok) {
-        return { ok: false, reason: 'dev-fail', detail: heur.reason, overview: o };
+        return { ok: false, reason: 'dev-fail', detail: heur.reason, reasons: heur.reasons, score: heur.score, overview: o };
       }
     }
 
@@ -193,4 +218,6 @@ return {
 module.exports = {
   passes,
   explainFilterFail,
+  checkDevHeuristics,
+  devWatchFromConfig,
 };
\ No newline at end of file
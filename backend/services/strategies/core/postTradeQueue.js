@@ -39,9 +39,8 @@
 const fs = require('fs');
 const path = require('path');
 const prisma = require('../../../prisma/prisma');
-const { v4: uuid } = require('uuid');
 const { incCounter } = require('../logging/metrics');
-const { buildLadderRules } = require('./TpSlManager');
+const { buildExitRule } = require('./TpSlManager');
 const { sendAlert } = require('../../../telegram/alerts');
 
 // Determine a storage location within the repo.  We store the
@@ -139,79 +138,50 @@ async function process() {
 
 /**
  * Execute the actions specified in a task.  Supported actions are
- * 'tp' (take‑profit ladder), 'trail' (trailing stop) and
- * 'alerts' (telegram alert).  Unknown actions are ignored.  The
+ * 'tp' (take‑profit ladder), 'trail' (trailing stop) – together
+ * persisted as a single TP/SL rule – and 'alerts' (telegram alert).  Unknown actions are ignored.  The
  * order of actions in the chain is preserved.
  *
  * @param {Object} task
  */
 async function processTask(task) {
   const { chain, mint, userId, walletId, meta = {} } = task;
+  let exitRuleDone = false;
   for (const action of chain) {
     switch (action) {
-      case 'tp': {
-        // Build ladder rules and insert into the database.  The
-        // ladder array may be provided either in meta.tpLadder or
-        // meta.ladder.  The target profit percentage may be in
-        // meta.tpPercent; if absent we default to 0 (no target).
+      case 'tp':
+      case 'trail': {
+        // Take-profit ladder and trailing stop are enforced by one
+        // TP/SL rule so the monitor can size every sell against the
+        // original position.  The rule is created once per task even
+        // when the chain lists both actions.
+        if (exitRuleDone) break;
+        exitRuleDone = true;
         const ladderStr = Array.isArray(meta.tpLadder)
           ? meta.tpLadder
           : typeof meta.tpLadder === 'string'
           ? meta.tpLadder.split(',').map((s) => Number(s.trim())).filter((n) => n > 0)
           : [];
-        const ladder = ladderStr.filter((n) => Number.isFinite(n) && n > 0);
-        const tpPercent = Number(meta.tpPercent) || 0;
-        const slPercent = Number(meta.slPercent) || 0;
-        if (ladder.length && (tpPercent !== 0 || slPercent !== 0)) {
-          const rules = buildLadderRules({
-            mint,
-            walletId,
-            userId,
-            strategy: meta.strategy || 'Sniper',
-            ladder,
-            tpPercent,
-            slPercent,
-          });
-          // Insert each rule individually.  Batch insertion could be
-          // used but would complicate error handling.  Failures are
-          // logged and processing continues.
-          for (const rule of rules) {
-            try {
-              await prisma.tpSlRule.create({ data: rule });
-            } catch (e) {
-              console.warn('postTradeQueue: failed to insert TP/SL rule', e.message);
-            }
-          }
-        }
-        break;
-      }
-      case 'trail': {
-        // Register a trailing stop rule.  We insert a single rule
-        // with tpPercent = 0 and slPercent equal to the trailing
-        // stop percentage.  The ladder is ignored for trailing stops.
-        const trailingPct = Number(meta.trailingStopPct) || 0;
-        if (trailingPct !== 0) {
+        const ladder = chain.includes('tp')
+          ? ladderStr.map(Number).filter((n) => Number.isFinite(n) && n > 0)
+          : [];
+        const rule = buildExitRule({
+          mint,
+          walletId,
+          userId,
+          strategy: meta.strategy || 'Sniper',
+          ladder,
+          tpPercent: Number(meta.tpPercent) || 0,
+          slPercent: Number(meta.slPercent) || 0,
+          trailingStopPct: chain.includes('trail') ? Number(meta.trailingStopPct) || 0 : 0,
+          breakEvenAfterTp: !!meta.breakEvenAfterTp,
+          entryPrice: meta.entryPrice ?? null,
+        });
+        if (rule) {
           try {
-            await prisma.tpSlRule.create({
-              data: {
-                id: uuid(),
-                mint,
-                walletId,
-                userId,
-                strategy: meta.strategy || 'Sniper',
-                tp: null,
-                sl: null,
-                tpPercent: 0,
-                slPercent: trailingPct,
-                entryPrice: null,
-                force: false,
-                enabled: true,
-                status: 'active',
-                failCount: 0,
-              },
-            });
+            await prisma.tpSlRule.create({ data: rule });
           } catch (e) {
-            console.warn('postTradeQueue: failed to insert trailing stop', e.message);
+            console.warn('postTradeQueue: failed to insert TP/SL exit rule', e.message);
           }
         }
         break;
@@ -0,0 +1,375 @@
+/* ─────────────────────────────────────────────────────────────
+ *  Rebalance planner
+ *  Pure target / trigger / swap-plan rules shared by the
+ *  rebalancer bot and the dry-run preview route.
+ *
+ *  Triggers
+ *    • band      – trade when any asset leaves its tolerance band
+ *                  (`toleranceBands[mint]`, else rebalanceThreshold)
+ *    • calendar  – trade everything back to target at a fixed UTC
+ *                  time (daily / weekly / monthly), bands ignored
+ *
+ *  Weighting
+ *    • fixed        – the user's targetAllocations (legacy behaviour)
+ *    • inverseVol   – w ∝ 1 / σ of recent returns
+ *    • riskParity   – equal risk contribution from the covariance of
+ *                     recent returns (falls back to inverseVol)
+ *
+ *  Cash flows: with `useCashFlows`, idle SOL/USDC that is not a
+ *  target (plus any overweight cash target) funds underweights before
+ *  anything else is sold.
+ *
+ *  All weights are fractions (0.25 = 25 %); config accepts 25 or 0.25.
+ * ──────────────────────────────────────────────────────────── */
+
+const { compileRecurrence, nextOccurrence } = require("../../utils/strategy_utils/scheduler/recurrence");
+
+const SOL_MINT  = "So11111111111111111111111111111111111111112";
+const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+
+const TRIGGERS   = ["band", "calendar"];
+const WEIGHTINGS = ["fixed", "inverseVol", "riskParity"];
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+const DEFAULT_BAND     = 0.05;
+const GAS_BUFFER_SOL   = 0.02;   // never sold, keeps fees payable
+const MIN_RETURNS      = 10;     // fewer samples than this → keep fixed targets
+const VOL_FLOOR        = 1e-6;   // stablecoins would otherwise take the whole book
+const RP_ITERATIONS    = 500;
+const RP_TOLERANCE     = 1e-10;
+
+const round = (x, dp = 6) => +Number(x).toFixed(dp);
+
+/** 5 or 0.05 → 0.05 (same rule the rebalancer always used for its threshold). */
+function toFraction(v, fallback = null) {
+  const n = Number(v);
+  if (v === "" || v == null || !Number.isFinite(n) || n < 0) return fallback;
+  return n >= 1 ? n / 100 : n;
+}
+
+/** Scale a weight map so it sums to 1; accepts "50 / 50" or "0.5 / 0.5". */
+function normalizeWeights(map = {}) {
+  const entries = Object.entries(map || {}).map(([m, w]) => [m, Number(w)]).filter(([, w]) => w > 0);
+  const sum = entries.reduce((a, [, w]) => a + w, 0);
+  if (!sum) return {};
+  return Object.fromEntries(entries.map(([m, w]) => [m, round(w / sum)]));
+}
+
+/**
+ * Pull the rebalance knobs out of a bot config with defaults applied.
+ * Unknown trigger / weighting values fall back to the legacy behaviour.
+ */
+function readConfig(cfg = {}) {
+  const bands = {};
+  for (const [mint, v] of Object.entries(cfg.toleranceBands || {})) {
+    const f = toFraction(v);
+    if (f != null) bands[mint] = f;
+  }
+  const cashMints = Array.isArray(cfg.cashMints) && cfg.cashMints.length
+    ? cfg.cashMints
+    : [SOL_MINT, USDC_MINT];
+
+  return {
+    targets     : normalizeWeights(cfg.targetAllocations ?? cfg.targetWeights ?? {}),
+    defaultBand : toFraction(cfg.rebalanceThreshold, DEFAULT_BAND) || DEFAULT_BAND,
+    bands,
+    trigger     : TRIGGERS.includes(cfg.rebalanceTrigger) ? cfg.rebalanceTrigger : "band",
+    calendar    : cfg.calendar || null,
+    weighting   : WEIGHTINGS.includes(cfg.weighting) ? cfg.weighting : "fixed",
+    lookbackDays: +cfg.volLookbackDays > 0 ? +cfg.volLookbackDays : 14,
+    volInterval : cfg.volInterval || "1H",
+    maxWeight   : toFraction(cfg.maxWeightPct, 1) || 1,
+    useCashFlows: cfg.useCashFlows === true,
+    cashMints,
+    minTradeUsd : +cfg.minTradeUsd > 0 ? +cfg.minTradeUsd : 5,
+  };
+}
+
+/* ───────────── calendar ───────────── */
+
+/**
+ * `{ frequency, time: "HH:MM", dayOfWeek?: 0-6, dayOfMonth?: 1-28 }` (UTC)
+ * → compiled recurrence. Throws on a malformed schedule.
+ */
+function compileCalendar(cal = {}) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(cal.time ?? "00:00").trim());
+  if (!m || +m[1] > 23 || +m[2] > 59) throw new Error("calendar.time must be HH:MM (UTC)");
+  const [h, mi] = [+m[1], +m[2]];
+
+  let expr;
+  switch (cal.frequency) {
+    case "daily":
+      expr = `${mi} ${h} * * *`;
+      break;
+    case "weekly": {
+      const dow = Number(cal.dayOfWeek ?? 1);
+      if (!Number.isInteger(dow) || dow < 0 || dow > 6) throw new Error("calendar.dayOfWeek must be 0-6 (0 = Sunday)");
+      expr = `${mi} ${h} * * ${dow}`;
+      break;
+    }
+    case "monthly": {
+      // ≤ 28 so every month has the day
+      const dom = Number(cal.dayOfMonth ?? 1);
+      if (!Number.isInteger(dom) || dom < 1 || dom > 28) throw new Error("calendar.dayOfMonth must be 1-28");
+      expr = `${mi} ${h} ${dom} * *`;
+      break;
+    }
+    default:
+      throw new Error(`calendar.frequency must be one of ${FREQUENCIES.join(", ")}`);
+  }
+  return compileRecurrence({ type: "cron", expr }, 1);
+}
+
+/** Next scheduled rebalance strictly after `afterMs`, or null. */
+function nextCalendarRun(cal, afterMs) {
+  return nextOccurrence(compileCalendar(cal), afterMs, "UTC")?.startMs ?? null;
+}
+
+/** True once a scheduled time has passed since the last calendar run. */
+function isCalendarDue(cal, lastRunMs, nowMs) {
+  const next = nextCalendarRun(cal, lastRunMs);
+  return next != null && next <= nowMs;
+}
+
+/* ───────────── volatility weights ───────────── */
+
+/**
+ * Log returns per mint from `{ mint: [{ ts, close }] }`, aligned on the
+ * timestamps every series shares so covariances compare like with like.
+ * @returns {Object<string, number[]>}
+ */
+function alignedReturns(seriesByMint = {}) {
+  const mints = Object.keys(seriesByMint);
+  if (!mints.length) return {};
+
+  const maps = mints.map((m) => new Map((seriesByMint[m] || []).filter((c) => c.close > 0).map((c) => [c.ts, c.close])));
+  const common = [...maps[0].keys()].filter((ts) => maps.every((mp) => mp.has(ts))).sort((a, b) => a - b);
+
+  const out = {};
+  mints.forEach((m, i) => {
+    const closes = common.map((ts) => maps[i].get(ts));
+    out[m] = closes.slice(1).map((c, k) => Math.log(c / closes[k]));
+  });
+  return out;
+}
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+function covariance(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n < 2) return 0;
+  const ma = mean(a.slice(0, n));
+  const mb = mean(b.slice(0, n));
+  let s = 0;
+  for (let i = 0; i < n; i++) s += (a[i] - ma) * (b[i] - mb);
+  return s / (n - 1);
+}
+
+/** Cap every weight at `maxWeight`, handing the excess to the uncapped rest. */
+function capWeights(weights, maxWeight = 1) {
+  const mints = Object.keys(weights);
+  if (maxWeight >= 1 || maxWeight * mints.length < 1) return weights;
+
+  const out = { ...weights };
+  const capped = new Set();
+  for (let pass = 0; pass < mints.length; pass++) {
+    const over = mints.filter((m) => !capped.has(m) && out[m] > maxWeight);
+    if (!over.length) break;
+    over.forEach((m) => { out[m] = maxWeight; capped.add(m); });
+    const free = mints.filter((m) => !capped.has(m));
+    const freeSum = free.reduce((a, m) => a + out[m], 0);
+    const room = 1 - capped.size * maxWeight;
+    free.forEach((m) => { out[m] = freeSum ? (out[m] / freeSum) * room : room / free.length; });
+  }
+  return Object.fromEntries(mints.map((m) => [m, round(out[m])]));
+}
+
+/** w ∝ 1 / σ. Returns null when any mint lacks MIN_RETURNS samples. */
+function inverseVolWeights(returnsByMint) {
+  const mints = Object.keys(returnsByMint || {});
+  if (!mints.length || mints.some((m) => (returnsByMint[m] || []).length < MIN_RETURNS)) return null;
+  const inv = mints.map((m) => 1 / Math.max(Math.sqrt(covariance(returnsByMint[m], returnsByMint[m])), VOL_FLOOR));
+  const sum = inv.reduce((a, b) => a + b, 0);
+  return Object.fromEntries(mints.map((m, i) => [m, round(inv[i] / sum)]));
+}
+
+/**
+ * Equal-risk-contribution weights: each asset's w_i·(Σw)_i is the same.
+ * Multiplicative fixed-point iteration seeded with inverse-vol weights;
+ * falls back to those when a marginal risk turns non-positive.
+ */
+function riskParityWeights(returnsByMint) {
+  const seed = inverseVolWeights(returnsByMint);
+  if (!seed) return null;
+  const mints = Object.keys(seed);
+  const n = mints.length;
+  const cov = mints.map((a) => mints.map((b) => covariance(returnsByMint[a], returnsByMint[b])));
+  for (let i = 0; i < n; i++) cov[i][i] = Math.max(cov[i][i], VOL_FLOOR ** 2);
+
+  let w = mints.map((m) => seed[m]);
+  for (let iter = 0; iter < RP_ITERATIONS; iter++) {
+    const marginal = cov.map((row) => row.reduce((a, c, j) => a + c * w[j], 0));
+    if (marginal.some((x) => !(x > 0))) return seed;
+    const variance = w.reduce((a, wi, i) => a + wi * marginal[i], 0);
+    const next = w.map((wi, i) => wi * Math.sqrt(variance / n / (wi * marginal[i])));
+    const sum = next.reduce((a, b) => a + b, 0);
+    const normed = next.map((x) => x / sum);
+    const delta = normed.reduce((a, x, i) => a + Math.abs(x - w[i]), 0);
+    w = normed;
+    if (delta < RP_TOLERANCE) break;
+  }
+  return Object.fromEntries(mints.map((m, i) => [m, round(w[i])]));
+}
+
+/**
+ * Target weights for this cycle. `returnsByMint` is only needed for the
+ * volatility modes; missing data keeps the fixed targets.
+ * @returns {{ targets: Object<string, number>, source: string }}
+ */
+function computeTargets({ weighting = "fixed", targets = {}, returnsByMint = null, maxWeight = 1 } = {}) {
+  if (weighting === "fixed" || !Object.keys(targets).length) return { targets, source: "fixed" };
+
+  const universe = Object.fromEntries(Object.keys(targets).map((m) => [m, returnsByMint?.[m] || []]));
+  const weights = weighting === "riskParity" ? riskParityWeights(universe) : inverseVolWeights(universe);
+  if (!weights) return { targets, source: "fixed (not enough price history)" };
+  return { targets: capWeights(weights, maxWeight), source: weighting };
+}
+
+/* ───────────── swap plan ───────────── */
+
+/**
+ * `{ mint: uiAmount }` + `{ mint: usdPrice }` → planner holdings. Unpriced
+ * mints are dropped; SOL keeps GAS_BUFFER_SOL locked.
+ */
+function toHoldings(mints, balances = {}, prices = {}) {
+  return [...new Set(mints)]
+    .filter((m) => prices[m] > 0)
+    .map((m) => {
+      const amount = +balances[m] || 0;
+      return {
+        mint: m,
+        amount,
+        price: prices[m],
+        value: amount * prices[m],
+        lockedUsd: m === SOL_MINT ? Math.min(amount, GAS_BUFFER_SOL) * prices[m] : 0,
+      };
+    });
+}
+
+/**
+ * Work out which swaps bring the book back to target.
+ *
+ * @param {object} p
+ * @param {Array<{mint:string, value:number, price:number, lockedUsd?:number}>} p.holdings
+ *   every balance the plan may touch; `lockedUsd` is never sold (gas buffer)
+ * @param {Object<string, number>} p.targets   fractions summing to 1
+ * @param {Object<string, number>} [p.bands]   per-mint tolerance
+ * @param {number} [p.defaultBand]
+ * @param {boolean} [p.force]                  calendar run: ignore bands
+ * @param {boolean} [p.useCashFlows]
+ * @param {string[]} [p.cashMints]
+ * @param {number} [p.minTradeUsd]
+ * @param {number} [p.maxTrades]
+ * @returns {{ totalUsd:number, triggered:boolean, drifts:Array, swaps:Array<{inputMint:string, outputMint:string, usd:number, source:"cash"|"overweight"}> }}
+ */
+function planRebalance({
+  holdings = [],
+  targets = {},
+  bands = {},
+  defaultBand = DEFAULT_BAND,
+  force = false,
+  useCashFlows = false,
+  cashMints = [],
+  minTradeUsd = 5,
+  maxTrades = Infinity,
+} = {}) {
+  const byMint = new Map(holdings.map((h) => [h.mint, h]));
+  const sellable = (h) => Math.max(0, (h?.value || 0) - (h?.lockedUsd || 0));
+  const isCash = (m) => useCashFlows && cashMints.includes(m);
+
+  /* idle cash outside the target set is part of the book being allocated */
+  const idleCash = useCashFlows
+    ? cashMints.filter((m) => !(targets[m] > 0) && sellable(byMint.get(m)) > 0)
+        .map((m) => ({ mint: m, excessUsd: sellable(byMint.get(m)), source: "cash" }))
+    : [];
+
+  const targetMints = Object.keys(targets).filter((m) => targets[m] > 0);
+  const totalUsd = targetMints.reduce((a, m) => a + (byMint.get(m)?.value || 0), 0)
+    + idleCash.reduce((a, c) => a + c.excessUsd, 0);
+  if (!(totalUsd > 0)) return { totalUsd: 0, triggered: false, drifts: [], swaps: [] };
+
+  const drifts = targetMints.map((m) => {
+    const curPct = (byMint.get(m)?.value || 0) / totalUsd;
+    const band = bands[m] ?? defaultBand;
+    return { mint: m, curPct, tgtPct: targets[m], band, outside: Math.abs(curPct - targets[m]) > band };
+  });
+
+  const unders = drifts
+    .filter((d) => d.curPct < d.tgtPct)
+    .map((d) => ({ ...d, deficitUsd: (d.tgtPct - d.curPct) * totalUsd }))
+    .sort((a, b) => b.deficitUsd - a.deficitUsd);
+
+  const swaps = [];
+  const fill = (src) => {
+    for (const under of unders) {
+      if (src.excessUsd <= 0 || swaps.length >= maxTrades) break;
+      if (under.deficitUsd <= 0) continue;
+      const usd = Math.min(src.excessUsd, under.deficitUsd);
+      src.excessUsd -= usd;
+      under.deficitUsd -= usd;
+      // sub-minimum legs are written off on both sides, as before
+      if (usd < minTradeUsd) continue;
+      swaps.push({ inputMint: src.mint, outputMint: under.mint, usd: round(usd, 2), source: src.source });
+    }
+  };
+
+  /* 1️⃣ idle cash tops up every underweight, largest gap first */
+  idleCash.forEach(fill);
+
+  /* 2️⃣ then sell overweights (cash targets first) into what is still short.
+   *    Band breaches pick the sellers; when only an underweight is out of
+   *    its band every overweight chips in. */
+  const anyOutside = drifts.some((d) => d.outside);
+  if (force || anyOutside) {
+    const overOutside = drifts.some((d) => d.outside && d.curPct > d.tgtPct);
+    const overs = drifts
+      .filter((d) => d.curPct > d.tgtPct && (force || !overOutside || d.outside))
+      .map((d) => ({
+        mint: d.mint,
+        excessUsd: Math.min((d.curPct - d.tgtPct) * totalUsd, sellable(byMint.get(d.mint))),
+        source: isCash(d.mint) ? "cash" : "overweight",
+      }))
+      .sort((a, b) => (a.source === b.source ? b.excessUsd - a.excessUsd : a.source === "cash" ? -1 : 1));
+
+    overs.forEach(fill);
+  }
+
+  return {
+    totalUsd: round(totalUsd, 2),
+    triggered: swaps.length > 0,
+    drifts: drifts.map((d) => ({ ...d, curPct: round(d.curPct), tgtPct: round(d.tgtPct) })),
+    swaps,
+  };
+}
+
+module.exports = {
+  SOL_MINT,
+  USDC_MINT,
+  GAS_BUFFER_SOL,
+  TRIGGERS,
+  WEIGHTINGS,
+  FREQUENCIES,
+  toFraction,
+  normalizeWeights,
+  readConfig,
+  compileCalendar,
+  nextCalendarRun,
+  isCalendarDue,
+  alignedReturns,
+  capWeights,
+  inverseVolWeights,
+  riskParityWeights,
+  computeTargets,
+  toHoldings,
+  planRebalance,
+};
@@ -0,0 +1,140 @@
+/* ─────────────────────────────────────────────────────────────
+ *  Rebalance preview
+ *  I/O side of the rebalance planner: price history for the
+ *  volatility weightings and a dry-run plan that quotes every
+ *  proposed swap through Jupiter without sending anything.
+ * ──────────────────────────────────────────────────────────── */
+
+const planner = require("./rebalancePlanner");
+
+const DAY_MS = 86_400_000;
+
+/**
+ * Cycle targets for a rebalance config. Volatility weightings fetch
+ * `lookbackDays` of candles per target; any fetch failure keeps the
+ * fixed targets so a Birdeye outage never blocks a rebalance.
+ * @returns {Promise<{ targets: Object<string, number>, source: string }>}
+ */
+async function resolveTargets(rc, { userId = null, now = Date.now() } = {}) {
+  if (rc.weighting === "fixed") return planner.computeTargets(rc);
+
+  const { fetchCandles } = require("./backtest/candleSource");
+  try {
+    const series = {};
+    for (const mint of Object.keys(rc.targets)) {
+      series[mint] = await fetchCandles(mint, {
+        interval: rc.volInterval,
+        from: now - rc.lookbackDays * DAY_MS,
+        to: now,
+        userId,
+      });
+    }
+    return planner.computeTargets({ ...rc, returnsByMint: planner.alignedReturns(series) });
+  } catch (err) {
+    return { targets: rc.targets, source: `fixed (price history unavailable: ${err.message})` };
+  }
+}
+
+/** USD price with the same SOL / USDC fallbacks the rebalancer uses. */
+async function priceOf(userId, mint) {
+  const getTokenPrice = require("../paid_api/getTokenPrice");
+  let p = await getTokenPrice(userId, mint).catch(() => 0);
+  if (!p && mint === planner.SOL_MINT) p = await getTokenPrice.getSolPrice(userId).catch(() => 0);
+  if (!p && mint === planner.USDC_MINT) p = 1;
+  return +p || 0;
+}
+
+/**
+ * Build the swaps a rebalance would make right now and quote each one.
+ * Calendar configs are planned as if their scheduled run were now.
+ *
+ * @param {object} p
+ * @param {object} p.config            rebalancer bot config
+ * @param {string} p.walletPublicKey
+ * @param {string|null} [p.userId]
+ * @param {number} [p.now]
+ */
+async function previewRebalance({ config, walletPublicKey, userId = null, now = Date.now() }) {
+  const fetchLiveTokenBalances = require("./fetchLiveTokenBalances");
+  const { getSwapQuote } = require("../../../utils/swap");
+
+  const rc = planner.readConfig(config);
+  if (Object.keys(rc.targets).length < 2) {
+    const e = new Error("targetAllocations needs at least two tokens");
+    e.status = 400; e.expose = true;
+    throw e;
+  }
+
+  let nextRunAt = null;
+  if (rc.trigger === "calendar") {
+    try {
+      nextRunAt = planner.nextCalendarRun(rc.calendar || {}, now);
+    } catch (err) {
+      err.status = 400; err.expose = true;
+      throw err;
+    }
+  }
+
+  const { targets, source } = await resolveTargets(rc, { userId, now });
+
+  const live = await fetchLiveTokenBalances(walletPublicKey);
+  const balances = Object.fromEntries(live.map((t) => [t.mint, t.amount]));
+  const decimals = Object.fromEntries(live.map((t) => [t.mint, t.decimals]));
+
+  const mints = [...Object.keys(targets), ...(rc.useCashFlows ? rc.cashMints : [])];
+  const prices = {};
+  for (const m of new Set(mints)) prices[m] = await priceOf(userId, m);
+
+  const plan = planner.planRebalance({
+    holdings   : planner.toHoldings(mints, balances, prices),
+    targets,
+    bands      : rc.bands,
+    defaultBand: rc.defaultBand,
+    force      : rc.trigger === "calendar",
+    useCashFlows: rc.useCashFlows,
+    cashMints  : rc.cashMints,
+    minTradeUsd: rc.minTradeUsd,
+    maxTrades  : +config.maxTradesPerCycle || +config.maxTrades || 4,
+  });
+
+  const slippage  = +config.slippage || 0.5;
+  const maxImpact = +config.maxSlippage || 0.15;
+  const swaps = [];
+  for (const s of plan.swaps) {
+    const amountIn = s.usd / prices[s.inputMint];
+    const row = { ...s, amountIn: +amountIn.toFixed(6), priceImpactPct: null, outAmount: null, withinImpact: null };
+    try {
+      const q = await getSwapQuote({
+        inputMint: s.inputMint,
+        outputMint: s.outputMint,
+        amount: Math.floor(amountIn * 10 ** (decimals[s.inputMint] ?? 9)),
+        slippage,
+      });
+      const impact = parseFloat(q?.priceImpactPct);
+      if (!q || Number.isNaN(impact)) {
+        row.error = "no route";
+      } else {
+        row.priceImpactPct = +(impact * 100).toFixed(4);
+        row.outAmount = q.outAmount ?? null;
+        row.withinImpact = impact <= maxImpact;
+      }
+    } catch (err) {
+      row.error = err.message;
+    }
+    swaps.push(row);
+  }
+
+  return {
+    trigger: rc.trigger,
+    weighting: rc.weighting,
+    targetsSource: source,
+    targets,
+    useCashFlows: rc.useCashFlows,
+    nextRunAt: nextRunAt ? new Date(nextRunAt).toISOString() : null,
+    totalUsd: plan.totalUsd,
+    drifts: plan.drifts,
+    swaps,
+  };
+}
+
+module.exports = { resolveTargets, previewRebalance };
@@ -0,0 +1,75 @@
+/**
+ * Mean reversion risk policy.
+ *
+ * Sizing and exit helpers for the Mean Reversion strategy.  Position
+ * size grows with the depth of the deviation that triggered the entry
+ * (a 3σ stretch earns more than a 2σ one, up to a cap), and a position
+ * is closed once price reverts to the mean or when it has been held
+ * longer than the time stop.  The helpers take the clock as an
+ * argument so the backtester can replay them against candle time.
+ */
+
+/* eslint-disable no-console */
+
+/**
+ * Size multiplier for an entry at deviation `z`.  Scales linearly from
+ * 1× at `entryZ` to `maxMultiplier`× at `fullZ` and is capped there.
+ *
+ * @param {number} z - z‑score at entry (sign ignored)
+ * @param {object} opts
+ * @param {number} opts.entryZ
+ * @param {number} opts.fullZ - deviation that earns the full multiplier
+ * @param {number} opts.maxMultiplier
+ * @returns {number}
+ */
+function deviationSizeMultiplier(z, { entryZ = 2, fullZ = 4, maxMultiplier = 2 } = {}) {
+  const dev = Math.abs(+z || 0);
+  const lo = Math.abs(entryZ);
+  const cap = Math.max(1, +maxMultiplier || 1);
+  if (dev <= lo) return 1;
+  if (fullZ <= lo) return cap;
+  const t = Math.min(1, (dev - lo) / (fullZ - lo));
+  return 1 + t * (cap - 1);
+}
+
+/**
+ * Decide whether an open position should be closed.  Returns the exit
+ * reason or null:
+ *   • "meanReversion" – price is back within `exitZ` deviations of the
+ *     mean (exitZ = 0 waits for the mean itself)
+ *   • "timeStop"      – held for longer than `maxHoldMs`
+ *   • "stopLoss"      – price fell `stopLossPct` (decimal) below entry
+ *
+ * @param {object} p
+ * @param {number} p.price
+ * @param {number} p.mean
+ * @param {number} p.stdDev
+ * @param {number} p.entryPrice
+ * @param {number} p.entryTs - milliseconds since epoch
+ * @param {number} p.now - milliseconds since epoch
+ * @param {number} p.exitZ
+ * @param {number} p.maxHoldMs - 0 disables the time stop
+ * @param {number} p.stopLossPct - 0 disables the stop loss
+ * @returns {"meanReversion"|"timeStop"|"stopLoss"|null}
+ */
+function exitReason({
+  price,
+  mean,
+  stdDev = 0,
+  entryPrice,
+  entryTs,
+  now,
+  exitZ = 0,
+  maxHoldMs = 0,
+  stopLossPct = 0,
+}) {
+  if (stopLossPct > 0 && entryPrice > 0 && price <= entryPrice * (1 - stopLossPct)) return "stopLoss";
+  if (mean > 0 && price >= mean - Math.abs(exitZ) * stdDev) return "meanReversion";
+  if (maxHoldMs > 0 && now - entryTs >= maxHoldMs) return "timeStop";
+  return null;
+}
+
+module.exports = {
+  deviationSizeMultiplier,
+  exitReason,
+};
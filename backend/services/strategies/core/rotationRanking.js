@@ -0,0 +1,308 @@
+/* ─────────────────────────────────────────────────────────────
+ *  Rotation ranking
+ *  Pure scoring for rotationBot. Every candidate is measured the
+ *  same way; the model only decides which measure wins:
+ *
+ *    momentum          price change over the momentum window
+ *    riskAdjusted      momentum ÷ realised volatility over the window
+ *    volumeWeighted    momentum × (volume ÷ average universe volume)
+ *    relativeStrength  token/SOL price ratio against its own average
+ *                      over the window: > 0 while the token has been
+ *                      gaining on SOL lately, < 0 when an earlier
+ *                      out-performance is fading
+ *    composite         weighted sum of the four above, each z-scored
+ *                      across the candidates so units don't matter
+ *
+ *  `momentumDecay` (0–1) discounts the older part of the move: the
+ *  window is split at the next shorter Birdeye frame and the early
+ *  leg counts (1 − decay). 0 keeps the plain window change.
+ *
+ *  With `sectors` ({ name: [mints] }) the best sector is picked on
+ *  its average score, then the best token inside it.
+ * ──────────────────────────────────────────────────────────── */
+
+const MODELS = ["momentum", "riskAdjusted", "volumeWeighted", "relativeStrength", "composite"];
+const COMPONENTS = ["momentum", "riskAdjusted", "volumeWeighted", "relativeStrength"];
+
+const WINDOW_MS = {
+  "1m": 60_000, "5m": 300_000, "15m": 900_000, "30m": 1_800_000,
+  "1h": 3_600_000, "2h": 7_200_000, "4h": 14_400_000, "6h": 21_600_000,
+  "8h": 28_800_000, "12h": 43_200_000, "24h": 86_400_000,
+};
+
+/* next shorter frame Birdeye reports, used to split the window */
+const SHORTER = {
+  "5m": "1m", "15m": "5m", "30m": "15m", "1h": "30m", "2h": "1h",
+  "4h": "2h", "6h": "2h", "8h": "4h", "12h": "6h", "24h": "12h",
+};
+
+const VOL_INTERVAL = "15m";
+const VOL_BAR_MS = WINDOW_MS[VOL_INTERVAL];
+const MAX_VOLUME_FACTOR = 3;
+
+/* Birdeye candle types for the token/SOL ratio series, shortest first */
+const RATIO_FRAMES = [["1m", 60_000], ["5m", 300_000], ["15m", 900_000], ["30m", 1_800_000], ["1H", 3_600_000], ["2H", 7_200_000]];
+const RATIO_MIN_BARS = 12;
+
+const num = (v, d) => (v === "" || v == null || !Number.isFinite(+v) ? d : +v);
+
+/**
+ * Ranking settings from a rotationBot config.
+ * `minMomentum` is a percent in the config and a fraction here.
+ */
+function readRankingConfig(cfg = {}) {
+  const model = MODELS.includes(cfg.rankingModel) ? cfg.rankingModel : "momentum";
+
+  const weights = {};
+  for (const k of COMPONENTS) weights[k] = Math.max(0, num(cfg.rankingWeights?.[k], 1));
+
+  const sectors = {};
+  if (cfg.sectors && typeof cfg.sectors === "object" && !Array.isArray(cfg.sectors)) {
+    for (const [name, mints] of Object.entries(cfg.sectors)) {
+      const list = (Array.isArray(mints) ? mints : []).map(String).filter(Boolean);
+      if (list.length) sectors[name] = list;
+    }
+  }
+
+  return {
+    model,
+    weights,
+    minMomentum  : num(cfg.minMomentum, 2) / 100,
+    momentumDecay: Math.min(1, Math.max(0, num(cfg.momentumDecay, 0))),
+    volLookbackHours: Math.max(1, num(cfg.volLookbackHours, 24)),
+    sectors,
+  };
+}
+
+/** Whether the model needs candle history (an extra Birdeye call per token). */
+function needsVolatility(rc) {
+  return rc.model === "riskAdjusted" || (rc.model === "composite" && rc.weights.riskAdjusted > 0);
+}
+
+/** Whether the model needs token and SOL candles over the momentum window. */
+function needsRatioSeries(rc) {
+  return rc.model === "relativeStrength" || (rc.model === "composite" && rc.weights.relativeStrength > 0);
+}
+
+/** Longest candle type that still gives RATIO_MIN_BARS bars over `win`. */
+function ratioInterval(win) {
+  const span = WINDOW_MS[win] || WINDOW_MS["1h"];
+  let pick = RATIO_FRAMES[0][0];
+  for (const [type, ms] of RATIO_FRAMES) if (span / ms >= RATIO_MIN_BARS) pick = type;
+  return pick;
+}
+
+/**
+ * Relative strength from the token/SOL close ratio on bars both series
+ * share: last ratio ÷ mean ratio − 1.
+ * @param {Array<{ts:number, close:number}>} tokenCandles
+ * @param {Array<{ts:number, close:number}>} solCandles
+ * @returns {number|null} null with fewer than 3 shared bars
+ */
+function relativeStrength(tokenCandles = [], solCandles = []) {
+  const sol = new Map();
+  for (const c of solCandles) if (+c.close > 0) sol.set(+c.ts, +c.close);
+  const ratios = [];
+  for (const c of tokenCandles) {
+    const s = sol.get(+c.ts);
+    if (s && +c.close > 0) ratios.push(+c.close / s);
+  }
+  if (ratios.length < 3) return null;
+  const mean = ratios.reduce((a, r) => a + r, 0) / ratios.length;
+  return ratios[ratios.length - 1] / mean - 1;
+}
+
+/**
+ * Window change with the early leg discounted by `decay`.
+ * @param {object} stat  getTokenShortTermChange result
+ * @param {string} win   e.g. "1h"
+ * @param {number} decay 0..1
+ */
+function decayedMomentum(stat, win, decay = 0) {
+  const pct = num(stat?.[`priceChange${win}`], null) ?? num(stat?.priceChange5m, null) ?? num(stat?.priceChange1m, 0);
+  const short = SHORTER[win];
+  if (!decay || !short || stat?.[`priceChange${short}`] == null) return pct;
+
+  const recent = +stat[`priceChange${short}`];
+  const early = (1 + pct) / (1 + recent) - 1;
+  return (1 + recent) * (1 + early * (1 - decay)) - 1;
+}
+
+/** Volume over the window, falling back to the next frame Birdeye has. */
+function windowVolume(stat, win) {
+  return num(stat?.[`volume${win}`], null) ?? num(stat?.volumeUSD, 0);
+}
+
+/**
+ * Per-bar standard deviation of log returns.
+ * @param {Array<{close:number}>} candles
+ * @returns {number|null} null with fewer than 3 usable returns
+ */
+function realizedVol(candles = []) {
+  const rets = [];
+  for (let i = 1; i < candles.length; i++) {
+    const a = +candles[i - 1].close, b = +candles[i].close;
+    if (a > 0 && b > 0) rets.push(Math.log(b / a));
+  }
+  if (rets.length < 3) return null;
+  const mean = rets.reduce((s, r) => s + r, 0) / rets.length;
+  const v = rets.reduce((s, r) => s + (r - mean) ** 2, 0) / (rets.length - 1);
+  return Math.sqrt(v);
+}
+
+/** Scale a per-bar volatility to the momentum window. */
+function windowVol(barVol, win, barMs = VOL_BAR_MS) {
+  if (barVol == null) return null;
+  return barVol * Math.sqrt((WINDOW_MS[win] || barMs) / barMs);
+}
+
+function zScores(values) {
+  const xs = values.filter((v) => v != null);
+  if (xs.length < 2) return values.map((v) => (v == null ? null : 0));
+  const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const sd = Math.sqrt(xs.reduce((s, x) => s + (x - mean) ** 2, 0) / xs.length);
+  return values.map((v) => (v == null ? null : sd ? (v - mean) / sd : 0));
+}
+
+/**
+ * Attach every component and the model's score to each candidate.
+ * Candidates: { mint, momentum, volumeUSD, volatility (window σ or null),
+ * relativeStrength (see relativeStrength() or null) }. A candidate the
+ * model can't score (riskAdjusted / relativeStrength without history)
+ * gets `score: null`.
+ *
+ * @param {object[]} candidates
+ * @param {object}   p
+ * @param {string}   p.model
+ * @param {object}   [p.weights]      composite weights
+ */
+function scoreCandidates(candidates, { model = "momentum", weights = {} } = {}) {
+  const vols = candidates.map((c) => c.volumeUSD).filter((v) => v > 0);
+  const avgVolume = vols.length ? vols.reduce((s, v) => s + v, 0) / vols.length : 0;
+
+  const rows = candidates.map((c) => {
+    const volumeFactor = avgVolume ? Math.min(MAX_VOLUME_FACTOR, (c.volumeUSD || 0) / avgVolume) : 1;
+    return {
+      ...c,
+      components: {
+        momentum        : c.momentum,
+        riskAdjusted    : c.volatility > 0 ? c.momentum / c.volatility : null,
+        volumeWeighted  : c.momentum * volumeFactor,
+        relativeStrength: c.relativeStrength ?? null,
+      },
+    };
+  });
+
+  if (model !== "composite") {
+    rows.forEach((r) => (r.score = r.components[model] ?? null));
+    return rows;
+  }
+
+  const total = COMPONENTS.reduce((s, k) => s + (weights[k] ?? 1), 0) || 1;
+  const z = Object.fromEntries(COMPONENTS.map((k) => [k, zScores(rows.map((r) => r.components[k]))]));
+  rows.forEach((r, i) => {
+    // a missing component counts as the universe average (z = 0)
+    r.score = COMPONENTS.reduce((s, k) => s + (weights[k] ?? 1) * (z[k][i] ?? 0), 0) / total;
+  });
+  return rows;
+}
+
+// unscored rows sink to the bottom
+const byScore = (a, b) => (a.score == null) - (b.score == null) || (b.score ?? 0) - (a.score ?? 0);
+
+/**
+ * Rank scored candidates and pick the winner.
+ * Eligible = scored, not excluded, momentum ≥ minMomentum. With sectors,
+ * each sector's score is the mean score of its scored members; the best
+ * sector holding an eligible token wins and its top eligible token is
+ * the pick; tokens outside every sector are listed but never picked.
+ *
+ * @returns {{ ranking: object[], sectors: object[]|null, sector: string|null, winner: object|null }}
+ */
+function pickWinner(scored, { minMomentum = 0, sectors = {} } = {}) {
+  const sectorOf = {};
+  for (const [name, mints] of Object.entries(sectors)) mints.forEach((m) => (sectorOf[m] ??= name));
+  const bySector = Object.keys(sectors).length > 0;
+
+  const ranking = scored
+    .map((c) => {
+      let excluded = c.excluded || null;
+      if (!excluded && c.score == null) excluded = "no price history";
+      if (!excluded && c.momentum < minMomentum) excluded = "below minMomentum";
+      if (!excluded && bySector && !sectorOf[c.mint]) excluded = "not in a sector";
+      return { ...c, sector: sectorOf[c.mint] ?? null, excluded };
+    })
+    .sort(byScore);
+  ranking.forEach((r, i) => (r.rank = i + 1));
+
+  const eligible = ranking.filter((r) => !r.excluded);
+
+  if (!bySector) {
+    return { ranking, sectors: null, sector: null, winner: eligible[0] || null };
+  }
+
+  const sectorRows = Object.keys(sectors).map((name) => {
+    const members = ranking.filter((r) => r.sector === name && r.score != null);
+    const score = members.length ? members.reduce((s, r) => s + r.score, 0) / members.length : null;
+    return { sector: name, score, tokens: members.length, eligible: members.filter((r) => !r.excluded).length };
+  }).sort(byScore);
+
+  const best = sectorRows.find((s) => s.score != null && s.eligible > 0) || null;
+  const winner = best ? eligible.find((r) => r.sector === best.sector) : null;
+  return { ranking, sectors: sectorRows, sector: best?.sector ?? null, winner: winner || null };
+}
+
+const round = (v, dp = 6) => (v == null || !Number.isFinite(v) ? null : +v.toFixed(dp));
+
+/**
+ * Compact, JSON-safe record of one ranking decision – what the user sees
+ * under "why did it rotate".
+ */
+function buildSnapshot({ walletLabel, model, window, weights, minMomentum, momentumDecay, solMomentum, result, rotated, reason }) {
+  return {
+    walletLabel,
+    model,
+    window,
+    weights: model === "composite" ? weights : undefined,
+    minMomentum,
+    momentumDecay,
+    solMomentum: round(solMomentum),
+    sector: result.sector,
+    sectors: result.sectors?.map((s) => ({ ...s, score: round(s.score) })) ?? null,
+    winner: result.winner ? { mint: result.winner.mint, symbol: result.winner.symbol || null, score: round(result.winner.score) } : null,
+    rotated: !!rotated,
+    reason: reason || null,
+    ranking: result.ranking.map((r) => ({
+      rank: r.rank,
+      mint: r.mint,
+      symbol: r.symbol || null,
+      sector: r.sector,
+      change: round(r.change),
+      momentum: round(r.momentum),
+      volumeUSD: round(r.volumeUSD, 2),
+      volatility: round(r.volatility),
+      components: Object.fromEntries(COMPONENTS.map((k) => [k, round(r.components?.[k])])),
+      score: round(r.score),
+      excluded: r.excluded,
+    })),
+  };
+}
+
+module.exports = {
+  MODELS,
+  COMPONENTS,
+  WINDOW_MS,
+  VOL_INTERVAL,
+  readRankingConfig,
+  needsVolatility,
+  needsRatioSeries,
+  ratioInterval,
+  relativeStrength,
+  decayedMomentum,
+  windowVolume,
+  realizedVol,
+  windowVol,
+  scoreCandidates,
+  pickWinner,
+  buildSnapshot,
+};
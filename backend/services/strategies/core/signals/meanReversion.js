@@ -0,0 +1,138 @@
+/**
+ * Mean reversion signal helpers.
+ *
+ * Statistical counterpart to the momentum signals in this folder.  The
+ * detector measures how far the last close sits from a rolling mean –
+ * either the volume‑weighted average price (VWAP) or the Bollinger
+ * mid (simple moving average) – in units of standard deviation.  A
+ * close that is stretched far enough below the mean is a long entry
+ * candidate, unless the trend filter from the Trend Follower signals
+ * reports that the market is trending (reversion edges tend to fail
+ * in a trend).  Integrators should supply recent candle data.
+ */
+
+/* eslint-disable no-console */
+
+const { vwap } = require("./scalper");
+const { trendAlignment } = require("./trendFollower");
+
+const ANCHORS = ["vwap", "bollinger"];
+
+/**
+ * Rolling VWAP over the last `period` candles, weighting the typical
+ * price ((high + low + close) / 3) by volume.  Falls back to the simple
+ * mean of closes when the window carries no volume.
+ *
+ * @param {Array<{high:number, low:number, close:number, volume:number}>} candles
+ * @param {number} period
+ * @returns {number}
+ */
+function rollingVwap(candles, period = 20) {
+  const recent = (candles || []).slice(-period);
+  if (recent.length === 0) return 0;
+  const v = vwap(recent.map((c) => ({ price: (c.high + c.low + c.close) / 3, volume: c.volume || 0 })));
+  return v || recent.reduce((acc, c) => acc + c.close, 0) / recent.length;
+}
+
+/**
+ * Bollinger bands over the last `period` closes.  The mid is the simple
+ * moving average; the bands sit `mult` population standard deviations
+ * either side of it.
+ *
+ * @param {number[]} closes
+ * @param {number} period
+ * @param {number} mult
+ * @returns {{mid:number, upper:number, lower:number, stdDev:number}}
+ */
+function bollingerBands(closes, period = 20, mult = 2) {
+  const recent = (closes || []).slice(-period);
+  if (recent.length === 0) return { mid: 0, upper: 0, lower: 0, stdDev: 0 };
+  const mid = recent.reduce((acc, c) => acc + c, 0) / recent.length;
+  const variance = recent.reduce((acc, c) => acc + (c - mid) ** 2, 0) / recent.length;
+  const stdDev = Math.sqrt(variance);
+  return { mid, upper: mid + mult * stdDev, lower: mid - mult * stdDev, stdDev };
+}
+
+/**
+ * Z‑score of the last close against the chosen anchor.  The dispersion
+ * is the root mean square distance of the window's closes from that
+ * anchor, so for the Bollinger mid it is the usual standard deviation.
+ * Returns z = 0 when the window is short or flat.
+ *
+ * @param {Array<{high:number, low:number, close:number, volume:number}>} candles
+ * @param {object} opts
+ * @param {string} opts.anchor - "vwap" | "bollinger"
+ * @param {number} opts.period - rolling window length in candles
+ * @returns {{z:number, mean:number, stdDev:number, price:number}}
+ */
+function zScore(candles, { anchor = "vwap", period = 20 } = {}) {
+  const recent = (candles || []).slice(-period);
+  const price = recent.length ? recent[recent.length - 1].close : 0;
+  if (recent.length < 2) return { z: 0, mean: price, stdDev: 0, price };
+  const closes = recent.map((c) => c.close);
+  const mean = anchor === "bollinger"
+    ? bollingerBands(closes, period).mid
+    : rollingVwap(recent, period);
+  const stdDev = Math.sqrt(closes.reduce((acc, c) => acc + (c - mean) ** 2, 0) / closes.length);
+  const z = stdDev > 0 ? (price - mean) / stdDev : 0;
+  return { z, mean, stdDev, price };
+}
+
+/**
+ * Trend filter built on the Trend Follower EMA alignment.  Returns true
+ * when the short/medium/long EMAs are stacked in either direction;
+ * with too little history the alignment is undecided and the market is
+ * treated as ranging.
+ *
+ * @param {number[]} closes
+ * @param {number[]} periods - [short, medium, long]
+ * @returns {boolean}
+ */
+function isTrending(closes, periods = [10, 30, 60]) {
+  return trendAlignment(closes, periods) !== 0;
+}
+
+/**
+ * High level long‑only mean reversion signal.  Enters when the close is
+ * at least `entryZ` deviations below the mean and the trend filter was
+ * quiet going into the last bar.  The returned `reason` explains a
+ * skip so callers can count them.
+ *
+ * @param {Array<{high:number, low:number, close:number, volume:number}>} candles
+ * @param {object} opts
+ * @param {string} opts.anchor - "vwap" | "bollinger"
+ * @param {number} opts.period - rolling window length in candles
+ * @param {number} opts.entryZ - minimum deviation (positive number)
+ * @param {boolean} opts.trendFilter - skip entries while trending
+ * @param {number[]} opts.trendPeriods - EMA periods for the trend filter
+ * @returns {{enter:boolean, reason:string|null, z:number, mean:number, stdDev:number, price:number}}
+ */
+function generateMeanReversionSignal(candles, opts = {}) {
+  const {
+    anchor = "vwap",
+    period = 20,
+    entryZ = 2,
+    trendFilter = true,
+    trendPeriods = [10, 30, 60],
+  } = opts;
+  const stats = zScore(candles, { anchor, period });
+  if (!candles || candles.length < period) return { enter: false, reason: "warmup", ...stats };
+  if (stats.stdDev === 0 || stats.z > -Math.abs(entryZ)) {
+    return { enter: false, reason: null, ...stats };
+  }
+  // Judge the trend on the bars before this one – the stretch being
+  // measured would otherwise stack the EMAs bearish by itself.
+  if (trendFilter && isTrending(candles.slice(0, -1).map((c) => c.close), trendPeriods)) {
+    return { enter: false, reason: "trending", ...stats };
+  }
+  return { enter: true, reason: "zScoreDeviation", ...stats };
+}
+
+module.exports = {
+  ANCHORS,
+  rollingVwap,
+  bollingerBands,
+  zScore,
+  isTrending,
+  generateMeanReversionSignal,
+};
@@ -18,6 +18,9 @@ const getTokenPriceModule   = require("../paid_api/getTokenPrice");
 const getSolPrice           = getTokenPriceModule.getSolPrice;
 const { sendAlert }         = require("../../../telegram/alerts");
 const { trackPendingTrade } = require("./txTracker");
+const riskAuthority       = require("../../riskAuthority");
+const { emitBotEvent }    = require("../../pipelines/botEvents");
+const { sendNotification } = require("../../notifications");
 
 // 🔁 Unified resolver for protected/unprotected wallets
 const { getKeypairForTrade } = require("../../../armEncryption/resolveKeypair");
@@ -111,8 +114,10 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
   // ADD: global kill switch
   requireAlive();
 
-  // ADD: pre-send duplicate guard (DB lookback 60s)
-  const dupRecent = await prisma.trade.findFirst({
+  // ADD: pre-send duplicate guard (DB lookback 60s). Simulated fills send
+  // nothing and must never resolve to a live hash, so only the idempotency
+  // gate below applies to them.
+  const dupRecent = !simulated && await prisma.trade.findFirst({
     where: {
       userId, walletId, mint, strategy, type: "buy",
       createdAt: { gte: new Date(Date.now() - 60_000) },
@@ -178,6 +183,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
   console.log("🛡️ Using MEV prefs:", { mevMode, shared, bribeSol, bribeLamports, priorityFeeLamports });
 
   let txHash = null;
+  let riskHold = null;
   // optional quorum wiring (env or meta)
   const endpointsRaw = meta.rpcEndpoints || process.env.RPC_POOL_ENDPOINTS || "";
   const endpoints = Array.isArray(endpointsRaw)
@@ -190,6 +196,11 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
   const useQuorum   = endpoints.length > 0 && (rpcQuorum > 1 || rpcFanout > 1);
   const pool        = useQuorum ? new RpcPool(endpoints) : null;
   if (!simulated) {
+    // Portfolio-wide risk check (answered by the API server for child bots)
+    riskHold = await riskAuthority.guardBuy({
+      quote, mint, userId, botId: meta.botId || strategy,
+      solPriceUsd: quote.inputMint === SOL_MINT ? await getPriceCached(userId, SOL_MINT) : null,
+    });
     try {
       console.log("🔁 Executing live swap…");
       txHash = await executeSwap({
@@ -215,6 +226,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
       trackPendingTrade(txHash, mint, meta.botId || strategy);
     } catch (err) {
       _coolOffByMint[mint] = Date.now(); // ADD: start cooldown on any failure
+      riskAuthority.releaseBuy(riskHold).catch(() => {});
       console.error("❌ Swap failed:", err.message);
       throw new Error(`swap-failed: ${err.message || err}`);
     }
@@ -241,6 +253,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
   } catch (err) {
     console.error("❌ Enrichment error:", err.message);
   }
+  if (riskHold && usdValue != null) riskAuthority.settleBuy(riskHold, usdValue).catch(() => {});
 
   if (!walletId) throw new Error("❌ walletId missing from meta");
   const walletRow = await prisma.wallet.findUnique({
@@ -286,7 +299,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
   );
 
   // Deduplicate recent trade (kept from original implementation)
-  const recent = await prisma.trade.findFirst({
+  const recent = !simulated && await prisma.trade.findFirst({
     where: {
       userId,
       mint,
@@ -332,6 +345,11 @@ try {
       mevShared: shared,
       inputMint: quote.inputMint,
       outputMint: quote.outputMint,
+      // simulated rows are flagged so P&L, risk and the FIFO book can tell them apart
+      extras: {
+        ...(meta.openTradeExtras || {}),
+        ...(simulated ? { isPaper: true, simulated: true } : {}),
+      },
     },
   });
 } catch (err) {
@@ -340,6 +358,18 @@ try {
 }
 
 
+  // strategy pipelines (e.g. hand the position to an exit bot)
+  emitBotEvent("trade", {
+    botId: meta.botId || null, userId, walletId, mode: strategy,
+    side: "buy", mint, txHash, entryPrice, entryPriceUSD, usdValue, simulated,
+  });
+  // outbound notifications / signed webhooks (persisted; never throws)
+  sendNotification(userId, "TRADE_OPENED", {
+    mint, side: "buy", strategy, botId: meta.botId || null, walletId, walletLabel,
+    txHash, entryPrice, entryPriceUSD, usdValue, simulated,
+    inAmount: String(quote.inAmount), outAmount: String(quote.outAmount),
+  });
+
   // ======== ADD: auto-create TP/SL rule if already supplied (no new inputs) ========
   if (((Number(tp) || 0) !== 0 || (Number(sl) || 0) !== 0) && !["rotationbot", "rebalancer"].includes(String(strategy||"").toLowerCase())) {
     try {
@@ -27,6 +27,9 @@ const getTokenPriceModule   = require("../paid_api/getTokenPrice");
 const getSolPrice           = getTokenPriceModule.getSolPrice;
 const { sendAlert }         = require("../../../telegram/alerts");
 const { trackPendingTrade } = require("./txTracker");
+const riskAuthority = require("../../riskAuthority");
+const { emitBotEvent } = require("../../pipelines/botEvents");
+const { sendNotification } = require("../../notifications");
 const { getKeypairForTrade }= require("../../../armEncryption/resolveKeypair");
 const { closePositionFIFO } = require("../../utils/analytics/fifoReducer");
 
@@ -244,7 +247,13 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
 
   // Execute BUY
   let txHash = null;
+  let riskHold = null;
   if (!simulated) {
+    // Portfolio-wide risk check (answered by the API server for child bots)
+    riskHold = await riskAuthority.guardBuy({
+      quote, mint, userId, botId: meta.botId || strategy,
+      solPriceUsd: quote.inputMint === SOL_MINT ? await getPriceCached(userId, SOL_MINT) : null,
+    });
     try {
       console.log("🔁 Executing live BUY swap…");
       txHash = await executeSwap({
@@ -269,6 +278,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
       trackPendingTrade(txHash, mint, meta.botId || strategy);
     } catch (err) {
       _coolOffByMint[mint] = Date.now();
+      riskAuthority.releaseBuy(riskHold).catch(() => {});
       console.error("❌ BUY failed:", err.message);
       throw new Error(`swap-failed: ${err.message || err}`);
     }
@@ -290,6 +300,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
   } catch (err) {
     console.error("❌ Enrichment error:", err.message);
   }
+  if (riskHold && usdValue != null) riskAuthority.settleBuy(riskHold, usdValue).catch(() => {});
 
   // Wallet label
   const walletRow = await prisma.wallet.findUnique({
@@ -409,6 +420,18 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
     console.error("❌ DB write failed (trade.create):", err.message);
   }
 
+  // strategy pipelines (e.g. hand the position to an exit bot)
+  emitBotEvent("trade", {
+    botId: meta.botId || null, userId, walletId, mode: strategy,
+    side: "buy", mint, txHash, entryPrice, entryPriceUSD, usdValue, simulated,
+  });
+  // outbound notifications / signed webhooks (persisted; never throws)
+  sendNotification(userId, "TRADE_OPENED", {
+    mint, side: "buy", strategy, botId: meta.botId || null, walletId, walletLabel,
+    txHash, entryPrice, entryPriceUSD, usdValue, simulated,
+    inAmount: String(quote.inAmount), outAmount: String(quote.outAmount),
+  });
+
   // Auto-create TP/SL rule if explicitly supplied
   if (((Number(tp) || 0) !== 0 || (Number(sl) || 0) !== 0)) {
     try {
@@ -148,6 +148,9 @@ const {
 // 🔹 NEW imports from the simplified executor
 const { assertMinLiquidity } = require('./liquidityGate');
 const { recordTradeClosed, recordExitReason } = require('../../../middleware/metrics');
+const riskAuthority = require('../../riskAuthority');
+const { emitBotEvent } = require('../../pipelines/botEvents');
+const { sendNotification } = require('../../notifications');
 
 // (Legacy placeholder kept for back-compat; no longer used when RpcPool is configured)
 // const RpcQuorumClient = require('./rpcQuorumClient');
@@ -704,6 +707,11 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
       const exp = idempotencyTtlMs ? Date.now() + Number(idempotencyTtlMs) : undefined;
       _idemCache.set(idempotencyKey, { res: sim, exp });
     }
+    // like the other executors, a simulated fill still raises a (flagged) trade event
+    emitBotEvent('trade', {
+      botId: botId || null, userId, walletId, mode: strategy,
+      side: 'buy', mint, txHash: sim.tx, simulated: true,
+    });
     return sim;
   }
 
@@ -1044,6 +1052,15 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
     return txHash;
   }
 
+  // Portfolio-wide risk check (answered by the API server for child bots)
+  const riskSolPx = !__isPaper && sizedQuote.inputMint === SOL_MINT ? await getSolPrice(userId) : null;
+  const riskHold = __isPaper ? null : await riskAuthority.guardBuy({
+    quote: sizedQuote, mint, userId, botId: botId || strategy, solPriceUsd: riskSolPx,
+  });
+  // USD actually spent by a partial send (probe without scale)
+  const riskSpentUsd = (inAmount) =>
+    riskAuthority.quoteSpendUsd({ inputMint: sizedQuote.inputMint, inAmount }, riskSolPx);
+
   // Probe Buy then Scale
   let txHash = null;
   if (probe?.enabled) {
@@ -1067,6 +1084,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
     } catch (err) {
       const cls = classifyError(err?.message || err?.toString());
       _recordTotal(cls);
+      riskAuthority.releaseBuy(riskHold).catch(() => {});
       throw err;
     }
 
@@ -1075,6 +1093,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
       inc('probe_abort_total', 1);
       try { idempotencyStore.set(stableIdKey, probeTx || 'probe-aborted'); } catch {}
       _recordTotal('NONE');
+      riskAuthority.settleBuy(riskHold, riskSpentUsd(probeIn)).catch(() => {});
       try {
         const _sendDuration = Date.now() - _buildStart;
         observe('hotpath_ms', _sendDuration, { stage: 'build', strategy: 'turbo' });
@@ -1105,6 +1124,8 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
       } catch (err) {
         const cls = classifyError(err?.message || err?.toString());
         _recordTotal(cls);
+        // the probe already landed; keep only its share booked
+        riskAuthority.settleBuy(riskHold, riskSpentUsd(probeIn)).catch(() => {});
         throw err;
       }
       txHash = scaleTx || probeTx || null;
@@ -1127,6 +1148,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
     } catch (err) {
       const cls = classifyError(err?.message || err?.toString());
       _recordTotal(cls);
+      riskAuthority.releaseBuy(riskHold).catch(() => {});
       throw err;
     }
     try {
@@ -1171,6 +1193,7 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
   } catch (e) {
     console.warn("Enrichment error:", e.message);
   }
+  if (riskHold && usdValue != null) riskAuthority.settleBuy(riskHold, usdValue).catch(() => {});
 
   /* ——— 3️⃣  Trade record ——— */
   const walletRow = await prisma.wallet.findUnique({
@@ -1225,6 +1248,21 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
       },
     });
   }
+  if (txHash) {
+    // paper fills come back with a fake hash; flag them like a dry run
+    const simulatedFill = simulated || __isPaper;
+    // strategy pipelines (e.g. hand the position to an exit bot)
+    emitBotEvent('trade', {
+      botId: botId || null, userId, walletId, mode: strategy,
+      side: 'buy', mint, txHash, entryPrice, entryPriceUSD, usdValue, simulated: simulatedFill,
+    });
+    // outbound notifications / signed webhooks (persisted; never throws)
+    sendNotification(userId, 'TRADE_OPENED', {
+      mint, side: 'buy', strategy, botId: botId || null, walletId, walletLabel,
+      txHash, entryPrice, entryPriceUSD, usdValue, simulated: simulatedFill,
+      inAmount: String(sizedQuote.inAmount), outAmount: String(sizedQuote.outAmount),
+    });
+  }
 
   /* ——— 4️⃣  Post-trade side-effects (non-blocking) ——— */
   (async () => {
@@ -1233,8 +1271,11 @@ async function execTrade({ quote, mint, meta, simulated = false }) {
       "confirmed"
     );
 
-    /* TP/SL rule */
+    /* TP/SL rule – skipped when the post-trade chain installs a ladder/trailing plan */
+    const chainOwnsExits = !!txHash && Array.isArray(postTx?.chain) &&
+      (postTx.chain.includes("tp") || postTx.chain.includes("trail"));
     if (
+      !chainOwnsExits &&
       !["rotationbot", "rebalancer"].includes(
         strategy.toLowerCase()
       ) &&
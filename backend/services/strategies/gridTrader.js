@@ -0,0 +1,359 @@
+/** Grid Trader Strategy Module
+ * - Lays virtual buy/sell levels across [lowerPrice, upperPrice] for one
+ *   mint (arithmetic or geometric spacing – see core/gridLevels.js).
+ * - Buys `amountToSpend` SOL per level when price crosses down through it,
+ *   sells that level's tokens one level higher.
+ * - Tracks inventory per level; leaving the range by more than
+ *   `stopOutPct` liquidates (or holds, `stopOutAction: "hold"`) and stops.
+ * - Buys go through the trade executor (dryRun → simulateBuy; paperMode →
+ *   paper execution adapter, then simulateBuy with its slippage applied).
+ * - Live buys book the tokens the wallet actually received; live sells are
+ *   capped at the wallet's token balance, swap back to SOL and close the
+ *   grid's live buy rows FIFO, like a manual sell. Simulated sells close
+ *   the paper rows the simulated buys wrote.
+ */
+const fs              = require("fs");
+const { v4: uuid }    = require("uuid");
+/* infra ----------------------------------------------------------- */
+const { strategyLog }           = require("./logging/strategyLogger");
+const { createSummary }         = require("./core/alerts");
+const wm                        = require("./core/walletManager");
+const { getSafeQuote }          = require("./core/quoteHelper");
+const { liveBuy, simulateBuy }  = require("./core/tradeExecutor");
+const { executeSwap }           = require("../../utils/swap");
+const { getMintDecimals }       = require("../../utils/tokenAccounts");
+const { getTokenBalanceRaw }    = require("../../utils/marketData");
+const { closePositionFIFO }     = require("../utils/analytics/fifoReducer");
+const { executePaperTrade }     = require("./core/paperTrader/paperExecutionAdapter");
+const runLoop                   = require("./core/loopDriver");
+const { initTxWatcher }         = require("./core/txTracker");
+const { emitBotEvent }          = require("../pipelines/botEvents");
+const { lastTickTimestamps,
+        runningProcesses }      = require("../utils/strategy_utils/activeStrategyTracker");
+const { getWalletBalance, isAboveMinBalance } = require("../utils");
+const getTokenPrice = require("./paid_api/getTokenPrice");
+const SOL_MINT      = getTokenPrice.SOL_MINT;
+const getSolPrice   = getTokenPrice.getSolPrice;
+const grid          = require("./core/gridLevels");
+
+/* ───────────────────────────────────────────────────────────────── */
+module.exports = async function gridTrader(cfg = {}) {
+  if (!cfg.tokenMint) {
+    console.error("gridTrader: cfg.tokenMint is required");
+    return;
+  }
+
+  const botId = cfg.botId || "manual";
+  const log   = strategyLog("gridTrader", botId, cfg);
+  const sum   = createSummary("Grid Trader", log, cfg.userId);
+  const MINT  = cfg.tokenMint;
+
+  /* ----------- config ------------------------------------------- */
+  const SPACING        = grid.SPACINGS.includes(cfg.spacing) ? cfg.spacing : "arithmetic";
+  const LEVELS         = grid.buildGrid({
+    lowerPrice: cfg.lowerPrice,
+    upperPrice: cfg.upperPrice,
+    levels    : +cfg.gridLevels || 10,
+    spacing   : SPACING,
+  });
+  const LEVEL_LAMPORTS = Math.round((+cfg.amountToSpend || 0.05) * 1e9);   // SOL per level
+  const STOP_OUT_PCT   = +cfg.stopOutPct || 0;
+  const STOP_OUT_SELL  = cfg.stopOutAction !== "hold";
+  const SLIPPAGE       = +cfg.slippage || 0.5;
+  const MAX_IMPACT     = +cfg.maxSlippage || 0.15;
+  const PRIORITY_FEE   = +cfg.priorityFeeLamports || 0;
+  const MAX_TRADES     = +cfg.maxTrades || 100;          // orders, not levels
+  const HALT_ON_FAILS  = +cfg.haltOnFailures || 3;
+  const INTERVAL_MS    = Math.round((+cfg.interval || 15) * 1_000);
+  const PAPER          = cfg.paperMode === true;
+  const SIMULATED      = PAPER || cfg.dryRun === true;
+  const execTrade      = SIMULATED ? simulateBuy : liveBuy;
+  const STRATEGY       = "Grid Trader";
+
+  /* paper execution adapter (same knobs as paperTrader) */
+  const PAPER_CFG = {
+    execModel: cfg.execModel || "ideal",
+    seed: cfg.seed || null,
+    latency: cfg.latency || null,
+    slippageBpsCap: cfg.slippageBpsCap || null,
+    failureRates: cfg.failureRates || null,
+    partials: cfg.partials || null,
+    priorityFeeLamports: PRIORITY_FEE || null,
+  };
+
+  const state  = grid.createGridState(LEVELS);
+  const seenTx = new Set();   // live hashes already booked
+  let trades = 0;
+  let fails  = 0;
+  let stoppedOut = null;      // "below" | "above" once the range is left
+  let h;
+
+  await wm.initWalletFromDb(cfg.userId, cfg.walletId);
+  initTxWatcher("GridTrader");
+
+  log("info",
+    `[CONFIG] ${LEVELS.length} ${SPACING} levels $${LEVELS[0]}–$${LEVELS[LEVELS.length - 1]}, ` +
+    `${LEVEL_LAMPORTS / 1e9} SOL/level, stop-out ±${STOP_OUT_PCT}% (${STOP_OUT_SELL ? "sell" : "hold"}), ` +
+    `${PAPER ? "paper" : SIMULATED ? "dry-run" : "live"}`);
+
+  function finish(reason) {
+    if (runningProcesses[botId]) runningProcesses[botId].finished = true;
+    clearInterval(h);
+    log("summary", `✅ GridTrader stopped (${reason})`);
+  }
+
+  /* raw token balance of the bot wallet */
+  const tokenBalance = () => getTokenBalanceRaw(wm.current().publicKey, MINT);
+
+  /* swap tokens → SOL and book the exit against the grid's buy rows */
+  async function liveSell(quote) {
+    const txHash = await executeSwap({
+      quote,
+      wallet       : wm.current(),
+      shared       : false,
+      priorityFee  : PRIORITY_FEE,
+      tipLamports  : 0,
+      privateRpcUrl: process.env.PRIVATE_SOLANA_RPC_URL || process.env.SOLANA_RPC_URL,
+      skipPreflight: true,
+    });
+    if (!txHash) return null;
+    await bookSell(quote, txHash);
+    return txHash;
+  }
+
+  /* tokens a confirmed live buy delivered: the balance delta, else the quote */
+  async function receivedSince(before, quoted) {
+    if (before != null) {
+      const delta = Number((await tokenBalance().catch(() => before)) - before);
+      if (delta > 0) return delta;
+    }
+    log("warn", `⚠️ no balance delta for the buy – booking the quoted ${quoted} tokens`);
+    return quoted;
+  }
+
+  /* close the sold tokens FIFO – live rows for a real tx, paper rows otherwise */
+  async function bookSell(quote, txHash) {
+    try {
+      const decimals = await getMintDecimals(MINT);
+      const exitPriceSOL = (Number(quote.outAmount) * 10 ** decimals) / (Number(quote.inAmount) * 1e9);
+      const solUSD = await getSolPrice(cfg.userId).catch(() => null);
+      await closePositionFIFO({
+        userId       : cfg.userId,
+        walletId     : cfg.walletId,
+        mint         : MINT,
+        strategy     : STRATEGY,
+        triggerType  : "grid",
+        amountSold   : Number(quote.inAmount),
+        removedAmount: Number(quote.inAmount),
+        exitPrice    : exitPriceSOL,
+        exitPriceUSD : solUSD ? +(exitPriceSOL * solUSD).toFixed(6) : null,
+        txHash,
+        slippage     : SLIPPAGE,
+        decimals,
+        simulated    : SIMULATED,
+      });
+    } catch (err) {
+      // the tokens are sold either way; only the book is behind
+      log("warn", `⚠️ sell ${txHash || "(simulated)"} not booked: ${err.message}`);
+    }
+  }
+
+  /**
+   * One aggregated order for the crossed slots. Resolves true when it
+   * filled; a rejected quote, simulated failure or an order the executor
+   * short-circuited as a duplicate leaves the slots untouched.
+   */
+  async function placeOrder(side, idxs, price) {
+    const selling = side === "sell";
+    let amount = selling
+      ? Math.floor(grid.inventoryOf(state, idxs))
+      : LEVEL_LAMPORTS * idxs.length;
+    if (selling && !SIMULATED) {
+      const held = Number(await tokenBalance());
+      if (held < amount) {
+        log("warn", `⚠️ wallet holds ${held} of ${amount} tokens booked on levels ${idxs.join(",")} – selling what is there`);
+        amount = held;
+      }
+      if (!(amount > 0)) {
+        // nothing left to sell: release the levels instead of retrying forever
+        grid.applySell(state, idxs, { proceedsSol: 0 });
+        sum.inc("sellEmpty");
+        return true;
+      }
+    }
+    if (!(amount > 0)) return false;
+
+    const { ok, quote, reason } = await getSafeQuote({
+      inputMint   : selling ? MINT : SOL_MINT,
+      outputMint  : selling ? SOL_MINT : MINT,
+      amount,
+      slippage    : SLIPPAGE,
+      maxImpactPct: MAX_IMPACT,
+    });
+    if (!ok) {
+      log("warn", `❌ ${side} quote failed (${reason || "unknown"})`);
+      sum.inc("quoteFail");
+      return false;
+    }
+    if (PRIORITY_FEE > 0) quote.prioritizationFeeLamports = PRIORITY_FEE;
+
+    const meta = {
+      strategy : STRATEGY,
+      category : "GridTrader",
+      walletId : cfg.walletId,
+      userId   : cfg.userId,
+      botId,
+      slippage : SLIPPAGE,
+      // one key per order so neighbouring levels aren't merged by the TTL gate
+      idempotencyKey: `grid:${botId}:${side}:${uuid()}`,
+      openTradeExtras: { strategy: "gridTrader", side, levels: idxs, ...(PAPER && { isPaper: true, simulated: true }) },
+    };
+
+    let fill = quote;
+    if (PAPER) {
+      const sim = await executePaperTrade({ quote, mint: MINT, meta, config: PAPER_CFG });
+      if (sim?.reason_code) {
+        log("warn", `🧪 paper ${side} failed (${sim.reason_code})`);
+        sum.inc("paperFail");
+        fails++;
+        return false;
+      }
+      const slip = Number(sim?.slippage_bps || 0) / 10_000;
+      fill = { ...quote, outAmount: String(Math.floor(Number(quote.outAmount) / (1 + slip))) };
+    }
+
+    log("info", `[🚀 ${side.toUpperCase()} ATTEMPT] levels ${idxs.join(",")} @ $${price}`);
+    let txHash;
+    let before = null;
+    try {
+      if (!selling && !SIMULATED) before = await tokenBalance().catch(() => null);
+      if (!selling) txHash = await execTrade({ quote: fill, mint: MINT, meta });
+      else if (!SIMULATED) txHash = await liveSell(fill);
+      else await bookSell(fill, null);
+    } catch (err) {
+      fails++;
+      sum.inc("errors");
+      log("error", `❌ ${side} failed: ${err.message}`);
+      return false;
+    }
+    if (!SIMULATED) {
+      if (selling && !txHash) {
+        log("warn", "⛔ sell not sent – retrying next tick");
+        sum.inc("sellFail");
+        fails++;
+        return false;
+      }
+      if (!txHash || seenTx.has(txHash)) {
+        log("warn", `⛔ ${side} skipped by the executor's duplicate guard – retrying next tick`);
+        sum.inc("dupSkipped");
+        return false;
+      }
+      seenTx.add(txHash);
+    }
+
+    if (selling) {
+      const pnl = grid.applySell(state, idxs, { proceedsSol: Number(fill.outAmount) / 1e9 });
+      log("info", `[🎆 SELL] levels ${idxs.join(",")} pnl ${pnl.toFixed(4)} SOL (total ${state.realizedSol.toFixed(4)})` +
+        (SIMULATED ? " (simulated)" : ` tx ${txHash}`));
+      sum.inc("sells");
+    } else {
+      const qty = SIMULATED ? Number(fill.outAmount) : await receivedSince(before, Number(fill.outAmount));
+      grid.applyBuy(state, idxs, { qty, costSol: Number(fill.inAmount ?? amount) / 1e9 });
+      log("info", `[🎆 BUY] levels ${idxs.join(",")} ${SIMULATED ? "(simulated)" : `tx ${txHash}`}`);
+      sum.inc("buys");
+    }
+
+    fails = 0;
+    trades++;
+    emitBotEvent("signal", {
+      signal: "grid",
+      botId, userId: cfg.userId, walletId: cfg.walletId, mode: "gridTrader",
+      data: {
+        event: side, mint: MINT, price, levels: idxs,
+        holding: grid.holdingSlots(state).length,
+        realizedSol: +state.realizedSol.toFixed(6),
+        simulated: SIMULATED,
+      },
+    });
+    return true;
+  }
+
+  /* ----------- main loop ---------------------------------------- */
+  async function tick() {
+    log("loop", `Tick @ ${new Date().toLocaleTimeString()}`);
+    lastTickTimestamps[botId] = Date.now();
+
+    if (fails >= HALT_ON_FAILS) {
+      log("error", "🛑 Error limit hit — gridTrader shutting down");
+      await sum.printAndAlert("GridTrader halted on errors");
+      return finish("errors");
+    }
+    if (trades >= MAX_TRADES) {
+      await sum.printAndAlert("GridTrader");
+      return finish("max-trades reached");
+    }
+
+    try {
+      if (!SIMULATED && !(await wm.ensureMinBalance(+cfg.minSolBalance || 0.05, getWalletBalance, isAboveMinBalance))) {
+        log("error", "🛑 Wallet SOL balance below safe minimum – stopping bot");
+        await sum.printAndAlert("GridTrader halted: insufficient SOL");
+        return finish("insufficient SOL");
+      }
+
+      const price = await getTokenPrice(cfg.userId, MINT).catch(() => 0);
+      if (!(price > 0)) {
+        log("warn", "⚠️ No price – skipping tick");
+        return sum.inc("skipped.noPrice");
+      }
+
+      const plan = grid.planGridActions(state, price, { stopOutPct: STOP_OUT_PCT });
+
+      /* stop-out: price left the range – sticky until liquidated ---- */
+      if (plan.stopOut || stoppedOut) {
+        stoppedOut = stoppedOut || plan.stopOut;
+        const held = grid.holdingSlots(state);
+        log("warn", `🛑 Price $${price} left the range (${stoppedOut}) – stop-out, ${held.length} level(s) held`);
+        if (STOP_OUT_SELL && held.length && !(await placeOrder("sell", held, price))) {
+          return;                            // retry the liquidation next tick
+        }
+        emitBotEvent("signal", {
+          signal: "grid",
+          botId, userId: cfg.userId, walletId: cfg.walletId, mode: "gridTrader",
+          data: {
+            event: "stopOut", mint: MINT, price, side: stoppedOut,
+            liquidated: STOP_OUT_SELL, holding: grid.holdingSlots(state).length,
+            realizedSol: +state.realizedSol.toFixed(6),
+          },
+        });
+        await sum.printAndAlert("GridTrader stop-out");
+        return finish(`stop-out ${stoppedOut}`);
+      }
+
+      /* sells before buys so freed SOL is there for the next leg ---- */
+      if (plan.sells.length) await placeOrder("sell", plan.sells, price);
+      if (plan.buys.length && trades < MAX_TRADES) {
+        if (!(await placeOrder("buy", plan.buys, price))) grid.markPending(state, plan.buys);
+      }
+      grid.markPrice(state, price);
+
+      if (!plan.sells.length && !plan.buys.length) sum.inc("noAction");
+    } catch (e) {
+      fails++;
+      sum.inc("errors");
+      log("error", e?.message || String(e));
+    }
+  }
+
+  /* schedule loop */
+  h = runLoop(tick, INTERVAL_MS, { label: "gridTrader", botId });
+  runningProcesses[botId] = { proc: h, mode: "gridTrader" };
+};
+
+/* CLI helper */
+if (require.main === module) {
+  const fp = process.argv[2];
+  if (!fp || !fs.existsSync(fp)) {
+    console.error("Pass config JSON"); process.exit(1);
+  }
+  module.exports(JSON.parse(fs.readFileSync(fp, "utf8")));
+}
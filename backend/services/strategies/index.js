@@ -11,5 +11,8 @@ module.exports = {
     dipBuyer: require("./dipBuyer"),
     stealthBot: require("./stealthBot"),
     turboSniper: require("./turboSniper"),
+    copyTrader: require("./copyTrader"),
+    gridTrader: require("./gridTrader"),
+    meanReversion: require("./meanReversion"),
   };
   
\ No newline at end of file
@@ -11,7 +11,9 @@ function socketBroadcast(obj) {
 }
 
 const allowed = ["sniper", "breakout", "chadMode", "delayedSniper", "dipBuyer",
-  "paperTrader", "rebalancer", "rotationBot", "scalper", "trendFollower", "stealthbot", "scheduleLauncher", "scheduled",
+  "paperTrader", "rebalancer", "rotationBot", "scalper", "trendFollower", "stealthbot", "copyTrader", "scheduleLauncher", "scheduled",
+  "gridTrader",
+  "meanReversion",
 ]; // ✅ allow-list
 const allowedNormalized = allowed.map(s => s.toLowerCase());
 
@@ -0,0 +1,387 @@
+/** Mean Reversion Strategy Module
+ * - Watches one mint on rolling OHLCV candles and measures the z-score
+ *   of price against the rolling VWAP or Bollinger mid
+ *   (core/signals/meanReversion.js).
+ * - Buys when price is `entryZ` deviations below the mean, unless the
+ *   Trend Follower EMA filter says the market is trending.
+ * - Spends `amountToSpend` SOL scaled up with the deviation depth and
+ *   exits on reversion to the mean, a time stop or an optional stop
+ *   loss (core/risk/meanReversionPolicy.js).
+ * - Buys go through the trade executor (dryRun → simulateBuy); a live buy
+ *   books the tokens the wallet actually received. Live exits are capped
+ *   at the wallet's token balance, swap back to SOL and close the live buy
+ *   rows FIFO with the exit reason as trigger; dry-run exits close the
+ *   paper rows.
+ * - On start the position is restored from the strategy's open rows for
+ *   this wallet/mint, so a restart still exits what an earlier run bought.
+ */
+const fs              = require("fs");
+const { v4: uuid }    = require("uuid");
+const prisma          = require("../../prisma/prisma");
+/* infra ----------------------------------------------------------- */
+const { strategyLog }           = require("./logging/strategyLogger");
+const { createSummary }         = require("./core/alerts");
+const wm                        = require("./core/walletManager");
+const { getSafeQuote }          = require("./core/quoteHelper");
+const { liveBuy, simulateBuy }  = require("./core/tradeExecutor");
+const { executeSwap }           = require("../../utils/swap");
+const { getMintDecimals }       = require("../../utils/tokenAccounts");
+const { getTokenBalanceRaw }    = require("../../utils/marketData");
+const { closePositionFIFO,
+        isSimulatedRow }        = require("../utils/analytics/fifoReducer");
+const { fetchCandles }          = require("./core/backtest/candleSource");
+const runLoop                   = require("./core/loopDriver");
+const { initTxWatcher }         = require("./core/txTracker");
+const { emitBotEvent }          = require("../pipelines/botEvents");
+const { lastTickTimestamps,
+        runningProcesses }      = require("../utils/strategy_utils/activeStrategyTracker");
+const { getWalletBalance, isAboveMinBalance } = require("../utils");
+const getTokenPrice = require("./paid_api/getTokenPrice");
+const SOL_MINT      = getTokenPrice.SOL_MINT;
+const getSolPrice   = getTokenPrice.getSolPrice;
+const revertSignals = require("./core/signals/meanReversion");
+const revertRisk    = require("./core/risk/meanReversionPolicy");
+
+/* Birdeye candle types → bar length */
+const CANDLE_MS = {
+  "1m": 60_000, "3m": 180_000, "5m": 300_000, "15m": 900_000, "30m": 1_800_000,
+  "1H": 3_600_000, "2H": 7_200_000, "4H": 14_400_000, "1D": 86_400_000,
+};
+
+/* ───────────────────────────────────────────────────────────────── */
+module.exports = async function meanReversion(cfg = {}) {
+  if (!cfg.tokenMint) {
+    console.error("meanReversion: cfg.tokenMint is required");
+    return;
+  }
+
+  const botId = cfg.botId || "manual";
+  const log   = strategyLog("meanReversion", botId, cfg);
+  const sum   = createSummary("Mean Reversion", log, cfg.userId);
+  const MINT  = cfg.tokenMint;
+
+  /* ----------- config ------------------------------------------- */
+  const SIGNAL = {
+    anchor      : revertSignals.ANCHORS.includes(cfg.anchor) ? cfg.anchor : "vwap",
+    period      : +cfg.lookback || 20,
+    entryZ      : +cfg.entryZ || 2,
+    trendFilter : cfg.trendFilter !== false,
+    trendPeriods: cfg.emaPeriods || [10, 30, 60],
+  };
+  const SIZING = {
+    entryZ       : SIGNAL.entryZ,
+    fullZ        : +cfg.fullSizeZ || SIGNAL.entryZ * 2,
+    maxMultiplier: +cfg.maxSizeMultiplier || 2,
+  };
+  const CANDLE_TYPE   = CANDLE_MS[cfg.candleInterval] ? cfg.candleInterval : "1m";
+  const BARS_NEEDED   = 3 * (SIGNAL.trendFilter ? Math.max(SIGNAL.period, ...SIGNAL.trendPeriods) : SIGNAL.period);
+  const BASE_SOL      = +cfg.amountToSpend || 0.05;
+  const EXIT_Z        = +cfg.exitZ || 0;
+  const MAX_HOLD_MS   = (cfg.maxHoldMinutes != null ? +cfg.maxHoldMinutes : 60) * 60_000;
+  const STOP_LOSS     = (+cfg.stopLossPct || 0) / 100;          // UI sends whole percents
+  const SLIPPAGE      = +cfg.slippage || 0.5;
+  const MAX_IMPACT    = +cfg.maxSlippage || 0.15;
+  const PRIORITY_FEE  = +cfg.priorityFeeLamports || 0;
+  const MAX_TRADES    = +cfg.maxTrades || 10;                 // round trips
+  const HALT_ON_FAILS = +cfg.haltOnFailures || 3;
+  const INTERVAL_MS   = Math.round((+cfg.interval || 60) * 1_000);
+  const SIMULATED     = cfg.dryRun === true;
+  const execTrade     = SIMULATED ? simulateBuy : liveBuy;
+  const STRATEGY      = "Mean Reversion";
+
+  const seenTx = new Set();   // live hashes already booked
+  let position = null;        // { qty, costSol, entryPrice, entryTs, z }
+  let trades = 0;
+  let fails  = 0;
+  let realizedSol = 0;
+  let h;
+
+  await wm.initWalletFromDb(cfg.userId, cfg.walletId);
+  initTxWatcher("MeanReversion");
+  position = await restorePosition();
+  if (position) {
+    log("info", `♻️ Restored open position: ${position.qty} tokens for ${position.costSol} SOL @ $${position.entryPrice}`);
+  }
+
+  log("info",
+    `[CONFIG] ${SIGNAL.anchor} z-score over ${SIGNAL.period}×${CANDLE_TYPE}, entry ≤ −${SIGNAL.entryZ}σ, ` +
+    `exit ≥ mean−${EXIT_Z}σ or ${MAX_HOLD_MS / 60_000}m, ${BASE_SOL}–${BASE_SOL * SIZING.maxMultiplier} SOL, ` +
+    `trend filter ${SIGNAL.trendFilter ? "on" : "off"}, ${SIMULATED ? "dry-run" : "live"}`);
+
+  function finish(reason) {
+    if (runningProcesses[botId]) runningProcesses[botId].finished = true;
+    clearInterval(h);
+    log("summary", `✅ MeanReversion stopped (${reason})`);
+  }
+
+  function emit(event, data) {
+    emitBotEvent("signal", {
+      signal: "meanReversion",
+      botId, userId: cfg.userId, walletId: cfg.walletId, mode: "meanReversion",
+      data: { event, mint: MINT, ...data, realizedSol: +realizedSol.toFixed(6), simulated: SIMULATED },
+    });
+  }
+
+  /* open rows a previous run left behind – live rows live, paper rows in a dry run */
+  async function restorePosition() {
+    const rows = (await prisma.trade.findMany({
+      where  : { userId: cfg.userId, walletId: cfg.walletId, mint: MINT, strategy: STRATEGY, outAmount: { gt: 0 } },
+      orderBy: { timestamp: "asc" },
+    })).filter((r) => isSimulatedRow(r) === SIMULATED);
+    if (!rows.length) return null;
+    return {
+      qty       : rows.reduce((s, r) => s + Number(r.outAmount), 0),
+      costSol   : rows.reduce((s, r) => s + Number(r.inAmount), 0) / 1e9,
+      entryPrice: rows[0].entryPriceUSD || 0,
+      entryTs   : new Date(rows[0].timestamp).getTime(),
+      z         : rows[0].extras?.z ?? null,
+    };
+  }
+
+  /* raw token balance of the bot wallet */
+  const tokenBalance = () => getTokenBalanceRaw(wm.current().publicKey, MINT);
+
+  /* tokens a confirmed live buy delivered: the balance delta, else the quote */
+  async function receivedSince(before, quoted) {
+    if (before != null) {
+      const delta = Number((await tokenBalance().catch(() => before)) - before);
+      if (delta > 0) return delta;
+    }
+    log("warn", `⚠️ no balance delta for the buy – booking the quoted ${quoted} tokens`);
+    return quoted;
+  }
+
+  /* swap tokens → SOL and book the exit against the buy rows */
+  async function liveSell(quote, reason) {
+    const txHash = await executeSwap({
+      quote,
+      wallet       : wm.current(),
+      shared       : false,
+      priorityFee  : PRIORITY_FEE,
+      tipLamports  : 0,
+      privateRpcUrl: process.env.PRIVATE_SOLANA_RPC_URL || process.env.SOLANA_RPC_URL,
+      skipPreflight: true,
+    });
+    if (!txHash) return null;
+    await bookExit(quote, txHash, reason);
+    return txHash;
+  }
+
+  /* close the sold tokens FIFO – live rows for a real tx, paper rows otherwise */
+  async function bookExit(quote, txHash, reason) {
+    try {
+      const decimals = await getMintDecimals(MINT);
+      const exitPriceSOL = (Number(quote.outAmount) * 10 ** decimals) / (Number(quote.inAmount) * 1e9);
+      const solUSD = await getSolPrice(cfg.userId).catch(() => null);
+      await closePositionFIFO({
+        userId       : cfg.userId,
+        walletId     : cfg.walletId,
+        mint         : MINT,
+        strategy     : STRATEGY,
+        triggerType  : reason,
+        amountSold   : Number(quote.inAmount),
+        removedAmount: Number(quote.inAmount),
+        exitPrice    : exitPriceSOL,
+        exitPriceUSD : solUSD ? +(exitPriceSOL * solUSD).toFixed(6) : null,
+        txHash,
+        slippage     : SLIPPAGE,
+        decimals,
+        simulated    : SIMULATED,
+      });
+    } catch (err) {
+      // the tokens are sold either way; only the book is behind
+      log("warn", `⚠️ exit ${txHash || "(simulated)"} not booked: ${err.message}`);
+    }
+  }
+
+  /**
+   * Quote and send one leg. Resolves the filled quote plus the tokens
+   * received (`received`, buys only), or null when the quote was rejected,
+   * the send threw or didn't go out, or the executor short-circuited the
+   * order as a duplicate.
+   */
+  async function placeOrder(side, amount, price, extras) {
+    const selling = side === "sell";
+    if (!(amount > 0)) return null;
+
+    const { ok, quote, reason } = await getSafeQuote({
+      inputMint   : selling ? MINT : SOL_MINT,
+      outputMint  : selling ? SOL_MINT : MINT,
+      amount,
+      slippage    : SLIPPAGE,
+      maxImpactPct: MAX_IMPACT,
+    });
+    if (!ok) {
+      log("warn", `❌ ${side} quote failed (${reason || "unknown"})`);
+      sum.inc("quoteFail");
+      return null;
+    }
+    if (PRIORITY_FEE > 0) quote.prioritizationFeeLamports = PRIORITY_FEE;
+
+    const meta = {
+      strategy : STRATEGY,
+      category : "MeanReversion",
+      walletId : cfg.walletId,
+      userId   : cfg.userId,
+      botId,
+      slippage : SLIPPAGE,
+      idempotencyKey: `meanrev:${botId}:${side}:${uuid()}`,
+      openTradeExtras: { strategy: "meanReversion", side, ...extras },
+    };
+
+    log("info", `[🚀 ${side.toUpperCase()} ATTEMPT] @ $${price}`);
+    let txHash;
+    let before = null;
+    try {
+      if (!selling && !SIMULATED) before = await tokenBalance().catch(() => null);
+      if (!selling) txHash = await execTrade({ quote, mint: MINT, meta });
+      else if (!SIMULATED) txHash = await liveSell(quote, extras.exitReason);
+      else await bookExit(quote, null, extras.exitReason);
+    } catch (err) {
+      fails++;
+      sum.inc("errors");
+      log("error", `❌ ${side} failed: ${err.message}`);
+      return null;
+    }
+    if (!SIMULATED) {
+      if (selling && !txHash) {
+        log("warn", "⛔ exit not sent – retrying next tick");
+        sum.inc("sellFail");
+        fails++;
+        return null;
+      }
+      if (!txHash || seenTx.has(txHash)) {
+        log("warn", `⛔ ${side} skipped by the executor's duplicate guard – retrying next tick`);
+        sum.inc("dupSkipped");
+        return null;
+      }
+      seenTx.add(txHash);
+    }
+    fails = 0;
+    if (selling) return quote;
+    const received = SIMULATED ? Number(quote.outAmount) : await receivedSince(before, Number(quote.outAmount));
+    return { ...quote, received };
+  }
+
+  /* ----------- main loop ---------------------------------------- */
+  async function tick() {
+    log("loop", `Tick @ ${new Date().toLocaleTimeString()}`);
+    lastTickTimestamps[botId] = Date.now();
+
+    if (fails >= HALT_ON_FAILS) {
+      log("error", "🛑 Error limit hit — meanReversion shutting down");
+      await sum.printAndAlert("MeanReversion halted on errors");
+      return finish("errors");
+    }
+    if (!position && trades >= MAX_TRADES) {
+      await sum.printAndAlert("MeanReversion");
+      return finish("max-trades reached");
+    }
+
+    try {
+      if (!SIMULATED && !(await wm.ensureMinBalance(+cfg.minSolBalance || 0.05, getWalletBalance, isAboveMinBalance))) {
+        log("error", "🛑 Wallet SOL balance below safe minimum – stopping bot");
+        await sum.printAndAlert("MeanReversion halted: insufficient SOL");
+        return finish("insufficient SOL");
+      }
+
+      const now = Date.now();
+      const bars = await fetchCandles(MINT, {
+        interval: CANDLE_TYPE,
+        from: now - BARS_NEEDED * CANDLE_MS[CANDLE_TYPE],
+        to: now,
+        userId: cfg.userId,
+      });
+      const price = await getTokenPrice(cfg.userId, MINT).catch(() => 0);
+      if (!(price > 0)) {
+        log("warn", "⚠️ No price – skipping tick");
+        return sum.inc("skipped.noPrice");
+      }
+      // the live price rides along as a zero-volume bar so z reflects this tick
+      const candles = [...bars, { ts: now, open: price, high: price, low: price, close: price, volume: 0 }];
+
+      /* exit -------------------------------------------------------- */
+      if (position) {
+        const { mean, stdDev } = revertSignals.zScore(candles, SIGNAL);
+        const reason = revertRisk.exitReason({
+          price, mean, stdDev,
+          entryPrice : position.entryPrice,
+          entryTs    : position.entryTs,
+          now,
+          exitZ      : EXIT_Z,
+          maxHoldMs  : MAX_HOLD_MS,
+          stopLossPct: STOP_LOSS,
+        });
+        if (!reason) return sum.inc("holding");
+
+        let qty = Math.floor(position.qty);
+        if (!SIMULATED) {
+          const held = Number(await tokenBalance());
+          if (held < qty) {
+            log("warn", `⚠️ wallet holds ${held} of the ${qty} tokens booked – selling what is there`);
+            qty = held;
+          }
+          if (!(qty > 0)) {
+            log("warn", "⚠️ no tokens left in the wallet – dropping the position");
+            sum.inc("exitEmpty");
+            position = null;
+            return;
+          }
+        }
+        const fill = await placeOrder("sell", qty, price, { exitReason: reason });
+        if (!fill) return;                   // retry the exit next tick
+        const pnl = Number(fill.outAmount) / 1e9 - position.costSol;
+        realizedSol += pnl;
+        log("info", `[🎆 SELL] ${reason} pnl ${pnl.toFixed(4)} SOL (total ${realizedSol.toFixed(4)})`);
+        sum.inc(`exit.${reason}`);
+        emit("exit", { price, reason, mean, pnlSol: +pnl.toFixed(6), heldMs: now - position.entryTs });
+        position = null;
+        trades++;
+        return;
+      }
+
+      /* entry ------------------------------------------------------- */
+      if (bars.length < SIGNAL.period) {
+        log("warn", `⚠️ ${bars.length}/${SIGNAL.period} candles – warming up`);
+        return sum.inc("skipped.warmup");
+      }
+      const sig = revertSignals.generateMeanReversionSignal(candles, SIGNAL);
+      if (!sig.enter) {
+        if (sig.reason === "trending") log("info", `📈 z=${sig.z.toFixed(2)} but trend filter is active – skipping`);
+        return sum.inc(sig.reason ? `skipped.${sig.reason}` : "noSignal");
+      }
+
+      const mult  = revertRisk.deviationSizeMultiplier(sig.z, SIZING);
+      const spend = Math.round(BASE_SOL * mult * 1e9);
+      log("info", `[🎯 SIGNAL] z=${sig.z.toFixed(2)} vs ${SIGNAL.anchor} $${sig.mean.toPrecision(6)} → ${(spend / 1e9).toFixed(4)} SOL (${mult.toFixed(2)}×)`);
+      const fill = await placeOrder("buy", spend, price, { z: +sig.z.toFixed(3), sizeMultiplier: +mult.toFixed(3) });
+      if (!fill) return;
+      position = {
+        qty       : fill.received,
+        costSol   : Number(fill.inAmount ?? spend) / 1e9,
+        entryPrice: price,
+        entryTs   : now,
+        z         : sig.z,
+      };
+      sum.inc("buys");
+      emit("entry", { price, z: +sig.z.toFixed(3), mean: sig.mean, sizeMultiplier: +mult.toFixed(3), spendSol: position.costSol });
+    } catch (e) {
+      fails++;
+      sum.inc("errors");
+      log("error", e?.message || String(e));
+    }
+  }
+
+  /* schedule loop */
+  h = runLoop(tick, INTERVAL_MS, { label: "meanReversion", botId });
+  runningProcesses[botId] = { proc: h, mode: "meanReversion" };
+};
+
+/* CLI helper */
+if (require.main === module) {
+  const fp = process.argv[2];
+  if (!fp || !fs.existsSync(fp)) {
+    console.error("Pass config JSON"); process.exit(1);
+  }
+  module.exports(JSON.parse(fs.readFileSync(fp, "utf8")));
+}
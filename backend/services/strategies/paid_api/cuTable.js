@@ -8,6 +8,7 @@ const CU_TABLE = {
   '/defi/token_creation_info': 50,
   '/defi/price_volume/single': 30,
   "/defi/v3/token/meta-data/single": 10, 
+  '/defi/ohlcv': 40,
 };
 
 module.exports = CU_TABLE;
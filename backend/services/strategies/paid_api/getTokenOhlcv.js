@@ -0,0 +1,38 @@
+const { birdeyeCUCounter } = require("./birdeyeCUCounter");
+const CU_TABLE = require("./cuTable");
+
+const URL = "https://public-api.birdeye.so/defi/ohlcv";
+
+/**
+ * Gets historical OHLCV candles for a token from Birdeye.
+ * Charges CU cost from CU_TABLE.
+ *
+ * Birdeye returns candles as { o, h, l, c, v, unixTime }; they are
+ * passed through untouched so callers can normalise them with the
+ * backtest candle source.
+ *
+ * @param {string} mint - Token mint address
+ * @param {object} opts
+ * @param {string} [opts.interval="15m"] - Birdeye candle type (1m, 5m, 15m, 1H, 4H, 1D …)
+ * @param {number} opts.from - unix seconds (inclusive)
+ * @param {number} opts.to   - unix seconds (inclusive)
+ * @param {string|null} [opts.userId] - User ID for CU tracking
+ * @returns {Promise<Array<{o:number,h:number,l:number,c:number,v:number,unixTime:number}>>}
+ */
+async function getTokenOhlcv(mint, { interval = "15m", from, to, userId = null } = {}) {
+  const data = await birdeyeCUCounter({
+    url: URL,
+    params: {
+      address: mint,
+      type: interval,
+      time_from: Math.floor(from),
+      time_to: Math.floor(to),
+    },
+    cuCost: CU_TABLE["/defi/ohlcv"],
+    userId,
+  });
+
+  return Array.isArray(data?.data?.items) ? data.data.items : [];
+}
+
+module.exports = getTokenOhlcv;
@@ -2,6 +2,9 @@
  * - Monitors wallet token balances. 
  * - Automatically swaps tokens to maintain a target ratio. 
  * - Great for maintaining long-term positions ( 60/40 split )
+ * - Per-asset tolerance bands or calendar (UTC) rebalancing, fixed /
+ *   inverse-vol / risk-parity targets and cash-flow-first funding –
+ *   see core/rebalancePlanner.js
 */
 const fs              = require("fs");
 const prisma          = require("../../prisma/prisma");
@@ -13,13 +16,14 @@ const { getTokenBalance }       = require("../../utils/marketData");
 const { getMintDecimals }       = require("../../utils/tokenAccounts");
 /* infra ----------------------------------------------------------- */
 const { strategyLog } = require("./logging/strategyLogger");
-const { createSummary, tradeExecuted }         = require("./core/alerts");
+const { createSummary }         = require("./core/alerts");
 const wm                        = require("./core/walletManager");
 const guards                    = require("./core/tradeGuards");
 const { getSafeQuote } = require("./core/quoteHelper");
 const { liveBuy, simulateBuy }  = require("./core/tradeExecutor");
 const runLoop                   = require("./core/loopDriver");
 const { initTxWatcher }         = require("./core/txTracker");
+const { emitBotEvent }          = require("../pipelines/botEvents");
 const { lastTickTimestamps,
         runningProcesses }      = require("../utils/strategy_utils/activeStrategyTracker");
 const { getWalletBalance, isAboveMinBalance } = require("../utils"); 
@@ -27,6 +31,9 @@ const getTokenPrice = require("./paid_api/getTokenPrice");
 const getSolPrice   = getTokenPrice.getSolPrice;
 const SOL_MINT      = getTokenPrice.SOL_MINT;
 const fetchLiveTokenBalances = require("./core/fetchLiveTokenBalances")
+const { readConfig, compileCalendar, isCalendarDue, nextCalendarRun,
+        toHoldings, planRebalance } = require("./core/rebalancePlanner");
+const { resolveTargets }        = require("./core/rebalancePreview");
 /* constants */
 const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
 // const SOL_MINT  = "So11111111111111111111111111111111111111112";
@@ -42,16 +49,14 @@ module.exports = async function rebalancer(cfg = {}) {
   let AUTO_TOKENS = [];
 
   /* ----------- config ------------------------------------------- */
-  let TARGET_MAP = cfg.targetAllocations ?? cfg.targetWeights ?? {};
-  /* ── normalise targets: accept 50 or 0.5 ─────────────── */
-if (Object.keys(TARGET_MAP).length) {
-  const sum = Object.values(TARGET_MAP).reduce((a, b) => a + b, 0);
-  const _pct = sum > 1.5 ? 100 : 1;          // if they look like “50 / 50”
-  for (const k in TARGET_MAP) TARGET_MAP[k] = +(TARGET_MAP[k] / _pct).toFixed(4);
-}
-  const THRESH_PCT      = (+cfg.rebalanceThreshold >= 1
-                           ? +cfg.rebalanceThreshold / 100
-                           : +cfg.rebalanceThreshold) || 0.05;
+  /* targets (50 or 0.5), bands, trigger, weighting, cash flows     */
+  const RC              = readConfig(cfg);
+  let TARGET_MAP        = RC.targets;
+  const THRESH_PCT      = RC.defaultBand;
+  const IS_CALENDAR     = RC.trigger === "calendar";
+  if (IS_CALENDAR) compileCalendar(RC.calendar || {});   // throws on a bad schedule
+  /* volatility weightings re-read price history this often */
+  const WEIGHTS_TTL_MS  = +cfg.weightsRefreshMs || 6 * 3_600_000;
   const SLIPPAGE        = +cfg.slippage || 0.5;
   const MAX_IMPACT      = +cfg.maxSlippage || 0.15;
   /* unified TP / SL */
@@ -139,7 +144,9 @@ if (cfg.autoWallet) {
     }
 
   let fails = 0;
-  let h; 
+  let h;
+  let cycleTargets    = null;         // { targets, source, at }
+  let lastCalendarRun = Date.now();   // first calendar run is the next scheduled slot
 
   /* ----------- main loop ---------------------------------------- */
   async function tick() {
@@ -149,6 +156,7 @@ if (cfg.autoWallet) {
 
 log("info",
   `[CONFIG] Δ≥ ${(THRESH_PCT*100).toFixed(2)}%, ` +
+  `trigger: ${RC.trigger}, weighting: ${RC.weighting}, cashFlows: ${RC.useCashFlows}, ` +
   `ROT every ${(CYCLE_MS/60000).toFixed(1)} min, ` +
   `SLIPPAGE: ${SLIPPAGE}%, maxTrades/cycle: ${MAX_TRADES}`);
 
@@ -168,23 +176,32 @@ log("info",
         return;
       }
 
+      /* 0️⃣  calendar gate ------------------------------------------ */
+      const now = Date.now();
+      if (IS_CALENDAR && !isCalendarDue(RC.calendar, lastCalendarRun, now)) {
+        log("debug", `Calendar rebalance not due – next ${new Date(nextCalendarRun(RC.calendar, lastCalendarRun)).toISOString()}`);
+        return sum.inc("skipped.notDue");
+      }
+
+      /* target weights – volatility modes refresh every WEIGHTS_TTL_MS */
+      if (!cycleTargets || now - cycleTargets.at > WEIGHTS_TTL_MS) {
+        const resolved = await resolveTargets({ ...RC, targets: TARGET_MAP }, { userId: cfg.userId, now });
+        cycleTargets = { ...resolved, at: now };
+        log("info", `Targets (${resolved.source}) = ${JSON.stringify(resolved.targets)}`);
+      }
+      const targets = cycleTargets.targets;
+
       /* 1️⃣  snapshot ------------------------------------------------ */
       /* always honour the user-supplied map if it exists            */
-      let mints = Object.keys(TARGET_MAP).length
-          ? Object.keys(TARGET_MAP).filter(m => TARGET_MAP[m] > 0)
+      const mints = Object.keys(targets).length
+          ? Object.keys(targets).filter(m => targets[m] > 0)
           : AUTO_TOKENS;
+      /* incoming SOL / USDC is only looked at when cash flows are on  */
+      const planMints = [...new Set(RC.useCashFlows ? [...mints, ...RC.cashMints] : mints)];
 
-// let balances = await Promise.all(
-//   mints.map(mint =>
-//     mint === SOL_MINT
-//       ? getWalletBalance(wallet)            // lamports → SOL
-//       : getTokenBalance(wallet.publicKey, mint)
-//   )
-// );
 const liveBalances = await fetchLiveTokenBalances(wallet.publicKey.toString());
 const balanceMap = Object.fromEntries(liveBalances.map(t => [t.mint, t.amount]));
-
-let balances = mints.map(m => balanceMap[m] ?? 0);
+liveBalances.forEach(t => { if (t.decimals != null) DEC_CACHE.set(t.mint, t.decimals); });
 
 async function getPx(mint) {
   const hit = PX_CACHE.get(mint);
@@ -201,109 +218,78 @@ async function getPx(mint) {
   return p;
 }
 
-      // const prices = await Promise.all(mints.map(getPx));
-
-      //       if (over.decimals == null) {
-      //   over.decimals = DEC_CACHE.get(over.mint) ??
-      //                   await getMintDecimals(over.mint);
-      //   DEC_CACHE.set(over.mint, over.decimals);
-      // }
-      let prices = await Promise.all(mints.map(getPx));
-      if (prices.every(px => px === 0)) {
-        log("warn", "⚠️ All token prices are zero – skipping tick (Birdeye down?)");
+      const prices = Object.fromEntries(
+        await Promise.all(planMints.map(async m => [m, await getPx(m)]))
+      );
+      if (mints.every(m => !prices[m])) {
+        log("warn", "⚠️ All token prices are zero – skipping tick (Birdeye down?)");
         return sum.inc("skipped.noPrices");
       }
-        const validIdx = prices.map((p, i) => (p > 0 ? i : -1)).filter(i => i !== -1);
-        mints    = validIdx.map(i => mints[i]);
-        prices   = validIdx.map(i => prices[i]);
-        balances = validIdx.map(i => balances[i]);
-
-      const values = balances.map((bal, i) => bal * prices[i]);
-      const total  = values.reduce((a, b) => a + b, 0);
-      if (total === 0) return sum.inc("noAction");
-
-      mints.forEach((m,i) =>
-  log("debug", `BAL ${m.slice(0,4)} = ${balances[i]}  PX = ${prices[i]}`));
-
-      /* 2️⃣  build deviation list ----------------------------------- */
-      const devList = mints
-        .map((m, i) => ({
-          mint: m,
-          curPct: values[i] / total,
-          tgtPct: TARGET_MAP[m],
-          price: prices[i],
-          value: values[i],
-          decimals: null,          // fill later if needed
-        }))
-        .filter((x) => Math.abs(x.curPct - x.tgtPct) > THRESH_PCT)
-        .sort((a, b) => (b.curPct - b.tgtPct) - (a.curPct - a.tgtPct)); // over-weights first
-
-        // log to see the math, check quality of life. 
+
+      const holdings = toHoldings(planMints, balanceMap, prices);
+      const byMint   = Object.fromEntries(holdings.map(hd => [hd.mint, hd]));
+      holdings.forEach(hd =>
+  log("debug", `BAL ${hd.mint.slice(0,4)} = ${hd.amount}  PX = ${hd.price}`));
+
+      /* 2️⃣  plan: bands / calendar, cash first, then overweights ---- */
+      const plan = planRebalance({
+        holdings,
+        targets,
+        bands       : RC.bands,
+        defaultBand : THRESH_PCT,
+        force       : IS_CALENDAR,
+        useCashFlows: RC.useCashFlows,
+        cashMints   : RC.cashMints,
+        minTradeUsd : RC.minTradeUsd,
+        maxTrades   : MAX_TRADES,
+      });
+      if (IS_CALENDAR) lastCalendarRun = now;
+      if (plan.totalUsd === 0) return sum.inc("noAction");
+
+        // log to see the math, check quality of life.
         log("info", "Balance snapshot:");
-        devList.length || mints.forEach((m,i) => {
+        plan.drifts.forEach(d => {
           log("info",
-            `• ${m.slice(0,4)} cur ${(values[i]/total*100).toFixed(2)}% ` +
-            `tgt ${(TARGET_MAP[m]*100).toFixed(2)}%`);
+            `• ${d.mint.slice(0,4)} cur ${(d.curPct*100).toFixed(2)}% ` +
+            `tgt ${(d.tgtPct*100).toFixed(2)}% band ±${(d.band*100).toFixed(2)}%`);
         });
 
-      if (!devList.length) return sum.inc("noAction");
-
-      /* 3️⃣  execute swaps (over → under) --------------------------- */
-        const overs = devList
-          .filter(d => d.curPct > d.tgtPct)
-          .map(d => ({ ...d, excessUsd: (d.curPct - d.tgtPct) * total }));
-
-        const unders = devList
-          .filter(d => d.curPct < d.tgtPct)
-          .map(d => ({ ...d, deficitUsd: (d.tgtPct - d.curPct) * total }));
-
-        let trades = 0;
-
-        for (const over of overs) {
-          if (trades >= MAX_TRADES) break;
-          log("info", "Max trades reached — exiting rebalance loop.");
+      if (!plan.swaps.length) return sum.inc("noAction");
+
+      /* drift signal for strategy pipelines (e.g. launch an icebergTWAP) */
+      const drifted = IS_CALENDAR ? plan.drifts : plan.drifts.filter(d => d.outside);
+      emitBotEvent("signal", {
+        signal: "drift",
+        botId, userId: cfg.userId, walletId: cfg.walletId, mode: "rebalancer",
+        data: {
+          maxDriftPct: +(Math.max(0, ...plan.drifts.map((d) => Math.abs(d.curPct - d.tgtPct))) * 100).toFixed(2),
+          totalUsd: plan.totalUsd,
+          overweightMint: plan.swaps[0].inputMint,
+          trigger: RC.trigger,
+          drifts: drifted.map((d) => ({
+            mint: d.mint,
+            curPct: +(d.curPct * 100).toFixed(2),
+            tgtPct: +(d.tgtPct * 100).toFixed(2),
+          })),
+        },
+      });
+
+      /* 3️⃣  execute swaps (cash / over → under) --------------------- */
+        for (const swap of plan.swaps) {
+          const over  = byMint[swap.inputMint];
+          const under = byMint[swap.outputMint];
 
           /* ensure decimals cached */
-          if (over.decimals == null) {
-            over.decimals =
-              DEC_CACHE.get(over.mint) ?? (await getMintDecimals(over.mint));
-            DEC_CACHE.set(over.mint, over.decimals);
+          let decimals = DEC_CACHE.get(over.mint);
+          if (decimals == null) {
+            decimals = await getMintDecimals(over.mint);
+            DEC_CACHE.set(over.mint, decimals);
           }
 
-          let excessLeft = over.excessUsd;
-
-          for (const under of unders) {
-            if (excessLeft <= 0 || trades >= MAX_TRADES) break;
-            if (under.deficitUsd <= 0) continue;   // this one already fixed
-
-            /* move USD proportionally: min(excess, deficit) */
-            const moveUsd = Math.min(excessLeft, under.deficitUsd);
-
-            /* respect user-defined min trade size */
-            if (moveUsd < (cfg.minTradeUsd || 5)) {
-              under.deficitUsd -= moveUsd;
-              excessLeft       -= moveUsd;
-              continue;
-            }
-
-            /* convert USD -> over token qty -> lamports */
-            const overQty      = moveUsd / over.price;
-            // const lamportsFrom = Math.floor(overQty * 10 ** over.decimals);
-            let lamportsFrom = Math.floor(overQty * 10 ** over.decimals);
-
-            // ⛽️ Leave SOL gas buffer
-            if (over.mint === SOL_MINT) {
-              const solBalance = balances[mints.indexOf(SOL_MINT)] ?? 0;
-              if (solBalance - overQty < 0.02) {
-                log("warn", `[${over.mint.slice(0, 4)}] Not enough SOL to rebalance — preserving gas.`);
-                continue;
-              }
-
-              const safeQty = Math.max(0, solBalance - 0.02);
-              const cappedQty = Math.min(overQty, safeQty);
-              lamportsFrom = Math.floor(cappedQty * 10 ** over.decimals);
-              log("debug", `Adjusted SOL sell size to leave gas buffer: ${cappedQty.toFixed(4)} SOL`);
-            }
+          /* convert USD -> over token qty -> lamports (SOL gas buffer is locked in the plan) */
+          const moveUsd      = swap.usd;
+          const overQty      = moveUsd / over.price;
+          const lamportsFrom = Math.floor(overQty * 10 ** decimals);
 
             guards.assertOpenTradeCap("rebalancer", botId, MAX_OPEN_TRADES);
 
@@ -312,7 +298,7 @@ async function getPx(mint) {
               `Swap ${over.mint.slice(0, 4)}→${under.mint.slice(0, 4)} ` +
                 `${overQty.toFixed(6)} ${over.symbol || "SOL"} ($${moveUsd.toFixed(
                   2
-                )})`
+                )}) [${swap.source}]`
             );
 
             const { ok, quote } = await getSafeQuote({
@@ -364,10 +350,6 @@ async function getPx(mint) {
             const statsLine =
               `[STATS] moved≈$${moveUsd.toFixed(2)} ` +
               `(${overQty.toFixed(6)} ${over.symbol || "SOL"})`; log("info", statsLine);
-
-            /* update running tallies so remaining overs/unders stay accurate */
-            excessLeft        -= moveUsd; under.deficitUsd  -= moveUsd; trades++;
-          }
         }
 
        if (!didRebalance) {
@@ -407,17 +389,7 @@ async function getPx(mint) {
       }
       sum.inc("errors");
       log("error", e?.message || String(e));
-            await tradeExecuted({
-              userId     : cfg.userId,
-              mint,
-              tx         : txHash,
-              wl         : cfg.walletLabel || "default",
-              category   : "Rebalancer",
-              simulated  : DRY_RUN,
-              amountFmt  : `${(SNIPE_LAMPORTS / 1e9).toFixed(3)} ${BASE_MINT === SOL_MINT ? "SOL" : "USDC"}`,
-              impactPct  : (quote?.priceImpactPct || 0) * 100,
-            });
-          }
+    }
 
 
   }
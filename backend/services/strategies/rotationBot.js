@@ -1,6 +1,12 @@
 /** Rotation Bot Strategy Module
  * - Rotates capital into the best performing token in a monitored list. 
- * 
+ * - Ranking is pluggable (`rankingModel`: momentum | riskAdjusted |
+ *   volumeWeighted | relativeStrength | composite + `rankingWeights`);
+ *   see core/rotationRanking.js.
+ * - `sectors` { name: [mints] } turns on sector rotation: best sector
+ *   first, then the best token in it.
+ * - Every decision with a winner is stored as a RotationSnapshot
+ *   (GET /api/rotation/snapshots) so users can see why it rotated.
  */
 
 
@@ -27,6 +33,8 @@ const { getSafeQuote }          = require("./core/quoteHelper");
 const { liveBuy, simulateBuy }  = require("./core/tradeExecutor");
 const createCooldown            = require("./core/cooldown");
 const { initTxWatcher }         = require("./core/txTracker");
+const ranking                   = require("./core/rotationRanking");
+const { emitBotEvent }          = require("../pipelines/botEvents");
 const {
   lastTickTimestamps,
   runningProcesses,
@@ -97,7 +105,8 @@ const rows = await prisma.wallet.findMany({
   const conn     = new Connection(RPC_URL, "confirmed");
 
   const ROT_MS        = +cfg.rotationInterval || 3_600_000;
-const MIN_MOM = cfg.minMomentum != null ? +cfg.minMomentum / 100 : 0.02;
+  const RK            = ranking.readRankingConfig(cfg);
+  const SECTOR_MINTS  = [...new Set(Object.values(RK.sectors).flat())];
   // const POS_LAMPORTS  = (+cfg.positionSize || 0.02) * 1e9;
   const SLIPPAGE      = +cfg.slippage || 0.5;
   const MAX_IMPACT    = +cfg.maxSlippage || 0.15;
@@ -118,6 +127,55 @@ const MIN_MOM = cfg.minMomentum != null ? +cfg.minMomentum / 100 : 0.02;
   let rotations = 0;
 
   const rotationsByWallet = {};
+
+  /* candle history for ranking; null when unavailable */
+  async function candlesOf(mint, interval, spanMs, what) {
+    const { fetchCandles } = require("./core/backtest/candleSource");
+    const now = Date.now();
+    try {
+      return await fetchCandles(mint, { interval, from: now - spanMs, to: now, userId: cfg.userId });
+    } catch (err) {
+      log("warn", `${what} unavailable for ${mint.slice(0,4)}…: ${err.message}`);
+      return null;
+    }
+  }
+
+  /* window σ from 15m candles */
+  async function volatilityOf(mint, win) {
+    const candles = await candlesOf(mint, ranking.VOL_INTERVAL, RK.volLookbackHours * 3_600_000, "Volatility");
+    return candles ? ranking.windowVol(ranking.realizedVol(candles), win) : null;
+  }
+
+  /* token/SOL ratio strength over the momentum window */
+  async function relativeStrengthOf(mint, win, solCandles) {
+    if (!solCandles) return null;
+    const candles = await candlesOf(mint, ranking.ratioInterval(win), ranking.WINDOW_MS[win] || ranking.WINDOW_MS["1h"], "Relative strength");
+    return candles ? ranking.relativeStrength(candles, solCandles) : null;
+  }
+
+  /* persist the ranking behind a decision; never blocks trading */
+  async function recordSnapshot(label, snap) {
+    if (!cfg.userId) return;
+    try {
+      await prisma.rotationSnapshot.create({
+        data: {
+          userId     : cfg.userId,
+          botId,
+          walletLabel: label,
+          model      : snap.model,
+          window     : snap.window,
+          sector     : snap.sector,
+          winnerMint : snap.winner?.mint ?? null,
+          rotated    : snap.rotated,
+          reason     : snap.reason,
+          ranking    : snap,
+        },
+      });
+    } catch (err) {
+      log("warn", `Ranking snapshot not saved: ${err.message}`);
+    }
+  }
+
   /* ───────────────── main loop ───────────────── */
   async function tick() {
     // Capture the start time for health metrics
@@ -136,9 +194,17 @@ const MIN_MOM = cfg.minMomentum != null ? +cfg.minMomentum / 100 : 0.02;
         cfg.priceChangeWindow || pickMomentumWindow(ROT_MS);
       log(
         "info",
-        `[CONFIG] Momentum window: ${PUMP_WIN} (${cfg.priceChangeWindow ? "manual" : "auto"})`
+        `[CONFIG] Momentum window: ${PUMP_WIN} (${cfg.priceChangeWindow ? "manual" : "auto"}) · ranking: ${RK.model}` +
+        (SECTOR_MINTS.length ? ` · sectors: ${Object.keys(RK.sectors).join(", ")}` : "")
       );
 
+      /* SOL over the same window – the relative-strength benchmark */
+      const solStat     = await getTokenShortTermChange(cfg.userId, SOL_MINT, PUMP_WIN, PUMP_WIN);
+      const solMomentum = ranking.decayedMomentum(solStat, PUMP_WIN, RK.momentumDecay);
+      const solCandles  = ranking.needsRatioSeries(RK)
+        ? await candlesOf(SOL_MINT, ranking.ratioInterval(PUMP_WIN), ranking.WINDOW_MS[PUMP_WIN] || ranking.WINDOW_MS["1h"], "SOL history")
+        : null;
+
       /* ─── per-wallet processing ─── */
       /* ─── each wallet ─── */
 for (const walletEntry of cfg.wallets) {
@@ -146,40 +212,70 @@ for (const walletEntry of cfg.wallets) {
   const wallet = wm.byLabel(label);
   if (!wallet) { log("error", `Wallet ${label} not loaded`); continue; }
 
-  const cfgTokens = labelToTokens[label] ?? [];
+  const cfgTokens = [...new Set([...(labelToTokens[label] ?? []), ...SECTOR_MINTS])];
   if (!cfgTokens.length) { log("warn", `[${label}] no tokens configured — skip`); continue; }
 
   /* ---------------- live balances ---------------- */
   const balances = await fetchLiveTokenBalances(wallet.publicKey.toString());
   const balMap   = Object.fromEntries(balances.map(b => [b.mint, b]));
 
-  /* ------------ momentum ranking ----------------- */
-  const ranked = [];
+  /* ------------ ranking ----------------- */
+  const candidates = [];
+  const onCooldown = [];
   for (const mint of cfgTokens) {
-    if (cd.hit(mint) > 0) continue;           // per‑mint cooldown
-
-    const stat = await getTokenShortTermChange(cfg.userId, mint, PUMP_WIN);
-    const pct  = stat?.[`priceChange${PUMP_WIN}`] ??
-                 stat?.priceChange5m ??
-                 stat?.priceChange1m ?? 0;
+    if (cd.hit(mint) > 0) {                   // per‑mint cooldown
+      onCooldown.push({ mint, score: null, excluded: "cooldown" });
+      continue;
+    }
 
-    log("info", `🔍 [${label}] ${mint.slice(0,4)}… Δ ${(pct*100).toFixed(2)}%`);
-    if (pct < MIN_MOM) continue;
+    const stat     = await getTokenShortTermChange(cfg.userId, mint, PUMP_WIN, PUMP_WIN);
+    const change   = ranking.decayedMomentum(stat, PUMP_WIN, 0);
+    const momentum = ranking.decayedMomentum(stat, PUMP_WIN, RK.momentumDecay);
+    const volatility = ranking.needsVolatility(RK) && momentum >= RK.minMomentum
+      ? await volatilityOf(mint, PUMP_WIN)
+      : null;
+    const relativeStrength = ranking.needsRatioSeries(RK) && momentum >= RK.minMomentum
+      ? await relativeStrengthOf(mint, PUMP_WIN, solCandles)
+      : null;
+
+    log("info", `🔍 [${label}] ${mint.slice(0,4)}… Δ ${(change*100).toFixed(2)}%` +
+      (RK.momentumDecay ? ` (decayed ${(momentum*100).toFixed(2)}%)` : ""));
+
+    candidates.push({
+      mint,
+      symbol   : stat?.symbol,
+      price    : stat?.price,
+      change,
+      momentum,
+      volumeUSD: ranking.windowVolume(stat, PUMP_WIN),
+      volatility,
+      relativeStrength,
+    });
+  }
 
-    const price  = stat?.price
-                || await getTokenPrice(cfg.userId, mint)
-                || (mint === SOL_MINT ? await getSolPrice(cfg.userId) : 0);
+  const scored = ranking.scoreCandidates(candidates, { model: RK.model, weights: RK.weights });
+  const result = ranking.pickWinner([...scored, ...onCooldown], { minMomentum: RK.minMomentum, sectors: RK.sectors });
+  const snapshot = (rotated, reason) => ranking.buildSnapshot({
+    walletLabel: label, model: RK.model, window: PUMP_WIN, weights: RK.weights,
+    minMomentum: RK.minMomentum, momentumDecay: RK.momentumDecay, solMomentum,
+    result, rotated, reason,
+  });
 
-    ranked.push({ mint, pct, price, symbol: stat.symbol });
+  if (result.sectors) {
+    log("info", `🏷 [${label}] sectors: ` + result.sectors
+      .map(s => `${s.sector} ${s.score == null ? "–" : s.score.toFixed(4)}`).join(" · "));
   }
 
-  if (!ranked.length) { sum.inc("noAction"); continue; }
-  ranked.sort((a,b) => b.pct - a.pct);
-  const best = ranked[0];                                         // ← winner
+  const best = result.winner;                                     // ← winner
+  if (!best) { sum.inc("noAction"); continue; }
+  log("info", `🏆 [${label}] ${best.symbol || best.mint.slice(0,4)} ranks #1 on ${RK.model}` +
+    `${result.sector ? ` in ${result.sector}` : ""} (score ${best.score.toFixed(4)})`);
+
   // check if we're already fully in the winning token
 const alreadyInBest = balances.every(b => b.mint === best.mint || b.amount < 0.000001);
 if (alreadyInBest) {
   log("info", `[${label}] ✅ Already fully in ${best.symbol || best.mint.slice(0,4)} — skip rotation`);
+  await recordSnapshot(label, snapshot(false, "already holding the winner"));
   sum.inc("noAction");
   continue;
 }
@@ -216,6 +312,7 @@ if (alreadyInBest) {
   if (!sellList.length) { sum.inc("noAction"); continue; }
 
   /* ---------------- execute every swap ---------------- */
+  const sold = [];
   for (const s of sellList) {
     // convert to lamports / token units
     const lamports = Math.floor(s.amount * 10**s.decimals);
@@ -233,7 +330,7 @@ if (alreadyInBest) {
 log("user",
       `[${label}] Rotating ${s.amount.toFixed(6)} ${s.mint.slice(0,4)} → ${best.symbol || best.mint.slice(0,4)}…`);
 
-    await execTrade({
+    const txHash = await execTrade({
       quote,
       mint : best.mint,
       meta : {
@@ -268,6 +365,24 @@ rotationsByWallet[label] = (rotationsByWallet[label] || 0) + 1;
  log("info",
       `💱 [${label}] Rotated ${s.amount.toFixed(6)} ${s.mint.slice(0,4)} → ${best.symbol || best.mint.slice(0,4)}`);
     rotatedThisTick = true;
+    sold.push(s.mint);
+  }
+
+  if (sold.length) {
+    const snap = snapshot(true, `rotated ${sold.length} holding${sold.length > 1 ? "s" : ""} into the winner`);
+    await recordSnapshot(label, snap);
+    emitBotEvent("signal", {
+      signal: "rotation",
+      botId, userId: cfg.userId, walletId: walletIdByLabel[label], mode: "rotationBot",
+      data: {
+        walletLabel: label,
+        model      : RK.model,
+        sector     : snap.sector,
+        winnerMint : best.mint,
+        score      : snap.winner.score,
+        soldMints  : sold,
+      },
+    });
   }
 } // end wallet loop
 
@@ -19,7 +19,7 @@ const guards                   = require("./core/tradeGuards");
 const createCooldown           = require("./core/cooldown");
 const { getSafeQuote }         = require("./core/quoteHelper");
 const { liveBuy, simulateBuy } = require("./core/tradeExecutorSniper");
-const { passes, explainFilterFail } = require("./core/passes");
+const { passes, explainFilterFail, devWatchFromConfig } = require("./core/passes");
 const { createSummary, tradeExecuted } = require("./core/alerts");
 const runLoop                  = require("./core/loopDriver");
 const { initTxWatcher }        = require("./core/txTracker");
@@ -228,6 +228,7 @@ module.exports = async function sniperStrategy(botCfg = {}) {
               volumeSpikeMult    : null,
               fetchOverview      : (mint) =>
                 getTokenShortTermChange(null, mint, pumpWin, volWin),
+              devWatch           : devWatchFromConfig(botCfg),
             })
           );
         } catch (err) {
@@ -243,7 +244,9 @@ module.exports = async function sniperStrategy(botCfg = {}) {
               pct: res.pct,
               vol: res.vol,
               price: res.overview?.price,
-              mcap: res.overview?.marketCap
+              mcap: res.overview?.marketCap,
+              detail: res.detail,
+              reasons: res.reasons
             },
             {
               entryTh: ENTRY_THRESHOLD,
@@ -159,7 +159,7 @@ const { getSafeQuote }         = require("./core/quoteHelper");
 // destructure the named export to retain function semantics.  Without
 // destructuring this would instead resolve to the class itself.
 const { execTrade }            = require("./core/tradeExecutorTurbo"); // <-- turbo executor
-const { passes }               = require("./core/passes");
+const { passes, explainFilterFail, devWatchFromConfig } = require("./core/passes");
 const { createSummary }        = require("./core/alerts");
 const runLoop                  = require("./core/loopDriver");
 const { initTxWatcher }        = require("./core/txTracker");
@@ -458,15 +458,7 @@ async function turboSniperStrategy(botCfg = {}) {
             if (!candidateMint || typeof candidateMint !== 'string') return;
 
             // Heuristic passes (reuse devWatch config)
-            const _devWatch = botCfg.enableInsiderHeuristics
-              ? Object.assign(
-                  {},
-                  botCfg.devWatch || {},
-                  botCfg.maxHolderPercent != null && botCfg.maxHolderPercent !== ''
-                    ? { holderTop5MaxPct: Number(botCfg.maxHolderPercent) }
-                    : {}
-                )
-              : botCfg.devWatch;
+            const _devWatch = devWatchFromConfig(botCfg);
             const passRes = await passes(candidateMint, {
               entryThreshold: ENTRY_THRESHOLD,
               volumeThresholdUSD: VOLUME_THRESHOLD,
@@ -480,7 +472,10 @@ async function turboSniperStrategy(botCfg = {}) {
               fetchOverview: (m) => getTokenShortTermChange(null, m, '5m', '1h'),
               devWatch: _devWatch,
             });
-            if (!passRes?.ok) return;
+            if (!passRes?.ok) {
+              if (passRes?.reason === 'dev-fail') log('warn', explainFilterFail(passRes, {}));
+              return;
+            }
             // Safety check
             if (!(botCfg.disableSafety === true)) {
               const safeRes = await isSafeToBuyDetailed(candidateMint, botCfg.safetyChecks || {});
@@ -683,20 +678,9 @@ async function turboSniperStrategy(botCfg = {}) {
       if (!mint) return;
 
       /* filters / passes */
-      // Build devWatch parameter based on insider heuristic settings.  When
-      // enableInsiderHeuristics is true we merge any existing devWatch
-      // options with the maxHolderPercent threshold; otherwise pass the
-      // original config through to leave the heuristics disabled.  See
-      // passes() in core/passes.js for details.
-      const _devWatch = botCfg.enableInsiderHeuristics
-        ? Object.assign(
-            {},
-            botCfg.devWatch || {},
-            botCfg.maxHolderPercent != null && botCfg.maxHolderPercent !== ''
-              ? { holderTop5MaxPct: Number(botCfg.maxHolderPercent) }
-              : {}
-          )
-        : botCfg.devWatch;
+      // Build devWatch parameter based on insider heuristic settings.
+      // See devWatchFromConfig() in core/passes.js for details.
+      const _devWatch = devWatchFromConfig(botCfg);
 
       const res = await limitBirdeye(() =>
         passes(mint, {
@@ -715,7 +699,10 @@ async function turboSniperStrategy(botCfg = {}) {
           devWatch           : _devWatch,
         })
       );
-      if (!res?.ok) return;
+      if (!res?.ok) {
+        if (res?.reason === "dev-fail") log("warn", explainFilterFail(res, {}));
+        return;
+      }
 
       /* safety check */
       if (!(botCfg.disableSafety === true)) {
@@ -1,4 +1,4 @@
-/* TP/SL executor – fires sells and then retires the rule 💸 */
+/* TP/SL executor – fires sells, advances ladders and retires spent rules 💸 */
 
 require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
 
@@ -10,12 +10,21 @@ const { sendBotAlert }       = require("../telegram/botAlerts");
 const { getTokenBalanceRaw } = require("../utils/marketData");
 const { PublicKey }          = require("@solana/web3.js");
 const feEvents = require("./feEvents");
+const { sendNotification } = require("./notifications");
+const { evaluateExitRule, effectiveLadder, fillRungs } = require("./strategies/core/TpSlManager");
 
 /* ───────────────────────────── helpers ───────────────────────────── */
 function shortMint(m) { return `${m.slice(0, 4)}…${m.slice(-4)}`; }
 function tsUTC() { return new Date().toISOString().replace("T", " ").slice(0, 19) + " UTC"; }
 function fmt(x, d = 4) { return (+x).toFixed(d).replace(/\.?0+$/, ""); }
 
+const TRIGGER_TITLES = {
+  tp       : "Take Profit",
+  sl       : "Stop Loss",
+  trail    : "Trailing Stop",
+  breakeven: "Break-Even Stop",
+};
+
 // function isAppUser(userId) {
 //   return userId === "ui" || userId === "web";
 // }
@@ -40,8 +49,6 @@ async function alertUser(userId, msg, tag = "TP/SL") {
 async function checkAndTriggerTpSl(rule) {
   const {
     id, mint,
-    tp, sl, tpPercent, slPercent,
-    sellPct,
     walletId, strategy = "manual",
     enabled, userId
   } = rule;
@@ -73,15 +80,22 @@ async function checkAndTriggerTpSl(rule) {
   }
   if (!price) return;
 
-  const delta = ((price - entryPriceUSD) / entryPriceUSD) * 100;
-  const hitTp = tp != null && tpPercent > 0 && (delta >= tp  || Math.abs(delta - tp)  < 0.00001);
-  const hitSl = sl != null && slPercent > 0 && (delta <= -sl || Math.abs(delta + sl) < 0.00001);
-  if (!hitTp && !hitSl) return;
+  const decision = evaluateExitRule(rule, { price, entryPrice: entryPriceUSD });
+  const delta    = decision.changePct;
+
+  /* ratchet the trailing high-water mark even when nothing fires */
+  if (!decision.action) {
+    if (decision.updates.highWaterPrice != null) {
+      await prisma.tpSlRule.update({
+        where: { id },
+        data : { highWaterPrice: decision.updates.highWaterPrice }
+      });
+    }
+    return;
+  }
 
-  const triggerType  = hitTp ? "tp" : "sl";
-  const sellFraction = sellPct != null
-    ? sellPct / 100
-    : (hitTp ? tpPercent : slPercent) / 100;
+  const triggerType  = decision.action;
+  const sellFraction = decision.fraction;
 
   /* 3️⃣ Fetch balance (for log) */
   const walletRow = await prisma.wallet.findUnique({
@@ -122,11 +136,28 @@ async function checkAndTriggerTpSl(rule) {
     //   console.log(`🧹 No open trades left for ${mint}, deleting remaining TP/SL rules…`);
     //   await prisma.tpSlRule.deleteMany({ where: { userId, walletId, mint, strategy } });
     // }
-    await prisma.tpSlRule.deleteMany({ where: { id } });
+    if (decision.exhausted) {
+      await prisma.tpSlRule.deleteMany({ where: { id } });
+    } else {
+      /* partial ladder fill – keep the rule for the remaining rungs/stops */
+      await prisma.tpSlRule.update({
+        where: { id },
+        data : {
+          ...decision.updates,
+          tpLadder : fillRungs(effectiveLadder(rule), decision.rungs, { txHash: tx }),
+          failCount: 0,
+        }
+      });
+    }
 
       // after you have walletRow earlier (you already query it for publicKey)
       const walletLabel = (await prisma.wallet.findUnique({ where: { id: walletId }, select: { label: true } }))?.label || "default";
 
+      // the bot that opened the position, so pipelines can act on `source`
+      // (executors fall back to the strategy name when there is no bot)
+      const lastBotId = rows[rows.length - 1].botId;
+      const botId = lastBotId && lastBotId !== strategy ? lastBotId : null;
+
       const payload = {
         channel: "events",
         type: "order_executed",
@@ -139,24 +170,34 @@ async function checkAndTriggerTpSl(rule) {
         mint,
         txHash: tx,
         strategy,
+        botId,
         ruleId: id,
         ts: Date.now(),
       };
       feEvents.emit(payload);
       console.log("[FEVENT] " + JSON.stringify(payload)); 
+      sendNotification(userId, "TPSL_TRIGGERED", {
+        ruleId: id, mint, trigger: triggerType, walletId, walletLabel, strategy,
+        changePct: delta, sellPct: safePct, entryPriceUSD, txHash: tx,
+        exhausted: !!decision.exhausted,
+      });
 
     /* 5️⃣ Alert */
     const explorer = `https://explorer.solana.com/tx/${tx}?cluster=mainnet-beta`;
     const tokenUrl = `https://birdeye.so/token/${mint}`;
     const short    = shortMint(mint);
     const time     = tsUTC();
-const targetPct = hitTp ? tp : sl;
+const target = triggerType === "breakeven"
+  ? `$${fmt(decision.target, 6)}`
+  : triggerType === "trail"
+    ? `${decision.target}% below high`
+    : `${decision.target}%`;
 const lines = `
-🎯 *${triggerType === "tp" ? "Take Profit" : "Stop Loss"} Triggered*
+🎯 *${TRIGGER_TITLES[triggerType]} Triggered*
 
 🧾 *Mint:* \`${short}\`
 🔗 [View Token on Birdeye](${tokenUrl})
-📈 *Change:* ${delta.toFixed(2)} % (Target: ${targetPct}%)
+📈 *Change:* ${delta.toFixed(2)} % (Target: ${target})
 💸 *Sold:* ${fmt(safePct, 2)} % of position
 📉 *Entry Price:* $${entryPriceUSD.toFixed(6)}
 👤 *Wallet ID:* \`${walletId}\`
@@ -165,8 +206,8 @@ const lines = `
 `.trim();
 
 // await alertUser(userId, lines, "TP/SL");
-await alertUser(userId, lines, triggerType.toUpperCase()); 
-    return { triggered: true, type: triggerType, changePct: delta, txHash: tx };
+await alertUser(userId, lines, triggerType === "tp" ? "TP" : "SL");
+    return { triggered: true, type: triggerType, changePct: delta, txHash: tx, exhausted: decision.exhausted };
 
 
   } catch (err) {
@@ -104,10 +104,56 @@ function convertToTaxCSV(trades) {
 }
 
 
+// ▸ Tax-lot rows (services/utils/analytics/taxLots) → Form 8949 style CSV.
+//   Column names follow the generic "8949" import used by Koinly,
+//   CoinTracker and TurboTax; one row per lot consumed by a sale.
+function convertLotsToTaxCSV(rows) {
+  const headers = [
+    "Description",
+    "Asset Name",
+    "Asset Amount",
+    "Date Acquired",
+    "Date Sold",
+    "Proceeds (USD)",
+    "Cost Basis (USD)",
+    "Fees (USD)",
+    "Gain (USD)",
+    "Type",
+    "Wallet",
+    "Mint",
+    "Tx Hash",
+  ];
+  const q = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "VARIOUS");
+  const usd = (v) => (v == null ? "" : v.toFixed(2));   // unpriced sale
+
+  const lines = rows.map((r) => {
+    const name = r.tokenName || r.mint;
+    const amount = Number(r.qty).toFixed(8);
+    return [
+      q(`${amount} ${name}`),
+      q(name),
+      amount,
+      day(r.acquiredAt),
+      day(r.disposedAt),
+      usd(r.proceedsUsd),
+      usd(r.costBasisUsd),
+      usd(r.feesUsd),
+      usd(r.gainUsd),
+      r.term === "long" ? "Long Term" : "Short Term",
+      q(r.walletLabel ?? r.walletId),
+      r.mint,
+      r.sellTxHash ?? "",
+    ].join(",");
+  });
+  return [headers.join(","), ...lines].join("\n");
+}
+
+
 // Writes CSV file to Disk from trade Array 
 function writeCSVFile(trades, outputPath) {
   const csv = convertToCSV(trades);
   fs.writeFileSync(outputPath, csv);
 }
 
-module.exports = { convertToCSV, convertToTaxCSV, writeCSVFile };
+module.exports = { convertToCSV, convertToTaxCSV, convertLotsToTaxCSV, writeCSVFile };
@@ -1,6 +1,13 @@
 const { Prisma } = require("@prisma/client");
 const prisma     = require("../../../prisma/prisma");
 const { v4: uuid } = require("uuid");
+const { isExitPlan } = require("../../strategies/core/TpSlManager");
+const { sendNotification } = require("../../notifications");
+const riskAuthority = require("../../riskAuthority");
+
+// Paper/dry-run rows never booked risk exposure, so closing them frees none.
+const isSimulatedRow = (r) => !!(r.extras && (r.extras.isPaper === true || r.extras.simulated === true));
+module.exports.isSimulatedRow = isSimulatedRow;
 
 module.exports.closePositionFIFO = async function closePositionFIFO(opts) {
   const {
@@ -9,6 +16,7 @@ module.exports.closePositionFIFO = async function closePositionFIFO(opts) {
     strategy, triggerType,
     exitPrice, exitPriceUSD,
     txHash, slippage, decimals = 9,
+    simulated,
   } = opts;
   // if (!exitPrice || !exitPriceUSD) throw new Error("exitPrice + exitPriceUSD required");
   if (exitPrice == null) throw new Error("exitPrice required");
@@ -25,7 +33,11 @@ module.exports.closePositionFIFO = async function closePositionFIFO(opts) {
     },
     orderBy: { timestamp: "asc" }
   });
-  rows = rows.filter(r => BigInt(r.outAmount) > 0n);
+  // Live and paper fills of one strategy share the table: `simulated: false`
+  // closes live rows only, `true` paper rows only; left out, both (Paper
+  // Trader book, manual API closes).
+  const inBook = (r) => simulated == null || isSimulatedRow(r) === simulated;
+  rows = rows.filter(r => BigInt(r.outAmount) > 0n && inBook(r));
 
   if (!rows.length) throw new Error("No matching open trades.");
 
@@ -60,6 +72,8 @@ module.exports.closePositionFIFO = async function closePositionFIFO(opts) {
   /* ── Perform FIFO reductions ───────────────────────── */
   let still = tokToSell;
   const closedRows = [];
+  let releasedCostUsd = 0;   // entry cost of live tokens leaving the book
+  let releasedExitUsd = 0;   // what those tokens sold for
 
   await prisma.$transaction(async tx => {
     for (const r of rows) {
@@ -97,8 +111,15 @@ module.exports.closePositionFIFO = async function closePositionFIFO(opts) {
       // Dust tests: relative (≤1% of original) OR absolute (~0.01 tokens)
       const isDustRel = (rowOrigOut > 0n) && (residualTok * 10_000n <= rowOrigOut * DUST_BPS);
       const isDustAbs = residualTok <= absDustRawFor(rowDecimals);
+      const sweptDust = residualTok === 0n || isDustRel || isDustAbs;
+
+      if (!isSimulatedRow(r)) {
+        const leaving = Number(slice + (sweptDust ? residualTok : 0n)) / 10 ** rowDecimals;
+        releasedCostUsd += leaving * (r.entryPriceUSD || 0);
+        releasedExitUsd += Number(slice) / 10 ** rowDecimals * exitPriceUSD;
+      }
 
-      if (residualTok === 0n || isDustRel || isDustAbs) {
+      if (sweptDust) {
         // 🔁 AUTO-CLOSE IN PLACE — do NOT create a closedTrade for dust
         console.log(`🧹 Dust sweep for row ${r.id} (left=${Number(residualTok)/10**rowDecimals}). Closing row.`);
         await tx.trade.update({
@@ -146,8 +167,31 @@ module.exports.closePositionFIFO = async function closePositionFIFO(opts) {
 
   console.log(`✅ Finished: actually sold ${(Number(tokToSell - still) / 10 ** decimals).toFixed(6)} tokens`);
 
+  // Free the sold cost basis in the portfolio risk budget. Without a USD
+  // exit price the P&L is unknown, so only the exposure is released.
+  if (releasedCostUsd > 0) {
+    riskAuthority.recordExit({
+      userId, mint,
+      costUsd: releasedCostUsd,
+      pnlUsd : exitPriceUSD > 0 ? releasedExitUsd - releasedCostUsd : 0,
+    }).catch((err) => console.warn(`⚠️ Risk exposure release failed: ${err.message}`));
+  }
+
+  sendNotification(userId, "TRADE_CLOSED", {
+    mint, strategy, walletId, walletLabel: walletLabel || null, triggerType: triggerType || null,
+    txHash: txHash || null, exitPrice, exitPriceUSD, simulated: simulated === true,
+    amountSold: String(tokToSell - still),
+    usdValue: closedRows.reduce((sum, r) => sum + (r.usdValue || 0), 0),
+    closedTradeIds: closedRows.map((r) => r.id),
+  });
+
+  // TP/SL rules watch the live position; a paper close leaves them alone.
+  if (simulated === true) return { closedRows, soldTok: Number(tokToSell - still) };
+
   // 🔥 SMART REBALANCE of TP/SL allocations
-  const rules = await prisma.tpSlRule.findMany({
+  // Ladder/trailing plans size their sells against the original position
+  // themselves, so only classic single-threshold rules are rescaled.
+  const rules = (await prisma.tpSlRule.findMany({
     where: {
       userId,
       walletId,
@@ -155,7 +199,7 @@ module.exports.closePositionFIFO = async function closePositionFIFO(opts) {
       strategy,
       enabled: true
     }
-  });
+  })).filter((r) => !isExitPlan(r));
 
   if (rules.length > 0) {
     const originalSum = rules.reduce((acc, r) => acc + (r.sellPct ?? r.tpPercent ?? r.slPercent ?? 0), 0);
@@ -191,14 +235,14 @@ module.exports.closePositionFIFO = async function closePositionFIFO(opts) {
   }
 
   // ✅ AFTER your FIFO reductions, disable matching TP/SL rules
-  const stillOpen = await prisma.trade.findMany({
+  const stillOpen = (await prisma.trade.findMany({
     where: {
       walletId,
       mint,
       strategy,
       outAmount: { gt: 0 }
     }
-  });
+  })).filter(inBook);
 
   if (stillOpen.length === 0) {
     console.log(`🧹 No open trades left for ${mint}, deleting TP/SL rules...`);
@@ -0,0 +1,306 @@
+/** Tax-lot engine
+ * Rebuilds acquisition lots from `Trade` rows and disposals from
+ * `ClosedTrade` slices, then matches them with FIFO, LIFO or HIFO.
+ * Used by: /api/tax/report.
+ *
+ * Notes:
+ * - fifoReducer trims Trade rows in place, so a lot's original size is
+ *   recovered from inAmount + closedOutAmount (the cost already moved out).
+ * - Lots are pooled per wallet + mint; a disposal can only consume lots
+ *   acquired at or before it.
+ * - Network, priority and tip fees on a buy are added to that lot's basis;
+ *   the network fee on a sell is deducted from its proceeds. Fees are
+ *   valued at the SOL price implied by the trade itself; when that is not
+ *   recoverable the fee is left out and flagged `feesUnpriced`.
+ * - A sale without a USD exit price is reported with `unpriced: true` and
+ *   null proceeds/gain rather than as a zero-proceeds loss, and is kept
+ *   out of the USD totals.
+ * - Dry-run rows (no tx hash / bare uuid hash) and paper runs are skipped.
+ */
+
+const METHODS = ["FIFO", "LIFO", "HIFO"];
+const LONG_TERM_DAYS = 365;
+const BASE_FEE_LAMPORTS = 5000;
+const DAY_MS = 86_400_000;
+const EPS = 1e-12;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const UUID_SUFFIX_RE = /-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const num = (v) => (v == null ? 0 : Number(v));
+const pos = (v) => Number.isFinite(v) && v > 0;
+
+/* SOL/USD at trade time, implied by a SOL-denominated price pair. */
+function impliedSolUsd(priceSol, priceUsd) {
+  const sol = num(priceSol), usd = num(priceUsd);
+  return pos(sol) && pos(usd) ? usd / sol : null;
+}
+
+/**
+ * Turn a Trade row into a tax lot, or null when it is not a real buy or
+ * its size cannot be recovered.
+ * @param {object} t  Trade row
+ */
+function lotFromTrade(t) {
+  if (!t || t.paperRunId || !t.txHash) return null;
+  if (t.type && t.type !== "buy") return null;
+
+  const decimals = t.decimals ?? 9;
+  const inDec = t.unit === "usdc" ? 6 : 9;
+  const inNow = num(t.inAmount);
+  const inOrig = inNow + num(t.closedOutAmount);
+  const outNow = num(t.outAmount);
+
+  let qty = null;
+  if (outNow > 0 && inNow > 0) qty = (outNow * (inOrig / inNow)) / 10 ** decimals;
+  else if (pos(num(t.entryPrice))) qty = inOrig / 10 ** inDec / num(t.entryPrice);
+  if (!pos(qty)) return null;
+
+  const feeLamports = t.feesTotalLamports != null
+    ? num(t.feesTotalLamports)
+    : BASE_FEE_LAMPORTS + num(t.priorityFee) + num(t.briberyAmount);
+  const solUsd = t.unit === "sol" ? impliedSolUsd(t.entryPrice, t.entryPriceUSD) : null;
+  const feeUsd = solUsd ? (feeLamports / 1e9) * solUsd : 0;
+
+  const hasBasis = pos(num(t.entryPriceUSD));
+  const costUsd = hasBasis ? num(t.entryPriceUSD) * qty + feeUsd : null;
+
+  return {
+    id: t.id,
+    walletId: t.walletId,
+    walletLabel: t.walletLabel ?? null,
+    mint: t.mint,
+    tokenName: t.tokenName ?? null,
+    acquiredAt: new Date(t.timestamp ?? t.createdAt),
+    txHash: t.txHash,
+    qty,
+    remaining: qty,
+    costUsd,
+    feeUsd,
+    feeUnpriced: feeLamports > 0 && !solUsd,
+    unitCostUsd: costUsd != null ? costUsd / qty : 0,
+  };
+}
+
+/**
+ * Group ClosedTrade slices into disposal events.  fifoReducer writes one
+ * slice per consumed row, each tagged `${txHash}-${uuid}`; slices sharing
+ * the base hash are a single sale.
+ * @param {object[]} rows ClosedTrade rows
+ */
+function disposalsFromClosed(rows = []) {
+  const events = new Map();
+  for (const r of rows) {
+    if (!r?.txHash || UUID_RE.test(r.txHash)) continue; // dry-run sell
+    const baseTx = r.txHash.replace(UUID_SUFFIX_RE, "");
+    const qty = num(r.outAmount) / 10 ** (r.decimals ?? 9);
+    if (!pos(qty)) continue;
+
+    const key = `${r.walletId}:${r.mint}:${baseTx}`;
+    let ev = events.get(key);
+    if (!ev) {
+      const solUsd = impliedSolUsd(r.exitPrice, r.exitPriceUSD);
+      ev = {
+        walletId: r.walletId,
+        walletLabel: r.walletLabel ?? null,
+        mint: r.mint,
+        tokenName: r.tokenName ?? null,
+        disposedAt: new Date(r.exitedAt),
+        txHash: baseTx,
+        qty: 0,
+        grossUsd: 0,
+        feeUsd: solUsd ? (BASE_FEE_LAMPORTS / 1e9) * solUsd : 0,
+        feeUnpriced: !solUsd,
+        unpriced: false,
+        triggerType: r.triggerType ?? null,
+      };
+      events.set(key, ev);
+    }
+    ev.qty += qty;
+    if (pos(num(r.exitPriceUSD))) ev.grossUsd += num(r.exitPriceUSD) * qty;
+    else ev.unpriced = true;
+  }
+  return [...events.values()];
+}
+
+/* Order open lots by the chosen method. */
+function pickOrder(method) {
+  if (method === "LIFO") return (a, b) => b.acquiredAt - a.acquiredAt || b.id - a.id;
+  if (method === "HIFO") return (a, b) => b.unitCostUsd - a.unitCostUsd || a.acquiredAt - b.acquiredAt;
+  return (a, b) => a.acquiredAt - b.acquiredAt || a.id - b.id;
+}
+
+/**
+ * Match disposals against lots.  Returns one row per (disposal, lot)
+ * pair plus an unmatched row (zero basis, missingBasis) when a sale
+ * exceeds the tracked lots.  Rows of an unpriced sale carry null
+ * proceeds and gain.  Lots are mutated (`remaining`).
+ *
+ * @param {object[]} lots       from lotFromTrade
+ * @param {object[]} disposals  from disposalsFromClosed
+ * @param {"FIFO"|"LIFO"|"HIFO"} [method]
+ */
+function matchLots(lots, disposals, method = "FIFO") {
+  const m = String(method).toUpperCase();
+  if (!METHODS.includes(m)) throw new Error(`Unknown lot method ${method}`);
+  const order = pickOrder(m);
+
+  const pools = new Map();
+  for (const lot of lots) {
+    const k = `${lot.walletId}:${lot.mint}`;
+    if (!pools.has(k)) pools.set(k, []);
+    pools.get(k).push(lot);
+  }
+
+  const rows = [];
+  const sorted = [...disposals].sort((a, b) => a.disposedAt - b.disposedAt);
+  for (const d of sorted) {
+    const open = (pools.get(`${d.walletId}:${d.mint}`) || [])
+      .filter((l) => l.remaining > EPS && l.acquiredAt <= d.disposedAt)
+      .sort(order);
+
+    const netUsd = d.grossUsd - d.feeUsd;
+    let left = d.qty;
+    const take = (qty, lot) => {
+      const share = qty / d.qty;
+      const proceedsUsd = d.unpriced ? null : netUsd * share;
+      const basis = lot ? (lot.costUsd != null ? (lot.costUsd * qty) / lot.qty : 0) : 0;
+      const heldDays = lot ? Math.floor((d.disposedAt - lot.acquiredAt) / DAY_MS) : null;
+      rows.push({
+        walletId: d.walletId,
+        walletLabel: d.walletLabel ?? lot?.walletLabel ?? null,
+        mint: d.mint,
+        tokenName: d.tokenName ?? lot?.tokenName ?? null,
+        qty,
+        acquiredAt: lot ? lot.acquiredAt : null,
+        disposedAt: d.disposedAt,
+        proceedsUsd,
+        costBasisUsd: basis,
+        feesUsd: d.feeUsd * share + (lot ? (lot.feeUsd * qty) / lot.qty : 0),
+        gainUsd: proceedsUsd == null ? null : proceedsUsd - basis,
+        holdingDays: heldDays,
+        term: heldDays != null && heldDays > LONG_TERM_DAYS ? "long" : "short",
+        lotId: lot ? lot.id : null,
+        buyTxHash: lot ? lot.txHash : null,
+        sellTxHash: d.txHash,
+        missingBasis: !lot || lot.costUsd == null,
+        unpriced: d.unpriced,
+        feesUnpriced: d.feeUnpriced || !!lot?.feeUnpriced,
+      });
+    };
+
+    for (const lot of open) {
+      if (left <= EPS) break;
+      const qty = Math.min(lot.remaining, left);
+      lot.remaining -= qty;
+      left -= qty;
+      take(qty, lot);
+    }
+    if (left > EPS * Math.max(1, d.qty)) take(left, null);
+  }
+  return rows;
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Per-wallet totals for a set of matched rows.
+ * @param {object[]} rows   from matchLots
+ * @param {object[]} [lots] lots after matching (for the open-lot count)
+ */
+function summarizeByWallet(rows, lots = []) {
+  const wallets = new Map();
+  const blank = (walletId, walletLabel) => ({
+    walletId,
+    walletLabel,
+    disposals: 0,
+    proceedsUsd: 0,
+    costBasisUsd: 0,
+    feesUsd: 0,
+    gainUsd: 0,
+    shortTermGainUsd: 0,
+    longTermGainUsd: 0,
+    missingBasisRows: 0,
+    unpricedRows: 0,
+    openLots: 0,
+  });
+  const get = (id, label) => {
+    if (!wallets.has(id)) wallets.set(id, blank(id, label));
+    return wallets.get(id);
+  };
+
+  const sales = new Set();
+  for (const r of rows) {
+    const w = get(r.walletId, r.walletLabel);
+    const saleKey = `${r.walletId}:${r.mint}:${r.sellTxHash}`;
+    if (!sales.has(saleKey)) { sales.add(saleKey); w.disposals++; }
+    if (r.missingBasis) w.missingBasisRows++;
+    if (r.unpriced) { w.unpricedRows++; continue; }
+    w.proceedsUsd += r.proceedsUsd;
+    w.costBasisUsd += r.costBasisUsd;
+    w.feesUsd += r.feesUsd;
+    w.gainUsd += r.gainUsd;
+    if (r.term === "long") w.longTermGainUsd += r.gainUsd;
+    else w.shortTermGainUsd += r.gainUsd;
+  }
+  for (const l of lots) {
+    if (l.remaining > EPS) get(l.walletId, l.walletLabel).openLots++;
+  }
+
+  const list = [...wallets.values()].map((w) => ({
+    ...w,
+    proceedsUsd: round2(w.proceedsUsd),
+    costBasisUsd: round2(w.costBasisUsd),
+    feesUsd: round2(w.feesUsd),
+    gainUsd: round2(w.gainUsd),
+    shortTermGainUsd: round2(w.shortTermGainUsd),
+    longTermGainUsd: round2(w.longTermGainUsd),
+  }));
+  const totals = list.reduce((t, w) => {
+    for (const k of ["disposals", "proceedsUsd", "costBasisUsd", "feesUsd", "gainUsd", "shortTermGainUsd", "longTermGainUsd"]) {
+      t[k] = round2((t[k] || 0) + w[k]);
+    }
+    return t;
+  }, {});
+  return { wallets: list, totals };
+}
+
+/**
+ * Build a capital-gains report for one calendar year (UTC).  Trades and
+ * closed slices should cover everything up to the end of the year so
+ * earlier lots are consumed before the reported disposals.
+ *
+ * @param {object} params
+ * @param {object[]} params.trades   Trade rows
+ * @param {object[]} params.closed   ClosedTrade rows
+ * @param {number}   params.year
+ * @param {"FIFO"|"LIFO"|"HIFO"} [params.method]
+ */
+function buildTaxReport({ trades = [], closed = [], year, method = "FIFO" }) {
+  const start = new Date(Date.UTC(year, 0, 1));
+  const end = new Date(Date.UTC(year + 1, 0, 1));
+  const lots = trades
+    .map((t) => lotFromTrade(t))
+    .filter((l) => l && l.acquiredAt < end);
+  const disposals = disposalsFromClosed(closed)
+    .filter((d) => d.disposedAt < end);
+
+  const rows = matchLots(lots, disposals, method)
+    .filter((r) => r.disposedAt >= start);
+  return {
+    year,
+    method: String(method).toUpperCase(),
+    rows,
+    ...summarizeByWallet(rows, lots),
+  };
+}
+
+module.exports = {
+  METHODS,
+  LONG_TERM_DAYS,
+  lotFromTrade,
+  disposalsFromClosed,
+  matchLots,
+  summarizeByWallet,
+  buildTaxReport,
+};
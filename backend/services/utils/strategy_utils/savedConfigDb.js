@@ -1,7 +1,7 @@
 const prisma = require("../../../prisma/prisma");
 
 module.exports = {
-  async savePreset({ userId, mode, name = "", cfg }) {
+  async savePreset({ userId, mode, name = "", cfg, lineage = null }) {
     // Write both fields for forward/back-compat (some rows used `strategy`)
     return prisma.SavedConfigs.create({
       data: {
@@ -13,6 +13,7 @@ module.exports = {
         userId,
         // store full object so nothing is lost
         extras: cfg,
+        ...(lineage ? { lineage } : {}),
       },
     });
   },
@@ -35,6 +36,7 @@ module.exports = {
         name: true,
         savedAt: true,
         extras: true,
+        lineage: true,
       },
     });
 
@@ -45,6 +47,14 @@ module.exports = {
     }));
   },
 
+  async getPreset(userId, id) {
+    const row = await prisma.SavedConfigs.findFirst({
+      where: { id: +id, userId, isSaved: true },
+    });
+    if (!row) return null;
+    return { ...row, strategyName: row.strategyName || row.strategy || null };
+  },
+
   async updatePreset({ id, userId, name, cfg }) {
     return prisma.SavedConfigs.update({
       where: { id, userId },
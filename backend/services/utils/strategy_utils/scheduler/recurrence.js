@@ -0,0 +1,245 @@
+/* ========================================================================
+ * recurrence.js – recurring schedule maths (no deps)
+ * ------------------------------------------------------------------------
+ * A recurring ScheduledStrategy stores one of:
+ *   { type: "cron",   expr: "30 9 * * 1-5" }              + maxDurationMin
+ *   { type: "window", days: [1,2,3,4,5], start: "09:30", end: "16:00" }
+ * evaluated in the row's IANA `timezone` (default UTC).
+ *
+ * • Cron is classic 5-field (min hour dom month dow) with `*`, lists,
+ *   ranges, steps and 3-letter names; dom/dow OR-match like Vixie cron.
+ * • A window is sugar for "start at HH:MM on these weekdays, end at
+ *   HH:MM" (an end ≤ start runs past midnight).
+ * • Every occurrence has an end: window end and/or start + maxDurationMin,
+ *   whichever comes first.
+ * ====================================================================== */
+
+const MINUTE_MS = 60_000;
+const DAY_MS = 86_400_000;
+const SEARCH_DAYS = 400;
+
+const DOW_NAMES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const MONTH_NAMES = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES },
+  { name: "day-of-week", min: 0, max: 7, names: DOW_NAMES },
+];
+
+/* ─── cron parsing ─────────────────────────────────────────────────── */
+
+function parseValue(raw, field) {
+  const key = raw.toLowerCase();
+  if (field.names && key in field.names) return field.names[key];
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < field.min || n > field.max) {
+    throw new Error(`cron ${field.name}: "${raw}" out of range ${field.min}-${field.max}`);
+  }
+  return n;
+}
+
+function parseField(src, field) {
+  const values = new Set();
+  for (const part of src.split(",")) {
+    const [range, stepRaw] = part.split("/");
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`cron ${field.name}: bad step "${part}"`);
+
+    let lo;
+    let hi;
+    if (range === "*") {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes("-")) {
+      const [a, b] = range.split("-");
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`cron ${field.name}: bad range "${range}"`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepRaw === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** "30 9 * * 1-5" → { minutes, hours, dom, months, dow, domAny, dowAny } */
+function parseCron(expr) {
+  const parts = String(expr || "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error("cron expression needs 5 fields (min hour dom month dow)");
+
+  const [minutes, hours, dom, months, dowRaw] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  const dow = new Set([...dowRaw].map((d) => (d === 7 ? 0 : d)));
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    dom,
+    months,
+    dow,
+    domAny: parts[2] === "*",
+    dowAny: parts[4] === "*",
+  };
+}
+
+function dayMatches(spec, day, dow) {
+  if (spec.domAny && spec.dowAny) return true;
+  if (spec.domAny) return spec.dow.has(dow);
+  if (spec.dowAny) return spec.dom.has(day);
+  return spec.dom.has(day) || spec.dow.has(dow);
+}
+
+/* ─── time zones ───────────────────────────────────────────────────── */
+
+const formatters = new Map();
+
+function assertTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch {
+    throw new Error(`Unknown timezone "${tz}"`);
+  }
+}
+
+/** Wall-clock parts of `ts` in `tz`. */
+function partsIn(ts, tz) {
+  let fmt = formatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric", month: "numeric", day: "numeric",
+      hour: "numeric", minute: "numeric", second: "numeric",
+    });
+    formatters.set(tz, fmt);
+  }
+  const out = {};
+  for (const { type, value } of fmt.formatToParts(new Date(ts))) {
+    if (type !== "literal") out[type] = Number(value);
+  }
+  return out;
+}
+
+function offsetMs(ts, tz) {
+  const p = partsIn(ts, tz);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(ts / 1000) * 1000;
+}
+
+/** Wall-clock time in `tz` → epoch ms (DST gaps resolve forward). */
+function wallToUtc(y, mo, d, h, mi, tz) {
+  const wall = Date.UTC(y, mo - 1, d, h, mi);
+  const first = wall - offsetMs(wall, tz);
+  return wall - offsetMs(first, tz);
+}
+
+/* ─── occurrences ──────────────────────────────────────────────────── */
+
+function parseHHMM(s, label) {
+  const m = String(s || "").match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!m) throw new Error(`${label} must be HH:MM`);
+  return { h: Number(m[1]), m: Number(m[2]) };
+}
+
+/**
+ * Validate a stored recurrence and reduce it to `{ spec, durationMin }`.
+ * `durationMin` is how long each run lasts before auto-stop.
+ */
+function compileRecurrence(recurrence, maxDurationMin = null) {
+  const max = maxDurationMin != null ? Number(maxDurationMin) : null;
+  if (max != null && (!Number.isFinite(max) || max < 1)) throw new Error("maxDurationMin must be ≥ 1");
+
+  if (recurrence?.type === "cron") {
+    if (max == null) throw new Error("cron schedules need maxDurationMin so every run auto-stops");
+    return { spec: parseCron(recurrence.expr), durationMin: max };
+  }
+
+  if (recurrence?.type === "window") {
+    const days = [...new Set((recurrence.days || []).map(Number))];
+    if (!days.length || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error("window days must be weekdays 0-6 (0 = Sunday)");
+    }
+    const start = parseHHMM(recurrence.start, "window start");
+    const end = parseHHMM(recurrence.end, "window end");
+    let span = (end.h * 60 + end.m) - (start.h * 60 + start.m);
+    if (span <= 0) span += 24 * 60;
+    return {
+      spec: parseCron(`${start.m} ${start.h} * * ${days.sort().join(",")}`),
+      durationMin: max != null ? Math.min(span, max) : span,
+    };
+  }
+
+  throw new Error('recurrence.type must be "cron" or "window"');
+}
+
+/** First cron start strictly after `afterMs`, or null within SEARCH_DAYS. */
+function nextCronStart(spec, afterMs, tz) {
+  const from = partsIn(afterMs + MINUTE_MS, tz);
+  const firstDay = Date.UTC(from.year, from.month - 1, from.day);
+
+  for (let i = 0; i <= SEARCH_DAYS; i++) {
+    const date = new Date(firstDay + i * DAY_MS);
+    const y = date.getUTCFullYear();
+    const mo = date.getUTCMonth() + 1;
+    const d = date.getUTCDate();
+    if (!spec.months.has(mo) || !dayMatches(spec, d, date.getUTCDay())) continue;
+
+    for (const h of spec.hours) {
+      if (i === 0 && h < from.hour) continue;
+      for (const mi of spec.minutes) {
+        if (i === 0 && h === from.hour && mi < from.minute) continue;
+        const ts = wallToUtc(y, mo, d, h, mi, tz);
+        if (ts > afterMs) return ts;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Next occurrence starting after `afterMs`:
+ * `{ startMs, endMs }` or null when the rule never fires.
+ */
+function nextOccurrence(compiled, afterMs, tz = "UTC") {
+  const startMs = nextCronStart(compiled.spec, afterMs, tz);
+  return startMs == null ? null : { startMs, endMs: startMs + compiled.durationMin * MINUTE_MS };
+}
+
+/** The occurrence in progress at `nowMs` (for restore after a restart), or null. */
+function activeOccurrence(compiled, nowMs, tz = "UTC") {
+  let cursor = nowMs - compiled.durationMin * MINUTE_MS - MINUTE_MS;
+  for (;;) {
+    const occ = nextOccurrence(compiled, cursor, tz);
+    if (!occ || occ.startMs > nowMs) return null;
+    if (occ.endMs > nowMs) return occ;
+    cursor = occ.startMs;
+  }
+}
+
+/** Short human summary for lists and alerts. */
+function describeRecurrence(recurrence, tz = "UTC") {
+  if (recurrence?.type === "window") {
+    const names = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+    const days = [...(recurrence.days || [])].sort().map((d) => names[d]).join(", ");
+    return `${days} ${recurrence.start}–${recurrence.end} (${tz})`;
+  }
+  if (recurrence?.type === "cron") return `cron "${recurrence.expr}" (${tz})`;
+  return "once";
+}
+
+module.exports = {
+  parseCron,
+  compileRecurrence,
+  nextOccurrence,
+  activeOccurrence,
+  describeRecurrence,
+  assertTimezone,
+  wallToUtc,
+};
@@ -1,25 +1,41 @@
 /* ========================================================================
- * strategyScheduler.js  – v2.4 ➜ v2.4.1
+ * strategyScheduler.js  – v2.4.1 ➜ v2.5
  * ------------------------------------------------------------------------
  * • Restores / schedules timed bot launches from ScheduledStrategy table
  * • Fires 5 min *before* launchISO for warm-up
  * • Tracks lifecycle in DB (pending → running → completed / stopped)
  * • Passes userId, walletId & startTime into the strategy config
+ * • v2.5: recurring schedules (cron / weekday window in a timezone).
+ *   Each occurrence launches `mode` with the saved config, auto-stops at
+ *   its end and is recorded as a ScheduledRun; the series stays
+ *   pending ⇄ running and is never auto-cleaned.
+ *   After a restart a run whose bot is still alive is adopted rather
+ *   than launched a second time.
  * ====================================================================== */
 
 const crypto   = require("crypto");
+const fs       = require("fs");
 let   schedule = null;
 try { schedule = require("node-schedule"); } catch {/* optional dep */ }
 
 const prisma                       = require("../../../../prisma/prisma");
-const { startStrategy }            = require("../strategyLauncher");
-const { validateScheduleLauncher } = require("../strategyValidator");
+const { startStrategy, stopStrategy } = require("../strategyLauncher");
+const { validateStrategyConfig }   = require("../strategyValidator");
+const { isStrategyEnabled }        = require("../../../../config/featureFlags");
+const {
+  compileRecurrence,
+  nextOccurrence,
+  activeOccurrence,
+  describeRecurrence,
+  assertTimezone,
+}                                  = require("./recurrence");
 const { getCachedPrice }           = require("../../../../utils/priceCache.dynamic");
 
 const { runningProcesses } = require("../activeStrategyTracker");
 const { sendAlert }        = require("../../../../telegram/alerts"); // adjust path if needed
 
 const jobs = new Map();
+const activeRuns = new Map();   // scheduleId → { runId, botId, endMs, reason, stopTimer, pid? }
 
 /* ─── constants ────────────────────────────────────────────────────── */
 const PRELAUNCH_MIN = 5;                     // warm-up offset (minutes)
@@ -33,19 +49,70 @@ const STATUS = {
   STOPPED  : "stopped",
 };
 
+/* ScheduledRun status */
+const RUN_STATUS = {
+  RUNNING  : "running",
+  COMPLETED: "completed",   // auto-stopped at its planned end
+  EXITED   : "exited",      // bot finished on its own before the end
+  STOPPED  : "stopped",     // cancelled / server restart
+  FAILED   : "failed",      // launch failed
+};
+
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;  // setTimeout ceiling (~24.8 days)
+
 /* ──────────────────────────────────────────────────────────────────── */
 /* 1. Boot-time restore                                                */
 /* ──────────────────────────────────────────────────────────────────── */
 async function init() {
-  // only restore future-dated, still-pending schedules
+  // one-shots: only future-dated, still-pending; recurring: every live series
   const rows = await prisma.scheduledStrategy.findMany({
-    where: {
-      status   : STATUS.PENDING,
-      launchISO: { gt: new Date() },
-    },
+    where: { status: { in: [STATUS.PENDING, STATUS.RUNNING] } },
   });
 
-  for (const row of rows) jobs.set(row.id, armJob(row));
+  // A run's bot may have outlived the previous server process: adopt it so
+  // its occurrence is not launched twice. Runs whose bot died are closed.
+  const stale = await prisma.scheduledRun.findMany({
+    where : { status: RUN_STATUS.RUNNING },
+    select: { id: true, botId: true, scheduleId: true, scheduledFor: true, plannedEndAt: true },
+  }).catch(() => []);
+  const dead = [];
+  for (const r of stale) {
+    if (runningProcesses[r.botId]) continue;
+    const row = rows.find((x) => x.id === r.scheduleId);
+    const pid = row?.recurrence ? await survivingChild(r.botId) : null;
+    if (!pid) { dead.push(r.id); continue; }
+
+    const endMs = new Date(r.plannedEndAt).getTime();
+    const reason = stopReason(row, new Date(r.scheduledFor).getTime(), endMs);
+    activeRuns.set(r.scheduleId, {
+      runId: r.id,
+      botId: r.botId,
+      pid,
+      endMs,
+      reason,
+      stopTimer: setLongTimeout(() => endRun(r.scheduleId, reason), Math.max(0, endMs - Date.now())),
+    });
+    console.log(`♻️  [Scheduler] Adopted running ${r.botId} (pid ${pid}) for job ${r.scheduleId}`);
+  }
+  if (dead.length) {
+    await prisma.scheduledRun.updateMany({
+      where: { id: { in: dead } },
+      data : { status: RUN_STATUS.STOPPED, stopReason: "server_restart", endedAt: new Date() },
+    }).catch(() => {});
+  }
+
+  const now = Date.now();
+  for (const row of rows) {
+    if (row.recurrence) {
+      try {
+        jobs.set(row.id, armRecurring(row, { resume: true }));
+      } catch (err) {
+        console.warn(`⚠️  [Scheduler] Recurring job ${row.id} not restored: ${err.message}`);
+      }
+    } else if (row.status === STATUS.PENDING && new Date(row.launchISO).getTime() > now) {
+      jobs.set(row.id, armJob(row));
+    }
+  }
   console.log(`📦 Restored ${jobs.size} scheduled strategies.`);
 }
 
@@ -55,10 +122,17 @@ async function init() {
 async function scheduleStrategy({
   name = null, mode = "", config = {}, launchISO,
   targetToken, limit, buyMode = "interval", userId, walletId,
+  recurrence = null, timezone = null, maxDurationMin = null,
 }) {
+  if (recurrence) {
+    return scheduleRecurring({
+      name, mode, config, targetToken, limit, buyMode, userId, walletId,
+      recurrence, timezone, maxDurationMin,
+    });
+  }
   if (!mode || !launchISO) throw new Error("mode and launchISO are required");
 
-  const errs = validateScheduleLauncher(config);
+  const errs = validateStrategyConfig("scheduleLauncher", config);
   if (errs.length) throw new Error(`Invalid ${mode} config:\n- ${errs.join("\n- ")}`);
 
   const launchTime = new Date(launchISO);
@@ -109,6 +183,13 @@ async function cancelSchedule(jobId) {
     meta.cancel();
     jobs.delete(jobId);
   }
+  // a recurring series going away takes its running occurrence with it
+  const run = activeRuns.get(jobId);
+  if (run) {
+    clearLongTimeout(run.stopTimer);
+    activeRuns.delete(jobId);
+    try { await stopRunBot(run); } catch {}
+  }
   await prisma.scheduledStrategy.delete({ where: { id: jobId } });
   return true;
 }
@@ -119,10 +200,14 @@ async function cancelSchedule(jobId) {
 /* ──────────────────────────────────────────────────────────────────── */
 async function updateSchedule({
   jobId, name, mode, config, launchISO, startTime,
-  targetToken, limit,
+  targetToken, limit, recurrence, timezone, maxDurationMin,
 }) {
   if (!jobs.has(jobId)) throw new Error("Job not found");
 
+  if (jobs.get(jobId).recurrence) {
+    return updateRecurring({ jobId, name, config, targetToken, limit, recurrence, timezone, maxDurationMin });
+  }
+
   const row = await prisma.scheduledStrategy.update({
     where: { id: jobId },
     data : {
@@ -238,12 +323,313 @@ console.log(`⏰ [Scheduler] Pre-launch scheduleLauncher (job ${jobId})`);
   })();
 }
 
+/* ──────────────────────────────────────────────────────────────────── */
+/* 5. Recurring schedules                                              */
+/* ──────────────────────────────────────────────────────────────────── */
+
+/** setTimeout that survives delays beyond the ~24.8-day ceiling. */
+function setLongTimeout(fn, delay) {
+  const handle = { t: null };
+  const target = Date.now() + Math.max(0, delay);
+  const step = () => {
+    const left = target - Date.now();
+    if (left <= 0) return fn();
+    handle.t = setTimeout(step, Math.min(left, MAX_TIMEOUT_MS));
+    handle.t.unref?.();
+  };
+  handle.t = setTimeout(step, Math.min(Math.max(0, delay), MAX_TIMEOUT_MS));
+  handle.t.unref?.();
+  return handle;
+}
+
+function clearLongTimeout(handle) {
+  if (handle?.t) clearTimeout(handle.t);
+}
+
+function checkRecurring({ mode, config, recurrence, timezone, maxDurationMin }) {
+  if (!mode) throw new Error("mode is required");
+  if (!isStrategyEnabled(mode)) throw new Error(`Strategy ${mode} is disabled`);
+  const tz = assertTimezone(timezone || "UTC");
+  const compiled = compileRecurrence(recurrence, maxDurationMin);
+
+  const errs = validateStrategyConfig(mode, config || {});
+  if (errs.length) throw new Error(`Invalid ${mode} config:\n- ${errs.join("\n- ")}`);
+
+  const first = nextOccurrence(compiled, Date.now(), tz);
+  if (!first) throw new Error("recurrence never fires within the next year");
+  return { tz, first };
+}
+
+async function scheduleRecurring({
+  name, mode, config = {}, targetToken, limit, buyMode, userId, walletId,
+  recurrence, timezone, maxDurationMin,
+}) {
+  const { tz, first } = checkRecurring({ mode, config, recurrence, timezone, maxDurationMin });
+
+  const wallet = await prisma.wallet.findUnique({ where: { id: walletId } });
+  if (!wallet) throw new Error(`Wallet ${walletId} not found`);
+  if (wallet.userId !== userId)
+    throw new Error(`Wallet ${walletId} does not belong to user ${userId}`);
+
+  const row = await prisma.scheduledStrategy.create({
+    data: {
+      name, mode, config,
+      launchISO     : new Date(first.startMs),   // next occurrence, kept current
+      targetToken, limit, buyMode,
+      recurrence,
+      timezone      : tz,
+      maxDurationMin: maxDurationMin ?? null,
+      status        : STATUS.PENDING,
+      user          : { connect: { id: userId   } },
+      wallet        : { connect: { id: walletId } },
+    },
+  });
+
+  jobs.set(row.id, armRecurring(row));
+  return row.id;
+}
+
+async function updateRecurring({ jobId, name, config, targetToken, limit, recurrence, timezone, maxDurationMin }) {
+  const prev = jobs.get(jobId);
+  const next = {
+    mode          : prev.mode,
+    config        : config ?? prev.config,
+    recurrence    : recurrence ?? prev.recurrence,
+    timezone      : timezone ?? prev.timezone,
+    maxDurationMin: maxDurationMin !== undefined ? maxDurationMin : prev.maxDurationMin,
+  };
+  const { tz } = checkRecurring(next);
+
+  const row = await prisma.scheduledStrategy.update({
+    where: { id: jobId },
+    data : {
+      name,
+      config        : next.config,
+      recurrence    : next.recurrence,
+      timezone      : tz,
+      maxDurationMin: next.maxDurationMin ?? null,
+      targetToken   : targetToken ?? undefined,
+      limit         : limit       ?? undefined,
+    },
+  });
+
+  prev.cancel();                    // only the next-start timer; a live run keeps its end
+  jobs.set(jobId, armRecurring(row));
+  return jobId;
+}
+
+/**
+ * Timer for the next occurrence of a recurring row. With `resume`, an
+ * occurrence already in progress (restart mid-window) launches now for
+ * the rest of its window.
+ */
+function armRecurring(row, { resume = false } = {}) {
+  const tz = row.timezone || "UTC";
+  const compiled = compileRecurrence(row.recurrence, row.maxDurationMin);
+  const meta = { ...row, triggerTime: null, timer: null };
+  meta.cancel = () => clearLongTimeout(meta.timer);
+
+  const now = Date.now();
+  const current = resume && !activeRuns.has(row.id) ? activeOccurrence(compiled, now, tz) : null;
+  if (current) {
+    meta.triggerTime = new Date(now);
+    meta.timer = setLongTimeout(() => runOccurrence(meta, compiled, current), 100);
+  } else {
+    planNext(meta, compiled, Math.max(now, activeRuns.get(row.id)?.endMs || 0));
+  }
+  return meta;
+}
+
+function planNext(meta, compiled, afterMs) {
+  const tz = meta.timezone || "UTC";
+  const occ = nextOccurrence(compiled, afterMs, tz);
+  if (!occ) {
+    console.warn(`⚠️  [Scheduler] Recurring job ${meta.id} has no further occurrences`);
+    jobs.delete(meta.id);
+    prisma.scheduledStrategy.update({
+      where: { id: meta.id },
+      data : { status: STATUS.COMPLETED, finishedAt: new Date() },
+    }).catch(() => {});
+    return;
+  }
+
+  meta.triggerTime = new Date(occ.startMs);
+  meta.timer = setLongTimeout(() => runOccurrence(meta, compiled, occ), occ.startMs - Date.now());
+  prisma.scheduledStrategy.update({
+    where: { id: meta.id },
+    data : { launchISO: new Date(occ.startMs) },
+  }).catch(() => {});
+}
+
+/** Launch one occurrence, arm its auto-stop, then plan the following one. */
+async function runOccurrence(meta, compiled, occ) {
+  const { id: jobId, mode, userId, walletId } = meta;
+  const botId = `${mode}-sched-${jobId.slice(0, 8)}-${occ.startMs}`;
+  const endMs = Math.max(occ.endMs, Date.now() + 60_000);
+  const reason = stopReason(meta, occ.startMs, occ.endMs);
+
+  console.log(`⏰ [Scheduler] Recurring ${mode} occurrence (job ${jobId}) until ${new Date(endMs).toISOString()}`);
+
+  let runId = null;
+  try {
+    const run = await prisma.scheduledRun.create({
+      data: {
+        scheduleId  : jobId,
+        userId,
+        botId,
+        scheduledFor: new Date(occ.startMs),
+        plannedEndAt: new Date(endMs),
+        status      : RUN_STATUS.RUNNING,
+      },
+    });
+    runId = run.id;
+
+    if (!isStrategyEnabled(mode)) throw new Error(`Strategy ${mode} is disabled`);
+    const wallet = await prisma.wallet.findUnique({ where: { id: walletId }, select: { label: true } });
+
+    await startStrategy(mode, {
+      ...meta.config,
+      botId,
+      userId,
+      walletId,
+      ...(wallet?.label && { walletLabel: wallet.label }),
+      scheduleId: jobId,
+    }, /*autoRestart=*/false);
+
+    activeRuns.set(jobId, {
+      runId,
+      botId,
+      endMs,
+      reason,
+      stopTimer: setLongTimeout(() => endRun(jobId, reason), endMs - Date.now()),
+    });
+    await prisma.scheduledStrategy.update({
+      where: { id: jobId },
+      data : { status: STATUS.RUNNING, startedAt: new Date() },
+    });
+    console.log(`🚀 [Scheduler] ${mode} started as ${botId} (job ${jobId})`);
+  } catch (err) {
+    const message = err?.message || String(err);
+    console.error(`💥 [Scheduler] Recurring ${mode} failed to start:`, message, err?.details || "");
+    if (runId) {
+      await prisma.scheduledRun.update({
+        where: { id: runId },
+        data : {
+          status : RUN_STATUS.FAILED,
+          endedAt: new Date(),
+          error  : [message, ...(err?.details || [])].join("; ").slice(0, 500),
+        },
+      }).catch(() => {});
+    }
+    try {
+      await sendAlert(
+        userId,
+        `❌ *Scheduled ${mode} run failed to start*\n\n` +
+        `• Schedule: ${meta.name || jobId.slice(0, 8)} – ${describeRecurrence(meta.recurrence, meta.timezone || "UTC")}\n` +
+        `• Reason: \`${message}\``
+      );
+    } catch {/* ignore */}
+  }
+
+  if (jobs.get(jobId) === meta) planNext(meta, compiled, endMs);
+}
+
+/** Why an occurrence spanning startMs → endMs is auto-stopped. */
+function stopReason(row, startMs, endMs) {
+  return row.recurrence?.type === "window" && (!row.maxDurationMin ||
+    endMs - startMs < row.maxDurationMin * 60_000) ? "window_end" : "max_duration";
+}
+
+/**
+ * Pid of the bot recorded in StrategyRunStatus when that process is still
+ * running it. A pid is only trusted while the process behind it has the
+ * bot's config file on its command line, so a reused pid never passes.
+ */
+async function survivingChild(botId) {
+  const status = await prisma.strategyRunStatus.findFirst({
+    where : { botId, stoppedAt: null },
+    select: { pid: true },
+  }).catch(() => null);
+  if (!status?.pid) return null;
+  try {
+    const cmdline = fs.readFileSync(`/proc/${status.pid}/cmdline`, "utf8");
+    return cmdline.includes(`${botId}.json`) ? status.pid : null;
+  } catch {
+    return null;   // exited (or no procfs to prove it is ours)
+  }
+}
+
+/**
+ * Stop a run's bot: our own child through the launcher, an adopted one
+ * (spawned before a restart) by its verified pid. False if already gone.
+ */
+async function stopRunBot(run) {
+  if (runningProcesses[run.botId]) {
+    stopStrategy(run.botId);
+    return true;
+  }
+  const pid = run.pid && await survivingChild(run.botId);
+  if (!pid) return false;
+  process.kill(pid, "SIGTERM");
+  stopStrategy(run.botId);   // marks the StrategyRunStatus row stopped
+  return true;
+}
+
+/** Auto-stop the series' running occurrence and record how it ended. */
+async function endRun(jobId, reason) {
+  const run = activeRuns.get(jobId);
+  if (!run) return;
+  clearLongTimeout(run.stopTimer);
+  activeRuns.delete(jobId);
+
+  let alive = false;
+  try { alive = await stopRunBot(run); } catch (e) {
+    alive = true;
+    console.warn(`⚠️  [Scheduler] Failed to stop ${run.botId}:`, e.message);
+  }
+  console.log(`🛑 [Scheduler] ${run.botId} ${alive ? `auto-stopped (${reason})` : "already exited"}`);
+
+  await prisma.scheduledRun.update({
+    where: { id: run.runId },
+    data : {
+      status    : alive ? RUN_STATUS.COMPLETED : RUN_STATUS.EXITED,
+      stopReason: alive ? reason : null,
+      endedAt   : new Date(),
+    },
+  }).catch(() => {});
+  await prisma.scheduledStrategy.updateMany({
+    where: { id: jobId, status: STATUS.RUNNING },
+    data : { status: STATUS.PENDING },
+  }).catch(() => {});
+}
+
+/** Run history of one schedule (newest first), scoped to its owner. */
+async function listRuns(jobId, userId, { take = 50, skip = 0 } = {}) {
+  const row = await prisma.scheduledStrategy.findFirst({
+    where : { id: jobId, userId },
+    select: { id: true },
+  });
+  if (!row) return null;
+  const [runs, total] = await Promise.all([
+    prisma.scheduledRun.findMany({
+      where  : { scheduleId: jobId },
+      orderBy: { scheduledFor: "desc" },
+      take,
+      skip,
+    }),
+    prisma.scheduledRun.count({ where: { scheduleId: jobId } }),
+  ]);
+  return { runs, total };
+}
+
 /* ──────────────────────────────────────────────────────────────────── */
 module.exports = {
   init,
   scheduleStrategy,
   cancelSchedule,
   updateSchedule,
+  listRuns,
   jobs,
   STATUS,                           // export for external reference
+  RUN_STATUS,
 };
@@ -18,12 +18,17 @@ const {
   lastTickTimestamps,
 } = require("./activeStrategyTracker");
 const { socketBroadcast } = require("../../strategies/logging/strategyLogger");
+const riskAuthority = require("../../riskAuthority");
+const botEvents = require("../../pipelines/botEvents");
+const { sendNotification } = require("../../notifications");
 
 const mintRequiredModes = new Set([
   "stealthbot",
   "rotationbot",
   "rebalancer",
   "chadmode",
+  "gridtrader",
+  "meanreversion",
 ]);
 
 const pausedBots = new Set();
@@ -171,6 +176,11 @@ async function startStrategy(mode, config, autoRestart = false) {
     }
   );
 
+  // Child executors reserve buys against this process's risk engine
+  riskAuthority.attachChild(proc, { botId, userId: config.userId });
+  // …and raise trade / signal events for strategy pipelines
+  botEvents.attachChild(proc, { botId, userId: config.userId, mode, pipelineDepth: config.pipelineDepth, dryRun: config.dryRun === true });
+
   // now we know the PID → patch the row
   prisma.strategyRunStatus.update({
     where: { botId },
@@ -320,8 +330,31 @@ async function startStrategy(mode, config, autoRestart = false) {
     }
 
     const prev = runningProcesses[botId];
+    // stopStrategy() drops the entry before the process exits
+    botEvents.publish({
+      type: "health",
+      status: !prev ? "stopped" : code ? "crashed" : "exited",
+      code,
+      signal,
+      botId,
+      userId: config.userId,
+      mode,
+      pipelineDepth: Number(config.pipelineDepth) || 0,
+      ts: Date.now(),
+    });
     cleanupDeadBot(prev);
 
+    if (prev && code && config.userId) {
+      sendNotification(config.userId, "BOT_CRASHED", {
+        botId,
+        mode,
+        exitCode: code,
+        signal: signal || null,
+        error: `exited with code ${code}${signal ? `, signal ${signal}` : ""}`,
+        willRestart: !!(prev.autoRestart && prev.configPath),
+      });
+    }
+
     if (prev?.autoRestart && prev.configPath) {
       const strategiesDir2   = path.resolve(__dirname, "..", "..", "strategies");
       const scriptPath2      = path.join(strategiesDir2, `${mode}.js`);
@@ -346,6 +379,9 @@ async function startStrategy(mode, config, autoRestart = false) {
         }
       );
 
+      riskAuthority.attachChild(retryProc, { botId, userId: config.userId });
+      botEvents.attachChild(retryProc, { botId, userId: config.userId, mode, pipelineDepth: config.pipelineDepth, dryRun: config.dryRun === true });
+
       runningProcesses[botId] = {
         proc: retryProc,
         mode,
@@ -485,6 +521,9 @@ async function resumeStrategy(botId) {
     }
   );
 
+  riskAuthority.attachChild(proc, { botId, userId: cfg.userId });
+  botEvents.attachChild(proc, { botId, userId: cfg.userId, mode, pipelineDepth: cfg.pipelineDepth, dryRun: cfg.dryRun === true });
+
   function forwardLines(chunk) {
     chunk
       .toString()
@@ -530,5 +569,6 @@ module.exports = {
   startStrategy,
   stopStrategy,
   pauseStrategy,
+  pauseBotsByWallet,
   resumeStrategy,
 };
\ No newline at end of file
@@ -1118,6 +1118,57 @@ function validateRotationBot(cfg = {}) {
       errors.push("RotationBot: haltOnFailures must be an integer ≥ 1");
   }
 
+  /* —— ranking —— */
+  const RANKING_MODELS = ["momentum", "riskAdjusted", "volumeWeighted", "relativeStrength", "composite"];
+  if (!isUnset(cfg.rankingModel) && !RANKING_MODELS.includes(cfg.rankingModel)) {
+    errors.push(`RotationBot: rankingModel must be one of ${RANKING_MODELS.join(", ")}`);
+  }
+
+  if (cfg.rankingWeights !== undefined) {
+    if (typeof cfg.rankingWeights !== "object" || Array.isArray(cfg.rankingWeights) || !cfg.rankingWeights) {
+      errors.push("RotationBot: rankingWeights must be an object");
+    } else {
+      for (const [k, v] of Object.entries(cfg.rankingWeights)) {
+        if (!RANKING_MODELS.includes(k) || k === "composite")
+          errors.push(`RotationBot: unknown ranking weight "${k}"`);
+        else if (!isNumeric(v) || toNum(v) < 0)
+          errors.push(`RotationBot: rankingWeights.${k} must be ≥ 0`);
+      }
+      if (
+        cfg.rankingModel === "composite" &&
+        !Object.values(cfg.rankingWeights).some((v) => toNum(v) > 0)
+      )
+        errors.push("RotationBot: composite ranking needs at least one weight > 0");
+    }
+  }
+
+  if (!isUnset(cfg.momentumDecay)) {
+    if (!isNumeric(cfg.momentumDecay) || toNum(cfg.momentumDecay) < 0 || toNum(cfg.momentumDecay) > 1)
+      errors.push("RotationBot: momentumDecay must be between 0 and 1");
+  }
+
+  if (!isUnset(cfg.volLookbackHours)) {
+    if (!isNumeric(cfg.volLookbackHours) || toNum(cfg.volLookbackHours) < 1 || toNum(cfg.volLookbackHours) > 168)
+      errors.push("RotationBot: volLookbackHours must be between 1 and 168");
+  }
+
+  if (cfg.sectors !== undefined && cfg.sectors !== null) {
+    if (typeof cfg.sectors !== "object" || Array.isArray(cfg.sectors)) {
+      errors.push("RotationBot: sectors must be an object of { name: [mints] }");
+    } else {
+      for (const [name, mints] of Object.entries(cfg.sectors)) {
+        if (!Array.isArray(mints) || !mints.length) {
+          errors.push(`RotationBot: sector "${name}" needs at least one token`);
+          continue;
+        }
+        mints.forEach((m) => {
+          if (!isValidSolanaAddress(m))
+            errors.push(`RotationBot: sector "${name}" token ${m} is invalid`);
+        });
+      }
+    }
+  }
+
 
 
   if (!isUnset(cfg.targetPriceUSD)) {
@@ -1253,6 +1304,141 @@ function validateStealthBot(cfg = {}) {
 }
 
 
+function validateCopyTrader(cfg = {}) {
+  const errs = [];
+
+  if (!Array.isArray(cfg.leaders) || cfg.leaders.length < 1)
+    errs.push("CopyTrader: leaders[] must have at least one leader wallet");
+  else
+    cfg.leaders.forEach((l, i) => {
+      const addr = typeof l === "string" ? l : l?.address;
+      if (!addr || !isValidSolanaAddress(addr))
+        errs.push(`CopyTrader: leaders[${i}] address is missing or invalid`);
+      if (l && typeof l === "object") {
+        if (l.sizing != null && !["fixed", "proportional"].includes(l.sizing))
+          errs.push(`CopyTrader: leaders[${i}].sizing must be "fixed" or "proportional"`);
+        for (const k of ["ratio", "fixedAmount", "maxPerTrade", "maxDaily"])
+          if (!isUnset(l[k]) && (!isNumeric(l[k]) || toNum(l[k]) < 0))
+            errs.push(`CopyTrader: leaders[${i}].${k} must be ≥ 0`);
+        if (!isUnset(l.delayMs) && (!isNumeric(l.delayMs) || toNum(l.delayMs) < 0))
+          errs.push(`CopyTrader: leaders[${i}].delayMs must be ≥ 0`);
+      }
+    });
+
+  const sizing = cfg.sizing ?? "fixed";
+  if (!["fixed", "proportional"].includes(sizing))
+    errs.push('CopyTrader: sizing must be "fixed" or "proportional"');
+  if (sizing === "fixed" && (isUnset(cfg.amountToSpend) || !isNumeric(cfg.amountToSpend) || toNum(cfg.amountToSpend) <= 0))
+    errs.push("CopyTrader: amountToSpend (SOL per copied buy) must be > 0");
+  if (sizing === "proportional" && (!isNumeric(cfg.copyRatio) || toNum(cfg.copyRatio) <= 0))
+    errs.push("CopyTrader: copyRatio must be > 0 for proportional sizing");
+
+  for (const k of ["maxPerTrade", "maxPerLeaderDaily", "delayMs", "minLeaderSpend"])
+    if (!isUnset(cfg[k]) && (!isNumeric(cfg[k]) || toNum(cfg[k]) < 0))
+      errs.push(`CopyTrader: ${k} must be ≥ 0`);
+
+  if (!isUnset(cfg.slippage) && (toNum(cfg.slippage) <= 0 || toNum(cfg.slippage) > 99))
+    errs.push("CopyTrader: slippage must be >0 and <100");
+
+  return errs;
+}
+
+
+/* ───── Grid Trader ─────────────────────────────────────────────── */
+/* own checks – a grid fills many levels, so maxTrades isn't capped at 20 */
+function validateGridTrader(cfg = {}) {
+  const errs = [];
+
+  if (!cfg.tokenMint || !isValidSolanaAddress(cfg.tokenMint))
+    errs.push("tokenMint is missing or invalid");
+
+  const lo = toNum(cfg.lowerPrice), hi = toNum(cfg.upperPrice);
+  if (!isNumeric(cfg.lowerPrice) || lo <= 0)
+    errs.push("lowerPrice (USD) must be > 0");
+  if (!isNumeric(cfg.upperPrice) || hi <= 0)
+    errs.push("upperPrice (USD) must be > 0");
+  else if (isNumeric(cfg.lowerPrice) && hi <= lo)
+    errs.push("upperPrice must be above lowerPrice");
+
+  if (!Number.isInteger(toNum(cfg.gridLevels)) || toNum(cfg.gridLevels) < 2 || toNum(cfg.gridLevels) > 100)
+    errs.push("gridLevels must be an integer between 2 and 100");
+
+  if (cfg.spacing != null && !["arithmetic", "geometric"].includes(cfg.spacing))
+    errs.push('spacing must be "arithmetic" or "geometric"');
+
+  const amount = resolveAmount(cfg);
+  if (isUnset(amount) || !isNumeric(amount) || toNum(amount) <= 0)
+    errs.push("amountToSpend (SOL per level) must be > 0");
+
+  if (!isUnset(cfg.stopOutPct) && (!isNumeric(cfg.stopOutPct) || toNum(cfg.stopOutPct) < 0 || toNum(cfg.stopOutPct) > 100))
+    errs.push("stopOutPct must be between 0 and 100 %");
+  if (cfg.stopOutAction != null && !["sell", "hold"].includes(cfg.stopOutAction))
+    errs.push('stopOutAction must be "sell" or "hold"');
+
+  if (!isUnset(cfg.maxTrades) && (!Number.isInteger(toNum(cfg.maxTrades)) || toNum(cfg.maxTrades) < 1 || toNum(cfg.maxTrades) > 1000))
+    errs.push("maxTrades must be an integer between 1 and 1000");
+  if (!isUnset(cfg.interval) && (!isNumeric(cfg.interval) || toNum(cfg.interval) < 1 || toNum(cfg.interval) > 3600))
+    errs.push("interval must be between 1 and 3600 seconds");
+  if (!isUnset(cfg.haltOnFailures) && (!Number.isInteger(toNum(cfg.haltOnFailures)) || toNum(cfg.haltOnFailures) < 1))
+    errs.push("haltOnFailures must be an integer ≥ 1");
+
+  if (!isUnset(cfg.slippage) && (toNum(cfg.slippage) <= 0 || toNum(cfg.slippage) > 99))
+    errs.push("slippage must be >0 and <100");
+
+  return errs;
+}
+
+function validateMeanReversion(cfg = {}) {
+  const errs = [];
+
+  if (!cfg.tokenMint || !isValidSolanaAddress(cfg.tokenMint))
+    errs.push("tokenMint is missing or invalid");
+
+  const amount = resolveAmount(cfg);
+  if (isUnset(amount) || !isNumeric(amount) || toNum(amount) <= 0)
+    errs.push("amountToSpend (base SOL per entry) must be > 0");
+
+  if (cfg.anchor != null && !["vwap", "bollinger"].includes(cfg.anchor))
+    errs.push('anchor must be "vwap" or "bollinger"');
+  if (!isUnset(cfg.lookback) && (!Number.isInteger(toNum(cfg.lookback)) || toNum(cfg.lookback) < 5 || toNum(cfg.lookback) > 500))
+    errs.push("lookback must be an integer between 5 and 500 candles");
+  if (cfg.candleInterval != null && !["1m", "3m", "5m", "15m", "30m", "1H", "2H", "4H", "1D"].includes(cfg.candleInterval))
+    errs.push("candleInterval must be one of 1m, 3m, 5m, 15m, 30m, 1H, 2H, 4H, 1D");
+
+  const entryZ = isUnset(cfg.entryZ) ? 2 : toNum(cfg.entryZ);
+  if (!isUnset(cfg.entryZ) && (!isNumeric(cfg.entryZ) || entryZ <= 0 || entryZ > 10))
+    errs.push("entryZ must be > 0 and ≤ 10");
+  if (!isUnset(cfg.exitZ) && (!isNumeric(cfg.exitZ) || toNum(cfg.exitZ) < 0 || toNum(cfg.exitZ) >= entryZ))
+    errs.push("exitZ must be ≥ 0 and below entryZ");
+  if (!isUnset(cfg.fullSizeZ) && (!isNumeric(cfg.fullSizeZ) || toNum(cfg.fullSizeZ) <= entryZ))
+    errs.push("fullSizeZ must be above entryZ");
+  if (!isUnset(cfg.maxSizeMultiplier) && (!isNumeric(cfg.maxSizeMultiplier) || toNum(cfg.maxSizeMultiplier) < 1 || toNum(cfg.maxSizeMultiplier) > 10))
+    errs.push("maxSizeMultiplier must be between 1 and 10");
+
+  if (!isUnset(cfg.maxHoldMinutes) && (!isNumeric(cfg.maxHoldMinutes) || toNum(cfg.maxHoldMinutes) < 0))
+    errs.push("maxHoldMinutes must be ≥ 0 (0 disables the time stop)");
+  if (!isUnset(cfg.stopLossPct) && (!isNumeric(cfg.stopLossPct) || toNum(cfg.stopLossPct) < 0 || toNum(cfg.stopLossPct) >= 100))
+    errs.push("stopLossPct must be between 0 and 100 %");
+
+  if (cfg.emaPeriods != null &&
+      (!Array.isArray(cfg.emaPeriods) || cfg.emaPeriods.length !== 3 ||
+       !cfg.emaPeriods.every((p) => Number.isInteger(toNum(p)) && toNum(p) > 0)))
+    errs.push("emaPeriods must be three positive integers [short, medium, long]");
+
+  if (!isUnset(cfg.maxTrades) && (!Number.isInteger(toNum(cfg.maxTrades)) || toNum(cfg.maxTrades) < 1 || toNum(cfg.maxTrades) > 1000))
+    errs.push("maxTrades must be an integer between 1 and 1000");
+  if (!isUnset(cfg.interval) && (!isNumeric(cfg.interval) || toNum(cfg.interval) < 1 || toNum(cfg.interval) > 3600))
+    errs.push("interval must be between 1 and 3600 seconds");
+  if (!isUnset(cfg.haltOnFailures) && (!Number.isInteger(toNum(cfg.haltOnFailures)) || toNum(cfg.haltOnFailures) < 1))
+    errs.push("haltOnFailures must be an integer ≥ 1");
+
+  if (!isUnset(cfg.slippage) && (toNum(cfg.slippage) <= 0 || toNum(cfg.slippage) > 99))
+    errs.push("slippage must be >0 and <100");
+
+  return errs;
+}
+
+
 function validateScheduleLauncher(cfg = {}) {
   const errs = [];
 
@@ -1842,6 +2028,24 @@ function validateTurboSniper(cfg = {}) {
       if (!isUnset(dw.enableInsiderHeuristics) && typeof dw.enableInsiderHeuristics !== "boolean") {
         errors.push("TurboSniper: devWatch.enableInsiderHeuristics must be boolean");
       }
+      if (!isUnset(dw.insider)) {
+        const ins = dw.insider;
+        if (ins === null || typeof ins !== "object" || Array.isArray(ins)) {
+          errors.push("TurboSniper: devWatch.insider must be an object");
+        } else {
+          ["firstBuyers", "fundingLookbackSec", "bundleMinWallets", "maxBundledWallets", "maxDeployerFunded"].forEach((k) => {
+            if (!isUnset(ins[k]) && !(toNum(ins[k]) > 0)) {
+              errors.push(`TurboSniper: devWatch.insider.${k} must be > 0`);
+            }
+          });
+          if (!isUnset(ins.maxClusterPct)) {
+            const v = toNum(ins.maxClusterPct);
+            if (!isNumeric(v) || v < 0 || v > 100) {
+              errors.push("TurboSniper: devWatch.insider.maxClusterPct must be between 0 and 100");
+            }
+          }
+        }
+      }
     }
   }
 
@@ -2120,6 +2324,12 @@ const VALIDATORS = {
   papertrader: (typeof validatePaperTrader !== "undefined" ? validatePaperTrader : undefined),
   stealthBot: (typeof validateStealthBot !== "undefined" ? validateStealthBot : undefined),
   stealthbot: (typeof validateStealthBot !== "undefined" ? validateStealthBot : undefined),
+  copyTrader: (typeof validateCopyTrader !== "undefined" ? validateCopyTrader : undefined),
+  copytrader: (typeof validateCopyTrader !== "undefined" ? validateCopyTrader : undefined),
+  gridTrader: (typeof validateGridTrader !== "undefined" ? validateGridTrader : undefined),
+  gridtrader: (typeof validateGridTrader !== "undefined" ? validateGridTrader : undefined),
+  meanReversion: (typeof validateMeanReversion !== "undefined" ? validateMeanReversion : undefined),
+  meanreversion: (typeof validateMeanReversion !== "undefined" ? validateMeanReversion : undefined),
   schedulelauncher: (typeof validateScheduleLauncher !== "undefined" ? validateScheduleLauncher : undefined),
   turboSniper: (typeof validateTurboSniper !== "undefined" ? validateTurboSniper : undefined),
   turbopapertrader: (typeof validateTurboPaperTrader !== "undefined" ? validateTurboPaperTrader : undefined),
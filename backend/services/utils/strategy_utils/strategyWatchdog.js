@@ -3,6 +3,7 @@ const path = require("path");
 const { spawn } = require("child_process");
 const { runningProcesses, lastTickTimestamps } = require("./activeStrategyTracker");
 const { socketBroadcast } = require("../../strategies/logging/strategyLogger"); 
+const riskAuthority = require("../../riskAuthority");
 const STRIP_ANSI = /\x1B\[[0-9;]*m/g; 
 
 const MAX_IDLE_MS = 60_000; // 1 minute threshold
@@ -33,8 +34,10 @@ function startWatchdog() {
         }
 
         // ✅ Inject restart flag to config so it skips startTime check
+        let userId = null;
         try {
           const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+          userId = config.userId || null;
           config.isRestart = true;
           fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
         } catch (e) {
@@ -42,9 +45,10 @@ function startWatchdog() {
         }
 
         const retry = spawn("node", [`services/strategies/${mode}.js`, configPath], {
-          stdio: ["ignore", "pipe", "pipe"],
+          stdio: ["ignore", "pipe", "pipe", "ipc"], // IPC for the risk authority
           cwd: process.cwd(),
         });
+        riskAuthority.attachChild(retry, { botId, userId });
 
         function forwardLines(chunk) {
           chunk
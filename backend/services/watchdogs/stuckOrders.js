@@ -35,7 +35,7 @@ async function checkStuckOrders() {
     try {
       if ((order.retries || 0) >= MAX_REPLACE_ATTEMPTS) {
         await prisma.trade.update({ where: { id: order.id }, data: { status: 'failed' } });
-        await sendNotification(order.userId, 'STUCK_ORDER_FAILED', { message: `Order ${order.id} failed after retries.` });
+        await sendNotification(order.userId, 'STUCK_ORDER_FAILED', { orderId: order.id, message: `Order ${order.id} failed after retries.` });
         logger.warn(`Stuck order ${order.id} failed after max retries`);
         continue;
       }
@@ -43,7 +43,7 @@ async function checkStuckOrders() {
       // implementation would interact with Solana RPC.
       await cancelAndReplace(order);
       await prisma.trade.update({ where: { id: order.id }, data: { retries: (order.retries || 0) + 1 } });
-      await sendNotification(order.userId, 'STUCK_ORDER_REPLACED', { message: `Order ${order.id} replaced with higher priority.` });
+      await sendNotification(order.userId, 'STUCK_ORDER_REPLACED', { orderId: order.id, message: `Order ${order.id} replaced with higher priority.` });
       logger.info(`Replaced stuck order ${order.id}`);
     } catch (err) {
       logger.error('Error handling stuck order', { id: order.id, err: err.message });
@@ -0,0 +1,187 @@
+/**
+ * Watchlist
+ *
+ * Per-user token watchlist shared by the web app (/api/watchlist) and the
+ * Telegram bot (/watchlist). Entries carry alert rules (./rules.js) that
+ * ./monitor.js evaluates on every refresh; matches go out as
+ * WATCHLIST_ALERT notifications.
+ *
+ * Validation failures throw errors with `status = 400` and `expose = true`
+ * so routes can pass the message through.
+ */
+
+const prisma = require('../../prisma/prisma');
+const rules = require('./rules');
+const monitor = require('./monitor');
+
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MAX_ENTRIES = 200;
+const MAX_RULES = 10;
+
+const withRules = { rules: { orderBy: { createdAt: 'asc' } } };
+
+function badRequest(message) {
+  const e = new Error(message);
+  e.status = 400; e.expose = true;
+  return e;
+}
+
+function notFound(message) {
+  const e = new Error(message);
+  e.status = 404; e.expose = true;
+  return e;
+}
+
+const isMint = (mint) => typeof mint === 'string' && MINT_RE.test(mint);
+
+/* ─── entries ──────────────────────────────────────────────── */
+
+function list(userId) {
+  return prisma.watchlistEntry.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+    include: withRules,
+  });
+}
+
+function get(userId, mint) {
+  return prisma.watchlistEntry.findUnique({
+    where: { userId_mint: { userId, mint } },
+    include: withRules,
+  });
+}
+
+async function ensureRoom(userId, adding = 1) {
+  const count = await prisma.watchlistEntry.count({ where: { userId } });
+  if (count + adding > MAX_ENTRIES) throw badRequest(`Watchlist is limited to ${MAX_ENTRIES} tokens.`);
+}
+
+/**
+ * Add a token (no-op when already listed). Returns { entry, created }.
+ * `meta` may carry name / symbol / logoURI / note.
+ */
+async function add(userId, mint, meta = {}) {
+  if (!isMint(mint)) throw badRequest('Invalid mint address.');
+  const existing = await get(userId, mint);
+  if (existing) return { entry: existing, created: false };
+  await ensureRoom(userId);
+  const entry = await prisma.watchlistEntry.create({
+    data: {
+      userId,
+      mint,
+      name: meta.name ?? null,
+      symbol: meta.symbol ?? null,
+      logoURI: meta.logoURI ?? null,
+      note: meta.note ?? null,
+    },
+    include: withRules,
+  });
+  return { entry, created: true };
+}
+
+/**
+ * Bulk import (the web app's old localStorage list, the Telegram JSON
+ * file). Existing mints and invalid ones are skipped. Returns the count added.
+ */
+async function importEntries(userId, items = []) {
+  const seen = new Set();
+  const rows = [];
+  for (const it of items) {
+    const mint = typeof it === 'string' ? it : it?.mint;
+    if (!isMint(mint) || seen.has(mint)) continue;
+    seen.add(mint);
+    rows.push({
+      userId,
+      mint,
+      name: it.name ?? null,
+      symbol: it.symbol ?? null,
+      logoURI: it.logoURI ?? null,
+      ...(it.addedAt && !Number.isNaN(Date.parse(it.addedAt)) && { createdAt: new Date(it.addedAt) }),
+    });
+  }
+  if (!rows.length) return 0;
+  const existing = await prisma.watchlistEntry.findMany({
+    where: { userId, mint: { in: rows.map((r) => r.mint) } },
+    select: { mint: true },
+  });
+  const have = new Set(existing.map((e) => e.mint));
+  const fresh = rows.filter((r) => !have.has(r.mint));
+  if (!fresh.length) return 0;
+  await ensureRoom(userId, fresh.length);
+  const { count } = await prisma.watchlistEntry.createMany({ data: fresh, skipDuplicates: true });
+  return count;
+}
+
+async function update(userId, mint, patch) {
+  const entry = await get(userId, mint);
+  if (!entry) throw notFound('Token is not on your watchlist.');
+  return prisma.watchlistEntry.update({ where: { id: entry.id }, data: patch, include: withRules });
+}
+
+/** Returns true when something was removed. */
+async function remove(userId, mint) {
+  if (!isMint(mint)) return false;
+  const { count } = await prisma.watchlistEntry.deleteMany({ where: { userId, mint } });
+  return count > 0;
+}
+
+/** Fetch market + safety now (rules fire as on a monitor pass). */
+async function refresh(userId, mint) {
+  const entry = await get(userId, mint);
+  if (!entry) throw notFound('Token is not on your watchlist.');
+  return monitor.refresh(entry, { safety: true });
+}
+
+/* ─── rules ────────────────────────────────────────────────── */
+
+function checkParams(type, params) {
+  const errors = rules.validateParams(type, params);
+  if (errors.length) throw badRequest(`Invalid ${type} rule: ${errors.join('; ')}.`);
+}
+
+async function addRule(userId, mint, { type, params = {}, enabled = true, cooldownMin }) {
+  checkParams(type, params);
+  const entry = await get(userId, mint);
+  if (!entry) throw notFound('Token is not on your watchlist.');
+  if (entry.rules.length >= MAX_RULES) throw badRequest(`At most ${MAX_RULES} alert rules per token.`);
+  return prisma.watchlistAlertRule.create({
+    data: { entryId: entry.id, type, params, enabled, ...(cooldownMin != null && { cooldownMin }) },
+  });
+}
+
+async function ownedRule(userId, id) {
+  const rule = await prisma.watchlistAlertRule.findFirst({ where: { id, entry: { userId } } });
+  if (!rule) throw notFound('Alert rule not found.');
+  return rule;
+}
+
+async function updateRule(userId, id, patch) {
+  const rule = await ownedRule(userId, id);
+  if (patch.params) checkParams(rule.type, patch.params);
+  return prisma.watchlistAlertRule.update({ where: { id: rule.id }, data: patch });
+}
+
+async function removeRule(userId, id) {
+  const rule = await ownedRule(userId, id);
+  await prisma.watchlistAlertRule.delete({ where: { id: rule.id } });
+  return true;
+}
+
+module.exports = {
+  MINT_RE,
+  MAX_ENTRIES,
+  MAX_RULES,
+  RULE_TYPES: rules.RULE_TYPES,
+  isMint,
+  list,
+  get,
+  add,
+  importEntries,
+  update,
+  remove,
+  refresh,
+  addRule,
+  updateRule,
+  removeRule,
+  startWorker: monitor.startWorker,
+};
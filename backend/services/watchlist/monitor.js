@@ -0,0 +1,208 @@
+/**
+ * Watchlist monitor
+ *
+ * Refreshes watchlist entries and fires their alert rules (./rules.js).
+ * Market stats (price, liquidity, 24h volume) are fetched every poll for
+ * entries that have enabled rules; the full safety scan – which includes
+ * getTopHolderStats and so the holder tier – is slower and only re-run
+ * every WATCHLIST_SAFETY_MS for entries with holder_tier / safety_flip
+ * rules, or on demand from the API.
+ *
+ * A rule that matches sends WATCHLIST_ALERT through sendNotification with
+ * "buy now" / "set limit" actions and then sleeps for its cooldown.
+ *
+ * Env:
+ *   WATCHLIST_POLL_MS=60000      market refresh per entry
+ *   WATCHLIST_SAFETY_MS=900000   safety / holder refresh per entry
+ */
+
+const prisma = require('../../prisma/prisma');
+const logger = require('../../utils/logger');
+const { sendNotification } = require('../notifications');
+const rules = require('./rules');
+
+const POLL_MS = parseInt(process.env.WATCHLIST_POLL_MS || '60000', 10);
+const SAFETY_MS = parseInt(process.env.WATCHLIST_SAFETY_MS || '900000', 10);
+const BATCH = 50;
+const HISTORY_MAX = 1500;
+const MIN_SAMPLE_GAP_MS = 30_000;
+
+// Loaded lazily: the Birdeye helpers throw at require time without an API key
+const market = {
+  paid: (mint) => require('../utils/safety/uiSafetyStatUtils/getTokenMarketStatsPaid')(mint),
+  free: (mint) => require('../utils/safety/uiSafetyStatUtils/getTokenMarketStatsfree')(mint),
+};
+const safetyScan = (mint) =>
+  require('../utils/safety/safetyCheckers/apiIsSafeToBuy').isSafeToBuyDetailedAPI(mint);
+
+async function fetchMarket(mint) {
+  try {
+    const paid = await market.paid(mint);
+    if (paid && paid.price != null) return paid;
+  } catch (err) {
+    logger.warn('Watchlist paid market stats failed', { mint, err: err.message });
+  }
+  try {
+    return (await market.free(mint)) || null;
+  } catch (err) {
+    logger.warn('Watchlist market stats failed', { mint, err: err.message });
+    return null;
+  }
+}
+
+async function fetchSafety(mint) {
+  try {
+    return await safetyScan(mint);
+  } catch (err) {
+    logger.warn('Watchlist safety scan failed', { mint, err: err.message });
+    return null;
+  }
+}
+
+/** Links the web app opens on the watchlist page; Telegram maps them to buttons. */
+function actionsFor(mint) {
+  const base = (process.env.FRONTEND_URL || '').replace(/\/+$/, '');
+  const link = (action) => (base ? `${base}/watchlist?mint=${encodeURIComponent(mint)}&action=${action}` : null);
+  return [
+    { type: 'buy', label: 'Buy now', url: link('buy') },
+    { type: 'limit', label: 'Set limit', url: link('limit') },
+  ];
+}
+
+function coolingDown(rule, now) {
+  return rule.lastFiredAt && now - new Date(rule.lastFiredAt).getTime() < (rule.cooldownMin || 0) * 60_000;
+}
+
+function nextHistory(history, sample, windowMin, now) {
+  const rows = Array.isArray(history) ? history.filter((s) => s && Number.isFinite(s.t)) : [];
+  const last = rows[rows.length - 1];
+  if (sample && (!last || sample.t - last.t >= MIN_SAMPLE_GAP_MS)) rows.push(sample);
+  const from = now - Math.max(windowMin, POLL_MS / 60_000) * 60_000;
+  return rows.filter((s) => s.t >= from).slice(-HISTORY_MAX);
+}
+
+function needsSafety(entry, now) {
+  const active = (entry.rules || []).some((r) => r.enabled && rules.SAFETY_RULES.has(r.type));
+  if (!active) return false;
+  return !entry.safetyCheckedAt || now - new Date(entry.safetyCheckedAt).getTime() >= SAFETY_MS;
+}
+
+/**
+ * Fetch fresh data for one entry, fire matching rules and persist the new
+ * snapshot. `safety: true` forces a safety scan; by default it runs only
+ * when a safety rule is due. Returns { entry, fired }.
+ *
+ * @param {object} entry  WatchlistEntry with `rules`
+ * @param {{ safety?: boolean, now?: number }} [opts]
+ */
+async function refresh(entry, { safety, now = Date.now() } = {}) {
+  const wantSafety = safety ?? needsSafety(entry, now);
+  const [freshMarket, freshSafety] = await Promise.all([
+    fetchMarket(entry.mint),
+    wantSafety ? fetchSafety(entry.mint) : null,
+  ]);
+
+  const prev = rules.view(entry.market, entry.safety);
+  const next = rules.view(freshMarket, freshSafety);
+  const history = Array.isArray(entry.history) ? entry.history : [];
+
+  // Chat providers send Markdown; token symbols are user-controlled
+  const label = String(entry.symbol || freshMarket?.symbol || `${entry.mint.slice(0, 4)}…${entry.mint.slice(-4)}`)
+    .replace(/[*_`[\]]/g, '');
+  const fired = [];
+  for (const rule of entry.rules || []) {
+    if (!rule.enabled || coolingDown(rule, now)) continue;
+    const finding = rules.evaluate(rule, { prev, next, history, now });
+    if (finding) fired.push({ rule, finding });
+  }
+
+  const sample = next.price != null || next.liquidity != null
+    ? { t: now, price: next.price, liquidity: next.liquidity, volume: next.volume }
+    : null;
+  const enabled = (entry.rules || []).filter((r) => r.enabled);
+
+  const data = {
+    history: nextHistory(history, sample, rules.historyWindowMin(enabled), now),
+    lastCheckedAt: new Date(now),
+  };
+  if (freshMarket) {
+    data.market = freshMarket;
+    if (!entry.symbol && freshMarket.symbol) data.symbol = freshMarket.symbol;
+    if (!entry.name && freshMarket.name) data.name = freshMarket.name;
+    if (!entry.logoURI && freshMarket.logoURI) data.logoURI = freshMarket.logoURI;
+  }
+  if (freshSafety) {
+    data.safety = freshSafety;
+    data.safetyCheckedAt = new Date(now);
+  }
+  const updated = await prisma.watchlistEntry.update({
+    where: { id: entry.id },
+    data,
+    include: { rules: { orderBy: { createdAt: 'asc' } } },
+  });
+
+  for (const { rule, finding } of fired) {
+    await prisma.watchlistAlertRule.update({
+      where: { id: rule.id },
+      data: { lastFiredAt: new Date(now), fireCount: { increment: 1 } },
+    });
+    sendNotification(entry.userId, 'WATCHLIST_ALERT', {
+      mint: entry.mint,
+      symbol: label,
+      entryId: entry.id,
+      ruleId: rule.id,
+      rule: rule.type,
+      reason: finding.message,
+      ...finding.data,
+      actions: actionsFor(entry.mint),
+      message: `👀 Watchlist: ${label} ${finding.message}`,
+    });
+  }
+
+  return { entry: updated, fired: fired.map(({ rule, finding }) => ({ ruleId: rule.id, type: rule.type, message: finding.message })) };
+}
+
+/* ─── worker ───────────────────────────────────────────────── */
+
+/** Refresh entries with enabled rules whose last check is older than the poll interval. */
+async function tick(now = Date.now()) {
+  const due = await prisma.watchlistEntry.findMany({
+    where: {
+      rules: { some: { enabled: true } },
+      OR: [{ lastCheckedAt: null }, { lastCheckedAt: { lt: new Date(now - POLL_MS) } }],
+    },
+    include: { rules: true },
+    orderBy: { lastCheckedAt: 'asc' },
+    take: BATCH,
+  });
+  let fired = 0;
+  for (const entry of due) {
+    try {
+      fired += (await refresh(entry, { now })).fired.length;
+    } catch (err) {
+      logger.error('Watchlist refresh failed', { entryId: entry.id, mint: entry.mint, err: err.message });
+    }
+  }
+  return fired;
+}
+
+let timer = null;
+let running = false;
+
+function startWorker() {
+  if (timer) return;
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await tick();
+    } catch (err) {
+      logger.error('Watchlist monitor failed', { err: err.message });
+    } finally {
+      running = false;
+    }
+  }, Math.min(POLL_MS, 60_000));
+  timer.unref?.();
+}
+
+module.exports = { refresh, tick, startWorker, actionsFor };
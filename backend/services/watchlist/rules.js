@@ -0,0 +1,199 @@
+/**
+ * Watchlist alert rules
+ *
+ * Pure checks run by ./monitor.js whenever an entry is refreshed. Each rule
+ * compares the previous snapshot with the new one (plus the entry's sample
+ * history for windowed rules) and returns a finding or null:
+ *
+ *   price_cross     { price, direction: "above" | "below" }
+ *   pct_move        { pct, windowMin, metric?: "price" | "volume",
+ *                     direction?: "up" | "down" | "any" }
+ *   liquidity_drop  { pct, windowMin }   – fall from the window's high
+ *   holder_tier     { worseOnly? }       – getTopHolderStats tier changed
+ *   safety_flip     { to?: "unsafe" | "safe" | "any" }
+ *
+ * A snapshot ("view") is { price, liquidity, volume, tier, passed }; a
+ * field is null when it was not fetched this round, and rules never fire
+ * on missing data.
+ */
+
+const RULE_TYPES = ['price_cross', 'pct_move', 'liquidity_drop', 'holder_tier', 'safety_flip'];
+
+// Rules that need a fresh safety scan (getTopHolderStats runs inside it)
+const SAFETY_RULES = new Set(['holder_tier', 'safety_flip']);
+
+const MAX_WINDOW_MIN = 1440;
+
+const TIER_RANK = [
+  [/^Healthy/i, 0],
+  [/^(Alert|Watch)/i, 1],
+  [/^High/i, 2],
+  [/^Dominant/i, 3],
+];
+
+const num = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+const usd = (n) => `$${n < 1 ? Number(n).toPrecision(4) : Number(n).toFixed(2)}`;
+const pct = (n) => `${n > 0 ? '+' : ''}${n.toFixed(2)}%`;
+
+/** 0 (healthy) … 3 (dominant), or null for an unknown tier label. */
+function tierRank(tier) {
+  if (!tier) return null;
+  const hit = TIER_RANK.find(([re]) => re.test(String(tier)));
+  return hit ? hit[1] : null;
+}
+
+/** Snapshot of the fields rules look at. */
+function view(market, safety) {
+  return {
+    price: num(market?.price),
+    liquidity: num(market?.liquidity),
+    volume: num(market?.volume24hUSD ?? market?.volume24h),
+    tier: safety?.topHolders?.data?.tier ?? null,
+    passed: safety && typeof safety.passed === 'boolean' ? safety.passed : null,
+  };
+}
+
+/** Samples inside the last `windowMin` minutes (history is oldest first). */
+function inWindow(history, windowMin, now) {
+  const from = now - Number(windowMin) * 60_000;
+  return (history || []).filter((s) => s && s.t >= from);
+}
+
+/* ─── checks ───────────────────────────────────────────────── */
+
+function priceCross({ price, direction }, { prev, next }) {
+  const level = num(price);
+  if (level == null || prev.price == null || next.price == null) return null;
+  const crossed = direction === 'below'
+    ? prev.price > level && next.price <= level
+    : prev.price < level && next.price >= level;
+  if (!crossed) return null;
+  return {
+    message: `price crossed ${direction === 'below' ? 'below' : 'above'} ${usd(level)} (now ${usd(next.price)})`,
+    data: { price: next.price, targetPrice: level },
+  };
+}
+
+function pctMove({ pct: threshold, windowMin, metric = 'price', direction = 'any' }, { next, history, now }) {
+  const field = metric === 'volume' ? 'volume' : 'price';
+  const current = next[field];
+  const base = inWindow(history, windowMin, now).find((s) => num(s[field]) > 0);
+  if (current == null || !base) return null;
+  const change = ((current - base[field]) / base[field]) * 100;
+  const hit = direction === 'up' ? change >= threshold
+    : direction === 'down' ? change <= -threshold
+    : Math.abs(change) >= threshold;
+  if (!hit) return null;
+  return {
+    message: `${field} ${pct(change)} in ${windowMin} min`,
+    data: { [field]: current, changePct: +change.toFixed(2) },
+  };
+}
+
+function liquidityDrop({ pct: threshold, windowMin }, { prev, next, history, now }) {
+  if (next.liquidity == null) return null;
+  const levels = inWindow(history, windowMin, now).map((s) => num(s.liquidity)).filter((v) => v != null);
+  if (prev.liquidity != null) levels.push(prev.liquidity);
+  const high = Math.max(0, ...levels);
+  if (!high) return null;
+  const drop = ((high - next.liquidity) / high) * 100;
+  if (drop < threshold) return null;
+  return {
+    message: `liquidity down ${drop.toFixed(1)}% in ${windowMin} min (now ${usd(next.liquidity)})`,
+    data: { liquidity: next.liquidity, changePct: -(+drop.toFixed(2)) },
+  };
+}
+
+function holderTier({ worseOnly = false }, { prev, next }) {
+  if (!prev.tier || !next.tier || prev.tier === next.tier) return null;
+  const from = tierRank(prev.tier);
+  const to = tierRank(next.tier);
+  if (worseOnly && !(from != null && to != null && to > from)) return null;
+  return {
+    message: `holder concentration ${prev.tier} → ${next.tier}`,
+    data: { tier: next.tier, previousTier: prev.tier },
+  };
+}
+
+function safetyFlip({ to = 'any' }, { prev, next }) {
+  if (prev.passed == null || next.passed == null || prev.passed === next.passed) return null;
+  if (to === 'unsafe' && next.passed) return null;
+  if (to === 'safe' && !next.passed) return null;
+  return {
+    message: next.passed ? 'safety checks now pass' : 'safety checks now fail',
+    data: { passed: next.passed },
+  };
+}
+
+const CHECKS = {
+  price_cross: priceCross,
+  pct_move: pctMove,
+  liquidity_drop: liquidityDrop,
+  holder_tier: holderTier,
+  safety_flip: safetyFlip,
+};
+
+/**
+ * Finding for one rule, or null.
+ *
+ * @param {{ type: string, params?: object }} rule
+ * @param {{ prev: object, next: object, history?: object[], now?: number }} ctx
+ * @returns {{ message: string, data: object } | null}
+ */
+function evaluate(rule, { prev, next, history = [], now = Date.now() }) {
+  const check = CHECKS[rule.type];
+  if (!check) return null;
+  return check(rule.params || {}, { prev, next, history, now });
+}
+
+/* ─── validation ───────────────────────────────────────────── */
+
+const positive = (v) => num(v) != null && num(v) > 0;
+const windowOk = (v) => Number.isInteger(num(v)) && num(v) >= 1 && num(v) <= MAX_WINDOW_MIN;
+
+/** Problems with `params` for a rule of `type` ([] when valid). */
+function validateParams(type, params = {}) {
+  const errors = [];
+  switch (type) {
+    case 'price_cross':
+      if (!positive(params.price)) errors.push('price must be a positive number');
+      if (!['above', 'below'].includes(params.direction)) errors.push('direction must be "above" or "below"');
+      break;
+    case 'pct_move':
+      if (!positive(params.pct)) errors.push('pct must be a positive number');
+      if (!windowOk(params.windowMin)) errors.push(`windowMin must be 1–${MAX_WINDOW_MIN}`);
+      if (params.metric != null && !['price', 'volume'].includes(params.metric)) errors.push('metric must be "price" or "volume"');
+      if (params.direction != null && !['up', 'down', 'any'].includes(params.direction)) errors.push('direction must be "up", "down" or "any"');
+      break;
+    case 'liquidity_drop':
+      if (!positive(params.pct) || num(params.pct) > 100) errors.push('pct must be between 0 and 100');
+      if (!windowOk(params.windowMin)) errors.push(`windowMin must be 1–${MAX_WINDOW_MIN}`);
+      break;
+    case 'holder_tier':
+      if (params.worseOnly != null && typeof params.worseOnly !== 'boolean') errors.push('worseOnly must be a boolean');
+      break;
+    case 'safety_flip':
+      if (params.to != null && !['safe', 'unsafe', 'any'].includes(params.to)) errors.push('to must be "safe", "unsafe" or "any"');
+      break;
+    default:
+      errors.push(`unknown rule type ${type}`);
+  }
+  return errors;
+}
+
+/** Longest window any of `rules` looks back over (minutes). */
+function historyWindowMin(rules = []) {
+  const windows = rules.map((r) => num(r.params?.windowMin)).filter((v) => v != null);
+  return Math.min(MAX_WINDOW_MIN, Math.max(0, ...windows));
+}
+
+module.exports = {
+  RULE_TYPES,
+  SAFETY_RULES,
+  MAX_WINDOW_MIN,
+  tierRank,
+  view,
+  evaluate,
+  validateParams,
+  historyWindowMin,
+};
@@ -0,0 +1,322 @@
+// backend/services/wsHub.js
+/**
+ * WebSocket hub — authenticated, per-user topic routing.
+ *
+ * Every socket is bound to the user behind the access token (same
+ * Bearer / cookie as requireAuth, or `?token=` for non-browser clients)
+ * and only receives the topics it subscribed to:
+ *
+ *   logs:<botId>   – log lines of one bot, delivered to its owner only
+ *   logs:*         – log lines of every bot the user owns
+ *   orders         – feEvents (order fills, TP/SL, DCA…) for the user
+ *   health         – the user's slice of the bot health snapshot
+ *   prices:<mint>  – live price ticks for a mint
+ *
+ * Client → server:
+ *   { op: "subscribe" | "unsubscribe", topics: ["orders", …], lastSeq? }
+ *   { op: "replay", lastSeq }
+ *   { op: "ping" }
+ * Server → client:
+ *   the original payload plus `topic` (and `seq` when journaled), and
+ *   control frames { channel: "ws", type: "hello" | "subscribed" |
+ *   "replayed" | "pong" | "error", … }
+ *
+ * Resume: with a journal attached, logs/orders frames carry a global `seq`.
+ * A reconnecting client sends its highest seen seq as `lastSeq`; the gap is
+ * replayed (frames flagged `replay: true`) before live frames resume, so
+ * the stream stays in seq order. A second replay sent before the first
+ * finished is answered with an error frame.
+ */
+
+const MAX_TOPICS = 50;
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const BOT_RE = /^[\w.:-]{1,128}$/;
+
+/* ─── Auth ─────────────────────────────────────────────────── */
+
+function parseCookies(header) {
+  const out = {};
+  String(header || '').split(';').forEach((part) => {
+    const i = part.indexOf('=');
+    if (i < 0) return;
+    const key = part.slice(0, i).trim();
+    if (!key || key in out) return;
+    try { out[key] = decodeURIComponent(part.slice(i + 1).trim()); } catch { out[key] = part.slice(i + 1).trim(); }
+  });
+  return out;
+}
+
+/** Bearer header → access-token cookie → `?token=` query, in that order. */
+function tokenFromRequest(req) {
+  const auth = String(req?.headers?.authorization || '');
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim() || null;
+
+  const cookies = parseCookies(req?.headers?.cookie);
+  const cookieToken = cookies['__Host-access_token'] || cookies['access_token'];
+  if (cookieToken) return cookieToken;
+
+  try {
+    return new URL(req?.url || '/', 'http://ws.local').searchParams.get('token') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the connecting user like requireAuth does (including legacy
+ * `userId` claims). Returns `{ id, type }` or null.
+ */
+async function authenticate(req) {
+  const token = tokenFromRequest(req);
+  if (!token) return null;
+  try {
+    const jwt = require('jsonwebtoken');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.id) return { id: decoded.id, type: decoded.type };
+    if (!decoded.userId) return null;
+
+    const prisma = require('../prisma/prisma');
+    const u = await prisma.user.findUnique({
+      where: { userId: decoded.userId },
+      select: { id: true },
+    });
+    return u ? { id: u.id, type: decoded.type } : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ─── Topics ───────────────────────────────────────────────── */
+
+/** Returns the normalised topic or null when it is not a known shape. */
+function parseTopic(topic) {
+  const t = String(topic || '').trim();
+  if (t === 'orders' || t === 'health' || t === 'logs:*') return t;
+  const m = t.match(/^(logs|prices):(.+)$/);
+  if (!m) return null;
+  if (m[1] === 'logs' && BOT_RE.test(m[2])) return t;
+  if (m[1] === 'prices' && MINT_RE.test(m[2])) return t;
+  return null;
+}
+
+function toObject(payload) {
+  if (payload && typeof payload === 'object') return payload;
+  try {
+    const obj = JSON.parse(payload);
+    return obj && typeof obj === 'object' ? obj : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ─── Hub ──────────────────────────────────────────────────── */
+
+/**
+ * @param {object}   [opts]
+ * @param {Function} [opts.ownerOfBot]  botId → userId | null
+ * @param {number}   [opts.maxTopics]
+ * @param {object}   [opts.journal]     services/eventJournal (record/since/head)
+ */
+function createWsHub({ ownerOfBot = () => null, maxTopics = MAX_TOPICS, journal = null } = {}) {
+  const clients = new Map(); // ws → { ws, user, topics, ready, held }
+
+  function send(ws, obj) {
+    if (ws.readyState !== ws.OPEN) return false;
+    try {
+      ws.send(typeof obj === 'string' ? obj : JSON.stringify(obj));
+      return true;
+    } catch (e) {
+      console.warn('[WS] failed to send to a client:', e?.message);
+      return false;
+    }
+  }
+
+  /**
+   * Register a socket. `user` may be a promise (auth still running);
+   * messages are held until it settles and the socket is closed with
+   * 4401 when it resolves to nobody.
+   */
+  function add(ws, user) {
+    const client = { ws, user: null, topics: new Set(), held: null };
+    client.ready = Promise.resolve(user).then((u) => {
+      if (!u?.id) {
+        clients.delete(ws);
+        try { ws.close(4401, 'unauthorized'); } catch {}
+        return null;
+      }
+      client.user = u;
+      send(ws, { channel: 'ws', type: 'hello', userId: u.id, topics: [], seq: journal ? journal.head() : null });
+      return u;
+    });
+    clients.set(ws, client);
+    return client;
+  }
+
+  function remove(ws) {
+    clients.delete(ws);
+  }
+
+  async function handleMessage(ws, raw) {
+    const client = clients.get(ws);
+    if (!client) return null;
+    if (!(await client.ready)) return null;
+
+    const msg = toObject(Buffer.isBuffer(raw) ? raw.toString() : raw);
+    if (!msg) return reply(client, { type: 'error', error: 'invalid JSON' });
+
+    switch (msg.op) {
+      case 'ping':
+        return reply(client, { type: 'pong', ts: Date.now() });
+      case 'subscribe':
+      case 'unsubscribe': {
+        const list = Array.isArray(msg.topics) ? msg.topics : [msg.topic];
+        const rejected = [];
+        for (const t of list) {
+          const topic = parseTopic(t);
+          if (!topic) { rejected.push(String(t)); continue; }
+          if (msg.op === 'unsubscribe') client.topics.delete(topic);
+          else if (client.topics.size < maxTopics) client.topics.add(topic);
+          else rejected.push(topic);
+        }
+        const ack = reply(client, { type: 'subscribed', topics: [...client.topics], ...(rejected.length && { rejected }) });
+        if (msg.op === 'subscribe' && msg.lastSeq != null) await replay(client, msg.lastSeq);
+        return ack;
+      }
+      case 'replay':
+        return replay(client, msg.lastSeq);
+      default:
+        return reply(client, { type: 'error', error: `unknown op: ${msg.op}` });
+    }
+  }
+
+  function reply(client, body) {
+    const frame = { channel: 'ws', ...body };
+    send(client.ws, frame);
+    return frame;
+  }
+
+  /**
+   * Send the journal gap after `lastSeq` for the client's topics. Live
+   * frames arriving meanwhile are held and flushed afterwards (minus any
+   * the replay already covered). One replay runs per socket at a time; an
+   * overlapping request is refused so it cannot flush the other's hold.
+   */
+  async function replay(client, lastSeq) {
+    if (!journal) return reply(client, { type: 'error', error: 'replay unavailable' });
+    const after = Number(lastSeq);
+    if (!Number.isFinite(after) || after < 0) return reply(client, { type: 'error', error: 'invalid lastSeq' });
+
+    if (client.held) return reply(client, { type: 'error', error: 'replay in progress' });
+
+    client.held = [];
+    let upTo = after;
+    let count = 0;
+    let truncated = false;
+    try {
+      const res = await journal.since(client.user.id, after, { topics: [...client.topics] });
+      for (const e of res.entries) {
+        send(client.ws, { ...e.payload, seq: e.seq, topic: e.topic, replay: true });
+        upTo = e.seq;
+        count++;
+      }
+      truncated = res.truncated;
+    } catch (e) {
+      console.warn('[WS] replay failed:', e?.message);
+      return reply(client, { type: 'error', error: 'replay failed' });
+    } finally {
+      const held = client.held;
+      client.held = null;
+      for (const h of held) if (h.seq == null || h.seq > upTo) send(client.ws, h.frame);
+    }
+    return reply(client, { type: 'replayed', from: after, upTo, count, truncated });
+  }
+
+  /**
+   * Deliver `payload` to sockets of `userId` (or everyone when null)
+   * subscribed to any of `topics`. Returns the number of deliveries.
+   */
+  function deliver(topics, payload, userId = null) {
+    let sent = 0;
+    let frame = null;
+    for (const client of clients.values()) {
+      if (!client.user) continue;
+      if (userId != null && client.user.id !== userId) continue;
+      if (!topics.some((t) => client.topics.has(t))) continue;
+      frame = frame || JSON.stringify({ ...payload, topic: topics[0] });
+      if (client.held) { client.held.push({ seq: payload.seq ?? null, frame }); sent++; continue; }
+      if (send(client.ws, frame)) sent++;
+    }
+    return sent;
+  }
+
+  /** Strategy log line `{ botId, level, line }` → owner's `logs:` subscribers. */
+  function routeLog(line) {
+    const obj = toObject(line);
+    if (!obj?.botId) return 0;
+    const owner = ownerOfBot(obj.botId);
+    if (!owner) return 0; // unknown owner: never fan out
+    const topic = `logs:${obj.botId}`;
+    const seq = journal ? journal.record({ userId: owner, botId: obj.botId, topic, payload: obj }) : null;
+    return deliver([topic, 'logs:*'], seq != null ? { ...obj, seq } : obj, owner);
+  }
+
+  /** feEvents payload (carries userId) → that user's `orders` subscribers. */
+  function routeEvent(payload) {
+    const obj = toObject(payload);
+    if (!obj?.userId) return 0;
+    const seq = journal
+      ? journal.record({ userId: obj.userId, botId: obj.botId || null, topic: 'orders', payload: obj })
+      : null;
+    return deliver(['orders'], seq != null ? { ...obj, seq } : obj, obj.userId);
+  }
+
+  /**
+   * Health snapshot `{ ts, bots: { [botId]: … } }` → each subscriber gets
+   * only the bots they own.
+   */
+  function routeHealth(snap) {
+    let sent = 0;
+    for (const client of clients.values()) {
+      if (!client.user || !client.topics.has('health')) continue;
+      const bots = {};
+      for (const [botId, entry] of Object.entries(snap?.bots || {})) {
+        if (ownerOfBot(botId) === client.user.id) bots[botId] = entry;
+      }
+      if (send(client.ws, { channel: 'health', topic: 'health', ts: snap?.ts ?? Date.now(), bots })) sent++;
+    }
+    return sent;
+  }
+
+  /** Public market data: any subscriber of `prices:<mint>`. */
+  function publishPrice(mint, price) {
+    return deliver([`prices:${mint}`], { channel: 'prices', mint, price, ts: Date.now() });
+  }
+
+  /** Distinct topics with at least one subscriber, optionally by prefix. */
+  function activeTopics(prefix = '') {
+    const out = new Set();
+    for (const client of clients.values()) {
+      for (const t of client.topics) if (t.startsWith(prefix)) out.add(t);
+    }
+    return [...out];
+  }
+
+  return {
+    add,
+    remove,
+    handleMessage,
+    routeLog,
+    routeEvent,
+    routeHealth,
+    publishPrice,
+    activeTopics,
+    get size() { return clients.size; },
+  };
+}
+
+module.exports = {
+  createWsHub,
+  authenticate,
+  tokenFromRequest,
+  parseTopic,
+};
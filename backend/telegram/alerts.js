@@ -3,6 +3,8 @@
  * -----------------------------------------------------------------*/
 const axios  = require("axios");
 const prisma = require("../prisma/prisma");
+const policy = require("../services/notifications/policy");
+const logger = require("../utils/logger");
 require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
 
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
@@ -18,8 +20,12 @@ async function getPrefs(userId) {
 /* -----------------------------------------------------------------
  * sendAlert(userId, markdownMessage, type = "Buy")
  * type ∈  ["Buy","Sell","DCA","Limit","TP","SL", ...strategies, "Safety"]
+ * opts.replyMarkup → inline keyboard handled by the bot's callback router
+ * opts.priority    → "critical" | "high" | "low" (default from type);
+ *                    quiet hours / digest / throttles may hold the message
+ *                    (services/notifications/policy.js)
  * ---------------------------------------------------------------- */
-async function sendAlert(userId, message, type = "Buy") {
+async function sendAlert(userId, message, type = "Buy", opts = {}) {
   const prefs = await getPrefs(userId);
 
   if (!prefs.enabled || !prefs.types.includes(type)) {
@@ -31,15 +37,38 @@ async function sendAlert(userId, message, type = "Buy") {
     return;
   }
 
+  const now = await policy.admit(userId, {
+    key: type,
+    priority: opts.priority,
+    channels: [policy.ALERTS_CHANNEL],
+    text: message,
+  });
+  if (!now) {
+    logger.debug(`Alert [${type}] for ${userId} held by quiet hours / digest / throttle`);
+    return;
+  }
+
+  await post(prefs.chatId, message, opts);
+}
+
+/* Digest / quiet-hours summaries: skip type filters and the policy. */
+async function deliver(userId, message) {
+  const prefs = await getPrefs(userId);
+  if (!prefs.enabled || !prefs.chatId) return;
+  await post(prefs.chatId, message);
+}
+
+async function post(chatId, message, opts = {}) {
   try {
     await axios.post(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
-      chat_id   : prefs.chatId,
+      chat_id   : chatId,
       text      : message,
       parse_mode: "Markdown",
+      ...(opts.replyMarkup && { reply_markup: opts.replyMarkup }),
     });
   } catch (err) {
     console.error("❌ Telegram send failed:", err.message);
   }
 }
 
-module.exports = { sendAlert, getPrefs };
+module.exports = { sendAlert, deliver, getPrefs };
@@ -24,6 +24,7 @@ const STRATEGIES = [
   "PaperTrader",
   "Rebalancer",
   "StealthBot",
+  "CopyTrader",
   "Scheduled", 
 ];
 
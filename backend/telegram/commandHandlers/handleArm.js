@@ -0,0 +1,300 @@
+// handleArm.js - Telegram flows for arm-to-trade wallet sessions
+//   /arm [label] [minutes]     arm a protected wallet (asks for passphrase)
+//   /extend [label] [minutes]  extend a running session
+//   /disarm [label]            end a session (asks for confirmation)
+//   /armstatus                 protected wallets + time left
+// Sessions live in the API process, so every action goes through the
+// internal arm routes (same handlers + check2FA as the web UI).
+// The passphrase and TOTP messages are deleted as soon as they arrive and
+// are never logged; a pending flow is dropped after PENDING_TTL_MS.
+// Callback data: arm:<list|start|extend|disarm|disarmYes|cancel>:<walletId>
+require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env") });
+const axios = require("axios");
+const { userIdForChat } = require("../utils/telegramPrefs.db");
+
+const API_BASE = process.env.API_BASE || "http://localhost:5001";
+const PENDING_TTL_MS = 2 * 60_000;
+const BACK_ROW = [{ text: "🔙 Back to Menu", callback_data: "home" }];
+
+const armApi = axios.create({
+  baseURL: `${API_BASE}/api/internalJobs/arm`,
+  headers: { Authorization: `Bearer ${process.env.INTERNAL_SERVICE_TOKEN}` },
+  timeout: 30_000,
+});
+
+// chatId → { action, userId, walletId, label, ttlMinutes, step, passphrase, timer }
+const pending = new Map();
+
+const md = (v) => String(v ?? "").replace(/[_*`[\]]/g, "");
+
+function fmtLeft(ms) {
+  const m = Math.max(0, Math.ceil(ms / 60_000));
+  return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+}
+
+function parseMinutes(v) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n >= 1 ? n : undefined;
+}
+
+function clearPending(chatId) {
+  const p = pending.get(chatId);
+  if (!p) return;
+  clearTimeout(p.timer);
+  p.passphrase = null;
+  pending.delete(chatId);
+}
+
+function setPending(bot, chatId, entry) {
+  clearPending(chatId);
+  entry.timer = setTimeout(() => {
+    if (pending.get(chatId) !== entry) return;
+    clearPending(chatId);
+    bot.sendMessage(chatId, "⌛ Arm request timed out. Start again with /arm.").catch(() => {});
+  }, PENDING_TTL_MS);
+  entry.timer.unref?.();
+  pending.set(chatId, entry);
+}
+
+async function requireUser(bot, chatId) {
+  const userId = await userIdForChat(chatId);
+  if (!userId) {
+    await bot.sendMessage(chatId, "🔗 This chat isn't linked to an account. Connect Telegram in the web app settings first.");
+  }
+  return userId;
+}
+
+/** API error → user-facing text. */
+function apiError(err) {
+  const status = err?.response?.status;
+  const body = err?.response?.data || {};
+  if (status === 403 && body.needs2FA) return "Invalid or expired 2FA code.";
+  if (status === 401) return body.error || "Invalid passphrase.";
+  if (status === 400 && body.error === "Not armed") return "Wallet is not armed (session may have expired).";
+  return body.error || err?.message || "Request failed.";
+}
+
+async function overview(userId) {
+  const { data } = await armApi.get("/overview", { params: { userId } });
+  return data;
+}
+
+async function findWallet(userId, ref) {
+  const data = await overview(userId);
+  const key = String(ref ?? "").trim().toLowerCase();
+  const wallet = data.wallets.find((w) => String(w.id) === key || (w.label || "").toLowerCase() === key) || null;
+  return { data, wallet };
+}
+
+/* ─── status ───────────────────────────────────────────────── */
+
+async function sendOverview(bot, chatId, userId) {
+  const data = await overview(userId);
+  if (!data.wallets.length) {
+    return bot.sendMessage(chatId, "ℹ️ No protected wallets. Set a passphrase on a wallet in the web app first.", {
+      reply_markup: { inline_keyboard: [BACK_ROW] },
+    });
+  }
+
+  const lines = data.wallets.map((w) =>
+    w.armed ? `🛡 *${md(w.label)}* — armed, ${fmtLeft(w.msLeft)} left` : `🔓 *${md(w.label)}* — not armed`);
+  const rows = data.wallets.map((w) =>
+    w.armed
+      ? [
+          { text: `⏱ Extend ${w.label}`, callback_data: `arm:extend:${w.id}` },
+          { text: "🔻 Disarm", callback_data: `arm:disarm:${w.id}` },
+        ]
+      : [{ text: `🛡 Arm ${w.label}`, callback_data: `arm:start:${w.id}` }]);
+
+  return bot.sendMessage(chatId, `🔐 *Arm sessions*${data.requires2FA ? " (2FA required)" : ""}\n\n${lines.join("\n")}`, {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: [...rows, [{ text: "🔄 Refresh", callback_data: "arm:list" }], BACK_ROW] },
+  });
+}
+
+/* ─── actions ──────────────────────────────────────────────── */
+
+async function beginArm(bot, chatId, userId, walletRef, ttlMinutes) {
+  const { data, wallet } = await findWallet(userId, walletRef);
+  if (!wallet) return bot.sendMessage(chatId, `❌ No protected wallet "${md(walletRef)}".`);
+
+  setPending(bot, chatId, {
+    action: "arm",
+    userId,
+    walletId: wallet.id,
+    label: wallet.label,
+    ttlMinutes: ttlMinutes || data.armDefaultMinutes,
+    requires2FA: data.requires2FA,
+    step: "passphrase",
+  });
+  return bot.sendMessage(chatId,
+    `🛡 Arming *${md(wallet.label)}* for ${fmtLeft((ttlMinutes || data.armDefaultMinutes) * 60_000)}.\n` +
+    "Send your wallet passphrase. The message is deleted as soon as it's read.", {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: [[{ text: "❌ Cancel", callback_data: "arm:cancel" }]] },
+  });
+}
+
+/** Extend / disarm: run now, or ask for a TOTP code first when required. */
+async function beginSessionAction(bot, chatId, userId, action, walletRef, ttlMinutes) {
+  const { data, wallet } = await findWallet(userId, walletRef);
+  if (!wallet) return bot.sendMessage(chatId, `❌ No protected wallet "${md(walletRef)}".`);
+  if (!wallet.armed) {
+    return bot.sendMessage(chatId, `🔓 *${md(wallet.label)}* is not armed.`, {
+      parse_mode: "Markdown",
+      reply_markup: { inline_keyboard: [[{ text: `🛡 Arm ${wallet.label}`, callback_data: `arm:start:${wallet.id}` }]] },
+    });
+  }
+
+  const entry = { action, userId, walletId: wallet.id, label: wallet.label, ttlMinutes };
+  if (!data.requires2FA) return submit(bot, chatId, entry);
+
+  setPending(bot, chatId, { ...entry, step: "code" });
+  return bot.sendMessage(chatId, `🔢 Send your 2FA code to ${action} *${md(wallet.label)}*.`, {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: [[{ text: "❌ Cancel", callback_data: "arm:cancel" }]] },
+  });
+}
+
+async function submit(bot, chatId, entry, twoFactorToken) {
+  const body = { userId: entry.userId, walletId: entry.walletId, ...(twoFactorToken && { twoFactorToken }) };
+  try {
+    if (entry.action === "arm") {
+      const { data } = await armApi.post("/", { ...body, passphrase: entry.passphrase, ttlMinutes: entry.ttlMinutes });
+      return bot.sendMessage(chatId, `🛡 *${md(data.label || entry.label)}* armed for ${fmtLeft(data.armedForMinutes * 60_000)}.`, {
+        parse_mode: "Markdown",
+        reply_markup: { inline_keyboard: [[{ text: "🔐 Arm sessions", callback_data: "arm:list" }]] },
+      });
+    }
+    if (entry.action === "extend") {
+      const { data } = await armApi.post("/extend", { ...body, ...(entry.ttlMinutes && { ttlMinutes: entry.ttlMinutes }) });
+      return bot.sendMessage(chatId, `⏱ *${md(entry.label)}* extended — ${fmtLeft(data.extendedToMinutes * 60_000)} left.`, {
+        parse_mode: "Markdown",
+      });
+    }
+    await armApi.post("/disarm", body);
+    return bot.sendMessage(chatId, `🔻 *${md(entry.label)}* disarmed.`, { parse_mode: "Markdown" });
+  } catch (err) {
+    console.error(`❌ arm ${entry.action} failed:`, err?.response?.status || err.message);
+    return bot.sendMessage(chatId, `❌ ${entry.action} failed: ${apiError(err)}`);
+  } finally {
+    entry.passphrase = null;
+  }
+}
+
+/**
+ * Consumes the passphrase / 2FA reply of a pending flow. Returns true when
+ * the message belonged to it, so the generic session handler skips (and
+ * never logs) it.
+ */
+async function handleArmInput(bot, msg) {
+  const chatId = msg.chat.id;
+  const entry = pending.get(chatId);
+  if (!entry || typeof msg.text !== "string" || msg.text.startsWith("/")) return false;
+
+  const text = msg.text;
+  await bot.deleteMessage(chatId, msg.message_id).catch(() => {
+    bot.sendMessage(chatId, "⚠️ Couldn't delete your message — please delete it manually.").catch(() => {});
+  });
+
+  if (entry.step === "passphrase") {
+    entry.passphrase = text;
+    if (entry.requires2FA) {
+      entry.step = "code";
+      await bot.sendMessage(chatId, "🔢 Now send your 2FA code.");
+      return true;
+    }
+    const job = { ...entry };
+    clearPending(chatId);
+    await submit(bot, chatId, job);
+    return true;
+  }
+
+  const code = text.trim();
+  if (!/^\d{6}$/.test(code)) {
+    await bot.sendMessage(chatId, "❌ 2FA code must be 6 digits. Try again.");
+    return true;
+  }
+  const job = { ...entry };
+  clearPending(chatId);
+  await submit(bot, chatId, job, code);
+  return true;
+}
+
+/* ─── entry points ─────────────────────────────────────────── */
+
+/**
+ * Slash-command entry: `action` is arm|extend|disarm|status and `arg` the
+ * raw text after the command ("<label> [minutes]", may be empty).
+ */
+async function handleArmCommand(bot, msg, action, arg = "") {
+  const chatId = msg.chat.id;
+  const userId = await requireUser(bot, chatId);
+  if (!userId) return;
+
+  const parts = String(arg || "").trim().split(/\s+/).filter(Boolean);
+  const ttl = parts.length > 1 ? parseMinutes(parts[parts.length - 1]) : undefined;
+  const label = (ttl ? parts.slice(0, -1) : parts).join(" ");
+
+  try {
+    if (action === "status" || !label) return await sendOverview(bot, chatId, userId);
+    if (action === "arm") return await beginArm(bot, chatId, userId, label, ttl);
+    if (action === "disarm") return await confirmDisarm(bot, chatId, userId, label);
+    return await beginSessionAction(bot, chatId, userId, action, label, ttl);
+  } catch (err) {
+    console.error(`❌ /${action} error:`, err?.response?.status || err.message);
+    return bot.sendMessage(chatId, `❌ ${action} failed: ${apiError(err)}`);
+  }
+}
+
+async function confirmDisarm(bot, chatId, userId, walletRef) {
+  const { wallet } = await findWallet(userId, walletRef);
+  if (!wallet) return bot.sendMessage(chatId, `❌ No protected wallet "${md(walletRef)}".`);
+  return bot.sendMessage(chatId, `🔻 Disarm *${md(wallet.label)}*? Automations on it stop firing.`, {
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [[
+        { text: "✅ Yes, disarm", callback_data: `arm:disarmYes:${wallet.id}` },
+        { text: "❌ Cancel", callback_data: "arm:cancel" },
+      ]],
+    },
+  });
+}
+
+/** Inline keyboard entry for `arm:*` callback data (incl. armGuardian alerts). */
+async function handleArmCallback(bot, query) {
+  const chatId = query.message.chat.id;
+  const [, action, walletId] = String(query.data).split(":");
+
+  if (action === "cancel") {
+    clearPending(chatId);
+    return bot.sendMessage(chatId, "❎ Cancelled.");
+  }
+
+  const userId = await requireUser(bot, chatId);
+  if (!userId) return;
+
+  try {
+    switch (action) {
+      case "list":
+        return await sendOverview(bot, chatId, userId);
+      case "start":
+        return await beginArm(bot, chatId, userId, walletId);
+      case "extend":
+        return await beginSessionAction(bot, chatId, userId, "extend", walletId);
+      case "disarm":
+        return await confirmDisarm(bot, chatId, userId, walletId);
+      case "disarmYes":
+        return await beginSessionAction(bot, chatId, userId, "disarm", walletId);
+      default:
+        return null;
+    }
+  } catch (err) {
+    console.error(`❌ arm:${action} callback error:`, err?.response?.status || err.message);
+    return bot.sendMessage(chatId, `❌ ${action} failed: ${apiError(err)}`);
+  }
+}
+
+module.exports = handleArmCommand;
+module.exports.handleArmCallback = handleArmCallback;
+module.exports.handleArmInput = handleArmInput;
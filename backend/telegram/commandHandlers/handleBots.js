@@ -0,0 +1,221 @@
+// handleBots.js - Telegram handlers for strategy bot control
+//   /bots                          list running + paused bots
+//   /startbot <savedConfig>        launch a saved preset (name or id)
+//   /pausebot [botId | wallet <label>]
+//   /resumebot [botId]
+//   /stopbot [botId]               asks for confirmation
+//   /botstatus [botId]             tick / health / trades
+// Without an argument each command shows a picker keyboard.
+// Callback data: bots:<action>:<arg>
+// Actions run in the API server (which owns the bot processes) through
+// utils/botControlApi.
+require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env") });
+const botControl = require("../utils/botControlApi");
+const { userIdForChat } = require("../utils/telegramPrefs.db");
+
+const HEALTH_ICON = { green: "🟢", yellow: "🟡", red: "🔴" };
+const BACK_ROW = [{ text: "🔙 Back to Menu", callback_data: "home" }];
+
+// user-entered names go into Markdown messages
+const md = (v) => String(v ?? "").replace(/[_*`[\]]/g, "");
+const short = (id = "") => (id.length > 18 ? `${id.slice(0, 8)}…${id.slice(-6)}` : id);
+
+function statusLine(b) {
+  const icon = b.paused ? "⏸" : HEALTH_ICON[b.healthLevel] || "⚪";
+  const trades = b.maxTrades ? `${b.tradesExecuted}/${b.maxTrades}` : `${b.tradesExecuted}`;
+  return `${icon} *${b.mode}* \`${b.botId}\`${b.dryRun ? " 🧪" : ""}\n` +
+         `   ${b.status} · tick ${b.lastTickAgo} ago · up ${b.uptime} · trades ${trades}`;
+}
+
+function detail(b) {
+  return [
+    `🤖 *${b.mode}* \`${b.botId}\`${b.dryRun ? " (dry run)" : ""}`,
+    `Status: ${b.paused ? "⏸ paused" : `${HEALTH_ICON[b.healthLevel] || "⚪"} ${b.status}`}`,
+    `Last tick: ${b.lastTickAgo} ago`,
+    `Uptime: ${b.uptime}`,
+    b.loopDurationMs != null ? `Loop: ${b.loopDurationMs} ms` : null,
+    `Trades: ${b.maxTrades ? `${b.tradesExecuted}/${b.maxTrades}` : b.tradesExecuted}`,
+    `Restarts: ${b.restartCount}`,
+    b.walletLabel ? `Wallet: ${md(b.walletLabel)}` : null,
+  ].filter(Boolean).join("\n");
+}
+
+function actionRow(b) {
+  return [
+    b.paused
+      ? { text: "▶️ Resume", callback_data: `bots:resume:${b.botId}` }
+      : { text: "⏸ Pause", callback_data: `bots:pause:${b.botId}` },
+    { text: "🛑 Stop", callback_data: `bots:stop:${b.botId}` },
+    { text: "🔄", callback_data: `bots:status:${b.botId}` },
+  ];
+}
+
+async function requireUser(bot, chatId) {
+  const userId = await userIdForChat(chatId);
+  if (!userId) {
+    await bot.sendMessage(chatId, "🔗 This chat isn't linked to an account. Connect Telegram in the web app settings first.");
+  }
+  return userId;
+}
+
+/** /bots – list with one control row per bot. */
+async function handleBots(bot, msg) {
+  const chatId = msg.chat.id;
+  const userId = await requireUser(bot, chatId);
+  if (!userId) return;
+
+  let bots;
+  try {
+    bots = await botControl.listBots(userId);
+  } catch (err) {
+    console.error("❌ /bots error:", err.message);
+    return bot.sendMessage(chatId, "❌ Failed to load bots.");
+  }
+
+  if (!bots.length) {
+    return bot.sendMessage(chatId, "🤖 No bots running. Use /startbot to launch a saved config.", {
+      reply_markup: { inline_keyboard: [[{ text: "🚀 Start bot", callback_data: "bots:startMenu" }], BACK_ROW] },
+    });
+  }
+
+  return bot.sendMessage(chatId, `🤖 *Your bots (${bots.length})*\n\n${bots.map(statusLine).join("\n\n")}`, {
+    parse_mode: "Markdown",
+    reply_markup: {
+      inline_keyboard: [
+        ...bots.map((b) => [{ text: `${b.paused ? "⏸" : "▶️"} ${b.mode} ${short(b.botId)}`, callback_data: `bots:status:${b.botId}` }]),
+        [{ text: "🚀 Start bot", callback_data: "bots:startMenu" }, { text: "🔄 Refresh", callback_data: "bots:list" }],
+        BACK_ROW,
+      ],
+    },
+  });
+}
+
+/** Picker of the user's bots wired to `action` (pause/resume/stop/status). */
+async function pickBot(bot, chatId, userId, action) {
+  const bots = (await botControl.listBots(userId)).filter((b) =>
+    action === "pause" ? !b.paused : action === "resume" ? b.paused : true);
+  if (!bots.length) {
+    return bot.sendMessage(chatId, `ℹ️ No bots to ${action}.`, { reply_markup: { inline_keyboard: [BACK_ROW] } });
+  }
+  return bot.sendMessage(chatId, `Choose a bot to ${action}:`, {
+    reply_markup: {
+      inline_keyboard: [
+        ...bots.map((b) => [{ text: `${b.mode} ${short(b.botId)}`, callback_data: `bots:${action}:${b.botId}` }]),
+        BACK_ROW,
+      ],
+    },
+  });
+}
+
+async function sendStatus(bot, chatId, userId, botId) {
+  const res = await botControl.botStatus(userId, botId);
+  if (!res.ok) return bot.sendMessage(chatId, `❌ ${res.error}`);
+  return bot.sendMessage(chatId, detail(res.bot), {
+    parse_mode: "Markdown",
+    reply_markup: { inline_keyboard: [actionRow(res.bot), [{ text: "📋 All bots", callback_data: "bots:list" }]] },
+  });
+}
+
+async function startMenu(bot, chatId, userId) {
+  const presets = await botControl.listSavedConfigs(userId);
+  if (!presets.length) {
+    return bot.sendMessage(chatId, "ℹ️ No saved configs. Save one from the web dashboard first.");
+  }
+  return bot.sendMessage(chatId, "🚀 Choose a saved config to launch:", {
+    reply_markup: {
+      inline_keyboard: [
+        ...presets.slice(0, 20).map((p) => [{ text: `${p.mode}${p.name ? ` – ${p.name}` : ""}`, callback_data: `bots:start:${p.id}` }]),
+        BACK_ROW,
+      ],
+    },
+  });
+}
+
+async function runAction(bot, chatId, userId, action, arg) {
+  switch (action) {
+    case "start": {
+      const res = await botControl.startSavedConfig(userId, arg);
+      if (!res.ok) return bot.sendMessage(chatId, `❌ ${res.error}`);
+      await bot.sendMessage(chatId, `🚀 Started *${res.mode}*${res.name ? ` (${md(res.name)})` : ""}\n\`${res.botId}\``, { parse_mode: "Markdown" });
+      return sendStatus(bot, chatId, userId, res.botId);
+    }
+    case "pause": {
+      const res = await botControl.pauseBot(userId, arg);
+      return bot.sendMessage(chatId, res.ok ? `⏸ Paused \`${res.botId}\`` : `❌ ${res.error}`, { parse_mode: "Markdown" });
+    }
+    case "resume": {
+      const res = await botControl.resumeBot(userId, arg);
+      return bot.sendMessage(chatId, res.ok ? `▶️ Resumed \`${res.botId}\`` : `❌ ${res.error}`, { parse_mode: "Markdown" });
+    }
+    case "stop":
+      return bot.sendMessage(chatId, `🛑 Stop \`${arg}\`? Its runtime config is removed.`, {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [[
+            { text: "✅ Yes, stop", callback_data: `bots:stopYes:${arg}` },
+            { text: "❌ Cancel", callback_data: "bots:list" },
+          ]],
+        },
+      });
+    case "stopYes": {
+      const res = await botControl.stopBot(userId, arg);
+      return bot.sendMessage(chatId, res.ok ? `🛑 Stopped \`${res.botId}\`` : `❌ ${res.error}`, { parse_mode: "Markdown" });
+    }
+    case "status":
+      return sendStatus(bot, chatId, userId, arg);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Slash-command entry: `action` is start|pause|resume|stop|status and
+ * `arg` the raw text after the command (may be empty).
+ */
+async function handleBotCommand(bot, msg, action, arg = "") {
+  const chatId = msg.chat.id;
+  const userId = await requireUser(bot, chatId);
+  if (!userId) return;
+  const text = String(arg || "").trim();
+
+  try {
+    if (action === "pause") {
+      const m = text.match(/^wallet\s+(.+)$/i);
+      if (m) {
+        const res = await botControl.pauseWallet(userId, m[1]);
+        if (!res.ok) return await bot.sendMessage(chatId, `❌ ${res.error}`);
+        return await bot.sendMessage(chatId, res.paused.length
+          ? `⏸ Paused ${res.paused.length} bot(s) on *${md(res.walletLabel)}*:\n${res.paused.map((id) => `• \`${id}\``).join("\n")}`
+          : `ℹ️ No running bots on *${md(res.walletLabel)}*.`, { parse_mode: "Markdown" });
+      }
+    }
+    if (!text) return await (action === "start" ? startMenu(bot, chatId, userId) : pickBot(bot, chatId, userId, action));
+    return await runAction(bot, chatId, userId, action, text);
+  } catch (err) {
+    console.error(`❌ /${action}bot error:`, err.message);
+    return bot.sendMessage(chatId, `❌ ${action} failed: ${err.message}`);
+  }
+}
+
+/** Inline keyboard entry for `bots:*` callback data. */
+async function handleBotCallback(bot, query) {
+  const chatId = query.message.chat.id;
+  const [, action, ...rest] = String(query.data).split(":");
+  const arg = rest.join(":");
+
+  const userId = await requireUser(bot, chatId);
+  if (!userId) return;
+
+  try {
+    if (action === "list") return await handleBots(bot, query.message);
+    if (action === "startMenu") return await startMenu(bot, chatId, userId);
+    return await runAction(bot, chatId, userId, action, arg);
+  } catch (err) {
+    console.error(`❌ bots:${action} callback error:`, err.message);
+    return bot.sendMessage(chatId, `❌ ${action} failed: ${err.message}`);
+  }
+}
+
+module.exports = handleBots;
+module.exports.handleBotCommand = handleBotCommand;
+module.exports.handleBotCallback = handleBotCallback;
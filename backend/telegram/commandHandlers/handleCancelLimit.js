@@ -6,21 +6,24 @@ const { getUserLimitOrders } = require("../utils/limitManager");
 
 module.exports = async function handleCancelLimit(bot, msg) {
   const chatId = msg.chat.id;
-  const orders = await getUserLimitOrders(chatId);
+  // keep file indexes for the callback; hide filled / canceled / in-flight legs
+  const orders = (await getUserLimitOrders(chatId))
+    .map((o, i) => ({ ...o, index: i }))
+    .filter(o => !["done", "canceled", "executing"].includes(o.status));
 
   if (orders.length === 0) {
     return bot.sendMessage(chatId, "❌ No active limit orders to cancel.");
   }
 
-  const buttons = orders.map((o, i) => {
+  const buttons = orders.map((o) => {
     const ts = new Date(o.createdAt).toLocaleString("en-US", {
       month: "2-digit", day: "2-digit", year: "2-digit",
       hour: "2-digit", minute: "2-digit", hour12: true
     });
 
     return [{
-      text: `${o.side.toUpperCase()} ${o.token.slice(0, 6)}...${o.token.slice(-4)} – ${o.amount} USDC @ ${o.price} (${ts})`,
-      callback_data: `limit:delete:${i}`
+      text: `${o.groupType ? `${o.groupType.toUpperCase()} ` : ""}${o.side.toUpperCase()} ${o.token.slice(0, 6)}...${o.token.slice(-4)} – ${o.amount} USDC @ ${o.price} (${ts})`,
+      callback_data: `limit:delete:${o.index}`
     }];
   });
 
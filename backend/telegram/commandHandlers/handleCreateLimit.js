@@ -2,6 +2,8 @@ const fs = require("fs");
 const path = require("path");
 const LIMITS_PATH = path.join(__dirname, "../../telegram/data/limit-orders.json");
 const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const { v4: uuid } = require("uuid");
+const { buildOcoLegs, buildBracketLegs } = require("../../services/limitOrderLegs");
 
 function readLimitOrders() {
   if (!fs.existsSync(LIMITS_PATH)) return {};
@@ -12,7 +14,71 @@ function writeLimitOrders(data) {
   fs.writeFileSync(LIMITS_PATH, JSON.stringify(data, null, 2));
 }
 
-module.exports = async function handleCreateLimit(bot, msg) {
+const num = (v) => (v === undefined ? NaN : parseFloat(v));
+const ok  = (...v) => v.every((x) => Number.isFinite(x) && x > 0);
+
+/**
+ * Parse one order line into file rows (legs share a groupId).
+ * Returns { rows, summary } or { error }.
+ */
+function parseOrder(text) {
+  const parts = text.split(/\s+/);
+  const kind = (parts[0] || "").toLowerCase();
+  const base = (token, amount) => ({ token, mint: token, amount, createdAt: Date.now() });
+  const withPrice = (rows) => rows.map((r) => ({ ...r, price: r.targetPrice }));
+
+  if (kind === "buy" || kind === "sell") {
+    const [, token, amount, price] = parts;
+    if (!token || !ok(num(amount), num(price))) return { error: "Invalid format." };
+    return {
+      rows: [{ id: uuid(), side: kind, type: "limit", token, amount: num(amount), price: num(price), createdAt: Date.now() }],
+      summary: `Limit ${kind.toUpperCase()} · ${amount} @ $${price}`,
+    };
+  }
+
+  if (kind === "stop") {
+    const [, side, token, amount, trigger, limit] = parts;
+    if (!["buy", "sell"].includes(side) || !token || !ok(num(amount), num(trigger), num(limit))) {
+      return { error: "Stop-limit format: `stop [buy|sell] MINT AMOUNT TRIGGER LIMIT`" };
+    }
+    return {
+      rows: [{
+        id: uuid(), side, type: "stop_limit", token, amount: num(amount),
+        triggerPrice: num(trigger), targetPrice: num(limit), price: num(limit), createdAt: Date.now(),
+      }],
+      summary: `Stop-limit ${side.toUpperCase()} · ${amount} · trigger $${trigger} → limit $${limit}`,
+    };
+  }
+
+  if (kind === "oco") {
+    const [, token, amount, tp, stop, stopLimit] = parts;
+    if (!token || !ok(num(amount), num(tp), num(stop)) || num(stop) >= num(tp)) {
+      return { error: "OCO format: `oco MINT TOKENS TP_PRICE STOP_TRIGGER [STOP_LIMIT]` (stop below TP)" };
+    }
+    const rows = buildOcoLegs(base(token, num(amount)), [
+      { side: "sell", type: "limit", targetPrice: num(tp) },
+      { side: "sell", type: "stop_limit", triggerPrice: num(stop), limitPrice: stopLimit ? num(stopLimit) : undefined },
+    ]);
+    return { rows: withPrice(rows), summary: `OCO SELL · ${amount} tokens · TP $${tp} / stop $${stop}` };
+  }
+
+  if (kind === "bracket") {
+    const [, token, amount, entry, tp, sl, slLimit] = parts;
+    if (!token || !ok(num(amount), num(entry), num(tp), num(sl)) || !(num(tp) > num(entry) && num(sl) < num(entry))) {
+      return { error: "Bracket format: `bracket MINT USDC ENTRY TP SL [SL_LIMIT]` (TP above, SL below entry)" };
+    }
+    const rows = buildBracketLegs(base(token, num(amount)), {
+      entry: { type: "limit", targetPrice: num(entry) },
+      takeProfit: { targetPrice: num(tp) },
+      stopLoss: { triggerPrice: num(sl), limitPrice: slLimit ? num(slLimit) : undefined },
+    });
+    return { rows: withPrice(rows), summary: `Bracket · ${amount} USDC @ $${entry} · TP $${tp} / SL $${sl}` };
+  }
+
+  return { error: "Invalid format." };
+}
+
+async function handleCreateLimit(bot, msg) {
   const chatId = msg.chat.id;
 
   // 🧹 Clean up previous listeners to avoid double fire
@@ -27,6 +93,11 @@ module.exports = async function handleCreateLimit(bot, msg) {
     "Example:",
     "`buy 7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr 5 0.47`",
     "",
+    "*Advanced:*",
+    "`stop [buy|sell] MINT AMOUNT TRIGGER LIMIT` – stop-limit",
+    "`oco MINT TOKENS TP_PRICE STOP_TRIGGER [STOP_LIMIT]` – sell at TP or stop, whichever hits first",
+    "`bracket MINT USDC ENTRY TP SL [SL_LIMIT]` – buy at ENTRY, then TP/SL go live",
+    "",
     "🔍 *Token Search:*",
     "[Birdeye](https://birdeye.so) | [DEX Screener](https://dexscreener.com/solana)"
   ].join("\n");
@@ -42,18 +113,20 @@ module.exports = async function handleCreateLimit(bot, msg) {
   const listener = async (msg2) => {
     if (msg2.chat.id !== chatId) return;
 
-    const text = msg2.text.trim();
-    const [side, token, amount, price] = text.split(" ");
+    const text = (msg2.text || "").trim();
     bot.removeListener("message", listener);
 
-    if (!["buy", "sell"].includes(side) || !token || isNaN(amount) || isNaN(price)) {
-      return bot.sendMessage(chatId, "❌ Invalid format. Please try again.", {
+    const parsed = parseOrder(text);
+    if (parsed.error) {
+      return bot.sendMessage(chatId, `❌ ${parsed.error} Please try again.`, {
+        parse_mode: "Markdown",
         reply_markup: {
           inline_keyboard: [[{ text: "🔙 Back to Menu", callback_data: "home" }]]
         }
       });
     }
 
+    const token = parsed.rows[0].token;
     if (token === USDC_MINT) {
       return bot.sendMessage(chatId, "❌ You can't set a limit order *on* USDC.", {
         parse_mode: "Markdown",
@@ -65,18 +138,11 @@ module.exports = async function handleCreateLimit(bot, msg) {
 
     const orders = readLimitOrders();
     if (!orders[chatId]) orders[chatId] = [];
-
-    orders[chatId].push({
-      side,
-      token,
-      amount: parseFloat(amount),
-      price: parseFloat(price),
-      createdAt: Date.now()
-    });
+    orders[chatId].push(...parsed.rows);
 
     writeLimitOrders(orders);
 
-    await bot.sendMessage(chatId, `✅ Limit ${side.toUpperCase()} order added!\n\nToken: \`${token}\`\nAmount: ${amount} USDC\nTarget Price: $${price}`, {
+    await bot.sendMessage(chatId, `✅ Order added!\n\nToken: \`${token}\`\n${parsed.summary}`, {
       parse_mode: "Markdown",
       disable_web_page_preview: true,
       reply_markup: {
@@ -86,4 +152,7 @@ module.exports = async function handleCreateLimit(bot, msg) {
   };
 
   bot.on("message", listener);
-};
\ No newline at end of file
+}
+
+module.exports = handleCreateLimit;
+module.exports.parseOrder = parseOrder;
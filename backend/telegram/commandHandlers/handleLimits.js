@@ -24,10 +24,13 @@ module.exports = async function handleLimits(bot, msg) {
     return bot.sendMessage(chatId, "❌ Failed to load limit orders.");
   }
 
+  // Filled / canceled legs stay in the file for history; only show live ones
+  limitOrders = limitOrders.filter(o => !["done", "canceled"].includes(o.status));
+
   // Sort by price ascending
   limitOrders.sort((a, b) => a.price - b.price);
 
-  const buyOrders = limitOrders.filter(o => o.side === "buy");
+  const buyOrders = limitOrders.filter(o => o.side === "buy" && o.status !== "pending");
   const sellOrders = limitOrders.filter(o => o.side === "sell");
 
   // ✅ Overcommit warning
@@ -48,7 +51,10 @@ module.exports = async function handleLimits(bot, msg) {
     return `*${title}*\n` + orders
       .map((o, i) => {
         const ts = formatTimestamp(o.createdAt || Date.now());
-        return `${i + 1}. \`${o.token}\` – ${o.amount} USDC @ $${o.price} (${ts})`;
+        const tag = o.groupType ? ` [${o.groupType}${o.role && o.role !== "leg" ? `:${o.role}` : ""}]` : "";
+        const stop = o.type === "stop_limit" ? ` (stop $${o.triggerPrice})` : "";
+        const amount = o.status === "pending" ? "on fill" : `${o.amount} ${o.side === "buy" ? "USDC" : "tokens"}`;
+        return `${i + 1}. \`${o.token}\` – ${amount} @ $${o.price}${stop}${tag} (${ts})`;
       })
       .join("\n") + `\n`;
   };
@@ -1,30 +1,123 @@
-// handleWatchlist.js - Telegram handler for /watchlist command and mint additions
+// handleWatchlist.js - Telegram handler for the shared (web + Telegram) watchlist
+//   /watchlist                              list tokens with Buy / Set limit / Remove
+//   /watchlist <mint>                       add a token
+//   /watchlist remove <mint>                remove a token
+//   /watchlist alert <mint> above|below <price>   price-cross alert
+// Entries live in the DB (services/watchlist); the old per-chat JSON file
+// is imported on first use. Callback data: wl:<action>:<mint>
 require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env") });
-const watchlist = require("../utils/watchlistData");
+const watchlist = require("../../services/watchlist");
+const legacy = require("../utils/watchlistData");
+const { userIdForChat } = require("../utils/telegramPrefs.db");
 
-module.exports = async function handleWatchlist(bot, msg, mintArg = null) {
-  const chatId = msg.chat.id;
+// token symbols go into Markdown messages
+const md = (v) => String(v ?? "").replace(/[_*`[\]]/g, "");
+const short = (mint = "") => `${mint.slice(0, 4)}…${mint.slice(-4)}`;
+
+const usage = [
+  "👀 *Watchlist*",
+  "`/watchlist MINT` – add a token",
+  "`/watchlist remove MINT` – remove it",
+  "`/watchlist alert MINT above|below PRICE` – price alert",
+  "More alert types (moves, liquidity, holders, safety) are in the web app.",
+].join("\n");
+
+async function requireUser(bot, chatId) {
+  const userId = await userIdForChat(chatId);
+  if (!userId) {
+    await bot.sendMessage(chatId, "🔗 This chat isn't linked to an account. Connect Telegram in the web app settings first.");
+  }
+  return userId;
+}
 
-  // If a mint is provided, add it to the watchlist
-  if (mintArg) {
-    watchlist.add(chatId, mintArg);
-    return bot.sendMessage(chatId, `✅ Added \`${mintArg}\` to your watchlist.`, { parse_mode: "Markdown" });
+async function importLegacy(userId, chatId) {
+  const mints = legacy.pending(chatId);
+  if (!mints.length) return;
+  try {
+    await watchlist.importEntries(userId, mints);
+    legacy.clear(chatId);   // only once the DB has them; a failed import retries next time
+  } catch (err) {
+    console.error("❌ Watchlist import failed:", err.message);
   }
+}
 
-  // Show current watchlist
-  const mints = watchlist.get(chatId);
-  if (!mints.length) {
-    return bot.sendMessage(chatId, "📭 Your watchlist is empty.");
+function entryLine(e) {
+  const name = e.symbol ? `*${md(e.symbol)}*` : `\`${short(e.mint)}\``;
+  const price = e.market?.price != null ? ` · $${Number(e.market.price).toPrecision(4)}` : "";
+  const alerts = e.rules.filter((r) => r.enabled).length;
+  return `🪙 ${name}${price}${alerts ? ` · 🔔 ${alerts}` : ""}\n\`${e.mint}\``;
+}
+
+const entryButtons = (mint) => [[
+  { text: "🟢 Buy", callback_data: `buyAgain:${mint}` },
+  { text: "🎯 Set limit", callback_data: `wlLimit:${mint}` },
+  { text: "🗑 Remove", callback_data: `wl:rm:${mint}` },
+]];
+
+async function showList(bot, chatId, userId) {
+  const entries = await watchlist.list(userId);
+  if (!entries.length) {
+    return bot.sendMessage(chatId, `📭 Your watchlist is empty.\n\n${usage}`, { parse_mode: "Markdown" });
+  }
+  for (const e of entries) {
+    await bot.sendMessage(chatId, entryLine(e), {
+      parse_mode: "Markdown",
+      reply_markup: { inline_keyboard: entryButtons(e.mint) },
+    });
   }
+}
+
+module.exports = async function handleWatchlist(bot, msg, argText = null) {
+  const chatId = msg.chat.id;
+  const userId = await requireUser(bot, chatId);
+  if (!userId) return;
+  await importLegacy(userId, chatId);
+
+  const [first, ...rest] = String(argText || "").trim().split(/\s+/).filter(Boolean);
+  try {
+    if (!first) return showList(bot, chatId, userId);
 
-  for (const mint of mints) {
-    const buttons = [
-      [{ text: "🔄 Buy Again", callback_data: `buyAgain:${mint}` }]
-    ];
+    if (first === "remove") {
+      const removed = await watchlist.remove(userId, rest[0]);
+      return bot.sendMessage(chatId, removed ? "🗑 Removed from your watchlist." : "❌ That token isn't on your watchlist.");
+    }
 
-    await bot.sendMessage(chatId, `🪙 Token: \`${mint}\``, {
+    if (first === "alert") {
+      const [mint, direction, price] = rest;
+      if (!watchlist.isMint(mint) || !["above", "below"].includes(direction) || !(Number(price) > 0)) {
+        return bot.sendMessage(chatId, usage, { parse_mode: "Markdown" });
+      }
+      await watchlist.add(userId, mint);
+      await watchlist.addRule(userId, mint, { type: "price_cross", params: { price: Number(price), direction } });
+      return bot.sendMessage(chatId, `🔔 Alert set: \`${short(mint)}\` ${direction} $${Number(price)}`, { parse_mode: "Markdown" });
+    }
+
+    if (!watchlist.isMint(first)) return bot.sendMessage(chatId, usage, { parse_mode: "Markdown" });
+    const { created } = await watchlist.add(userId, first);
+    return bot.sendMessage(chatId, created ? `✅ Added \`${first}\` to your watchlist.` : "ℹ️ Already on your watchlist.", {
       parse_mode: "Markdown",
-      reply_markup: { inline_keyboard: buttons },
+      reply_markup: { inline_keyboard: entryButtons(first) },
     });
+  } catch (err) {
+    if (err.expose) return bot.sendMessage(chatId, `❌ ${err.message}`);
+    console.error("❌ /watchlist error:", err.message);
+    return bot.sendMessage(chatId, "❌ Watchlist update failed.");
+  }
+};
+
+/** wl:rm:<mint> */
+module.exports.handleWatchlistCallback = async function handleWatchlistCallback(bot, query) {
+  const chatId = query.message.chat.id;
+  const [, action, mint] = query.data.split(":");
+  const userId = await requireUser(bot, chatId);
+  if (!userId) return;
+  try {
+    if (action === "rm") {
+      const removed = await watchlist.remove(userId, mint);
+      return bot.sendMessage(chatId, removed ? `🗑 Removed \`${short(mint)}\`.` : "❌ That token isn't on your watchlist.", { parse_mode: "Markdown" });
+    }
+  } catch (err) {
+    console.error(`❌ wl:${action} callback error:`, err.message);
+    return bot.sendMessage(chatId, "❌ Watchlist update failed.");
   }
 };
@@ -22,6 +22,8 @@ const handleCreateDca = require("./handleCreateDca");
 const handleCancelDca = require("./handleCancelDca");
 const handleTpSlDelete = require("./handleTpSlDelete"); 
 const handleTpSlEdit = require("./handleTpSlEdit"); 
+const handleBots = require("./handleBots");
+const handleArm = require("./handleArm");
 
 
 module.exports = {
@@ -48,6 +50,8 @@ module.exports = {
   handleCancelDca,
   handleTpSlDelete,
   handleTpSlEdit,
+  handleBots,
+  handleArm,
 };
 
 
@@ -21,6 +21,9 @@ const handleTpSlEdit = require("./commandHandlers/handleTpSlEdit");
 const handleCreateLimit = require("./commandHandlers/handleCreateLimit");
 const handleCancelLimit = require("./commandHandlers/handleCancelLimit");
 const handleConvert = require("./commandHandlers/handleConvert");
+const handleBots = require("./commandHandlers/handleBots");
+const { handleWatchlistCallback } = require("./commandHandlers/handleWatchlist");
+const { handleArmCallback } = require("./commandHandlers/handleArm");
 const { loadSettings, saveSettings } = require("./utils/tpSlStorage");
 const sessions = require("./utils/sessions");
 const { addUserLimitOrder, removeUserLimitOrder, getUserLimitOrders } = require("./utils/limitManager");
@@ -43,6 +46,16 @@ module.exports = async function handleCallback(bot, query) {
   //   return require("./commandHandlers/handleMenu")(bot, msg);
   // }
 
+  // 🤖 Strategy bot control (list / start / pause / resume / stop / status)
+  if (data.startsWith("bots:")) {
+    return handleBots.handleBotCallback(bot, query);
+  }
+
+  // 🛡 Arm sessions (incl. Extend / Arm buttons on armGuardian alerts)
+  if (data.startsWith("arm:")) {
+    return handleArmCallback(bot, query);
+  }
+
   if (data.startsWith("selectMint:")) {
     const mint = data.split(":")[1];
     rememberMint(chatId, mint);
@@ -340,6 +353,19 @@ if (data === "sell:manual") {
     return bot.sendMessage(chatId, `💰 How much SOL to buy \`${mint}\`?`, { parse_mode: "Markdown" });
   }
 
+  // 👀 Watchlist buttons (remove)
+  if (data.startsWith("wl:")) {
+    return handleWatchlistCallback(bot, query);
+  }
+
+  // 👀 "Set limit" on watchlist alerts
+  if (data.startsWith("wlLimit:")) {
+    const mint = data.split(":")[1];
+    rememberMint(chatId, mint);
+    await bot.sendMessage(chatId, `🎯 Limit order for \`${mint}\` – e.g. \`buy ${mint} 10 0.0042\``, { parse_mode: "Markdown" });
+    return handleCreateLimit(bot, query.message);
+  }
+
   if (data.startsWith("swap:")) {
     const mint = data.split(":")[1];
     if (!mint) return bot.sendMessage(chatId, "❌ Invalid mint.");
@@ -357,7 +383,10 @@ if (data === "sell:manual") {
       return bot.sendMessage(chatId, "❌ Could not find that limit order.");
     }
   
-    await removeUserLimitOrder(chatId, index);
+    const removed = await removeUserLimitOrder(chatId, index);
+    if (!removed) {
+      return bot.sendMessage(chatId, "⏳ That order is executing right now and can't be cancelled.");
+    }
   
     await sendBotAlert(
       chatId,
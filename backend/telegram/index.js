@@ -34,6 +34,8 @@ const {
   handleCancelDca,
   handleTpSlDelete,
   handleTpSlEdit,
+  handleBots,
+  handleArm,
 } = require("./commandHandlers");
 const { startAutoRefresh, toggleAutoRefresh } = require("./utils/autoRefresh");
 const { isAuthorized } = require("./utils/auth");
@@ -81,7 +83,7 @@ bot.on("polling_error", (error) => {
 
 
 // 🔌 Slash commands
-bot.onText(/\/start/, (msg) => {
+bot.onText(/\/start(?!bot)/, (msg) => {
     console.log(`🚀 /start triggered by ${msg.chat.username || msg.chat.id}`);
     if (rejectIfUnauthorized(bot, msg, "start")) return;
      // 🆕 1-line “ensure prefs” (runs every /start, idempotent)
@@ -101,7 +103,7 @@ bot.onText(/\/menu/, (msg) => {
 });
 
 
-bot.onText(/\/stop/, (msg) => {
+bot.onText(/\/stop(?!bot)/, (msg) => {
     const chatId = msg.chat.id;
     const user = msg.chat.username || chatId;
   
@@ -191,8 +193,7 @@ bot.onText(/\/trades/, (msg) => {
 
 bot.onText(/\/watchlist(?: (.+))?/, (msg, match) => {
     if (rejectIfUnauthorized(bot, msg, "start")) return;
-  const mint = match[1]?.trim();
-  handleWatchlist(bot, msg, mint);
+  handleWatchlist(bot, msg, match[1]?.trim());
 });
 
 bot.onText(/\/unhide/, (msg) => {
@@ -227,6 +228,33 @@ bot.onText(/\/reset/, (msg) => {
 });
 
 
+// 🤖 Strategy bot control
+bot.onText(/^\/bots(?:@\w+)?$/, (msg) => {
+  if (rejectIfUnauthorized(bot, msg, "bots")) return;
+  handleBots(bot, msg);
+});
+
+bot.onText(/^\/(start|pause|resume|stop)bot(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => {
+  if (rejectIfUnauthorized(bot, msg, `${match[1]}bot`)) return;
+  handleBots.handleBotCommand(bot, msg, match[1], match[2]);
+});
+
+bot.onText(/^\/botstatus(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => {
+  if (rejectIfUnauthorized(bot, msg, "botstatus")) return;
+  handleBots.handleBotCommand(bot, msg, "status", match[1]);
+});
+
+// 🛡 Arm-to-trade sessions
+bot.onText(/^\/(arm|extend|disarm)(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => {
+  if (rejectIfUnauthorized(bot, msg, match[1])) return;
+  handleArm(bot, msg, match[1], match[2]);
+});
+
+bot.onText(/^\/armstatus(?:@\w+)?$/, (msg) => {
+  if (rejectIfUnauthorized(bot, msg, "armstatus")) return;
+  handleArm(bot, msg, "status");
+});
+
 bot.onText(/\/tpsl_delete/, (msg) => {
   handleTpSlDelete(bot, msg);
 });
@@ -264,6 +292,9 @@ bot.onText(/\/autorefresh/, (msg) => {
 // 🔁 For session prompts like "awaitingToken"
 bot.on("message", async (msg) => {
     const chatId = msg.chat.id;
+    // Arm passphrase / 2FA replies: deleted and consumed before anything logs them
+    if (isAuthorized(chatId) && await handleArm.handleArmInput(bot, msg)) return;
+
     const session = sessions[chatId];
     const text = msg.text;
     const user = msg.chat.username || chatId;
@@ -3,6 +3,7 @@ require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env"
 const { getCachedPrice } = require("../../utils/priceCache.dynamic");
 const { sendBotAlert }          = require("../botAlerts");
 const { performLimitBuy, performLimitSell } = require("../../services/limitExecutor");
+const { evaluateLeg, isExclusiveLeg } = require("../../services/limitOrderLegs");
 
 const {
   readLimitOrdersFile,
@@ -10,64 +11,84 @@ const {
 } = require("../utils/limitManager");
 
 const INTERVAL_MS = 15_000;
+const MAX_FAILS   = 10;
+const IDLE        = new Set(["done", "canceled", "pending", "executing"]);
+
+/* legacy rows have no status/type and keep the target in `price` */
+function asLeg(order) {
+  return {
+    ...order,
+    status     : order.status || "open",
+    type       : order.type || "limit",
+    targetPrice: order.targetPrice ?? order.price,
+  };
+}
 
 async function monitorLimitTg() {
   console.log("📲 Starting monitorLimitTelegram...");
+  let running = false;
 
   setInterval(async () => {
-    const allOrders = readLimitOrdersFile();
-
-    for (const [userId, orders] of Object.entries(allOrders)) {
-      if (userId === "web") continue;
-
-      const updated = [];
-
-      for (const order of orders) {
-        if (order.status === "done") {
-          updated.push(order);
-          continue;
-        }
-
-        const target = order.targetPrice ?? order.price;
-        const price = await getCachedPrice(order.token);
-        if (!price) {
-          updated.push(order); // skip if price totally fails
-          continue;
-        }
-
-        if (!price) {
-          updated.push(order);
-          continue;
-        }
-
-        const shouldTrigger = (order.side === "buy" && price <= target)
-                           || (order.side === "sell" && price >= target);
-        if (!shouldTrigger) {
-          updated.push(order);
-          continue;
+    if (running) return; // a slow swap must not overlap the next pass
+    running = true;
+    try {
+      const allOrders = readLimitOrdersFile();
+
+      for (const [userId, orders] of Object.entries(allOrders)) {
+        if (userId === "web") continue;
+
+        for (const order of orders) {
+          if (IDLE.has(order.status)) continue;
+
+          const price = await getCachedPrice(order.token);
+          if (!price) continue; // skip if price totally fails
+
+          const { arm, fire } = evaluateLeg(asLeg(order), price);
+          if (arm) order.triggeredAt = new Date().toISOString();
+          if (!fire) continue;
+
+          /* claim + cancel siblings, persisted before the swap so a crash
+             mid-send can never leave both legs of a pair live */
+          const siblings = isExclusiveLeg(order)
+            ? orders.filter((o) => o !== order && o.groupId === order.groupId && o.role !== "entry" &&
+                                   (o.status || "open") === "open")
+            : [];
+          order.status = "executing";
+          siblings.forEach((o) => { o.status = "canceled"; o.cancelReason = `oco:${order.id}`; });
+          writeLimitOrdersFile(allOrders);
+
+          try {
+            const activateExits = async (entry, qty) => {
+              if (!(qty > 0)) return 0;
+              const exits = orders.filter((o) => o.parentId === entry.id && o.status === "pending");
+              exits.forEach((o) => { o.status = "open"; o.amount = qty; });
+              return exits.length;
+            };
+            order.side === "buy"
+              ? await performLimitBuy(order, userId, { activateExits })
+              : await performLimitSell(order, userId);
+
+            order.status = "done";
+            order.executedAt = new Date().toISOString();
+          } catch (err) {
+            console.error(`❌ Limit ${order.side} failed:`, err.message);
+            await sendBotAlert(userId, `❌ Limit ${order.side} failed for ${order.token}: ${err.message}`, "Limit");
+
+            order.status = "open";
+            order.failCount = (order.failCount || 0) + 1;
+            siblings.forEach((o) => { o.status = "open"; delete o.cancelReason; });
+          }
         }
 
-        try {
-          const tx = order.side === "buy"
-            ? await performLimitBuy(order, userId)
-            : await performLimitSell(order, userId);
-
-          order.status = "done";
-          order.executedAt = new Date().toISOString();
-          updated.push(order);
-        } catch (err) {
-          console.error(`❌ Limit ${order.side} failed:`, err.message);
-          await sendBotAlert(userId, `❌ Limit ${order.side} failed for ${order.token}: ${err.message}`, "Limit");
-
-          order.failCount = (order.failCount || 0) + 1;
-          if (order.failCount < 10) updated.push(order);
-        }
+        allOrders[userId] = orders.filter((o) => (o.failCount || 0) < MAX_FAILS);
       }
 
-      allOrders[userId] = updated;
+      writeLimitOrdersFile(allOrders);
+    } catch (err) {
+      console.error("❌ monitorLimitTg error:", err.message);
+    } finally {
+      running = false;
     }
-
-    writeLimitOrdersFile(allOrders);
   }, INTERVAL_MS);
 }
 
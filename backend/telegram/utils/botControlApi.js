@@ -0,0 +1,39 @@
+// botControlApi.js - services/botControl over the internal API.
+// Bot processes (and the risk state they share) belong to the API server,
+// so the Telegram process never starts or signals them itself. Same
+// function names and `{ ok, … }` results as services/botControl.
+require("dotenv").config({ path: require("path").resolve(__dirname, "../../.env") });
+const axios = require("axios");
+
+const API_BASE = process.env.API_BASE || "http://localhost:5001";
+
+const api = axios.create({
+  baseURL: `${API_BASE}/api/internalJobs/bots`,
+  headers: { Authorization: `Bearer ${process.env.INTERNAL_SERVICE_TOKEN}` },
+  timeout: 30_000,
+});
+
+/** Transport failures surface as thrown errors with the API's message. */
+async function call(method, url, userId, body = {}) {
+  try {
+    const { data } = method === "get"
+      ? await api.get(url, { params: { userId } })
+      : await api.post(url, { ...body, userId });
+    return data;
+  } catch (err) {
+    throw new Error(err?.response?.data?.error || err?.message || "Bot control request failed");
+  }
+}
+
+const enc = encodeURIComponent;
+
+module.exports = {
+  listBots: async (userId) => (await call("get", "/", userId)).bots || [],
+  listSavedConfigs: async (userId) => (await call("get", "/saved", userId)).presets || [],
+  botStatus: (userId, botId) => call("get", `/${enc(botId)}`, userId),
+  startSavedConfig: (userId, ref) => call("post", "/start", userId, { ref }),
+  pauseWallet: (userId, label) => call("post", "/pause-wallet", userId, { label }),
+  pauseBot: (userId, botId) => call("post", `/${enc(botId)}/pause`, userId),
+  resumeBot: (userId, botId) => call("post", `/${enc(botId)}/resume`, userId),
+  stopBot: (userId, botId) => call("post", `/${enc(botId)}/stop`, userId),
+};
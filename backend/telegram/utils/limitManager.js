@@ -2,6 +2,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { cancelScope } = require("../../services/limitOrderLegs");
 
 const LIMITS_PATH = path.join(__dirname, "../../data/limit-orders.json");
 
@@ -48,11 +49,26 @@ async function addUserLimitOrder(userId, order) {
 
 async function removeUserLimitOrder(userId, index) {
   const orders = readLimitOrdersFile();
-  if (!orders[userId]) return;
-  if (index < 0 || index >= orders[userId].length) return;
+  if (!orders[userId]) return false;
+  if (index < 0 || index >= orders[userId].length) return false;
 
-  orders[userId].splice(index, 1);
+  const order = orders[userId][index];
+  if (!order.groupId) {
+    orders[userId].splice(index, 1);
+    writeLimitOrdersFile(orders);
+    return true;
+  }
+
+  // grouped legs: cancel the whole OCO pair / bracket, never a leg mid-swap
+  const legs = cancelScope(order) === "group"
+    ? orders[userId].filter(o => o.groupId === order.groupId)
+    : [order];
+  if (legs.some(o => o.status === "executing")) return false;
+
+  legs.filter(o => !["done", "canceled"].includes(o.status))
+    .forEach(o => { o.status = "canceled"; o.cancelReason = "user"; });
   writeLimitOrdersFile(orders);
+  return true;
 }
 
 module.exports = {
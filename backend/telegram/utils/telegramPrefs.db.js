@@ -14,6 +14,7 @@ const STRATEGIES = [
   "PaperTrader",
   "Rebalancer",
   "StealthBot",
+  "CopyTrader",
   "Scheduled",
 ];
 
@@ -81,4 +82,13 @@ exports.setPrefs = async (userId, patch) => {
        user: { connect: { id: userId } },
      },
    });
- };
\ No newline at end of file
+ };
+// Reverse lookup: which web account linked this chat (null if none).
+exports.userIdForChat = async (chatId) => {
+  if (chatId === undefined || chatId === null) return null;
+  const rec = await prisma.telegramPreference.findUnique({
+    where: { chatId: String(chatId) },
+    select: { userId: true },
+  });
+  return rec?.userId ?? null;
+};
@@ -44,7 +44,7 @@ function getTelegramPrefs(chatId) {
     types   : [
       "Buy", "Sell", "DCA", "Limit", "TP", "SL",
       "Breakout", "Sniper", "Scalper", "ChadMode", "DipBuyer",
-      "DelayedSniper", "TrendFollower", "RotationBot", "PaperTrader", "Rebalancer", "StealthBot"
+      "DelayedSniper", "TrendFollower", "RotationBot", "PaperTrader", "Rebalancer", "StealthBot", "CopyTrader"
     ],
   };
   savePrefs(prefs);
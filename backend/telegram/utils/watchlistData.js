@@ -24,4 +24,19 @@ function get(chatId) {
   return data[chatId] || [];
 }
 
-module.exports = { add, get };
+/** A chat's mints still waiting for the one-time DB import (no file is created). */
+function pending(chatId) {
+  if (!fs.existsSync(FILE)) return [];
+  return read()[chatId] || [];
+}
+
+/** Drop a chat's mints once the DB import has succeeded. */
+function clear(chatId) {
+  if (!fs.existsSync(FILE)) return;
+  const data = read();
+  if (!data[chatId]) return;
+  delete data[chatId];
+  save(data);
+}
+
+module.exports = { add, get, pending, clear };
@@ -0,0 +1,143 @@
+process.env.ENCRYPTION_SECRET = 'a'.repeat(64);
+
+jest.mock('dotenv', () => ({ config: jest.fn() }), { virtual: true });
+jest.mock('jsonwebtoken', () => ({
+  verify: jest.fn((token) => { if (token === 'good-jwt') return { id: 'cookie-user' }; throw new Error('bad'); }),
+  sign: jest.fn(),
+}), { virtual: true });
+jest.mock('../prisma/prisma', () => {
+  const rows = [];
+  let seq = 0;
+  return {
+    __rows: rows,
+    apiKey: {
+      count: jest.fn(async () => rows.filter((r) => !r.revokedAt).length),
+      create: jest.fn(async ({ data }) => {
+        const row = { id: `k${++seq}`, createdAt: new Date(), lastUsedAt: null, lastUsedIp: null, revokedAt: null, ...data };
+        rows.push(row);
+        return row;
+      }),
+      findUnique: jest.fn(async ({ where }) => rows.find((r) => r.keyId === where.keyId) || null),
+      findFirst: jest.fn(async ({ where }) => rows.find((r) => r.id === where.id && r.userId === where.userId && !r.revokedAt) || null),
+      update: jest.fn(async ({ where, data }) => Object.assign(rows.find((r) => r.id === where.id), data)),
+    },
+  };
+});
+jest.mock('../services/security/auditLog', () => ({ logSecurityEvent: jest.fn(async () => {}) }));
+
+const audit = require('../services/security/auditLog');
+const apiKeys = require('../services/security/apiKeys');
+const requireAuth = require('../middleware/requireAuth');
+const { csrfProtection } = require('../middleware/csrf');
+
+function fakeReq({ method = 'GET', url = '/api/portfolio', headers = {}, body, ip = '203.0.113.7', cookies = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    method, originalUrl: url, ip, cookies, headers: lower,
+    rawBody: body === undefined ? undefined : Buffer.from(body),
+    get: (h) => lower[h.toLowerCase()],
+  };
+}
+
+function signed(key, secret, { method = 'GET', url = '/api/portfolio', body, ts = Math.floor(Date.now() / 1000), ...rest } = {}) {
+  const sig = apiKeys.signRequest(secret, { timestamp: String(ts), method, path: url, body: body || '' });
+  return fakeReq({
+    method, url, body, ...rest,
+    headers: { 'X-API-Key': key.keyId, 'X-API-Timestamp': String(ts), 'X-API-Signature': sig, ...(rest.headers || {}) },
+  });
+}
+
+async function run(mw, req) {
+  const res = { statusCode: 200, body: null };
+  res.status = (c) => { res.statusCode = c; return res; };
+  res.json = (b) => { res.body = b; return res; };
+  res.setHeader = () => {};
+  let passed = false;
+  await mw(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body };
+}
+
+const create = (opts = {}) =>
+  apiKeys.createApiKey('u1', { name: 'bot', scopes: ['read', 'orders'], expiresInDays: 30, ...opts });
+
+describe('API keys', () => {
+  beforeEach(() => audit.logSecurityEvent.mockClear());
+
+  test('signed request authenticates once; replays and tampered bodies are refused', async () => {
+    const { apiKey, secret } = await create();
+    expect(apiKey).not.toHaveProperty('secretHash');
+    expect(audit.logSecurityEvent).toHaveBeenCalledWith('u1', 'API_KEY_CREATED', expect.objectContaining({ keyId: apiKey.keyId }));
+
+    const body = JSON.stringify({ mint: 'M', price: 1 });
+    const req = signed(apiKey, secret, { method: 'POST', url: '/api/orders/limit', body });
+    expect(await run(requireAuth, req)).toMatchObject({ passed: true });
+    expect(req.user).toEqual({ id: 'u1', type: 'apiKey' });
+    // router-level + route-level requireAuth on the same request
+    expect(await run(requireAuth, req)).toMatchObject({ passed: true });
+
+    const replay = signed(apiKey, secret, { method: 'POST', url: '/api/orders/limit', body });
+    expect(await run(requireAuth, replay)).toMatchObject({ passed: false, status: 401, body: { error: 'Replayed request' } });
+
+    const tampered = signed(apiKey, secret, { method: 'POST', url: '/api/orders/dca', body });
+    tampered.rawBody = Buffer.from(JSON.stringify({ mint: 'M', price: 999 }));
+    expect(await run(requireAuth, tampered)).toMatchObject({ status: 401, body: { error: 'Invalid request signature' } });
+    expect(audit.logSecurityEvent).toHaveBeenCalledWith('u1', 'API_KEY_DENIED', expect.objectContaining({ reason: 'bad_signature' }));
+
+    const stale = signed(apiKey, secret, { ts: Math.floor(Date.now() / 1000) - 600 });
+    expect(await run(requireAuth, stale)).toMatchObject({ status: 401 });
+  });
+
+  test('scopes gate routes and account routes are off-limits', async () => {
+    const { apiKey, secret } = await create({ scopes: ['read'] });
+    expect(await run(requireAuth, signed(apiKey, secret))).toMatchObject({ passed: true });
+    expect(await run(requireAuth, signed(apiKey, secret, { method: 'POST', url: '/api/orders/limit', body: '{}' })))
+      .toMatchObject({ status: 403, body: { error: 'API key lacks the "orders" scope' } });
+    expect(await run(requireAuth, signed(apiKey, secret, { url: '/api/account/api-keys' })))
+      .toMatchObject({ status: 403, body: { error: 'This route is not available to API keys' } });
+    expect(await run(requireAuth, signed(apiKey, secret, { method: 'POST', url: '/api/wallets/send-sol', body: '{}' })))
+      .toMatchObject({ status: 403 });
+    expect(await run(requireAuth, signed(apiKey, secret, { url: '/api/wallets/load' })))
+      .toMatchObject({ status: 403, body: { error: 'This route is not available to API keys' } });
+  });
+
+  test('IP allowlist accepts CIDR ranges and IPv4-mapped addresses', async () => {
+    expect(() => apiKeys.parseAllowlist(['10.0.0.0/33'])).toThrow('Invalid CIDR prefix');
+    const { apiKey, secret } = await create({ ipAllowlist: ['10.0.0.0/24', '2001:db8::1'] });
+    // distinct URLs: identical signed requests within a second would be replays
+    expect(await run(requireAuth, signed(apiKey, secret, { url: '/api/portfolio?a', ip: '::ffff:10.0.0.5' }))).toMatchObject({ passed: true });
+    expect(await run(requireAuth, signed(apiKey, secret, { url: '/api/portfolio?b', ip: '2001:db8::1' }))).toMatchObject({ passed: true });
+    expect(await run(requireAuth, signed(apiKey, secret, { url: '/api/portfolio?c', ip: '10.0.1.5' })))
+      .toMatchObject({ status: 403, body: { error: 'IP address not allowed for this API key' } });
+  });
+
+  test('plain keys only when opted in; revoked and expired keys fail', async () => {
+    const signedOnly = await create();
+    const plainReq = (k, s) => fakeReq({ headers: { 'X-API-Key': `${k.keyId}.${s}` } });
+    expect(await run(requireAuth, plainReq(signedOnly.apiKey, signedOnly.secret)))
+      .toMatchObject({ status: 401, body: { error: 'This API key requires signed requests' } });
+
+    const plain = await create({ requireSignature: false });
+    expect(await run(requireAuth, plainReq(plain.apiKey, plain.secret))).toMatchObject({ passed: true });
+    expect(await run(requireAuth, plainReq(plain.apiKey, 'wrong'))).toMatchObject({ status: 401 });
+
+    await apiKeys.revokeApiKey('u1', plain.apiKey.id);
+    expect(await run(requireAuth, plainReq(plain.apiKey, plain.secret))).toMatchObject({ status: 401, body: { error: 'API key revoked' } });
+
+    const old = await create({ requireSignature: false });
+    require('../prisma/prisma').__rows.find((r) => r.id === old.apiKey.id).expiresAt = new Date(Date.now() - 1000);
+    expect(await run(requireAuth, plainReq(old.apiKey, old.secret))).toMatchObject({ status: 401, body: { error: 'API key expired' } });
+  });
+
+  test('CSRF still applies to cookie sessions; a bad key never falls back to the cookie', async () => {
+    const cookieReq = fakeReq({ method: 'POST', url: '/api/orders/limit', cookies: { access_token: 'good-jwt' } });
+    expect(await run(csrfProtection, cookieReq)).toMatchObject({ passed: false, status: 403 });
+
+    const keyReq = fakeReq({
+      method: 'POST', url: '/api/orders/limit', cookies: { access_token: 'good-jwt' },
+      headers: { 'X-API-Key': 'stk_doesnotexist' },
+    });
+    expect(await run(csrfProtection, keyReq)).toMatchObject({ passed: true });
+    expect(await run(requireAuth, keyReq)).toMatchObject({ passed: false, status: 401 });
+    expect(keyReq.user).toBeUndefined();
+  });
+});
@@ -0,0 +1,64 @@
+const { runBacktest } = require('../services/strategies/core/backtest/backtestEngine');
+const { normalizeCandles, parseCsv } = require('../services/strategies/core/backtest/candleSource');
+
+// Flat squeeze followed by a single high-volume expansion bar and a run-up.
+function breakoutSeries() {
+  const rows = [];
+  let ts = 1_700_000_000;
+  for (let i = 0; i < 15; i++) {
+    rows.push({ unixTime: ts, o: 1, h: 1.0005, l: 0.9995, c: 1 + (i % 2) * 0.0005, v: 100 });
+    ts += 900;
+  }
+  rows.push({ unixTime: ts, o: 1, h: 1.1, l: 1, c: 1.08, v: 1_000 });
+  ts += 900;
+  for (let i = 0; i < 5; i++) {
+    const c = 1.08 * (1 + 0.05 * (i + 1));
+    rows.push({ unixTime: ts, o: c * 0.99, h: c * 1.01, l: c * 0.98, c, v: 500 });
+    ts += 900;
+  }
+  return rows;
+}
+
+describe('backtestEngine', () => {
+  test('normalises Birdeye and CSV candles to one shape', () => {
+    const fromBirdeye = normalizeCandles([{ unixTime: 1_700_000_900, o: 1, h: 2, l: 0.5, c: 1.5, v: 10 }]);
+    const fromCsv = parseCsv('ts,open,high,low,close,volume\n1700000900,1,2,0.5,1.5,10');
+    expect(fromBirdeye).toEqual(fromCsv);
+    expect(fromBirdeye[0].ts).toBe(1_700_000_900_000);
+  });
+
+  test('breakout entry exits on take profit with costs attached', async () => {
+    const res = await runBacktest({
+      mode: 'breakout',
+      config: { takeProfit: 10, stopLoss: 5, squeezeThreshold: 0.03, slippageBpsCap: 50, priorityFeeLamports: 5000 },
+      candles: breakoutSeries(),
+      options: { tradeSizeUsd: 100 },
+    });
+    expect(res.trades.length).toBe(1);
+    const [trade] = res.trades;
+    expect(trade.entryReason).toBe('volatilityBreakout');
+    expect(trade.exitReason).toBe('takeProfit');
+    expect(trade.entryPrice).toBeGreaterThanOrEqual(trade.entryMid);
+    expect(trade.exitPrice).toBeLessThanOrEqual(trade.exitMid);
+    expect(res.tca.legs).toBe(2);
+    expect(res.tca.totalFeeLamports).toBe(10_000);
+    expect(res.equityCurve.length).toBe(res.bars);
+    expect(res.summary.endEquity).toBeCloseTo(1_000 + trade.pnlUsd, 6);
+  });
+
+  test('same seed reproduces the same run', async () => {
+    const args = {
+      mode: 'breakout',
+      config: { takeProfit: 10, squeezeThreshold: 0.03, slippageBpsCap: 80, partials: { minParts: 1, maxParts: 4 } },
+      candles: breakoutSeries(),
+      options: { seed: 'fixed' },
+    };
+    const a = await runBacktest(args);
+    const b = await runBacktest(args);
+    expect(a.trades).toEqual(b.trades);
+  });
+
+  test('rejects unsupported modes', async () => {
+    await expect(runBacktest({ mode: 'rebalancer', candles: breakoutSeries() })).rejects.toThrow(/not supported/);
+  });
+});
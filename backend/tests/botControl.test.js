@@ -0,0 +1,138 @@
+jest.mock('dotenv', () => ({ config: jest.fn() }), { virtual: true });
+jest.mock('axios', () => {
+  const api = { get: jest.fn(), post: jest.fn() };
+  return { __api: api, create: jest.fn(() => api) };
+}, { virtual: true });
+
+// Mock prisma storage
+jest.mock('../prisma/prisma', () => {
+  const runs = [];
+  const match = (where, r) =>
+    r.userId === where.userId &&
+    (where.botId == null || r.botId === where.botId) &&
+    (where.stoppedAt !== null || r.stoppedAt == null);
+  return {
+    __runs: runs,
+    strategyRunStatus: {
+      findFirst: jest.fn(async ({ where }) => runs.find((r) => match(where, r)) || null),
+      findMany: jest.fn(async ({ where }) => runs.filter((r) => match(where, r))),
+    },
+    user: { findUnique: jest.fn(async () => ({ activeWalletId: 7 })) },
+    wallet: {
+      findUnique: jest.fn(async ({ where }) => (where.id === 7 ? { id: 7, label: 'main' } : null)),
+      findFirst: jest.fn(async ({ where }) =>
+        where.userId === 'u1' && where.label === 'main' ? { id: 7, label: 'main' } : null),
+    },
+  };
+});
+
+jest.mock('../services/utils/strategy_utils/strategyLauncher', () => ({
+  startStrategy: jest.fn(async (mode) => ({ botId: `${mode}-new` })),
+  stopStrategy: jest.fn(() => true),
+  pauseStrategy: jest.fn(() => true),
+  pauseBotsByWallet: jest.fn(async () => ['b1']),
+  resumeStrategy: jest.fn(async () => true),
+}));
+jest.mock('../services/utils/strategy_utils/strategyStatus', () => ({
+  getStrategyStatus: jest.fn(() => ({ startTime: Date.now() - 90_000, pauseAccum: 0, tradesExecuted: 3, maxTrades: 10 })),
+}));
+jest.mock('../services/strategies/core/botHealthRegistery', () => ({
+  snapshot: jest.fn(() => ({ ts: Date.now(), bots: { b1: { lastTickAgoMs: 4000, healthLevel: 'green', status: 'running' } } })),
+}));
+jest.mock('../services/utils/strategy_utils/savedConfigDb', () => ({
+  listPresets: jest.fn(async () => [
+    { id: 11, strategyName: 'sniper', name: 'Fast Snipe', extras: { amountToSpend: 0.1 } },
+    { id: 12, strategyName: 'scalper', name: 'Scalp', extras: {} },
+  ]),
+}));
+jest.mock('../config/featureFlags', () => ({
+  isStrategyEnabled: jest.fn((mode) => mode !== 'scalper'),
+}));
+
+const prisma = require('../prisma/prisma');
+const launcher = require('../services/utils/strategy_utils/strategyLauncher');
+const botControl = require('../services/botControl');
+const botControlApi = require('../telegram/utils/botControlApi');
+const api = require('axios').__api;
+
+describe('botControl', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.__runs.length = 0;
+    prisma.__runs.push(
+      { botId: 'b1', userId: 'u1', mode: 'sniper', isPaused: false, stoppedAt: null, startedAt: new Date(), config: { walletLabel: 'main' } },
+      { botId: 'b2', userId: 'u1', mode: 'scalper', isPaused: true, stoppedAt: null, startedAt: new Date(), config: {} },
+      { botId: 'b3', userId: 'u2', mode: 'sniper', isPaused: false, stoppedAt: null, startedAt: new Date(), config: {} },
+    );
+  });
+
+  test('lists only the caller\'s bots with live metrics', async () => {
+    const bots = await botControl.listBots('u1');
+    expect(bots.map((b) => b.botId)).toEqual(['b1', 'b2']);
+    expect(bots[0]).toMatchObject({ healthLevel: 'green', lastTickAgo: '4s', uptime: '1m 30s', tradesExecuted: 3, maxTrades: 10 });
+    expect(bots[1]).toMatchObject({ paused: true, status: 'paused' });
+  });
+
+  test('never acts on another user\'s bot', async () => {
+    expect(await botControl.stopBot('u1', 'b3')).toEqual({ ok: false, error: 'Bot not found.' });
+    expect(await botControl.pauseBot('u1', 'b3')).toMatchObject({ ok: false });
+    expect(launcher.stopStrategy).not.toHaveBeenCalled();
+    expect(launcher.pauseStrategy).not.toHaveBeenCalled();
+  });
+
+  test('starts a saved config by name or id on the active wallet', async () => {
+    const byName = await botControl.startSavedConfig('u1', 'fast snipe');
+    expect(byName).toEqual({ ok: true, botId: 'sniper-new', mode: 'sniper', name: 'Fast Snipe' });
+    expect(launcher.startStrategy).toHaveBeenCalledWith('sniper', expect.objectContaining({
+      userId: 'u1', walletId: 7, walletLabel: 'main', configId: 11, amountToSpend: 0.1,
+    }));
+
+    expect(await botControl.startSavedConfig('u1', '12')).toMatchObject({ ok: false, error: 'Strategy scalper is disabled.' });
+    expect(await botControl.startSavedConfig('u1', 'nope')).toMatchObject({ ok: false });
+  });
+
+  test('pause / resume check the current state first', async () => {
+    expect(await botControl.pauseBot('u1', 'b1')).toEqual({ ok: true, botId: 'b1' });
+    expect(await botControl.pauseBot('u1', 'b2')).toEqual({ ok: false, error: 'Bot is already paused.' });
+    expect(await botControl.resumeBot('u1', 'b1')).toEqual({ ok: false, error: 'Bot is not paused.' });
+    expect(await botControl.resumeBot('u1', 'b2')).toEqual({ ok: true, botId: 'b2' });
+  });
+
+  test('pauseWallet resolves the label within the user\'s wallets', async () => {
+    expect(await botControl.pauseWallet('u1', 'main')).toEqual({ ok: true, paused: ['b1'], walletLabel: 'main' });
+    expect(launcher.pauseBotsByWallet).toHaveBeenCalledWith('u1', 7);
+    expect(await botControl.pauseWallet('u2', 'main')).toMatchObject({ ok: false });
+  });
+
+  test('stop goes through the launcher, never a recorded pid', async () => {
+    prisma.__runs[0].pid = 4242;
+    const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    expect(await botControl.stopBot('u1', 'b1')).toEqual({ ok: true, botId: 'b1' });
+    expect(launcher.stopStrategy).toHaveBeenCalledWith('b1');
+    expect(kill).not.toHaveBeenCalled();
+    kill.mockRestore();
+  });
+});
+
+describe('botControlApi', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('actions are sent to the API process for the calling user', async () => {
+    api.post.mockResolvedValueOnce({ data: { ok: true, botId: 'b1' } });
+    expect(await botControlApi.pauseBot('u1', 'b1')).toEqual({ ok: true, botId: 'b1' });
+    expect(api.post).toHaveBeenCalledWith('/b1/pause', { userId: 'u1' });
+
+    api.post.mockResolvedValueOnce({ data: { ok: true, botId: 'sniper-new', mode: 'sniper', name: '' } });
+    await botControlApi.startSavedConfig('u1', 'fast snipe');
+    expect(api.post).toHaveBeenLastCalledWith('/start', { ref: 'fast snipe', userId: 'u1' });
+
+    api.get.mockResolvedValueOnce({ data: { ok: true, bots: [{ botId: 'b1' }] } });
+    expect(await botControlApi.listBots('u1')).toEqual([{ botId: 'b1' }]);
+    expect(api.get).toHaveBeenCalledWith('/', { params: { userId: 'u1' } });
+  });
+
+  test('transport errors carry the API message', async () => {
+    api.post.mockRejectedValueOnce({ response: { status: 500, data: { ok: false, error: 'Failed to stop bot' } } });
+    await expect(botControlApi.stopBot('u1', 'b1')).rejects.toThrow('Failed to stop bot');
+  });
+});
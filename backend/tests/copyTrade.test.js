@@ -0,0 +1,114 @@
+const {
+  decodeLeaderSwap,
+  mirrorSize,
+  normalizeLeaders,
+} = require('../services/strategies/core/copyTrade');
+
+const LEADER = 'Lead1111111111111111111111111111111111111111';
+const POOL = 'Pool1111111111111111111111111111111111111111';
+const MINT = 'Mint1111111111111111111111111111111111111111';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const JUP = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+
+function bal(owner, mint, amount, decimals = 6) {
+  return { owner, mint, uiTokenAmount: { amount: String(amount), decimals } };
+}
+
+function tx({ pre = [], post = [], lamports = [0, 0], fee = 5000, program = JUP, err = null }) {
+  return {
+    slot: 42,
+    transaction: {
+      signatures: ['sig1'],
+      message: {
+        accountKeys: [{ pubkey: LEADER }, { pubkey: POOL }],
+        instructions: [{ programId: program }],
+      },
+    },
+    meta: {
+      err,
+      fee,
+      preBalances: [10_000_000_000, 0],
+      postBalances: [10_000_000_000 + lamports[0], 0],
+      preTokenBalances: pre,
+      postTokenBalances: post,
+      innerInstructions: [],
+    },
+  };
+}
+
+describe('copy trade decoding', () => {
+  test('SOL → token buy through Jupiter', () => {
+    const swap = decodeLeaderSwap(
+      tx({ post: [bal(LEADER, MINT, 1_000_000)], lamports: [-2_000_005_000] }),
+      LEADER,
+    );
+    expect(swap).toMatchObject({
+      side: 'buy',
+      mint: MINT,
+      program: 'jupiter',
+      tokenAmountRaw: '1000000',
+      baseAmount: 2,
+      signature: 'sig1',
+      slot: 42,
+    });
+  });
+
+  test('partial sell reports the share of the leader bag sold', () => {
+    const swap = decodeLeaderSwap(
+      tx({
+        pre: [bal(LEADER, MINT, 4_000_000)],
+        post: [bal(LEADER, MINT, 3_000_000)],
+        lamports: [500_000_000 - 5000],
+      }),
+      LEADER,
+    );
+    expect(swap).toMatchObject({ side: 'sell', mint: MINT, baseAmount: 0.5 });
+    expect(swap.soldFraction).toBeCloseTo(0.25);
+  });
+
+  test('USDC leg is preferred over lamport noise', () => {
+    const swap = decodeLeaderSwap(
+      tx({
+        pre: [bal(LEADER, USDC, 300_000_000)],
+        post: [bal(LEADER, USDC, 100_000_000), bal(LEADER, MINT, 7)],
+        lamports: [-2_044_280],
+      }),
+      LEADER,
+    );
+    expect(swap).toMatchObject({ side: 'buy', baseMint: USDC, baseAmount: 200 });
+  });
+
+  test('ignores failed, non-DEX and other owners’ transfers', () => {
+    const base = { post: [bal(LEADER, MINT, 1)], lamports: [-1_000_005_000] };
+    expect(decodeLeaderSwap(tx({ ...base, err: { InstructionError: [0, 'x'] } }), LEADER)).toBeNull();
+    expect(decodeLeaderSwap(tx({ ...base, program: '11111111111111111111111111111111' }), LEADER)).toBeNull();
+    expect(decodeLeaderSwap(tx({ post: [bal(POOL, MINT, 1)], lamports: [-5000] }), LEADER)).toBeNull();
+  });
+});
+
+describe('copy trade sizing', () => {
+  const buy = { side: 'buy', baseMint: 'So11111111111111111111111111111111111111112', baseAmount: 10 };
+
+  test('per-leader overrides fall back to bot defaults', () => {
+    const [a, b] = normalizeLeaders(
+      [LEADER, { address: POOL, sizing: 'proportional', ratio: 0.5, delayMs: 1500 }, LEADER],
+      { amountToSpend: 0.2, maxPerLeaderDaily: 1 },
+    );
+    expect(a).toMatchObject({ address: LEADER, sizing: 'fixed', fixedAmount: 0.2, maxDaily: 1, copySells: true });
+    expect(b).toMatchObject({ sizing: 'proportional', ratio: 0.5, delayMs: 1500, maxDaily: 1 });
+  });
+
+  test('proportional sizing respects per-trade and daily caps', () => {
+    const leader = normalizeLeaders([{ address: LEADER, sizing: 'proportional', ratio: 0.1, maxPerTrade: 0.8, maxDaily: 1 }])[0];
+    expect(mirrorSize({ swap: buy, leader })).toEqual({ amount: 0.8, reason: null });
+    expect(mirrorSize({ swap: buy, leader, spentToday: 0.7 })).toEqual({ amount: 0.3, reason: null });
+    expect(mirrorSize({ swap: buy, leader, spentToday: 1 })).toEqual({ amount: 0, reason: 'leader-daily-cap' });
+  });
+
+  test('USDC spends convert through the SOL price', () => {
+    const leader = normalizeLeaders([{ address: LEADER, sizing: 'proportional', ratio: 0.5 }])[0];
+    const usdcBuy = { side: 'buy', baseMint: USDC, baseAmount: 200 };
+    expect(mirrorSize({ swap: usdcBuy, leader, solPriceUsd: 100 }).amount).toBeCloseTo(1);
+    expect(mirrorSize({ swap: usdcBuy, leader })).toEqual({ amount: 0, reason: 'no-sol-price' });
+  });
+});
@@ -0,0 +1,59 @@
+jest.mock('dotenv', () => ({ config: jest.fn() }), { virtual: true });
+jest.mock('axios', () => ({ post: jest.fn() }), { virtual: true });
+jest.mock('../prisma/prisma', () => ({
+  dcaTranche: { create: jest.fn(async () => ({})) },
+  dcaOrder: { updateMany: jest.fn(async () => ({ count: 1 })) },
+}));
+jest.mock('../services/utils/analytics/tradeFormatter', () => ({ prepareBuyLogFields: jest.fn() }));
+jest.mock('../services/utils/analytics/logTrade', () => ({ logTrade: jest.fn() }));
+jest.mock('../services/utils/analytics/openTrades', () => ({ addOrUpdateOpenTrade: jest.fn() }));
+jest.mock('../telegram/botAlerts', () => ({ sendBotAlert: jest.fn() }));
+jest.mock('../telegram/alerts', () => ({ sendAlert: jest.fn() }));
+jest.mock('../services/feEvents', () => ({ emit: jest.fn() }));
+jest.mock('../utils/tokenAccounts', () => ({ getMintDecimals: jest.fn(async () => 6) }));
+jest.mock('../services/notifications', () => ({ sendNotification: jest.fn() }));
+
+const prisma = require('../prisma/prisma');
+const { runDcaTranche } = require('../services/dcaExecutor');
+
+const order = (extra = {}) => ({
+  id: 'dca-1',
+  side: 'buy',
+  mode: 'fixed',
+  amount: 100,
+  numBuys: 4,
+  amountPerBuy: 25,
+  freqHours: 4,
+  completedBuys: 0,
+  skippedCount: 0,
+  spent: 0,
+  filledQty: 0,
+  stopAbove: 2,
+  createdAt: new Date('2024-01-01T00:00:00Z'),
+  ...extra,
+});
+
+describe('runDcaTranche scheduling', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('a stop-band skip leaves the round due and is recorded once', async () => {
+    const a = await runDcaTranche(null, order(), { price: 2.5 });
+    const b = await runDcaTranche(null, order(), { price: 2.6 });
+    expect(a).toMatchObject({ action: 'skip', consumesRound: false });
+    expect(a.nextBuyAt).toBeUndefined();
+    expect(b.action).toBe('skip');
+    expect(prisma.dcaOrder.updateMany).not.toHaveBeenCalled();
+    expect(prisma.dcaTranche.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('a consuming skip advances the schedule', async () => {
+    // value averaging: 20 tokens at $3 already exceed the round-2 target
+    const o = order({ id: 'dca-2', mode: 'value_avg', stopAbove: null, completedBuys: 1, spent: 25, filledQty: 20 });
+    const res = await runDcaTranche(null, o, { price: 3 });
+    expect(res).toMatchObject({ action: 'skip', consumesRound: true });
+    expect(res.nextBuyAt).toBeInstanceOf(Date);
+    const { data } = prisma.dcaOrder.updateMany.mock.calls[0][0];
+    expect(data).toMatchObject({ nextBuyAt: res.nextBuyAt, skippedCount: { increment: 1 } });
+    expect(data.lastBuyAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  planTranche,
+  isFinished,
+  realizedVol,
+  nextIntervalHours,
+  isDue,
+} = require('../services/dcaPlanner');
+
+const base = (extra = {}) => ({
+  side: 'buy',
+  mode: 'fixed',
+  amount: 100,
+  numBuys: 4,
+  amountPerBuy: 25,
+  freqHours: 4,
+  completedBuys: 0,
+  skippedCount: 0,
+  spent: 0,
+  filledQty: 0,
+  createdAt: new Date('2024-01-01T00:00:00Z'),
+  ...extra,
+});
+
+describe('DCA planner', () => {
+  test('fixed mode buys amountPerBuy and honours the price band', () => {
+    expect(planTranche(base(), { price: 1 })).toEqual({ action: 'execute', amount: 25 });
+    const band = base({ stopAbove: 2, stopBelow: 0.5 });
+    expect(planTranche(band, { price: 2.5 })).toMatchObject({ action: 'skip', consumesRound: false });
+    expect(planTranche(band, { price: 0.4 })).toMatchObject({ action: 'skip', consumesRound: false });
+    expect(planTranche(base(), { price: null })).toMatchObject({ action: 'skip', reason: 'no price' });
+  });
+
+  test('value averaging tops up to the target and skips when ahead', () => {
+    // round 2 target = 50; 20 tokens at $1.5 = 30 → buy 20
+    const o = base({ mode: 'value_avg', completedBuys: 1, spent: 25, filledQty: 20 });
+    expect(planTranche(o, { price: 1.5 })).toEqual({ action: 'execute', amount: 20 });
+    // at $3 the position is worth 60 > 50 → nothing to buy, round consumed
+    expect(planTranche(o, { price: 3 })).toMatchObject({ action: 'skip', consumesRound: true });
+    // deep drawdown is capped at maxTrancheMult × base
+    expect(planTranche({ ...o, maxTrancheMult: 1.5 }, { price: 0.1 }).amount).toBe(37.5);
+    // SOL orders value the position in SOL
+    expect(planTranche(o, { price: 150, unitPrice: 1.5 }).amount).toBe(20);
+  });
+
+  test('dip mode scales with drawdown and sells scale with run-up', () => {
+    const o = base({ mode: 'dip', startPrice: 1 });
+    expect(planTranche(o, { price: 1.2 }).amount).toBe(25);
+    expect(planTranche(o, { price: 0.8 }).amount).toBe(50); // 20 % × 5 → 2×
+    expect(planTranche(o, { price: 0.2 }).amount).toBe(75); // capped at 3×
+    const sell = base({ mode: 'dip', side: 'sell', startPrice: 1 });
+    expect(planTranche(sell, { price: 1.1 }).amount).toBe(37.5);
+    expect(planTranche(sell, { price: 0.8 }).amount).toBe(25);
+  });
+
+  test('budget caps tranches, the last round sweeps and the order finishes', () => {
+    const o = base({ mode: 'dip', startPrice: 1, completedBuys: 2, spent: 90 });
+    expect(planTranche(o, { price: 0.5 }).amount).toBe(10);
+    const last = base({ completedBuys: 3, spent: 60 });
+    expect(planTranche(last, { price: 1 }).amount).toBe(40);
+    expect(isFinished(base({ completedBuys: 4, spent: 100 }))).toBe(true);
+    expect(isFinished(base({ completedBuys: 2, skippedCount: 2, spent: 50 }))).toBe(true);
+    expect(planTranche(base({ spent: 100 }), { price: 1 }).action).toBe('done');
+    // legacy rows without `spent` infer it from completedBuys
+    expect(planTranche(base({ completedBuys: 3, spent: 0 }), { price: 1 }).amount).toBe(25);
+  });
+
+  test('volatility paces the interval within bounds', () => {
+    const closes = [1, 1.02, 0.99, 1.03, 1.0, 1.04];
+    const vol = realizedVol(closes.map((close) => ({ close })));
+    expect(vol).toBeGreaterThan(2);
+    expect(realizedVol([{ close: 1 }])).toBeNull();
+
+    const o = base({ mode: 'vol', volRef: 2 });
+    expect(nextIntervalHours(o, 4)).toBe(2);
+    expect(nextIntervalHours(o, 1)).toBe(8);
+    expect(nextIntervalHours(o, 100)).toBe(1); // 0.25× floor
+    expect(nextIntervalHours(base(), 4)).toBe(4);
+  });
+
+  test('isDue prefers nextBuyAt over the fixed frequency', () => {
+    const t0 = +new Date('2024-01-01T00:00:00Z');
+    expect(isDue(base(), t0 + 3 * 3.6e6)).toBe(false);
+    expect(isDue(base(), t0 + 4 * 3.6e6)).toBe(true);
+    const paced = base({ nextBuyAt: new Date(t0 + 3.6e6) });
+    expect(isDue(paced, t0 + 2 * 3.6e6)).toBe(true);
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('axios', () => ({ post: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const axios = require('axios');
+const discord = require('../services/notifications/providers/discord');
+
+const hook = (n) => `https://discord.com/api/webhooks/${n}/tok_${n}`;
+const ok = (headers = {}) => ({ status: 204, headers, data: '' });
+
+beforeEach(() => axios.post.mockReset());
+
+describe('channel mapping', () => {
+  const meta = {
+    webhookUrl: hook(1),
+    channels: { alerts: hook(2), TRADE_CLOSED: hook(3) },
+  };
+
+  test('event key beats category beats default', () => {
+    expect(discord.resolveWebhookUrl(meta, 'TRADE_CLOSED')).toBe(hook(3));
+    expect(discord.resolveWebhookUrl(meta, 'TPSL_TRIGGERED')).toBe(hook(1));
+    expect(discord.resolveWebhookUrl(meta, 'RISK_KILL')).toBe(hook(2));
+    expect(discord.resolveWebhookUrl({}, 'RISK_KILL')).toBeNull();
+  });
+
+  test('non-Discord URLs are never used', () => {
+    expect(discord.isDiscordWebhookUrl('https://evil.example.com/api/webhooks/1/x')).toBe(false);
+    expect(discord.isDiscordWebhookUrl('http://discord.com/api/webhooks/1/x')).toBe(false);
+    expect(discord.isDiscordWebhookUrl('https://ptb.discord.com/api/v10/webhooks/1/x-y')).toBe(true);
+    expect(discord.resolveWebhookUrl({ webhookUrl: 'https://evil.example.com/' }, 'RISK_KILL')).toBeNull();
+  });
+});
+
+describe('embeds', () => {
+  test('trade events render formatted fields, colour and event id', async () => {
+    axios.post.mockResolvedValue(ok());
+    const envelope = {
+      id: 'evt-1',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      data: { mint: 'So11111111111111111111111111111111111111112', side: 'buy', strategy: 'sniper', usdValue: 25, txHash: 'abc', simulated: false },
+    };
+    await discord.send('u1', 'TRADE_OPENED', { ...envelope.data, message: 'sniper bought' }, { webhookUrl: hook(1) }, envelope);
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe(hook(1));
+    const [embed] = body.embeds;
+    expect(embed).toMatchObject({ title: '🟢 Trade opened', description: 'sniper bought', color: 0x10b981, timestamp: envelope.createdAt });
+    expect(embed.footer.text).toContain('evt-1');
+    expect(embed.fields).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'Value', value: '$25.00' }),
+      expect.objectContaining({ name: 'Transaction', value: '[Solscan](https://solscan.io/tx/abc)' }),
+    ]));
+    expect(embed.fields.find((f) => f.name === 'Token').value).toContain('So11…1112');
+    expect(body.allowed_mentions).toEqual({ parse: [] });
+    expect(body.content).toBeUndefined();
+  });
+
+  test('alerts are red and ping the configured role only', async () => {
+    axios.post.mockResolvedValue(ok());
+    const meta = { webhookUrl: hook(1), mentionRoleId: '123456789' };
+    await discord.send('u1', 'RISK_KILL', { reason: 'daily loss', message: 'Trading disabled' }, meta);
+    await discord.send('u1', 'TRADE_OPENED', { mint: 'M', side: 'buy', strategy: 's' }, meta);
+
+    const [alert, trade] = axios.post.mock.calls.map((c) => c[1]);
+    expect(alert.embeds[0].color).toBe(0xef4444);
+    expect(alert.content).toBe('<@&123456789>');
+    expect(alert.allowed_mentions).toEqual({ parse: [], roles: ['123456789'] });
+    expect(trade.content).toBeUndefined();
+  });
+
+  test('pnl colour follows the sign of the change', () => {
+    expect(discord.buildEmbed('TPSL_TRIGGERED', { changePct: 12.5 }).color).toBe(0x10b981);
+    expect(discord.buildEmbed('TPSL_TRIGGERED', { changePct: -8 }).color).toBe(0xef4444);
+    expect(discord.buildEmbed('TPSL_TRIGGERED', { changePct: -8 }).fields[0]).toMatchObject({ name: 'Change', value: '-8.00%' });
+  });
+});
+
+describe('rate limits', () => {
+  test('429 waits retry_after and retries', async () => {
+    axios.post
+      .mockResolvedValueOnce({ status: 429, headers: {}, data: { retry_after: 0.05, global: false } })
+      .mockResolvedValueOnce(ok());
+    const t0 = Date.now();
+    await discord.send('u1', 'RISK_KILL', { reason: 'x' }, { webhookUrl: hook(10) });
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(Date.now() - t0).toBeGreaterThanOrEqual(45);
+  });
+
+  test('an exhausted bucket pauses the next request until reset', async () => {
+    const times = [];
+    axios.post.mockImplementation(async () => { times.push(Date.now()); return ok(); });
+    axios.post.mockImplementationOnce(async () => {
+      times.push(Date.now());
+      return ok({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset-after': '0.08' });
+    });
+
+    await Promise.all([
+      discord.send('u1', 'RISK_KILL', { reason: 'a' }, { webhookUrl: hook(11) }),
+      discord.send('u1', 'RISK_KILL', { reason: 'b' }, { webhookUrl: hook(11) }),
+    ]);
+    expect(times).toHaveLength(2);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(70);
+  });
+
+  test('gives up after repeated 429s and rejects 4xx', async () => {
+    axios.post.mockResolvedValue({ status: 429, headers: {}, data: { retry_after: 0.01 } });
+    await expect(discord.send('u1', 'RISK_KILL', { reason: 'x' }, { webhookUrl: hook(12) }))
+      .rejects.toThrow('rate limit retries exhausted');
+    expect(axios.post).toHaveBeenCalledTimes(3);
+
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ status: 404, headers: {}, data: { message: 'Unknown Webhook' } });
+    await expect(discord.sendTest(hook(13))).rejects.toMatchObject({ status: 404 });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+});
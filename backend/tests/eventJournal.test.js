@@ -0,0 +1,107 @@
+// Mock prisma storage
+jest.mock('../prisma/prisma', () => {
+  const rows = [];
+  const matchTopic = (where, r) => {
+    if (where.topic && typeof where.topic === 'string') return r.topic === where.topic;
+    if (!where.OR) return true;
+    return where.OR.some((c) =>
+      c.topic.in ? c.topic.in.includes(r.topic) : r.topic.startsWith(c.topic.startsWith));
+  };
+  return {
+    __rows: rows,
+    eventJournal: {
+      aggregate: jest.fn(async () => ({ _max: { seq: rows.reduce((m, r) => Math.max(m, r.seq), 0) || null } })),
+      createMany: jest.fn(async ({ data }) => { rows.push(...data); return { count: data.length }; }),
+      findMany: jest.fn(async ({ where, orderBy, take }) => {
+        let out = rows.filter((r) =>
+          r.userId === where.userId &&
+          (!where.botId || r.botId === where.botId) &&
+          (!where.seq?.gt || r.seq > where.seq.gt) &&
+          (!where.seq?.lt || r.seq < where.seq.lt) &&
+          matchTopic(where, r));
+        out = out.sort((a, b) => (orderBy.seq === 'asc' ? a.seq - b.seq : b.seq - a.seq));
+        return out.slice(0, take);
+      }),
+      deleteMany: jest.fn(async ({ where }) => {
+        const keep = rows.filter((r) => r.createdAt >= where.createdAt.lt);
+        const count = rows.length - keep.length;
+        rows.splice(0, rows.length, ...keep);
+        return { count };
+      }),
+    },
+  };
+});
+
+const prisma = require('../prisma/prisma');
+const journal = require('../services/eventJournal');
+
+const log = (userId, botId, line) =>
+  journal.record({ userId, botId, topic: `logs:${botId}`, payload: { botId, line } });
+
+describe('eventJournal', () => {
+  beforeEach(() => {
+    journal._reset();
+    prisma.__rows.length = 0;
+  });
+
+  test('numbers entries after the persisted head, including ones recorded during init', async () => {
+    prisma.__rows.push({ seq: 41, userId: 'u1', botId: null, topic: 'orders', payload: {}, createdAt: new Date() });
+    expect(log('u1', 'b1', 'early')).toBeNull();
+    await journal.init();
+    expect(log('u1', 'b1', 'next')).toBe(43);
+    expect(journal.head()).toBe(43);
+
+    await journal.flush();
+    expect(prisma.__rows.map((r) => r.seq)).toEqual([41, 42, 43]);
+  });
+
+  test('since() replays only the user\'s subscribed topics, in order', async () => {
+    await journal.init();
+    log('u1', 'b1', 'a');                                                  // 1
+    log('u2', 'b2', 'other user');                                         // 2
+    journal.record({ userId: 'u1', topic: 'orders', payload: { type: 'order_executed' } }); // 3
+    log('u1', 'b3', 'b');                                                  // 4
+
+    const all = await journal.since('u1', 0, { topics: ['logs:*', 'orders'] });
+    expect(all.entries.map((e) => e.seq)).toEqual([1, 3, 4]);
+    const one = await journal.since('u1', 1, { topics: ['logs:b3'] });
+    expect(one.entries.map((e) => e.payload.line)).toEqual(['b']);
+    expect(prisma.eventJournal.findMany).not.toHaveBeenCalled(); // served from the ring
+  });
+
+  test('cursors older than the ring fall back to the database with paging', async () => {
+    await journal.init();
+    for (let i = 0; i < 5; i++) log('u1', 'b1', `l${i}`);
+    await journal.flush();
+    journal._reset();           // simulate a restart: ring empty, rows persisted
+    await journal.init();
+    log('u1', 'b1', 'after restart');
+
+    const r = await journal.since('u1', 0, { topics: ['logs:b1'], limit: 4 });
+    expect(r.entries.map((e) => e.seq)).toEqual([1, 2, 3, 4]);
+    expect(r.truncated).toBe(true);
+    const rest = await journal.since('u1', 4, { topics: ['logs:b1'] });
+    expect(rest.entries.map((e) => e.payload.line)).toEqual(['l4', 'after restart']);
+  });
+
+  test('pageBotLog pages a bot\'s history newest first', async () => {
+    await journal.init();
+    for (let i = 1; i <= 5; i++) log('u1', 'b1', `l${i}`);
+    log('u2', 'b1', 'not mine');
+
+    const p1 = await journal.pageBotLog('u1', 'b1', { limit: 2 });
+    expect(p1.items.map((e) => e.payload.line)).toEqual(['l5', 'l4']);
+    const p2 = await journal.pageBotLog('u1', 'b1', { before: p1.nextBefore, limit: 3 });
+    expect(p2.items.map((e) => e.payload.line)).toEqual(['l3', 'l2', 'l1']);
+    expect(p2.nextBefore).toBeNull();
+  });
+
+  test('prune removes rows older than the retention window', async () => {
+    prisma.__rows.push(
+      { seq: 1, userId: 'u1', topic: 'orders', payload: {}, createdAt: new Date(Date.now() - 10 * 86_400_000) },
+      { seq: 2, userId: 'u1', topic: 'orders', payload: {}, createdAt: new Date() },
+    );
+    expect(await journal.prune(7)).toBe(1);
+    expect(prisma.__rows.map((r) => r.seq)).toEqual([2]);
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('@prisma/client', () => ({ Prisma: {} }), { virtual: true });
+jest.mock('../prisma/prisma', () => {
+  const trades = [];
+  const trade = {
+    findMany: jest.fn(async ({ where }) => trades.filter((r) => r.mint === where.mint && r.strategy === where.strategy)),
+    findUnique: jest.fn(async ({ where }) => trades.find((r) => r.id === where.id)),
+    update: jest.fn(async ({ where, data }) => {
+      const row = trades.find((r) => r.id === where.id);
+      // enough of Prisma's { increment } / { decrement } for the reducer
+      const num = (cur, n) => (typeof cur === 'bigint' ? BigInt(n) : n);
+      for (const [k, v] of Object.entries(data)) {
+        if (v?.increment !== undefined) row[k] += num(row[k], v.increment);
+        else if (v?.decrement !== undefined) row[k] -= num(row[k], v.decrement);
+        else row[k] = v;
+      }
+      return row;
+    }),
+  };
+  const tx = { trade, closedTrade: { create: jest.fn(async ({ data }) => data) } };
+  return {
+    __trades: trades,
+    trade,
+    closedTrade: tx.closedTrade,
+    tpSlRule: { findMany: jest.fn(async () => []), update: jest.fn(), deleteMany: jest.fn(async () => ({})) },
+    $transaction: jest.fn(async (fn) => fn(tx)),
+  };
+});
+jest.mock('../services/strategies/core/TpSlManager', () => ({ isExitPlan: () => false }));
+jest.mock('../services/notifications', () => ({ sendNotification: jest.fn() }));
+jest.mock('../services/riskAuthority', () => ({ recordExit: jest.fn(async () => {}) }));
+
+const prisma = require('../prisma/prisma');
+const riskAuthority = require('../services/riskAuthority');
+const { closePositionFIFO } = require('../services/utils/analytics/fifoReducer');
+
+const row = (id, outAmount, extras = {}) => ({
+  id, mint: 'M', strategy: 'Grid Trader', walletId: 7, botId: 'grid-1',
+  inAmount: 100n, outAmount: BigInt(outAmount), closedOutAmount: 0n,
+  entryPriceUSD: 1, decimals: 6, unit: 'sol', extras,
+});
+
+describe('closePositionFIFO', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.__trades.length = 0;
+    prisma.__trades.push(
+      row('paper', 1_000_000, { isPaper: true, simulated: true }),
+      row('live', 1_000_000),
+    );
+  });
+
+  const close = (opts) => closePositionFIFO({
+    userId: 'u1', walletId: 7, mint: 'M', strategy: 'Grid Trader', triggerType: 'grid',
+    removedAmount: 400_000, exitPrice: 0.01, exitPriceUSD: 2, txHash: 'tx', decimals: 6, ...opts,
+  });
+
+  test('a live sell never closes the older paper rows', async () => {
+    await close({ simulated: false });
+    expect(prisma.__trades.map((r) => r.outAmount)).toEqual([1_000_000n, 600_000n]);
+    expect(riskAuthority.recordExit).toHaveBeenCalledWith(expect.objectContaining({ costUsd: 0.4 }));
+  });
+
+  test('a simulated sell closes paper rows only and leaves TP/SL rules alone', async () => {
+    await close({ simulated: true, txHash: null });
+    expect(prisma.__trades.map((r) => r.outAmount)).toEqual([600_000n, 1_000_000n]);
+    expect(riskAuthority.recordExit).not.toHaveBeenCalled();
+    expect(prisma.tpSlRule.findMany).not.toHaveBeenCalled();
+
+    prisma.__trades[0].extras = {};                  // no paper rows left
+    await expect(close({ simulated: true, txHash: null })).rejects.toThrow('No matching open trades.');
+  });
+
+  test('without the flag both books are eligible, oldest first', async () => {
+    await close({ removedAmount: 1_200_000 });
+    expect(prisma.__trades.map((r) => r.outAmount)).toEqual([0n, 800_000n]);
+  });
+});
@@ -0,0 +1,210 @@
+const MINT = 'Mint1111111111111111111111111111111111111111';
+const SOL = 'So11111111111111111111111111111111111111112';
+
+const harness = require('./helpers/strategyHarness');
+
+const grid = require('../services/strategies/core/gridLevels');
+const { liveBuy, simulateBuy } = require('../services/strategies/core/tradeExecutor');
+const { executeSwap } = require('../utils/swap');
+const { closePositionFIFO } = require('../services/utils/analytics/fifoReducer');
+const { emitBotEvent } = require('../services/pipelines/botEvents');
+const { getSafeQuote } = require('../services/strategies/core/quoteHelper');
+const gridTrader = require('../services/strategies/gridTrader');
+
+describe('grid levels', () => {
+  test('arithmetic and geometric spacing', () => {
+    expect(grid.buildGrid({ lowerPrice: 1, upperPrice: 2, levels: 5 })).toEqual([1, 1.25, 1.5, 1.75, 2]);
+    const geo = grid.buildGrid({ lowerPrice: 1, upperPrice: 16, levels: 5, spacing: 'geometric' });
+    [1, 2, 4, 8, 16].forEach((p, i) => expect(geo[i]).toBeCloseTo(p, 10));
+    expect(() => grid.buildGrid({ lowerPrice: 2, upperPrice: 1, levels: 5 })).toThrow();
+    expect(() => grid.buildGrid({ lowerPrice: 1, upperPrice: 2, levels: 1 })).toThrow();
+  });
+
+  test('buys on a downward cross only, sells one level up', () => {
+    const st = grid.createGridState(grid.buildGrid({ lowerPrice: 1, upperPrice: 2, levels: 3 }));
+    expect(st.slots.map((s) => [s.buyPrice, s.sellPrice])).toEqual([[1, 1.5], [1.5, 2]]);
+
+    // first observation never trades, even below a level
+    expect(grid.planGridActions(st, 1.2)).toEqual({ buys: [], sells: [], stopOut: null });
+    grid.markPrice(st, 1.2);
+    // moving up through 1.5 isn't a buy
+    expect(grid.planGridActions(st, 1.6).buys).toEqual([]);
+    grid.markPrice(st, 1.6);
+
+    // a gap down through both levels buys both slots
+    expect(grid.planGridActions(st, 0.99, { stopOutPct: 5 }).buys).toEqual([0, 1]);
+    grid.applyBuy(st, [0, 1], { qty: 1001, costSol: 0.2 });
+    grid.markPrice(st, 0.99);
+    expect(st.slots.map((s) => s.qty)).toEqual([501, 500]);
+    expect(grid.inventoryOf(st)).toBe(1001);
+
+    expect(grid.planGridActions(st, 1.55).sells).toEqual([0]);
+    const pnl = grid.applySell(st, [0], { proceedsSol: 0.15 });
+    expect(pnl).toBeCloseTo(0.05, 10);
+    expect(grid.holdingSlots(st)).toEqual([1]);
+  });
+
+  test('a failed buy stays pending while price is under the level', () => {
+    const st = grid.createGridState([1, 2, 3]);
+    grid.markPrice(st, 2.5);
+    expect(grid.planGridActions(st, 1.9).buys).toEqual([1]);
+    grid.markPending(st, [1]);
+    grid.markPrice(st, 1.9);
+    expect(grid.planGridActions(st, 1.8).buys).toEqual([1]);
+    grid.markPrice(st, 2.1);
+    expect(st.slots[1].pending).toBe(false);
+    expect(grid.planGridActions(st, 2.05).buys).toEqual([]);
+  });
+
+  test('stop-out honours the buffer', () => {
+    const st = grid.createGridState([1, 2]);
+    expect(grid.planGridActions(st, 0.95, { stopOutPct: 10 }).stopOut).toBeNull();
+    expect(grid.planGridActions(st, 0.85, { stopOutPct: 10 }).stopOut).toBe('below');
+    expect(grid.planGridActions(st, 2.01).stopOut).toBe('above');
+  });
+});
+
+describe('gridTrader in paper mode', () => {
+  const cfg = {
+    botId: 'grid-1', userId: 'u1', walletId: 7, tokenMint: MINT,
+    lowerPrice: 1, upperPrice: 2, gridLevels: 3, amountToSpend: 0.1, stopOutPct: 10,
+    paperMode: true, execModel: 'amm_depth', seed: 'grid', slippageBpsCap: 100,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    harness.tick = null;
+    harness.tracker.runningProcesses['grid-1'] = {};
+  });
+
+  test('trades crossings through the adapter and liquidates on stop-out', async () => {
+    await gridTrader({ ...cfg });
+    await harness.at(1.8);                           // arms the grid
+    expect(simulateBuy).not.toHaveBeenCalled();
+
+    await harness.at(1.4);                           // crosses 1.5 → buy slot 1
+    expect(simulateBuy).toHaveBeenCalledTimes(1);
+    const buy = simulateBuy.mock.calls[0][0];
+    expect(buy.mint).toBe(MINT);
+    expect(buy.quote.inAmount).toBe(String(1e8));
+    // adapter slippage trims the fill
+    expect(Number(buy.quote.outAmount)).toBeLessThan(Math.floor(0.1 * 100 / 1.4 * 1e6));
+    expect(buy.meta).toMatchObject({ strategy: 'Grid Trader', walletId: 7, userId: 'u1' });
+
+    await harness.at(0.95);                          // crosses 1.0 → buy slot 0
+    await harness.at(1.6);                           // slot 0 sells at 1.5
+    // a sell is never booked as a buy; a simulated one closes the paper rows only
+    expect(simulateBuy).toHaveBeenCalledTimes(2);
+    expect(simulateBuy.mock.calls.every(([o]) => o.mint === MINT)).toBe(true);
+    expect(getSafeQuote).toHaveBeenLastCalledWith(expect.objectContaining({ inputMint: MINT, outputMint: SOL }));
+    expect(emitBotEvent).toHaveBeenLastCalledWith('signal', expect.objectContaining({
+      data: expect.objectContaining({ event: 'sell', levels: [0], simulated: true }),
+    }));
+    expect(executeSwap).not.toHaveBeenCalled();
+    expect(closePositionFIFO).toHaveBeenCalledTimes(1);
+    expect(closePositionFIFO).toHaveBeenCalledWith(expect.objectContaining({
+      strategy: 'Grid Trader', txHash: null, simulated: true,
+    }));
+
+    await harness.at(0.8);                           // below 1 × (1 − 10 %) → stop-out
+    expect(simulateBuy).toHaveBeenCalledTimes(2);
+    expect(harness.tracker.runningProcesses['grid-1'].finished).toBe(true);
+    expect(emitBotEvent).toHaveBeenLastCalledWith('signal', expect.objectContaining({
+      signal: 'grid', mode: 'gridTrader',
+      data: expect.objectContaining({ event: 'stopOut', side: 'below', holding: 0 }),
+    }));
+  });
+
+  test('a simulated failure leaves the level pending for the next tick', async () => {
+    await gridTrader({ ...cfg, failureRates: { slippageExceeded: 1 }, haltOnFailures: 5 });
+    await harness.at(1.8);
+    await harness.at(1.4);
+    await harness.at(1.45);                          // no new cross, still retried
+    expect(getSafeQuote).toHaveBeenCalledTimes(2);
+    expect(simulateBuy).not.toHaveBeenCalled();
+    expect(emitBotEvent).not.toHaveBeenCalled();
+  });
+
+  test('stopOutAction "hold" keeps the inventory', async () => {
+    await gridTrader({ ...cfg, paperMode: false, dryRun: true, stopOutAction: 'hold' });
+    await harness.at(1.8);
+    await harness.at(1.4);
+    await harness.at(2.5);                           // above 2 × 1.1
+    expect(simulateBuy).toHaveBeenCalledTimes(1);
+    expect(emitBotEvent).toHaveBeenLastCalledWith('signal', expect.objectContaining({
+      data: expect.objectContaining({ event: 'stopOut', side: 'above', liquidated: false, holding: 1 }),
+    }));
+  });
+});
+
+describe('gridTrader live', () => {
+  const cfg = {
+    botId: 'grid-2', userId: 'u1', walletId: 7, tokenMint: MINT,
+    lowerPrice: 1, upperPrice: 2, gridLevels: 3, amountToSpend: 0.1,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    harness.balance = 0n;
+    harness.tracker.runningProcesses['grid-2'] = {};
+  });
+
+  // the swap delivers less than the 71 428 571 tokens quoted at 1.4
+  const buyDelivering = (received, tx) => liveBuy.mockImplementationOnce(async () => {
+    harness.balance += received;
+    return tx;
+  });
+
+  test('sells the received tokens back to SOL and close the live buy rows FIFO', async () => {
+    buyDelivering(70_000_000n, 'tx-buy');
+    executeSwap.mockResolvedValueOnce('tx-sell');
+    await gridTrader({ ...cfg });
+    await harness.at(1.8);
+    await harness.at(1.4);                           // buy slot 1
+    expect(liveBuy).toHaveBeenCalledTimes(1);
+
+    await harness.at(2);                             // slot 1 sells at 2
+    expect(liveBuy).toHaveBeenCalledTimes(1);
+    const [{ quote }] = executeSwap.mock.calls[0];
+    expect(quote).toMatchObject({ inputMint: MINT, outputMint: SOL, inAmount: '70000000' });
+    expect(closePositionFIFO).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'u1', walletId: 7, mint: MINT, strategy: 'Grid Trader', txHash: 'tx-sell',
+      removedAmount: 70_000_000, decimals: 6, simulated: false,
+    }));
+    const { exitPrice, exitPriceUSD } = closePositionFIFO.mock.calls[0][0];
+    expect(exitPrice).toBeCloseTo(2 / 100, 6);       // SOL per token
+    expect(exitPriceUSD).toBeCloseTo(2, 4);
+  });
+
+  test('an unsent sell keeps the inventory for the next tick', async () => {
+    buyDelivering(70_000_000n, 'tx-buy-2');
+    executeSwap.mockResolvedValueOnce(null).mockResolvedValueOnce('tx-sell-2');
+    await gridTrader({ ...cfg, haltOnFailures: 5 });
+    await harness.at(1.8);
+    await harness.at(1.4);
+    await harness.at(2);
+    expect(closePositionFIFO).not.toHaveBeenCalled();
+    await harness.at(2);
+    expect(executeSwap).toHaveBeenCalledTimes(2);
+    expect(closePositionFIFO).toHaveBeenCalledWith(expect.objectContaining({ txHash: 'tx-sell-2' }));
+  });
+
+  test('sells are capped at the wallet balance; an empty wallet releases the levels', async () => {
+    buyDelivering(70_000_000n, 'tx-buy-3');
+    buyDelivering(140_000_000n, 'tx-buy-4');
+    executeSwap.mockResolvedValueOnce('tx-sell-3');
+    await gridTrader({ ...cfg, stopOutPct: 10 });
+    await harness.at(1.8);
+    await harness.at(1.4);                           // buy slot 1
+    await harness.at(0.95);                          // buy slot 0
+    harness.balance = 50_000_000n;                   // tokens moved out of the wallet
+    await harness.at(1.6);                           // slot 0 sells at 1.5
+    expect(executeSwap.mock.calls[0][0].quote.inAmount).toBe('50000000');
+
+    harness.balance = 0n;
+    await harness.at(2);                             // slot 1: nothing left to sell
+    expect(executeSwap).toHaveBeenCalledTimes(1);
+    await harness.at(1.4);                           // slot 1 is free to buy again
+    expect(liveBuy).toHaveBeenCalledTimes(3);
+  });
+});
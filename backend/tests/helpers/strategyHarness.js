@@ -0,0 +1,74 @@
+/**
+ * Shared mocks for the tick-driven strategy suites (gridTrader,
+ * meanReversion). Require it before the strategy under test: every
+ * collaborator that would reach the network, the DB or a timer is
+ * replaced, and the loop driver hands the tick function back so a test
+ * can step the bot one price at a time.
+ *
+ *   const harness = require('./helpers/strategyHarness');
+ *   await harness.at(1.4);   // set the price, run one tick
+ *
+ * Quotes price SOL at $100 and the token with 6 decimals. `balance` is
+ * the wallet's raw token balance as seen by getTokenBalanceRaw.
+ */
+const mockHarness = {
+  SOL_MINT: 'So11111111111111111111111111111111111111112',
+  price: 1,
+  balance: 0n,
+  tick: null,
+  tracker: { lastTickTimestamps: {}, runningProcesses: {} },
+  async at(price) {
+    mockHarness.price = price;
+    await mockHarness.tick();
+  },
+};
+
+jest.mock('../../services/strategies/logging/strategyLogger', () => ({ strategyLog: () => jest.fn() }));
+jest.mock('../../services/strategies/core/alerts', () => ({
+  createSummary: () => ({ inc: jest.fn(), printAndAlert: jest.fn(async () => {}) }),
+}));
+jest.mock('../../services/strategies/core/walletManager', () => ({
+  initWalletFromDb: jest.fn(async () => {}),
+  ensureMinBalance: jest.fn(async () => true),
+  current: jest.fn(() => ({ publicKey: 'wallet' })),
+}));
+jest.mock('../../services/strategies/core/quoteHelper', () => ({
+  getSafeQuote: jest.fn(async ({ inputMint, outputMint, amount }) => ({
+    ok: true,
+    quote: {
+      inputMint,
+      outputMint,
+      inAmount: String(amount),
+      outAmount: String(Math.floor(
+        inputMint === mockHarness.SOL_MINT
+          ? (amount / 1e9) * 100 / mockHarness.price * 1e6
+          : (amount / 1e6) * mockHarness.price / 100 * 1e9,
+      )),
+      priceImpactPct: 0,
+    },
+  })),
+}));
+jest.mock('../../services/strategies/core/tradeExecutor', () => ({
+  liveBuy: jest.fn(),
+  simulateBuy: jest.fn(async () => null),
+}));
+jest.mock('../../utils/swap', () => ({ executeSwap: jest.fn() }));
+jest.mock('../../utils/tokenAccounts', () => ({ getMintDecimals: jest.fn(async () => 6) }));
+jest.mock('../../utils/marketData', () => ({ getTokenBalanceRaw: jest.fn(async () => mockHarness.balance) }));
+jest.mock('../../services/utils/analytics/fifoReducer', () => ({
+  closePositionFIFO: jest.fn(async () => ({})),
+  isSimulatedRow: (r) => !!(r.extras && (r.extras.isPaper === true || r.extras.simulated === true)),
+}));
+jest.mock('../../services/strategies/core/loopDriver', () => jest.fn((tick) => { mockHarness.tick = tick; return null; }));
+jest.mock('../../services/strategies/core/txTracker', () => ({ initTxWatcher: jest.fn() }));
+jest.mock('../../services/pipelines/botEvents', () => ({ emitBotEvent: jest.fn() }));
+jest.mock('../../services/utils/strategy_utils/activeStrategyTracker', () => mockHarness.tracker);
+jest.mock('../../services/utils', () => ({ getWalletBalance: jest.fn(), isAboveMinBalance: jest.fn() }));
+jest.mock('../../services/strategies/paid_api/getTokenPrice', () => {
+  const fn = jest.fn(async () => mockHarness.price);
+  fn.SOL_MINT = mockHarness.SOL_MINT;
+  fn.getSolPrice = jest.fn(async () => 100);
+  return fn;
+});
+
+module.exports = mockHarness;
@@ -0,0 +1,150 @@
+// Mock @solana/web3.js: the detector only needs PublicKey round-trips,
+// every RPC call goes through the connection passed in the context.
+jest.mock('@solana/web3.js', () => ({
+  Connection: jest.fn(),
+  PublicKey: class {
+    constructor(k) { this.k = String(k); }
+    toBase58() { return this.k; }
+    toString() { return this.k; }
+  },
+}), { virtual: true });
+
+const {
+  insiderDetector,
+  extractBuys,
+  fundingSources,
+  scoreCluster,
+  _clearCache,
+} = require('../services/strategies/core/heuristics/insiderDetector');
+
+// Valid base58 keys so PublicKey() accepts them.
+const MINT = 'So11111111111111111111111111111111111111112';
+const DEV = 'DEV1111111111111111111111111111111111111111';
+const FUNDER = 'FUND111111111111111111111111111111111111111';
+const w = (i) => `Buyer${i}`.padEnd(43, '1');
+
+const bal = (owner, ui) => ({ mint: MINT, owner, uiTokenAmount: { uiAmount: ui } });
+
+function buyTx(wallet, amount, slot, blockTime = 1_700_000_000) {
+  return {
+    slot,
+    blockTime,
+    meta: { err: null, preTokenBalances: [], postTokenBalances: [bal(wallet, amount)] },
+    transaction: { signatures: [`sig-${wallet}-${slot}`], message: { accountKeys: [{ pubkey: wallet }], instructions: [] } },
+  };
+}
+
+function fundTx(source, destination, blockTime = 1_699_990_000) {
+  return {
+    slot: 1,
+    blockTime,
+    meta: { err: null },
+    transaction: {
+      signatures: [`fund-${source}-${destination}`],
+      message: {
+        accountKeys: [{ pubkey: source }],
+        instructions: [{ program: 'system', parsed: { type: 'transfer', info: { source, destination, lamports: 1e9 } } }],
+      },
+    },
+  };
+}
+
+describe('insiderDetector', () => {
+  beforeEach(() => _clearCache());
+
+  test('extracts early buyers by fee payer, skipping the deployer and failures', () => {
+    const failed = { ...buyTx(w(3), 5, 12), meta: { err: 'boom', preTokenBalances: [], postTokenBalances: [] } };
+    const buys = extractBuys([buyTx(DEV, 100, 10), buyTx(w(1), 5, 11), buyTx(w(1), 7, 12), failed, buyTx(w(2), 3, 12)], MINT, DEV);
+    expect(buys.map((b) => [b.wallet, b.amount, b.slot])).toEqual([[w(1), 5, 11], [w(2), 3, 12]]);
+  });
+
+  test('traces SOL funding inside the lookback window', () => {
+    const txs = [fundTx(DEV, w(1)), fundTx(FUNDER, w(1), 1_000), fundTx(w(1), FUNDER)];
+    expect(fundingSources(txs, w(1), { from: 1_699_900_000, to: 1_700_000_000 })).toEqual([{ source: DEV, lamports: 1e9 }]);
+  });
+
+  test('scores bundles, deployer funding and shared funders into one cluster', () => {
+    const buys = [
+      { wallet: w(1), amount: 100, slot: 50 },
+      { wallet: w(2), amount: 100, slot: 50 },
+      { wallet: w(3), amount: 100, slot: 50 },
+      { wallet: w(4), amount: 50, slot: 51 },
+      { wallet: w(5), amount: 50, slot: 52 },
+      { wallet: w(6), amount: 10, slot: 53 },
+    ];
+    const funders = { [DEV]: [FUNDER], [w(4)]: [DEV], [w(5)]: [FUNDER], [w(6)]: ['Exchange'] };
+    const r = scoreCluster({ deployer: DEV, buys, funders, supply: 1000 });
+    expect(r.ok).toBe(false);
+    expect(r.reason).toBe('insider-cluster');
+    expect(r.score).toBe(40);
+    expect(r.cluster.sort()).toEqual([w(1), w(2), w(3), w(4), w(5)].sort());
+    expect(r.reasons).toEqual(expect.arrayContaining([
+      'bundled-buys: 3 wallets in slot 50',
+      'deployer-funded: 1 early buyer(s)',
+      'shared-funder-with-deployer: 1 early buyer(s)',
+    ]));
+
+    const organic = scoreCluster({ deployer: DEV, buys: buys.slice(3), funders: {}, supply: 1000 });
+    expect(organic).toMatchObject({ ok: true, score: 0, cluster: [] });
+  });
+
+  test('runs against a connection, feeds reasons and caches per mint', async () => {
+    const history = [
+      buyTx(DEV, 0, 10),
+      buyTx(w(1), 80, 11), buyTx(w(2), 80, 11), buyTx(w(3), 80, 11),
+      buyTx(w(4), 10, 12),
+    ];
+    const calls = { sigs: 0 };
+    const conn = {
+      getSignaturesForAddress: async (addr) => {
+        calls.sigs++;
+        const a = addr.toBase58();
+        if (a === MINT) return history.map((t) => ({ signature: t.transaction.signatures[0] })).reverse();
+        return a === w(4) ? [{ signature: 'f4', blockTime: 1_699_990_000 }] : [];
+      },
+      getParsedTransactions: async (sigs) => sigs.map((s) =>
+        s === 'f4' ? fundTx(DEV, w(4)) : history.find((t) => t.transaction.signatures[0] === s)),
+      getTokenSupply: async () => ({ value: { uiAmount: 1000 } }),
+    };
+
+    const r = await insiderDetector({ mint: MINT, connection: conn });
+    expect(r).toMatchObject({ ok: false, reason: 'insider-cluster', deployer: DEV, score: 25 });
+    expect(r.reasons).toContain('deployer-funded: 1 early buyer(s)');
+
+    const before = calls.sigs;
+    const again = await insiderDetector({ mint: MINT, connection: conn });
+    expect(again).toBe(r);
+    expect(calls.sigs).toBe(before);
+
+    // a looser threshold is its own verdict, not the cached one
+    const loose = await insiderDetector({ mint: MINT, connection: conn }, { maxClusterPct: 50, maxBundledWallets: 10 });
+    expect(loose).toMatchObject({ ok: true, score: 25 });
+    expect(calls.sigs).toBeGreaterThan(before);
+  });
+
+  test('a history longer than maxSignatures is reported unknown, not scored mid-history', async () => {
+    let pages = 0;
+    const conn = {
+      getSignaturesForAddress: async (_addr, { limit }) => {
+        pages++;
+        return Array.from({ length: limit }, (_, i) => ({ signature: `s${pages}-${i}` }));
+      },
+      getParsedTransactions: jest.fn(),
+    };
+    const r = await insiderDetector({ mint: MINT, connection: conn }, { maxSignatures: 2000 });
+    expect(r).toMatchObject({ ok: true, unknown: true, score: null });
+    expect(r.reasons[0]).toMatch(/exceeds 2000 signatures/);
+    expect(pages).toBe(2);
+    expect(conn.getParsedTransactions).not.toHaveBeenCalled();
+  });
+
+  test('RPC failures soft-pass and the legacy funding check still applies', async () => {
+    const conn = { getSignaturesForAddress: async () => { throw new Error('429'); } };
+    const r = await insiderDetector({ mint: MINT, connection: conn });
+    expect(r.ok).toBe(true);
+    expect(r.error).toBe(true);
+
+    const legacy = await insiderDetector({ mint: MINT, deployer: DEV, fundingAddresses: [DEV] });
+    expect(legacy).toMatchObject({ ok: false, reason: 'deployer-funded-liquidity' });
+  });
+});
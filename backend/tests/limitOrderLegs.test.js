@@ -0,0 +1,79 @@
+const {
+  evaluateLeg,
+  isExclusiveLeg,
+  cancelScope,
+  buildOcoLegs,
+  buildBracketLegs,
+  DEFAULT_STOP_BAND,
+} = require('../services/limitOrderLegs');
+const { parseOrder } = require('../telegram/commandHandlers/handleCreateLimit');
+
+const MINT = 'Mint1111111111111111111111111111111111111111';
+
+describe('limit order legs', () => {
+  test('plain limits fire on the right side of the target', () => {
+    const buy = { status: 'open', type: 'limit', side: 'buy', targetPrice: 1 };
+    expect(evaluateLeg(buy, 1.1).fire).toBe(false);
+    expect(evaluateLeg(buy, 0.9)).toEqual({ arm: false, fire: true });
+    const sell = { ...buy, side: 'sell' };
+    expect(evaluateLeg(sell, 0.9).fire).toBe(false);
+    expect(evaluateLeg(sell, 1.1).fire).toBe(true);
+    expect(evaluateLeg({ ...sell, status: 'executing' }, 1.1).fire).toBe(false);
+  });
+
+  test('stop-limit arms on the trigger, then fires as a limit', () => {
+    const stop = { status: 'open', type: 'stop_limit', side: 'sell', triggerPrice: 1, targetPrice: 0.95 };
+    expect(evaluateLeg(stop, 1.2)).toEqual({ arm: false, fire: false });
+    // gap below the limit: armed but nothing to sell into
+    expect(evaluateLeg(stop, 0.9)).toEqual({ arm: true, fire: false });
+    expect(evaluateLeg(stop, 0.97)).toEqual({ arm: true, fire: true });
+    // once armed it keeps working even after price bounces above the trigger
+    expect(evaluateLeg({ ...stop, triggeredAt: new Date() }, 1.1)).toEqual({ arm: false, fire: true });
+  });
+
+  test('OCO legs share a group and cancel each other', () => {
+    const rows = buildOcoLegs({ mint: MINT, amount: 100 }, [
+      { side: 'sell', type: 'limit', targetPrice: 2 },
+      { side: 'sell', type: 'stop_limit', triggerPrice: 1 },
+    ]);
+    expect(rows).toHaveLength(2);
+    expect(rows[0].groupId).toBe(rows[1].groupId);
+    expect(rows[0].id).not.toBe(rows[1].id);
+    expect(rows[1]).toMatchObject({ amount: 100, triggerPrice: 1, targetPrice: 1 - DEFAULT_STOP_BAND });
+    expect(rows.every(isExclusiveLeg)).toBe(true);
+    expect(cancelScope(rows[0])).toBe('group');
+  });
+
+  test('bracket exits wait for the entry and cancel only themselves', () => {
+    const [entry, tp, sl] = buildBracketLegs({ mint: MINT, amount: 50 }, {
+      entry: { targetPrice: 1 },
+      takeProfit: { targetPrice: 1.5 },
+      stopLoss: { triggerPrice: 0.8, limitPrice: 0.78 },
+    });
+    expect(entry).toMatchObject({ side: 'buy', status: 'open', role: 'entry', amount: 50 });
+    expect(tp).toMatchObject({ side: 'sell', status: 'pending', role: 'tp', amount: 0, parentId: entry.id });
+    expect(sl).toMatchObject({ type: 'stop_limit', triggerPrice: 0.8, targetPrice: 0.78, parentId: entry.id });
+    expect(isExclusiveLeg(entry)).toBe(false);
+    expect(isExclusiveLeg(tp)).toBe(true);
+    expect(cancelScope(entry)).toBe('group');
+    expect(cancelScope(sl)).toBe('self');
+    expect(evaluateLeg(tp, 2).fire).toBe(false); // pending until activated
+  });
+
+  test('telegram parser keeps the legacy format and accepts the new ones', () => {
+    const legacy = parseOrder(`buy ${MINT} 5 0.47`);
+    expect(legacy.rows).toHaveLength(1);
+    expect(legacy.rows[0]).toMatchObject({ side: 'buy', token: MINT, amount: 5, price: 0.47 });
+
+    const oco = parseOrder(`oco ${MINT} 100 2 1`);
+    expect(oco.rows.map((r) => r.type)).toEqual(['limit', 'stop_limit']);
+    expect(oco.rows.every((r) => r.token === MINT && r.price === r.targetPrice)).toBe(true);
+
+    const bracket = parseOrder(`bracket ${MINT} 20 1 1.5 0.8`);
+    expect(bracket.rows.map((r) => r.role)).toEqual(['entry', 'tp', 'sl']);
+
+    expect(parseOrder(`bracket ${MINT} 20 1 0.9 0.8`).error).toBeDefined();
+    expect(parseOrder(`oco ${MINT} 100 1 2`).error).toBeDefined();
+    expect(parseOrder('hello').error).toBeDefined();
+  });
+});
@@ -0,0 +1,217 @@
+const MINT = 'Mint1111111111111111111111111111111111111111';
+
+let mockBars = [];
+const mockTrades = [];
+
+const harness = require('./helpers/strategyHarness');
+jest.mock('../services/strategies/core/backtest/candleSource', () => ({
+  ...jest.requireActual('../services/strategies/core/backtest/candleSource'),
+  fetchCandles: jest.fn(async () => mockBars),
+}));
+jest.mock('../prisma/prisma', () => ({
+  trade: { findMany: jest.fn(async () => mockTrades) },
+}));
+
+const signals = require('../services/strategies/core/signals/meanReversion');
+const policy = require('../services/strategies/core/risk/meanReversionPolicy');
+const { runBacktest } = require('../services/strategies/core/backtest/backtestEngine');
+const { liveBuy, simulateBuy } = require('../services/strategies/core/tradeExecutor');
+const { executeSwap } = require('../utils/swap');
+const { closePositionFIFO } = require('../services/utils/analytics/fifoReducer');
+const { emitBotEvent } = require('../services/pipelines/botEvents');
+const meanReversion = require('../services/strategies/meanReversion');
+
+const bar = (ts, close, volume = 100) => ({ ts, open: close, high: close, low: close, close, volume });
+const flat = (n, price = 1) => Array.from({ length: n }, (_, i) => bar(i * 60_000, price));
+const rising = (n) => Array.from({ length: n }, (_, i) => bar(i * 60_000, 1 + i / n));
+
+describe('mean reversion signal', () => {
+  test('z-score against VWAP and the Bollinger mid', () => {
+    const candles = [...flat(19), bar(19 * 60_000, 0.9)];
+    const boll = signals.zScore(candles, { anchor: 'bollinger', period: 20 });
+    expect(boll.mean).toBeCloseTo(0.995, 10);
+    expect(boll.stdDev).toBeCloseTo(signals.bollingerBands(candles.map((c) => c.close), 20).stdDev, 10);
+    expect(boll.z).toBeLessThan(-4);
+
+    // volume weighting pulls the VWAP toward the heavy bar
+    const heavy = [...flat(19), bar(19 * 60_000, 0.9, 1_900)];
+    expect(signals.rollingVwap(heavy, 20)).toBeCloseTo(0.95, 10);
+    expect(signals.zScore(flat(20)).z).toBe(0);
+  });
+
+  test('enters on a stretch in a range, skips it in a trend', () => {
+    const ranging = [...flat(80), bar(80 * 60_000, 0.9)];
+    expect(signals.generateMeanReversionSignal(ranging, { entryZ: 2 })).toMatchObject({ enter: true, reason: 'zScoreDeviation' });
+    expect(signals.generateMeanReversionSignal(ranging, { entryZ: 5 })).toMatchObject({ enter: false, reason: null });
+
+    const trending = [...rising(100), bar(100 * 60_000, 1.7)];
+    const sig = signals.generateMeanReversionSignal(trending, { entryZ: 2 });
+    expect(sig.z).toBeLessThan(-2);
+    expect(sig).toMatchObject({ enter: false, reason: 'trending' });
+    expect(signals.generateMeanReversionSignal(trending, { entryZ: 2, trendFilter: false }).enter).toBe(true);
+
+    expect(signals.generateMeanReversionSignal(flat(5)).reason).toBe('warmup');
+  });
+});
+
+describe('mean reversion policy', () => {
+  test('size scales with the deviation and caps', () => {
+    const opts = { entryZ: 2, fullZ: 4, maxMultiplier: 3 };
+    expect(policy.deviationSizeMultiplier(-2, opts)).toBe(1);
+    expect(policy.deviationSizeMultiplier(-3, opts)).toBe(2);
+    expect(policy.deviationSizeMultiplier(-6, opts)).toBe(3);
+  });
+
+  test('exits on reversion, time stop or stop loss', () => {
+    const base = { mean: 1, stdDev: 0.05, entryPrice: 0.9, entryTs: 0, now: 1_000, maxHoldMs: 60_000 };
+    expect(policy.exitReason({ ...base, price: 0.92 })).toBeNull();
+    expect(policy.exitReason({ ...base, price: 1 })).toBe('meanReversion');
+    expect(policy.exitReason({ ...base, price: 0.96, exitZ: 1 })).toBe('meanReversion');
+    expect(policy.exitReason({ ...base, price: 0.92, now: 60_000 })).toBe('timeStop');
+    expect(policy.exitReason({ ...base, price: 0.8, stopLossPct: 0.1 })).toBe('stopLoss');
+  });
+});
+
+describe('meanReversion backtest adapter', () => {
+  test('deviation-sized entry closes on reversion', async () => {
+    const candles = [...flat(70), bar(70 * 60_000, 0.9), bar(71 * 60_000, 1), bar(72 * 60_000, 1)];
+    const res = await runBacktest({ mode: 'meanReversion', config: {}, candles, options: { tradeSizeUsd: 100 } });
+    expect(res.trades.length).toBe(1);
+    const [trade] = res.trades;
+    expect(trade.entryReason).toBe('zScoreDeviation');
+    expect(trade.exitReason).toBe('meanReversion');
+    expect(trade.notionalUsd).toBeGreaterThanOrEqual(200);   // 2× at the default full-size z
+    expect(trade.pnlUsd).toBeGreaterThan(0);
+  });
+});
+
+describe('meanReversion strategy (dry run)', () => {
+  const cfg = { botId: 'mr-1', userId: 'u1', walletId: 3, tokenMint: MINT, amountToSpend: 0.05, dryRun: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    harness.tick = null;
+    mockBars = flat(70);
+    harness.tracker.runningProcesses['mr-1'] = {};
+  });
+
+  test('buys the stretch with a scaled size and sells at the mean', async () => {
+    await meanReversion({ ...cfg });
+    await harness.at(1);
+    expect(simulateBuy).not.toHaveBeenCalled();
+
+    await harness.at(0.9);
+    expect(simulateBuy).toHaveBeenCalledTimes(1);
+    const buy = simulateBuy.mock.calls[0][0];
+    expect(buy.mint).toBe(MINT);
+    expect(buy.quote.inAmount).toBe(String(1e8));          // 0.05 SOL × 2
+    expect(buy.meta).toMatchObject({ strategy: 'Mean Reversion', walletId: 3 });
+
+    await harness.at(0.92);                                // still stretched
+    expect(simulateBuy).toHaveBeenCalledTimes(1);
+
+    await harness.at(1);
+    // a dry-run exit sends nothing and closes the paper rows only
+    expect(simulateBuy).toHaveBeenCalledTimes(1);
+    expect(executeSwap).not.toHaveBeenCalled();
+    expect(closePositionFIFO).toHaveBeenCalledWith(expect.objectContaining({
+      strategy: 'Mean Reversion', triggerType: 'meanReversion', txHash: null, simulated: true,
+    }));
+    expect(emitBotEvent).toHaveBeenLastCalledWith('signal', expect.objectContaining({
+      signal: 'meanReversion', mode: 'meanReversion',
+      data: expect.objectContaining({ event: 'exit', reason: 'meanReversion' }),
+    }));
+  });
+
+  test('time stop closes a position that never reverts', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    await meanReversion({ ...cfg, maxHoldMinutes: 30 });
+    await harness.at(0.9);
+    expect(simulateBuy).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(1_000_000 + 31 * 60_000);
+    await harness.at(0.9);
+    expect(simulateBuy).toHaveBeenCalledTimes(1);
+    expect(emitBotEvent).toHaveBeenLastCalledWith('signal', expect.objectContaining({
+      data: expect.objectContaining({ event: 'exit', reason: 'timeStop' }),
+    }));
+    now.mockRestore();
+  });
+
+  test('trend filter blocks entries in a trending market', async () => {
+    mockBars = rising(100);
+    await meanReversion({ ...cfg });
+    await harness.at(1.7);
+    expect(simulateBuy).not.toHaveBeenCalled();
+
+    await meanReversion({ ...cfg, trendFilter: false });
+    await harness.at(1.7);
+    expect(simulateBuy).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('meanReversion strategy (live)', () => {
+  const cfg = { botId: 'mr-2', userId: 'u1', walletId: 3, tokenMint: MINT, amountToSpend: 0.05 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBars = flat(70);
+    mockTrades.length = 0;
+    harness.balance = 0n;
+    harness.tracker.runningProcesses['mr-2'] = {};
+  });
+
+  // the swap delivers less than the 11 111 111 tokens quoted at 0.9
+  const buyDelivering = (received, tx) => liveBuy.mockImplementationOnce(async () => {
+    harness.balance += received;
+    return tx;
+  });
+
+  test('exits sell the received tokens back to SOL and close the live rows FIFO', async () => {
+    buyDelivering(11_000_000n, 'tx-buy');
+    executeSwap.mockResolvedValueOnce(null).mockResolvedValueOnce('tx-exit');
+    await meanReversion({ ...cfg });
+    await harness.at(0.9);
+    expect(liveBuy).toHaveBeenCalledTimes(1);
+
+    await harness.at(1);                                   // not sent: position kept
+    expect(closePositionFIFO).not.toHaveBeenCalled();
+    await harness.at(1);
+    expect(liveBuy).toHaveBeenCalledTimes(1);
+    const [{ quote }] = executeSwap.mock.calls[1];
+    expect(quote).toMatchObject({ inputMint: MINT, outputMint: harness.SOL_MINT, inAmount: '11000000' });
+    expect(closePositionFIFO).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'u1', walletId: 3, mint: MINT, strategy: 'Mean Reversion', triggerType: 'meanReversion',
+      txHash: 'tx-exit', removedAmount: 11_000_000, simulated: false,
+    }));
+    expect(closePositionFIFO.mock.calls[0][0].exitPriceUSD).toBeCloseTo(1, 4);
+    expect(emitBotEvent).toHaveBeenLastCalledWith('signal', expect.objectContaining({
+      data: expect.objectContaining({ event: 'exit', reason: 'meanReversion', simulated: false }),
+    }));
+  });
+
+  test('a restart picks up the open live rows and exits them', async () => {
+    mockTrades.push(
+      { outAmount: 5_000_000n, inAmount: 40_000_000n, entryPriceUSD: 0.8, timestamp: new Date(), extras: { z: -2.5 } },
+      { outAmount: 9_000_000n, inAmount: 70_000_000n, entryPriceUSD: 0.8, timestamp: new Date(), extras: { isPaper: true } },
+    );
+    harness.balance = 4_000_000n;                          // less than the row says
+    executeSwap.mockResolvedValueOnce('tx-restored');
+    await meanReversion({ ...cfg });
+    await harness.at(1);                                   // back at the mean: exit, no new entry
+    expect(liveBuy).not.toHaveBeenCalled();
+    expect(executeSwap.mock.calls[0][0].quote.inAmount).toBe('4000000');
+    expect(emitBotEvent).toHaveBeenLastCalledWith('signal', expect.objectContaining({
+      data: expect.objectContaining({ event: 'exit', reason: 'meanReversion' }),
+    }));
+  });
+
+  test('an empty wallet drops the position instead of retrying the exit', async () => {
+    mockTrades.push({ outAmount: 5_000_000n, inAmount: 40_000_000n, entryPriceUSD: 0.8, timestamp: new Date(), extras: {} });
+    await meanReversion({ ...cfg });
+    await harness.at(1);
+    expect(executeSwap).not.toHaveBeenCalled();
+    await harness.at(0.9);                                 // free to enter again
+    expect(liveBuy).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,163 @@
+jest.mock('axios', () => ({ post: jest.fn(async () => ({ status: 200, headers: {} })) }), { virtual: true });
+jest.mock('dotenv', () => ({ config: jest.fn() }), { virtual: true });
+jest.mock('nodemailer', () => ({ createTransport: jest.fn(() => ({ sendMail: jest.fn() })) }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../prisma/prisma', () => {
+  const state = { settings: new Map(), holds: [], throttles: new Map(), prefs: [] };
+  let seq = 0;
+  const inIds = (where) => (h) => where.id.in.includes(h.id);
+  return {
+    __state: state,
+    notificationSettings: {
+      findUnique: jest.fn(async ({ where }) => state.settings.get(where.userId) || null),
+    },
+    notificationThrottle: {
+      upsert: jest.fn(async ({ where }) => {
+        const w = where.userId_eventKey_windowStart;
+        const k = `${w.userId}|${w.eventKey}|${w.windowStart.getTime()}`;
+        state.throttles.set(k, (state.throttles.get(k) || 0) + 1);
+        return { count: state.throttles.get(k) };
+      }),
+      deleteMany: jest.fn(async () => ({ count: 0 })),
+    },
+    notificationHold: {
+      createMany: jest.fn(async ({ data }) => {
+        data.forEach((d) => state.holds.push({ id: `h${++seq}`, createdAt: new Date(), ...d }));
+        return { count: data.length };
+      }),
+      findMany: jest.fn(async ({ where }) => state.holds.filter((h) => h.releaseAt <= where.releaseAt.lte)),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = state.holds.filter(inIds(where));
+        rows.forEach((h) => Object.assign(h, data));
+        return { count: rows.length };
+      }),
+      deleteMany: jest.fn(async ({ where }) => {
+        const before = state.holds.length;
+        state.holds = state.holds.filter((h) => !inIds(where)(h));
+        return { count: before - state.holds.length };
+      }),
+    },
+    telegramPreference: {
+      findUnique: jest.fn(async () => ({ chatId: '123456789', enabled: true, types: ['Buy', 'Sell', 'Sniper', 'ARM', 'TP'] })),
+    },
+    notificationPreference: {
+      findMany: jest.fn(async ({ where }) => state.prefs.filter((p) => p.event === where.event)),
+      findFirst: jest.fn(async ({ where }) => state.prefs.find((p) => p.channel === where.channel) || null),
+    },
+    webhookEndpoint: { findMany: jest.fn(async () => []) },
+  };
+});
+
+const axios = require('axios');
+const prisma = require('../prisma/prisma');
+const policy = require('../services/notifications/policy');
+const { sendAlert } = require('../telegram/alerts');
+
+const state = prisma.__state;
+let userSeq = 0;
+let user;
+
+function settingsFor(userId, overrides = {}) {
+  state.settings.set(userId, { userId, ...policy.DEFAULTS, ...overrides });
+  policy.invalidate(userId);
+}
+
+// 2026-03-10 is a Tuesday; New York is on EDT (UTC-4) by then
+const at = (iso) => new Date(iso).getTime();
+
+beforeEach(() => {
+  user = `user-${++userSeq}`;
+  state.holds.length = 0;
+  state.prefs.length = 0;
+  axios.post.mockClear();
+});
+
+describe('admit', () => {
+  test('no settings row → always sent', async () => {
+    expect(await policy.admit(user, { key: 'Buy', channels: ['alerts'] })).toBe(true);
+  });
+
+  test('quiet hours hold non-critical messages until the local window ends', async () => {
+    settingsFor(user, { quietEnabled: true, quietStart: '22:00', quietEnd: '07:00', timezone: 'America/New_York' });
+    const now = at('2026-03-11T03:30:00Z'); // 23:30 in New York
+
+    expect(await policy.admit(user, { key: 'TP', channels: ['alerts'], text: 'TP hit', now })).toBe(false);
+    expect(state.holds[0]).toMatchObject({ reason: 'quiet', channel: 'alerts', eventKey: 'TP' });
+    expect(state.holds[0].releaseAt.toISOString()).toBe('2026-03-11T11:00:00.000Z'); // 07:00 EDT
+
+    expect(await policy.admit(user, { key: 'RISK_KILL', channels: ['alerts'], now })).toBe(true);
+    expect(await policy.admit(user, { key: 'Buy', channels: ['alerts'], now: at('2026-03-11T16:00:00Z') })).toBe(true);
+  });
+
+  test('digest mode batches low-priority events only', async () => {
+    settingsFor(user, { digestMode: 'daily', digestHour: 8, timezone: 'UTC' });
+    const now = at('2026-03-10T12:15:00Z');
+
+    expect(await policy.admit(user, { key: 'Sniper', channels: ['alerts', 'discord'], text: 'bought', now })).toBe(false);
+    expect(state.holds).toHaveLength(2);
+    expect(state.holds[0]).toMatchObject({ reason: 'digest', releaseAt: new Date('2026-03-11T08:00:00Z') });
+
+    expect(await policy.admit(user, { key: 'TP', channels: ['alerts'], now })).toBe(true);
+    expect(await policy.admit(user, { key: 'Sniper', channels: ['webhook'], now })).toBe(true);
+
+    settingsFor(user, { digestMode: 'hourly' });
+    await policy.admit(user, { key: 'Buy', channels: ['alerts'], now });
+    expect(state.holds[2].releaseAt).toEqual(new Date('2026-03-10T13:00:00Z'));
+  });
+
+  test('throttles let `max` through per window, then suppress until it closes', async () => {
+    const now = at('2026-03-10T12:03:00Z');
+    settingsFor(user, { throttles: { Sniper: { max: 2, windowMin: 10 } } });
+    const results = [];
+    for (let i = 0; i < 5; i++) results.push(await policy.admit(user, { key: 'Sniper', channels: ['alerts'], now }));
+    expect(results).toEqual([true, true, false, false, false]);
+    expect(state.holds.every((h) => h.reason === 'throttle')).toBe(true);
+    expect(state.holds[0].releaseAt).toEqual(new Date('2026-03-10T12:10:00Z'));
+
+    // other keys fall back to "*" only when configured
+    expect(await policy.admit(user, { key: 'Buy', channels: ['alerts'], now })).toBe(true);
+  });
+});
+
+describe('flush', () => {
+  test('due items become one summary per channel with suppressed rollups', async () => {
+    settingsFor(user, { digestMode: 'hourly', throttles: { Sniper: { max: 1, windowMin: 60 } } });
+    const now = at('2026-03-10T12:20:00Z');
+    await policy.admit(user, { key: 'Buy', channels: ['alerts'], text: '🟢 *Buy* filled\nmore', now });
+    await policy.admit(user, { key: 'Buy', channels: ['alerts'], text: 'second buy', now });
+    for (let i = 0; i < 4; i++) await policy.admit(user, { key: 'Sniper', channels: ['alerts'], text: `s${i}`, now });
+
+    expect(await policy.flushDue(at('2026-03-10T13:00:00Z'))).toBe(1);
+    expect(state.holds).toHaveLength(0);
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toContain('sendMessage');
+    expect(body.chat_id).toBe('123456789');
+    expect(body.text).toContain('Notification digest');
+    expect(body.text).toContain('*Buy* ×2');
+    expect(body.text).toContain('– 🟢 Buy filled');
+    expect(body.text).toContain('3 more *Sniper* suppressed');
+  });
+
+  test('summaries that fall inside quiet hours are pushed to the window end', async () => {
+    settingsFor(user, { digestMode: 'hourly', quietEnabled: true, quietStart: '22:00', quietEnd: '06:00' });
+    await policy.admit(user, { key: 'Buy', channels: ['alerts'], now: at('2026-03-10T21:30:00Z') });
+    expect(state.holds[0].releaseAt).toEqual(new Date('2026-03-10T22:00:00Z'));
+
+    expect(await policy.flushDue(at('2026-03-10T22:00:00Z'))).toBe(0);
+    expect(state.holds[0].releaseAt).toEqual(new Date('2026-03-11T06:00:00Z'));
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendAlert', () => {
+  test('held alerts are not posted; critical ARM alerts always are', async () => {
+    settingsFor(user, { quietEnabled: true, quietStart: '00:00', quietEnd: '23:59' });
+    await sendAlert(user, 'bought', 'Buy');
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(state.holds).toHaveLength(1);
+
+    await sendAlert(user, 'Arm expiring', 'ARM');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+});
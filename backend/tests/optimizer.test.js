@@ -0,0 +1,91 @@
+const {
+  optimize,
+  expandGrid,
+  walkForwardSplits,
+  rankCandidates,
+} = require('../services/strategies/core/backtest/optimizer');
+
+const BASE = {
+  slippage: 1,
+  interval: 30,
+  amountToSpend: 0.1,
+  maxTrades: 5,
+  tokenFeed: 'new',
+  squeezeThreshold: 0.03,
+};
+
+// Repeating squeeze → expansion → run-up cycles so every fold sees trades.
+function cyclicSeries(cycles = 6) {
+  const rows = [];
+  let ts = 1_700_000_000;
+  const base = 1;
+  for (let k = 0; k < cycles; k++) {
+    for (let i = 0; i < 30; i++) {
+      rows.push({ unixTime: ts, o: base, h: base * 1.0005, l: base * 0.9995, c: base * (1 + (i % 2) * 0.0005), v: 100 });
+      ts += 900;
+    }
+    rows.push({ unixTime: ts, o: base, h: base * 1.1, l: base, c: base * 1.08, v: 1_000 });
+    ts += 900;
+    for (let i = 0; i < 5; i++) {
+      const c = base * 1.08 * (1 + 0.05 * (i + 1));
+      rows.push({ unixTime: ts, o: c * 0.99, h: c * 1.01, l: c * 0.98, c, v: 500 });
+      ts += 900;
+    }
+  }
+  return rows;
+}
+
+describe('optimizer', () => {
+  test('expandGrid builds the cartesian product of lists and ranges', () => {
+    const combos = expandGrid({ takeProfit: [5, 10], stopLoss: { min: 1, max: 3, step: 1 } });
+    expect(combos).toHaveLength(6);
+    expect(combos).toContainEqual({ takeProfit: 10, stopLoss: 3 });
+    expect(() => expandGrid({ a: [1, 2, 3] }, 2)).toThrow(/max 2/);
+  });
+
+  test('walkForwardSplits produces consecutive non-overlapping test windows', () => {
+    const rolling = walkForwardSplits(100, { folds: 3, trainRatio: 0.7 });
+    expect(rolling).toHaveLength(3);
+    rolling.forEach((f, i) => {
+      expect(f.train[1]).toBe(f.test[0]);
+      if (i > 0) expect(f.test[0]).toBe(rolling[i - 1].test[1]);
+    });
+    expect(rolling[1].train[0]).toBeGreaterThan(0);
+    const anchored = walkForwardSplits(100, { folds: 3, anchored: true });
+    expect(anchored.every((f) => f.train[0] === 0)).toBe(true);
+  });
+
+  test('rankCandidates orders by the chosen metric and demotes thin samples', () => {
+    const mk = (id, sharpe, trades) => ({ id, testMetrics: { sharpe, maxDrawdownPct: 1, winRate: 50, trades } });
+    const ranked = rankCandidates([mk('a', 1, 3), mk('b', 5, 0), mk('c', 2, 3)], 'sharpe', 1);
+    expect(ranked.map((c) => c.id)).toEqual(['c', 'a', 'b']);
+    expect(ranked[2].eligible).toBe(false);
+  });
+
+  test('rejects invalid candidates and attaches lineage to winners', async () => {
+    const res = await optimize({
+      mode: 'breakout',
+      baseConfig: BASE,
+      grid: { takeProfit: [10, 20], volumeSpikeMultiplier: [0.5, 2] },
+      candles: cyclicSeries(),
+      options: { folds: 2, trainRatio: 0.5, tradeSizeUsd: 100 },
+      sourceConfigId: 42,
+      runId: 'run-1',
+    });
+    expect(res.evaluated).toBe(2);
+    expect(res.rejected).toHaveLength(2);
+    expect(res.rejected[0].errors[0]).toMatch(/volumeSpikeMultiplier/);
+    expect(res.folds).toHaveLength(2);
+    const [best] = res.results;
+    expect(best.rank).toBe(1);
+    expect(best.config).toMatchObject({ ...BASE, ...best.params });
+    expect(best.lineage).toMatchObject({
+      optimizerRunId: 'run-1',
+      sourceConfigId: 42,
+      mode: 'breakout',
+      candidateId: best.candidateId,
+      walkForward: { folds: 2, trainRatio: 0.5, anchored: false },
+    });
+    expect(best.testMetrics.trades).toBeGreaterThan(0);
+  });
+});
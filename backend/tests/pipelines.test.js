@@ -0,0 +1,157 @@
+jest.mock('../prisma/prisma', () => ({
+  strategyPipeline: { findMany: jest.fn(), update: jest.fn(async () => ({})) },
+  pipelineFiring: { create: jest.fn(async () => ({})) },
+  strategyRunStatus: { findFirst: jest.fn() },
+  wallet: {
+    findFirst: jest.fn(async ({ where }) =>
+      (where.userId === 'u1' && where.id === 7 ? { id: 7, label: 'main' } : null)),
+  },
+  user: { findUnique: jest.fn(async () => ({ activeWalletId: 7 })) },
+}));
+jest.mock('../services/utils/strategy_utils/strategyLauncher', () => ({
+  startStrategy: jest.fn(async (mode, cfg) => ({ botId: cfg.botId })),
+  stopStrategy: jest.fn(() => true),
+}));
+jest.mock('../services/botControl', () => ({
+  stopBot: jest.fn(async (userId, botId) => ({ ok: true, botId })),
+}));
+jest.mock('../services/utils/strategy_utils/strategyStatus', () => ({ getStrategyStatus: jest.fn() }));
+jest.mock('../services/strategies/core/botHealthRegistery', () => ({ snapshot: jest.fn(() => ({ bots: {} })) }));
+jest.mock('../config/featureFlags', () => ({ isStrategyEnabled: jest.fn((m) => m !== 'scalper') }));
+jest.mock('../telegram/alerts', () => ({ sendAlert: jest.fn(async () => {}) }));
+
+const { EventEmitter } = require('events');
+const prisma = require('../prisma/prisma');
+const launcher = require('../services/utils/strategy_utils/strategyLauncher');
+const botControl = require('../services/botControl');
+const botEvents = require('../services/pipelines/botEvents');
+const pipelines = require('../services/pipelines');
+
+const handoff = {
+  id: 'pipe-handoff-1',
+  userId: 'u1',
+  name: 'Sniper → trend exit',
+  enabled: true,
+  cooldownSec: 30,
+  maxPerHour: 20,
+  trigger: { event: 'trade', sourceMode: 'sniper', where: [{ field: 'side', op: 'eq', value: 'buy' }] },
+  actions: [{ type: 'start', mode: 'trendFollower', config: { tokenMint: '{{mint}}', note: 'from {{botId}}', amountToSpend: '{{usdValue}}' } }],
+};
+
+const buy = (over = {}) => ({
+  type: 'trade', userId: 'u1', botId: 'sniper-1', mode: 'sniper', side: 'buy',
+  mint: 'MintAAA', walletId: 7, usdValue: 12.5, pipelineDepth: 0, ...over,
+});
+
+describe('strategy pipelines', () => {
+  let userSeq = 0;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userSeq += 1;
+  });
+  // the rule cache is per user and cooldowns per pipeline, so give each test its own
+  const as = (rows) => {
+    const userId = `u${userSeq}`;
+    prisma.strategyPipeline.findMany.mockResolvedValue(rows.map((r) => ({ ...r, id: `${r.id}-${userSeq}`, userId })));
+    prisma.wallet.findFirst.mockImplementation(async ({ where }) =>
+      (where.userId === userId && where.id === 7 ? { id: 7, label: 'main' } : null));
+    return userId;
+  };
+
+  test('a sniper buy starts a trendFollower on the bought mint', async () => {
+    const userId = as([handoff]);
+    expect(await pipelines.handleEvent(buy({ userId }))).toBe(1);
+
+    expect(launcher.startStrategy).toHaveBeenCalledWith('trendFollower', expect.objectContaining({
+      tokenMint: 'MintAAA',
+      note: 'from sniper-1',
+      amountToSpend: 12.5,
+      userId,
+      walletId: 7,
+      walletLabel: 'main',
+      pipelineId: `${handoff.id}-${userSeq}`,
+      pipelineDepth: 1,
+    }), false);
+    expect(prisma.pipelineFiring.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ pipelineId: `${handoff.id}-${userSeq}`, eventType: 'trade', sourceBotId: 'sniper-1', ok: true }),
+    });
+  });
+
+  test('trigger filters, cooldown per mint and the chain depth guard', async () => {
+    const userId = as([handoff]);
+    expect(await pipelines.handleEvent(buy({ userId, mode: 'scalper' }))).toBe(0);
+    expect(await pipelines.handleEvent(buy({ userId, side: 'sell' }))).toBe(0);
+    expect(await pipelines.handleEvent(buy({ userId, pipelineDepth: 3 }))).toBe(0);
+
+    expect(await pipelines.handleEvent(buy({ userId }))).toBe(1);
+    expect(await pipelines.handleEvent(buy({ userId }))).toBe(0);              // same mint, cooling down
+    expect(await pipelines.handleEvent(buy({ userId, mint: 'MintBBB' }))).toBe(1);
+    expect(launcher.startStrategy).toHaveBeenCalledTimes(2);
+  });
+
+  test('stop acts on the source bot through the ownership-checked botControl', async () => {
+    const userId = as([{
+      ...handoff, id: 'pipe-stop', trigger: { event: 'health', where: [{ field: 'status', op: 'in', value: ['red', 'crashed'] }] },
+      actions: [{ type: 'stop', target: 'source' }],
+    }]);
+    await pipelines.handleEvent({ type: 'health', status: 'red', userId, botId: 'scalper-9' });
+    expect(botControl.stopBot).toHaveBeenCalledWith(userId, 'scalper-9');
+  });
+
+  test('a failed action is recorded on the pipeline', async () => {
+    const userId = as([{ ...handoff, id: 'pipe-bad', actions: [{ type: 'start', mode: 'scalper' }] }]);
+    await pipelines.handleEvent(buy({ userId }));
+    expect(launcher.startStrategy).not.toHaveBeenCalled();
+    expect(prisma.strategyPipeline.update).toHaveBeenCalledWith({
+      where: { id: `pipe-bad-${userSeq}` },
+      data: expect.objectContaining({ lastError: 'start: Strategy scalper is disabled' }),
+    });
+  });
+
+  test('child events carry the identity the launcher started the bot with', () => {
+    const seen = [];
+    const off = botEvents.subscribe((e) => seen.push(e));
+    const proc = new EventEmitter();
+    botEvents.attachChild(proc, { botId: 'sniper-1', userId: 'u1', mode: 'sniper', pipelineDepth: 1 });
+    proc.emit('message', { type: 'bot:event', event: { type: 'trade', userId: 'someone-else', botId: 'x', mint: 'M' } });
+    proc.emit('message', { type: 'risk:reserve' });
+    off();
+    expect(seen).toEqual([expect.objectContaining({ type: 'trade', userId: 'u1', botId: 'sniper-1', mode: 'sniper', pipelineDepth: 1, mint: 'M' })]);
+  });
+
+  test('simulated fills are skipped unless the trigger opts in', async () => {
+    const userId = as([handoff]);
+    expect(await pipelines.handleEvent(buy({ userId, simulated: true }))).toBe(0);
+    expect(launcher.startStrategy).not.toHaveBeenCalled();
+  });
+
+  test('an opted-in simulated fill only ever starts a dry-run bot', async () => {
+    const optIn = as([{ ...handoff, id: 'pipe-sim', trigger: { ...handoff.trigger, includeSimulated: true },
+      actions: [{ type: 'start', mode: 'trendFollower', config: { tokenMint: '{{mint}}', dryRun: false } }] }]);
+    expect(await pipelines.handleEvent(buy({ userId: optIn, simulated: true }))).toBe(1);
+    expect(launcher.startStrategy).toHaveBeenCalledWith('trendFollower', expect.objectContaining({ dryRun: true }), false);
+  });
+
+  test('events from a dryRun bot are marked simulated', () => {
+    const seen = [];
+    const off = botEvents.subscribe((e) => seen.push(e));
+    const proc = new EventEmitter();
+    botEvents.attachChild(proc, { botId: 'sniper-2', userId: 'u1', mode: 'sniper', dryRun: true });
+    proc.emit('message', { type: 'bot:event', event: { type: 'signal', simulated: false } });
+    off();
+    expect(seen).toEqual([expect.objectContaining({ botId: 'sniper-2', simulated: true })]);
+  });
+
+  test('validatePipeline rejects unknown strategies and bad actions', () => {
+    expect(pipelines.validatePipeline(handoff)).toEqual([]);
+    const errs = pipelines.validatePipeline({
+      trigger: { event: 'trade' },
+      actions: [{ type: 'start', mode: '../../evil' }, { type: 'reconfigure', patch: {} }, { type: 'start', mode: 'scalper' }],
+    });
+    expect(errs).toEqual([
+      'actions[0]: unknown strategy "../../evil"',
+      'actions[1]: reconfigure needs a patch',
+      'actions[2]: strategy scalper is disabled',
+    ]);
+  });
+});
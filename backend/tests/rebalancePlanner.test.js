@@ -0,0 +1,181 @@
+jest.mock('../services/strategies/core/backtest/candleSource', () => ({ fetchCandles: jest.fn() }));
+jest.mock('../services/strategies/core/fetchLiveTokenBalances', () => jest.fn());
+jest.mock('../services/strategies/paid_api/getTokenPrice', () => {
+  const fn = jest.fn();
+  fn.getSolPrice = jest.fn(async () => 0);
+  return fn;
+});
+jest.mock('../utils/swap', () => ({ getSwapQuote: jest.fn() }));
+
+const planner = require('../services/strategies/core/rebalancePlanner');
+const { previewRebalance, resolveTargets } = require('../services/strategies/core/rebalancePreview');
+const { fetchCandles } = require('../services/strategies/core/backtest/candleSource');
+const fetchLiveTokenBalances = require('../services/strategies/core/fetchLiveTokenBalances');
+const getTokenPrice = require('../services/strategies/paid_api/getTokenPrice');
+const { getSwapQuote } = require('../utils/swap');
+
+const { SOL_MINT, USDC_MINT } = planner;
+const A = 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const B = 'BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+const C = 'CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+
+const holding = (mint, value, extra = {}) => ({ mint, value, price: 1, ...extra });
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('config', () => {
+  test('reads 50 or 0.5 style weights and bands, with legacy defaults', () => {
+    const rc = planner.readConfig({
+      targetAllocations: { [A]: 60, [B]: 40 },
+      rebalanceThreshold: 5,
+      toleranceBands: { [A]: 2, [B]: 0.1 },
+    });
+    expect(rc.targets).toEqual({ [A]: 0.6, [B]: 0.4 });
+    expect(rc.defaultBand).toBe(0.05);
+    expect(rc.bands).toEqual({ [A]: 0.02, [B]: 0.1 });
+    expect(rc).toMatchObject({ trigger: 'band', weighting: 'fixed', useCashFlows: false, minTradeUsd: 5 });
+    expect(rc.cashMints).toEqual([SOL_MINT, USDC_MINT]);
+  });
+});
+
+describe('calendar', () => {
+  const weekly = { frequency: 'weekly', dayOfWeek: 1, time: '14:30' };
+
+  test('next run lands on the configured UTC weekday and time', () => {
+    // Wed 2026-05-06 → Mon 2026-05-11 14:30 UTC
+    const next = planner.nextCalendarRun(weekly, Date.parse('2026-05-06T09:00:00Z'));
+    expect(new Date(next).toISOString()).toBe('2026-05-11T14:30:00.000Z');
+    expect(new Date(planner.nextCalendarRun({ frequency: 'monthly', dayOfMonth: 15, time: '00:00' }, Date.parse('2026-05-20T00:00:00Z'))).toISOString())
+      .toBe('2026-06-15T00:00:00.000Z');
+  });
+
+  test('is due once per slot', () => {
+    const last = Date.parse('2026-05-06T09:00:00Z');
+    expect(planner.isCalendarDue(weekly, last, Date.parse('2026-05-11T14:29:00Z'))).toBe(false);
+    expect(planner.isCalendarDue(weekly, last, Date.parse('2026-05-11T14:35:00Z'))).toBe(true);
+    expect(planner.isCalendarDue(weekly, Date.parse('2026-05-11T14:35:00Z'), Date.parse('2026-05-12T00:00:00Z'))).toBe(false);
+  });
+
+  test('rejects malformed schedules', () => {
+    expect(() => planner.compileCalendar({ frequency: 'hourly' })).toThrow(/frequency/);
+    expect(() => planner.compileCalendar({ frequency: 'daily', time: '25:00' })).toThrow(/HH:MM/);
+    expect(() => planner.compileCalendar({ frequency: 'monthly', dayOfMonth: 31 })).toThrow(/1-28/);
+  });
+});
+
+describe('volatility weights', () => {
+  // alternating ±k moves: σ scales with k, zero correlation between a and b
+  const series = (k, pattern) => {
+    let px = 100;
+    return [{ ts: 0, close: px }, ...pattern.map((s, i) => ({ ts: (i + 1) * 1000, close: (px *= Math.exp(s * k)) }))];
+  };
+  const p1 = [1, -1, 1, -1, 1, -1, 1, -1, 1, -1, 1, -1];
+  const p2 = [1, 1, -1, -1, 1, 1, -1, -1, 1, 1, -1, -1];
+
+  test('inverse vol gives the calmer asset the larger weight', () => {
+    const returns = planner.alignedReturns({ [A]: series(0.01, p1), [B]: series(0.03, p1) });
+    const w = planner.inverseVolWeights(returns);
+    expect(w[A]).toBeCloseTo(0.75, 4);
+    expect(w[B]).toBeCloseTo(0.25, 4);
+  });
+
+  test('risk parity equalises risk contributions', () => {
+    const returns = planner.alignedReturns({ [A]: series(0.01, p1), [B]: series(0.02, p2), [C]: series(0.04, p1) });
+    const w = planner.riskParityWeights(returns);
+    expect(w[A] + w[B] + w[C]).toBeCloseTo(1, 5);
+    expect(w[A]).toBeGreaterThan(w[B]);
+    expect(w[B]).toBeGreaterThan(w[C]);
+    // A and C are perfectly correlated: equal shares of one risk budget,
+    // so their combined exposure is √2 × B's
+    expect(w[A] * 0.01).toBeCloseTo(w[C] * 0.04, 5);
+    expect(w[A] * 0.01 + w[C] * 0.04).toBeCloseTo(Math.SQRT2 * w[B] * 0.02, 5);
+  });
+
+  test('short history keeps the fixed targets; caps redistribute', () => {
+    const targets = { [A]: 0.5, [B]: 0.5 };
+    expect(planner.computeTargets({ weighting: 'inverseVol', targets, returnsByMint: { [A]: [0.1], [B]: [0.2] } }))
+      .toEqual({ targets, source: 'fixed (not enough price history)' });
+    expect(planner.capWeights({ [A]: 0.8, [B]: 0.15, [C]: 0.05 }, 0.5)).toEqual({ [A]: 0.5, [B]: 0.375, [C]: 0.125 });
+  });
+
+  test('resolveTargets falls back when candles cannot be fetched', async () => {
+    fetchCandles.mockRejectedValue(new Error('birdeye down'));
+    const rc = planner.readConfig({ targetAllocations: { [A]: 50, [B]: 50 }, weighting: 'riskParity' });
+    const out = await resolveTargets(rc);
+    expect(out.targets).toEqual({ [A]: 0.5, [B]: 0.5 });
+    expect(out.source).toMatch(/unavailable/);
+  });
+});
+
+describe('planRebalance', () => {
+  test('per-asset bands decide whether anything trades', () => {
+    const targets = { [A]: 0.5, [B]: 0.5 };
+    const holdings = [holding(A, 540), holding(B, 460)]; // 4 % drift
+    expect(planner.planRebalance({ holdings, targets, defaultBand: 0.05 }).swaps).toEqual([]);
+
+    const plan = planner.planRebalance({ holdings, targets, defaultBand: 0.05, bands: { [A]: 0.02 } });
+    expect(plan.swaps).toEqual([{ inputMint: A, outputMint: B, usd: 40, source: 'overweight' }]);
+    expect(plan.drifts.find((d) => d.mint === A)).toMatchObject({ band: 0.02, outside: true });
+  });
+
+  test('calendar runs ignore bands; an out-of-band underweight pulls from every overweight', () => {
+    const targets = { [A]: 0.25, [B]: 0.25, [C]: 0.5 };
+    const holdings = [holding(A, 280), holding(B, 280), holding(C, 440)];
+    expect(planner.planRebalance({ holdings, targets, defaultBand: 0.1 }).swaps).toEqual([]);
+    expect(planner.planRebalance({ holdings, targets, defaultBand: 0.1, force: true }).swaps).toEqual([
+      { inputMint: A, outputMint: C, usd: 30, source: 'overweight' },
+      { inputMint: B, outputMint: C, usd: 30, source: 'overweight' },
+    ]);
+    expect(planner.planRebalance({ holdings, targets, defaultBand: 0.1, bands: { [C]: 0.05 } }).swaps).toHaveLength(2);
+  });
+
+  test('incoming cash funds underweights before anything is sold', () => {
+    const targets = { [A]: 0.5, [B]: 0.5 };
+    const holdings = [holding(A, 500), holding(B, 300), holding(USDC_MINT, 200)];
+    const plan = planner.planRebalance({ holdings, targets, useCashFlows: true, cashMints: [SOL_MINT, USDC_MINT] });
+    expect(plan.totalUsd).toBe(1000);
+    expect(plan.swaps).toEqual([{ inputMint: USDC_MINT, outputMint: B, usd: 200, source: 'cash' }]);
+
+    // without cash flows the same book sells A
+    expect(planner.planRebalance({ holdings, targets }).swaps)
+      .toEqual([{ inputMint: A, outputMint: B, usd: 100, source: 'overweight' }]);
+  });
+
+  test('SOL gas buffer is never sold and dust legs are skipped', () => {
+    const holdings = planner.toHoldings([SOL_MINT, A], { [SOL_MINT]: 1, [A]: 0 }, { [SOL_MINT]: 100, [A]: 1 });
+    expect(holdings[0]).toMatchObject({ value: 100, lockedUsd: 2 });
+    const plan = planner.planRebalance({ holdings, targets: { [SOL_MINT]: 0.01, [A]: 0.99 } });
+    expect(plan.swaps).toEqual([{ inputMint: SOL_MINT, outputMint: A, usd: 98, source: 'overweight' }]);
+
+    const tiny = planner.planRebalance({ holdings: [holding(A, 53), holding(B, 47)], targets: { [A]: 0.5, [B]: 0.5 }, defaultBand: 0.01 });
+    expect(tiny.swaps).toEqual([]);
+  });
+});
+
+describe('previewRebalance', () => {
+  test('quotes every proposed swap and reports price impact', async () => {
+    fetchLiveTokenBalances.mockResolvedValue([
+      { mint: A, amount: 700, decimals: 6 },
+      { mint: B, amount: 300, decimals: 6 },
+    ]);
+    getTokenPrice.mockImplementation(async (_u, m) => (m === A || m === B ? 1 : 0));
+    getSwapQuote.mockResolvedValue({ priceImpactPct: '0.0042', outAmount: '199000000' });
+
+    const out = await previewRebalance({
+      config: { targetAllocations: { [A]: 50, [B]: 50 }, rebalanceThreshold: 5, slippage: 1 },
+      walletPublicKey: 'wallet',
+      userId: 'u1',
+    });
+
+    expect(getSwapQuote).toHaveBeenCalledWith({ inputMint: A, outputMint: B, amount: 200_000_000, slippage: 1 });
+    expect(out).toMatchObject({ trigger: 'band', weighting: 'fixed', totalUsd: 1000, nextRunAt: null });
+    expect(out.swaps).toEqual([expect.objectContaining({
+      inputMint: A, outputMint: B, usd: 200, amountIn: 200, priceImpactPct: 0.42, withinImpact: true,
+    })]);
+  });
+
+  test('rejects configs with fewer than two targets as a 400', async () => {
+    await expect(previewRebalance({ config: { targetAllocations: { [A]: 100 } }, walletPublicKey: 'w' }))
+      .rejects.toMatchObject({ status: 400, expose: true });
+  });
+});
@@ -0,0 +1,109 @@
+const EventEmitter = require('events');
+
+jest.mock('../prisma/prisma', () => {
+  const rows = new Map();
+  return {
+    userRiskState: {
+      findUnique: jest.fn(async ({ where }) => rows.get(where.userId) || null),
+      findMany: jest.fn(async () => [...rows.values()]),
+      upsert: jest.fn(async ({ where, update, create }) => {
+        const row = { ...(rows.get(where.userId) || { userId: where.userId }), ...(rows.has(where.userId) ? update : create) };
+        rows.set(where.userId, row);
+        return row;
+      }),
+      updateMany: jest.fn(async () => ({ count: 0 })),
+    },
+  };
+});
+
+const riskEngine = require('../services/riskEngine');
+const riskAuthority = require('../services/riskAuthority');
+
+// Stand-in for a spawned strategy: messages "from the child" are emitted
+// on the proc, replies from the authority land in `replies`.
+function fakeChild() {
+  const proc = new EventEmitter();
+  proc.connected = true;
+  proc.replies = [];
+  proc.send = (msg) => proc.replies.push(msg);
+  proc.ask = async (msg) => {
+    const reqId = `r${proc.replies.length}`;
+    proc.emit('message', { reqId, ...msg });
+    await new Promise((r) => setImmediate(r));
+    return proc.replies.find((m) => m.reqId === reqId);
+  };
+  return proc;
+}
+
+describe('riskAuthority', () => {
+  test('caps apply across every bot a user runs', async () => {
+    await riskEngine.setLimits('multi', { maxConcurrentExposureUsd: 100 });
+    const sniper = fakeChild();
+    const scalper = fakeChild();
+    riskAuthority.attachChild(sniper, { botId: 'sniper-1', userId: 'multi' });
+    riskAuthority.attachChild(scalper, { botId: 'scalper-1', userId: 'multi' });
+
+    const a = await sniper.ask({ type: riskAuthority.MSG.reserve, mint: 'mintA', usd: 70 });
+    const b = await scalper.ask({ type: riskAuthority.MSG.reserve, mint: 'mintB', usd: 70 });
+    expect(a).toMatchObject({ type: riskAuthority.MSG.reply, ok: true });
+    expect(b.ok).toBe(false);
+    expect(b.maxUsd).toBeCloseTo(30);
+
+    // A failed swap frees its room for the other bot
+    await sniper.ask({ type: riskAuthority.MSG.release, id: a.id });
+    const c = await scalper.ask({ type: riskAuthority.MSG.reserve, mint: 'mintB', usd: 70 });
+    expect(c.ok).toBe(true);
+    expect(riskEngine.getState('multi').exposureUsd).toBeCloseTo(70);
+  });
+
+  test('a child cannot settle another user\'s reservation', async () => {
+    const mine = await riskAuthority.reserveBuy({ userId: 'owner', mint: 'mintC', usd: 10 });
+    const other = fakeChild();
+    riskAuthority.attachChild(other, { botId: 'x', userId: 'intruder' });
+    const reply = await other.ask({ type: riskAuthority.MSG.release, id: mine.id });
+    expect(reply.ok).toBe(false);
+    expect(riskEngine.getState('owner').exposureUsd).toBeCloseTo(10);
+  });
+
+  test('guardBuy books SOL spend at the given price and settles to actual', async () => {
+    const quote = { inputMint: 'So11111111111111111111111111111111111111112', inAmount: '2000000000' };
+    const id = await riskAuthority.guardBuy({ quote, mint: 'mintD', userId: 'sol', solPriceUsd: 50 });
+    expect(riskEngine.getState('sol').perMint.mintD).toBeCloseTo(100);
+    await riskAuthority.settleBuy(id, 90);
+    expect(riskEngine.getState('sol').perMint.mintD).toBeCloseTo(90);
+
+    await riskEngine.triggerKillSwitch('sol', 'test');
+    await expect(riskAuthority.guardBuy({ quote, mint: 'mintD', userId: 'sol', solPriceUsd: 50 }))
+      .rejects.toMatchObject({ code: 'RISK' });
+  });
+
+  test('sells (non-base input) need no reservation', async () => {
+    const id = await riskAuthority.guardBuy({
+      quote: { inputMint: 'mintE', inAmount: '1000' }, mint: 'mintE', userId: 'seller',
+    });
+    expect(id).toBeNull();
+  });
+
+  test('a SOL spend that cannot be priced is refused', async () => {
+    const quote = { inputMint: 'So11111111111111111111111111111111111111112', inAmount: '1000000000' };
+    await expect(riskAuthority.guardBuy({ quote, mint: 'mintF', userId: 'unpriced', solPriceUsd: null }))
+      .rejects.toMatchObject({ code: 'RISK' });
+    expect(riskEngine.getState('unpriced').exposureUsd || 0).toBe(0);
+  });
+
+  test('exits free exposure and book realised losses', async () => {
+    await riskAuthority.reserveBuy({ userId: 'exit', mint: 'mintG', usd: 100 });
+    await riskAuthority.recordExit({ userId: 'exit', mint: 'mintG', costUsd: 60, pnlUsd: -20 });
+    const state = riskEngine.getState('exit');
+    expect(state.perMint.mintG).toBeCloseTo(40);
+    expect(state.exposureUsd).toBeCloseTo(40);
+    expect(state.dailyLossUsd).toBeCloseTo(20);
+
+    const child = fakeChild();
+    riskAuthority.attachChild(child, { botId: 'exit-bot', userId: 'exit' });
+    const reply = await child.ask({ type: riskAuthority.MSG.exit, mint: 'mintG', costUsd: 40, pnlUsd: 5 });
+    expect(reply.ok).toBe(true);
+    expect(riskEngine.getState('exit').exposureUsd).toBeCloseTo(0);
+    expect(riskEngine.getState('exit').dailyLossUsd).toBeCloseTo(20);
+  });
+});
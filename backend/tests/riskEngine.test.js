@@ -1,4 +1,28 @@
+// In-memory UserRiskState table so state survives "restarts" (new engines)
+jest.mock('../prisma/prisma', () => {
+  const rows = new Map();
+  const apply = (userId, data) => {
+    const row = { ...(rows.get(userId) || { userId }), ...data };
+    rows.set(userId, row);
+    return row;
+  };
+  return {
+    __rows: rows,
+    userRiskState: {
+      findUnique: jest.fn(async ({ where }) => rows.get(where.userId) || null),
+      findMany: jest.fn(async () => [...rows.values()]),
+      upsert: jest.fn(async ({ where, update, create }) =>
+        apply(where.userId, rows.has(where.userId) ? update : create)),
+      updateMany: jest.fn(async ({ data }) => {
+        for (const userId of rows.keys()) apply(userId, data);
+        return { count: rows.size };
+      }),
+    },
+  };
+});
+
 const riskEngine = require('../services/riskEngine');
+const { RiskEngine } = riskEngine;
 
 describe('RiskEngine', () => {
   test('allows trade within limits', () => {
@@ -12,4 +36,67 @@ describe('RiskEngine', () => {
     const result = riskEngine.checkTrade('user2', 'mint1', 1);
     expect(result.allowed).toBe(false);
   });
-});
\ No newline at end of file
+
+  test('kill switch and exposure survive a restart', async () => {
+    const before = new RiskEngine({ scheduleReset: false });
+    await before.recordTrade('user3', 'mintA', 250);
+    await before.triggerKillSwitch('user3', 'manual');
+
+    const after = new RiskEngine({ scheduleReset: false });
+    await after.loadAll();
+    const state = after.getState('user3');
+    expect(state.killSwitch).toBe(true);
+    expect(state.killReason).toBe('manual');
+    expect(state.perMint).toEqual({ mintA: 250 });
+    expect(after.checkTrade('user3', 'mintA', 1).allowed).toBe(false);
+
+    await after.resetKillSwitch('user3');
+    const again = new RiskEngine({ scheduleReset: false });
+    await again.load('user3');
+    expect(again.isKilled('user3')).toBe(false);
+  });
+
+  test('reset re-baselines the daily loss so the switch stays off', async () => {
+    const engine = new RiskEngine({ scheduleReset: false });
+    await engine.setLimits('user5', { maxDailyLossUsd: 100 });
+    await engine.recordLoss('user5', 'mintA', 150);
+    expect(engine.checkTrade('user5', 'mintA', 10).allowed).toBe(false);
+    expect(engine.isKilled('user5')).toBe(true);
+
+    await engine.resetKillSwitch('user5');
+    expect(engine.checkTrade('user5', 'mintA', 10).allowed).toBe(true);
+    expect(engine.isKilled('user5')).toBe(false);
+
+    const restored = new RiskEngine({ scheduleReset: false });
+    await restored.load('user5');
+    expect(restored.getState('user5').dailyLossUsd).toBe(0);
+  });
+
+  test('per-user overrides replace env defaults', async () => {
+    const engine = new RiskEngine({ scheduleReset: false });
+    await engine.setLimits('user4', { maxConcurrentExposureUsd: 100, tokenCaps: { mintB: 40 } });
+    expect(engine.checkTrade('user4', 'mintB', 500).maxUsd).toBe(40);
+    expect(engine.checkTrade('user4', 'mintC', 500).maxUsd).toBe(100);
+    await expect(engine.setLimits('user4', { bogus: 1 })).rejects.toThrow(/Unknown risk limit/);
+
+    const restored = new RiskEngine({ scheduleReset: false });
+    await restored.load('user4');
+    expect(restored.getLimits('user4').tokenCaps.mintB).toBe(40);
+  });
+
+  test('counters from a previous UTC day are not restored', async () => {
+    const prisma = require('../prisma/prisma');
+    prisma.__rows.set('user5', {
+      userId: 'user5',
+      dailyLossUsd: 900,
+      exposureUsd: 300,
+      exposuresJson: { perMint: { mintD: 300 }, perSector: {} },
+      dayStart: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+      killSwitch: false,
+    });
+    const engine = new RiskEngine({ scheduleReset: false });
+    const state = await engine.load('user5');
+    expect(state.dailyLossUsd).toBe(0);
+    expect(state.exposureUsd).toBe(0);
+  });
+});
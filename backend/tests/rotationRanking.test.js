@@ -0,0 +1,171 @@
+const ranking = require('../services/strategies/core/rotationRanking');
+
+const A = 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const B = 'BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+const C = 'CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+const D = 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+
+const cand = (mint, momentum, extra = {}) => ({ mint, momentum, change: momentum, volumeUSD: 1000, volatility: null, ...extra });
+const top = (scored, opts) => ranking.pickWinner(scored, opts).winner?.mint;
+
+describe('config', () => {
+  test('defaults keep the legacy momentum ranking', () => {
+    const rc = ranking.readRankingConfig({ minMomentum: 5 });
+    expect(rc).toMatchObject({ model: 'momentum', minMomentum: 0.05, momentumDecay: 0, volLookbackHours: 24, sectors: {} });
+    expect(rc.weights).toEqual({ momentum: 1, riskAdjusted: 1, volumeWeighted: 1, relativeStrength: 1 });
+    expect(ranking.needsVolatility(rc)).toBe(false);
+  });
+
+  test('unknown models fall back; empty sectors are dropped', () => {
+    const rc = ranking.readRankingConfig({
+      rankingModel: 'magic',
+      sectors: { memes: [A, B], empty: [] },
+      rankingWeights: { riskAdjusted: 0 },
+    });
+    expect(rc.model).toBe('momentum');
+    expect(rc.sectors).toEqual({ memes: [A, B] });
+    expect(ranking.needsVolatility({ ...rc, model: 'composite' })).toBe(false);
+    expect(ranking.needsVolatility({ ...rc, model: 'riskAdjusted' })).toBe(true);
+  });
+});
+
+describe('momentum decay', () => {
+  const stat = { priceChange1h: 0.2, priceChange30m: 0 }; // the whole +20 % came in the first half hour
+
+  test('0 keeps the window change, 1 keeps only the recent leg', () => {
+    expect(ranking.decayedMomentum(stat, '1h', 0)).toBeCloseTo(0.2, 10);
+    expect(ranking.decayedMomentum(stat, '1h', 1)).toBeCloseTo(0, 10);
+    expect(ranking.decayedMomentum(stat, '1h', 0.5)).toBeCloseTo(0.1, 10);
+  });
+
+  test('a stalled pump ranks below one still running', () => {
+    const running = { priceChange1h: 0.15, priceChange30m: 0.1 };
+    expect(ranking.decayedMomentum(stat, '1h', 0.5)).toBeLessThan(ranking.decayedMomentum(running, '1h', 0.5));
+  });
+
+  test('falls back to the 5m change when the window is missing', () => {
+    expect(ranking.decayedMomentum({ priceChange5m: 0.03 }, '10m', 0.5)).toBe(0.03);
+  });
+});
+
+describe('models', () => {
+  test('risk-adjusted prefers the smoother mover', () => {
+    const c = [cand(A, 0.1, { volatility: 0.2 }), cand(B, 0.06, { volatility: 0.05 })];
+    expect(top(ranking.scoreCandidates(c, { model: 'momentum' }))).toBe(A);
+    expect(top(ranking.scoreCandidates(c, { model: 'riskAdjusted' }))).toBe(B);
+  });
+
+  test('risk-adjusted skips tokens without price history', () => {
+    const res = ranking.pickWinner(ranking.scoreCandidates([cand(A, 0.1)], { model: 'riskAdjusted' }));
+    expect(res.winner).toBeNull();
+    expect(res.ranking[0].excluded).toBe('no price history');
+  });
+
+  test('volume-weighted scales by relative volume, capped at 3×', () => {
+    const c = [cand(A, 0.1, { volumeUSD: 100 }), cand(B, 0.05, { volumeUSD: 1e9 })];
+    const scored = ranking.scoreCandidates(c, { model: 'volumeWeighted' });
+    expect(top(scored)).toBe(B);
+    expect(scored[1].score).toBeCloseTo(0.05 * 2, 6); // B is ~2× the average of the two
+    expect(ranking.scoreCandidates([cand(A, 0.1, { volumeUSD: 0 })], { model: 'volumeWeighted' })[0].score).toBe(0.1);
+  });
+
+  test('relative strength reads the token/SOL ratio series', () => {
+    const series = (closes) => closes.map((close, i) => ({ ts: i * 300_000, close }));
+    const sol = series([100, 100, 110, 110]);
+    // ratio 0.01 → 0.012 → 0.01091 → 0.01182 (mean 0.01118): last vs the window mean
+    expect(ranking.relativeStrength(series([1, 1.2, 1.2, 1.3]), sol)).toBeCloseTo(0.056911, 6);
+    expect(ranking.relativeStrength(series([1, 1.2]), sol)).toBeNull();
+    expect(ranking.relativeStrength(series([1, 1.2, 1.2, 1.3]), [])).toBeNull();
+    expect(ranking.ratioInterval('1h')).toBe('5m');
+    expect(ranking.ratioInterval('24h')).toBe('2H');
+    expect(ranking.ratioInterval('5m')).toBe('1m');
+  });
+
+  test('relative strength can pick a different winner than momentum', () => {
+    const series = (closes) => closes.map((close, i) => ({ ts: i * 300_000, close }));
+    const sol = series([100, 100, 100, 100]);
+    // A: +30 % but the move came early and is fading against SOL
+    // B: +12 %, still gaining on SOL
+    const rsA = ranking.relativeStrength(series([1, 1.4, 1.35, 1.3]), sol);
+    const rsB = ranking.relativeStrength(series([1, 1.02, 1.06, 1.12]), sol);
+    const c = [cand(A, 0.3, { relativeStrength: rsA }), cand(B, 0.12, { relativeStrength: rsB })];
+    expect(top(ranking.scoreCandidates(c, { model: 'momentum' }))).toBe(A);
+    expect(top(ranking.scoreCandidates(c, { model: 'relativeStrength' }))).toBe(B);
+
+    const res = ranking.pickWinner(ranking.scoreCandidates([cand(C, 0.1)], { model: 'relativeStrength' }));
+    expect(res.ranking[0].excluded).toBe('no price history');
+  });
+
+  test('composite follows the user weights', () => {
+    // A: big move on thin volume. B: smaller move on heavy volume.
+    const c = [cand(A, 0.12, { volumeUSD: 100 }), cand(B, 0.1, { volumeUSD: 10_000 })];
+    const momentumOnly = { momentum: 1, riskAdjusted: 0, volumeWeighted: 0, relativeStrength: 0 };
+    const volumeOnly = { momentum: 0, riskAdjusted: 0, volumeWeighted: 1, relativeStrength: 0 };
+    expect(top(ranking.scoreCandidates(c, { model: 'composite', weights: momentumOnly }))).toBe(A);
+    expect(top(ranking.scoreCandidates(c, { model: 'composite', weights: volumeOnly }))).toBe(B);
+  });
+});
+
+describe('pickWinner', () => {
+  test('minMomentum and cooldown exclusions are kept in the ranking', () => {
+    const scored = ranking.scoreCandidates([cand(A, 0.01), cand(B, 0.05)], { model: 'momentum' });
+    const res = ranking.pickWinner([...scored, { mint: C, score: null, excluded: 'cooldown' }], { minMomentum: 0.02 });
+    expect(res.winner.mint).toBe(B);
+    expect(res.ranking.map((r) => [r.mint, r.rank, r.excluded])).toEqual([
+      [B, 1, null],
+      [A, 2, 'below minMomentum'],
+      [C, 3, 'cooldown'],
+    ]);
+  });
+
+  test('sector rotation picks the best sector, then the best token in it', () => {
+    const sectors = { memes: [A, B], infra: [C, D] };
+    // A is the single best token, but infra is stronger on average
+    const scored = ranking.scoreCandidates([cand(A, 0.3), cand(B, 0.0), cand(C, 0.2), cand(D, 0.18)], { model: 'momentum' });
+    const res = ranking.pickWinner(scored, { minMomentum: 0.02, sectors });
+    expect(res.sector).toBe('infra');
+    expect(res.winner.mint).toBe(C);
+    expect(res.sectors.map((s) => s.sector)).toEqual(['infra', 'memes']);
+    expect(res.sectors[0].score).toBeCloseTo(0.19, 10);
+
+    expect(top(scored, { minMomentum: 0.02 })).toBe(A);
+  });
+
+  test('a sector without an eligible token is passed over', () => {
+    const sectors = { hot: [A], warm: [B] };
+    const scored = ranking.scoreCandidates([cand(A, 0.01), cand(B, 0.005), cand(C, 0.5)], { model: 'momentum' });
+    const res = ranking.pickWinner(scored, { minMomentum: 0.0, sectors });
+    expect(res.winner.mint).toBe(A);
+    expect(res.ranking.find((r) => r.mint === C).excluded).toBe('not in a sector');
+
+    expect(ranking.pickWinner(scored, { minMomentum: 0.008, sectors }).sector).toBe('hot');
+    expect(ranking.pickWinner(scored, { minMomentum: 0.02, sectors }).winner).toBeNull();
+  });
+});
+
+describe('volatility & snapshot', () => {
+  test('per-bar vol scales with √time to the window', () => {
+    const candles = [100, 101, 100, 101, 100, 101].map((close, i) => ({ ts: i, close }));
+    const bar = ranking.realizedVol(candles);
+    expect(bar).toBeGreaterThan(0);
+    expect(ranking.windowVol(bar, '1h')).toBeCloseTo(bar * 2, 10); // 4 × 15m bars
+    expect(ranking.realizedVol(candles.slice(0, 3))).toBeNull();
+  });
+
+  test('snapshot records why the winner won', () => {
+    const scored = ranking.scoreCandidates([cand(A, 0.05, { symbol: 'AAA' }), cand(B, 0.01)], { model: 'momentum' });
+    const result = ranking.pickWinner(scored, { minMomentum: 0.02 });
+    const snap = ranking.buildSnapshot({
+      walletLabel: 'main', model: 'momentum', window: '1h', weights: {}, minMomentum: 0.02,
+      momentumDecay: 0, solMomentum: 0.01, result, rotated: true, reason: 'rotated',
+    });
+    expect(snap).toMatchObject({
+      walletLabel: 'main', model: 'momentum', window: '1h', rotated: true, sector: null, sectors: null,
+      winner: { mint: A, symbol: 'AAA', score: 0.05 },
+    });
+    expect(snap.weights).toBeUndefined();
+    expect(snap.ranking[1]).toMatchObject({ rank: 2, mint: B, excluded: 'below minMomentum', score: 0.01 });
+    expect(snap.ranking[0].components.relativeStrength).toBeNull();
+    expect(() => JSON.stringify(snap)).not.toThrow();
+  });
+});
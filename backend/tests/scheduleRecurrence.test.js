@@ -0,0 +1,176 @@
+jest.mock('node-schedule', () => { throw new Error('not installed'); }, { virtual: true });
+jest.mock('../prisma/prisma', () => {
+  const rows = new Map();
+  const runs = [];
+  return {
+    __rows: rows,
+    __runs: runs,
+    wallet: { findUnique: jest.fn(async () => ({ id: 'w1', userId: 'u1', label: 'main' })) },
+    scheduledStrategy: {
+      findMany: jest.fn(async () => []),
+      create: jest.fn(async ({ data }) => {
+        const row = { ...data, id: 'sched-0001-abcd', userId: 'u1', walletId: 'w1' };
+        rows.set(row.id, row);
+        return row;
+      }),
+      update: jest.fn(async ({ where, data }) => Object.assign(rows.get(where.id), data)),
+      updateMany: jest.fn(async () => ({ count: 1 })),
+      delete: jest.fn(async ({ where }) => rows.delete(where.id)),
+    },
+    scheduledRun: {
+      findMany: jest.fn(async () => []),
+      updateMany: jest.fn(async () => ({ count: 0 })),
+      create: jest.fn(async ({ data }) => { const r = { ...data, id: `run${runs.length}` }; runs.push(r); return r; }),
+      update: jest.fn(async ({ where, data }) => Object.assign(runs.find((r) => r.id === where.id), data)),
+    },
+    strategyRunStatus: { findFirst: jest.fn(async () => null) },
+  };
+});
+jest.mock('../services/utils/strategy_utils/activeStrategyTracker', () => ({ runningProcesses: {} }));
+jest.mock('../services/utils/strategy_utils/strategyLauncher', () => {
+  const { runningProcesses } = require('../services/utils/strategy_utils/activeStrategyTracker');
+  return {
+    startStrategy: jest.fn(async (mode, cfg) => { runningProcesses[cfg.botId] = { mode }; return { botId: cfg.botId }; }),
+    stopStrategy: jest.fn((botId) => { delete runningProcesses[botId]; return true; }),
+  };
+});
+jest.mock('../services/utils/strategy_utils/strategyValidator', () => ({ validateStrategyConfig: jest.fn(() => []) }));
+jest.mock('../config/featureFlags', () => ({ isStrategyEnabled: jest.fn(() => true) }));
+jest.mock('../utils/priceCache.dynamic', () => ({ getCachedPrice: jest.fn() }));
+jest.mock('../telegram/alerts', () => ({ sendAlert: jest.fn() }));
+
+const {
+  parseCron,
+  compileRecurrence,
+  nextOccurrence,
+  activeOccurrence,
+  assertTimezone,
+} = require('../services/utils/strategy_utils/scheduler/recurrence');
+
+const iso = (ms) => new Date(ms).toISOString();
+
+describe('schedule recurrence', () => {
+  const usSession = compileRecurrence({ type: 'window', days: [1, 2, 3, 4, 5], start: '09:30', end: '16:00' });
+
+  test('weekday window fires at the session open in the user timezone', () => {
+    // Fri 2026-03-06 17:00 New York → next is Mon 09:30 EDT (DST starts Mar 8)
+    const occ = nextOccurrence(usSession, Date.parse('2026-03-06T22:00:00Z'), 'America/New_York');
+    expect(iso(occ.startMs)).toBe('2026-03-09T13:30:00.000Z');
+    expect(occ.endMs - occ.startMs).toBe(390 * 60_000);
+  });
+
+  test('follows DST: same wall-clock time, different UTC', () => {
+    const before = nextOccurrence(usSession, Date.parse('2026-03-05T12:00:00Z'), 'America/New_York');
+    const after = nextOccurrence(usSession, Date.parse('2026-03-10T12:00:00Z'), 'America/New_York');
+    expect(iso(before.startMs)).toBe('2026-03-05T14:30:00.000Z');
+    expect(iso(after.startMs)).toBe('2026-03-10T13:30:00.000Z');
+  });
+
+  test('maxDurationMin caps a window and an overnight window wraps', () => {
+    expect(compileRecurrence({ type: 'window', days: [1], start: '09:30', end: '16:00' }, 60).durationMin).toBe(60);
+    expect(compileRecurrence({ type: 'window', days: [1], start: '22:00', end: '02:00' }).durationMin).toBe(240);
+  });
+
+  test('cron with lists, ranges and names', () => {
+    const c = compileRecurrence({ type: 'cron', expr: '0,30 9-10 * * mon-fri' }, 15);
+    const occ = nextOccurrence(c, Date.parse('2026-03-07T00:00:00Z'), 'UTC'); // Saturday
+    expect(iso(occ.startMs)).toBe('2026-03-09T09:00:00.000Z');
+    const second = nextOccurrence(c, occ.startMs, 'UTC');
+    expect(iso(second.startMs)).toBe('2026-03-09T09:30:00.000Z');
+    expect(parseCron('*/15 * * * *').minutes).toEqual([0, 15, 30, 45]);
+  });
+
+  test('activeOccurrence finds a run in progress after a restart', () => {
+    const mid = Date.parse('2026-03-10T15:00:00Z'); // Tue 11:00 EDT
+    const occ = activeOccurrence(usSession, mid, 'America/New_York');
+    expect(iso(occ.startMs)).toBe('2026-03-10T13:30:00.000Z');
+    expect(activeOccurrence(usSession, Date.parse('2026-03-10T21:00:00Z'), 'America/New_York')).toBeNull();
+  });
+
+  test('rejects invalid input', () => {
+    expect(() => compileRecurrence({ type: 'cron', expr: '0 9 * * *' })).toThrow(/maxDurationMin/);
+    expect(() => compileRecurrence({ type: 'cron', expr: '0 25 * * *' }, 10)).toThrow(/hour/);
+    expect(() => compileRecurrence({ type: 'window', days: [], start: '09:30', end: '16:00' })).toThrow(/weekdays/);
+    expect(() => compileRecurrence({ type: 'window', days: [1], start: '9h', end: '16:00' })).toThrow(/HH:MM/);
+    expect(() => assertTimezone('Mars/Olympus')).toThrow(/Unknown timezone/);
+    expect(nextOccurrence(compileRecurrence({ type: 'cron', expr: '0 0 31 2 *' }, 5), Date.now(), 'UTC')).toBeNull();
+  });
+});
+
+describe('recurring scheduler', () => {
+  const prisma = require('../prisma/prisma');
+  const launcher = require('../services/utils/strategy_utils/strategyLauncher');
+  const scheduler = require('../services/utils/strategy_utils/scheduler/strategyScheduler');
+
+  afterEach(() => jest.useRealTimers());
+
+  test('launches each occurrence, auto-stops it at the window end and records the run', async () => {
+    jest.useFakeTimers({ now: Date.parse('2026-03-10T13:00:00Z'), doNotFake: ['nextTick'] });
+    const jobId = await scheduler.scheduleStrategy({
+      name: 'US session', mode: 'scalper', config: { amountToSpend: 0.1 }, userId: 'u1', walletId: 'w1',
+      recurrence: { type: 'window', days: [1, 2, 3, 4, 5], start: '09:30', end: '10:00' },
+      timezone: 'America/New_York',
+    });
+    expect(prisma.__rows.get(jobId)).toMatchObject({ mode: 'scalper', launchISO: new Date('2026-03-10T13:30:00Z') });
+
+    await jest.advanceTimersByTimeAsync(30 * 60_000);
+    expect(launcher.startStrategy).toHaveBeenCalledWith('scalper', expect.objectContaining({
+      amountToSpend: 0.1, userId: 'u1', walletId: 'w1', scheduleId: jobId,
+    }), false);
+    expect(prisma.__runs[0]).toMatchObject({ status: 'running', scheduleId: jobId });
+    // next occurrence already armed for Wednesday
+    expect(scheduler.jobs.get(jobId).triggerTime.toISOString()).toBe('2026-03-11T13:30:00.000Z');
+
+    await jest.advanceTimersByTimeAsync(30 * 60_000);
+    expect(launcher.stopStrategy).toHaveBeenCalledWith(prisma.__runs[0].botId);
+    expect(prisma.__runs[0]).toMatchObject({ status: 'completed', stopReason: 'window_end' });
+
+    await scheduler.cancelSchedule(jobId);
+    expect(scheduler.jobs.has(jobId)).toBe(false);
+  });
+
+  test('a restart adopts an occurrence whose bot is still alive instead of relaunching it', async () => {
+    jest.useFakeTimers({ now: Date.parse('2026-03-10T13:45:00Z'), doNotFake: ['nextTick'] });
+    jest.clearAllMocks();
+    const fs = require('fs');
+    const row = {
+      id: 'sched-0002-abcd', mode: 'scalper', userId: 'u1', walletId: 'w1', status: 'running', config: {},
+      recurrence: { type: 'window', days: [1, 2, 3, 4, 5], start: '09:30', end: '10:00' },
+      timezone: 'America/New_York',
+    };
+    const alive = { id: 'runA', botId: 'scalper-sched-alive', scheduleId: row.id,
+      scheduledFor: new Date('2026-03-10T13:30:00Z'), plannedEndAt: new Date('2026-03-10T14:00:00Z') };
+    const gone = { ...alive, id: 'runB', botId: 'scalper-sched-gone', scheduleId: 'sched-old' };
+    prisma.scheduledStrategy.findMany.mockResolvedValueOnce([row]);
+    prisma.scheduledRun.findMany.mockResolvedValueOnce([alive, gone]);
+    prisma.strategyRunStatus.findFirst.mockImplementation(async ({ where }) => ({ pid: where.botId === alive.botId ? 4242 : 4343 }));
+    const read = fs.readFileSync;
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) => {
+      if (file === '/proc/4242/cmdline') return `node\0_bootstrap.js\0scalper.js\0/runtime/${alive.botId}.json`;
+      if (file === '/proc/4343/cmdline') return 'node\0some-other-process.js';   // reused pid
+      return read(file, ...rest);
+    });
+    const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+    await scheduler.init();
+    await jest.advanceTimersByTimeAsync(1_000);
+    expect(launcher.startStrategy).not.toHaveBeenCalled();
+    expect(prisma.scheduledRun.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: { in: ['runB'] } },
+    }));
+    expect(scheduler.jobs.get(row.id).triggerTime.toISOString()).toBe('2026-03-11T13:30:00.000Z');
+
+    // the adopted bot is stopped by its verified pid at the window end
+    await jest.advanceTimersByTimeAsync(15 * 60_000);
+    expect(kill).toHaveBeenCalledWith(4242, 'SIGTERM');
+    expect(kill).not.toHaveBeenCalledWith(4343, expect.anything());
+    expect(prisma.scheduledRun.update).toHaveBeenCalledWith({
+      where: { id: 'runA' },
+      data: expect.objectContaining({ status: 'completed', stopReason: 'window_end' }),
+    });
+
+    kill.mockRestore();
+    fs.readFileSync.mockRestore();
+    await scheduler.cancelSchedule(row.id);
+  });
+});
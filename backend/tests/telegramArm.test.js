@@ -0,0 +1,108 @@
+jest.mock('dotenv', () => ({ config: jest.fn() }), { virtual: true });
+jest.mock('axios', () => {
+  const api = { get: jest.fn(), post: jest.fn() };
+  return { __api: api, create: jest.fn(() => api) };
+}, { virtual: true });
+jest.mock('../telegram/utils/telegramPrefs.db', () => ({
+  userIdForChat: jest.fn(async (chatId) => (chatId === 1 ? 'u1' : null)),
+}));
+
+const axios = require('axios');
+const handleArm = require('../telegram/commandHandlers/handleArm');
+
+const api = axios.__api;
+const CHAT = 1;
+
+function fakeBot() {
+  const events = [];
+  return {
+    events,
+    sendMessage: jest.fn(async (chatId, text) => { events.push(['send', text]); return {}; }),
+    deleteMessage: jest.fn(async (chatId, id) => { events.push(['delete', id]); return true; }),
+  };
+}
+
+const overview = (over = {}) => ({
+  data: {
+    requires2FA: false,
+    armDefaultMinutes: 240,
+    wallets: [{ id: 7, label: 'main', armed: false, msLeft: 0 }, { id: 8, label: 'hot', armed: true, msLeft: 300_000 }],
+    ...over,
+  },
+});
+const text = (id, t) => ({ chat: { id: CHAT }, message_id: id, text: t });
+
+describe('telegram arm flows', () => {
+  beforeEach(() => {
+    api.get.mockReset();
+    api.post.mockReset();
+  });
+
+  test('passphrase message is deleted before the arm request is sent', async () => {
+    const bot = fakeBot();
+    api.get.mockResolvedValue(overview());
+    api.post.mockImplementation(async () => {
+      bot.events.push(['post']);
+      return { data: { ok: true, label: 'main', armedForMinutes: 60 } };
+    });
+
+    await handleArm(bot, text(10, '/arm main 60'), 'arm', 'main 60');
+    expect(await handleArm.handleArmInput(bot, text(11, 'correct horse'))).toBe(true);
+
+    expect(bot.events.findIndex((e) => e[0] === 'delete' && e[1] === 11))
+      .toBeLessThan(bot.events.findIndex((e) => e[0] === 'post'));
+    expect(api.post).toHaveBeenCalledWith('/', { userId: 'u1', walletId: 7, passphrase: 'correct horse', ttlMinutes: 60 });
+    expect(await handleArm.handleArmInput(bot, text(12, 'anything'))).toBe(false); // flow finished
+  });
+
+  test('asks for a 2FA code when the account requires it', async () => {
+    const bot = fakeBot();
+    api.get.mockResolvedValue(overview({ requires2FA: true }));
+    api.post.mockResolvedValue({ data: { ok: true, label: 'main', armedForMinutes: 240 } });
+
+    await handleArm.handleArmCallback(bot, { data: 'arm:start:7', message: { chat: { id: CHAT } } });
+    await handleArm.handleArmInput(bot, text(20, 'pass'));
+    expect(api.post).not.toHaveBeenCalled();
+
+    await handleArm.handleArmInput(bot, text(21, '12x'));
+    expect(api.post).not.toHaveBeenCalled();
+    await handleArm.handleArmInput(bot, text(22, '123456'));
+
+    expect(bot.deleteMessage.mock.calls.map((c) => c[1])).toEqual([20, 21, 22]);
+    expect(api.post).toHaveBeenCalledWith('/', expect.objectContaining({ passphrase: 'pass', twoFactorToken: '123456', ttlMinutes: 240 }));
+  });
+
+  test('Extend from the expiry alert is a single tap without 2FA', async () => {
+    const bot = fakeBot();
+    api.get.mockResolvedValue(overview());
+    api.post.mockResolvedValue({ data: { ok: true, extendedToMinutes: 120 } });
+
+    await handleArm.handleArmCallback(bot, { data: 'arm:extend:8', message: { chat: { id: CHAT } } });
+    expect(api.post).toHaveBeenCalledWith('/extend', { userId: 'u1', walletId: 8 });
+    expect(bot.sendMessage.mock.calls.at(-1)[1]).toMatch(/extended — 2h 0m left/);
+  });
+
+  test('reports a rejected 2FA code', async () => {
+    const bot = fakeBot();
+    api.get.mockResolvedValue(overview({ requires2FA: true }));
+    api.post.mockRejectedValue({ response: { status: 403, data: { needs2FA: true } } });
+
+    await handleArm.handleArmCallback(bot, { data: 'arm:disarmYes:8', message: { chat: { id: CHAT } } });
+    await handleArm.handleArmInput(bot, text(30, '000000'));
+    expect(api.post).toHaveBeenCalledWith('/disarm', { userId: 'u1', walletId: 8, twoFactorToken: '000000' });
+    expect(bot.sendMessage.mock.calls.at(-1)[1]).toBe('❌ disarm failed: Invalid or expired 2FA code.');
+  });
+
+  test('a failed overview request is answered instead of rejecting the handler', async () => {
+    const bot = fakeBot();
+    api.get.mockRejectedValue({ response: { status: 500, data: { error: 'db down' } } });
+
+    await expect(handleArm(bot, text(40, '/arm'), 'status')).resolves.toBeDefined();
+    await expect(handleArm.handleArmCallback(bot, { data: 'arm:start:7', message: { chat: { id: CHAT } } }))
+      .resolves.toBeDefined();
+    expect(bot.sendMessage.mock.calls.map((c) => c[1])).toEqual([
+      '❌ status failed: db down',
+      '❌ start failed: db down',
+    ]);
+  });
+});
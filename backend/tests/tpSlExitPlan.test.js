@@ -0,0 +1,100 @@
+const {
+  evaluateExitRule,
+  fillRungs,
+  buildExitRule,
+  ruleAllocation,
+  hasExitTargets,
+} = require('../services/strategies/core/TpSlManager');
+
+const ENTRY = 1;
+
+function rule(overrides = {}) {
+  return { tp: null, sl: null, tpPercent: null, slPercent: null, sellPct: null, ...overrides };
+}
+
+describe('TP/SL exit plans', () => {
+  test('classic single-threshold rules keep their old behaviour', () => {
+    const r = rule({ tp: 20, tpPercent: 50, sl: 10, slPercent: 100 });
+    expect(evaluateExitRule(r, { price: 1.1, entryPrice: ENTRY }).action).toBeNull();
+    const tp = evaluateExitRule(r, { price: 1.2, entryPrice: ENTRY });
+    expect(tp).toMatchObject({ action: 'tp', fraction: 0.5, exhausted: true });
+    expect(evaluateExitRule(r, { price: 0.9, entryPrice: ENTRY })).toMatchObject({ action: 'sl', fraction: 1 });
+  });
+
+  test('ladder rungs sell slices of the original position and move the stop to break-even', () => {
+    let r = rule({
+      tpLadder: [{ gainPct: 50, sellPct: 25 }, { gainPct: 20, sellPct: 50 }],
+      sl: 30,
+      slPercent: 100,
+      breakEvenAfterTp: true,
+    });
+
+    const first = evaluateExitRule(r, { price: 1.25, entryPrice: ENTRY });
+    expect(first).toMatchObject({ action: 'tp', fraction: 0.5, rungs: [0], exhausted: false });
+    expect(first.updates.stopPrice).toBe(ENTRY);
+
+    r = { ...r, ...first.updates, tpLadder: fillRungs(r.tpLadder, first.rungs, { txHash: 'tx1' }) };
+    expect(r.tpLadder[0]).toMatchObject({ gainPct: 20, txHash: 'tx1' });
+    expect(r.tpLadder[0].filledAt).toBeTruthy();
+
+    // 25 % of the original is half of the remaining 50 %.
+    const second = evaluateExitRule(r, { price: 1.6, entryPrice: ENTRY });
+    expect(second).toMatchObject({ action: 'tp', fraction: 0.5, rungs: [1], exhausted: false });
+
+    r = { ...r, ...second.updates, tpLadder: fillRungs(r.tpLadder, second.rungs) };
+    expect(evaluateExitRule(r, { price: 1.01, entryPrice: ENTRY }).action).toBeNull();
+    expect(evaluateExitRule(r, { price: 0.99, entryPrice: ENTRY })).toMatchObject({
+      action: 'breakeven',
+      fraction: 1,
+      exhausted: true,
+    });
+  });
+
+  test('trailing stop ratchets on the high-water mark', () => {
+    let r = rule({ trailingStopPct: 10 });
+    const up = evaluateExitRule(r, { price: 2, entryPrice: ENTRY });
+    expect(up.action).toBeNull();
+    expect(up.updates.highWaterPrice).toBe(2);
+    r = { ...r, ...up.updates };
+
+    // The mark never moves down.
+    const dip = evaluateExitRule(r, { price: 1.9, entryPrice: ENTRY });
+    expect(dip.action).toBeNull();
+    expect(dip.updates.highWaterPrice).toBeUndefined();
+
+    expect(evaluateExitRule(r, { price: 1.8, entryPrice: ENTRY })).toMatchObject({
+      action: 'trail',
+      fraction: 1,
+      exhausted: true,
+    });
+  });
+
+  test('crossing several rungs at once sells them together', () => {
+    const r = rule({ tpLadder: [{ gainPct: 10, sellPct: 30 }, { gainPct: 20, sellPct: 30 }, { gainPct: 80, sellPct: 40 }] });
+    const res = evaluateExitRule(r, { price: 1.3, entryPrice: ENTRY });
+    expect(res).toMatchObject({ action: 'tp', rungs: [0, 1], target: 20, exhausted: false });
+    expect(res.fraction).toBeCloseTo(0.6);
+  });
+
+  test('buildExitRule turns bot ladder weights into one plan rule', () => {
+    const row = buildExitRule({
+      mint: 'M',
+      walletId: 1,
+      userId: 'u1',
+      strategy: 'Turbo Sniper',
+      ladder: [25, 25, 50],
+      tpPercent: 40,
+      slPercent: 15,
+      trailingStopPct: 8,
+    });
+    expect(row.tpLadder).toEqual([
+      { gainPct: 10, sellPct: 25 },
+      { gainPct: 20, sellPct: 25 },
+      { gainPct: 40, sellPct: 50 },
+    ]);
+    expect(row).toMatchObject({ sl: 15, slPercent: 100, trailingStopPct: 8, enabled: true });
+    expect(hasExitTargets(row)).toBe(true);
+    expect(ruleAllocation(row)).toBe(100);
+    expect(buildExitRule({ mint: 'M', walletId: 1, userId: 'u1', strategy: 's' })).toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+jest.mock('axios', () => ({ post: jest.fn(async () => ({ status: 200 })) }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/notifications', () => ({ sendNotification: jest.fn() }));
+jest.mock('dotenv', () => ({ config: jest.fn() }), { virtual: true });
+jest.mock('../telegram/utils/watchlistData', () => ({ pending: jest.fn(() => []), clear: jest.fn() }));
+jest.mock('../telegram/utils/telegramPrefs.db', () => ({ userIdForChat: jest.fn(async () => 'u1') }));
+jest.mock('../services/utils/safety/uiSafetyStatUtils/getTokenMarketStatsPaid', () => jest.fn());
+jest.mock('../services/utils/safety/uiSafetyStatUtils/getTokenMarketStatsfree', () => jest.fn());
+jest.mock('../services/utils/safety/safetyCheckers/apiIsSafeToBuy', () => ({ isSafeToBuyDetailedAPI: jest.fn() }));
+jest.mock('../prisma/prisma', () => ({
+  watchlistEntry: {
+    update: jest.fn(async ({ data }) => ({ id: 'e1', ...data })),
+    findUnique: jest.fn(async () => null),
+    count: jest.fn(async () => 0),
+    create: jest.fn(async ({ data }) => ({ id: 'e-new', rules: [], ...data })),
+    deleteMany: jest.fn(async () => ({ count: 1 })),
+  },
+  watchlistAlertRule: { update: jest.fn(async () => ({})) },
+}));
+
+process.env.TELEGRAM_BOT_TOKEN = 'test-token';
+
+const axios = require('axios');
+const prisma = require('../prisma/prisma');
+const { sendNotification } = require('../services/notifications');
+const paidStats = require('../services/utils/safety/uiSafetyStatUtils/getTokenMarketStatsPaid');
+const { isSafeToBuyDetailedAPI } = require('../services/utils/safety/safetyCheckers/apiIsSafeToBuy');
+const rules = require('../services/watchlist/rules');
+const monitor = require('../services/watchlist/monitor');
+const watchlist = require('../services/watchlist');
+const telegram = require('../services/notifications/providers/telegram');
+const legacyList = require('../telegram/utils/watchlistData');
+const handleWatchlist = require('../telegram/commandHandlers/handleWatchlist');
+
+const MINT = 'So11111111111111111111111111111111111111112';
+const NOW = Date.parse('2026-05-01T12:00:00Z');
+const min = (n) => n * 60_000;
+
+const view = (over = {}) => ({ price: null, liquidity: null, volume: null, tier: null, passed: null, ...over });
+const safety = (passed, tier) => ({ passed, topHolders: { key: 'topHolders', passed: true, data: { tier } } });
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('rules', () => {
+  test('price_cross fires only on the crossing tick', () => {
+    const rule = { type: 'price_cross', params: { price: 1, direction: 'above' } };
+    expect(rules.evaluate(rule, { prev: view({ price: 0.9 }), next: view({ price: 1.05 }) }))
+      .toMatchObject({ data: { price: 1.05, targetPrice: 1 } });
+    expect(rules.evaluate(rule, { prev: view({ price: 1.02 }), next: view({ price: 1.05 }) })).toBeNull();
+    expect(rules.evaluate(rule, { prev: view({ price: 0.9 }), next: view() })).toBeNull();
+
+    const below = { type: 'price_cross', params: { price: 1, direction: 'below' } };
+    expect(rules.evaluate(below, { prev: view({ price: 1.1 }), next: view({ price: 0.99 }) })).not.toBeNull();
+  });
+
+  test('pct_move compares with the oldest sample inside the window', () => {
+    const history = [
+      { t: NOW - min(90), price: 0.5, volume: 100 },  // outside a 60 min window
+      { t: NOW - min(50), price: 1.0, volume: 1000 },
+      { t: NOW - min(10), price: 1.1, volume: 1500 },
+    ];
+    const up = { type: 'pct_move', params: { pct: 15, windowMin: 60, direction: 'up' } };
+    expect(rules.evaluate(up, { prev: view(), next: view({ price: 1.2 }), history, now: NOW }))
+      .toMatchObject({ data: { changePct: 20 } });
+    expect(rules.evaluate(up, { prev: view(), next: view({ price: 1.1 }), history, now: NOW })).toBeNull();
+
+    const down = { type: 'pct_move', params: { pct: 15, windowMin: 60, direction: 'down' } };
+    expect(rules.evaluate(down, { prev: view(), next: view({ price: 1.2 }), history, now: NOW })).toBeNull();
+
+    const volume = { type: 'pct_move', params: { pct: 100, windowMin: 60, metric: 'volume' } };
+    expect(rules.evaluate(volume, { prev: view(), next: view({ volume: 2500 }), history, now: NOW }).message)
+      .toBe('volume +150.00% in 60 min');
+  });
+
+  test('liquidity_drop measures from the window high', () => {
+    const history = [{ t: NOW - min(30), liquidity: 100_000 }, { t: NOW - min(5), liquidity: 90_000 }];
+    const rule = { type: 'liquidity_drop', params: { pct: 40, windowMin: 60 } };
+    expect(rules.evaluate(rule, { prev: view({ liquidity: 90_000 }), next: view({ liquidity: 55_000 }), history, now: NOW }))
+      .toMatchObject({ data: { liquidity: 55_000, changePct: -45 } });
+    expect(rules.evaluate(rule, { prev: view({ liquidity: 90_000 }), next: view({ liquidity: 70_000 }), history, now: NOW })).toBeNull();
+  });
+
+  test('holder_tier and safety_flip need both snapshots and honour their filters', () => {
+    const worse = { type: 'holder_tier', params: { worseOnly: true } };
+    const prev = view({ tier: 'Healthy (≤20%)', passed: true });
+    expect(rules.evaluate(worse, { prev, next: view({ tier: 'High (30–50%)' }) }))
+      .toMatchObject({ data: { tier: 'High (30–50%)', previousTier: 'Healthy (≤20%)' } });
+    expect(rules.evaluate(worse, { prev: view({ tier: 'High (30–50%)' }), next: view({ tier: 'Healthy (≤20%)' }) })).toBeNull();
+    expect(rules.evaluate(worse, { prev, next: view() })).toBeNull();
+
+    const flip = { type: 'safety_flip', params: { to: 'unsafe' } };
+    expect(rules.evaluate(flip, { prev, next: view({ passed: false }) })).toMatchObject({ data: { passed: false } });
+    expect(rules.evaluate(flip, { prev: view({ passed: false }), next: view({ passed: true }) })).toBeNull();
+  });
+
+  test('params are validated per type', () => {
+    expect(rules.validateParams('price_cross', { price: 1, direction: 'above' })).toEqual([]);
+    expect(rules.validateParams('price_cross', { price: '', direction: 'sideways' })).toHaveLength(2);
+    expect(rules.validateParams('pct_move', { pct: 5, windowMin: 5000 })).toEqual(['windowMin must be 1–1440']);
+    expect(rules.validateParams('nope', {})).toEqual(['unknown rule type nope']);
+  });
+});
+
+describe('monitor.refresh', () => {
+  const entry = (over = {}) => ({
+    id: 'e1',
+    userId: 'u1',
+    mint: MINT,
+    symbol: 'W*IF',
+    market: { price: 0.9, liquidity: 50_000 },
+    safety: safety(true, 'Healthy (≤20%)'),
+    safetyCheckedAt: new Date(NOW - min(5)),
+    history: [],
+    rules: [
+      { id: 'r1', type: 'price_cross', params: { price: 1, direction: 'above' }, enabled: true, cooldownMin: 60, lastFiredAt: null },
+      { id: 'r2', type: 'safety_flip', params: {}, enabled: true, cooldownMin: 60, lastFiredAt: null },
+    ],
+    ...over,
+  });
+
+  test('fires matching rules through sendNotification with buy / limit actions', async () => {
+    process.env.FRONTEND_URL = 'https://app.example.com/';
+    paidStats.mockResolvedValue({ price: 1.1, liquidity: 48_000, volume24hUSD: 9000 });
+
+    const { fired } = await monitor.refresh(entry(), { now: NOW });
+
+    expect(fired).toEqual([expect.objectContaining({ ruleId: 'r1', type: 'price_cross' })]);
+    expect(isSafeToBuyDetailedAPI).not.toHaveBeenCalled(); // safety checked 5 min ago
+    expect(sendNotification).toHaveBeenCalledWith('u1', 'WATCHLIST_ALERT', expect.objectContaining({
+      mint: MINT,
+      rule: 'price_cross',
+      ruleId: 'r1',
+      price: 1.1,
+      symbol: 'WIF',
+      actions: [
+        { type: 'buy', label: 'Buy now', url: `https://app.example.com/watchlist?mint=${MINT}&action=buy` },
+        { type: 'limit', label: 'Set limit', url: `https://app.example.com/watchlist?mint=${MINT}&action=limit` },
+      ],
+    }));
+    expect(prisma.watchlistAlertRule.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'r1' } }));
+
+    const saved = prisma.watchlistEntry.update.mock.calls[0][0].data;
+    expect(saved.market.price).toBe(1.1);
+    expect(saved.history).toEqual([{ t: NOW, price: 1.1, liquidity: 48_000, volume: 9000 }]);
+    expect(saved.safety).toBeUndefined();
+  });
+
+  test('rules in cooldown stay quiet; due safety rules trigger a scan', async () => {
+    paidStats.mockResolvedValue({ price: 1.1, liquidity: 48_000 });
+    isSafeToBuyDetailedAPI.mockResolvedValue(safety(false, 'Healthy (≤20%)'));
+    const e = entry({ safetyCheckedAt: new Date(NOW - min(60)) });
+    e.rules[0].lastFiredAt = new Date(NOW - min(10));
+
+    const { fired } = await monitor.refresh(e, { now: NOW });
+
+    expect(isSafeToBuyDetailedAPI).toHaveBeenCalledWith(MINT);
+    expect(fired.map((f) => f.ruleId)).toEqual(['r2']);
+    expect(sendNotification.mock.calls[0][2]).toMatchObject({ rule: 'safety_flip', passed: false });
+    expect(prisma.watchlistEntry.update.mock.calls[0][0].data.safetyCheckedAt).toEqual(new Date(NOW));
+  });
+
+  test('a failed market fetch never fires market rules', async () => {
+    paidStats.mockRejectedValue(new Error('birdeye down'));
+    const free = require('../services/utils/safety/uiSafetyStatUtils/getTokenMarketStatsfree');
+    free.mockResolvedValue(null);
+
+    const { fired } = await monitor.refresh(entry(), { now: NOW });
+    expect(fired).toEqual([]);
+    expect(prisma.watchlistEntry.update.mock.calls[0][0].data.market).toBeUndefined();
+  });
+});
+
+describe('service', () => {
+  test('rejects bad mints and rule params with exposed 400s', async () => {
+    await expect(watchlist.add('u1', 'not-a-mint')).rejects.toMatchObject({ status: 400, expose: true });
+    await expect(watchlist.addRule('u1', MINT, { type: 'pct_move', params: { pct: 0 } }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(await watchlist.remove('u1', undefined)).toBe(false);
+    expect(prisma.watchlistEntry.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('add creates once and reports duplicates', async () => {
+    const { created } = await watchlist.add('u1', MINT);
+    expect(created).toBe(true);
+    prisma.watchlistEntry.findUnique.mockResolvedValueOnce({ id: 'e1', mint: MINT, rules: [] });
+    expect((await watchlist.add('u1', MINT)).created).toBe(false);
+  });
+});
+
+describe('telegram provider', () => {
+  test('alert actions become callback buttons', async () => {
+    await telegram.send('u1', 'WATCHLIST_ALERT', {
+      mint: MINT,
+      message: 'price crossed',
+      actions: monitor.actionsFor(MINT),
+    }, { chatId: '42' });
+    const body = axios.post.mock.calls[0][1];
+    expect(body.reply_markup.inline_keyboard[0].map((b) => b.callback_data)).toEqual([`buyAgain:${MINT}`, `wlLimit:${MINT}`]);
+  });
+});
+
+describe('telegram /watchlist', () => {
+  test('the legacy JSON list is only cleared after the DB import succeeds', async () => {
+    const bot = { sendMessage: jest.fn(async () => {}) };
+    const msg = { chat: { id: 42 } };
+    jest.spyOn(watchlist, 'list').mockResolvedValue([]);
+    const importEntries = jest.spyOn(watchlist, 'importEntries');
+    legacyList.pending.mockReturnValue([MINT]);
+
+    importEntries.mockRejectedValueOnce(new Error('db down'));
+    await handleWatchlist(bot, msg);
+    expect(legacyList.clear).not.toHaveBeenCalled();
+
+    importEntries.mockResolvedValueOnce(1);
+    await handleWatchlist(bot, msg);
+    expect(importEntries).toHaveBeenLastCalledWith('u1', [MINT]);
+    expect(legacyList.clear).toHaveBeenCalledWith(42);
+  });
+});
@@ -0,0 +1,220 @@
+process.env.ENCRYPTION_SECRET = 'b'.repeat(64);
+
+jest.mock('axios', () => ({ post: jest.fn() }), { virtual: true });
+jest.mock('nodemailer', () => ({ createTransport: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../prisma/prisma', () => {
+  const endpoints = [];
+  const deliveries = [];
+  let seq = 0;
+  const match = (row, where = {}) => Object.entries(where).every(([k, v]) => {
+    if (v && typeof v === 'object' && !(v instanceof Date)) {
+      if ('lte' in v) return row[k] && row[k] <= v.lte;
+      return true;
+    }
+    if (v instanceof Date) return row[k] && row[k].getTime() === v.getTime();
+    return row[k] === v;
+  });
+  return {
+    __endpoints: endpoints,
+    __deliveries: deliveries,
+    notificationPreference: { findMany: jest.fn(async () => []) },
+    webhookEndpoint: {
+      findMany: jest.fn(async ({ where }) => endpoints.filter((e) => match(e, where))),
+      findUnique: jest.fn(async ({ where }) => endpoints.find((e) => e.id === where.id) || null),
+    },
+    webhookDelivery: {
+      create: jest.fn(async ({ data }) => {
+        const row = { id: `d${++seq}`, status: 'pending', attempts: 0, createdAt: new Date(), ...data };
+        deliveries.push(row);
+        return { ...row };
+      }),
+      update: jest.fn(async ({ where, data }) => Object.assign(deliveries.find((d) => d.id === where.id), data)),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = deliveries.filter((d) => match(d, where));
+        rows.forEach((d) => Object.assign(d, data));
+        return { count: rows.length };
+      }),
+      findMany: jest.fn(async ({ where }) => deliveries.filter((d) => match(d, where)).map((d) => ({ ...d }))),
+      findFirst: jest.fn(async ({ where }) => deliveries.find((d) => match(d, where)) || null),
+    },
+  };
+});
+
+const axios = require('axios');
+const prisma = require('../prisma/prisma');
+const webhook = require('../services/notifications/providers/webhook');
+const { buildEvent, validateEvent } = require('../services/notifications/events');
+const { sendNotification } = require('../services/notifications');
+
+const SECRET = 'whsec_test';
+
+// the first attempt runs in the background once the row is stored
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+function addEndpoint(overrides = {}) {
+  const id = `ep${prisma.__endpoints.length + 1}`;
+  const ep = {
+    id, userId: 'u1', url: `https://hooks.example.com/${id}`, events: [], enabled: true,
+    secretEnc: webhook.encryptSecret(id, SECRET), ...overrides,
+  };
+  prisma.__endpoints.push(ep);
+  return ep;
+}
+
+beforeEach(() => {
+  prisma.__endpoints.length = 0;
+  prisma.__deliveries.length = 0;
+  axios.post.mockReset();
+});
+
+describe('signatures', () => {
+  test('verifySignature accepts fresh signatures and rejects tampering or stale ones', () => {
+    const body = JSON.stringify({ hello: 'world' });
+    const header = webhook.sign(SECRET, body);
+    expect(webhook.verifySignature(SECRET, header, body)).toBe(true);
+    expect(webhook.verifySignature(SECRET, header, body + ' ')).toBe(false);
+    expect(webhook.verifySignature('other', header, body)).toBe(false);
+    const old = webhook.sign(SECRET, body, Math.floor(Date.now() / 1000) - 3600);
+    expect(webhook.verifySignature(SECRET, old, body)).toBe(false);
+  });
+});
+
+describe('delivery', () => {
+  test('signed envelope is delivered to subscribed endpoints only', async () => {
+    const all = addEndpoint();
+    addEndpoint({ events: ['LIMIT_FILLED'] });
+    axios.post.mockResolvedValue({ status: 200 });
+
+    await sendNotification('u1', 'RISK_KILL', { reason: 'daily loss' });
+    await settle();
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe(all.url);
+    const envelope = JSON.parse(body);
+    expect(envelope).toMatchObject({ type: 'RISK_KILL', version: 1, userId: 'u1', data: { reason: 'daily loss' } });
+    expect(headers['X-Webhook-Id']).toBe(envelope.id);
+    expect(webhook.verifySignature(SECRET, headers['X-Webhook-Signature'], body)).toBe(true);
+    expect(prisma.__deliveries[0]).toMatchObject({ status: 'delivered', attempts: 1, lastStatus: 200 });
+  });
+
+  test('5xx schedules a retry, 4xx dead-letters immediately', async () => {
+    addEndpoint();
+    axios.post.mockResolvedValueOnce({ status: 503 });
+    await sendNotification('u1', 'RISK_KILL', { reason: 'x' });
+    await settle();
+    const retry = prisma.__deliveries[0];
+    expect(retry).toMatchObject({ status: 'pending', attempts: 1, lastStatus: 503 });
+    expect(retry.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 20_000);
+
+    axios.post.mockResolvedValueOnce({ status: 410 });
+    await sendNotification('u1', 'RISK_KILL', { reason: 'y' });
+    await settle();
+    expect(prisma.__deliveries[1]).toMatchObject({ status: 'dead', attempts: 1, lastStatus: 410, nextAttemptAt: null });
+  });
+
+  test('worker retries due rows and dead-letters after MAX_ATTEMPTS', async () => {
+    addEndpoint();
+    axios.post.mockRejectedValue(new Error('ECONNREFUSED'));
+    await sendNotification('u1', 'RISK_KILL', { reason: 'x' });
+    await settle();
+    const row = prisma.__deliveries[0];
+
+    for (let i = 1; i < webhook.MAX_ATTEMPTS; i++) {
+      row.nextAttemptAt = new Date(Date.now() - 1000);
+      expect(await webhook.processDue()).toBe(1);
+    }
+    expect(row).toMatchObject({ status: 'dead', attempts: webhook.MAX_ATTEMPTS, lastError: 'ECONNREFUSED' });
+    expect(await webhook.processDue()).toBe(0);
+  });
+
+  test('resend creates a new delivery with the same event id', async () => {
+    addEndpoint();
+    axios.post.mockResolvedValueOnce({ status: 400 });
+    await sendNotification('u1', 'RISK_KILL', { reason: 'x' });
+    await settle();
+    const dead = prisma.__deliveries[0];
+
+    axios.post.mockResolvedValueOnce({ status: 204 });
+    const again = await webhook.resend('u1', dead.id);
+    expect(again).toMatchObject({ resendOf: dead.id, eventId: dead.eventId, status: 'pending' });
+    await settle();
+    expect(prisma.__deliveries[1]).toMatchObject({ id: again.id, status: 'delivered' });
+    expect(await webhook.resend('someone-else', dead.id)).toBeNull();
+  });
+
+  test('enqueue returns before the first attempt finishes', async () => {
+    addEndpoint();
+    let answer;
+    axios.post.mockReturnValueOnce(new Promise((resolve) => { answer = resolve; }));
+    await sendNotification('u1', 'RISK_KILL', { reason: 'slow' });
+    await settle();
+    expect(prisma.__deliveries[0]).toMatchObject({ status: 'pending', attempts: 0 });
+
+    answer({ status: 200 });
+    await settle();
+    expect(prisma.__deliveries[0]).toMatchObject({ status: 'delivered', attempts: 1 });
+  });
+
+  test('a private target is dead-lettered without a request', async () => {
+    await webhook.send('u1', 'RISK_KILL', { reason: 'x' }, { webhookUrl: 'http://169.254.169.254/latest' });
+    await settle();
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(prisma.__deliveries[0]).toMatchObject({ status: 'dead', attempts: 1 });
+  });
+
+  test('signed deliveries to a disabled endpoint are dead-lettered without a request', async () => {
+    const ep = addEndpoint();
+    axios.post.mockResolvedValueOnce({ status: 500 });
+    await sendNotification('u1', 'RISK_KILL', { reason: 'x' });
+    await settle();
+    ep.enabled = false;
+    prisma.__deliveries[0].nextAttemptAt = new Date(Date.now() - 1000);
+
+    await webhook.processDue();
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(prisma.__deliveries[0]).toMatchObject({ status: 'dead', lastError: 'endpoint removed or disabled' });
+  });
+});
+
+describe('catalog & urls', () => {
+  test('buildEvent validates payloads against the catalog schema', () => {
+    expect(validateEvent('LIMIT_FILLED', { orderId: 'o1', side: 'buy', mint: 'M' })).toEqual([]);
+    expect(validateEvent('LIMIT_FILLED', { orderId: 'o1', side: 'hold' })).toEqual(
+      expect.arrayContaining(['data.side should be one of buy, sell', 'data.mint is required']));
+    const env = buildEvent('u1', 'DCA_TRANCHE', { orderId: 'o', round: 2, status: 'executed', message: 'chat text' });
+    expect(env.data).toEqual({ orderId: 'o', round: 2, status: 'executed' });
+    expect(env.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('assertWebhookUrl blocks private and loopback targets', () => {
+    expect(webhook.assertWebhookUrl('https://hooks.example.com/x')).toBe('https://hooks.example.com/x');
+    for (const bad of ['https://127.0.0.1/x', 'https://10.1.2.3/x', 'https://[::1]/x', 'https://localhost/x', 'ftp://example.com',
+      'https://169.254.169.254/x', 'https://[::ffff:127.0.0.1]/x', 'https://100.100.100.200/x']) {
+      expect(() => webhook.assertWebhookUrl(bad)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+
+  test('safeLookup refuses hosts that resolve to private addresses', async () => {
+    const dns = require('dns');
+    const spy = jest.spyOn(dns, 'lookup');
+    const resolve = (host, options) => new Promise((ok) => webhook.safeLookup(host, options, (err, ...rest) => ok({ err, rest })));
+
+    spy.mockImplementation((host, opts, cb) => cb(null, [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]));
+    expect((await resolve('rebind.example.com', {})).err).toMatchObject({ code: 'EWEBHOOKPRIVATE' });
+
+    for (const [address, family] of [
+      ['198.18.0.1', 4], ['198.19.255.254', 4], ['224.0.0.251', 4], ['239.255.255.250', 4],
+      ['240.0.0.1', 4], ['255.255.255.255', 4], ['64:ff9b::a9fe:a9fe', 6], ['::ffff:198.18.0.1', 6],
+    ]) {
+      spy.mockImplementation((host, opts, cb) => cb(null, [{ address, family }]));
+      expect((await resolve('reserved.example.com', {})).err).toMatchObject({ code: 'EWEBHOOKPRIVATE' });
+    }
+
+    spy.mockImplementation((host, opts, cb) => cb(null, [{ address: '93.184.216.34', family: 4 }]));
+    expect(await resolve('hooks.example.com', {})).toEqual({ err: null, rest: ['93.184.216.34', 4] });
+    expect((await resolve('hooks.example.com', { all: true })).rest).toEqual([[{ address: '93.184.216.34', family: 4 }]]);
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,136 @@
+const { createWsHub, tokenFromRequest, parseTopic } = require('../services/wsHub');
+
+const MINT = 'So11111111111111111111111111111111111111112';
+
+function fakeSocket() {
+  return {
+    OPEN: 1,
+    readyState: 1,
+    sent: [],
+    closed: null,
+    send(s) { this.sent.push(JSON.parse(s)); },
+    close(code, reason) { this.closed = { code, reason }; this.readyState = 3; },
+  };
+}
+
+async function connect(hub, user, topics = []) {
+  const ws = fakeSocket();
+  await hub.add(ws, user).ready;
+  if (topics.length) await hub.handleMessage(ws, JSON.stringify({ op: 'subscribe', topics }));
+  ws.sent.length = 0;
+  return ws;
+}
+
+describe('wsHub', () => {
+  const owners = { botA: 'alice', botB: 'bob' };
+  let hub;
+  beforeEach(() => { hub = createWsHub({ ownerOfBot: (id) => owners[id] || null }); });
+
+  test('reads the token from Bearer, cookie or query string', () => {
+    expect(tokenFromRequest({ headers: { authorization: 'Bearer abc' } })).toBe('abc');
+    expect(tokenFromRequest({ headers: { cookie: 'x=1; __Host-access_token=cook%2E1' } })).toBe('cook.1');
+    expect(tokenFromRequest({ headers: { cookie: 'access_token=legacy' } })).toBe('legacy');
+    expect(tokenFromRequest({ headers: {}, url: '/ws/logs?token=qs' })).toBe('qs');
+    expect(tokenFromRequest({ headers: {}, url: '/ws/logs' })).toBeNull();
+  });
+
+  test('validates topic shapes', () => {
+    expect(parseTopic('orders')).toBe('orders');
+    expect(parseTopic('logs:*')).toBe('logs:*');
+    expect(parseTopic('logs:botA')).toBe('logs:botA');
+    expect(parseTopic(`prices:${MINT}`)).toBe(`prices:${MINT}`);
+    expect(parseTopic('prices:not-a-mint')).toBeNull();
+    expect(parseTopic('everything')).toBeNull();
+  });
+
+  test('unauthenticated sockets are closed and never receive data', async () => {
+    const ws = fakeSocket();
+    hub.add(ws, Promise.resolve(null));
+    expect(await hub.handleMessage(ws, '{"op":"subscribe","topics":["orders"]}')).toBeNull();
+    expect(ws.closed).toEqual({ code: 4401, reason: 'unauthorized' });
+    expect(hub.routeEvent({ userId: 'alice', type: 'order_executed' })).toBe(0);
+    expect(ws.sent).toEqual([]);
+  });
+
+  test('log lines reach only the bot owner and only when subscribed', async () => {
+    const alice = await connect(hub, { id: 'alice' }, ['logs:botA']);
+    const aliceAll = await connect(hub, { id: 'alice' }, ['logs:*']);
+    const bob = await connect(hub, { id: 'bob' }, ['logs:botA', 'logs:*']);
+    const idle = await connect(hub, { id: 'alice' });
+
+    expect(hub.routeLog(JSON.stringify({ botId: 'botA', level: 'INFO', line: 'hi' }))).toBe(2);
+    expect(alice.sent).toEqual([{ botId: 'botA', level: 'INFO', line: 'hi', topic: 'logs:botA' }]);
+    expect(aliceAll.sent).toHaveLength(1);
+    expect(bob.sent).toEqual([]);
+    expect(idle.sent).toEqual([]);
+
+    // unknown owner never fans out
+    expect(hub.routeLog({ botId: 'ghost', line: 'x' })).toBe(0);
+  });
+
+  test('orders go to the event user, health is filtered per owner, prices are public', async () => {
+    const alice = await connect(hub, { id: 'alice' }, ['orders', 'health', `prices:${MINT}`]);
+    const bob = await connect(hub, { id: 'bob' }, ['orders', 'health']);
+
+    hub.routeEvent(JSON.stringify({ channel: 'events', userId: 'alice', type: 'order_executed' }));
+    expect(alice.sent.map((m) => m.topic)).toEqual(['orders']);
+    expect(bob.sent).toEqual([]);
+
+    hub.routeHealth({ ts: 1, bots: { botA: { healthLevel: 'green' }, botB: { healthLevel: 'red' } } });
+    expect(alice.sent[1].bots).toEqual({ botA: { healthLevel: 'green' } });
+    expect(bob.sent[0].bots).toEqual({ botB: { healthLevel: 'red' } });
+
+    expect(hub.activeTopics('prices:')).toEqual([`prices:${MINT}`]);
+    expect(hub.publishPrice(MINT, 150)).toBe(1);
+    expect(alice.sent[2]).toMatchObject({ channel: 'prices', mint: MINT, price: 150 });
+  });
+
+  test('subscribe / unsubscribe replies and rejects unknown topics', async () => {
+    const ws = await connect(hub, { id: 'alice' });
+    const r = await hub.handleMessage(ws, JSON.stringify({ op: 'subscribe', topics: ['orders', 'bogus'] }));
+    expect(r).toEqual({ channel: 'ws', type: 'subscribed', topics: ['orders'], rejected: ['bogus'] });
+    const u = await hub.handleMessage(ws, Buffer.from('{"op":"unsubscribe","topics":["orders"]}'));
+    expect(u.topics).toEqual([]);
+    expect((await hub.handleMessage(ws, 'nope')).type).toBe('error');
+  });
+
+  test('journaled frames carry seq and a reconnect replays the gap before live frames', async () => {
+    const entries = [];
+    let release;
+    const journal = {
+      head: () => entries.length,
+      record: ({ topic, payload }) => { entries.push({ seq: entries.length + 1, topic, payload }); return entries.length; },
+      since: async (_uid, after) => {
+        const gap = entries.filter((e) => e.seq > after); // snapshot, then a slow "query"
+        await new Promise((r) => { release = r; });
+        return { entries: gap, truncated: false };
+      },
+    };
+    hub = createWsHub({ ownerOfBot: (id) => owners[id] || null, journal });
+
+    const first = await connect(hub, { id: 'alice' }, ['logs:botA']);
+    hub.routeLog({ botId: 'botA', line: 'one' });
+    expect(first.sent[0]).toMatchObject({ line: 'one', seq: 1 });
+
+    // socket drops; two lines are missed
+    hub.remove(first);
+    hub.routeLog({ botId: 'botA', line: 'two' });
+    hub.routeLog({ botId: 'botA', line: 'three' });
+
+    const ws = fakeSocket();
+    await hub.add(ws, { id: 'alice' }).ready;
+    const pending = hub.handleMessage(ws, JSON.stringify({ op: 'subscribe', topics: ['logs:botA'], lastSeq: 1 }));
+    await new Promise((r) => setImmediate(r));
+    hub.routeLog({ botId: 'botA', line: 'four' }); // live while replaying → held
+    // an overlapping replay must not release the first one's held frames
+    expect(await hub.handleMessage(ws, JSON.stringify({ op: 'replay', lastSeq: 0 })))
+      .toMatchObject({ type: 'error', error: 'replay in progress' });
+    expect(ws.sent.some((m) => m.line === 'four')).toBe(false);
+    release();
+    await pending;
+
+    const data = ws.sent.filter((m) => m.line).map((m) => [m.seq, m.line, !!m.replay]);
+    expect(data).toEqual([[2, 'two', true], [3, 'three', true], [4, 'four', false]]);
+    expect(ws.sent.find((m) => m.type === 'replayed')).toMatchObject({ from: 1, upTo: 3, count: 2 });
+  });
+});
@@ -18,6 +18,10 @@ import { useUserPrefs }    from "@/contexts/UserPrefsContext";
 import { CircleDot,RefreshCw, } from "lucide-react";
 import { startStrategy, stopStrategy, fetchBotStatus, fetchDetailedStatus, pauseStrategy, resumeStrategy, deleteStrategy, } from "@/utils/autobotApi";
 import FloatingBotBeacon from "./components/Dashboard/BotBeaconModal";
+import PipelinesPanel from "@/components/Dashboard/PipelinesPanel";
+
+// Every log line of the user's bots (MiniConsole) + order events (toasts)
+const APP_SOCKET_TOPICS = ["logs:*", "orders"];
 
 // App.jsx — put these helpers near your other utils
 const parseFlexibleNumber = (v) => {
@@ -274,6 +278,39 @@ const CONFIG_BUILDERS = {
     autoSell: cfg.autoSell,
     useSignals: !!cfg.useSignals,
   }),
+  gridTrader: (cfg, wallets, target, resolved, activeWallet) => ({
+    ...buildBaseConfig(cfg, wallets, target, resolved, activeWallet),
+    tokenMint: cfg.tokenMint,
+    lowerPrice: safeNum(cfg.lowerPrice),
+    upperPrice: safeNum(cfg.upperPrice),
+    gridLevels: safeNum(cfg.gridLevels, 10),
+    spacing: cfg.spacing || "arithmetic",
+    stopOutPct: safeNum(cfg.stopOutPct, 5),
+    stopOutAction: cfg.stopOutAction || "sell",
+    interval: safeNum(cfg.interval, 15),
+    maxTrades: safeNum(cfg.maxTrades, 100),
+    paperMode: !!cfg.paperMode,
+    ...(cfg.paperMode && {
+      execModel: cfg.execModel || "ideal",
+      slippageBpsCap: safeNum(cfg.slippageBpsCap),
+    }),
+  }),
+  meanReversion: (cfg, wallets, target, resolved, activeWallet) => ({
+    ...buildBaseConfig(cfg, wallets, target, resolved, activeWallet),
+    tokenMint: cfg.tokenMint,
+    anchor: cfg.anchor || "vwap",
+    lookback: safeNum(cfg.lookback, 20),
+    candleInterval: cfg.candleInterval || "1m",
+    entryZ: safeNum(cfg.entryZ, 2),
+    exitZ: safeNum(cfg.exitZ, 0),
+    maxHoldMinutes: safeNum(cfg.maxHoldMinutes, 60),
+    stopLossPct: safeNum(cfg.stopLossPct),
+    ...(cfg.fullSizeZ !== "" && cfg.fullSizeZ != null && { fullSizeZ: safeNum(cfg.fullSizeZ) }),
+    maxSizeMultiplier: safeNum(cfg.maxSizeMultiplier, 2),
+    trendFilter: cfg.trendFilter !== false,
+    interval: safeNum(cfg.interval, 60),
+    maxTrades: safeNum(cfg.maxTrades, 10),
+  }),
 rebalancer: function (cfg, _target, resolvedWallets, activeWallet) {
   const p = cfg._prefs || {};
   let raw = toNum(cfg.rebalanceThreshold);
@@ -314,6 +351,10 @@ rotationBot: (cfg, selectedWallets, _target, resolvedWallets, activeWallet) => {
   rotationInterval  : safeNum(cfg.rotationInterval),   // 30 min default
   priceChangeWindow : cfg.priceChangeWindow ?? "",
   minMomentum       : safeNum(cfg.minMomentum), 
+  rankingModel      : cfg.rankingModel || "momentum",
+  ...(cfg.rankingModel === "composite" && cfg.rankingWeights ? { rankingWeights: cfg.rankingWeights } : {}),
+  momentumDecay     : safeNum(cfg.momentumDecay, 0),
+  ...(cfg.volLookbackHours !== "" && cfg.volLookbackHours != null ? { volLookbackHours: safeNum(cfg.volLookbackHours) } : {}),
   positionSize      : safeNum( cfg.positionSize ?? cfg.amountToSpend ?? cfg.amount, 0.02),
   cooldown          : safeNum(cfg.cooldown, 60_000),
   // maxDailyVolume    : safeNum(cfg.maxDailyVolume, 5),
@@ -568,7 +609,7 @@ const navigate = useNavigate();
 const location = useLocation();
 const currentPath = location.pathname.split("/").pop(); // e.g., 'wallets'
 
-  useSingleLogsSocket(); // initializes once on mount
+  useSingleLogsSocket(undefined, { topics: APP_SOCKET_TOPICS }); // initializes once on mount
   useOrderEventsSocket();
   const [selectedModes, setSelectedModes] = useState(() => {
   try { const stored = localStorage.getItem("selectedModes");
@@ -893,7 +934,7 @@ const startMode = async () => {
     toast.error("🚫 Cannot start bot – no active wallet.");
     return;
   }
-  const singleWalletModes = [ "sniper", "scalper", "breakout", "chadMode", "dipBuyer", "delayedSniper", "trendFollower", "rebalancer", "paperTrader","scheduleLaunch", "turboSniper", ];
+  const singleWalletModes = [ "sniper", "scalper", "breakout", "chadMode", "dipBuyer", "delayedSniper", "trendFollower", "rebalancer", "paperTrader","scheduleLaunch", "turboSniper", "gridTrader", "meanReversion", ];
     // turboSniper now supports multiple wallets via the multiWallet setting
 
   const multiWalletError = selectedModes.find(
@@ -1078,6 +1119,11 @@ return (
           currentBotId={logTarget}
         />
       </div>
+
+      {/* Strategy Pipelines */}
+      <div className="rounded-xl border border-zinc-700 bg-zinc-900 p-4 shadow space-y-3">
+        <PipelinesPanel />
+      </div>
     </div>
     {/* sheets / overlays ---------------------------------------- */}
     <Suspense
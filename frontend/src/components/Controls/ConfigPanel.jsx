@@ -82,6 +82,8 @@ import { REQUIRED_FIELDS as DELAYED_SNIPER_FIELDS } from "../Strategy_Configs/De
 import { REQUIRED_FIELDS as REBALANCER_FIELDS } from "../Strategy_Configs/RebalancerConfig";
 import { REQUIRED_FIELDS as STEALTH_FIELDS } from "../Strategy_Configs/StealthBotConfig";
 import { REQUIRED_FIELDS as TURBO_SNIPER_FIELDS } from "../Strategy_Configs/TurboSniperConfig";
+import { REQUIRED_FIELDS as GRID_FIELDS } from "../Strategy_Configs/GridTraderConfig";
+import { REQUIRED_FIELDS as MEAN_REVERSION_FIELDS } from "../Strategy_Configs/MeanReversionConfig";
 
 /* ───────────────────────── helpers / constants ───────────────────────── */
 
@@ -108,6 +110,8 @@ const STRAT_LABEL_MAP = {
   rotationBot: "🔁 Rotation",
   rebalancer: "⚖️ Rebalancer",
   stealthBot: "🥷 Stealth",
+  gridTrader: "🪜 Grid",
+  meanReversion: "📉 Mean Rev",
   scheduleLauncher: "🕒 Schedule",
   turboSniper: "💨 Turbo Sniper",
   paperTrader: "📝 Paper Trader",
@@ -309,6 +313,8 @@ const ConfigPanel = ({
     rebalancer: [...REBALANCER_FIELDS, "slippage"],
     rotationBot: [...ROTATION_FIELDS, "slippage"],
     stealthBot: [...STEALTH_FIELDS, "slippage"],
+    gridTrader: [...BASE_FIELDS, ...GRID_FIELDS],
+    meanReversion: [...BASE_FIELDS, ...MEAN_REVERSION_FIELDS],
     paperTrader: [...BASE_FIELDS, "entryThreshold", "volumeThreshold"],
     turboPaperTrader: [...BASE_FIELDS, ...TURBO_SNIPER_FIELDS],
   };
@@ -345,6 +351,8 @@ const ConfigPanel = ({
     { value: "rebalancer", label: "⚖️ Rebalancer" },
     { value: "rotationBot", label: "🔁 Rotation Bot" },
     { value: "stealthBot", label: "🥷 Stealth Bot" },
+    { value: "gridTrader", label: "🪜 Grid Trader" },
+    { value: "meanReversion", label: "📉 Mean Reversion" },
     { value: "turboSniper", label: "🏎️ Turbo Sniper" },
   ];
 
@@ -468,7 +476,7 @@ const ConfigPanel = ({
   const { schedules, refetchSchedules } = useSchedules(); // see §5
   const [tempConfig, setTempConfig] = useState(config);
   const AMOUNT_DISABLED_MODES = ["rotationBot", "rebalancer"];
-  const TPSL_DISABLED_MODES = ["rotationBot", "rebalancer"];
+  const TPSL_DISABLED_MODES = ["rotationBot", "rebalancer", "gridTrader", "meanReversion"];
   const modalCfg = React.useMemo(() => {
     if (selectedMode === "stealthBot") {
       const {
@@ -848,6 +856,10 @@ let alive = true;
         "Simulates trades with no real funds — perfect for testing strategies.",
       stealthBot:
         "Splits your SOL across wallets for discreet accumulation of a single token.",
+      gridTrader:
+        "Buys each level a token dips through and sells it one level up, inside a price range you set.",
+      meanReversion:
+        "Buys when price stretches well below its rolling VWAP or Bollinger mid and sells on the snap back, skipping trending markets.",
       turboSniper:
         "Ultra-low-latency sniper with prewarmed quotes, aggressive routing, and smart exits to compete with top rich-bot flows.",
     }[mode] || "Bot strategy description unavailable");
@@ -1645,6 +1657,9 @@ let alive = true;
       <ManageSchedulesModal
         open={isScheduleManagerOpen}
         onClose={() => setIsScheduleManagerOpen(false)}
+        currentMode={selectedMode}
+        currentConfig={config}
+        walletId={activeWalletId}
         onEdit={(job) => {
           setScheduleModalOpen(true);
           setLaunchISO(job.launchISO);
@@ -26,6 +26,7 @@ const StrategyRail = ({
     { value: "breakout", label: "🚀 Breakout" },
     { value: "dipBuyer", label: "💧 Dip Buyer" },
     { value: "chadMode", label: "🔥 Chad" },
+    { value: "meanReversion", label: "📉 Mean Rev" },
     // { value: "delayedSniper", label: "⏱️ Delayed" },
     // { value: "trendFollower", label: "📈 Trend" },
   ];
@@ -39,6 +40,7 @@ const StrategyRail = ({
     { value: "rebalancer", label: "⚖️ Rebalancer" },
     { value: "rotationBot", label: "🔁 Rotation" },
     { value: "stealthBot", label: "🥷 Stealth" },
+    { value: "gridTrader", label: "🪜 Grid" },
     { value: "schedule", label: "🕒 Schedule" },
   ];
 
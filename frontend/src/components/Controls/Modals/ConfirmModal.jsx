@@ -153,7 +153,16 @@ targetTokens: {
   skipIfHolding         : { label: "Skip if Holding",      color: "text-indigo-300", format: bool },
   tokens                : { label: "Token List",           color: "text-fuchsia-300",format: a=>`${a.length} mints` },
   monitoredTokens       : { label: "Token List",           color: "text-fuchsia-300",format: a=>`${a.length} mints` },
-  sectors               : { label: "Sectors",              color: "text-fuchsia-300",format: a=>a.join(", ") },
+  sectors               : { label: "Sectors",              color: "text-fuchsia-300",format: a=>(Array.isArray(a) ? a : Object.keys(a || {})).join(", ") },
+  rankingModel          : { label: "Ranking",              color: "text-indigo-300" },
+  momentumDecay         : { label: "Momentum Decay",       color: "text-indigo-300" },
+  lowerPrice            : { label: "Grid Low",             color: "text-emerald-300",format: v=>`$${v}` },
+  upperPrice            : { label: "Grid High",            color: "text-emerald-300",format: v=>`$${v}` },
+  gridLevels            : { label: "Grid Levels",          color: "text-blue-300" },
+  spacing               : { label: "Spacing",              color: "text-indigo-300" },
+  stopOutPct            : { label: "Stop-out Buffer %",    color: "text-orange-300", format: pct },
+  stopOutAction         : { label: "On Stop-out",          color: "text-orange-300" },
+  paperMode             : { label: "Paper Mode",           color: "text-indigo-300", format: bool },
   // volumeFloor           : { label: "Volume Floor",          color: "text-orange-300", format: n },
 };
 
@@ -181,9 +190,11 @@ const STRATEGY_ALLOW = {
   delayedSniper: ["delayMs","entryThreshold","volumeThreshold","priceWindow","volumeWindow","minTokenAgeMinutes","maxTokenAgeMinutes"],
   chadMode    : ["outputMint","outputMints","minVolumeRequired","slippageMaxPct","feeEscalationLamports","panicDumpPct"],
   rebalancer  : ["rebalanceThreshold","rebalanceInterval","maxRebalances","targetAllocations"],
-  rotationBot : ["rotationInterval","priceChangeWindow","minMomentum","positionSize","cooldown","maxRotations","tokens","sectors"],
+  rotationBot : ["rotationInterval","priceChangeWindow","minMomentum","rankingModel","momentumDecay","positionSize","cooldown","maxRotations","tokens","sectors"],
   paperTrader : ["outputMint","maxSpendPerToken","entryThreshold","volumeThreshold","priceWindow","volumeWindow","minTokenAgeMinutes","maxTokenAgeMinutes"],
   stealthBot  : ["tokenMint","positionSize","slippage","maxSlippage","priorityFeeLamports","dryRun","wallets"],
+  gridTrader  : ["tokenMint","lowerPrice","upperPrice","gridLevels","spacing","stopOutPct","stopOutAction","paperMode"],
+  meanReversion: ["tokenMint","anchor","lookback","candleInterval","entryZ","exitZ","maxHoldMinutes","stopLossPct","fullSizeZ","maxSizeMultiplier","trendFilter"],
   manual      : [],
 };
 
@@ -200,6 +211,8 @@ const ADV_ALLOW = {
   rotationBot : ["maxSlippage","haltOnFailures","cooldown"],
   paperTrader : ["maxSlippage","haltOnFailures","dryRun","minMarketCap","maxMarketCap"],
   stealthBot  : ["maxSlippage","haltOnFailures","dryRun"],
+  gridTrader  : ["maxSlippage","haltOnFailures","dryRun"],
+  meanReversion: ["maxSlippage","haltOnFailures","dryRun"],
   manual      : [],
 };
 
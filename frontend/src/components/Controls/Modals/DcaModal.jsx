@@ -1,7 +1,7 @@
 // DcaModal.jsx
 import React, { useState, useEffect } from "react";
 import { toast } from "sonner"; 
-import { createDcaOrder } from "@/utils/api";
+import { createDcaOrder, fetchDcaOrders } from "@/utils/api";
 import { Switch } from "@/components/ui/switch";
 import { Popover, PopoverTrigger, PopoverContent } from "@/components/ui/popover";
 import { HelpCircle,  Recycle } from "lucide-react";
@@ -38,9 +38,22 @@ const ForceToggle = ({ value, onChange }) => (
   </div>
 );
 
+const MODES = [
+  { value: "fixed",     label: "Fixed",            tip: "Same size every interval." },
+  { value: "value_avg", label: "Value averaging",  tip: "Tops the position up to a target value each interval. Buys more after drops, nothing when already above target. Buy only." },
+  { value: "dip",       label: "Buy more on dips", tip: "Scales each tranche by the drawdown from the start price (or the run-up for sells), capped at Max ×." },
+  { value: "vol",       label: "Volatility paced", tip: "Fixed size; the interval shortens when volatility is above the reference and stretches when it is calmer." },
+];
+
+const TRANCHE_COLORS = {
+  executed: "text-emerald-400",
+  skipped : "text-zinc-400",
+  failed  : "text-red-400",
+};
+
 /* live preview */
 const buildPreview = ({
-  side, amount, unit, numBuys, freq, stopAbove, stopBelow, firstBuyNow,
+  side, amount, unit, numBuys, freq, stopAbove, stopBelow, firstBuyNow, mode,
 }) => {
   if (!amount || !numBuys || !freq) return null;
   const chunk = (Number(amount) / Number(numBuys)).toFixed(2);
@@ -48,10 +61,12 @@ const buildPreview = ({
   const color = side === "buy" ? "text-emerald-400" : "text-red-400";
   const hi    = stopAbove ? ` • stop ≥ $${stopAbove}` : "";
   const lo    = stopBelow ? ` • stop ≤ $${stopBelow}` : "";
+  const sized = mode === "fixed" ? "" : "~";
+  const label = side === "sell" ? "tokens" : unit.toUpperCase();
   return (
     <>
       <span className={`${color} font-semibold`}>{verb}</span>{" "}
-      <span className="text-cyan-300 font-semibold">{chunk} {unit.toUpperCase()}</span>{" "}
+      <span className="text-cyan-300 font-semibold">{sized}{chunk} {label}</span>{" "}
       every{" "}
       <span className="text-purple-400 font-semibold">
         {freq === "1" ? "hour" : `${freq} h`}
@@ -78,6 +93,13 @@ export default function DcaModal({ open, onClose, tokenMint }) {
   const [stopBelow, setStopBelow] = useState("");
   const [force, setForce]         = useState(false);
   const [firstBuyNow, setFirstBuyNow] = useState(true);
+  const [mode, setMode]           = useState("fixed");
+  const [targetIncrement, setTargetIncrement] = useState("");
+  const [dipFactor, setDipFactor] = useState("");
+  const [maxMult, setMaxMult]     = useState("");
+  const [volRef, setVolRef]       = useState("");
+  const [history, setHistory]     = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
 
   useEffect(() => {
     if (open) {
@@ -91,9 +113,27 @@ export default function DcaModal({ open, onClose, tokenMint }) {
       setStopBelow("");
       setForce(false);
       setFirstBuyNow(true);
+      setMode("fixed");
+      setTargetIncrement("");
+      setDipFactor("");
+      setMaxMult("");
+      setVolRef("");
+      setShowHistory(false);
     }
   }, [open, tokenMint]);
 
+  // value averaging only ever buys
+  useEffect(() => {
+    if (side === "sell" && mode === "value_avg") setMode("fixed");
+  }, [side, mode]);
+
+  useEffect(() => {
+    if (!open || !showHistory) return;
+    fetchDcaOrders({ take: 20 })
+      .then(rows => setHistory(rows.filter(o => !mint.trim() || o.mint === mint.trim())))
+      .catch(() => setHistory([]));
+  }, [open, showHistory, mint]);
+
   const handleSave = async () => {
     try {
       if (!mint.trim())                     return toast.error("Token mint required");
@@ -113,6 +153,11 @@ export default function DcaModal({ open, onClose, tokenMint }) {
         stopBelow: stopBelow ? Number(stopBelow) : null,
         force,
         firstBuyNow,
+        mode,
+        targetIncrement: mode === "value_avg" && targetIncrement ? Number(targetIncrement) : undefined,
+        dipFactor: mode === "dip" && dipFactor ? Number(dipFactor) : undefined,
+        maxTrancheMult: mode !== "fixed" && maxMult ? Number(maxMult) : undefined,
+        volRef: mode === "vol" && volRef ? Number(volRef) : undefined,
       });
 
       if (res?.success === false) return toast.error(res.message || "Save failed");
@@ -128,8 +173,9 @@ export default function DcaModal({ open, onClose, tokenMint }) {
   if (!open) return null;
 
   const preview = buildPreview({
-    side, amount, unit, numBuys, freq, stopAbove, stopBelow, firstBuyNow
+    side, amount, unit, numBuys, freq, stopAbove, stopBelow, firstBuyNow, mode
   });
+  const modeInfo = MODES.find(m => m.value === mode);
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60">
@@ -178,7 +224,9 @@ export default function DcaModal({ open, onClose, tokenMint }) {
               placeholder="Amount"
               className="flex-1 rounded bg-zinc-800 px-2 py-1"
             />
-            <Tooltip text="Total budget to split across all buys/sells." />
+            <Tooltip text={side === "sell"
+              ? "Total tokens from your bag to distribute across all sells."
+              : "Total budget to split across all buys."} />
           </label>
 
           <label className="flex items-center">
@@ -241,6 +289,80 @@ export default function DcaModal({ open, onClose, tokenMint }) {
             />
             <Tooltip text="Optional: skip if price falls below this level." />
           </label>
+
+          <label className="col-span-2 flex items-center">
+            <select
+              value={mode}
+              onChange={e => setMode(e.target.value)}
+              className="flex-1 rounded bg-zinc-800 px-2 py-1"
+            >
+              {MODES.filter(m => side === "buy" || m.value !== "value_avg").map(m => (
+                <option key={m.value} value={m.value}>{m.label}</option>
+              ))}
+            </select>
+            <Tooltip text={modeInfo?.tip} />
+          </label>
+
+          {mode === "value_avg" && (
+            <label className="col-span-2 flex items-center">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={targetIncrement}
+                onChange={e => setTargetIncrement(e.target.value)}
+                placeholder={`Target growth / interval (${unit.toUpperCase()})`}
+                className="flex-1 rounded bg-zinc-800 px-2 py-1"
+              />
+              <Tooltip text="How much the position value should grow each interval. Defaults to Amount ÷ # Buys." />
+            </label>
+          )}
+
+          {mode === "dip" && (
+            <label className="flex items-center">
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={dipFactor}
+                onChange={e => setDipFactor(e.target.value)}
+                placeholder="Dip factor (5)"
+                className="flex-1 rounded bg-zinc-800 px-2 py-1"
+              />
+              <Tooltip text="Tranche = base × (1 + factor × drawdown). With 5, a 20% drop doubles the buy." />
+            </label>
+          )}
+
+          {mode === "vol" && (
+            <label className="flex items-center">
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={volRef}
+                onChange={e => setVolRef(e.target.value)}
+                placeholder="Ref. vol %/h"
+                className="flex-1 rounded bg-zinc-800 px-2 py-1"
+              />
+              <Tooltip text="Reference hourly volatility. Leave blank to use the last 24h at creation." />
+            </label>
+          )}
+
+          {mode !== "fixed" && (
+            <label className="flex items-center">
+              <input
+                type="number"
+                min="1"
+                max="10"
+                step="0.5"
+                value={maxMult}
+                onChange={e => setMaxMult(e.target.value)}
+                placeholder="Max × (3)"
+                className="flex-1 rounded bg-zinc-800 px-2 py-1"
+              />
+              <Tooltip text="Largest tranche allowed, as a multiple of Amount ÷ # Buys." />
+            </label>
+          )}
         </div>
 
         {/* first buy now toggle */}
@@ -271,6 +393,38 @@ export default function DcaModal({ open, onClose, tokenMint }) {
 
         {/* live preview */}
         {preview && <p className="mt-2 text-center text-xs text-zinc-400">{preview}</p>}
+
+        {/* tranche history */}
+        <div className="border-t border-zinc-800 pt-2 text-xs">
+          <button
+            onClick={() => setShowHistory(v => !v)}
+            className="text-zinc-400 hover:text-white"
+          >
+            {showHistory ? "▾" : "▸"} Tranche history
+          </button>
+          {showHistory && (
+            <div className="mt-2 max-h-40 space-y-2 overflow-y-auto">
+              {!history.length && <p className="italic text-zinc-500">No DCA orders for this token yet.</p>}
+              {history.map(o => (
+                <div key={o.id}>
+                  <div className="text-zinc-300">
+                    {o.side} • {o.mode || "fixed"} • {o.completedBuys}/{o.numBuys} • {o.status}
+                  </div>
+                  {(o.tranches || []).map(t => (
+                    <div key={t.id} className="flex justify-between pl-2 text-[11px]">
+                      <span className={TRANCHE_COLORS[t.status] || ""}>#{t.round} {t.status}</span>
+                      <span>{t.amount ? Number(t.amount).toFixed(4) : "—"}</span>
+                      <span>{t.price ? `$${Number(t.price).toPrecision(4)}` : ""}</span>
+                      {t.tx
+                        ? <a href={`https://explorer.solana.com/tx/${t.tx}?cluster=mainnet-beta`} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">tx ↗</a>
+                        : <span className="text-zinc-500" title={t.reason || ""}>{t.reason ? "ⓘ" : ""}</span>}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -6,10 +6,13 @@
  * • Displays 🟢 Running / ✅ Finished / ⛔ Stopped states
  * • Edit allowed only while pending
  * • Delete/Cancel adapts to state
+ * • v2.5 – recurring schedules: create from the current mode/config
+ *   (weekday window or cron, timezone, max duration), next-run
+ *   display and per-occurrence run history
  * ========================================================== */
 
 import { useEffect, useRef, useState } from "react";
-import { cancelSchedule } from "@/utils/scheduler";
+import { cancelSchedule, listScheduleRuns, scheduleStrategy } from "@/utils/scheduler";
 import {
   Dialog,
   DialogContent,
@@ -17,7 +20,7 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
-import { Trash2, Wrench } from "lucide-react";
+import { History, Repeat, Trash2, Wrench } from "lucide-react";
 import { toast } from "sonner";
 import { motion } from "framer-motion";
 import ScheduleLaunchModal from "../../Strategy_Configs/ScheduleLaunchModal";
@@ -31,9 +34,161 @@ const USER_TZ =
 const truncate = (s, len = 4) =>
   s.length <= len * 2 + 3 ? s : `${s.slice(0, len)}…${s.slice(-len)}`;
 
-export default function ManageSchedulesModal({ open, onClose }) {
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const describeRecurrence = (rec, tz) => {
+  if (rec?.type === "window") {
+    const days = [...(rec.days || [])].sort().map((d) => WEEKDAYS[d]).join(", ");
+    return `${days} ${rec.start}–${rec.end} (${tz || "UTC"})`;
+  }
+  if (rec?.type === "cron") return `cron "${rec.expr}" (${tz || "UTC"})`;
+  return null;
+};
+
+const RUN_LABEL = {
+  running  : "🟢 Running",
+  completed: "✅ Auto-stopped",
+  exited   : "🏁 Exited early",
+  stopped  : "⛔ Stopped",
+  failed   : "❌ Failed",
+};
+
+const inputCls =
+  "bg-[#111] border border-[#333] rounded px-2 py-1 text-xs text-white focus:outline-none focus:border-emerald-500";
+
+/* ---------- run history of one recurring schedule ---------- */
+function RunHistory({ jobId, prettyDate }) {
+  const [runs, setRuns] = useState(null);
+  const [total, setTotal] = useState(0);
+
+  useEffect(() => {
+    listScheduleRuns(jobId)
+      .then(({ runs, total }) => { setRuns(runs); setTotal(total); })
+      .catch((e) => { toast.error(e.message); setRuns([]); });
+  }, [jobId]);
+
+  if (!runs) return <p className="text-xs text-[#777] mt-2">Loading runs…</p>;
+  if (!runs.length) return <p className="text-xs text-[#777] mt-2">No runs yet.</p>;
+
+  return (
+    <ul className="mt-2 space-y-1 border-t border-[#222] pt-2">
+      {runs.map((r) => (
+        <li key={r.id} className="text-xs text-[#aaa] flex justify-between gap-2">
+          <span>{prettyDate(r.scheduledFor)}</span>
+          <span title={r.error || r.stopReason || ""}>
+            {RUN_LABEL[r.status] || r.status}
+            {r.stopReason ? ` · ${r.stopReason.replace("_", " ")}` : ""}
+          </span>
+        </li>
+      ))}
+      {total > runs.length && (
+        <li className="text-xs text-[#666]">…and {total - runs.length} older runs</li>
+      )}
+    </ul>
+  );
+}
+
+/* ---------- create a recurring schedule from the current config ---------- */
+function RecurringForm({ mode, config, walletId, onCreated }) {
+  const [name, setName] = useState("");
+  const [type, setType] = useState("window");
+  const [days, setDays] = useState([1, 2, 3, 4, 5]);
+  const [start, setStart] = useState("09:30");
+  const [end, setEnd] = useState("16:00");
+  const [expr, setExpr] = useState("30 9 * * 1-5");
+  const [timezone, setTimezone] = useState(USER_TZ);
+  const [maxDurationMin, setMaxDurationMin] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const toggleDay = (d) =>
+    setDays((prev) => (prev.includes(d) ? prev.filter((x) => x !== d) : [...prev, d]));
+
+  const submit = async () => {
+    if (!mode || !walletId) return toast.error("Select a strategy and wallet first");
+    if (type === "cron" && !maxDurationMin) return toast.error("Cron schedules need a max duration");
+    setSaving(true);
+    try {
+      await scheduleStrategy({
+        name: name || null,
+        mode,
+        config,
+        walletId,
+        buyMode: config?.buyMode ?? "interval",
+        recurrence: type === "window"
+          ? { type, days: [...days].sort(), start, end }
+          : { type, expr: expr.trim() },
+        timezone,
+        maxDurationMin: maxDurationMin ? Number(maxDurationMin) : null,
+      });
+      toast.success("Recurring schedule created 🔁");
+      onCreated();
+    } catch (e) {
+      toast.error(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-2 border border-[#333] rounded-md p-3">
+      <p className="text-xs text-[#999]">
+        Runs <span className="text-emerald-400">{mode || "—"}</span> with the current config on every
+        occurrence and stops it automatically at the end.
+      </p>
+
+      <input className={`${inputCls} w-full`} placeholder="Name (optional)" value={name}
+        onChange={(e) => setName(e.target.value)} />
+
+      <div className="flex gap-2 text-xs">
+        {["window", "cron"].map((t) => (
+          <button key={t} type="button" onClick={() => setType(t)}
+            className={`px-2 py-1 rounded border ${type === t ? "border-emerald-500 text-emerald-400" : "border-[#333] text-[#888]"}`}>
+            {t === "window" ? "Weekday window" : "Cron"}
+          </button>
+        ))}
+      </div>
+
+      {type === "window" ? (
+        <>
+          <div className="flex gap-1">
+            {WEEKDAYS.map((label, d) => (
+              <button key={label} type="button" onClick={() => toggleDay(d)}
+                className={`px-1.5 py-0.5 rounded text-xs border ${days.includes(d) ? "border-emerald-500 text-emerald-400" : "border-[#333] text-[#666]"}`}>
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2 text-xs text-[#aaa]">
+            <input type="time" className={inputCls} value={start} onChange={(e) => setStart(e.target.value)} />
+            to
+            <input type="time" className={inputCls} value={end} onChange={(e) => setEnd(e.target.value)} />
+          </div>
+        </>
+      ) : (
+        <input className={`${inputCls} w-full font-mono`} placeholder="min hour dom month dow"
+          value={expr} onChange={(e) => setExpr(e.target.value)} />
+      )}
+
+      <div className="flex items-center gap-2 text-xs text-[#aaa]">
+        <input className={`${inputCls} flex-1`} placeholder="Timezone" value={timezone}
+          onChange={(e) => setTimezone(e.target.value)} />
+        <input type="number" min={1} className={`${inputCls} w-28`}
+          placeholder={type === "cron" ? "Max min *" : "Max min"}
+          value={maxDurationMin} onChange={(e) => setMaxDurationMin(e.target.value)} />
+      </div>
+
+      <Button size="sm" disabled={saving || (type === "window" && !days.length)} onClick={submit}>
+        {saving ? "Saving…" : "Create recurring schedule"}
+      </Button>
+    </div>
+  );
+}
+
+export default function ManageSchedulesModal({ open, onClose, currentMode, currentConfig, walletId }) {
   const { edit, schedules, refetch } = useSchedules();
   const [editing, setEditing] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
   const fetchedRef = useRef(false);
 
   /* tick every second for countdowns */
@@ -95,6 +250,20 @@ export default function ManageSchedulesModal({ open, onClose }) {
           </DialogTitle>
         </DialogHeader>
 
+        <Button size="sm" variant="ghost" className="self-start text-xs text-emerald-400"
+          onClick={() => setShowForm((v) => !v)}>
+          <Repeat size={14} className="mr-1" />
+          {showForm ? "Hide recurring form" : "New recurring schedule"}
+        </Button>
+        {showForm && (
+          <RecurringForm
+            mode={currentMode}
+            config={currentConfig}
+            walletId={walletId}
+            onCreated={() => { setShowForm(false); refetch(); }}
+          />
+        )}
+
         {schedules.length === 0 ? (
           <p className="text-[#777] text-sm mt-4">No jobs scheduled.</p>
         ) : (
@@ -102,6 +271,8 @@ export default function ManageSchedulesModal({ open, onClose }) {
             {schedules.map((j) => {
               const cfg      = j.config || {};
               const status   = j.status || "pending";
+              const jobId    = j.jobId ?? j.id;
+              const recurring = describeRecurrence(j.recurrence, j.timezone);
               const isLimit  = cfg.buyMode === "limit";
               const tpSet    = cfg.takeProfit != null;
               const slSet    = cfg.stopLoss  != null;
@@ -133,14 +304,14 @@ export default function ManageSchedulesModal({ open, onClose }) {
 
               /* status label */
               const statusLabel = {
-                pending  : countdown || "🕒 Queued",
+                pending  : countdown || (recurring ? "🕒 Waiting for next run" : "🕒 Queued"),
                 running  : "🟢 Running",
                 completed: "✅ Finished",
                 stopped  : "⛔ Stopped",
               }[status];
 
               /* action button visibility */
-              const canEdit   = status === "pending";
+              const canEdit   = status === "pending" && !recurring;
               const btnTitle  =
                 status === "pending" ? "Cancel" : "Delete";
               const btnClass  =
@@ -148,7 +319,7 @@ export default function ManageSchedulesModal({ open, onClose }) {
 
               return (
                 <motion.li
-                  key={j.jobId ?? j.id}
+                  key={jobId}
                   initial={{ opacity: 0, x: 20 }}
                   animate={{ opacity: 1, x: 0 }}
                   transition={{ duration: 0.2 }}
@@ -161,8 +332,15 @@ export default function ManageSchedulesModal({ open, onClose }) {
                         {j.name ? j.name : `#${String(j.id).slice(0, 4)}`}
                       </p>
 
+                      {recurring && (
+                        <p className="text-xs text-[#ccc]">
+                          🔁 {j.mode} · {recurring}
+                          {j.maxDurationMin ? ` · max ${j.maxDurationMin} min` : ""}
+                        </p>
+                      )}
+
                       <p className="text-xs text-[#999]">
-                        {prettyDate(j.launchISO)}
+                        {recurring ? "Next: " : ""}{prettyDate(j.launchISO)}
                       </p>
 
                       {statusLabel && (
@@ -198,6 +376,16 @@ export default function ManageSchedulesModal({ open, onClose }) {
 
                     {/* actions */}
                     <div className="flex gap-2">
+                      {recurring && (
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          onClick={() => setHistoryFor(historyFor === jobId ? null : jobId)}
+                          title="Run history"
+                        >
+                          <History size={14} />
+                        </Button>
+                      )}
                       {canEdit && (
                         <Button
                           size="icon"
@@ -213,13 +401,17 @@ export default function ManageSchedulesModal({ open, onClose }) {
                         size="icon"
                         variant="ghost"
                         className={btnClass}
-                        onClick={() => del(j.jobId ?? j.id)}
+                        onClick={() => del(jobId)}
                         title={btnTitle}
                       >
                         <Trash2 size={14} />
                       </Button>
                     </div>
                   </div>
+
+                  {historyFor === jobId && (
+                    <RunHistory jobId={jobId} prettyDate={prettyDate} />
+                  )}
                 </motion.li>
               );
             })}
@@ -24,6 +24,8 @@ const modes = [
   { value: "rebalancer", label: "⚖️ Rebalancer" },
   { value: "rotationBot", label: "🔁 Rotation Bot" },
   { value: "stealthBot",    label: "🥷 Stealth Bot" },
+  { value: "gridTrader",    label: "🪜 Grid Trader" },
+  { value: "meanReversion", label: "📉 Mean Reversion" },
 ];
 
 const ModeSelector = ({ selected = [], onSelect, disabled = false, singleMode = false }) => {
@@ -18,10 +18,10 @@ import {
   manualBuy,
   getTokenMarketStatsPaid,
 } from "@/utils/api";
+import { addToWatchlist } from "@/utils/watchlistApi";
 import { openConfirmModal } from "@/hooks/useConfirm";
 import "@/styles/components/TokenSelector.css";
 
-const WATCHLIST_KEY = "sniper_watchlist";
 const STORAGE_KEY   = "targetToken";
 const MARKET_KEY    = "targetTokenMarket";
 const SAFETY_KEY    = "targetTokenSafety";
@@ -103,13 +103,6 @@ export default function TargetToken({ onMintSelected }) {
     localStorage.setItem(SAFETY_KEY, JSON.stringify(s));
   };
 
-  const getSafetyScore = (breakdown = {}) => {
-    const vals    = Object.values(breakdown);
-    const total   = vals.length;
-    const passed  = vals.filter((v) => v?.passed).length;
-    return total ? Math.round((passed / total) * 100) : null;
-  };
-
   /* ---- maybe auto‑buy (unchanged) ---- */
   const maybeAutoBuy = async (mintAddr) => {
     if (!prefs?.autoBuy?.enabled) return;
@@ -193,27 +186,19 @@ export default function TargetToken({ onMintSelected }) {
     toast.success("🔄 Data refreshed");
   };
 
-  const handleWatchlist = () => {
+  const handleWatchlist = async () => {
     if (!isValidSolanaAddress(mint)) {
       toast.error("No valid token mint to add.");
       return;
     }
 
-    const list = JSON.parse(localStorage.getItem(WATCHLIST_KEY)) || [];
-    if (list.find((t) => t.mint === mint.trim())) {
-      toast.info("Already in watchlist.");
-      return;
+    try {
+      const { created } = await addToWatchlist(mint.trim());
+      if (!created) return toast.info("Already in watchlist.");
+      toast.success("⭐ Added to watchlist!");
+    } catch (err) {
+      toast.error(err.message);
     }
-
-    list.push({
-      mint: mint.trim(),
-      addedAt: new Date().toISOString(),
-      safety,
-      safetyScore: safety?.breakdown ? getSafetyScore(safety.breakdown) : null,
-      market,
-    });
-    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(list));
-    toast.success("⭐ Added to watchlist!");
   };
 
   const clearTarget = () => {
@@ -0,0 +1,248 @@
+/* ------------------------------------------------------------------
+ * ApiKeysSection.jsx – "API Keys" card on My Account
+ * - Lists keys (scopes, IP allowlist, expiry, last use) + revoke
+ * - Create form: scopes, allowlist (IPs / CIDR), expiry, HMAC signing
+ * - Secret is shown exactly once after creation with a signing example
+ * - Asks for a 2FA code when the backend answers needs2FA
+ * ------------------------------------------------------------------ */
+
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { Copy, KeyRound, Plus, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { listApiKeys, createApiKey, revokeApiKey } from "@/utils/apiKeys";
+
+const SCOPE_LABELS = {
+  read: "Read-only",
+  trade: "Manual trades",
+  strategies: "Strategies",
+  orders: "Orders & TP/SL",
+};
+
+const EXPIRY_OPTIONS = [30, 90, 180, 365];
+
+const inputCls =
+  "bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm text-zinc-100 focus:outline-none focus:border-emerald-500";
+
+const fmtDate = (iso) => (iso ? new Date(iso).toLocaleString() : "never");
+
+const keyState = (k) =>
+  k.revokedAt ? { label: "revoked", cls: "text-zinc-500" }
+    : new Date(k.expiresAt) <= new Date() ? { label: "expired", cls: "text-amber-400" }
+    : { label: "active", cls: "text-emerald-400" };
+
+const copy = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    toast.success("Copied to clipboard");
+  } catch {
+    toast.error("Copy failed – select and copy manually");
+  }
+};
+
+/* ---------- one-time secret ---------- */
+function NewSecret({ apiKey, secret, onDone }) {
+  const signed = apiKey.requireSignature;
+  const example = signed
+    ? [
+        `ts=$(date +%s); body='{}'`,
+        `sig=$(printf '%s\\n%s\\n%s\\n%s' "$ts" POST /api/orders/limit "$(printf '%s' "$body" | sha256sum | cut -d' ' -f1)" \\`,
+        `  | openssl dgst -sha256 -hmac '${secret}' | cut -d' ' -f2)`,
+        `curl -X POST -H "X-API-Key: ${apiKey.keyId}" -H "X-API-Timestamp: $ts" \\`,
+        `  -H "X-API-Signature: $sig" -H "Content-Type: application/json" -d "$body" <host>/api/orders/limit`,
+      ].join("\n")
+    : `curl -H "X-API-Key: ${apiKey.keyId}.${secret}" <host>/api/portfolio`;
+
+  return (
+    <div className="mt-3 space-y-2 rounded border border-emerald-600 bg-zinc-900 p-3">
+      <p className="text-sm text-emerald-400 font-medium">
+        Key “{apiKey.name}” created. Copy the secret now – it will not be shown again.
+      </p>
+      <div className="flex items-center gap-2">
+        <code className="flex-1 break-all text-xs text-zinc-200">{secret}</code>
+        <Button size="icon" variant="ghost" title="Copy secret" onClick={() => copy(secret)}>
+          <Copy size={14} />
+        </Button>
+      </div>
+      <p className="text-xs text-zinc-400">
+        Key ID <code className="text-zinc-200">{apiKey.keyId}</code> ·{" "}
+        {signed
+          ? "sign each request: HMAC-SHA256(secret, timestamp \\n METHOD \\n path \\n sha256(body))"
+          : "send the key and secret together in X-API-Key"}
+      </p>
+      <pre className="overflow-x-auto rounded bg-zinc-950 p-2 text-[11px] text-zinc-300">{example}</pre>
+      <Button size="sm" onClick={onDone}>I saved it</Button>
+    </div>
+  );
+}
+
+/* ---------- create form ---------- */
+function CreateKeyForm({ onCreated, onCancel }) {
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["read"]);
+  const [allowlist, setAllowlist] = useState("");
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [requireSignature, setRequireSignature] = useState(true);
+  const [twoFactorToken, setTwoFactorToken] = useState("");
+  const [needs2FA, setNeeds2FA] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const toggleScope = (s) =>
+    setScopes((cur) => (cur.includes(s) ? cur.filter((x) => x !== s) : [...cur, s]));
+
+  const submit = async () => {
+    setSaving(true);
+    try {
+      const res = await createApiKey({
+        name: name.trim(),
+        scopes,
+        ipAllowlist: allowlist.split(/[\s,]+/).filter(Boolean),
+        expiresInDays: Number(expiresInDays),
+        requireSignature,
+        ...(twoFactorToken && { twoFactorToken }),
+      });
+      onCreated(res);
+    } catch (e) {
+      if (e.needs2FA) {
+        setNeeds2FA(true);
+        toast.error(twoFactorToken ? "Invalid 2FA code." : "Enter your 2FA code to create a key.");
+      } else {
+        toast.error(e.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-3 rounded border border-zinc-700 p-3">
+      <input className={`${inputCls} w-full`} placeholder="Key name (e.g. trading-bot-vps)" maxLength={64}
+        value={name} onChange={(e) => setName(e.target.value)} />
+
+      <div className="flex flex-wrap gap-3">
+        {Object.entries(SCOPE_LABELS).map(([s, label]) => (
+          <label key={s} className="flex items-center gap-1 text-sm">
+            <input type="checkbox" checked={scopes.includes(s)} onChange={() => toggleScope(s)} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <label className="block text-xs text-zinc-400">
+        IP allowlist – addresses or CIDR ranges, comma or newline separated (empty = any IP)
+        <textarea rows={2} className={`${inputCls} mt-1 w-full font-mono`} placeholder="203.0.113.7, 10.0.0.0/24"
+          value={allowlist} onChange={(e) => setAllowlist(e.target.value)} />
+      </label>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          Expires in
+          <select className={inputCls} value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)}>
+            {EXPIRY_OPTIONS.map((d) => <option key={d} value={d}>{d} days</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2" title="Plain keys send the secret with every request">
+          <input type="checkbox" checked={requireSignature} onChange={(e) => setRequireSignature(e.target.checked)} />
+          Require HMAC-signed requests
+        </label>
+      </div>
+
+      {needs2FA && (
+        <input className={`${inputCls} w-40`} inputMode="numeric" placeholder="2FA code" maxLength={6}
+          value={twoFactorToken} onChange={(e) => setTwoFactorToken(e.target.value.replace(/\D/g, ""))} />
+      )}
+
+      <div className="flex gap-2">
+        <Button size="sm" disabled={saving || !name.trim() || !scopes.length} onClick={submit}>
+          {saving ? "Creating…" : "Create key"}
+        </Button>
+        <Button size="sm" variant="ghost" onClick={onCancel}>Cancel</Button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- section ---------- */
+export default function ApiKeysSection() {
+  const [keys, setKeys] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [created, setCreated] = useState(null); // { apiKey, secret }
+
+  const refresh = () =>
+    listApiKeys()
+      .then(({ keys }) => setKeys(keys))
+      .catch((e) => toast.error(e.message));
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const revoke = async (k) => {
+    if (!window.confirm(`Revoke API key "${k.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await revokeApiKey(k.id);
+      toast.success("API key revoked");
+      refresh();
+    } catch (e) {
+      toast.error(e.message);
+    }
+  };
+
+  return (
+    <div className="bg-zinc-800 p-4 rounded-lg">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <KeyRound size={18} className="text-emerald-400" /> API Keys
+        </h3>
+        {!created && (
+          <Button size="sm" variant="ghost" onClick={() => setCreating((v) => !v)}>
+            {creating ? <X size={14} /> : <Plus size={14} />}
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-zinc-400 mt-1">
+        Programmatic access without a browser session. Keys can't change account, wallet or billing settings.
+      </p>
+
+      {created && (
+        <NewSecret {...created} onDone={() => setCreated(null)} />
+      )}
+
+      {creating && !created && (
+        <CreateKeyForm
+          onCreated={(res) => { setCreating(false); setCreated(res); refresh(); }}
+          onCancel={() => setCreating(false)}
+        />
+      )}
+
+      {keys.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {keys.map((k) => {
+            const state = keyState(k);
+            return (
+              <li key={k.id} className="flex items-start justify-between gap-3 rounded border border-zinc-700 p-2">
+                <div className="min-w-0 space-y-0.5 text-xs text-zinc-400">
+                  <p className="text-sm text-zinc-100">
+                    {k.name} <span className={state.cls}>· {state.label}</span>
+                  </p>
+                  <p><code className="text-zinc-300">{k.keyId}</code> · {k.requireSignature ? "HMAC signed" : "plain"}</p>
+                  <p>Scopes: {k.scopes.map((s) => SCOPE_LABELS[s] || s).join(", ")}</p>
+                  <p>IPs: {k.ipAllowlist.length ? k.ipAllowlist.join(", ") : "any"}</p>
+                  <p>
+                    Expires {fmtDate(k.expiresAt)} · last used {fmtDate(k.lastUsedAt)}
+                    {k.lastUsedIp ? ` from ${k.lastUsedIp}` : ""}
+                  </p>
+                </div>
+                {!k.revokedAt && (
+                  <Button size="icon" variant="ghost" className="text-red-400" title="Revoke" onClick={() => revoke(k)}>
+                    <Trash2 size={14} />
+                  </Button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -11,6 +11,7 @@
  *    • Remove render-time broadcasts that referenced activeWallet.id
  *    • Normalize activeWallet shape after API calls
  *    • Correct undefined `ms` variable usage
+ * - API Keys card (ApiKeysSection) for scripted access
  * ------------------------------------------------------------------ */
 
 import React, { useEffect, useState, useRef, useContext, useMemo } from "react";
@@ -28,6 +29,7 @@ import { useUser } from "@/contexts/UserProvider";
 import { supabase } from "@/lib/supabase";
 // NOTE: import apiFetch (with in-flight dedupe) for /auth/me
 import { apiFetch } from "@/utils/authFetch";
+import ApiKeysSection from "./ApiKeysSection";
 
 // 🔐 Encrypted Wallet Session helpers (+ Return Balance helpers)
 import {
@@ -1649,6 +1651,9 @@ const MyAccountTab = () => {
             </Dialog>
           </div>
 
+          {/* ───── API Keys ───── */}
+          <ApiKeysSection />
+
           {/* ───── Support ───── */}
           <div className="bg-zinc-800 p-4 rounded-lg">
             <h3 className="text-lg font-semibold flex items-center gap-2">🆘 Support</h3>
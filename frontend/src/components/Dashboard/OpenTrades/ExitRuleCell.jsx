@@ -30,13 +30,16 @@ export default function ExitRuleCell({
   const [localSmartExit, setLocalSmartExit] = useState(smartExit || {});
   useEffect(() => setLocalSmartExit(smartExit || {}), [smartExit]);
 
-  // Sum allocation per rule = max(tpPercent, slPercent)
+  // Sum allocation per rule = max(tpPercent, slPercent, ladder total);
+  // trailing / break-even plans can close the whole position
   const totalAllocated = useMemo(
     () =>
       (rules || []).reduce((sum, rule) => {
+        if (Number(rule?.trailingStopPct) > 0 || rule?.breakEvenAfterTp) return sum + 100;
         const tpPct = Number(rule?.tpPercent) || 0;
         const slPct = Number(rule?.slPercent) || 0;
-        return sum + Math.max(tpPct, slPct);
+        const ladderPct = (rule?.tpLadder || []).reduce((s, r) => s + (Number(r.sellPct) || 0), 0);
+        return sum + Math.max(tpPct, slPct, ladderPct);
       }, 0),
     [rules]
   );
@@ -211,7 +214,10 @@ export default function ExitRuleCell({
               const sl = rule?.sl;
               const tpPct = Number(rule?.tpPercent) || 0;
               const slPct = Number(rule?.slPercent) || 0;
-              const hasTpSell = tp != null && tpPct > 0;
+              const ladder = Array.isArray(rule?.tpLadder) ? rule.tpLadder : [];
+              const trail = Number(rule?.trailingStopPct) || 0;
+              const isPlan = ladder.length > 0 || trail > 0;
+              const hasTpSell = tp != null && tpPct > 0 && !ladder.length;
               const hasSlSell = sl != null && slPct > 0;
               return (
                 <div key={idx} className="w-full">
@@ -223,12 +229,31 @@ export default function ExitRuleCell({
                           at <span className="font-semibold">+{tp}% TP</span>
                         </div>
                       )}
+                      {ladder.map((r, i) => (
+                        <div
+                          key={i}
+                          className={`whitespace-nowrap ${r.filledAt ? "text-zinc-500 line-through" : "text-zinc-200"}`}
+                        >
+                          Sell <span className="font-semibold text-emerald-300">{r.sellPct}%</span>{" "}
+                          at <span className="font-semibold">+{r.gainPct}% TP{i + 1}</span>
+                        </div>
+                      ))}
                       {hasSlSell && (
                         <div className="text-zinc-200 whitespace-nowrap">
-                          Sell <span className="font-semibold text-rose-300">{slPct}%</span>{" "}
+                          Sell <span className="font-semibold text-rose-300">{isPlan ? "rest" : `${slPct}%`}</span>{" "}
                           at <span className="font-semibold">-{sl}% SL</span>
                         </div>
                       )}
+                      {trail > 0 && (
+                        <div className="text-zinc-200 whitespace-nowrap">
+                          Trail <span className="font-semibold text-amber-300">{trail}%</span> below high
+                        </div>
+                      )}
+                      {rule?.breakEvenAfterTp && (
+                        <div className="text-zinc-400 whitespace-nowrap">
+                          {rule?.stopPrice ? "Stop at break-even" : "Break-even after TP1"}
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
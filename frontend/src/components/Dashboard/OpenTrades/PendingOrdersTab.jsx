@@ -188,8 +188,9 @@ const details = o.type === "limit"
         : (o.amount / total).toFixed(2);
       const hi = o.stopAbove ? ` • stop ≥ $${o.stopAbove}` : "";
       const lo = o.stopBelow ? ` • stop ≤ $${o.stopBelow}` : "";
+      const mode = o.mode && o.mode !== "fixed" ? ` • ${o.mode.replace("_", " ")}` : "";
       return <>
-        {`${chunk} ${unit} every ${every} • ${doneCnt}/${total} buys${hi}${lo}`}
+        {`${chunk} ${unit} every ${every} • ${doneCnt}/${total} buys${mode}${hi}${lo}`}
         {o.tx && (
           <div className="text-[10px] mt-0.5">
             <a
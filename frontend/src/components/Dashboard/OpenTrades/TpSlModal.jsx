@@ -19,6 +19,10 @@ export default function TpSlModal({
   const [sl, setSl] = useState("");
   const [tpPercent, setTpPercent] = useState("");
   const [slPercent, setSlPercent] = useState("");
+  // Exit plan: partial TP ladder, trailing stop, break-even after first TP
+  const [ladder, setLadder] = useState([]);
+  const [trailingStopPct, setTrailingStopPct] = useState("");
+  const [breakEvenAfterTp, setBreakEvenAfterTp] = useState(false);
 
   useEffect(() => {
     if (open) {
@@ -26,9 +30,19 @@ export default function TpSlModal({
       setSl(settings.sl ?? "");
       setTpPercent(settings.tpPercent ?? "");
       setSlPercent(settings.slPercent ?? "");
+      setLadder(
+        Array.isArray(settings.tpLadder)
+          ? settings.tpLadder.map((r) => ({ gainPct: r.gainPct, sellPct: r.sellPct, filledAt: r.filledAt }))
+          : []
+      );
+      setTrailingStopPct(settings.trailingStopPct ?? "");
+      setBreakEvenAfterTp(!!settings.breakEvenAfterTp);
     }
   }, [open, settings]);
 
+  const updateRung = (idx, key, val) =>
+    setLadder((l) => l.map((r, i) => (i === idx ? { ...r, [key]: val } : r)));
+
   const handleSave = async () => {
     const toNum = (val) => (val !== "" && !isNaN(val) ? Number(val) : 0);
 
@@ -43,13 +57,40 @@ export default function TpSlModal({
       return;
     }
 
-    const newAlloc = Math.max(tpPct, slPct);
+    const rungs = ladder
+      .map((r) => ({ gainPct: toNum(r.gainPct), sellPct: toNum(r.sellPct) }))
+      .filter((r) => r.gainPct > 0 && r.sellPct > 0);
+    if (rungs.length !== ladder.length) {
+      toast.error("Each TP ladder rung needs a gain % and a sell %.");
+      return;
+    }
+    const ladderPct = rungs.reduce((s, r) => s + r.sellPct, 0);
+    if (ladderPct > 100) {
+      toast.error("TP ladder rungs cannot sell more than 100%.");
+      return;
+    }
+    const trailPct = toNum(trailingStopPct);
+    const breakEven = breakEvenAfterTp && rungs.length > 0;
+
+    // Trailing / break-even plans may close the whole remainder
+    const allocOf = (r) =>
+      r.trailingStopPct > 0 || r.breakEvenAfterTp
+        ? 100
+        : Math.max(
+            r.tpPercent || 0,
+            r.slPercent || 0,
+            (r.tpLadder || []).reduce((s, x) => s + (Number(x.sellPct) || 0), 0)
+          );
+    const newAlloc = allocOf({
+      tpPercent: tpPct,
+      slPercent: slPct,
+      tpLadder: rungs,
+      trailingStopPct: trailPct,
+      breakEvenAfterTp: breakEven,
+    });
 
     // When editing, exclude this rule’s current allocation from the total
-    const currentRuleAlloc = Math.max(
-      settings.tpPercent || 0,
-      settings.slPercent || 0
-    );
+    const currentRuleAlloc = settings?.id ? allocOf(settings) : 0;
     const totalExcludingThis = Math.max(0, totalAllocated - currentRuleAlloc);
 
     if (newAlloc + totalExcludingThis > 100) {
@@ -65,6 +106,9 @@ export default function TpSlModal({
           sl: slVal || undefined,
           tpPercent: tpPct || undefined,
           slPercent: slPct || undefined,
+          tpLadder: rungs,
+          trailingStopPct: trailPct || undefined,
+          breakEvenAfterTp: breakEven,
           strategy,
         });
       } else {
@@ -75,6 +119,9 @@ export default function TpSlModal({
           tpPercent: tpPct || undefined,
           sl: slVal || undefined,
           slPercent: slPct || undefined,
+          tpLadder: rungs,
+          trailingStopPct: trailPct || undefined,
+          breakEvenAfterTp: breakEven,
           userId,
           walletLabel,
           strategy,
@@ -154,6 +201,73 @@ export default function TpSlModal({
           </div>
         </div>
 
+        {/* TP ladder */}
+        <div className="text-xs space-y-1 border-t border-zinc-700 pt-2">
+          <div className="flex items-center justify-between">
+            <span>TP Ladder (gain % → sell % of position)</span>
+            <button
+              className="rounded bg-zinc-700 px-2 py-0.5 hover:bg-zinc-600 disabled:opacity-40"
+              disabled={ladder.length >= 10}
+              onClick={() => setLadder((l) => [...l, { gainPct: "", sellPct: "" }])}
+            >
+              + Rung
+            </button>
+          </div>
+          {ladder.map((r, idx) => (
+            <div key={idx} className="flex items-center gap-2">
+              <input
+                className="w-20 rounded bg-zinc-800 px-1 py-0.5 text-center"
+                type="number"
+                placeholder="gain %"
+                value={r.gainPct}
+                disabled={!!r.filledAt}
+                onChange={(e) => updateRung(idx, "gainPct", e.target.value)}
+              />
+              <span className="text-zinc-500">→</span>
+              <input
+                className="w-20 rounded bg-zinc-800 px-1 py-0.5 text-center"
+                type="number"
+                placeholder="sell %"
+                value={r.sellPct}
+                disabled={!!r.filledAt}
+                onChange={(e) => updateRung(idx, "sellPct", e.target.value)}
+              />
+              {r.filledAt ? (
+                <span className="text-emerald-400">filled</span>
+              ) : (
+                <button
+                  className="text-zinc-400 hover:text-red-400"
+                  onClick={() => setLadder((l) => l.filter((_, i) => i !== idx))}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Trailing stop + break-even */}
+        <div className="grid grid-cols-2 gap-3 text-xs border-t border-zinc-700 pt-2">
+          <div className="flex flex-col items-center">
+            <span className="mb-1">Trailing Stop (% below high)</span>
+            <input
+              className="w-24 rounded bg-zinc-800 px-1 py-0.5 text-center"
+              type="number"
+              value={trailingStopPct}
+              onChange={(e) => setTrailingStopPct(e.target.value)}
+            />
+          </div>
+          <label className="flex items-center justify-center gap-2">
+            <input
+              type="checkbox"
+              checked={breakEvenAfterTp}
+              disabled={!ladder.length}
+              onChange={(e) => setBreakEvenAfterTp(e.target.checked)}
+            />
+            <span>Stop → break-even after first TP</span>
+          </label>
+        </div>
+
         <div className="flex justify-between pt-2">
           {isEditing ? (
             <button
@@ -0,0 +1,281 @@
+/* ============================================================
+ * PipelinesPanel.jsx – strategy pipelines on the dashboard 🔗
+ * ------------------------------------------------------------
+ * • Lists the user's pipelines: trigger → actions, fire count,
+ *   last firing / error, enable toggle, delete
+ * • Expandable firing history per pipeline
+ * • Builder with presets (sniper buy → trendFollower exit,
+ *   rebalancer drift → icebergTWAP); configs are JSON and may
+ *   use {{mint}}-style placeholders from the event
+ * ========================================================== */
+
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { GitBranch, History, Plus, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import {
+  listPipelines,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+  listPipelineFirings,
+} from "@/utils/pipelines";
+
+const EVENTS = [
+  { value: "trade", label: "Trade filled" },
+  { value: "tpsl", label: "TP / SL hit" },
+  { value: "health", label: "Bot health" },
+  { value: "signal", label: "Strategy signal" },
+];
+
+const PRESETS = {
+  sniperExit: {
+    name: "Sniper buy → trend exit",
+    trigger: { event: "trade", sourceMode: "sniper", where: [{ field: "side", op: "eq", value: "buy" }] },
+    actions: [{ type: "start", mode: "trendFollower", config: { tokenMint: "{{mint}}", useTargetToken: true } }],
+  },
+  driftTwap: {
+    name: "Drift → iceberg TWAP",
+    trigger: { event: "signal", sourceMode: "rebalancer", where: [{ field: "signal", op: "eq", value: "drift" }, { field: "data.maxDriftPct", op: "gte", value: 10 }] },
+    actions: [{ type: "start", mode: "icebergTWAP", config: { tokenMint: "{{data.overweightMint}}" } }],
+  },
+  stopOnRed: {
+    name: "Stop bots that go red",
+    trigger: { event: "health", where: [{ field: "status", op: "eq", value: "red" }] },
+    actions: [{ type: "stop", target: "source" }],
+  },
+};
+
+const inputCls =
+  "bg-zinc-950 border border-zinc-700 rounded px-2 py-1 text-xs text-zinc-100 focus:outline-none focus:border-emerald-500";
+
+const fmtTime = (iso) => (iso ? new Date(iso).toLocaleString() : "never");
+
+const describeTrigger = (t = {}) => {
+  const ev = EVENTS.find((e) => e.value === t.event)?.label || t.event;
+  const src = t.sourceMode ? ` from ${t.sourceMode}` : t.sourceBotId ? ` from ${t.sourceBotId}` : "";
+  const where = (t.where || []).map((c) => `${c.field} ${c.op || "eq"} ${JSON.stringify(c.value)}`).join(" & ");
+  return `${ev}${src}${where ? ` where ${where}` : ""}${t.includeSimulated ? " (incl. simulated, children dry-run)" : ""}`;
+};
+
+const describeAction = (a = {}) =>
+  a.type === "start" ? `start ${a.mode}`
+    : a.type === "stop" ? `stop ${a.target || "source"}`
+    : `reconfigure ${a.target || "source"}`;
+
+/* ---------- firing history ---------- */
+function Firings({ id }) {
+  const [rows, setRows] = useState(null);
+
+  useEffect(() => {
+    listPipelineFirings(id)
+      .then(({ firings }) => setRows(firings))
+      .catch((e) => { toast.error(e.message); setRows([]); });
+  }, [id]);
+
+  if (!rows) return <p className="text-xs text-zinc-500 mt-2">Loading…</p>;
+  if (!rows.length) return <p className="text-xs text-zinc-500 mt-2">Not fired yet.</p>;
+  return (
+    <ul className="mt-2 space-y-1 border-t border-zinc-800 pt-2">
+      {rows.map((f) => (
+        <li key={f.id} className="text-xs text-zinc-400">
+          <span className={f.ok ? "text-emerald-400" : "text-red-400"}>{f.ok ? "✅" : "❌"}</span>{" "}
+          {fmtTime(f.createdAt)} · {f.eventType}
+          {f.sourceBotId ? ` from ${f.sourceBotId}` : ""}
+          {f.event?.mint ? ` · ${f.event.mint.slice(0, 4)}…${f.event.mint.slice(-4)}` : ""}
+          <span className="text-zinc-500">
+            {" → "}
+            {(f.results || []).map((r) => (r.ok ? `${r.type} ${r.botId || ""}` : `${r.type} failed: ${r.error}`)).join(", ")}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/* ---------- builder ---------- */
+function PipelineBuilder({ onCreated, onCancel }) {
+  const [name, setName] = useState("");
+  const [event, setEvent] = useState("trade");
+  const [sourceMode, setSourceMode] = useState("");
+  const [includeSimulated, setIncludeSimulated] = useState(false);
+  const [where, setWhere] = useState("[]");
+  const [actions, setActions] = useState("[]");
+  const [cooldownSec, setCooldownSec] = useState(30);
+  const [saving, setSaving] = useState(false);
+
+  const applyPreset = (key) => {
+    const p = PRESETS[key];
+    setName(p.name);
+    setEvent(p.trigger.event);
+    setSourceMode(p.trigger.sourceMode || "");
+    setWhere(JSON.stringify(p.trigger.where || [], null, 2));
+    setActions(JSON.stringify(p.actions, null, 2));
+  };
+
+  const submit = async () => {
+    let parsedWhere;
+    let parsedActions;
+    try {
+      parsedWhere = JSON.parse(where || "[]");
+      parsedActions = JSON.parse(actions || "[]");
+    } catch {
+      return toast.error("Conditions and actions must be valid JSON");
+    }
+    setSaving(true);
+    try {
+      await createPipeline({
+        name,
+        trigger: { event, ...(sourceMode && { sourceMode }), ...(includeSimulated && { includeSimulated }), where: parsedWhere },
+        actions: parsedActions,
+        cooldownSec: Number(cooldownSec) || 0,
+      });
+      toast.success("Pipeline created 🔗");
+      onCreated();
+    } catch (e) {
+      toast.error(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2 rounded-lg border border-zinc-700 p-3">
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(PRESETS).map(([key, p]) => (
+          <button key={key} type="button" onClick={() => applyPreset(key)}
+            className="text-xs px-2 py-1 rounded border border-zinc-700 text-zinc-300 hover:border-emerald-500">
+            {p.name}
+          </button>
+        ))}
+      </div>
+
+      <input className={`${inputCls} w-full`} placeholder="Name" value={name} onChange={(e) => setName(e.target.value)} />
+
+      <div className="flex gap-2">
+        <select className={inputCls} value={event} onChange={(e) => setEvent(e.target.value)}>
+          {EVENTS.map((e) => <option key={e.value} value={e.value}>{e.label}</option>)}
+        </select>
+        <input className={`${inputCls} flex-1`} placeholder="From strategy (any)" value={sourceMode}
+          onChange={(e) => setSourceMode(e.target.value)} />
+        <input type="number" min={0} className={`${inputCls} w-24`} title="Cooldown (s)" value={cooldownSec}
+          onChange={(e) => setCooldownSec(e.target.value)} />
+      </div>
+
+      <label className="flex items-center gap-2 text-xs text-zinc-400">
+        <input type="checkbox" checked={includeSimulated} onChange={(e) => setIncludeSimulated(e.target.checked)} />
+        Also fire on simulated / dry-run events (bots it starts run dry)
+      </label>
+      <label className="block text-xs text-zinc-400">
+        Conditions – <code>[{"{"} field, op, value {"}"}]</code>
+        <textarea rows={3} className={`${inputCls} w-full font-mono mt-1`} value={where} onChange={(e) => setWhere(e.target.value)} />
+      </label>
+      <label className="block text-xs text-zinc-400">
+        Actions – start / stop / reconfigure; use <code>{"{{mint}}"}</code> etc. for event values
+        <textarea rows={5} className={`${inputCls} w-full font-mono mt-1`} value={actions} onChange={(e) => setActions(e.target.value)} />
+      </label>
+
+      <div className="flex gap-2">
+        <Button size="sm" disabled={saving || !name.trim()} onClick={submit}>
+          {saving ? "Saving…" : "Create pipeline"}
+        </Button>
+        <Button size="sm" variant="ghost" onClick={onCancel}>Cancel</Button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- panel ---------- */
+export default function PipelinesPanel() {
+  const [pipelines, setPipelines] = useState([]);
+  const [building, setBuilding] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
+
+  const refresh = () =>
+    listPipelines()
+      .then(({ pipelines }) => setPipelines(pipelines))
+      .catch((e) => toast.error(e.message));
+
+  useEffect(() => {
+    refresh();
+    const id = setInterval(refresh, 30_000);
+    return () => clearInterval(id);
+  }, []);
+
+  const toggle = async (p) => {
+    try {
+      await updatePipeline(p.id, { enabled: !p.enabled });
+      refresh();
+    } catch (e) {
+      toast.error(e.message);
+    }
+  };
+
+  const remove = async (p) => {
+    if (!window.confirm(`Delete pipeline "${p.name}"?`)) return;
+    try {
+      await deletePipeline(p.id);
+      toast.success("Pipeline deleted 🗑️");
+      refresh();
+    } catch (e) {
+      toast.error(e.message);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-zinc-200">
+          <GitBranch size={16} className="text-emerald-400" /> Strategy Pipelines
+        </h3>
+        <Button size="sm" variant="ghost" onClick={() => setBuilding((v) => !v)}>
+          {building ? <X size={14} /> : <Plus size={14} />}
+        </Button>
+      </div>
+
+      {building && (
+        <PipelineBuilder
+          onCreated={() => { setBuilding(false); refresh(); }}
+          onCancel={() => setBuilding(false)}
+        />
+      )}
+
+      {pipelines.length === 0 ? (
+        <p className="text-xs text-zinc-500">
+          No pipelines yet. Chain bots on events – e.g. hand every sniper buy to a trend follower.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {pipelines.map((p) => (
+            <li key={p.id} className="rounded-lg border border-zinc-800 p-3">
+              <div className="flex items-start justify-between gap-3">
+                <div className="space-y-0.5 min-w-0">
+                  <p className="text-sm font-medium text-zinc-100">{p.name}</p>
+                  <p className="text-xs text-zinc-400">When {describeTrigger(p.trigger)}</p>
+                  <p className="text-xs text-zinc-400">→ {(p.actions || []).map(describeAction).join(", ")}</p>
+                  <p className="text-xs text-zinc-500">
+                    Fired {p.fireCount}× · last {fmtTime(p.lastFiredAt)}
+                    {p.cooldownSec ? ` · cooldown ${p.cooldownSec}s` : ""}
+                  </p>
+                  {p.lastError && <p className="text-xs text-red-400 truncate" title={p.lastError}>⚠️ {p.lastError}</p>}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <Switch checked={p.enabled} onCheckedChange={() => toggle(p)} />
+                  <Button size="icon" variant="ghost" title="Firing history"
+                    onClick={() => setHistoryFor(historyFor === p.id ? null : p.id)}>
+                    <History size={14} />
+                  </Button>
+                  <Button size="icon" variant="ghost" className="text-red-400" title="Delete" onClick={() => remove(p)}>
+                    <Trash2 size={14} />
+                  </Button>
+                </div>
+              </div>
+              {historyFor === p.id && <Firings id={p.id} />}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -6,6 +6,8 @@
  * • Connect your dashboard to a Telegram chat
  * • Fire off a quick test alert to confirm connectivity
  * • Fine‑tune which in‑app events should ping you
+ * • Quiet hours, hourly/daily digests and per‑event rate limits
+ *   (apply to every notification channel; critical alerts bypass)
  *
  * UX tweaks in this version:
  * • Toggles are visible but disabled until Telegram is connected
@@ -23,6 +25,10 @@ import {
   setTelegramPreferences,
   disconnectTelegram,
 } from "@/utils/telegramApi";
+import {
+  getNotificationSettings,
+  saveNotificationSettings,
+} from "@/utils/notificationsApi";
 import { toast } from "sonner";
 import {
   PlugZap,
@@ -36,6 +42,9 @@ import {
   ClipboardList,
   CalendarClock,
   ShieldCheck,
+  Moon,
+  Plus,
+  Trash2,
 } from "lucide-react";
 import * as Switch from "@radix-ui/react-switch";
 
@@ -70,6 +79,154 @@ const GlowButton = ({
   );
 };
 
+/* ----- Delivery policy (quiet hours / digest / throttles) ------ */
+const THROTTLE_KEYS = ["*", "Buy", "Sell", "DCA", "Limit", "TP", "SL", "Sniper", "Scalper", "TrendFollower", "TRADE_OPENED", "TRADE_CLOSED", "DCA_TRANCHE"];
+
+const inputCls =
+  "px-2 py-1 rounded-md bg-zinc-900 border border-zinc-700 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500";
+
+const HELD_LABELS = { quiet: "quiet hours", digest: "digest", throttle: "rate limit" };
+
+function DeliveryPolicy() {
+  const [settings, setSettings] = useState(null);
+  const [rules, setRules] = useState([]); // [{ key, max, windowMin }]
+  const [held, setHeld] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const apply = ({ settings, held }) => {
+    setSettings(settings);
+    setRules(Object.entries(settings.throttles || {}).map(([key, r]) => ({ key, ...r })));
+    setHeld(held || []);
+  };
+
+  useEffect(() => {
+    getNotificationSettings()
+      .then(apply)
+      .catch((e) => toast.error(e.message));
+  }, []);
+
+  if (!settings) return null;
+
+  const set = (patch) => setSettings((s) => ({ ...s, ...patch }));
+  const setRule = (i, patch) => setRules((rs) => rs.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+
+  const handleSave = async () => {
+    const throttles = {};
+    for (const r of rules) {
+      if (!r.key.trim()) continue;
+      throttles[r.key.trim()] = { max: Number(r.max), windowMin: Number(r.windowMin) };
+    }
+    setSaving(true);
+    try {
+      const { timezone, quietEnabled, quietStart, quietEnd, digestMode, digestHour } = settings;
+      apply(await saveNotificationSettings({
+        timezone, quietEnabled, quietStart, quietEnd, digestMode, digestHour: Number(digestHour), throttles,
+      }));
+      toast.success("Delivery settings saved");
+    } catch (e) {
+      toast.error(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-zinc-800 p-4 rounded-lg space-y-4">
+      <h3 className="text-lg font-semibold flex items-center gap-2">
+        <Moon size={18} className="text-indigo-400" /> Quiet Hours, Digests & Rate Limits
+      </h3>
+      <p className="text-sm text-zinc-400">
+        Applies to Telegram, email, Slack and Discord. Critical alerts (risk kill‑switch, Arm expiry,
+        failed orders) always go out immediately.
+      </p>
+
+      <label className="flex flex-col gap-1 text-sm text-zinc-300 w-64">
+        Timezone
+        <input className={inputCls} value={settings.timezone} placeholder="Europe/Berlin"
+          onChange={(e) => set({ timezone: e.target.value })} />
+      </label>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <Switch.Root
+          id="quietEnabled"
+          checked={settings.quietEnabled}
+          onCheckedChange={(checked) => set({ quietEnabled: checked })}
+          className={`relative w-10 h-6 rounded-full border transition-colors
+            ${settings.quietEnabled ? "bg-emerald-600/80 after:translate-x-4 border-emerald-500" : "bg-zinc-800 border-zinc-700"}
+            after:absolute after:top-0.5 after:left-0.5 after:w-5 after:h-5
+            after:rounded-full after:bg-white after:transition-transform`}
+        />
+        <label htmlFor="quietEnabled">Quiet hours from</label>
+        <input type="time" className={inputCls} value={settings.quietStart}
+          onChange={(e) => set({ quietStart: e.target.value })} />
+        <span>to</span>
+        <input type="time" className={inputCls} value={settings.quietEnd}
+          onChange={(e) => set({ quietEnd: e.target.value })} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span>Digest low‑priority events (trades, DCA rounds, bot chatter)</span>
+        <select className={inputCls} value={settings.digestMode} onChange={(e) => set({ digestMode: e.target.value })}>
+          <option value="off">Off – send instantly</option>
+          <option value="hourly">Hourly</option>
+          <option value="daily">Daily</option>
+        </select>
+        {settings.digestMode === "daily" && (
+          <label className="flex items-center gap-2">
+            at
+            <select className={inputCls} value={settings.digestHour} onChange={(e) => set({ digestHour: e.target.value })}>
+              {Array.from({ length: 24 }, (_, h) => (
+                <option key={h} value={h}>{String(h).padStart(2, "0")}:00</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-sm text-zinc-300">
+          Rate limits – extra messages are rolled up as “N more suppressed” (<code>*</code> = every event)
+        </p>
+        <datalist id="throttle-keys">
+          {THROTTLE_KEYS.map((k) => <option key={k} value={k} />)}
+        </datalist>
+        {rules.map((r, i) => (
+          <div key={i} className="flex flex-wrap items-center gap-2 text-sm">
+            <input list="throttle-keys" className={`${inputCls} w-40`} value={r.key}
+              onChange={(e) => setRule(i, { key: e.target.value })} />
+            <span>max</span>
+            <input type="number" min={1} className={`${inputCls} w-20`} value={r.max}
+              onChange={(e) => setRule(i, { max: e.target.value })} />
+            <span>per</span>
+            <input type="number" min={1} className={`${inputCls} w-20`} value={r.windowMin}
+              onChange={(e) => setRule(i, { windowMin: e.target.value })} />
+            <span>min</span>
+            <button type="button" className="text-red-400 hover:text-red-300" title="Remove"
+              onClick={() => setRules((rs) => rs.filter((_, j) => j !== i))}>
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <button type="button" className="flex items-center gap-1 text-xs text-emerald-400 hover:text-emerald-300"
+          onClick={() => setRules((rs) => [...rs, { key: "*", max: 10, windowMin: 15 }])}>
+          <Plus size={14} /> Add rate limit
+        </button>
+      </div>
+
+      {held.length > 0 && (
+        <p className="text-xs text-zinc-400">
+          Held right now:{" "}
+          {held.map((h) => `${h.count} for ${HELD_LABELS[h.reason] || h.reason} (${h.channel}, until ${new Date(h.releaseAt).toLocaleTimeString()})`).join(" · ")}
+        </p>
+      )}
+
+      <GlowButton onClick={handleSave} disabled={saving}>
+        {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />} Save Delivery Settings
+      </GlowButton>
+    </div>
+  );
+}
+
 /* ----- Component ------------------------------------------------ */
 export default function TelegramTab() {
   /* State ------------------------------------------------------ */
@@ -317,6 +474,8 @@ export default function TelegramTab() {
           </p>
         )}
       </div>
+
+      <DeliveryPolicy />
     </section>
   );
 }
\ No newline at end of file
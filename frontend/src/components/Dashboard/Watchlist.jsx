@@ -1,17 +1,26 @@
-// Watchlist.jsx – v2.2.1 (layout + 24h Δ fix)
+// Watchlist.jsx – v3.0.0 (server-side list shared with Telegram + alerts)
 
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import {
-  Plus, Crosshair, RefreshCcw, Trash2, ShieldCheck, ShieldX, Star, Info,
+  Plus, Crosshair, RefreshCcw, Trash2, ShieldCheck, ShieldX, Star, Info, Bell, Target,
 } from "lucide-react";
 import { toast }             from "sonner";
-import { manualSnipe,
-         checkTokenSafety,
-         getTokenMarketStatsPaid } from "@/utils/api";
+import { manualSnipe }       from "@/utils/api";
+import {
+  getWatchlist,
+  addToWatchlist,
+  importWatchlist,
+  removeFromWatchlist,
+  refreshWatchlistToken,
+} from "@/utils/watchlistApi";
 import TopHolderBreakdown     from "./Watchlist/TopHolderBreakdown";
 import MarketStats            from "./Watchlist/MarketStats";
+import AlertRules             from "./Watchlist/AlertRules";
+import QuickLimit             from "./Watchlist/QuickLimit";
 
-const WATCHLIST_KEY = "sniper_watchlist";
+// Pre-v3 browser-only list; imported into the account once, then cleared
+const LEGACY_WATCHLIST_KEY = "sniper_watchlist";
 
 /* ----------------------------- UI helpers ----------------------------- */
 const colourForScore = (s) => {
@@ -166,11 +175,7 @@ export default function Watchlist() {
   const [checkingMint, setCheckingMint] = useState(null);
   const [expandedMint, setExpandedMint] = useState(null);
   const [whaleFilter, setWhaleFilter] = useState(false);
-
-  const persist = (list) => {
-    setTokens(list);
-    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(list));
-  };
+  const [params, setParams] = useSearchParams();
 
   const safetyScore = (token) => {
     const checks = extractChecks(token.safety);
@@ -178,6 +183,24 @@ export default function Watchlist() {
     return Math.round((checks.filter((c) => c.passed).length / checks.length) * 100);
   };
 
+  const withScore = (e) => ({ ...e, addedAt: e.createdAt, safetyScore: e.safety ? safetyScore(e) : undefined });
+  const upsert = (entry) =>
+    setTokens((list) => {
+      const next = withScore(entry);
+      return list.some((t) => t.mint === next.mint)
+        ? list.map((t) => (t.mint === next.mint ? next : t))
+        : [...list, next];
+    });
+
+  const load = useCallback(async () => {
+    try {
+      const { entries } = await getWatchlist();
+      setTokens(entries.map(withScore));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, []);
+
   const SafetyBadge = ({ score }) => {
     const cls = `${basePill} ${colourForScore(score)}`;
     return (
@@ -193,33 +216,27 @@ export default function Watchlist() {
     if (!mint) return;
     if (tokens.some((t) => t.mint === mint)) return toast("Already on Watchlist.");
 
-    toast.loading("Checking safety…");
-    const safety = await checkTokenSafety(mint);
-    toast.dismiss();
-    if (!safety) return toast.error("Safety check failed.");
-
-    toast.loading("Fetching market data…");
-    const market = await getTokenMarketStatsPaid(mint).catch(() => null);
-    toast.dismiss();
-
-    const entry = {
-      mint,
-      name: safety.verified?.data?.name || null,
-      symbol: safety.verified?.data?.symbol || null,
-      logoURI: safety.verified?.data?.logoURI || null,
-      addedAt: new Date().toISOString(),
-      safety,
-      safetyScore: safetyScore({ safety }),
-      market,
-    };
-    persist([...tokens, entry]);
-    setNewMint("");
-    toast.success("Added to Watchlist");
+    toast.loading("Checking safety & market data…");
+    try {
+      const { entry } = await addToWatchlist(mint);
+      upsert(entry);
+      setNewMint("");
+      toast.dismiss();
+      toast.success("Added to Watchlist");
+    } catch (err) {
+      toast.dismiss();
+      toast.error(err.message);
+    }
   };
 
-  const handleRemove = (mint) => {
-    persist(tokens.filter((t) => t.mint !== mint));
-    toast.success("Removed");
+  const handleRemove = async (mint) => {
+    try {
+      await removeFromWatchlist(mint);
+      setTokens((list) => list.filter((t) => t.mint !== mint));
+      toast.success("Removed");
+    } catch (err) {
+      toast.error(err.message);
+    }
   };
 
   const handleSnipe = async (mint) => {
@@ -232,34 +249,18 @@ export default function Watchlist() {
 
   const handleSafetyCheck = async (mint) => {
     setCheckingMint(mint);
-    toast.loading("Re-checking safety…");
-    const safety = await checkTokenSafety(mint);
-    toast.dismiss();
-    if (!safety) {
+    toast.loading("Re-checking safety & market data…");
+    try {
+      const { entry, fired } = await refreshWatchlistToken(mint);
+      upsert(entry);
+      toast.dismiss();
+      toast.success(fired.length ? `Updated · ${fired.length} alert(s) fired` : "Updated");
+    } catch (err) {
+      toast.dismiss();
+      toast.error(err.message);
+    } finally {
       setCheckingMint(null);
-      return toast.error("Check failed.");
     }
-    toast.loading("Refreshing market data…");
-    const market = await getTokenMarketStatsPaid(mint).catch(() => null);
-    toast.dismiss();
-
-    persist(
-      tokens.map((t) =>
-        t.mint === mint
-          ? {
-              ...t,
-              safety,
-              name: safety.verified?.data?.name || t.name,
-              symbol: safety.verified?.data?.symbol || t.symbol,
-              logoURI: safety.verified?.data?.logoURI || t.logoURI,
-              safetyScore: safetyScore({ safety }),
-              market,
-            }
-          : t,
-      ),
-    );
-    setCheckingMint(null);
-    toast.success("Updated");
   };
 
   /* ----------------------------- Filters ----------------------------- */
@@ -277,9 +278,36 @@ export default function Watchlist() {
     .sort((a, b) => (b.safetyScore ?? 0) - (a.safetyScore ?? 0));
 
   useEffect(() => {
-    const saved = JSON.parse(localStorage.getItem(WATCHLIST_KEY)) || [];
-    setTokens(saved);
-  }, []);
+    (async () => {
+      const saved = JSON.parse(localStorage.getItem(LEGACY_WATCHLIST_KEY) || "[]");
+      if (Array.isArray(saved) && saved.length) {
+        try {
+          const { imported } = await importWatchlist(
+            saved.map(({ mint, name, symbol, logoURI, addedAt }) => ({ mint, name, symbol, logoURI, addedAt })),
+          );
+          localStorage.removeItem(LEGACY_WATCHLIST_KEY);
+          if (imported) toast.success(`Moved ${imported} token(s) from this browser to your account`);
+        } catch (err) {
+          toast.error(`Watchlist import failed: ${err.message}`);
+        }
+      }
+      load();
+    })();
+  }, [load]);
+
+  /* Links from watchlist alerts: ?mint=…&action=buy|limit */
+  useEffect(() => {
+    const mint = params.get("mint");
+    const action = params.get("action");
+    if (!mint || !tokens.some((t) => t.mint === mint)) return;
+    setExpandedMint(mint);
+    if (action === "buy") {
+      toast(`Buy ${mint.slice(0, 4)}…${mint.slice(-4)} now?`, {
+        action: { label: "Snipe", onClick: () => handleSnipe(mint) },
+      });
+    }
+    setParams({}, { replace: true });
+  }, [params, tokens]);
 
   /* ------------------------------ Render ----------------------------- */
   return (
@@ -377,6 +405,9 @@ export default function Watchlist() {
                         <span className="whitespace-nowrap">
                           {t.symbol || t.name || `${t.mint.slice(0, 6)}…${t.mint.slice(-4)}`}
                         </span>
+                        {t.rules?.some((r) => r.enabled) && (
+                          <Bell size={12} className="text-amber-400" title="Alerts on" />
+                        )}
                         <span className="ml-1 text-zinc-500">{expandedMint === t.mint ? "▲" : "▼"}</span>
                       </div>
                     </td>
@@ -461,6 +492,13 @@ export default function Watchlist() {
                         <button title="Manual snipe" onClick={() => handleSnipe(t.mint)} className="text-emerald-400 hover:text-emerald-600">
                           <Crosshair size={16} />
                         </button>
+                        <button
+                          title="Alerts & limit order"
+                          onClick={() => setExpandedMint(expandedMint === t.mint ? null : t.mint)}
+                          className="text-amber-400 hover:text-amber-600"
+                        >
+                          <Target size={16} />
+                        </button>
                         <button
                           title="Re-check safety"
                           onClick={() => handleSafetyCheck(t.mint)}
@@ -517,6 +555,12 @@ export default function Watchlist() {
                           {/* Market Stats */}
                           <div className="min-w-[220px] max-w-[280px] flex-1">{t.market ? <MarketStats data={t.market} /> : null}</div>
                         </div>
+
+                        {/* Alerts + quick limit */}
+                        <div className="mt-4 grid gap-4 md:grid-cols-2">
+                          <AlertRules mint={t.mint} rules={t.rules} onChange={load} />
+                          <QuickLimit mint={t.mint} price={t.market?.price} />
+                        </div>
                       </td>
                     </tr>
                   )}
@@ -0,0 +1,190 @@
+// AlertRules.jsx – watchlist alert rules for one token
+import React, { useState } from "react";
+import { Bell, BellOff, Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+  addWatchlistRule,
+  updateWatchlistRule,
+  deleteWatchlistRule,
+} from "@/utils/watchlistApi";
+
+const RULES = {
+  price_cross: {
+    label: "Price crosses",
+    defaults: { direction: "above", price: "" },
+    describe: (p) => `Price ${p.direction} $${p.price}`,
+  },
+  pct_move: {
+    label: "% move",
+    defaults: { metric: "price", direction: "any", pct: 10, windowMin: 60 },
+    describe: (p) => `${p.metric === "volume" ? "Volume" : "Price"} ${p.direction === "up" ? "+" : p.direction === "down" ? "−" : "±"}${p.pct}% in ${p.windowMin} min`,
+  },
+  liquidity_drop: {
+    label: "Liquidity drop",
+    defaults: { pct: 25, windowMin: 60 },
+    describe: (p) => `Liquidity −${p.pct}% in ${p.windowMin} min`,
+  },
+  holder_tier: {
+    label: "Holder tier change",
+    defaults: { worseOnly: true },
+    describe: (p) => (p.worseOnly ? "Holder concentration worsens" : "Holder tier changes"),
+  },
+  safety_flip: {
+    label: "Safety verdict flips",
+    defaults: { to: "unsafe" },
+    describe: (p) => (p.to === "any" ? "Safety verdict changes" : `Safety turns ${p.to}`),
+  },
+};
+
+const input = "rounded border border-zinc-700 bg-zinc-800 px-2 py-1 text-xs text-white focus:border-emerald-500";
+
+const Select = ({ value, onChange, options }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={input}>
+    {options.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+  </select>
+);
+
+const NumberInput = ({ value, onChange, placeholder, width = "w-20" }) => (
+  <input
+    type="number"
+    min="0"
+    step="any"
+    value={value}
+    placeholder={placeholder}
+    onChange={(e) => onChange(e.target.value)}
+    className={`${input} ${width}`}
+  />
+);
+
+function ParamFields({ type, params, set }) {
+  switch (type) {
+    case "price_cross":
+      return (
+        <>
+          <Select value={params.direction} onChange={(v) => set("direction", v)} options={[["above", "above"], ["below", "below"]]} />
+          <NumberInput value={params.price} onChange={(v) => set("price", v)} placeholder="$ price" width="w-28" />
+        </>
+      );
+    case "pct_move":
+      return (
+        <>
+          <Select value={params.metric} onChange={(v) => set("metric", v)} options={[["price", "price"], ["volume", "volume"]]} />
+          <Select value={params.direction} onChange={(v) => set("direction", v)} options={[["any", "±"], ["up", "up"], ["down", "down"]]} />
+          <NumberInput value={params.pct} onChange={(v) => set("pct", v)} placeholder="%" />
+          <span className="text-zinc-400">% in</span>
+          <NumberInput value={params.windowMin} onChange={(v) => set("windowMin", v)} placeholder="min" />
+          <span className="text-zinc-400">min</span>
+        </>
+      );
+    case "liquidity_drop":
+      return (
+        <>
+          <NumberInput value={params.pct} onChange={(v) => set("pct", v)} placeholder="%" />
+          <span className="text-zinc-400">% in</span>
+          <NumberInput value={params.windowMin} onChange={(v) => set("windowMin", v)} placeholder="min" />
+          <span className="text-zinc-400">min</span>
+        </>
+      );
+    case "holder_tier":
+      return (
+        <label className="flex items-center gap-1 text-zinc-300">
+          <input type="checkbox" checked={!!params.worseOnly} onChange={(e) => set("worseOnly", e.target.checked)} />
+          only when it gets worse
+        </label>
+      );
+    case "safety_flip":
+      return (
+        <Select value={params.to} onChange={(v) => set("to", v)} options={[["unsafe", "to unsafe"], ["safe", "to safe"], ["any", "either way"]]} />
+      );
+    default:
+      return null;
+  }
+}
+
+// numeric inputs are strings while editing
+const toParams = (params) =>
+  Object.fromEntries(Object.entries(params).map(([k, v]) => [k, typeof v === "string" && v !== "" && !isNaN(v) ? Number(v) : v]));
+
+export default function AlertRules({ mint, rules = [], onChange }) {
+  const [type, setType] = useState("price_cross");
+  const [params, setParams] = useState(RULES.price_cross.defaults);
+  const [cooldownMin, setCooldownMin] = useState(60);
+  const [busy, setBusy] = useState(false);
+
+  const pickType = (t) => {
+    setType(t);
+    setParams(RULES[t].defaults);
+  };
+  const set = (k, v) => setParams((p) => ({ ...p, [k]: v }));
+
+  const run = async (fn, ok) => {
+    setBusy(true);
+    try {
+      await fn();
+      if (ok) toast.success(ok);
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const add = () =>
+    run(() => addWatchlistRule(mint, { type, params: toParams(params), cooldownMin: Number(cooldownMin) || 0 }), "Alert added");
+
+  return (
+    <div className="rounded-lg border border-white/10 bg-zinc-900/60 p-3">
+      <h5 className="mb-2 flex items-center gap-1 text-[11px] font-semibold uppercase tracking-wider text-white/70">
+        <Bell size={12} /> Alerts
+      </h5>
+
+      {rules.length === 0 ? (
+        <p className="mb-2 text-xs text-zinc-500">No alerts yet. Alerts go to your notification channels.</p>
+      ) : (
+        <ul className="mb-3 space-y-1">
+          {rules.map((r) => (
+            <li key={r.id} className="flex items-center justify-between gap-2 text-xs">
+              <span className={r.enabled ? "text-zinc-100" : "text-zinc-500 line-through"}>
+                {RULES[r.type]?.describe(r.params || {}) || r.type}
+                <span className="ml-1 text-zinc-500">· {r.cooldownMin} min cooldown{r.fireCount ? ` · fired ${r.fireCount}×` : ""}</span>
+              </span>
+              <span className="flex gap-2">
+                <button
+                  title={r.enabled ? "Pause" : "Resume"}
+                  disabled={busy}
+                  onClick={() => run(() => updateWatchlistRule(r.id, { enabled: !r.enabled }))}
+                  className="text-zinc-400 hover:text-white"
+                >
+                  {r.enabled ? <BellOff size={14} /> : <Bell size={14} />}
+                </button>
+                <button
+                  title="Delete"
+                  disabled={busy}
+                  onClick={() => run(() => deleteWatchlistRule(r.id), "Alert deleted")}
+                  className="text-red-400 hover:text-red-600"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <Select value={type} onChange={pickType} options={Object.entries(RULES).map(([k, v]) => [k, v.label])} />
+        <ParamFields type={type} params={params} set={set} />
+        <span className="text-zinc-400">cooldown</span>
+        <NumberInput value={cooldownMin} onChange={setCooldownMin} placeholder="min" width="w-16" />
+        <button
+          onClick={add}
+          disabled={busy}
+          className="flex items-center gap-1 rounded bg-emerald-600 px-2 py-1 font-semibold text-white hover:bg-emerald-500 disabled:opacity-50"
+        >
+          <Plus size={12} /> Add
+        </button>
+      </div>
+    </div>
+  );
+}
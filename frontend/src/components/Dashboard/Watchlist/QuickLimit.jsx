@@ -0,0 +1,61 @@
+// QuickLimit.jsx – "Set limit" from a watchlist row or alert link
+import React, { useState } from "react";
+import { Target } from "lucide-react";
+import { toast } from "sonner";
+import { createLimitOrder } from "@/utils/api";
+
+const input = "rounded border border-zinc-700 bg-zinc-800 px-2 py-1 text-xs text-white focus:border-emerald-500";
+
+export default function QuickLimit({ mint, price }) {
+  const [side, setSide] = useState("buy");
+  const [amount, setAmount] = useState("");
+  const [targetPrice, setTargetPrice] = useState(price ? String(+price.toPrecision(4)) : "");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async () => {
+    if (!(Number(amount) > 0) || !(Number(targetPrice) > 0)) return toast.error("Enter an amount and a target price.");
+    setBusy(true);
+    try {
+      const res = await createLimitOrder({ mint, side, amount: Number(amount), targetPrice: Number(targetPrice) });
+      if (res?.error) throw new Error(res.error);
+      toast.success(`Limit ${side} placed @ $${targetPrice}`);
+      setAmount("");
+    } catch (err) {
+      toast.error(err.message || "Limit order failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-white/10 bg-zinc-900/60 p-3">
+      <h5 className="mb-2 flex items-center gap-1 text-[11px] font-semibold uppercase tracking-wider text-white/70">
+        <Target size={12} /> Set limit
+      </h5>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <select value={side} onChange={(e) => setSide(e.target.value)} className={input}>
+          <option value="buy">buy</option>
+          <option value="sell">sell</option>
+        </select>
+        <input
+          type="number" min="0" step="any" placeholder="USDC"
+          value={amount} onChange={(e) => setAmount(e.target.value)}
+          className={`${input} w-20`}
+        />
+        <span className="text-zinc-400">@ $</span>
+        <input
+          type="number" min="0" step="any" placeholder="price"
+          value={targetPrice} onChange={(e) => setTargetPrice(e.target.value)}
+          className={`${input} w-28`}
+        />
+        <button
+          onClick={submit}
+          disabled={busy}
+          className="rounded bg-amber-500 px-2 py-1 font-semibold text-zinc-900 hover:bg-amber-400 disabled:opacity-50"
+        >
+          Place
+        </button>
+      </div>
+    </div>
+  );
+}
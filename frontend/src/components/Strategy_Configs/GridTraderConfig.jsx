@@ -0,0 +1,740 @@
+// GridTraderConfig.jsx — range/grid strategy; same tab + raw-input pattern as ScalperConfig
+import React, {
+  useMemo,
+  useState,
+  useCallback,
+  useEffect,
+  useRef,
+} from "react";
+import * as Dialog from "@radix-ui/react-dialog";
+import StrategyTooltip from "./StrategyTooltip";
+import AdvancedFields from "../ui/AdvancedFields";
+import { ChevronDown, X } from "lucide-react";
+import { toast } from "sonner";
+import { saveConfig } from "@/utils/autobotApi";
+
+/* fields required by validator ---------------------------------------- */
+export const REQUIRED_FIELDS = [
+  "tokenMint",
+  "lowerPrice",
+  "upperPrice",
+  "gridLevels",
+];
+
+export const OPTIONAL_FIELDS = [
+  "spacing",
+  "stopOutPct",
+  "stopOutAction",
+  "paperMode",
+  "execModel",
+  "slippageBpsCap",
+  "priorityFeeLamports",
+];
+
+// numeric fields we edit as raw strings (no coercion until blur/save)
+const NUM_FIELDS = [
+  "lowerPrice",
+  "upperPrice",
+  "gridLevels",
+  "stopOutPct",
+  "slippageBpsCap",
+  "priorityFeeLamports",
+];
+
+/* ---------- UI helpers (module scope; stable identities) ---------- */
+const FIELD_WRAP =
+  "relative rounded-md border border-zinc-700 bg-zinc-900 px-2 py-1.5 hover:border-zinc-600 focus-within:border-emerald-500/70 transition";
+const INP =
+  "w-full text-sm px-1.5 py-1.5 bg-transparent text-white placeholder:text-zinc-500 outline-none border-none focus:outline-none";
+
+const SPACINGS = ["arithmetic", "geometric"];
+const STOP_OUT_ACTIONS = ["sell", "hold"];
+const EXEC_MODELS = ["ideal", "amm_depth", "jito_fallback"];
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MAX_PREVIEW = 12;
+
+const Card = ({ title, right, children, className = "" }) => (
+  <div
+    className={`bg-zinc-900/60 border border-zinc-800 rounded-lg p-3 sm:p-4 ${className}`}
+  >
+    {(title || right) && (
+      <div className="flex items-center justify-between mb-3">
+        {title ? (
+          <div className="text-sm font-semibold text-zinc-200">{title}</div>
+        ) : (
+          <div />
+        )}
+        {right}
+      </div>
+    )}
+    {children}
+  </div>
+);
+
+const Section = ({ children }) => (
+  <div className="grid gap-4 md:gap-5 sm:grid-cols-2">{children}</div>
+);
+
+const TabButton = ({ active, onClick, children, badge }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`relative px-3 sm:px-4 py-2 text-sm transition ${
+      active ? "text-zinc-100" : "text-zinc-400 hover:text-zinc-200"
+    }`}
+  >
+    <span className="pb-1">{children}</span>
+    <span
+      className={`absolute left-0 right-0 -bottom-[1px] h-[2px] transition ${
+        active ? "bg-emerald-400" : "bg-transparent"
+      }`}
+    />
+    {badge > 0 && (
+      <span className="ml-2 inline-flex items-center justify-center text-[10px] rounded-full px-1.5 py-0.5 bg-red-600 text-white">
+        {badge}
+      </span>
+    )}
+  </button>
+);
+
+const TAB_KEYS = {
+  core: ["tokenMint", "lowerPrice", "upperPrice", "gridLevels", "spacing"],
+  risk: ["stopOutPct", "stopOutAction"],
+  execution: ["paperMode", "execModel", "slippageBpsCap", "priorityFeeLamports"],
+  advanced: [],
+};
+
+/* same spacing as backend core/gridLevels.buildGrid */
+const gridPrices = (lower, upper, levels, spacing) => {
+  const lo = +lower, hi = +upper, n = Math.floor(+levels);
+  if (!(lo > 0) || !(hi > lo) || !(n >= 2) || n > 100) return [];
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    out.push(
+      spacing === "geometric"
+        ? lo * Math.pow(hi / lo, i / (n - 1))
+        : lo + ((hi - lo) * i) / (n - 1)
+    );
+  }
+  return out;
+};
+
+const fmtPrice = (p) =>
+  p >= 1 ? p.toFixed(4) : p.toPrecision(4);
+
+const validateGridTraderConfig = (cfg = {}) => {
+  const errs = [];
+  if (!cfg.tokenMint || !MINT_RE.test(String(cfg.tokenMint).trim())) {
+    errs.push("tokenMint must be a valid mint.");
+  }
+  const lo = +cfg.lowerPrice, hi = +cfg.upperPrice;
+  if (cfg.lowerPrice === "" || !(lo > 0)) errs.push("lowerPrice must be > 0.");
+  if (cfg.upperPrice === "" || !(hi > 0)) errs.push("upperPrice must be > 0.");
+  else if (lo > 0 && hi <= lo) errs.push("upperPrice must be above lowerPrice.");
+  const n = +cfg.gridLevels;
+  if (!Number.isInteger(n) || n < 2 || n > 100) {
+    errs.push("gridLevels must be a whole number between 2 and 100.");
+  }
+  if (cfg.stopOutPct !== "" && cfg.stopOutPct != null) {
+    const s = +cfg.stopOutPct;
+    if (Number.isNaN(s) || s < 0 || s > 100) errs.push("stopOutPct must be 0–100.");
+  }
+  return errs;
+};
+
+const countErrorsForTab = (errors) => {
+  const lower = errors.map((e) => String(e).toLowerCase());
+  const counts = { core: 0, risk: 0, execution: 0, advanced: 0 };
+  for (const tab of Object.keys(TAB_KEYS)) {
+    const keys = TAB_KEYS[tab];
+    counts[tab] = lower.filter((msg) =>
+      keys.some((k) => msg.includes(k.toLowerCase()))
+    ).length;
+  }
+  const categorized = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (categorized < errors.length) counts.core += errors.length - categorized;
+  return counts;
+};
+
+/* ---------- Tab components hoisted to module scope ---------- */
+const NumField = ({ name, label, placeholder, view, disabled, handleChange, handleBlur }) => (
+  <div className="space-y-1">
+    <div className="flex items-center gap-1 text-sm font-medium text-zinc-300">
+      <span>{label}</span>
+      <StrategyTooltip name={name} />
+    </div>
+    <div className={FIELD_WRAP}>
+      <input
+        type="text"
+        inputMode="decimal"
+        name={name}
+        value={view[name] ?? ""}
+        onChange={handleChange}
+        onBlur={handleBlur(name)}
+        placeholder={placeholder}
+        className={INP}
+        disabled={disabled}
+      />
+    </div>
+  </div>
+);
+
+const SelectField = ({ name, label, options, view, disabled, handleChange }) => (
+  <div className="space-y-1">
+    <div className="flex items-center gap-1 text-sm font-medium text-zinc-300">
+      <span>{label}</span>
+      <StrategyTooltip name={name} />
+    </div>
+    <div className={FIELD_WRAP}>
+      <select
+        name={name}
+        value={view[name]}
+        onChange={handleChange}
+        className={`${INP} appearance-none pr-8`}
+        disabled={disabled}
+      >
+        {options.map((o) => (
+          <option key={o} value={o}>
+            {o}
+          </option>
+        ))}
+      </select>
+      <ChevronDown className="absolute right-2 top-2.5 w-4 h-4 text-zinc-400 pointer-events-none" />
+    </div>
+  </div>
+);
+
+const CoreTab = React.memo(function CoreTab({
+  view,
+  disabled,
+  handleChange,
+  handleBlur,
+}) {
+  const prices = gridPrices(view.lowerPrice, view.upperPrice, view.gridLevels, view.spacing);
+  const shown =
+    prices.length > MAX_PREVIEW
+      ? [...prices.slice(0, MAX_PREVIEW / 2), null, ...prices.slice(-MAX_PREVIEW / 2)]
+      : prices;
+  const field = { view, disabled, handleChange, handleBlur };
+
+  return (
+    <Section>
+      <Card title="Grid" className="sm:col-span-2">
+        <div className="grid gap-4 sm:grid-cols-2">
+          {/* Token mint */}
+          <div className="space-y-1 sm:col-span-2">
+            <div className="flex items-center gap-1 text-sm font-medium text-zinc-300">
+              <span>Token Mint</span>
+              <StrategyTooltip name="tokenMint" />
+            </div>
+            <div className={FIELD_WRAP}>
+              <input
+                type="text"
+                name="tokenMint"
+                value={view.tokenMint ?? ""}
+                onChange={handleChange}
+                placeholder="Token mint address"
+                className={`${INP} font-mono`}
+                disabled={disabled}
+              />
+            </div>
+          </div>
+
+          <NumField name="lowerPrice" label="Lower Price (USD)" placeholder="e.g. 0.0012" {...field} />
+          <NumField name="upperPrice" label="Upper Price (USD)" placeholder="e.g. 0.0018" {...field} />
+          <NumField name="gridLevels" label="Levels" placeholder="e.g. 10" {...field} />
+          <SelectField name="spacing" label="Spacing" options={SPACINGS} {...field} />
+        </div>
+
+        {!view?.__showRequiredOnly && prices.length > 0 && (
+          <div className="mt-4">
+            <div className="text-xs text-zinc-400 mb-1">
+              {prices.length} levels · {prices.length - 1} slots · amount per slot is the bot's
+              Amount to Spend
+            </div>
+            <div className="flex flex-wrap gap-1.5">
+              {shown.map((p, i) =>
+                p == null ? (
+                  <span key={`gap-${i}`} className="text-xs text-zinc-500 px-1">
+                    …
+                  </span>
+                ) : (
+                  <span
+                    key={i}
+                    className="text-[11px] font-mono rounded border border-zinc-800 bg-zinc-950 px-1.5 py-0.5 text-zinc-300"
+                  >
+                    ${fmtPrice(p)}
+                  </span>
+                )
+              )}
+            </div>
+          </div>
+        )}
+      </Card>
+    </Section>
+  );
+});
+
+const RiskTab = React.memo(function RiskTab({
+  view,
+  disabled,
+  handleChange,
+  handleBlur,
+}) {
+  const field = { view, disabled, handleChange, handleBlur };
+  return (
+    <Section>
+      <Card title="Stop-out" className="sm:col-span-2">
+        <div className="grid gap-4 sm:grid-cols-2">
+          <NumField name="stopOutPct" label="Stop-out Buffer (%)" placeholder="e.g. 5" {...field} />
+          <SelectField name="stopOutAction" label="On Stop-out" options={STOP_OUT_ACTIONS} {...field} />
+        </div>
+        <p className="mt-3 text-xs text-zinc-400">
+          When price leaves the range by more than the buffer the grid stops —
+          selling every held level, or keeping them with “hold”.
+        </p>
+      </Card>
+    </Section>
+  );
+});
+
+const ExecutionTab = React.memo(function ExecutionTab({
+  view,
+  disabled,
+  handleChange,
+  handleBlur,
+}) {
+  const field = { view, disabled, handleChange, handleBlur };
+  return (
+    <Section>
+      <Card title="Paper Mode">
+        <div className="grid gap-4">
+          <div className="space-y-1">
+            <div className="flex items-center gap-2 text-sm font-medium text-zinc-300">
+              <span>Paper Trade</span>
+              <StrategyTooltip name="paperMode" />
+            </div>
+            <div className={FIELD_WRAP + " flex items-center justify-between px-3 py-2"}>
+              <input
+                type="checkbox"
+                name="paperMode"
+                checked={!!view.paperMode}
+                onChange={handleChange}
+                disabled={disabled}
+                className="accent-emerald-500 h-4 w-4"
+              />
+              <span className="text-xs text-zinc-400">
+                Simulated fills via the paper execution adapter
+              </span>
+            </div>
+          </div>
+          {view.paperMode && (
+            <>
+              <SelectField name="execModel" label="Execution Model" options={EXEC_MODELS} {...field} />
+              <NumField name="slippageBpsCap" label="Slippage Cap (bps)" placeholder="e.g. 50" {...field} />
+            </>
+          )}
+        </div>
+      </Card>
+      <Card title="Fees">
+        <NumField name="priorityFeeLamports" label="Priority Fee (μlam)" placeholder="e.g. 20000" {...field} />
+      </Card>
+    </Section>
+  );
+});
+
+const AdvancedTab = React.memo(function AdvancedTab({
+  view,
+  setConfig,
+  disabled,
+  children,
+}) {
+  return (
+    <>
+      <Section>
+        <Card title="Advanced" className="sm:col-span-2">
+          <AdvancedFields config={view} setConfig={setConfig} disabled={disabled} />
+        </Card>
+      </Section>
+      {children}
+    </>
+  );
+});
+
+/* ---------- Main component ---------- */
+const GridTraderConfig = ({
+  config = {},
+  setConfig,
+  disabled,
+  children,
+  mode = "gridTrader",
+}) => {
+  const defaults = {
+    // Core
+    tokenMint: "",
+    lowerPrice: "",
+    upperPrice: "",
+    gridLevels: 10,
+    spacing: "arithmetic",
+    // Risk
+    stopOutPct: 5,
+    stopOutAction: "sell",
+    // Execution
+    paperMode: false,
+    execModel: "ideal",
+    slippageBpsCap: "",
+    priorityFeeLamports: "",
+  };
+
+  // Merge defaults with incoming config
+  const merged = useMemo(() => ({ ...defaults, ...(config ?? {}) }), [config]);
+
+  // Track the active field for guard rails. Use a ref so updates don't cause rerender.
+  const activeFieldRef = useRef(null);
+  const clearActiveField = useCallback(() => {
+    activeFieldRef.current = null;
+  }, []);
+
+  const handleFocusCapture = useCallback((e) => {
+    const name = e?.target?.name;
+    if (name) activeFieldRef.current = name;
+  }, []);
+
+  const handleBlurCapture = useCallback(
+    (e) => {
+      const name = e?.target?.name;
+      if (name && activeFieldRef.current === name) clearActiveField();
+    },
+    [clearActiveField]
+  );
+
+  // Handler for all onChange events. Writes raw values into parent config
+  const handleChange = useCallback(
+    (e) => {
+      const { name, type, value, checked } = e.currentTarget;
+      const next = type === "checkbox" ? !!checked : value;
+      setConfig((prevConfig) => ({ ...(prevConfig ?? {}), [name]: next }));
+    },
+    [setConfig]
+  );
+
+  // Per-field blur handler for numeric fields. Converts the raw string into a number if possible.
+  const handleBlur = useCallback(
+    (field) => (e) => {
+      if (!NUM_FIELDS.includes(field)) {
+        clearActiveField();
+        return;
+      }
+      const raw = e?.currentTarget?.value ?? "";
+      let after;
+      if (raw === "") {
+        after = "";
+      } else {
+        const num = Number(raw);
+        after = Number.isFinite(num) ? num : "";
+      }
+      setConfig((prevConfig) => ({ ...(prevConfig ?? {}), [field]: after }));
+      clearActiveField();
+    },
+    [setConfig, clearActiveField]
+  );
+
+  // Build a view model that ensures numeric values are always represented as strings for display
+  const view = useMemo(() => {
+    const v = { ...merged };
+    NUM_FIELDS.forEach((k) => {
+      const val = merged[k];
+      v[k] = val === "" || val === null || val === undefined ? "" : String(val);
+    });
+    return v;
+  }, [merged]);
+
+  const errors = validateGridTraderConfig(merged);
+  const tabErr = countErrorsForTab(errors);
+
+  const [activeTab, setActiveTab] = useState("core");
+  const [showRequiredOnly, setShowRequiredOnly] = useState(false);
+  // Preset dialog state
+  const [showSaveDialog, setShowSaveDialog] = useState(false);
+  const [presetName, setPresetName] = useState("");
+
+  const doSavePreset = async () => {
+    try {
+      const name = (presetName || "").trim();
+      // Normalize numeric fields before saving: coerce to numbers when possible
+      const patch = {};
+      for (const k of NUM_FIELDS) {
+        const raw = merged[k];
+        if (raw === "" || raw === null || raw === undefined) {
+          patch[k] = "";
+        } else {
+          const num = Number(raw);
+          patch[k] = Number.isFinite(num) ? num : "";
+        }
+      }
+      setConfig((prev) => ({ ...(prev ?? {}), ...patch }));
+      await saveConfig(mode, { ...merged, ...patch }, name);
+      window.dispatchEvent(
+        new CustomEvent("savedConfig:changed", { detail: { mode } })
+      );
+      toast.success(name ? `Saved preset “${name}”` : "Preset saved");
+      setShowSaveDialog(false);
+      setPresetName("");
+    } catch (e) {
+      toast.error(e?.message || "Failed to save preset");
+    }
+  };
+
+  // Flag for parent modal to suppress close while the save dialog is open
+  useEffect(() => {
+    if (showSaveDialog) {
+      document.body.dataset.saveOpen = "1";
+    } else {
+      delete document.body.dataset.saveOpen;
+    }
+    return () => {
+      delete document.body.dataset.saveOpen;
+    };
+  }, [showSaveDialog]);
+
+  const viewForTabs = useMemo(
+    () => ({ ...view, __showRequiredOnly: showRequiredOnly }),
+    [view, showRequiredOnly]
+  );
+
+  const shortMint = view.tokenMint
+    ? `${view.tokenMint.slice(0, 4)}…${view.tokenMint.slice(-4)}`
+    : "—";
+
+  return (
+    <div
+      className="bg-zinc-950/90 text-zinc-200 rounded-xl border border-zinc-800 shadow-xl focus:outline-none"
+      onFocusCapture={handleFocusCapture}
+      onBlurCapture={handleBlurCapture}
+    >
+      {/* Header + Tabs */}
+      <div className="p-4 sm:p-5 border-b border-zinc-900 sticky top-0 z-[5] bg-zinc-1000 focus:outline-none">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-lg sm:text-xl font-semibold tracking-tight flex items-center gap-2">
+            Grid Trader Config
+          </h2>
+          <label className="flex items-center gap-3 select-none">
+            <input
+              type="checkbox"
+              className="sr-only peer"
+              checked={showRequiredOnly}
+              onChange={(e) => setShowRequiredOnly(e.currentTarget.checked)}
+            />
+            <span className="relative inline-flex h-5 w-9 rounded-full bg-zinc-700 transition-colors peer-checked:bg-emerald-500">
+              <span className="absolute left-0.5 top-0.5 h-4 w-4 rounded-full bg-white transition-transform peer-checked:translate-x-4" />
+            </span>
+            <span className="text-xs sm:text-sm text-zinc-300">
+              Required only
+            </span>
+          </label>
+        </div>
+        <div className="flex items-center gap-3 sm:gap-4 relative">
+          <TabButton
+            active={activeTab === "core"}
+            onClick={() => setActiveTab("core")}
+            badge={tabErr.core}
+          >
+            Grid
+          </TabButton>
+          <TabButton
+            active={activeTab === "risk"}
+            onClick={() => setActiveTab("risk")}
+            badge={tabErr.risk}
+          >
+            Stop-out
+          </TabButton>
+          <TabButton
+            active={activeTab === "execution"}
+            onClick={() => setActiveTab("execution")}
+            badge={tabErr.execution}
+          >
+            Execution
+          </TabButton>
+          <TabButton
+            active={activeTab === "advanced"}
+            onClick={() => setActiveTab("advanced")}
+            badge={tabErr.advanced}
+          >
+            Advanced
+          </TabButton>
+        </div>
+      </div>
+      {/* Content */}
+      <div className="p-4 sm:p-5" data-inside-dialog="1">
+        <div className="bg-zinc-900 text-zinc-300 text-xs rounded-md p-2 mb-4">
+          🪜 Buys each level price dips through and sells it one level up; stops out when price leaves the range.
+        </div>
+        {errors.length > 0 && (
+          <div className="bg-red-900 text-red-100 text-xs p-2 rounded-md mb-4 border border-red-800 space-y-1">
+            {errors.map((err, i) => (
+              <div key={i}>{err}</div>
+            ))}
+          </div>
+        )}
+        {activeTab === "core" && (
+          <CoreTab
+            view={viewForTabs}
+            disabled={disabled}
+            handleChange={handleChange}
+            handleBlur={handleBlur}
+          />
+        )}
+        {activeTab === "risk" && (
+          <RiskTab
+            view={view}
+            disabled={disabled}
+            handleChange={handleChange}
+            handleBlur={handleBlur}
+          />
+        )}
+        {activeTab === "execution" && (
+          <ExecutionTab
+            view={view}
+            disabled={disabled}
+            handleChange={handleChange}
+            handleBlur={handleBlur}
+          />
+        )}
+        {activeTab === "advanced" && (
+          <AdvancedTab view={view} setConfig={setConfig} disabled={disabled}>
+            {typeof children !== "undefined" ? children : null}
+          </AdvancedTab>
+        )}
+        {/* Strategy Summary */}
+        <div className="mt-6 bg-zinc-900 rounded-md p-3">
+          <p className="text-xs text-right leading-4">
+            <span className="text-pink-400 font-semibold">Grid Summary</span>
+            &nbsp;— Token:&nbsp;
+            <span className="text-emerald-300 font-semibold font-mono">{shortMint}</span>
+            ;&nbsp;Range&nbsp;
+            <span className="text-emerald-300 font-semibold">
+              ${view.lowerPrice || "?"} – ${view.upperPrice || "?"}
+            </span>
+            ;&nbsp;
+            <span className="text-indigo-300 font-semibold">
+              {view.gridLevels} {view.spacing}
+            </span>
+            &nbsp;levels; Stop-out&nbsp;
+            <span className="text-orange-300 font-semibold">
+              ±{view.stopOutPct || 0}% → {view.stopOutAction}
+            </span>
+            {view.paperMode && (
+              <>
+                ;{" "}
+                <span className="text-sky-300 font-semibold">
+                  Paper ({view.execModel})
+                </span>
+              </>
+            )}
+          </p>
+        </div>
+      </div>
+      {/* Sticky Footer */}
+      <div className="sticky bottom-0 border-t border-zinc-900 p-3 sm:p-4 bg-zinc-1000 rounded-b-2xl" data-inside-dialog="1">
+        <div className="flex items-center justify-between gap-3">
+          <div className="text-xs">
+            {errors.length > 0 ? (
+              <span className="text-zinc-400">
+                ⚠️ {errors.length} validation {errors.length === 1 ? "issue" : "issues"}
+              </span>
+            ) : (
+              <span className="text-emerald-400 drop-shadow-[0_0_6px_rgba(16,185,129,0.8)]">
+                Ready
+              </span>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                const reset = { ...defaults };
+                setConfig((prev) => ({ ...(prev ?? {}), ...reset }));
+              }}
+              disabled={disabled}
+              className="px-3 py-1.5 text-xs rounded-md border border-zinc-800 hover:border-zinc-700 text-zinc-200"
+              title="Reset this section to defaults"
+            >
+              Reset
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowSaveDialog(true)}
+              disabled={disabled}
+              className="px-3 py-1.5 text-xs rounded-md border border-zinc-800 hover:border-zinc-700 text-zinc-200"
+            >
+              Save Preset
+            </button>
+          </div>
+        </div>
+      </div>
+      {/* Save Preset Dialog (Radix) */}
+      <Dialog.Root open={showSaveDialog} onOpenChange={setShowSaveDialog}>
+        <Dialog.Portal>
+          <Dialog.Overlay className="fixed inset-0 z-50 bg-black/60 data-[state=open]:animate-fadeIn" />
+          <Dialog.Content
+            className="fixed z-50 top-1/2 left-1/2 w-[380px] -translate-x-1/2 -translate-y-1/2
+                       rounded-xl border border-zinc-800 bg-zinc-950/95
+                       p-5 text-zinc-200 shadow-2xl focus:outline-none
+                       data-[state=open]:animate-scaleIn"
+          >
+            {/* Header */}
+            <div className="relative mb-4">
+              <Dialog.Title className="text-sm font-semibold text-white text-center">
+                Save Config Preset
+              </Dialog.Title>
+              <Dialog.Close asChild>
+                <button
+                  type="button"
+                  aria-label="Close"
+                  className="absolute top-2 right-2 p-1 rounded-md
+                             text-zinc-400 hover:text-white hover:bg-zinc-800"
+                >
+                  <X size={16} />
+                </button>
+              </Dialog.Close>
+            </div>
+
+            {/* Input */}
+            <input
+              autoFocus
+              value={presetName}
+              onChange={(e) => setPresetName(e.currentTarget.value)}
+              placeholder="Preset name (optional)…"
+              className="w-full rounded-md border border-zinc-700 bg-zinc-900 px-3 py-2
+                         text-sm text-white placeholder:text-zinc-500
+                         focus:outline-none focus:ring-1 focus:ring-emerald-500"
+            />
+
+            {/* Footer */}
+            <div className="mt-4 flex justify-end gap-2">
+              <Dialog.Close asChild>
+                <button
+                  type="button"
+                  className="px-3 py-1.5 text-xs rounded-md border border-zinc-800
+                             bg-zinc-900 hover:bg-zinc-800 text-zinc-200"
+                >
+                  Cancel
+                </button>
+              </Dialog.Close>
+              <button
+                type="button"
+                onClick={doSavePreset}
+                className="px-3 py-1.5 text-xs rounded-md bg-emerald-600
+                           hover:bg-emerald-500 text-black font-semibold"
+              >
+                Save
+              </button>
+            </div>
+          </Dialog.Content>
+        </Dialog.Portal>
+      </Dialog.Root>
+    </div>
+  );
+};
+
+export default GridTraderConfig;
@@ -41,7 +41,18 @@ export const REQUIRED_FIELDS = [
   "targetAllocations",
   "maxRebalances",
 ];
-export const OPTIONAL_FIELDS = ["slippage", "priorityFeeLamports", "autoWallet"];
+export const OPTIONAL_FIELDS = [
+  "slippage",
+  "priorityFeeLamports",
+  "autoWallet",
+  "toleranceBands",
+  "rebalanceTrigger",
+  "calendar",
+  "weighting",
+  "volLookbackDays",
+  "maxWeightPct",
+  "useCashFlows",
+];
 
 /* numeric fields we edit as raw strings (coerce on blur/save) */
 const NUM_FIELDS = [
@@ -98,7 +109,7 @@ const TabButton = ({ active, onClick, children, badge }) => (
 
 /* Tabs -> keys for error badges */
 const TAB_KEYS = {
-  core: ["rebalanceThreshold", "targetAllocations", "autoWallet"],
+  core: ["rebalanceThreshold", "targetAllocations", "autoWallet", "toleranceBands", "calendar", "volLookbackDays", "maxWeightPct"],
   execution: ["rebalanceInterval", "maxRebalances", "slippage", "priorityFeeLamports"],
 };
 
@@ -116,6 +127,20 @@ const validateRebalancer = (cfg = {}) => {
     errs.push("targetAllocations requires at least two tokens (or enable Auto Balance).");
   if (isBad(cfg.maxRebalances) || +cfg.maxRebalances <= 0)
     errs.push("maxRebalances must be ≥ 1.");
+  if (Object.values(cfg.toleranceBands ?? {}).some((b) => isBad(b) || +b <= 0 || +b > 100))
+    errs.push("toleranceBands must be between 0 and 100 %.");
+  if (cfg.rebalanceTrigger === "calendar") {
+    const cal = cfg.calendar ?? {};
+    if (!/^\d{1,2}:\d{2}$/.test(cal.time ?? "")) errs.push("calendar time must be HH:MM (UTC).");
+    if (cal.frequency === "monthly" && !(+cal.dayOfMonth >= 1 && +cal.dayOfMonth <= 28))
+      errs.push("calendar day of month must be 1–28.");
+  }
+  if (cfg.weighting && cfg.weighting !== "fixed") {
+    if (isBad(cfg.volLookbackDays) || +cfg.volLookbackDays < 2 || +cfg.volLookbackDays > 90)
+      errs.push("volLookbackDays must be 2–90.");
+    if (cfg.maxWeightPct !== "" && cfg.maxWeightPct != null && (isBad(cfg.maxWeightPct) || +cfg.maxWeightPct <= 0 || +cfg.maxWeightPct > 100))
+      errs.push("maxWeightPct must be between 0 and 100.");
+  }
   return errs;
 };
 
@@ -205,6 +230,10 @@ const CoreTab = React.memo(function CoreTab({
                 disabled={disabled}
                 autoEqual={view.autoWallet}
                 walletTokens={walletTokens}
+                settings={view}
+                onSettingsChange={(patch) =>
+                  setConfig((prev) => ({ ...(prev ?? {}), ...patch }))
+                }
               />
             </div>
 
@@ -332,6 +361,13 @@ const RebalancerConfig = ({
     autoWallet: false,
     targetAllocations: {}, // mint -> weight%
     priorityFeeLamports: "",
+    toleranceBands: {}, // mint -> ±% (blank = rebalanceThreshold)
+    rebalanceTrigger: "band", // band | calendar
+    calendar: null, // { frequency, dayOfWeek, dayOfMonth, time } in UTC
+    weighting: "fixed", // fixed | inverseVol | riskParity
+    volLookbackDays: 14,
+    maxWeightPct: "",
+    useCashFlows: false,
   };
 
   /* Merge defaults with incoming config */
@@ -627,8 +663,14 @@ const RebalancerConfig = ({
         {/* Strategy Summary */}
         <div className="mt-6 bg-zinc-900 rounded-md p-3">
           <p className="text-xs leading-4">
-            <span className="text-pink-400 font-semibold">Rebalance Summary</span> —&nbsp; Threshold{" "}
-            <span className="text-emerald-300 font-semibold">≥ {view.rebalanceThreshold || "—"}%</span>; &nbsp;Interval{" "}
+            <span className="text-pink-400 font-semibold">Rebalance Summary</span> —&nbsp; {view.rebalanceTrigger === "calendar" ? "Calendar" : "Threshold"}{" "}
+            <span className="text-emerald-300 font-semibold">
+              {view.rebalanceTrigger === "calendar"
+                ? `${view.calendar?.frequency || "—"} @ ${view.calendar?.time || "00:00"} UTC`
+                : `≥ ${view.rebalanceThreshold || "—"}%${Object.keys(view.toleranceBands || {}).length ? " + bands" : ""}`}
+            </span>; &nbsp;Weights{" "}
+            <span className="text-emerald-300 font-semibold">{view.weighting || "fixed"}</span>
+            {view.useCashFlows ? <>; <span className="text-sky-300 font-semibold">cash first</span></> : null}; &nbsp;Interval{" "}
             <span className="text-emerald-300 font-semibold">{minutes(view.rebalanceInterval)} min</span>; &nbsp;Max{" "}
             <span className="text-emerald-300 font-semibold">{view.maxRebalances || "—"}</span> cycles; &nbsp;Slippage{" "}
             <span className="text-emerald-300 font-semibold">{view.slippage || "—"}%</span>; &nbsp;Targets{" "}
@@ -41,6 +41,11 @@ export const OPTIONAL_FIELDS = [
   "cooldown",
   "maxSlippage",
   "priorityFeeLamports",
+  "rankingModel",
+  "rankingWeights",
+  "momentumDecay",
+  "volLookbackHours",
+  "sectors",
 ];
 
 /* numeric fields we edit as raw strings (coerce on blur/save) */
@@ -50,8 +55,20 @@ const NUM_FIELDS = [
   "priorityFeeLamports",
   "cooldown",
   "maxSlippage",
+  "momentumDecay",
+  "volLookbackHours",
 ];
 
+/* ranking models (backend: services/strategies/core/rotationRanking.js) */
+const RANKING_MODELS = [
+  { value: "momentum",         label: "Momentum" },
+  { value: "riskAdjusted",     label: "Risk-adjusted" },
+  { value: "volumeWeighted",   label: "Volume-weighted" },
+  { value: "relativeStrength", label: "vs SOL" },
+  { value: "composite",        label: "Composite" },
+];
+const WEIGHT_KEYS = ["momentum", "riskAdjusted", "volumeWeighted", "relativeStrength"];
+
 /* ───────────────────── Shared UI helpers ───────────────────── */
 const FIELD_WRAP =
   "relative rounded-md border border-zinc-700 bg-zinc-900 px-2 py-1.5 hover:border-zinc-600 focus-within:border-emerald-500/70 transition";
@@ -101,6 +118,7 @@ const TAB_KEYS = {
   core: ["bundles", "priceChangeWindow"],
   execution: ["rotationInterval", "maxRotations", "priorityFeeLamports"],
   advanced: ["cooldown", "maxSlippage"],
+  ranking: ["rankingModel", "rankingWeights", "momentumDecay", "volLookbackHours", "sectors"],
 };
 
 /* ───────────────────────────── Validation ───────────────────────────── */
@@ -133,12 +151,30 @@ const validateRotationBot = (cfg = {}) => {
   ) {
     errs.push("maxRotations must be ≥ 1.");
   }
+  if (
+    cfg.momentumDecay !== "" && cfg.momentumDecay != null &&
+    (Number.isNaN(+cfg.momentumDecay) || +cfg.momentumDecay < 0 || +cfg.momentumDecay > 1)
+  ) {
+    errs.push("momentumDecay must be between 0 and 1.");
+  }
+  if (
+    cfg.volLookbackHours !== "" && cfg.volLookbackHours != null &&
+    (Number.isNaN(+cfg.volLookbackHours) || +cfg.volLookbackHours < 1 || +cfg.volLookbackHours > 168)
+  ) {
+    errs.push("volLookbackHours must be between 1 and 168.");
+  }
+  if (
+    cfg.rankingModel === "composite" &&
+    !WEIGHT_KEYS.some((k) => +(cfg.rankingWeights?.[k] ?? 1) > 0)
+  ) {
+    errs.push("rankingWeights: composite needs at least one weight > 0.");
+  }
   return errs;
 };
 
 const countErrorsForTab = (errors) => {
   const lower = errors.map((e) => String(e).toLowerCase());
-  const counts = { core: 0, execution: 0, advanced: 0 };
+  const counts = { core: 0, execution: 0, advanced: 0, ranking: 0 };
   for (const tab of Object.keys(TAB_KEYS)) {
     const keys = TAB_KEYS[tab];
     counts[tab] = lower.filter((msg) => keys.some((k) => msg.includes(k.toLowerCase()))).length;
@@ -650,6 +686,207 @@ const AdvancedTab = React.memo(function AdvancedTab({ view, disabled, handleChan
   );
 });
 
+const RankingTab = React.memo(function RankingTab({ view, disabled, handleChange, handleBlur, setConfig, mintLabel }) {
+  const model   = view.rankingModel || "momentum";
+  const weights = view.rankingWeights || {};
+  const sectors = view.sectors && typeof view.sectors === "object" ? view.sectors : {};
+
+  const [sectorName,  setSectorName]  = useState("");
+  const [sectorMints, setSectorMints] = useState("");
+
+  const setWeight = (k, value) =>
+    setConfig((prev) => ({
+      ...(prev ?? {}),
+      rankingWeights: { ...(prev?.rankingWeights ?? {}), [k]: value },
+    }));
+
+  const coerceWeight = (k) => (e) => {
+    const raw = e.currentTarget.value;
+    const num = Number(raw);
+    setWeight(k, raw === "" || !Number.isFinite(num) ? "" : num);
+  };
+
+  const addSector = () => {
+    const name  = sectorName.trim();
+    const mints = [...new Set(sectorMints.split(/[\s,]+/).filter(Boolean))];
+    if (!name || !mints.length) return toast.error("Sector needs a name and at least one mint");
+    setConfig((prev) => ({ ...(prev ?? {}), sectors: { ...(prev?.sectors ?? {}), [name]: mints } }));
+    setSectorName("");
+    setSectorMints("");
+  };
+
+  const removeSector = (name) =>
+    setConfig((prev) => {
+      const next = { ...(prev?.sectors ?? {}) };
+      delete next[name];
+      return { ...(prev ?? {}), sectors: Object.keys(next).length ? next : undefined };
+    });
+
+  return (
+    <Section>
+      <Card title="Ranking Model">
+        <div className="space-y-3">
+          <div className="space-y-1">
+            <div className="flex items-center gap-1 text-sm font-medium text-zinc-300">
+              <span>Rank tokens by</span>
+              <StrategyTooltip name="rankingModel" />
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {RANKING_MODELS.map((m) => (
+                <button
+                  key={m.value}
+                  type="button"
+                  disabled={disabled}
+                  onClick={() => setConfig((prev) => ({ ...(prev ?? {}), rankingModel: m.value }))}
+                  className={`px-2.5 py-1 text-xs rounded-md border transition ${
+                    model === m.value
+                      ? "border-emerald-500 bg-emerald-600/20 text-emerald-200"
+                      : "border-zinc-700 text-zinc-300 hover:border-zinc-600"
+                  }`}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid sm:grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <div className="flex items-center gap-1 text-sm font-medium text-zinc-300">
+                <span>Momentum Decay (0–1)</span>
+                <StrategyTooltip name="momentumDecay" />
+              </div>
+              <div className={FIELD_WRAP}>
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  name="momentumDecay"
+                  value={view.momentumDecay ?? ""}
+                  onChange={handleChange}
+                  onBlur={handleBlur("momentumDecay")}
+                  placeholder="0"
+                  disabled={disabled}
+                  className={INP}
+                />
+              </div>
+            </div>
+
+            {(model === "riskAdjusted" || model === "composite") && (
+              <div className="space-y-1">
+                <div className="flex items-center gap-1 text-sm font-medium text-zinc-300">
+                  <span>Volatility Look-back (h)</span>
+                  <StrategyTooltip name="volLookbackHours" />
+                </div>
+                <div className={FIELD_WRAP}>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    name="volLookbackHours"
+                    value={view.volLookbackHours ?? ""}
+                    onChange={handleChange}
+                    onBlur={handleBlur("volLookbackHours")}
+                    placeholder="24"
+                    disabled={disabled}
+                    className={INP}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
+          {model === "composite" && (
+            <div className="space-y-1">
+              <div className="flex items-center gap-1 text-sm font-medium text-zinc-300">
+                <span>Composite Weights</span>
+                <StrategyTooltip name="rankingWeights" />
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {WEIGHT_KEYS.map((k) => (
+                  <label key={k} className="text-[11px] text-zinc-400 space-y-1">
+                    <span>{RANKING_MODELS.find((m) => m.value === k).label}</span>
+                    <div className={FIELD_WRAP}>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        value={weights[k] ?? ""}
+                        onChange={(e) => setWeight(k, e.currentTarget.value)}
+                        onBlur={coerceWeight(k)}
+                        placeholder="1"
+                        disabled={disabled}
+                        className={INP}
+                      />
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </Card>
+
+      <Card title="Sectors" right={<StrategyTooltip name="sectors" />}>
+        <div className="space-y-3">
+          {Object.keys(sectors).length === 0 ? (
+            <div className="text-xs text-zinc-500">No sectors — the bot ranks every token together.</div>
+          ) : (
+            <div className="space-y-2">
+              {Object.entries(sectors).map(([name, mints]) => (
+                <div key={name} className="flex items-start justify-between gap-2 text-xs">
+                  <div>
+                    <span className="text-indigo-300 font-semibold">{name}</span>
+                    <span className="text-zinc-400">
+                      {" "}— {mints.map((m) => mintLabel[m] || `${m.slice(0, 4)}…`).join(", ")}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeSector(name)}
+                    disabled={disabled}
+                    className="text-zinc-500 hover:text-red-400"
+                    aria-label={`Remove sector ${name}`}
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid gap-2">
+            <div className={FIELD_WRAP}>
+              <input
+                value={sectorName}
+                onChange={(e) => setSectorName(e.currentTarget.value)}
+                placeholder="Sector name (e.g. memes)"
+                disabled={disabled}
+                className={INP}
+              />
+            </div>
+            <div className={FIELD_WRAP}>
+              <textarea
+                value={sectorMints}
+                onChange={(e) => setSectorMints(e.currentTarget.value)}
+                placeholder="Token mints, comma or space separated"
+                rows={2}
+                disabled={disabled}
+                className={`${INP} resize-none`}
+              />
+            </div>
+            <button
+              type="button"
+              onClick={addSector}
+              disabled={disabled}
+              className="justify-self-end px-3 py-1.5 text-xs rounded-md border border-zinc-800 hover:border-zinc-700 text-zinc-200"
+            >
+              Add Sector
+            </button>
+          </div>
+        </div>
+      </Card>
+    </Section>
+  );
+});
+
 /* ───────────────────────────── Main Component ───────────────────────────── */
 const RotationBotConfig = ({
   config = {},
@@ -667,6 +904,9 @@ const RotationBotConfig = ({
     cooldown: "",
     maxSlippage: "",
     priorityFeeLamports: "",
+    rankingModel: "momentum",
+    momentumDecay: "",
+    volLookbackHours: "",
   };
 
   /* Merge defaults with incoming config */
@@ -950,6 +1190,7 @@ const RotationBotConfig = ({
         <div className="flex items-center gap-3 sm:gap-4 relative">
           <TabButton active={activeTab==="core"} onClick={()=>setActiveTab("core")} badge={tabErr.core}>Core</TabButton>
           <TabButton active={activeTab==="execution"} onClick={()=>setActiveTab("execution")} badge={tabErr.execution}>Execution</TabButton>
+          <TabButton active={activeTab==="ranking"} onClick={()=>setActiveTab("ranking")} badge={tabErr.ranking}>Ranking</TabButton>
           <TabButton active={activeTab==="advanced"} onClick={()=>setActiveTab("advanced")} badge={tabErr.advanced}>Advanced</TabButton>
         </div>
       </div>
@@ -957,7 +1198,7 @@ const RotationBotConfig = ({
       {/* Content */}
       <div className="p-4 sm:p-5">
         <div className="bg-zinc-900 text-zinc-300 text-xs rounded-md p-2 mb-4">
-          🔄 Rotate capital across wallets into highest-momentum tokens using shared token lists and time windows.
+          🔄 Rotate capital across wallets into the top-ranked token using shared token lists and time windows.
         </div>
 
         {errors.length > 0 && (
@@ -1008,6 +1249,17 @@ const RotationBotConfig = ({
           />
         )}
 
+        {activeTab === "ranking" && (
+          <RankingTab
+            view={view}
+            disabled={disabled}
+            handleChange={handleChange}
+            handleBlur={handleBlur}
+            setConfig={setConfig}
+            mintLabel={mintLabel}
+          />
+        )}
+
         {activeTab === "advanced" && (
           <AdvancedTab
             view={view}
@@ -1031,6 +1283,12 @@ const RotationBotConfig = ({
             ) : (
               <>; Look-back <span className="text-indigo-300 font-semibold">Auto</span></>
             )}
+            ; Ranked by <span className="text-indigo-300 font-semibold">
+              {(RANKING_MODELS.find((m) => m.value === view.rankingModel) || RANKING_MODELS[0]).label}
+            </span>
+            {view.sectors && Object.keys(view.sectors).length > 0 && (
+              <> across <span className="text-indigo-300 font-semibold">{Object.keys(view.sectors).length} sectors</span></>
+            )}
             &nbsp;|&nbsp; Bundles:&nbsp;
             <span className="text-indigo-300 font-semibold">{summaryBundles.length}</span>
             {summaryBundles.length > 0 && (
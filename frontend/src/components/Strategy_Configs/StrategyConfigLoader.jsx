@@ -14,6 +14,8 @@ import PaperTraderConfig   from "./PaperTraderConfig";
 import SniperConfig        from "./SniperConfig";
 import StealthBotConfig from "./StealthBotConfig";
 import TurboSniperConfig from "./TurboSniperConfig";
+import GridTraderConfig  from "./GridTraderConfig";
+import MeanReversionConfig from "./MeanReversionConfig";
 import LimitEntryBlock  from "./LimitEntryBlock";
 import AdvancedSection  from "../ui/AdvancedSection";
 import PaperTurboTraderConfig from "./PaperTurboTraderConfig";
@@ -136,6 +138,26 @@ case "rotationBot":
     />
   );
 
+    /* ─────────────────────── gridTrader ─ */
+    case "gridTrader":
+      return (
+        <GridTraderConfig
+          config={config}
+          setConfig={setConfig}
+          disabled={disabled}
+        />
+      );
+
+    /* ──────────────────── meanReversion ─ */
+    case "meanReversion":
+      return (
+        <MeanReversionConfig
+          config={config}
+          setConfig={setConfig}
+          disabled={disabled}
+        />
+      );
+
     /* ─────────────────────── paperTrader ─ */
     case "paperTrader":
       return (
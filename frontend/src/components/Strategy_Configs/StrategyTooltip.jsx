@@ -125,6 +125,18 @@ export default function StrategyTooltip({ name, text }) {
       "Target portfolio weights as JSON. Example: {\"SOL\": 0.5, \"USDC\": 0.5}.",
     targetAllocations:
       "JSON map of { mint: target% } that should sum to 1.0.",
+    toleranceBands:
+      "Per-token drift band (±%). A token only triggers a rebalance once it leaves its own band; blank uses the Rebalance Threshold.",
+    rebalanceTrigger:
+      "Bands: trade whenever a token drifts outside its band. Calendar: trade everything back to target at a fixed UTC time and ignore bands.",
+    weighting:
+      "Fixed uses your percentages. Inverse-vol weights each token by 1 / its recent volatility. Risk parity makes every token contribute the same risk (uses correlations too).",
+    volLookbackDays:
+      "Days of hourly prices used to measure volatility for the inverse-vol / risk-parity weights.",
+    maxWeightPct:
+      "Cap on any single token's computed weight; the excess goes to the others.",
+    useCashFlows:
+      "Spend idle SOL / USDC in the wallet on underweight tokens before selling anything.",
 
     /* ───────────────────── Rotation Bot ───────────────────── */
     wallets:
@@ -133,6 +145,60 @@ export default function StrategyTooltip({ name, text }) {
       "Milliseconds between each rotation scan. Example: 3,600,000 = 1 hour.",
     minMomentum:
       "Minimum percent pump over the look-back to be considered the strongest token.",
+    rankingModel:
+      "How tokens are ranked: raw momentum, momentum ÷ volatility, momentum scaled by relative volume, return vs SOL, or a weighted composite of all four.",
+    rankingWeights:
+      "Composite only: how much each measure counts. Each is standardised across your tokens first, so the weights are comparable.",
+    momentumDecay:
+      "0–1. Discounts the older half of the move so a pump that has stalled ranks below one still running. 0 = plain window change.",
+    volLookbackHours:
+      "Hours of 15-minute candles used to measure volatility for risk-adjusted ranking.",
+    sectors:
+      "Group tokens into sectors. The bot picks the sector with the best average score, then the best token inside it.",
+
+    /* ───────────────────── Grid Trader ───────────────────── */
+    tokenMint:
+      "Mint address of the token to trade.",
+    lowerPrice:
+      "Bottom of the grid in USD. The lowest buy level sits here.",
+    upperPrice:
+      "Top of the grid in USD. The highest sell level sits here.",
+    gridLevels:
+      "Number of price levels (2–100). Each pair of neighbouring levels is one slot that buys low and sells one level up.",
+    spacing:
+      "Arithmetic = equal USD gaps between levels. Geometric = equal % gaps, better for wide ranges.",
+    stopOutPct:
+      "How far (%) price may leave the range before the grid stops. 0 = stop as soon as it leaves.",
+    stopOutAction:
+      "On stop-out: sell every held level, or keep the inventory and just stop.",
+    paperMode:
+      "Run the grid through the paper execution adapter – simulated fills, slippage and failures, no real swaps.",
+    execModel:
+      "Paper fill model used by the execution adapter.",
+    slippageBpsCap:
+      "Paper mode: maximum simulated slippage per fill, in basis points.",
+
+    /* ───────────────────── Mean Reversion ───────────────────── */
+    anchor:
+      "Which rolling mean price reverts to: the volume-weighted average price (VWAP) or the Bollinger mid (simple average).",
+    lookback:
+      "Number of candles in the rolling window used for the mean and its standard deviation.",
+    candleInterval:
+      "Candle size the mean and deviation are measured on.",
+    entryZ:
+      "Buy when price is at least this many standard deviations (σ) below the mean.",
+    exitZ:
+      "Sell once price is back within this many σ of the mean. 0 = wait for the mean itself.",
+    maxHoldMinutes:
+      "Time stop: sell after this many minutes even if price hasn't reverted. 0 = no time stop.",
+    stopLossPct:
+      "Optional hard stop (%) below the entry price. Leave blank to rely on the time stop.",
+    fullSizeZ:
+      "Deviation that earns the full size multiplier. Entries between the entry σ and this scale up linearly.",
+    maxSizeMultiplier:
+      "Largest multiple of Amount to Spend used on the deepest deviations.",
+    trendFilter:
+      "Skip entries while the short/medium/long EMAs are stacked — reversion trades tend to fail in a trend.",
 
     /* ─────────────── Turbo Sniper — Core Filters ─────────────── */
     minTokenAgeMinutes:
@@ -2,12 +2,237 @@ import React, { useState, useEffect } from "react";
 import StrategyTooltip from "./StrategyTooltip";
 import { ChevronDown } from "lucide-react";
 import { useRef } from "react";
+import { toast } from "sonner";
+import { previewRebalance } from "@/utils/autobotApi";
+
+/* ───────────── rebalance modes (bands / calendar / vol weights / cash) ───────────── */
+const WEIGHTINGS = [
+  ["fixed", "Fixed %"],
+  ["inverseVol", "Inverse-vol"],
+  ["riskParity", "Risk parity"],
+];
+const TRIGGERS = [
+  ["band", "Tolerance bands"],
+  ["calendar", "Calendar (UTC)"],
+];
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const modeInput =
+  "px-2 py-1 rounded-md bg-zinc-800 border border-zinc-600 text-xs text-white disabled:opacity-50";
+
+/* "" stays "" while editing; anything numeric is stored as a number */
+const num = (v) => (v === "" || Number.isNaN(Number(v)) ? "" : Number(v));
+
+const Segmented = ({ value, options, onChange, disabled }) => (
+  <div className="inline-flex rounded-md border border-zinc-700 overflow-hidden">
+    {options.map(([v, label]) => (
+      <button
+        key={v}
+        type="button"
+        disabled={disabled}
+        onClick={() => onChange(v)}
+        className={`px-2.5 py-1 text-xs transition ${
+          value === v ? "bg-emerald-600 text-white" : "bg-zinc-800 text-zinc-300 hover:bg-zinc-700"
+        }`}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+function RebalanceModes({ settings, onSettingsChange, disabled }) {
+  const weighting = settings.weighting || "fixed";
+  const trigger = settings.rebalanceTrigger || "band";
+  const cal = settings.calendar || { frequency: "weekly", dayOfWeek: 1, time: "00:00" };
+  const setCal = (patch) => onSettingsChange({ calendar: { ...cal, ...patch } });
+
+  return (
+    <div className="space-y-3 border-t border-zinc-700 pt-3">
+      {/* weighting */}
+      <div className="space-y-1">
+        <div className="flex items-center gap-1 text-xs font-medium text-zinc-300">
+          <span>Target weighting</span>
+          <StrategyTooltip name="weighting" />
+        </div>
+        <Segmented
+          value={weighting}
+          options={WEIGHTINGS}
+          disabled={disabled}
+          onChange={(v) => onSettingsChange({ weighting: v })}
+        />
+        {weighting !== "fixed" && (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-zinc-400 pt-1">
+            <span>Lookback</span>
+            <input
+              type="number"
+              min="2"
+              max="90"
+              value={settings.volLookbackDays ?? 14}
+              onChange={(e) => onSettingsChange({ volLookbackDays: num(e.target.value) })}
+              className={`${modeInput} w-16`}
+              disabled={disabled}
+            />
+            <span>days · max weight</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              placeholder="100"
+              value={settings.maxWeightPct ?? ""}
+              onChange={(e) => onSettingsChange({ maxWeightPct: num(e.target.value) })}
+              className={`${modeInput} w-16`}
+              disabled={disabled}
+            />
+            <span>%</span>
+            <StrategyTooltip name="volLookbackDays" />
+          </div>
+        )}
+        {weighting !== "fixed" && (
+          <p className="text-[11px] text-zinc-500">
+            Weights are computed from recent returns; the % above are only used when price history is missing.
+          </p>
+        )}
+      </div>
+
+      {/* trigger */}
+      <div className="space-y-1">
+        <div className="flex items-center gap-1 text-xs font-medium text-zinc-300">
+          <span>Rebalance when</span>
+          <StrategyTooltip name="rebalanceTrigger" />
+        </div>
+        <Segmented
+          value={trigger}
+          options={TRIGGERS}
+          disabled={disabled}
+          onChange={(v) =>
+            onSettingsChange(v === "calendar" ? { rebalanceTrigger: v, calendar: cal } : { rebalanceTrigger: v })
+          }
+        />
+        {trigger === "band" ? (
+          <p className="text-[11px] text-zinc-500">
+            Set a ±% band per token below; blank uses the Rebalance Threshold ({settings.rebalanceThreshold || 5}%).
+          </p>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-zinc-400 pt-1">
+            <select
+              value={cal.frequency}
+              onChange={(e) => setCal({ frequency: e.target.value })}
+              className={modeInput}
+              disabled={disabled}
+            >
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+            </select>
+            {cal.frequency === "weekly" && (
+              <select
+                value={cal.dayOfWeek ?? 1}
+                onChange={(e) => setCal({ dayOfWeek: Number(e.target.value) })}
+                className={modeInput}
+                disabled={disabled}
+              >
+                {WEEKDAYS.map((d, i) => <option key={d} value={i}>{d}</option>)}
+              </select>
+            )}
+            {cal.frequency === "monthly" && (
+              <>
+                <span>day</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="28"
+                  value={cal.dayOfMonth ?? 1}
+                  onChange={(e) => setCal({ dayOfMonth: num(e.target.value) })}
+                  className={`${modeInput} w-14`}
+                  disabled={disabled}
+                />
+              </>
+            )}
+            <span>at</span>
+            <input
+              type="time"
+              value={cal.time || "00:00"}
+              onChange={(e) => setCal({ time: e.target.value })}
+              className={modeInput}
+              disabled={disabled}
+            />
+            <span>UTC · checked every Rebalance Interval</span>
+          </div>
+        )}
+      </div>
+
+      {/* cash flows */}
+      <label className="flex items-center gap-2 text-xs text-zinc-300">
+        <input
+          type="checkbox"
+          checked={!!settings.useCashFlows}
+          onChange={(e) => onSettingsChange({ useCashFlows: e.target.checked })}
+          disabled={disabled}
+          className="accent-emerald-500 w-4 h-4"
+        />
+        <span>Use incoming SOL / USDC before selling</span>
+        <StrategyTooltip name="useCashFlows" />
+      </label>
+    </div>
+  );
+}
+
+function PlanPreview({ plan, labelFor }) {
+  if (!plan) return null;
+  return (
+    <div className="rounded-md border border-zinc-700 bg-zinc-950/60 p-2 text-xs space-y-2">
+      <div className="flex flex-wrap justify-between gap-2 text-zinc-400">
+        <span>
+          Book ${(+plan.totalUsd || 0).toFixed(2)} · targets: <span className="text-zinc-200">{plan.targetsSource}</span>
+        </span>
+        {plan.nextRunAt && <span>next run {new Date(plan.nextRunAt).toUTCString()}</span>}
+      </div>
+
+      {plan.swaps.length === 0 ? (
+        <p className="text-emerald-400">Within bands – nothing to trade.</p>
+      ) : (
+        <table className="w-full">
+          <thead className="text-zinc-500">
+            <tr>
+              <th className="text-left font-normal">Swap</th>
+              <th className="text-right font-normal">USD</th>
+              <th className="text-right font-normal">Impact</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.swaps.map((s, i) => (
+              <tr key={i} className="border-t border-zinc-800">
+                <td className="py-1">
+                  {labelFor(s.inputMint)} → {labelFor(s.outputMint)}
+                  {s.source === "cash" && <span className="ml-1 text-sky-400">(cash)</span>}
+                </td>
+                <td className="text-right">${s.usd.toFixed(2)}</td>
+                <td
+                  className={`text-right ${
+                    s.error ? "text-zinc-500" : s.withinImpact ? "text-emerald-300" : "text-red-400"
+                  }`}
+                  title={s.error || (s.withinImpact ? "" : "Above max impact – the bot would skip this swap")}
+                >
+                  {s.error ? "no quote" : `${s.priceImpactPct}%`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
 const TargetWeightsBuilder = ({
   targetWeights = {},
   onUpdate,
   disabled,
   walletTokens = [],
   autoEqual = false,
+  settings,               // rebalancer config: bands / trigger / weighting / cash flows
+  onSettingsChange,       // (patch) => void – modes are hidden without it
 }) => {
     console.log("🧪 TargetWeightsBuilder received walletTokens:", walletTokens);
 
@@ -15,7 +240,11 @@ const TargetWeightsBuilder = ({
   const [mint,  setMint]  = useState("");
   const [pct,   setPct]   = useState("");
   const [menuOpen, setMenuOpen] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
 const menuRef = useRef(null);
+  const showModes = !!settings && typeof onSettingsChange === "function";
+  const showBands = showModes && (settings.rebalanceTrigger || "band") === "band";
   /* helper – next equal share */
   const nextEqualPct = (cnt) => +(100 / cnt).toFixed(2);
 
@@ -121,6 +350,27 @@ const options = [...walletTokens]
   };
   
 
+  /* ---------------------- bands / preview ----------------------- */
+  const setBand = (m, raw) => {
+    const bands = { ...(settings?.toleranceBands || {}) };
+    if (raw === "") delete bands[m];
+    else bands[m] = num(raw);
+    onSettingsChange({ toleranceBands: bands });
+  };
+
+  const runPreview = async () => {
+    setPreviewing(true);
+    try {
+      setPlan(await previewRebalance({ ...settings, targetAllocations: targetWeights }));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const labelFor = (m) => labelMap[m] ?? `${m.slice(0,4)}…${m.slice(-4)}`;
+
   /* --------------------------- UI ------------------------------- */
   return (
     <div className="mt-2 bg-zinc-900 border border-zinc-700 p-4 rounded-lg text-sm text-white space-y-4">
@@ -264,6 +514,22 @@ const options = [...walletTokens]
                 {labelMap[m] ?? `${m.slice(0,4)}…${m.slice(-4)}`}
               </div>
               <div className="text-emerald-400 font-semibold">{w}%</div>
+              {showBands && (
+                <label className="ml-3 flex items-center gap-1 text-xs text-zinc-400" title="Tolerance band">
+                  ±
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder={String(settings.rebalanceThreshold || 5)}
+                    value={settings.toleranceBands?.[m] ?? ""}
+                    onChange={(e) => setBand(m, e.target.value)}
+                    className="w-14 px-1.5 py-0.5 rounded bg-zinc-800 border border-zinc-600 text-white"
+                    disabled={disabled}
+                  />
+                  %
+                </label>
+              )}
               <button
                 onClick={() => handleRemove(m)}
                 disabled={disabled}
@@ -275,6 +541,23 @@ const options = [...walletTokens]
           ))}
         </ul>
       )}
+
+      {showModes && (
+        <>
+          <RebalanceModes settings={settings} onSettingsChange={onSettingsChange} disabled={disabled} />
+          <div className="space-y-2">
+            <button
+              type="button"
+              onClick={runPreview}
+              disabled={disabled || previewing || Object.keys(targetWeights).length < 2}
+              className="px-3 py-1.5 text-xs rounded-md border border-zinc-700 hover:border-emerald-500 text-zinc-200 disabled:opacity-50"
+            >
+              {previewing ? "Planning…" : "🔍 Preview rebalance (dry run)"}
+            </button>
+            <PlanPreview plan={plan} labelFor={labelFor} />
+          </div>
+        </>
+      )}
     </div>
   );
 };
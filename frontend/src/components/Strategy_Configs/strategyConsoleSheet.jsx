@@ -73,7 +73,7 @@ export default function StrategyConsoleSheet({
 });
 
   /* — sockets / stores ------------------------------------------------ */
-  useSingleLogsSocket();
+  useSingleLogsSocket(undefined, { topics: botId ? [`logs:${botId}`] : [] });
   const allLogs = useLogsStore((s) => s.logs);
 
   /* — derived: logs for this bot ------------------------------------- */
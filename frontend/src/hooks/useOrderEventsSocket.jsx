@@ -114,6 +114,8 @@ export default function useOrderEventsSocket() {
         id,
         duration: 9000,
         icon: <Check size={18} strokeWidth={2} />,
+        // replayed from the server journal after a reconnect
+        ...(ev.replay && { description: "Executed while disconnected" }),
         ...(href && {
           action: {
             label: "View Tx",
@@ -10,6 +10,12 @@
  *  • Message pipeline logs: raw payload size/sample + nested-JSON attempt + parse-fail reason.
  *  • Reconnect scheduler logs: attempt #, backoff delay, rotating candidate index.
  *  • Ring buffer + window.dumpLogsSocket() for quick forensics.
+ *  • Topic subscriptions: the server only sends what this tab subscribed to
+ *    (`logs:<botId>`, `logs:*`, `orders`, `health`, `prices:<mint>`) for the
+ *    logged-in user. Subscriptions are ref-counted and replayed on reconnect.
+ *  • Resume cursor: frames carry a journal `seq`; on reconnect the highest
+ *    seen seq (LogsStore.lastSeq) is sent as `lastSeq` and the server replays
+ *    everything missed while the socket was down.
  *  • Gentle hints when dialing the Vite dev server instead of the API server.
  *
  * To quickly inspect state:
@@ -136,6 +142,48 @@ let SOCKET = null; // shared
 let OWNER_ID = null; // hook instance that controls lifecycle
 let OVERRIDE_URL = null;
 
+/* ====================== Topic subscriptions ====================== */
+
+const TOPIC_REFS = new Map(); // topic → subscriber count
+
+function sendOp(op, topics, extra) {
+  if (!topics.length || SOCKET?.readyState !== 1) return;
+  try {
+    SOCKET.send(JSON.stringify({ op, topics, ...extra }));
+  } catch {}
+}
+
+/**
+ * Subscribe to server topics for as long as the returned function isn't called.
+ * Safe to call before the socket is open; topics are (re)sent on every open.
+ */
+export function subscribeTopics(topics = []) {
+  const list = topics.filter(Boolean);
+  const added = [];
+  for (const t of list) {
+    const n = TOPIC_REFS.get(t) || 0;
+    TOPIC_REFS.set(t, n + 1);
+    if (!n) added.push(t);
+  }
+  sendOp("subscribe", added);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const removed = [];
+    for (const t of list) {
+      const n = (TOPIC_REFS.get(t) || 1) - 1;
+      if (n > 0) TOPIC_REFS.set(t, n);
+      else {
+        TOPIC_REFS.delete(t);
+        removed.push(t);
+      }
+    }
+    sendOp("unsubscribe", removed);
+  };
+}
+
 // Dev helper: window.__SET_LOGS_WS__("ws://localhost:5001[/path]")
 if (typeof window !== "undefined") {
   window.__SET_LOGS_WS__ = (url) => {
@@ -159,6 +207,7 @@ if (typeof window !== "undefined") {
     const snap = {
       ownerId: OWNER_ID,
       hasSocket: !!SOCKET,
+      topics: Array.from(TOPIC_REFS.keys()),
       readyState: SOCKET?.readyState,
       override: OVERRIDE_URL || null,
       attempts: window.__LOGS_WS_ATTEMPTS__ || 0,
@@ -217,11 +266,12 @@ function meaningForCloseCode(code) {
     1012: "service restart",
     1013: "try again later",
     1015: "TLS handshake failure",
+    4401: "unauthorized (not logged in)",
   };
   return map[code] || "unknown";
 }
 
-export default function useSingleLogsSocket(flags) {
+export default function useSingleLogsSocket(flags, { topics = [] } = {}) {
   // Log immediately that the hook function itself was entered
   try {
     if (LOGS_SOCKET_DEBUG) console.log("[logs-ws] hook invoked ✅", { time: new Date().toISOString() });
@@ -324,6 +374,33 @@ export default function useSingleLogsSocket(flags) {
             }
           }
         }
+        // Control / market frames aren't log lines: re-emit as window events.
+        if (data?.channel === "ws" || data?.channel === "health" || data?.channel === "prices") {
+          if (data.type === "error") warn("server rejected message", data.error);
+          if (data.type === "hello" && useLogsStore.getState().lastSeq == null) {
+            useLogsStore.getState().setLastSeq(data.seq);
+          }
+          if (data.type === "replayed") {
+            info("replayed", { from: data.from, upTo: data.upTo, count: data.count });
+            // Large gaps arrive in pages; keep asking until caught up.
+            if (data.truncated && SOCKET?.readyState === 1) {
+              try { SOCKET.send(JSON.stringify({ op: "replay", lastSeq: data.upTo })); } catch {}
+            }
+          }
+          try {
+            window.dispatchEvent(new CustomEvent(`ws:${data.channel}`, { detail: data }));
+          } catch {}
+          return;
+        }
+
+        // Journaled frames: drop anything at or below the cursor (duplicates
+        // after a replay), otherwise advance it.
+        if (typeof data?.seq === "number") {
+          const { lastSeq, setLastSeq } = useLogsStore.getState();
+          if (lastSeq != null && data.seq <= lastSeq) return;
+          setLastSeq(data.seq);
+        }
+
         const ts = new Date().toLocaleTimeString([], { hour12: false });
         const raw = (data?.line ?? data?.message ?? data?.text ?? "").toString();
         const text = `[${ts}] ${raw.trim()}`;
@@ -357,6 +434,8 @@ export default function useSingleLogsSocket(flags) {
         info("open ✅", url, ann);
         tag("open", { url, ann });
         attemptsRef.current = 0;
+        const lastSeq = useLogsStore.getState().lastSeq;
+        sendOp("subscribe", Array.from(TOPIC_REFS.keys()), lastSeq != null ? { lastSeq } : undefined);
         try {
           const ts = new Date().toLocaleTimeString([], { hour12: false });
           useLogsStore.getState().push({
@@ -485,5 +564,9 @@ export default function useSingleLogsSocket(flags) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [flags?.logs?.throttle]);
 
+  // Topic subscriptions are per hook instance, independent of socket ownership.
+  const topicsKey = topics.join("|");
+  useEffect(() => subscribeTopics(topicsKey ? topicsKey.split("|") : []), [topicsKey]);
+
   return SOCKET;
 }
\ No newline at end of file
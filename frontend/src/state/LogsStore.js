@@ -10,6 +10,12 @@ const MAX_LOGS = 1000;
 
 export const useLogsStore = create((set) => ({
   logs: [],
+  /**
+   * Highest journal seq received from the server (null until the socket
+   * has said hello). Sent back as `lastSeq` on reconnect so the gap is
+   * replayed; survives clear() on purpose.
+   */
+  lastSeq: null,
   /**
    * Append a log entry to the store.  If the number of logs
    * exceeds MAX_LOGS the oldest entries are truncated so that at
@@ -28,6 +34,17 @@ export const useLogsStore = create((set) => ({
             : next,
       };
     }),
+  /**
+   * Advance the resume cursor. Never moves backwards.
+   *
+   * @param {number} seq
+   */
+  setLastSeq: (seq) =>
+    set((state) =>
+      Number.isFinite(seq) && (state.lastSeq == null || seq > state.lastSeq)
+        ? { lastSeq: seq }
+        : state
+    ),
   /**
    * Clear all logs from the store.
    */
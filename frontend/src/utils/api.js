@@ -435,6 +435,13 @@ export const createDcaOrder = async (body) => {
 };
 
 
+/* DCA orders (newest first) with their latest tranches */
+export const fetchDcaOrders = async (params = {}) => {
+  const qs = new URLSearchParams(params).toString();
+  const r = await authFetch(`/api/orders/dca${qs ? `?${qs}` : ""}`);
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  return r.json();
+};
 
 export const cancelOrder = (id) =>
   authFetch(`/api/orders/cancel/${id}`, { method: "DELETE" })
@@ -473,6 +480,9 @@ export const updateTpSl = (mint, body) => {
       tpPercent: body.tpPercent,
       slPercent: body.slPercent,
       sellPct: combinedSellPct,
+      tpLadder: body.tpLadder,
+      trailingStopPct: body.trailingStopPct,
+      breakEvenAfterTp: body.breakEvenAfterTp,
       force: body.force ?? true,
     }),
   }).then(async (r) => {
@@ -492,6 +502,9 @@ export const updateTpSlById = (id, body) => {
       sl: body.sl,
       tpPercent: body.tpPercent,
       slPercent: body.slPercent,
+      tpLadder: body.tpLadder,
+      trailingStopPct: body.trailingStopPct,
+      breakEvenAfterTp: body.breakEvenAfterTp,
       strategy: body.strategy || "manual",
     }),
   }).then(async (r) => {
@@ -0,0 +1,38 @@
+import { authFetch } from "@/utils/authFetch";
+
+const json = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || fallback);
+    err.needs2FA = !!data.needs2FA;
+    throw err;
+  }
+  return data;
+};
+
+/** GET /api/account/api-keys */
+export const listApiKeys = async () =>
+  json(await authFetch("/api/account/api-keys"), "Failed to load API keys"); // { keys, scopes, maxExpiryDays }
+
+/**
+ * POST /api/account/api-keys
+ * Resolves { apiKey, secret } – the secret is only returned here.
+ * Rejects with err.needs2FA when a TOTP code is required.
+ */
+export const createApiKey = async (opts) =>
+  json(await authFetch("/api/account/api-keys", {
+    method: "POST",
+    body: JSON.stringify(opts),
+  }), "Failed to create API key");
+
+/** PATCH /api/account/api-keys/:id */
+export const updateApiKey = async (id, patch) =>
+  json(await authFetch(`/api/account/api-keys/${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    body: JSON.stringify(patch),
+  }), "Failed to update API key");
+
+/** DELETE /api/account/api-keys/:id */
+export const revokeApiKey = async (id) =>
+  json(await authFetch(`/api/account/api-keys/${encodeURIComponent(id)}`, { method: "DELETE" }),
+    "Failed to revoke API key");
@@ -272,6 +272,31 @@ export const editSavedConfig = async (id, config, name = "") => {
   }
 };
 
+/* ---------------------------------------------------------------------
+ * Rebalancer dry-run preview
+ * ------------------------------------------------------------------ */
+
+/**
+ * Plan a rebalance for `config` without trading.  Resolves to
+ * `{ targets, targetsSource, drifts, swaps, totalUsd, nextRunAt }`;
+ * each swap carries Jupiter's estimated `priceImpactPct`.
+ *
+ * @param {object} config - Rebalancer config (targetAllocations, bands, modes…)
+ * @param {number} [walletId] - Defaults to config.walletId / active wallet
+ */
+export const previewRebalance = async (config, walletId) => {
+  const res = await authFetch("/api/rebalancer/preview", {
+    method: "POST",
+    body: JSON.stringify({ config, ...(walletId != null && { walletId }) }),
+  });
+  let data = null;
+  try {
+    data = await res.json();
+  } catch (_) {}
+  if (!res.ok) throw new Error((data && data.error) || "Failed to preview rebalance");
+  return data;
+};
+
 /* ---------------------------------------------------------------------
  * Multi-strategy launcher
  * ------------------------------------------------------------------ */
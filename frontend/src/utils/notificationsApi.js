@@ -0,0 +1,18 @@
+import { authFetch } from "@/utils/authFetch";
+
+const json = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || fallback);
+  return data;
+};
+
+/** GET /api/notifications/settings → { settings, held } */
+export const getNotificationSettings = async () =>
+  json(await authFetch("/api/notifications/settings"), "Failed to load notification settings");
+
+/** PUT /api/notifications/settings (partial) → { settings, held } */
+export const saveNotificationSettings = async (patch) =>
+  json(await authFetch("/api/notifications/settings", {
+    method: "PUT",
+    body: JSON.stringify(patch),
+  }), "Failed to save notification settings");
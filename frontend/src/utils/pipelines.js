@@ -0,0 +1,38 @@
+import { authFetch } from "@/utils/authFetch";
+
+const json = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const details = Array.isArray(data.details) && data.details.length ? `: ${data.details.join(", ")}` : "";
+    throw new Error((data.error || fallback) + details);
+  }
+  return data;
+};
+
+/** GET /api/pipelines */
+export const listPipelines = async () =>
+  json(await authFetch("/api/pipelines"), "Failed to load pipelines"); // { pipelines }
+
+/** POST /api/pipelines */
+export const createPipeline = async (pipeline) =>
+  json(await authFetch("/api/pipelines", {
+    method: "POST",
+    body: JSON.stringify(pipeline),
+  }), "Failed to create pipeline"); // { pipeline }
+
+/** PUT /api/pipelines/:id */
+export const updatePipeline = async (id, patch) =>
+  json(await authFetch(`/api/pipelines/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    body: JSON.stringify(patch),
+  }), "Failed to update pipeline");
+
+/** DELETE /api/pipelines/:id */
+export const deletePipeline = async (id) =>
+  json(await authFetch(`/api/pipelines/${encodeURIComponent(id)}`, { method: "DELETE" }),
+    "Failed to delete pipeline");
+
+/** GET /api/pipelines/:id/firings */
+export const listPipelineFirings = async (id, { take = 20, skip = 0 } = {}) =>
+  json(await authFetch(`/api/pipelines/${encodeURIComponent(id)}/firings?take=${take}&skip=${skip}`),
+    "Failed to load firings"); // { firings, total }
@@ -11,10 +11,14 @@ export const scheduleStrategy = async ({
   buyMode = "interval",
   walletId = null,          // ✅ NEW
   walletLabel = null,       // ✅ (optional fallback)
+  recurrence = null,        // { type:"cron", expr } | { type:"window", days, start, end }
+  timezone = null,
+  maxDurationMin = null,
 }) => {    
   const res = await authFetch("/api/schedule/create", {
     method: "POST",
-  body: JSON.stringify({  name, mode, config, launchISO, targetToken, limit, buyMode, walletId, walletLabel }),
+  body: JSON.stringify({  name, mode, config, launchISO, targetToken, limit, buyMode, walletId, walletLabel,
+    recurrence, timezone, maxDurationMin }),
   });
 
   const data = await res.json();
@@ -52,3 +56,11 @@ export const editSchedule = async (payload) => {
   if (!res.ok) throw new Error(data.error || "Failed to edit schedule");
   return data;
 };
+
+/** GET /api/schedule/:jobId/runs */
+export const listScheduleRuns = async (jobId, { take = 20, skip = 0 } = {}) => {
+  const res = await authFetch(`/api/schedule/${encodeURIComponent(jobId)}/runs?take=${take}&skip=${skip}`);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Failed to fetch schedule runs");
+  return data; // { runs, total, take, skip }
+};
@@ -0,0 +1,42 @@
+import { authFetch } from "@/utils/authFetch";
+
+const json = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || fallback);
+  return data;
+};
+
+const send = (url, method, body) =>
+  authFetch(url, { method, ...(body !== undefined && { body: JSON.stringify(body) }) });
+
+/** GET /api/watchlist → { entries, ruleTypes } */
+export const getWatchlist = async () =>
+  json(await authFetch("/api/watchlist"), "Failed to load watchlist");
+
+/** POST /api/watchlist → { entry, created } (first market + safety snapshot included) */
+export const addToWatchlist = async (mint, note) =>
+  json(await send("/api/watchlist", "POST", { mint, ...(note && { note }) }), "Failed to add token");
+
+/** POST /api/watchlist/import → { imported, entries } */
+export const importWatchlist = async (entries) =>
+  json(await send("/api/watchlist/import", "POST", { entries }), "Failed to import watchlist");
+
+/** DELETE /api/watchlist/:mint */
+export const removeFromWatchlist = async (mint) =>
+  json(await send(`/api/watchlist/${encodeURIComponent(mint)}`, "DELETE"), "Failed to remove token");
+
+/** POST /api/watchlist/:mint/refresh → { entry, fired } */
+export const refreshWatchlistToken = async (mint) =>
+  json(await send(`/api/watchlist/${encodeURIComponent(mint)}/refresh`, "POST"), "Failed to refresh token");
+
+/** POST /api/watchlist/:mint/rules → { rule } */
+export const addWatchlistRule = async (mint, rule) =>
+  json(await send(`/api/watchlist/${encodeURIComponent(mint)}/rules`, "POST", rule), "Failed to add alert");
+
+/** PUT /api/watchlist/rules/:id → { rule } */
+export const updateWatchlistRule = async (id, patch) =>
+  json(await send(`/api/watchlist/rules/${id}`, "PUT", patch), "Failed to update alert");
+
+/** DELETE /api/watchlist/rules/:id */
+export const deleteWatchlistRule = async (id) =>
+  json(await send(`/api/watchlist/rules/${id}`, "DELETE"), "Failed to delete alert");